@@ -15,6 +15,18 @@ dotenv.config();
 // Import Firebase Admin
 import admin, { db, auth } from './config/firebase.js';
 
+// Chain event indexer (Firestore mirror of the marketplace contract)
+import { startListener, getCursor } from './services/listener.js';
+import { startOfferSweeper } from './services/offers.js';
+
+// Firestore property id <-> on-chain property id
+import { resolveProperty } from './services/propertyIds.js';
+import { getPropertyPricingSummary } from './services/resaleUtils.js';
+import { getOpenListingsPage } from './services/resaleListings.js';
+import { getProceedsBalances } from './services/proceeds.js';
+import { resolveRecipient } from './services/shareTransfers.js';
+import { getFees, updateFees, withdrawTreasury } from './services/fees.js';
+
 // Multer config for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -123,6 +135,66 @@ app.get('/api/properties/:id', async (req, res) => {
   }
 });
 
+// On-chain identity of a property (?verify=true also checks it against the contract)
+app.get('/api/properties/:id/chain', async (req, res) => {
+  try {
+    const mapping = await resolveProperty(req.params.id, { verifyOnChain: req.query.verify === 'true' });
+    res.json(mapping);
+  } catch (error) {
+    console.error('Error resolving property:', error.message);
+    res.status(error.status || 500).json({ error: error.message, code: error.code || null });
+  }
+});
+
+// Secondary-market pricing for a property, read from the contract
+app.get('/api/properties/:id/pricing', async (req, res) => {
+  try {
+    const mapping = await resolveProperty(req.params.id);
+    const summary = await getPropertyPricingSummary(mapping.contractAddress, mapping.chainPropertyId);
+    res.json({ ...summary, ...mapping });
+  } catch (error) {
+    console.error('Error fetching pricing:', error.message);
+    res.status(error.status || 500).json({ error: error.message, code: error.code || null });
+  }
+});
+
+// Open resale listings, read from the contract a page at a time
+// (?propertyId=&seller=&limit=, then ?cursor= from the previous page's nextCursor)
+app.get('/api/resale/listings', async (req, res) => {
+  try {
+    const { propertyId, seller, cursor, limit } = req.query;
+    res.json(await getOpenListingsPage({ propertyId, seller, cursor, limit }));
+  } catch (error) {
+    console.error('Error fetching resale listings:', error.message);
+    res.status(error.status || 500).json({ error: error.message, code: error.code || null });
+  }
+});
+
+// Trade fee schedule (basis points) and fee treasury balance
+app.get('/api/fees', async (req, res) => {
+  try {
+    res.json(await getFees());
+  } catch (error) {
+    console.error('Error fetching fees:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Indexer progress
+app.get('/api/indexer/status', async (req, res) => {
+  try {
+    const cursor = await getCursor();
+    res.json({
+      enabled: process.env.INDEXER_ENABLED === 'true',
+      lastProcessedBlock: cursor?.blockNumber ?? null,
+      lastProcessedBlockHash: cursor?.blockHash ?? null
+    });
+  } catch (error) {
+    console.error('Error fetching indexer status:', error);
+    res.status(500).json({ error: 'Failed to fetch indexer status' });
+  }
+});
+
 // ==========================================
 // PROTECTED USER ROUTES
 // ==========================================
@@ -180,6 +252,33 @@ app.get('/api/users/portfolio', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+// Sale proceeds waiting to be withdrawn (?wallet= defaults to the saved wallet)
+app.get('/api/users/proceeds', verifyFirebaseToken, async (req, res) => {
+  try {
+    let wallet = req.query.wallet;
+    if (!wallet) {
+      const userDoc = await db.collection('users').doc(req.user.uid).get();
+      wallet = userDoc.exists ? userDoc.data().walletAddress : null;
+    }
+
+    res.json(await getProceedsBalances(wallet));
+  } catch (error) {
+    console.error('Error fetching proceeds:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Find the wallet a share transfer goes to (?query= is a wallet address or a registered user's email)
+app.get('/api/users/recipient', verifyFirebaseToken, async (req, res) => {
+  try {
+    const recipient = await resolveRecipient(req.query.query, req.user.uid);
+    res.json({ success: true, ...recipient });
+  } catch (error) {
+    console.error('Error resolving recipient:', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // ==========================================
 // ADMIN ROUTES
 // ==========================================
@@ -187,6 +286,13 @@ app.get('/api/users/portfolio', verifyFirebaseToken, async (req, res) => {
 // Import Pinata service
 import { uploadFileToPinata, testPinataConnection } from './services/pinata.js';
 
+// Tokenization pipeline (pin metadata → list on chain → TOKENIZED)
+import { tokenizeProperty, approvePropertyRequest } from './services/tokenization.js';
+import { setPropertyTrading, updatePriceLimits, delistProperty, setEmergencyPause } from './services/tradingControls.js';
+import { depositRentalIncome } from './services/rentalIncome.js';
+import { issueShareToken } from './services/shareTokens.js';
+import { finalizeFundingRound, cancelFundingRound } from './services/fundingRounds.js';
+
 // Upload file to IPFS via Pinata
 app.post('/api/admin/upload', upload.single('file'), async (req, res) => {
   try {
@@ -263,6 +369,140 @@ app.post('/api/admin/properties', verifyFirebaseToken, verifyAdmin, async (req,
   }
 });
 
+// Tokenize a property - safe to call again after a failure, it resumes
+app.post('/api/admin/properties/:id/tokenize', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await tokenizeProperty(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error tokenizing property:', error);
+    res.status(error.status || 500).json({ error: error.message, step: error.step || null });
+  }
+});
+
+// Approve a seller's request and tokenize the resulting property
+app.post('/api/admin/requests/:id/approve', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await approvePropertyRequest(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error approving request:', error);
+    res.status(error.status || 500).json({ error: error.message, step: error.step || null });
+  }
+});
+
+// Halt or resume trading of a property - body: { primarySale?: boolean, resale?: boolean }
+app.post('/api/admin/properties/:id/trading', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const { primarySale, resale } = req.body;
+    const result = await setPropertyTrading(req.params.id, { primarySale, resale }, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating trading status:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Price band and circuit breaker of a property
+// body: { bandBps, relativeToAverage, haltMoveBps, haltWindowHours } - 0 turns a limit off
+app.post('/api/admin/properties/:id/price-limits', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await updatePriceLimits(req.params.id, req.body, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error updating price limits:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Create the property's ERC-20 share token (and migrate existing holders to it)
+app.post('/api/admin/properties/:id/share-token', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await issueShareToken(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error issuing share token:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Permanently stop trading of a property
+app.post('/api/admin/properties/:id/delist', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await delistProperty(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error delisting property:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Release a funding round that reached its soft cap to the property owner
+app.post('/api/admin/properties/:id/funding/finalize', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await finalizeFundingRound(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error finalizing funding round:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Cancel an open funding round (buyers claim refunds)
+app.post('/api/admin/properties/:id/funding/cancel', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await cancelFundingRound(req.params.id, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error cancelling funding round:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Contract-wide emergency pause - body: { paused: boolean }
+app.post('/api/admin/marketplace/pause', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const result = await setEmergencyPause(req.body.paused, { adminUid: req.user.uid });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error toggling emergency pause:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message });
+  }
+});
+
+// Deposit rental income for a property's shareholders { amount, period }
+app.post('/api/admin/properties/:id/income', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const distribution = await depositRentalIncome(req.params.id, req.body, { adminUid: req.user.uid });
+    res.json({ success: true, distribution });
+  } catch (error) {
+    console.error('Error depositing rental income:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message, code: error.code || null });
+  }
+});
+
+// Change trade fees { primaryFeeBps, resaleFeeBps, royaltyBps }
+app.post('/api/admin/fees', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const fees = await updateFees(req.body, { adminUid: req.user.uid });
+    res.json({ success: true, fees });
+  } catch (error) {
+    console.error('Error updating fees:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message });
+  }
+});
+
+// Withdraw collected platform fees { to?, amount?, currency? } (currency: MATIC or STABLECOIN)
+app.post('/api/admin/fees/withdraw', verifyFirebaseToken, verifyAdmin, async (req, res) => {
+  try {
+    const withdrawal = await withdrawTreasury(req.body, { adminUid: req.user.uid });
+    res.json({ success: true, withdrawal });
+  } catch (error) {
+    console.error('Error withdrawing fees:', error);
+    res.status(error.status || 500).json({ error: error.reason || error.message });
+  }
+});
+
 // ==========================================
 // ERROR HANDLING
 // ==========================================
@@ -286,4 +526,11 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📍 API URL: http://localhost:${PORT}`);
+
+  if (process.env.INDEXER_ENABLED === 'true') {
+    startListener();
+  }
+  if (process.env.OFFER_REFUNDS_ENABLED === 'true') {
+    startOfferSweeper();
+  }
 });
@@ -1,70 +1,35 @@
 // backend/src/services/blockchain.js
 import { ethers } from 'ethers';
 import dotenv from 'dotenv';
+import {
+    ABI,
+    PAYMENT_TOKEN_ABI,
+    SHARE_TOKEN_ABI,
+    SHARE_TOKEN_FACTORY_ABI,
+    createRealEstateMarketplaceClient
+} from '../../../blockchain/client/realEstateMarketplace.js';
 
 dotenv.config();
 
-// RealEstate Contract ABI (minimal for backend operations)
-const REAL_ESTATE_ABI = [
-    {
-        "inputs": [
-            { "internalType": "uint256", "name": "_pricePerShare", "type": "uint256" },
-            { "internalType": "uint256", "name": "_totalShares", "type": "uint256" },
-            { "internalType": "string", "name": "_tokenURI", "type": "string" }
-        ],
-        "name": "listProperty",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-        "name": "properties",
-        "outputs": [
-            { "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "internalType": "uint256", "name": "pricePerShare", "type": "uint256" },
-            { "internalType": "uint256", "name": "totalShares", "type": "uint256" },
-            { "internalType": "uint256", "name": "sharesSold", "type": "uint256" },
-            { "internalType": "address", "name": "owner", "type": "address" },
-            { "internalType": "bool", "name": "isActive", "type": "bool" }
-        ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [],
-        "name": "nextPropertyId",
-        "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            { "indexed": true, "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-            { "indexed": false, "internalType": "uint256", "name": "pricePerShare", "type": "uint256" },
-            { "indexed": false, "internalType": "uint256", "name": "totalShares", "type": "uint256" }
-        ],
-        "name": "PropertyListed",
-        "type": "event"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            { "indexed": true, "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "indexed": true, "internalType": "address", "name": "buyer", "type": "address" },
-            { "indexed": false, "internalType": "uint256", "name": "shares", "type": "uint256" },
-            { "indexed": false, "internalType": "uint256", "name": "amountSpent", "type": "uint256" }
-        ],
-        "name": "SharesPurchased",
-        "type": "event"
-    }
-];
+// Generated from the Hardhat artifact - see blockchain/scripts/generate-client.js
+export const REAL_ESTATE_ABI = ABI;
 
 // Contract address - update after deployment
 let CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || null;
 
+// Properties are priced in MATIC unless listed with an ERC-20 payment token
+export const NATIVE_CURRENCY = Object.freeze({ address: null, symbol: 'MATIC', decimals: 18 });
+
+// FundingStatus enum of the contract, by value
+export const FUNDING_STATUSES = Object.freeze(['NONE', 'OPEN', 'SUCCEEDED', 'FAILED']);
+
+// PricingMode enum of the contract (primary sale pricing), by value
+export const PRICING_MODES = Object.freeze(['FIXED', 'DUTCH_AUCTION', 'BONDING_CURVE']);
+
+// ProposalState and VoteType enums of the contract (shareholder governance), by value
+export const PROPOSAL_STATES = Object.freeze(['ACTIVE', 'DEFEATED', 'SUCCEEDED', 'CANCELLED']);
+export const VOTE_TYPES = Object.freeze(['AGAINST', 'FOR', 'ABSTAIN']);
+
 /**
  * Get provider for Polygon Amoy
  */
@@ -88,15 +53,21 @@ export function getAdminWallet() {
 }
 
 /**
- * Get contract instance
+ * Get the generated marketplace client (typed wrappers + event helpers)
  */
-export function getContract(signerOrProvider = null) {
-    if (!CONTRACT_ADDRESS) {
+export function getMarketplace(signerOrProvider = null, address = CONTRACT_ADDRESS) {
+    if (!address) {
         throw new Error('Contract address not configured. Deploy the contract first.');
     }
 
-    const provider = signerOrProvider || getProvider();
-    return new ethers.Contract(CONTRACT_ADDRESS, REAL_ESTATE_ABI, provider);
+    return createRealEstateMarketplaceClient(ethers, address, signerOrProvider || getProvider());
+}
+
+/**
+ * Get contract instance
+ */
+export function getContract(signerOrProvider = null) {
+    return getMarketplace(signerOrProvider).contract;
 }
 
 /**
@@ -106,57 +77,546 @@ export function setContractAddress(address) {
     CONTRACT_ADDRESS = address;
 }
 
+/**
+ * Address of the marketplace the backend talks to
+ */
+export function getContractAddress() {
+    return CONTRACT_ADDRESS;
+}
+
+let chainIdPromise = null;
+
+/**
+ * Chain id of the configured RPC (cached after the first successful call)
+ * @returns {Promise<string>}
+ */
+export async function getChainId() {
+    if (!chainIdPromise) {
+        chainIdPromise = getProvider().getNetwork()
+            .then(network => network.chainId.toString())
+            .catch((error) => {
+                chainIdPromise = null;
+                throw error;
+            });
+    }
+    return chainIdPromise;
+}
+
+/**
+ * The stablecoin properties may be priced in (STABLECOIN_ADDRESS), or null
+ */
+export function getStablecoinAddress() {
+    const address = process.env.STABLECOIN_ADDRESS;
+    return address && ethers.isAddress(address) ? ethers.getAddress(address) : null;
+}
+
+// Token metadata never changes, and a property's payment token is fixed at listing
+const tokenCurrencyCache = new Map();
+const paymentCurrencyCache = new Map();
+
+/**
+ * Symbol and decimals of an ERC-20 payment token (NATIVE_CURRENCY for null)
+ * @returns {Promise<{address: string|null, symbol: string, decimals: number}>}
+ */
+export async function getTokenCurrency(address) {
+    if (!address || address === ethers.ZeroAddress) return NATIVE_CURRENCY;
+
+    const key = address.toLowerCase();
+    if (!tokenCurrencyCache.has(key)) {
+        const token = new ethers.Contract(address, PAYMENT_TOKEN_ABI, getProvider());
+        const promise = Promise.all([token.symbol(), token.decimals()])
+            .then(([symbol, decimals]) => ({ address: ethers.getAddress(address), symbol, decimals: Number(decimals) }));
+        promise.catch(() => tokenCurrencyCache.delete(key));
+        tokenCurrencyCache.set(key, promise);
+    }
+    return tokenCurrencyCache.get(key);
+}
+
+/**
+ * The currency a property is priced and settled in
+ * @param {Object} [options]
+ * @param {number|string} [options.blockTag] - Block to read at (latest by default); the
+ *   property must be listed by then
+ * @returns {Promise<{address: string|null, symbol: string, decimals: number}>}
+ */
+export async function getPaymentCurrency(chainPropertyId, { blockTag } = {}) {
+    const key = `${CONTRACT_ADDRESS}:${chainPropertyId}`;
+    if (!paymentCurrencyCache.has(key)) {
+        const promise = getMarketplace().paymentTokens(chainPropertyId, { blockTag }).then(getTokenCurrency);
+        promise.catch(() => paymentCurrencyCache.delete(key));
+        paymentCurrencyCache.set(key, promise);
+    }
+    return paymentCurrencyCache.get(key);
+}
+
 /**
  * List property on blockchain (admin only)
+ * @param {string|number} pricePerShare - In the payment currency (MATIC by default)
+ * @param {Object} [options]
+ * @param {string|null} [options.paymentToken] - ERC-20 the property is priced in, null for MATIC
+ * @param {string|null} [options.beneficiary] - Seller wallet that owns the property and receives its
+ *   primary sale proceeds, null for the admin wallet
+ * @param {{softCap: string|number, deadline: number}|null} [options.funding] - Sell the shares in a
+ *   funding round: soft cap in the payment currency, deadline in unix seconds. null for a plain sale.
+ * @param {{mode: string, endPrice: string|number, auctionEnd: number}|null} [options.pricing] - Price the
+ *   shares on a DUTCH_AUCTION (falling to endPrice at auctionEnd, in unix seconds) or a BONDING_CURVE
+ *   (rising to endPrice for the last share). null for a fixed price.
+ * @param {Function} [options.onSubmitted] - onSubmitted(txHash) is awaited once the tx is broadcast,
+ *   before waiting for it to be mined
  */
-export async function listPropertyOnChain(pricePerShareMatic, totalShares, metadataUri) {
+export async function listPropertyOnChain(pricePerShare, totalShares, metadataUri, { paymentToken = null, beneficiary = null, funding = null, pricing = null, onSubmitted } = {}) {
     const wallet = getAdminWallet();
-    const contract = getContract(wallet);
+    const marketplace = getMarketplace(wallet);
+    await marketplace.verifyDeployment();
 
-    // Convert MATIC to Wei
-    const priceInWei = ethers.parseEther(pricePerShareMatic.toString());
+    // Convert to the currency's smallest unit (wei for MATIC)
+    const currency = await getTokenCurrency(paymentToken);
+    const priceInUnits = ethers.parseUnits(pricePerShare.toString(), currency.decimals);
+    const softCapInUnits = funding ? ethers.parseUnits(funding.softCap.toString(), currency.decimals) : 0n;
+    const endPriceInUnits = pricing ? ethers.parseUnits(pricing.endPrice.toString(), currency.decimals) : 0n;
+
+    const tx = await marketplace.listProperty(
+        priceInUnits,
+        totalShares,
+        metadataUri,
+        currency.address || ethers.ZeroAddress,
+        beneficiary || ethers.ZeroAddress,
+        softCapInUnits,
+        funding ? funding.deadline : 0,
+        pricing ? PRICING_MODES.indexOf(pricing.mode) : 0,
+        endPriceInUnits,
+        pricing?.auctionEnd || 0
+    );
+    await onSubmitted?.(tx.hash);
 
-    const tx = await contract.listProperty(priceInWei, totalShares, metadataUri);
     const receipt = await tx.wait();
 
     // Get property ID from event
-    const event = receipt.logs.find(log => {
-        try {
-            const parsed = contract.interface.parseLog(log);
-            return parsed.name === 'PropertyListed';
-        } catch {
-            return false;
-        }
-    });
-
-    let propertyId = null;
-    if (event) {
-        const parsed = contract.interface.parseLog(event);
-        propertyId = parsed.args.id.toString();
-    }
+    const event = marketplace.findEvent(receipt, 'PropertyListed');
 
     return {
         success: true,
         txHash: receipt.hash,
-        propertyId: propertyId,
+        propertyId: event ? event.args.id.toString() : null,
         blockNumber: receipt.blockNumber
     };
 }
 
+/**
+ * Look up the outcome of a listProperty transaction sent earlier
+ * @returns {Promise<{status: 'listed'|'reverted'|'dropped', propertyId?: string, blockNumber?: number}>}
+ */
+export async function getListingFromTx(txHash, timeoutMs = 120000) {
+    const provider = getProvider();
+    const tx = await provider.getTransaction(txHash);
+    if (!tx) return { status: 'dropped' };
+
+    const receipt = await provider.waitForTransaction(txHash, 1, timeoutMs);
+    if (receipt.status === 0) return { status: 'reverted', blockNumber: receipt.blockNumber };
+
+    const event = getMarketplace(provider).findEvent(receipt, 'PropertyListed');
+    return {
+        status: 'listed',
+        propertyId: event ? event.args.id.toString() : null,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+/**
+ * Find the on-chain property listed with a metadata URI (newest first).
+ * Linear in the number of properties, so only used to recover lost transactions.
+ */
+export async function findPropertyByMetadataUri(metadataUri) {
+    const marketplace = getMarketplace();
+    const count = Number(await marketplace.nextPropertyId());
+
+    for (let id = count - 1; id >= 0; id--) {
+        const property = await marketplace.getPropertyDetails(id);
+        if (property.metadataURI === metadataUri) return id.toString();
+    }
+    return null;
+}
+
 /**
  * Get property details from blockchain
  */
 export async function getPropertyFromChain(propertyId) {
-    const contract = getContract();
-    const property = await contract.properties(propertyId);
+    const [property, currency] = await Promise.all([
+        getMarketplace().getPropertyDetails(propertyId),
+        getPaymentCurrency(propertyId)
+    ]);
 
     return {
         id: property.id.toString(),
-        pricePerShare: ethers.formatEther(property.pricePerShare),
+        currency,
+        pricePerShare: ethers.formatUnits(property.initialPrice, currency.decimals),
+        initialPrice: ethers.formatUnits(property.initialPrice, currency.decimals),
+        currentPrice: ethers.formatUnits(property.currentPrice, currency.decimals),
         totalShares: property.totalShares.toString(),
         sharesSold: property.sharesSold.toString(),
+        availableShares: property.availableShares.toString(),
         owner: property.owner,
-        isActive: property.isActive
+        isActive: property.isActive,
+        metadataURI: property.metadataURI
+    };
+}
+
+/**
+ * Send an owner-only marketplace transaction from the admin wallet and wait for it
+ */
+async function sendAdminTransaction(method, ...args) {
+    const marketplace = getMarketplace(getAdminWallet());
+    await marketplace.verifyDeployment();
+
+    const tx = await marketplace[method](...args);
+    const receipt = await tx.wait();
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+/**
+ * Halt or resume primary sales of a property
+ */
+export async function setPrimarySaleActive(chainPropertyId, active) {
+    return sendAdminTransaction('setPrimarySaleActive', chainPropertyId, active);
+}
+
+/**
+ * Halt or resume resale trading of a property
+ */
+export async function setResaleActive(chainPropertyId, active) {
+    return sendAdminTransaction('setResaleActive', chainPropertyId, active);
+}
+
+/**
+ * Permanently stop all trading of a property
+ */
+export async function delistPropertyOnChain(chainPropertyId) {
+    return sendAdminTransaction('delistProperty', chainPropertyId);
+}
+
+/**
+ * Emergency stop (or restart) of all trading on the marketplace
+ */
+export async function setMarketplacePaused(paused) {
+    return sendAdminTransaction(paused ? 'pause' : 'unpause');
+}
+
+/**
+ * What trading is currently allowed for a property
+ * @returns {Promise<{primarySaleActive: boolean, resaleActive: boolean, delisted: boolean, paused: boolean}>}
+ */
+export async function getTradingStatus(chainPropertyId) {
+    const status = await getMarketplace().getTradingStatus(chainPropertyId);
+
+    return {
+        primarySaleActive: status.primarySaleActive,
+        resaleActive: status.resaleActive,
+        delisted: status.isDelisted,
+        paused: status.marketplacePaused
+    };
+}
+
+/**
+ * A property's price band and circuit breaker settings, and whether the
+ * breaker has halted resale trading
+ * @returns {Promise<{bandBps: number, relativeToAverage: boolean, haltMoveBps: number, haltWindowSeconds: number, circuitBreakerTripped: boolean}>}
+ */
+export async function getPriceLimits(chainPropertyId) {
+    const marketplace = getMarketplace();
+    const [limits, tripped] = await Promise.all([
+        marketplace.priceLimits(chainPropertyId),
+        marketplace.circuitBreakerTripped(chainPropertyId)
+    ]);
+
+    return {
+        bandBps: Number(limits.bandBps),
+        relativeToAverage: limits.relativeToAverage,
+        haltMoveBps: Number(limits.haltMoveBps),
+        haltWindowSeconds: Number(limits.haltWindow),
+        circuitBreakerTripped: tripped
+    };
+}
+
+/**
+ * Change a property's price band and circuit breaker (0 turns either off)
+ */
+export async function setPriceLimitsOnChain(chainPropertyId, bandBps, relativeToAverage, haltMoveBps, haltWindowSeconds) {
+    return sendAdminTransaction('setPriceLimits', chainPropertyId, bandBps, relativeToAverage, haltMoveBps, haltWindowSeconds);
+}
+
+/**
+ * A property's funding round, amounts in its currency. status is one of
+ * FUNDING_STATUSES (NONE for properties sold without a round); a round that
+ * missed its soft cap by the deadline is already FAILED.
+ * @returns {Promise<{softCap: string, deadline: number, raised: string, status: string}>}
+ */
+export async function getFundingStatus(chainPropertyId) {
+    const [round, currency] = await Promise.all([
+        getMarketplace().getFundingStatus(chainPropertyId),
+        getPaymentCurrency(chainPropertyId)
+    ]);
+
+    return {
+        softCap: ethers.formatUnits(round.softCap, currency.decimals),
+        deadline: Number(round.deadline),
+        raised: ethers.formatUnits(round.raised, currency.decimals),
+        status: FUNDING_STATUSES[Number(round.status)]
+    };
+}
+
+/**
+ * How a property's primary shares are priced, prices in its currency. mode is
+ * one of PRICING_MODES; startTime and endTime bound a Dutch auction (0 otherwise).
+ * @returns {Promise<{mode: string, startPrice: string, endPrice: string, startTime: number, endTime: number}>}
+ */
+export async function getPrimaryPricing(chainPropertyId) {
+    const [pricing, currency] = await Promise.all([
+        getMarketplace().getPrimaryPricing(chainPropertyId),
+        getPaymentCurrency(chainPropertyId)
+    ]);
+
+    return {
+        mode: PRICING_MODES[Number(pricing.mode)],
+        startPrice: ethers.formatUnits(pricing.startPrice, currency.decimals),
+        endPrice: ethers.formatUnits(pricing.endPrice, currency.decimals),
+        startTime: Number(pricing.startTime),
+        endTime: Number(pricing.endTime)
+    };
+}
+
+/**
+ * Release a funding round that reached its soft cap to the property owner
+ */
+export async function finalizeFundingOnChain(chainPropertyId) {
+    return sendAdminTransaction('finalizeFunding', chainPropertyId);
+}
+
+/**
+ * Call off an open funding round so its buyers can claim refunds
+ */
+export async function cancelFundingOnChain(chainPropertyId) {
+    return sendAdminTransaction('cancelFunding', chainPropertyId);
+}
+
+/**
+ * Whether the contract-wide emergency pause is on
+ */
+export async function isMarketplacePaused() {
+    return getMarketplace().paused();
+}
+
+/**
+ * Deposit rental income for a property from the admin wallet
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, logIndex: number|null, amountWei: string, sharesOutstanding: string|null}>}
+ */
+export async function depositRentalIncomeOnChain(chainPropertyId, amountMatic) {
+    const marketplace = getMarketplace(getAdminWallet());
+    await marketplace.verifyDeployment();
+
+    const amountWei = ethers.parseEther(amountMatic.toString());
+    const tx = await marketplace.depositRentalIncome(chainPropertyId, { value: amountWei });
+    const receipt = await tx.wait();
+    const event = marketplace.findEvent(receipt, 'RentalIncomeDeposited');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: event?.logIndex ?? null,
+        amountWei: amountWei.toString(),
+        sharesOutstanding: event ? event.args.sharesOutstanding.toString() : null
+    };
+}
+
+/**
+ * Rental income of a wallet for every property it has held
+ * @returns {Promise<Array<{chainPropertyId: string, claimableWei: string, claimable: string, claimedWei: string, claimed: string}>>}
+ */
+export async function getRentalIncome(wallet) {
+    const income = await getMarketplace().getRentalIncome(wallet);
+
+    return income.propertyIds.map((id, i) => ({
+        chainPropertyId: id.toString(),
+        claimableWei: income.claimable[i].toString(),
+        claimable: ethers.formatEther(income.claimable[i]),
+        claimedWei: income.claimed[i].toString(),
+        claimed: ethers.formatEther(income.claimed[i])
+    }));
+}
+
+/**
+ * Sale proceeds escrowed for a wallet, per property. Each property's amount
+ * is in its own currency; the total only counts MATIC proceeds.
+ * @returns {Promise<{totalWei: string, total: string, properties: Array<{chainPropertyId: string, currency: Object, amountWei: string, amount: string}>}>}
+ */
+export async function getPendingProceeds(wallet) {
+    const marketplace = getMarketplace();
+    const [pending, totalWei] = await Promise.all([
+        marketplace.getPendingProceeds(wallet),
+        marketplace.pendingWithdrawals(wallet)
+    ]);
+    const currencies = await Promise.all(pending.propertyIds.map(id => getPaymentCurrency(id)));
+
+    return {
+        totalWei: totalWei.toString(),
+        total: ethers.formatEther(totalWei),
+        properties: pending.propertyIds.map((id, i) => ({
+            chainPropertyId: id.toString(),
+            currency: currencies[i],
+            amountWei: pending.amounts[i].toString(),
+            amount: ethers.formatUnits(pending.amounts[i], currencies[i].decimals)
+        }))
+    };
+}
+
+/**
+ * Trade fees in basis points and the fee treasury balance. `stablecoinTreasury`
+ * holds the fees collected in the configured stablecoin, if there is one.
+ * @returns {Promise<{primaryFeeBps: number, resaleFeeBps: number, royaltyBps: number, maxFeeBps: number, treasuryWei: string, treasury: string, stablecoinTreasury: Object|null}>}
+ */
+export async function getFeeSchedule() {
+    const marketplace = getMarketplace();
+    const stablecoin = getStablecoinAddress();
+    const [primaryFeeBps, resaleFeeBps, royaltyBps, maxFeeBps, treasuryWei, tokenTreasury, currency] = await Promise.all([
+        marketplace.primaryFeeBps(),
+        marketplace.resaleFeeBps(),
+        marketplace.royaltyBps(),
+        marketplace.MAX_FEE_BPS(),
+        marketplace.feeTreasury(),
+        stablecoin ? marketplace.tokenFeeTreasury(stablecoin) : null,
+        stablecoin ? getTokenCurrency(stablecoin) : null
+    ]);
+
+    return {
+        primaryFeeBps: Number(primaryFeeBps),
+        resaleFeeBps: Number(resaleFeeBps),
+        royaltyBps: Number(royaltyBps),
+        maxFeeBps: Number(maxFeeBps),
+        treasuryWei: treasuryWei.toString(),
+        treasury: ethers.formatEther(treasuryWei),
+        stablecoinTreasury: currency ? {
+            currency,
+            amountUnits: tokenTreasury.toString(),
+            amount: ethers.formatUnits(tokenTreasury, currency.decimals)
+        } : null
+    };
+}
+
+/**
+ * Change the platform fees and lister royalty (basis points)
+ */
+export async function setFeesOnChain(primaryFeeBps, resaleFeeBps, royaltyBps) {
+    return sendAdminTransaction('setFees', primaryFeeBps, resaleFeeBps, royaltyBps);
+}
+
+/**
+ * Pay collected platform fees out of the treasury
+ */
+export async function withdrawFeesOnChain(to, amountWei) {
+    return sendAdminTransaction('withdrawFees', to, amountWei);
+}
+
+/**
+ * Pay platform fees collected in an ERC-20 payment token out of its treasury
+ * @param {bigint|string} amountUnits - In the token's smallest unit
+ */
+export async function withdrawTokenFeesOnChain(token, to, amountUnits) {
+    return sendAdminTransaction('withdrawTokenFees', token, to, amountUnits);
+}
+
+/**
+ * Close an expired resale listing, returning its unsold shares to the seller
+ */
+export async function expireListingOnChain(listingId) {
+    return sendAdminTransaction('expireResaleListing', listingId);
+}
+
+/**
+ * Clear an expired offer (or one on a closed listing), refunding its escrow
+ * to the buyer's proceeds
+ */
+export async function cancelOfferOnChain(offerId) {
+    return sendAdminTransaction('cancelOffer', offerId);
+}
+
+/**
+ * The ERC-20 share token of a property, or null if it has none yet
+ * @returns {Promise<{address: string, name: string, symbol: string, decimals: number, totalSupply: string, needsMigration: boolean}|null>}
+ */
+export async function getShareToken(chainPropertyId) {
+    const address = await getMarketplace().shareTokens(chainPropertyId);
+    if (address === ethers.ZeroAddress) return null;
+
+    const token = new ethers.Contract(address, SHARE_TOKEN_ABI, getProvider());
+    const [name, symbol, decimals, totalSupply, needsMigration] = await Promise.all([
+        token.name(),
+        token.symbol(),
+        token.decimals(),
+        token.totalSupply(),
+        token.needsMigration()
+    ]);
+
+    return { address, name, symbol, decimals: Number(decimals), totalSupply: totalSupply.toString(), needsMigration };
+}
+
+/**
+ * Deploy a property's share token through the marketplace's FractionalPropertyFactory
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, address: string|null}>}
+ */
+export async function createShareTokenOnChain(chainPropertyId, name, symbol) {
+    const wallet = getAdminWallet();
+    const marketplace = getMarketplace(wallet);
+    await marketplace.verifyDeployment();
+
+    const factoryAddress = await marketplace.shareTokenFactory();
+    if (factoryAddress === ethers.ZeroAddress) {
+        throw new Error('No share token factory configured on the marketplace');
+    }
+
+    const factory = new ethers.Contract(factoryAddress, SHARE_TOKEN_FACTORY_ABI, wallet);
+    const tx = await factory.createShareToken(chainPropertyId, name, symbol);
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+        .map(log => { try { return factory.interface.parseLog(log); } catch { return null; } })
+        .find(parsed => parsed?.name === 'ShareTokenCreated');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        address: event ? event.args.token : null
+    };
+}
+
+/**
+ * Holders among `wallets` that a migrating share token hasn't announced yet
+ */
+export async function getUnannouncedHolders(tokenAddress, wallets) {
+    const token = new ethers.Contract(tokenAddress, SHARE_TOKEN_ABI, getProvider());
+    const announced = await Promise.all(wallets.map(wallet => token.isAnnounced(wallet)));
+    return wallets.filter((_, i) => !announced[i]);
+}
+
+/**
+ * Emit the opening Transfer events of holders who bought before the share
+ * token existed (sent from the admin wallet)
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number}>}
+ */
+export async function announceShareTokenHolders(tokenAddress, wallets) {
+    const token = new ethers.Contract(tokenAddress, SHARE_TOKEN_ABI, getAdminWallet());
+    const tx = await token.announceHolders(wallets);
+    const receipt = await tx.wait();
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
     };
 }
 
@@ -164,8 +624,7 @@ export async function getPropertyFromChain(propertyId) {
  * Get total number of properties
  */
 export async function getPropertyCount() {
-    const contract = getContract();
-    const count = await contract.nextPropertyId();
+    const count = await getMarketplace().nextPropertyId();
     return count.toString();
 }
 
@@ -178,11 +637,23 @@ export async function checkConnection() {
         const network = await provider.getNetwork();
         const blockNumber = await provider.getBlockNumber();
 
+        // Deployed bytecode must match the generated client
+        let contract = null;
+        if (CONTRACT_ADDRESS) {
+            try {
+                await getMarketplace(provider).verifyDeployment();
+                contract = { address: CONTRACT_ADDRESS, verified: true };
+            } catch (error) {
+                contract = { address: CONTRACT_ADDRESS, verified: false, error: error.message };
+            }
+        }
+
         return {
             connected: true,
             network: network.name,
             chainId: network.chainId.toString(),
-            blockNumber: blockNumber
+            blockNumber: blockNumber,
+            contract
         };
     } catch (error) {
         return {
@@ -195,11 +666,45 @@ export async function checkConnection() {
 export default {
     getProvider,
     getAdminWallet,
+    getMarketplace,
     getContract,
     setContractAddress,
+    getContractAddress,
+    getChainId,
+    getStablecoinAddress,
+    getTokenCurrency,
+    getPaymentCurrency,
     listPropertyOnChain,
+    getListingFromTx,
+    findPropertyByMetadataUri,
+    setPrimarySaleActive,
+    setResaleActive,
+    delistPropertyOnChain,
+    setMarketplacePaused,
+    getTradingStatus,
+    getPriceLimits,
+    setPriceLimitsOnChain,
+    getFundingStatus,
+    getPrimaryPricing,
+    finalizeFundingOnChain,
+    cancelFundingOnChain,
+    isMarketplacePaused,
+    getPendingProceeds,
+    depositRentalIncomeOnChain,
+    getRentalIncome,
+    getFeeSchedule,
+    setFeesOnChain,
+    withdrawFeesOnChain,
+    withdrawTokenFeesOnChain,
+    expireListingOnChain,
+    cancelOfferOnChain,
+    getShareToken,
+    createShareTokenOnChain,
+    getUnannouncedHolders,
+    announceShareTokenHolders,
     getPropertyFromChain,
     getPropertyCount,
     checkConnection,
+    NATIVE_CURRENCY,
     REAL_ESTATE_ABI
 };
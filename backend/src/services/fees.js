@@ -0,0 +1,128 @@
+// backend/src/services/fees.js
+/**
+ * Trade Fees
+ *
+ * The marketplace contract deducts a platform fee from the seller's side of
+ * every trade (primary and resale, in basis points) and, on resales, an
+ * optional royalty that is credited to the property's original lister. The
+ * platform fee accumulates in the contract's fee treasury until the admin
+ * withdraws it. Fees on stablecoin-priced properties are kept in a separate
+ * treasury per token.
+ */
+
+import { ethers } from 'ethers';
+import {
+    getFeeSchedule,
+    setFeesOnChain,
+    withdrawFeesOnChain,
+    withdrawTokenFeesOnChain,
+    getAdminWallet
+} from './blockchain.js';
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function parseBps(value, label, maxFeeBps) {
+    const bps = Number(value);
+    if (!Number.isInteger(bps) || bps < 0) {
+        throw httpError(400, `${label} must be a whole number of basis points`);
+    }
+    if (bps > maxFeeBps) {
+        throw httpError(400, `${label} cannot exceed ${maxFeeBps} bps (${maxFeeBps / 100}%)`);
+    }
+    return bps;
+}
+
+/**
+ * Current fee schedule and treasury balance
+ */
+export async function getFees() {
+    return getFeeSchedule();
+}
+
+/**
+ * Change the trade fees
+ * @param {{primaryFeeBps: number, resaleFeeBps: number, royaltyBps: number}} fees - Basis points (100 = 1%)
+ * @returns {Promise<Object>} The new fee schedule
+ */
+export async function updateFees({ primaryFeeBps, resaleFeeBps, royaltyBps } = {}, { adminUid } = {}) {
+    const { maxFeeBps } = await getFeeSchedule();
+
+    const primary = parseBps(primaryFeeBps, 'Primary fee', maxFeeBps);
+    const resale = parseBps(resaleFeeBps, 'Resale fee', maxFeeBps);
+    const royalty = parseBps(royaltyBps, 'Royalty', maxFeeBps);
+    if (resale + royalty > maxFeeBps) {
+        throw httpError(400, `Resale fee and royalty together cannot exceed ${maxFeeBps} bps`);
+    }
+
+    const result = await setFeesOnChain(primary, resale, royalty);
+    console.log(`💸 Fees set to ${primary}/${resale}/${royalty} bps by ${adminUid || 'admin'}: ${result.txHash}`);
+
+    return { ...(await getFeeSchedule()), txHash: result.txHash };
+}
+
+/**
+ * Withdraw collected platform fees
+ * @param {{to?: string, amount?: number|string, currency?: string}} withdrawal - Recipient (defaults to the
+ *   admin wallet), amount (defaults to the whole treasury) and which treasury: 'MATIC' (default) or
+ *   'STABLECOIN' for the fees collected in the configured stablecoin
+ */
+export async function withdrawTreasury({ to, amount, currency = 'MATIC' } = {}, { adminUid } = {}) {
+    const recipient = to || getAdminWallet().address;
+    if (!ethers.isAddress(recipient)) {
+        throw httpError(400, 'Invalid recipient address');
+    }
+    if (currency !== 'MATIC' && currency !== 'STABLECOIN') {
+        throw httpError(400, 'Currency must be MATIC or STABLECOIN');
+    }
+
+    const schedule = await getFeeSchedule();
+    const stablecoin = currency === 'STABLECOIN' ? schedule.stablecoinTreasury : null;
+    if (currency === 'STABLECOIN' && !stablecoin) {
+        throw httpError(409, 'No stablecoin is configured');
+    }
+
+    const symbol = stablecoin ? stablecoin.currency.symbol : 'MATIC';
+    const decimals = stablecoin ? stablecoin.currency.decimals : 18;
+    const available = BigInt(stablecoin ? stablecoin.amountUnits : schedule.treasuryWei);
+    if (available === 0n) {
+        throw httpError(409, `The ${symbol} fee treasury is empty`);
+    }
+
+    let amountUnits = available;
+    if (amount !== undefined && amount !== null && amount !== '') {
+        try {
+            amountUnits = ethers.parseUnits(String(amount), decimals);
+        } catch {
+            throw httpError(400, `Enter the amount in ${symbol}`);
+        }
+        if (amountUnits <= 0n) {
+            throw httpError(400, 'Amount must be greater than 0');
+        }
+        if (amountUnits > available) {
+            throw httpError(409, `Only ${ethers.formatUnits(available, decimals)} ${symbol} is in the fee treasury`);
+        }
+    }
+
+    const result = stablecoin
+        ? await withdrawTokenFeesOnChain(stablecoin.currency.address, recipient, amountUnits)
+        : await withdrawFeesOnChain(recipient, amountUnits);
+    console.log(`💸 ${ethers.formatUnits(amountUnits, decimals)} ${symbol} of fees withdrawn to ${recipient} by ${adminUid || 'admin'}: ${result.txHash}`);
+
+    return {
+        to: recipient,
+        currency: symbol,
+        amountWei: amountUnits.toString(),
+        amount: ethers.formatUnits(amountUnits, decimals),
+        txHash: result.txHash
+    };
+}
+
+export default {
+    getFees,
+    updateFees,
+    withdrawTreasury
+};
@@ -0,0 +1,108 @@
+// backend/src/services/fundingRounds.js
+/**
+ * Funding Rounds
+ *
+ * A property listed with a soft cap and a deadline sells its shares in a
+ * funding round: buyers' payments stay in escrow on the contract, and their
+ * shares can't be resold or transferred, until the round is finalized. The
+ * admin finalizes a round once the soft cap is met (anyone can after the
+ * deadline), which pays the raise out to the property owner less the
+ * platform fee and opens resale trading. A cancelled round, or one that
+ * missed its soft cap by the deadline, has failed: buyers claim their refunds
+ * themselves from PropertyDetails and their shares are voided.
+ *
+ * The on-chain state is copied onto the property document as `fundingRound`
+ * (the requested terms stay in `funding`). The chain indexer writes the same
+ * field when it sees the funding events.
+ */
+
+import admin, { db } from '../config/firebase.js';
+import {
+    getFundingStatus,
+    finalizeFundingOnChain,
+    cancelFundingOnChain,
+    getTradingStatus
+} from './blockchain.js';
+import { resolveProperty } from './propertyIds.js';
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Read the round and trading status back from the contract and store them in Firestore
+ */
+async function recordRound(propertyId, chainPropertyId, adminUid) {
+    const [round, trading] = await Promise.all([
+        getFundingStatus(chainPropertyId),
+        getTradingStatus(chainPropertyId)
+    ]);
+
+    await db.collection('properties').doc(propertyId).set({
+        fundingRound: round,
+        isActive: trading.primarySaleActive,
+        resaleActive: trading.resaleActive,
+        fundingUpdatedBy: adminUid || null,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return round;
+}
+
+/**
+ * The property's round, which must still be open
+ */
+async function openRound(propertyId) {
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const round = await getFundingStatus(chainPropertyId);
+
+    if (round.status === 'NONE') {
+        throw httpError(400, 'This property was not listed with a funding round');
+    }
+    if (round.status !== 'OPEN') {
+        throw httpError(409, `The funding round has already ${round.status === 'SUCCEEDED' ? 'succeeded' : 'failed'}`);
+    }
+    return { chainPropertyId, round };
+}
+
+/**
+ * Release a round that reached its soft cap to the property owner
+ * @param {string} propertyId - Firestore property id
+ * @returns {Promise<Object>} The finalized round plus the tx hash
+ */
+export async function finalizeFundingRound(propertyId, { adminUid } = {}) {
+    const { chainPropertyId, round } = await openRound(propertyId);
+    if (Number(round.raised) < Number(round.softCap)) {
+        throw httpError(409, `The soft cap is not reached yet (${round.raised} of ${round.softCap} raised)`);
+    }
+
+    const { txHash } = await finalizeFundingOnChain(chainPropertyId);
+    const result = await recordRound(propertyId, chainPropertyId, adminUid);
+    console.log(`🎯 Funding round of ${propertyId} (#${chainPropertyId}) finalized with ${result.raised} raised: ${txHash}`);
+
+    return { propertyId, chainPropertyId, ...result, txHash };
+}
+
+/**
+ * Call off an open round; its buyers can then claim refunds
+ * @param {string} propertyId - Firestore property id
+ * @returns {Promise<Object>} The failed round plus the tx hash
+ */
+export async function cancelFundingRound(propertyId, { adminUid } = {}) {
+    const { chainPropertyId } = await openRound(propertyId);
+
+    const { txHash } = await cancelFundingOnChain(chainPropertyId);
+    const result = await recordRound(propertyId, chainPropertyId, adminUid);
+    console.log(`↩️ Funding round of ${propertyId} (#${chainPropertyId}) cancelled, ${result.raised} to refund: ${txHash}`);
+
+    return { propertyId, chainPropertyId, ...result, txHash };
+}
+
+export default {
+    finalizeFundingRound,
+    cancelFundingRound
+};
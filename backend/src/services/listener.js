@@ -0,0 +1,1121 @@
+// backend/src/services/listener.js
+/**
+ * Chain Event Indexer
+ *
+ * Mirrors RealEstateMarketplace events into the Firestore collections the
+ * frontend reads (properties, userShares, resaleListings, resaleBids,
+ * resaleOffers, proposals, proposalVotes, resaleHistory, rentalDistributions,
+ * transactions).
+ *
+ * - Polls the chain in block ranges and stores a cursor in `indexerState`
+ * - Backfills from INDEXER_START_BLOCK on first run, resumes after restarts
+ * - Only indexes blocks with INDEXER_CONFIRMATIONS confirmations
+ * - Detects reorgs by re-checking the cursor's block hash and rewinds
+ *
+ * State documents (properties, userShares, resaleListings, resaleBids, resaleOffers, proposals)
+ * are rebuilt from contract reads rather than incremented, so replaying a range
+ * is harmless. Event documents (resaleHistory, rentalDistributions, transactions)
+ * are keyed by txHash + logIndex and votes (proposalVotes) by proposal and voter;
+ * a reorg rewind deletes them above the block it returns to.
+ *
+ * Trades are recorded with the fees charged on them (TradeFeesCharged is
+ * emitted just before the trade event in the same transaction), and buyers
+ * and sellers are emailed once the block is committed (services/notifications.js).
+ * Sellers are also emailed about offers on their listings, and buyers about
+ * counter-offers and offers closed with a refund, and recipients of share
+ * transfers when they arrive.
+ *
+ * Properties sold in a funding round carry the round's on-chain state as
+ * `fundingRound`; purchases into an open round are escrowed, so they have no
+ * fees until the round is finalized (recorded as FUNDING_FINALIZED).
+ * Properties sold in a Dutch auction or on a bonding curve carry their terms
+ * as `primaryPricing`; their purchases record the amount actually charged.
+ *
+ * Shareholder proposals store their tally and state as of the last vote. A
+ * proposal's result needs no transaction, so one still ACTIVE past its
+ * `votingEnd` has closed - read the result from the contract.
+ */
+
+import { ethers } from 'ethers';
+import admin, { db } from '../config/firebase.js';
+import {
+    getProvider,
+    getMarketplace,
+    getChainId,
+    getPaymentCurrency,
+    FUNDING_STATUSES,
+    PRICING_MODES,
+    PROPOSAL_STATES,
+    VOTE_TYPES
+} from './blockchain.js';
+import { findPropertyDocId } from './propertyIds.js';
+import { getUserContact, deliverNotifications } from './notifications.js';
+import {
+    sendInvestmentConfirmation,
+    sendResalePurchaseConfirmation,
+    sendResaleSaleNotification,
+    sendOfferReceived,
+    sendOfferCountered,
+    sendOfferClosed,
+    sendSharesReceived
+} from './mailer.js';
+import { EVENTS, SHARE_TOKEN_ABI } from '../../../blockchain/client/realEstateMarketplace.js';
+
+const INDEXED_EVENTS = [
+    'PropertyListed',
+    'TradeFeesCharged',
+    'SharesPurchased',
+    'ResaleListingCreated',
+    'ResaleCompleted',
+    'ResaleListingCancelled',
+    'ResaleListingUpdated',
+    'ResaleListingExpired',
+    'SharesTransferred',
+    'BidPlaced',
+    'BidFilled',
+    'BidCancelled',
+    'OfferMade',
+    'OfferCountered',
+    'OfferAccepted',
+    'OfferRejected',
+    'OfferCancelled',
+    'MarketPriceUpdated',
+    'PrimarySaleStatusChanged',
+    'ResaleTradingStatusChanged',
+    'PriceLimitsUpdated',
+    'CircuitBreakerTripped',
+    'PropertyDelisted',
+    'PropertyOwnerChanged',
+    'ShareTokenRegistered',
+    'FundingStarted',
+    'FundingFinalized',
+    'FundingFailed',
+    'FundingRefunded',
+    'PrimaryPricingSet',
+    'ProposalCreated',
+    'VoteCast',
+    'ProposalCancelled',
+    'ProceedsWithdrawn',
+    'RentalIncomeDeposited',
+    'RentalIncomeClaimed'
+];
+
+// Collections that hold one document per chain event (rolled back on reorg)
+const EVENT_COLLECTIONS = ['transactions', 'resaleHistory', 'rentalDistributions', 'proposalVotes'];
+
+const CURSOR_DOC = 'realEstateMarketplace';
+
+// Writes per Firestore batch (a batch holds at most 500)
+const MAX_BATCH_WRITES = 400;
+
+// Trades older than this (e.g. during a first backfill) are not emailed about
+const NOTIFICATION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read indexer settings from the environment
+ * For a local Hardhat node use RPC_URL=http://127.0.0.1:8545,
+ * INDEXER_START_BLOCK=0 and INDEXER_CONFIRMATIONS=0.
+ */
+export function getIndexerConfig() {
+    return {
+        startBlock: parseInt(process.env.INDEXER_START_BLOCK) || 0,
+        confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS ?? '5'),
+        batchSize: parseInt(process.env.INDEXER_BATCH_SIZE) || 2000,
+        pollIntervalMs: parseInt(process.env.INDEXER_POLL_INTERVAL_MS) || 5000,
+        reorgDepth: parseInt(process.env.INDEXER_REORG_DEPTH) || 20
+    };
+}
+
+const toMatic = (wei) => parseFloat(ethers.formatEther(wei));
+// Trade amounts are in the property's currency (see getPaymentCurrency); rental income is always MATIC
+const toAmount = (units, currency) => parseFloat(ethers.formatUnits(units, currency.decimals));
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+// ==========================================
+// CURSOR
+// ==========================================
+
+function cursorRef() {
+    return db.collection('indexerState').doc(CURSOR_DOC);
+}
+
+/**
+ * Load the persisted block cursor
+ * @returns {Promise<{blockNumber: number, blockHash: string|null}|null>}
+ */
+export async function getCursor() {
+    const snap = await cursorRef().get();
+    if (!snap.exists) return null;
+
+    const data = snap.data();
+    return {
+        blockNumber: data.lastProcessedBlock,
+        blockHash: data.lastProcessedBlockHash || null
+    };
+}
+
+function cursorUpdate(blockNumber, blockHash, contractAddress) {
+    return {
+        lastProcessedBlock: blockNumber,
+        lastProcessedBlockHash: blockHash,
+        contractAddress,
+        updatedAt: serverTimestamp()
+    };
+}
+
+// ==========================================
+// LOOKUPS (cached per process)
+// ==========================================
+
+const propertyDocCache = new Map();   // chain property id => Firestore doc id
+const walletUidCache = new Map();     // lowercase wallet => uid (misses aren't cached)
+
+/**
+ * Find the Firestore property document for an on-chain property id
+ * (see services/propertyIds.js). Properties listed outside the app get a
+ * `chain_<id>` doc.
+ */
+async function resolvePropertyDocId(chainPropertyId, metadataURI = null) {
+    const key = chainPropertyId.toString();
+    if (propertyDocCache.has(key)) return propertyDocCache.get(key);
+
+    const docId = await findPropertyDocId(key, metadataURI) || `chain_${key}`;
+    propertyDocCache.set(key, docId);
+    return docId;
+}
+
+/**
+ * Find the app user that registered a wallet address. A wallet nobody has
+ * registered is looked up again next time, since its owner may sign up later.
+ */
+async function resolveUserUid(walletAddress) {
+    const key = walletAddress.toLowerCase();
+    if (walletUidCache.has(key)) return walletUidCache.get(key);
+
+    const usersRef = db.collection('users');
+    let snap = await usersRef.where('walletAddress', '==', ethers.getAddress(walletAddress)).limit(1).get();
+    if (snap.empty) {
+        snap = await usersRef.where('walletAddress', '==', key).limit(1).get();
+    }
+
+    if (snap.empty) return null;
+
+    const uid = snap.docs[0].id;
+    walletUidCache.set(key, uid);
+    return uid;
+}
+
+// ==========================================
+// STATE SNAPSHOTS (read from chain at the safe head)
+// ==========================================
+
+async function snapshotProperty(ctx, chainPropertyId) {
+    const [p, trading, limits, breakerTripped, funding, pricing, currency] = await Promise.all([
+        ctx.marketplace.getPropertyDetails(chainPropertyId, { blockTag: ctx.safeHead }),
+        ctx.marketplace.getTradingStatus(chainPropertyId, { blockTag: ctx.safeHead }),
+        ctx.marketplace.priceLimits(chainPropertyId, { blockTag: ctx.safeHead }),
+        ctx.marketplace.circuitBreakerTripped(chainPropertyId, { blockTag: ctx.safeHead }),
+        ctx.marketplace.getFundingStatus(chainPropertyId, { blockTag: ctx.safeHead }),
+        ctx.marketplace.getPrimaryPricing(chainPropertyId, { blockTag: ctx.safeHead }),
+        getPaymentCurrency(chainPropertyId, { blockTag: ctx.safeHead })
+    ]);
+    const docId = await resolvePropertyDocId(chainPropertyId, p.metadataURI);
+
+    const data = {
+        chainPropertyId: chainPropertyId.toString(),
+        contractAddress: ctx.contractAddress,
+        chainId: ctx.chainId,
+        currency,
+        pricePerShare: toAmount(p.initialPrice, currency),
+        initialPrice: toAmount(p.initialPrice, currency),
+        currentPrice: toAmount(p.currentPrice, currency),
+        currentPriceWei: p.currentPrice.toString(),
+        totalShares: Number(p.totalShares),
+        sharesSold: Number(p.sharesSold),
+        availableShares: Number(p.availableShares),
+        onChainOwner: p.owner,
+        isActive: p.isActive,
+        resaleActive: trading.resaleActive,
+        delisted: trading.isDelisted,
+        circuitBreakerTripped: breakerTripped,
+        priceLimits: {
+            bandBps: Number(limits.bandBps),
+            relativeToAverage: limits.relativeToAverage,
+            haltMoveBps: Number(limits.haltMoveBps),
+            haltWindowSeconds: Number(limits.haltWindow)
+        },
+        fundingRound: Number(funding.status) === 0 ? null : {
+            softCap: ethers.formatUnits(funding.softCap, currency.decimals),
+            deadline: Number(funding.deadline),
+            raised: ethers.formatUnits(funding.raised, currency.decimals),
+            status: FUNDING_STATUSES[Number(funding.status)]
+        },
+        primaryPricing: Number(pricing.mode) === 0 ? null : {
+            mode: PRICING_MODES[Number(pricing.mode)],
+            startPrice: ethers.formatUnits(pricing.startPrice, currency.decimals),
+            endPrice: ethers.formatUnits(pricing.endPrice, currency.decimals),
+            startTime: Number(pricing.startTime),
+            endTime: Number(pricing.endTime)
+        },
+        metadataUri: p.metadataURI,
+        status: 'TOKENIZED',
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    };
+
+    // Property listed outside the app - give it enough fields to render
+    if (docId.startsWith('chain_')) {
+        data.propertyId = docId;
+        data.title = `Property #${chainPropertyId}`;
+        data.createdAt = serverTimestamp();
+    }
+
+    ctx.batch.set(db.collection('properties').doc(docId), data, { merge: true });
+    return docId;
+}
+
+async function snapshotUserShares(ctx, chainPropertyId, walletAddress) {
+    const [shares, locked, propertyDocId, uid] = await Promise.all([
+        ctx.marketplace.getUserShares(chainPropertyId, walletAddress, { blockTag: ctx.safeHead }),
+        ctx.marketplace.lockedShares(chainPropertyId, walletAddress, { blockTag: ctx.safeHead }),
+        resolvePropertyDocId(chainPropertyId),
+        resolveUserUid(walletAddress)
+    ]);
+
+    const wallet = walletAddress.toLowerCase();
+    ctx.batch.set(db.collection('userShares').doc(`${propertyDocId}_${wallet}`), {
+        propertyId: propertyDocId,
+        chainPropertyId: chainPropertyId.toString(),
+        walletAddress: wallet,
+        userId: uid,
+        shares: Number(shares),
+        lockedShares: Number(locked),
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+}
+
+async function snapshotListing(ctx, listingId) {
+    const l = await ctx.marketplace.resaleListings(listingId, { blockTag: ctx.safeHead });
+    const [propertyDocId, sellerUid, currency] = await Promise.all([
+        resolvePropertyDocId(l.propertyId),
+        resolveUserUid(l.seller),
+        getPaymentCurrency(l.propertyId, { blockTag: ctx.safeHead })
+    ]);
+
+    ctx.batch.set(db.collection('resaleListings').doc(listingId.toString()), {
+        listingId: listingId.toString(),
+        propertyId: propertyDocId,
+        chainPropertyId: l.propertyId.toString(),
+        sellerWallet: l.seller.toLowerCase(),
+        sellerUid,
+        sharesForSale: Number(l.sharesForSale),
+        sharesSold: Number(l.sharesSold),
+        currency,
+        pricePerShare: toAmount(l.pricePerShare, currency),
+        pricePerShareWei: l.pricePerShare.toString(),
+        isActive: l.isActive,
+        createdAt: new Date(Number(l.createdAt) * 1000),
+        expiresAt: l.expiresAt > 0n ? new Date(Number(l.expiresAt) * 1000) : null,
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { propertyDocId, chainPropertyId: l.propertyId, seller: l.seller, currency };
+}
+
+async function snapshotBid(ctx, bidId) {
+    const b = await ctx.marketplace.buyOrders(bidId, { blockTag: ctx.safeHead });
+    const [propertyDocId, buyerUid, currency] = await Promise.all([
+        resolvePropertyDocId(b.propertyId),
+        resolveUserUid(b.buyer),
+        getPaymentCurrency(b.propertyId, { blockTag: ctx.safeHead })
+    ]);
+
+    ctx.batch.set(db.collection('resaleBids').doc(bidId.toString()), {
+        bidId: bidId.toString(),
+        propertyId: propertyDocId,
+        chainPropertyId: b.propertyId.toString(),
+        buyerWallet: b.buyer.toLowerCase(),
+        buyerUid,
+        sharesWanted: Number(b.sharesWanted),
+        sharesFilled: Number(b.sharesFilled),
+        currency,
+        pricePerShare: toAmount(b.pricePerShare, currency),
+        pricePerShareWei: b.pricePerShare.toString(),
+        expiresAt: b.expiresAt > 0n ? new Date(Number(b.expiresAt) * 1000) : null,
+        isActive: b.isActive,
+        createdAt: new Date(Number(b.createdAt) * 1000),
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { propertyDocId, chainPropertyId: b.propertyId, buyer: b.buyer, currency };
+}
+
+async function snapshotOffer(ctx, offerId) {
+    const o = await ctx.marketplace.offers(offerId, { blockTag: ctx.safeHead });
+    const l = await ctx.marketplace.resaleListings(o.listingId, { blockTag: ctx.safeHead });
+    const [propertyDocId, buyerUid, sellerUid, currency] = await Promise.all([
+        resolvePropertyDocId(l.propertyId),
+        resolveUserUid(o.buyer),
+        resolveUserUid(l.seller),
+        getPaymentCurrency(l.propertyId, { blockTag: ctx.safeHead })
+    ]);
+
+    ctx.batch.set(db.collection('resaleOffers').doc(offerId.toString()), {
+        offerId: offerId.toString(),
+        listingId: o.listingId.toString(),
+        propertyId: propertyDocId,
+        chainPropertyId: l.propertyId.toString(),
+        buyerWallet: o.buyer.toLowerCase(),
+        buyerUid,
+        sellerWallet: l.seller.toLowerCase(),
+        sellerUid,
+        shares: Number(o.shares),
+        currency,
+        pricePerShare: toAmount(o.pricePerShare, currency),
+        pricePerShareWei: o.pricePerShare.toString(),
+        counterPrice: o.counterPrice > 0n ? toAmount(o.counterPrice, currency) : null,
+        counterPriceWei: o.counterPrice > 0n ? o.counterPrice.toString() : null,
+        expiresAt: new Date(Number(o.expiresAt) * 1000),
+        isActive: o.isActive,
+        createdAt: new Date(Number(o.createdAt) * 1000),
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { offer: o, listing: l, propertyDocId, buyerUid, sellerUid, currency };
+}
+
+async function snapshotProposal(ctx, proposalId) {
+    const { proposal: p, state } = await ctx.marketplace.getProposal(proposalId, { blockTag: ctx.safeHead });
+    const [propertyDocId, proposerUid] = await Promise.all([
+        resolvePropertyDocId(p.propertyId),
+        resolveUserUid(p.proposer)
+    ]);
+
+    ctx.batch.set(db.collection('proposals').doc(proposalId.toString()), {
+        proposalId: proposalId.toString(),
+        propertyId: propertyDocId,
+        chainPropertyId: p.propertyId.toString(),
+        proposerWallet: p.proposer.toLowerCase(),
+        proposerUid,
+        description: p.description,
+        snapshotBlock: Number(p.snapshotBlock),
+        votingStart: new Date(Number(p.votingStart) * 1000),
+        votingEnd: new Date(Number(p.votingEnd) * 1000),
+        quorum: Number(p.quorum),
+        forVotes: Number(p.forVotes),
+        againstVotes: Number(p.againstVotes),
+        abstainVotes: Number(p.abstainVotes),
+        state: PROPOSAL_STATES[Number(state)],
+        lastSyncedBlock: ctx.safeHead,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { proposal: p, propertyDocId };
+}
+
+function eventDocId(log) {
+    return `${log.transactionHash}_${log.index}`;
+}
+
+/**
+ * Fees charged on the trade logged by `log`. The TradeFeesCharged event
+ * precedes it in the same transaction.
+ */
+function takeTradeFees(ctx, log) {
+    const index = ctx.fees.findIndex(f => f.txHash === log.transactionHash && f.logIndex < log.index);
+    return index === -1 ? null : ctx.fees.splice(index, 1)[0];
+}
+
+function feeFields(fees, currency) {
+    if (!fees) return {};
+    return {
+        platformFee: toAmount(fees.platformFee, currency),
+        royalty: toAmount(fees.royalty, currency),
+        sellerProceeds: toAmount(fees.sellerProceeds, currency)
+    };
+}
+
+// Amount strings in the property's currency for services/mailer.js
+function feeBreakdown(fees, currency) {
+    if (!fees) return null;
+    return {
+        gross: ethers.formatUnits(fees.grossAmount, currency.decimals),
+        platformFee: ethers.formatUnits(fees.platformFee, currency.decimals),
+        royalty: ethers.formatUnits(fees.royalty, currency.decimals),
+        sellerProceeds: ethers.formatUnits(fees.sellerProceeds, currency.decimals)
+    };
+}
+
+/**
+ * Queue a trade email, sent after the block is committed
+ * @param {(contact: {email: string, firstName: string}, propertyTitle: string) => Promise} send
+ */
+function queueTradeEmail(ctx, key, uid, propertyDocId, send) {
+    if (!uid) return;
+
+    ctx.notifications.push({
+        key,
+        send: async () => {
+            const contact = await getUserContact(uid);
+            if (!contact) return { success: false, error: 'No email address' };
+
+            const property = await db.collection('properties').doc(propertyDocId).get();
+            return send(contact, property.data()?.title || 'your property');
+        }
+    });
+}
+
+function queueOfferClosedEmail(ctx, log, offer, propertyDocId, buyerUid, currency, refund, reason) {
+    const price = ethers.formatUnits(offer.pricePerShare, currency.decimals);
+    queueTradeEmail(ctx, `${eventDocId(log)}_buyer`, buyerUid, propertyDocId, (contact, title) =>
+        sendOfferClosed(contact.email, contact.firstName, title, Number(offer.shares), price,
+            ethers.formatUnits(refund, currency.decimals), reason, currency.symbol));
+}
+
+function eventMeta(log, timestamp) {
+    return {
+        txHash: log.transactionHash,
+        logIndex: log.index,
+        blockNumber: log.blockNumber,
+        timestamp,
+        source: 'chain-indexer'
+    };
+}
+
+/**
+ * Record a secondary-market trade (listing purchase or bid fill): holdings,
+ * price history, the transaction with its fees, and emails to both sides
+ */
+async function recordResaleTrade(ctx, { args, log, timestamp, propertyDocId, listingId, bidId }) {
+    await snapshotProperty(ctx, args.propertyId);
+    await snapshotUserShares(ctx, args.propertyId, args.buyer);
+    await snapshotUserShares(ctx, args.propertyId, args.seller);
+
+    const [buyerUid, sellerUid, currency] = await Promise.all([
+        resolveUserUid(args.buyer),
+        resolveUserUid(args.seller),
+        getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+    ]);
+
+    const pricePerShare = toAmount(args.pricePerShare, currency);
+    const grossWei = args.pricePerShare * args.shares;
+    const fees = takeTradeFees(ctx, log);
+
+    ctx.batch.set(db.collection('resaleHistory').doc(eventDocId(log)), {
+        propertyId: propertyDocId,
+        chainPropertyId: args.propertyId.toString(),
+        listingId,
+        bidId,
+        pricePerShare,
+        shares: Number(args.shares),
+        buyer: args.buyer.toLowerCase(),
+        seller: args.seller.toLowerCase(),
+        ...eventMeta(log, timestamp)
+    });
+
+    ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+        type: 'RESALE_PURCHASE',
+        propertyId: propertyDocId,
+        chainPropertyId: args.propertyId.toString(),
+        listingId,
+        bidId,
+        buyerWallet: args.buyer.toLowerCase(),
+        buyerUid,
+        sellerWallet: args.seller.toLowerCase(),
+        sellerUid,
+        shares: Number(args.shares),
+        pricePerShare,
+        currency,
+        amount: pricePerShare * Number(args.shares),
+        amountWei: grossWei.toString(),
+        ...feeFields(fees, currency),
+        ...eventMeta(log, timestamp)
+    });
+
+    // Trades from before fees existed have no TradeFeesCharged event
+    const breakdown = feeBreakdown(fees, currency) || feeBreakdown({
+        grossAmount: grossWei, platformFee: 0n, royalty: 0n, sellerProceeds: grossWei
+    }, currency);
+    const shares = Number(args.shares);
+    const price = ethers.formatUnits(args.pricePerShare, currency.decimals);
+
+    queueTradeEmail(ctx, `${eventDocId(log)}_buyer`, buyerUid, propertyDocId, (contact, title) =>
+        sendResalePurchaseConfirmation(contact.email, contact.firstName, title, shares, price, log.transactionHash, breakdown, currency.symbol));
+    queueTradeEmail(ctx, `${eventDocId(log)}_seller`, sellerUid, propertyDocId, (contact, title) =>
+        sendResaleSaleNotification(contact.email, contact.firstName, title, shares, price, log.transactionHash, breakdown, currency.symbol));
+}
+
+// ==========================================
+// EVENT HANDLERS
+// ==========================================
+
+const handlers = {
+    async PropertyListed(ctx, { args }) {
+        await snapshotProperty(ctx, args.id);
+    },
+
+    async TradeFeesCharged(ctx, { args, log }) {
+        ctx.fees.push({
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            grossAmount: args.grossAmount,
+            platformFee: args.platformFee,
+            royalty: args.royalty,
+            sellerProceeds: args.grossAmount - args.platformFee - args.royalty
+        });
+    },
+
+    async SharesPurchased(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        await snapshotUserShares(ctx, args.propertyId, args.buyer);
+
+        // Resale purchases are recorded by the ResaleCompleted handler
+        if (!args.isPrimaryPurchase) return;
+
+        const fees = takeTradeFees(ctx, log);
+        const [buyerUid, currency] = await Promise.all([
+            resolveUserUid(args.buyer),
+            getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+        ]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'PRIMARY_PURCHASE',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            buyerWallet: args.buyer.toLowerCase(),
+            buyerUid,
+            shares: Number(args.shares),
+            currency,
+            amount: toAmount(args.amountSpent, currency),
+            amountWei: args.amountSpent.toString(),
+            ...feeFields(fees, currency),
+            ...eventMeta(log, timestamp)
+        });
+
+        queueTradeEmail(ctx, `${eventDocId(log)}_buyer`, buyerUid, propertyDocId, (contact, title) =>
+            sendInvestmentConfirmation(contact.email, contact.firstName, title, Number(args.shares),
+                ethers.formatUnits(args.amountSpent, currency.decimals), log.transactionHash, feeBreakdown(fees, currency), currency.symbol));
+    },
+
+    async ResaleListingCreated(ctx, { args }) {
+        await snapshotListing(ctx, args.listingId);
+        await snapshotUserShares(ctx, args.propertyId, args.seller);
+    },
+
+    async ResaleCompleted(ctx, { args, log, timestamp }) {
+        const { propertyDocId } = await snapshotListing(ctx, args.listingId);
+        await recordResaleTrade(ctx, { args, log, timestamp, propertyDocId, listingId: args.listingId.toString(), bidId: null });
+    },
+
+    async ResaleListingCancelled(ctx, { args }) {
+        const { chainPropertyId, seller } = await snapshotListing(ctx, args.listingId);
+        await snapshotUserShares(ctx, chainPropertyId, seller);
+    },
+
+    // Quantity changes lock or unlock shares
+    async ResaleListingUpdated(ctx, { args }) {
+        const { chainPropertyId, seller } = await snapshotListing(ctx, args.listingId);
+        await snapshotUserShares(ctx, chainPropertyId, seller);
+    },
+
+    async ResaleListingExpired(ctx, { args }) {
+        const { chainPropertyId, seller } = await snapshotListing(ctx, args.listingId);
+        await snapshotUserShares(ctx, chainPropertyId, seller);
+    },
+
+    async SharesTransferred(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        await snapshotUserShares(ctx, args.propertyId, args.from);
+        await snapshotUserShares(ctx, args.propertyId, args.to);
+
+        const [fromUid, toUid] = await Promise.all([resolveUserUid(args.from), resolveUserUid(args.to)]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'SHARE_TRANSFER',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            fromWallet: args.from.toLowerCase(),
+            fromUid,
+            toWallet: args.to.toLowerCase(),
+            toUid,
+            shares: Number(args.shares),
+            ...eventMeta(log, timestamp)
+        });
+
+        queueTradeEmail(ctx, `${eventDocId(log)}_recipient`, toUid, propertyDocId, async (contact, title) => {
+            const sender = await getUserContact(fromUid);
+            const senderName = sender ? sender.firstName : `${args.from.slice(0, 6)}...${args.from.slice(-4)}`;
+            return sendSharesReceived(contact.email, contact.firstName, title, Number(args.shares), senderName, log.transactionHash);
+        });
+    },
+
+    async BidPlaced(ctx, { args }) {
+        await snapshotBid(ctx, args.bidId);
+    },
+
+    async BidFilled(ctx, { args, log, timestamp }) {
+        const { propertyDocId } = await snapshotBid(ctx, args.bidId);
+        await recordResaleTrade(ctx, { args, log, timestamp, propertyDocId, listingId: null, bidId: args.bidId.toString() });
+    },
+
+    async BidCancelled(ctx, { args }) {
+        await snapshotBid(ctx, args.bidId);
+    },
+
+    async OfferMade(ctx, { args, log }) {
+        const { listing, propertyDocId, sellerUid, currency } = await snapshotOffer(ctx, args.offerId);
+        const price = ethers.formatUnits(args.pricePerShare, currency.decimals);
+        const ask = ethers.formatUnits(listing.pricePerShare, currency.decimals);
+        const expiresAt = new Date(Number(args.expiresAt) * 1000);
+
+        queueTradeEmail(ctx, `${eventDocId(log)}_seller`, sellerUid, propertyDocId, (contact, title) =>
+            sendOfferReceived(contact.email, contact.firstName, title, Number(args.shares), price, ask, expiresAt, currency.symbol));
+    },
+
+    async OfferCountered(ctx, { args, log }) {
+        const { offer, propertyDocId, buyerUid, currency } = await snapshotOffer(ctx, args.offerId);
+        const price = ethers.formatUnits(offer.pricePerShare, currency.decimals);
+        const counter = ethers.formatUnits(args.counterPrice, currency.decimals);
+        const expiresAt = new Date(Number(offer.expiresAt) * 1000);
+
+        queueTradeEmail(ctx, `${eventDocId(log)}_buyer`, buyerUid, propertyDocId, (contact, title) =>
+            sendOfferCountered(contact.email, contact.firstName, title, Number(offer.shares), price, counter, expiresAt, currency.symbol));
+    },
+
+    // The trade itself is recorded by the ResaleCompleted event that follows
+    async OfferAccepted(ctx, { args }) {
+        await snapshotOffer(ctx, args.offerId);
+    },
+
+    async OfferRejected(ctx, { args, log }) {
+        const { offer, propertyDocId, buyerUid, currency } = await snapshotOffer(ctx, args.offerId);
+        queueOfferClosedEmail(ctx, log, offer, propertyDocId, buyerUid, currency, args.refund, 'rejected');
+    },
+
+    async OfferCancelled(ctx, { args, log, timestamp }) {
+        const { offer, listing, propertyDocId, buyerUid, currency } = await snapshotOffer(ctx, args.offerId);
+
+        // Buyers withdrawing their own offer aren't emailed about it
+        if (timestamp.getTime() > Number(offer.expiresAt) * 1000) {
+            queueOfferClosedEmail(ctx, log, offer, propertyDocId, buyerUid, currency, args.refund, 'expired');
+        } else if (!listing.isActive || (listing.expiresAt > 0n && timestamp.getTime() > Number(listing.expiresAt) * 1000)) {
+            queueOfferClosedEmail(ctx, log, offer, propertyDocId, buyerUid, currency, args.refund, 'listing-closed');
+        }
+    },
+
+    async MarketPriceUpdated(ctx, { args, log, timestamp }) {
+        const [propertyDocId, currency] = await Promise.all([
+            snapshotProperty(ctx, args.propertyId),
+            getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+        ]);
+        ctx.batch.set(db.collection('properties').doc(propertyDocId), {
+            previousPrice: toAmount(args.oldPrice, currency),
+            lastResaleAt: timestamp
+        }, { merge: true });
+    },
+
+    async PrimarySaleStatusChanged(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    async ResaleTradingStatusChanged(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    async PriceLimitsUpdated(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    async CircuitBreakerTripped(ctx, { args, log, timestamp }) {
+        const [propertyDocId, currency] = await Promise.all([
+            snapshotProperty(ctx, args.propertyId),
+            getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+        ]);
+        const referencePrice = toAmount(args.referencePrice, currency);
+        const price = toAmount(args.price, currency);
+        ctx.batch.set(db.collection('properties').doc(propertyDocId), {
+            circuitBreaker: {
+                referencePrice,
+                price,
+                trippedAt: timestamp
+            }
+        }, { merge: true });
+        console.log(`🚨 Circuit breaker halted resale of property #${args.propertyId}: ${referencePrice} -> ${price} ${currency.symbol}`);
+    },
+
+    async PropertyDelisted(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    // The property NFT changed hands; the snapshot picks up the new onChainOwner
+    async PropertyOwnerChanged(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        const [previousUid, newUid] = await Promise.all([
+            resolveUserUid(args.previousOwner),
+            resolveUserUid(args.newOwner)
+        ]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'PROPERTY_OWNER_CHANGED',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            fromWallet: args.previousOwner.toLowerCase(),
+            fromUid: previousUid,
+            toWallet: args.newOwner.toLowerCase(),
+            toUid: newUid,
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    async ShareTokenRegistered(ctx, { args }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+
+        const token = new ethers.Contract(args.token, SHARE_TOKEN_ABI, getProvider());
+        const [name, symbol, decimals] = await Promise.all([
+            token.name({ blockTag: ctx.safeHead }),
+            token.symbol({ blockTag: ctx.safeHead }),
+            token.decimals({ blockTag: ctx.safeHead })
+        ]);
+
+        ctx.batch.set(db.collection('properties').doc(propertyDocId), {
+            shareToken: { address: args.token, name, symbol, decimals: Number(decimals) }
+        }, { merge: true });
+    },
+
+    async FundingStarted(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    // The escrow went to the property owner, less the fees charged just before
+    async FundingFinalized(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        const fees = takeTradeFees(ctx, log);
+        const currency = await getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber });
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'FUNDING_FINALIZED',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            currency,
+            amount: toAmount(args.raised, currency),
+            amountWei: args.raised.toString(),
+            ...feeFields(fees, currency),
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    async FundingFailed(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        const currency = await getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber });
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'FUNDING_FAILED',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            currency,
+            amount: toAmount(args.raised, currency),
+            amountWei: args.raised.toString(),
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    // The buyer's shares were voided along with the refund
+    async FundingRefunded(ctx, { args, log, timestamp }) {
+        const propertyDocId = await snapshotProperty(ctx, args.propertyId);
+        await snapshotUserShares(ctx, args.propertyId, args.buyer);
+
+        const [buyerUid, currency] = await Promise.all([
+            resolveUserUid(args.buyer),
+            getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+        ]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'FUNDING_REFUND',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            buyerWallet: args.buyer.toLowerCase(),
+            buyerUid,
+            shares: Number(args.shares),
+            currency,
+            amount: toAmount(args.amount, currency),
+            amountWei: args.amount.toString(),
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    async PrimaryPricingSet(ctx, { args }) {
+        await snapshotProperty(ctx, args.propertyId);
+    },
+
+    async ProposalCreated(ctx, { args }) {
+        await snapshotProposal(ctx, args.proposalId);
+    },
+
+    async VoteCast(ctx, { args, log, timestamp }) {
+        const [{ proposal, propertyDocId }, voterUid] = await Promise.all([
+            snapshotProposal(ctx, args.proposalId),
+            resolveUserUid(args.voter)
+        ]);
+
+        ctx.batch.set(db.collection('proposalVotes').doc(`${args.proposalId}_${args.voter.toLowerCase()}`), {
+            proposalId: args.proposalId.toString(),
+            propertyId: propertyDocId,
+            chainPropertyId: proposal.propertyId.toString(),
+            voterWallet: args.voter.toLowerCase(),
+            voterUid,
+            support: VOTE_TYPES[Number(args.support)],
+            weight: Number(args.weight),
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    async ProposalCancelled(ctx, { args }) {
+        await snapshotProposal(ctx, args.proposalId);
+    },
+
+    async ProceedsWithdrawn(ctx, { args, log, timestamp }) {
+        const [propertyDocId, uid, currency] = await Promise.all([
+            resolvePropertyDocId(args.propertyId),
+            resolveUserUid(args.account),
+            getPaymentCurrency(args.propertyId, { blockTag: log.blockNumber })
+        ]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'PROCEEDS_WITHDRAWAL',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            walletAddress: args.account.toLowerCase(),
+            userId: uid,
+            currency,
+            amount: toAmount(args.amount, currency),
+            amountWei: args.amount.toString(),
+            ...eventMeta(log, timestamp)
+        });
+    },
+
+    async RentalIncomeDeposited(ctx, { args, log, timestamp }) {
+        const [propertyDocId, totalRentalIncome] = await Promise.all([
+            resolvePropertyDocId(args.propertyId),
+            ctx.marketplace.totalRentalIncome(args.propertyId, { blockTag: ctx.safeHead })
+        ]);
+
+        // Merge - deposits sent from the Admin Console already carry their period label
+        ctx.batch.set(db.collection('rentalDistributions').doc(eventDocId(log)), {
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            amount: toMatic(args.amount),
+            amountWei: args.amount.toString(),
+            amountPerShare: toMatic(args.amount / args.sharesOutstanding),
+            sharesOutstanding: Number(args.sharesOutstanding),
+            depositor: args.depositor.toLowerCase(),
+            ...eventMeta(log, timestamp)
+        }, { merge: true });
+
+        ctx.batch.set(db.collection('properties').doc(propertyDocId), {
+            totalRentalIncome: toMatic(totalRentalIncome),
+            lastDistributionAt: timestamp
+        }, { merge: true });
+    },
+
+    async RentalIncomeClaimed(ctx, { args, log, timestamp }) {
+        const [propertyDocId, uid] = await Promise.all([
+            resolvePropertyDocId(args.propertyId),
+            resolveUserUid(args.account)
+        ]);
+
+        ctx.batch.set(db.collection('transactions').doc(eventDocId(log)), {
+            type: 'RENTAL_INCOME_CLAIM',
+            propertyId: propertyDocId,
+            chainPropertyId: args.propertyId.toString(),
+            walletAddress: args.account.toLowerCase(),
+            userId: uid,
+            amount: toMatic(args.amount),
+            amountWei: args.amount.toString(),
+            ...eventMeta(log, timestamp)
+        });
+    }
+};
+
+// ==========================================
+// SYNC LOOP
+// ==========================================
+
+/**
+ * Collects a block's writes and commits them in batches under Firestore's
+ * write limit, so a block with many trades still goes through. A block that
+ * fails half way is replayed from the cursor, which is harmless (see the top of this file).
+ */
+function createWriteQueue() {
+    const writes = [];
+    return {
+        set(ref, data, options) {
+            writes.push({ ref, data, options });
+        },
+        async commit() {
+            for (let i = 0; i < writes.length; i += MAX_BATCH_WRITES) {
+                const batch = db.batch();
+                writes.slice(i, i + MAX_BATCH_WRITES).forEach(({ ref, data, options }) => {
+                    if (options) batch.set(ref, data, options);
+                    else batch.set(ref, data);
+                });
+                await batch.commit();
+            }
+        }
+    };
+}
+
+/**
+ * Roll back to an earlier block after a reorg: delete event documents above
+ * it and move the cursor. State documents are corrected on replay.
+ */
+async function rewindTo(blockNumber, contractAddress) {
+    console.warn(`⚠️ Reorg detected, rewinding indexer to block ${blockNumber}`);
+
+    for (const name of EVENT_COLLECTIONS) {
+        const snap = await db.collection(name)
+            .where('blockNumber', '>', blockNumber)
+            .get();
+
+        const indexed = snap.docs.filter(d => d.data().source === 'chain-indexer');
+        for (let i = 0; i < indexed.length; i += MAX_BATCH_WRITES) {
+            const batch = db.batch();
+            indexed.slice(i, i + MAX_BATCH_WRITES).forEach(d => batch.delete(d.ref));
+            await batch.commit();
+        }
+    }
+
+    const provider = getProvider();
+    const block = blockNumber >= 0 ? await provider.getBlock(blockNumber) : null;
+    await cursorRef().set(cursorUpdate(blockNumber, block?.hash || null, contractAddress));
+    propertyDocCache.clear();
+}
+
+/**
+ * Index all confirmed blocks after the cursor
+ * @returns {Promise<{fromBlock: number, toBlock: number, events: number}|null>} null when already caught up
+ */
+export async function syncOnce() {
+    const config = getIndexerConfig();
+    const provider = getProvider();
+    const marketplace = getMarketplace(provider);
+    const contractAddress = marketplace.address;
+    const chainId = await getChainId();
+
+    // Never index a contract the generated client doesn't describe
+    await marketplace.verifyDeployment();
+
+    let cursor = await getCursor();
+
+    // Reorg check - the block we last indexed must still be canonical
+    if (cursor?.blockHash) {
+        const block = await provider.getBlock(cursor.blockNumber);
+        if (!block || block.hash !== cursor.blockHash) {
+            const rewindBlock = Math.max(cursor.blockNumber - config.reorgDepth, config.startBlock - 1);
+            await rewindTo(rewindBlock, contractAddress);
+            cursor = await getCursor();
+        }
+    }
+
+    const head = await provider.getBlockNumber();
+    const safeHead = head - config.confirmations;
+    const fromBlock = cursor ? cursor.blockNumber + 1 : config.startBlock;
+
+    if (fromBlock > safeHead) return null;
+
+    const toBlock = Math.min(fromBlock + config.batchSize - 1, safeHead);
+
+    const topics = INDEXED_EVENTS.map(name => EVENTS[name].topic);
+    const logs = await provider.getLogs({
+        address: contractAddress,
+        fromBlock,
+        toBlock,
+        topics: [topics]
+    });
+
+    // Group by block; the cursor moves past a block once all its writes are committed
+    const logsByBlock = new Map();
+    for (const log of logs) {
+        if (!logsByBlock.has(log.blockNumber)) logsByBlock.set(log.blockNumber, []);
+        logsByBlock.get(log.blockNumber).push(log);
+    }
+
+    for (const [blockNumber, blockLogs] of logsByBlock) {
+        const block = await provider.getBlock(blockNumber);
+        const timestamp = new Date(block.timestamp * 1000);
+        const ctx = { marketplace, contractAddress, chainId, safeHead, batch: createWriteQueue(), fees: [], notifications: [] };
+
+        blockLogs.sort((a, b) => a.index - b.index);
+        for (const log of blockLogs) {
+            const event = marketplace.decodeEvent(log);
+            await handlers[event.name](ctx, { args: event.args, log, timestamp });
+        }
+
+        await ctx.batch.commit();
+        await cursorRef().set(cursorUpdate(blockNumber, block.hash, contractAddress));
+        if (Date.now() - timestamp.getTime() < NOTIFICATION_MAX_AGE_MS) {
+            await deliverNotifications(ctx.notifications);
+        }
+    }
+
+    const lastBlock = await provider.getBlock(toBlock);
+    await cursorRef().set(cursorUpdate(toBlock, lastBlock.hash, contractAddress));
+
+    return { fromBlock, toBlock, events: logs.length };
+}
+
+let running = false;
+let timer = null;
+
+/**
+ * Start the long-running indexer loop
+ */
+export function startListener() {
+    if (running) return;
+    running = true;
+
+    const { pollIntervalMs, startBlock, confirmations } = getIndexerConfig();
+    console.log(`🔗 Chain indexer started (start block ${startBlock}, ${confirmations} confirmations)`);
+
+    const tick = async () => {
+        let caughtUp = true;
+        try {
+            const result = await syncOnce();
+            if (result) {
+                caughtUp = false;
+                if (result.events > 0) {
+                    console.log(`📥 Indexed ${result.events} event(s) in blocks ${result.fromBlock}-${result.toBlock}`);
+                }
+            }
+        } catch (error) {
+            console.error('Indexer sync failed:', error.message);
+        }
+
+        if (running) {
+            // Keep going immediately while backfilling
+            timer = setTimeout(tick, caughtUp ? pollIntervalMs : 0);
+        }
+    };
+
+    tick();
+}
+
+/**
+ * Stop the indexer loop
+ */
+export function stopListener() {
+    running = false;
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+export default {
+    getIndexerConfig,
+    getCursor,
+    syncOnce,
+    startListener,
+    stopListener
+};
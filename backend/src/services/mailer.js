@@ -15,6 +15,25 @@ const transporter = nodemailer.createTransport({
     }
 });
 
+/**
+ * Fee breakdown block for trade emails
+ * @param {{gross: string, platformFee: string, royalty: string, sellerProceeds: string}} fees - Amounts in `currency`
+ * @param {string} currency - Symbol of the property's settlement currency
+ */
+function feeBreakdownHtml(fees, currency) {
+    if (!fees) return '';
+
+    return `
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="margin-top: 0;">Fee Breakdown</h3>
+            <p><strong>Trade Amount:</strong> ${fees.gross} ${currency}</p>
+            <p><strong>Platform Fee:</strong> ${fees.platformFee} ${currency}</p>
+            ${Number(fees.royalty) > 0 ? `<p><strong>Royalty to Original Lister:</strong> ${fees.royalty} ${currency}</p>` : ''}
+            <p><strong>Seller Receives:</strong> ${fees.sellerProceeds} ${currency}</p>
+            <p style="color: #666; font-size: 13px;">Fees are deducted from the seller's proceeds - the buyer pays the listed price.</p>
+          </div>`;
+}
+
 /**
  * Send welcome email to new user
  */
@@ -57,7 +76,7 @@ export async function sendWelcomeEmail(email, firstName) {
 /**
  * Send investment confirmation email
  */
-export async function sendInvestmentConfirmation(email, firstName, propertyTitle, shares, amount, txHash) {
+export async function sendInvestmentConfirmation(email, firstName, propertyTitle, shares, amount, txHash, fees = null, currency = 'MATIC') {
     const mailOptions = {
         from: `"BlockEstate" <${process.env.SMTP_USER}>`,
         to: email,
@@ -75,10 +94,10 @@ export async function sendInvestmentConfirmation(email, firstName, propertyTitle
             <h3 style="margin-top: 0;">Transaction Details</h3>
             <p><strong>Property:</strong> ${propertyTitle}</p>
             <p><strong>Shares Purchased:</strong> ${shares}</p>
-            <p><strong>Amount Paid:</strong> ${amount} MATIC</p>
+            <p><strong>Amount Paid:</strong> ${amount} ${currency}</p>
             <p><strong>Transaction ID:</strong> <code>${txHash}</code></p>
           </div>
-          
+          ${feeBreakdownHtml(fees, currency)}
           <p>View your transaction on PolygonScan:</p>
           <p><a href="https://amoy.polygonscan.com/tx/${txHash}" style="color: #2563eb;">${txHash.slice(0, 20)}...</a></p>
           
@@ -98,6 +117,230 @@ export async function sendInvestmentConfirmation(email, firstName, propertyTitle
     }
 }
 
+/**
+ * Send resale purchase confirmation to the buyer
+ */
+export async function sendResalePurchaseConfirmation(email, firstName, propertyTitle, shares, pricePerShare, txHash, fees, currency = 'MATIC') {
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `Purchase Confirmed: ${shares} shares of ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #10b981; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Purchase Successful! 🎉</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p>You bought <strong>${shares}</strong> share(s) of <strong>${propertyTitle}</strong> on the resale market.</p>
+          
+          <div style="background: white; padding: 20px; border-radius: 8px; margin: 20px 0;">
+            <h3 style="margin-top: 0;">Transaction Details</h3>
+            <p><strong>Property:</strong> ${propertyTitle}</p>
+            <p><strong>Shares Purchased:</strong> ${shares}</p>
+            <p><strong>Price per Share:</strong> ${pricePerShare} ${currency}</p>
+            <p><strong>Amount Paid:</strong> ${fees.gross} ${currency}</p>
+            <p><strong>Transaction ID:</strong> <code>${txHash}</code></p>
+          </div>
+          ${feeBreakdownHtml(fees, currency)}
+          <p><a href="https://amoy.polygonscan.com/tx/${txHash}" style="color: #2563eb;">View on PolygonScan</a></p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/dashboard" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Dashboard</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Resale purchase confirmation sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tell a seller their resale listing was (partly) bought
+ */
+export async function sendResaleSaleNotification(email, firstName, propertyTitle, shares, pricePerShare, txHash, fees, currency = 'MATIC') {
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `Shares Sold: ${shares} shares of ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #2563eb; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Your Shares Sold! 💰</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p><strong>${shares}</strong> share(s) of <strong>${propertyTitle}</strong> from your listing were bought at ${pricePerShare} ${currency} each.</p>
+          ${feeBreakdownHtml(fees, currency)}
+          <p>Your <strong>${fees.sellerProceeds} ${currency}</strong> is held for you by the marketplace contract. Withdraw it from the Earnings panel on your dashboard.</p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/dashboard" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Withdraw Earnings</a></p>
+          <p><a href="https://amoy.polygonscan.com/tx/${txHash}" style="color: #2563eb;">View on PolygonScan</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Resale sale notification sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tell a seller a buyer made an offer on their resale listing
+ */
+export async function sendOfferReceived(email, firstName, propertyTitle, shares, pricePerShare, askPrice, expiresAt, currency = 'MATIC') {
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `New Offer: ${shares} shares of ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #2563eb; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">You Have an Offer! 🤝</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p>A buyer offered <strong>${pricePerShare} ${currency}</strong> per share for <strong>${shares}</strong> share(s) of <strong>${propertyTitle}</strong> (your ask is ${askPrice} ${currency}).</p>
+          <p>The buyer's funds are held in escrow. You can accept, reject or counter the offer until <strong>${expiresAt.toUTCString()}</strong>, after which it is refunded automatically.</p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/marketplace" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Review Offer</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Offer notification sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tell a buyer the seller countered their offer
+ */
+export async function sendOfferCountered(email, firstName, propertyTitle, shares, pricePerShare, counterPrice, expiresAt, currency = 'MATIC') {
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `Counter-Offer: ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #2563eb; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">The Seller Countered 🔁</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p>The seller of <strong>${propertyTitle}</strong> answered your offer of ${pricePerShare} ${currency} per share for <strong>${shares}</strong> share(s) with <strong>${counterPrice} ${currency}</strong> per share.</p>
+          <p>Accept it by <strong>${expiresAt.toUTCString()}</strong> by paying the difference, or cancel your offer to get your escrow back.</p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/marketplace" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Counter-Offer</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Counter-offer notification sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tell a buyer their offer was closed without a trade and the escrow refunded
+ * @param {'rejected'|'expired'|'listing-closed'} reason
+ */
+export async function sendOfferClosed(email, firstName, propertyTitle, shares, pricePerShare, refund, reason, currency = 'MATIC') {
+    const why = {
+        rejected: 'was declined by the seller',
+        expired: 'expired before the seller accepted it',
+        'listing-closed': 'was closed because the listing is no longer available'
+    }[reason];
+
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `Offer Closed: ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #6b7280; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">Offer Closed</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p>Your offer of ${pricePerShare} ${currency} per share for <strong>${shares}</strong> share(s) of <strong>${propertyTitle}</strong> ${why}.</p>
+          <p>Your escrow of <strong>${refund} ${currency}</strong> has been refunded to your marketplace balance. Withdraw it from the Earnings panel on your dashboard.</p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/dashboard" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">Withdraw Earnings</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Offer closed notification sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Tell a holder another investor transferred shares to them
+ */
+export async function sendSharesReceived(email, firstName, propertyTitle, shares, senderName, txHash) {
+    const mailOptions = {
+        from: `"BlockEstate" <${process.env.SMTP_USER}>`,
+        to: email,
+        subject: `Shares Received: ${shares} shares of ${propertyTitle}`,
+        html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <div style="background: #2563eb; padding: 30px; text-align: center;">
+          <h1 style="color: white; margin: 0;">You Received Shares! 🎁</h1>
+        </div>
+        <div style="padding: 30px; background: #f9fafb;">
+          <p>Hi ${firstName},</p>
+          <p><strong>${senderName}</strong> transferred <strong>${shares}</strong> share(s) of <strong>${propertyTitle}</strong> to your wallet.</p>
+          <p>The shares are yours now: they earn rental income from today and you can hold or resell them like any other shares.</p>
+          
+          <p><a href="${process.env.FRONTEND_URL}/dashboard" style="background: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; display: inline-block;">View Your Holdings</a></p>
+          <p><a href="https://amoy.polygonscan.com/tx/${txHash}" style="color: #2563eb;">View on PolygonScan</a></p>
+        </div>
+      </div>
+    `
+    };
+
+    try {
+        await transporter.sendMail(mailOptions);
+        console.log('Shares received notification sent to:', email);
+        return { success: true };
+    } catch (error) {
+        console.error('Email send failed:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 /**
  * Send property verification certificate email
  */
@@ -202,6 +445,12 @@ export async function testEmailConnection() {
 export default {
     sendWelcomeEmail,
     sendInvestmentConfirmation,
+    sendResalePurchaseConfirmation,
+    sendResaleSaleNotification,
+    sendOfferReceived,
+    sendOfferCountered,
+    sendOfferClosed,
+    sendSharesReceived,
     sendVerificationCertificate,
     sendRejectionNotice,
     testEmailConnection
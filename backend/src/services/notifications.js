@@ -0,0 +1,83 @@
+// backend/src/services/notifications.js
+/**
+ * Trade Notifications
+ *
+ * Emails for on-chain activity, sent by the chain indexer after it has
+ * committed a block. Every email is claimed in `emailNotifications` under a
+ * key derived from its event (`${txHash}_${logIndex}_${role}`) before it is
+ * sent, so replaying blocks after a restart or reorg never emails twice.
+ * Nothing is sent unless SMTP_USER is configured.
+ */
+
+import admin, { db } from '../config/firebase.js';
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+// Firestore gRPC status for a document that already exists
+const ALREADY_EXISTS = 6;
+
+export function notificationsEnabled() {
+    return !!process.env.SMTP_USER;
+}
+
+/**
+ * Email address and first name of a user, or null if they have no email
+ */
+export async function getUserContact(uid) {
+    if (!uid) return null;
+
+    const snap = await db.collection('users').doc(uid).get();
+    const user = snap.exists ? snap.data() : null;
+    if (!user?.email) return null;
+
+    return { email: user.email, firstName: user.firstName || 'Investor' };
+}
+
+/**
+ * Send a notification unless one with the same key was already sent
+ * @param {string} key - Unique id of the notification
+ * @param {() => Promise<{success: boolean, error?: string}>} send - Sends the email (services/mailer.js)
+ * @returns {Promise<boolean>} True if it was sent now
+ */
+export async function notifyOnce(key, send) {
+    if (!notificationsEnabled()) return false;
+
+    const ref = db.collection('emailNotifications').doc(key);
+    try {
+        await ref.create({ status: 'SENDING', createdAt: serverTimestamp() });
+    } catch (error) {
+        if (error.code === ALREADY_EXISTS) return false;
+        throw error;
+    }
+
+    const result = await send();
+    await ref.set({
+        status: result.success ? 'SENT' : 'FAILED',
+        error: result.error || null,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return result.success;
+}
+
+/**
+ * Deliver notifications queued while indexing a block. Failures are logged,
+ * never thrown - an email problem must not stall the indexer.
+ * @param {Array<{key: string, send: Function}>} notifications
+ */
+export async function deliverNotifications(notifications) {
+    for (const { key, send } of notifications) {
+        try {
+            await notifyOnce(key, send);
+        } catch (error) {
+            console.error(`❌ Notification ${key} failed:`, error.message);
+        }
+    }
+}
+
+export default {
+    notificationsEnabled,
+    getUserContact,
+    notifyOnce,
+    deliverNotifications
+};
@@ -0,0 +1,143 @@
+// backend/src/services/offers.js
+/**
+ * Offer Refunds and Listing Expiry
+ *
+ * Offers on resale listings keep the buyer's funds in escrow until the seller
+ * answers them. Once an offer expires, or its listing is sold out, cancelled
+ * or expired, anyone may cancel it on-chain to refund the buyer. This sweeper
+ * does that from the admin wallet so buyers get their money back without
+ * having to come back for it; the indexer then emails them about the refund.
+ *
+ * Resale listings can expire too. The contract stops trading them at once,
+ * but their shares stay locked until someone closes them on-chain, so the
+ * sweeper also closes expired listings and returns the shares to the seller.
+ *
+ * Candidates come from the `resaleOffers` and `resaleListings` collections
+ * and are re-checked against the contract before anything is sent.
+ */
+
+import { db } from '../config/firebase.js';
+import {
+    getProvider,
+    getMarketplace,
+    expireListingOnChain,
+    cancelOfferOnChain
+} from './blockchain.js';
+
+// 0 means the listing or offer never expires
+const isExpired = (expiresAt, now) => expiresAt !== 0n && now > expiresAt;
+
+/**
+ * Whether an offer can no longer be accepted and may be cleared by anyone
+ */
+async function isStale(marketplace, offerId, now) {
+    const offer = await marketplace.offers(offerId);
+    if (!offer.isActive) return false;
+    if (isExpired(offer.expiresAt, now)) return true;
+
+    const listing = await marketplace.resaleListings(offer.listingId);
+    return !listing.isActive || isExpired(listing.expiresAt, now);
+}
+
+async function chainTime() {
+    const block = await getProvider().getBlock('latest');
+    return BigInt(block.timestamp);
+}
+
+/**
+ * Cancel every stale offer, refunding its escrow to the buyer
+ * @returns {Promise<{checked: number, refunded: string[]}>} Offer ids refunded
+ */
+export async function refundStaleOffers() {
+    const snapshot = await db.collection('resaleOffers').where('isActive', '==', true).get();
+    if (snapshot.empty) return { checked: 0, refunded: [] };
+
+    const marketplace = getMarketplace();
+    const now = await chainTime();
+
+    const refunded = [];
+    for (const doc of snapshot.docs) {
+        const offerId = doc.data().offerId;
+        try {
+            if (!(await isStale(marketplace, offerId, now))) continue;
+
+            const result = await cancelOfferOnChain(offerId);
+            console.log(`↩️ Refunded offer ${offerId} (tx ${result.txHash})`);
+            refunded.push(offerId);
+        } catch (error) {
+            console.error(`❌ Refunding offer ${offerId} failed:`, error.reason || error.message);
+        }
+    }
+
+    return { checked: snapshot.size, refunded };
+}
+
+/**
+ * Close every expired listing, returning its unsold shares to the seller
+ * @returns {Promise<{checked: number, expired: string[]}>} Listing ids closed
+ */
+export async function expireStaleListings() {
+    const snapshot = await db.collection('resaleListings').where('isActive', '==', true).get();
+    if (snapshot.empty) return { checked: 0, expired: [] };
+
+    const marketplace = getMarketplace();
+    const now = await chainTime();
+
+    const expired = [];
+    for (const doc of snapshot.docs) {
+        const listingId = doc.data().listingId;
+        try {
+            const listing = await marketplace.resaleListings(listingId);
+            if (!listing.isActive || !isExpired(listing.expiresAt, now)) continue;
+
+            const result = await expireListingOnChain(listingId);
+            console.log(`⌛ Expired listing ${listingId} (tx ${result.txHash})`);
+            expired.push(listingId);
+        } catch (error) {
+            console.error(`❌ Expiring listing ${listingId} failed:`, error.reason || error.message);
+        }
+    }
+
+    return { checked: snapshot.size, expired };
+}
+
+let timer = null;
+
+/**
+ * Periodically close expired listings and refund stale offers
+ * (every OFFER_REFUND_INTERVAL_MS, default 1 minute)
+ */
+export function startOfferSweeper() {
+    if (timer) return;
+
+    const intervalMs = parseInt(process.env.OFFER_REFUND_INTERVAL_MS) || 60000;
+    console.log(`⏱️ Offer refund and listing expiry sweeper started (every ${intervalMs / 1000}s)`);
+
+    const tick = async () => {
+        try {
+            // Closing a listing first lets its offers be refunded in the same pass
+            await expireStaleListings();
+            await refundStaleOffers();
+        } catch (error) {
+            console.error('Offer refund sweep failed:', error.message);
+        }
+        timer = setTimeout(tick, intervalMs);
+    };
+
+    timer = setTimeout(tick, 0);
+}
+
+/**
+ * Stop the sweeper
+ */
+export function stopOfferSweeper() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+export default {
+    refundStaleOffers,
+    expireStaleListings,
+    startOfferSweeper,
+    stopOfferSweeper
+};
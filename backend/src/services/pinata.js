@@ -123,20 +123,20 @@ export async function uploadJSONToPinata(jsonData, name = 'metadata') {
 /**
  * Create and upload NFT metadata following ERC-721 standard
  * @param {Object} propertyData - Property data
- * @param {string} imageIpfsHash - IPFS hash of the property image
+ * @param {string|null} imageIpfsHash - IPFS hash of the property image (falls back to propertyData.imageUrl)
  * @returns {Promise<{success: boolean, metadataUrl: string}>}
  */
 export async function createPropertyMetadata(propertyData, imageIpfsHash) {
     const metadata = {
         name: propertyData.title,
         description: propertyData.description,
-        image: `ipfs://${imageIpfsHash}`,
+        image: imageIpfsHash ? `ipfs://${imageIpfsHash}` : propertyData.imageUrl,
         external_url: `https://blockestate.app/property/${propertyData.propertyId}`,
         attributes: [
             { trait_type: "Location", value: propertyData.location },
             { trait_type: "Property Type", value: propertyData.propertyType || "Residential" },
             { trait_type: "Total Shares", value: propertyData.totalShares.toString() },
-            { trait_type: "Price Per Share", value: `${propertyData.pricePerShare} MATIC` },
+            { trait_type: "Price Per Share", value: `${propertyData.pricePerShare} ${propertyData.currency || 'MATIC'}` },
             { trait_type: "Area", value: propertyData.area || "N/A" }
         ]
     };
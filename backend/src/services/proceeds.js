@@ -0,0 +1,50 @@
+// backend/src/services/proceeds.js
+/**
+ * Sale Proceeds
+ *
+ * The marketplace no longer pays sellers during a purchase: the price is
+ * escrowed in the contract against the property and the seller withdraws it
+ * later (pull payments). Balances are read straight from the contract and
+ * labelled with the Firestore property they belong to.
+ */
+
+import { ethers } from 'ethers';
+import { db } from '../config/firebase.js';
+import { getPendingProceeds } from './blockchain.js';
+import { findPropertyDocId } from './propertyIds.js';
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Withdrawable proceeds of a wallet, per property
+ * @param {string} wallet - Wallet address
+ * @returns {Promise<{wallet: string, totalWei: string, total: string, properties: Array<Object>}>}
+ */
+export async function getProceedsBalances(wallet) {
+    if (!wallet || !ethers.isAddress(wallet)) {
+        throw httpError(400, 'A valid wallet address is required');
+    }
+
+    const { totalWei, total, properties } = await getPendingProceeds(wallet);
+
+    const labelled = await Promise.all(properties.map(async (entry) => {
+        const propertyId = await findPropertyDocId(entry.chainPropertyId);
+        const snap = propertyId ? await db.collection('properties').doc(propertyId).get() : null;
+
+        return {
+            ...entry,
+            propertyId,
+            title: snap?.exists ? snap.data().title : null
+        };
+    }));
+
+    return { wallet: ethers.getAddress(wallet), totalWei, total, properties: labelled };
+}
+
+export default {
+    getProceedsBalances
+};
@@ -0,0 +1,172 @@
+// backend/src/services/propertyIds.js
+/**
+ * Property Id Resolution
+ *
+ * Firestore identifies a property by its document id (`prop_…`, `chain_…`),
+ * the marketplace contract by the sequential uint256 it assigned in
+ * listProperty. The link is stored on the property document:
+ *   chainPropertyId - on-chain property id (string)
+ *   contractAddress - marketplace the property was listed on
+ *   chainId         - network that marketplace is deployed on
+ *
+ * Chain calls for a Firestore property resolve it here first, so a document id
+ * never reaches the contract and a property tokenized on another deployment is
+ * reported instead of quietly reading whatever has the same id here.
+ */
+
+import { db } from '../config/firebase.js';
+import { getMarketplace, getContractAddress, getChainId } from './blockchain.js';
+
+// HTTP status for each way a property can fail to resolve
+export const MAPPING_ERRORS = {
+    INVALID_ID: 400,
+    NOT_FOUND: 404,
+    NOT_TOKENIZED: 409,
+    CONTRACT_MISMATCH: 409,
+    NETWORK_MISMATCH: 409,
+    CHAIN_MISMATCH: 409
+};
+
+export class PropertyMappingError extends Error {
+    constructor(code, message, propertyId = null) {
+        super(message);
+        this.name = 'PropertyMappingError';
+        this.code = code;
+        this.status = MAPPING_ERRORS[code];
+        this.propertyId = propertyId;
+    }
+}
+
+/**
+ * True for values the contract accepts as a property id (uint256)
+ */
+export function isChainPropertyId(value) {
+    if (typeof value === 'bigint') return value >= 0n;
+    if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0;
+    return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+/**
+ * Normalise a chain property id, rejecting Firestore ids and other non-numbers
+ * @returns {string}
+ * @throws {PropertyMappingError}
+ */
+export function toChainPropertyId(value) {
+    if (!isChainPropertyId(value)) {
+        throw new PropertyMappingError(
+            'INVALID_ID',
+            `"${value}" is not an on-chain property id - resolve Firestore ids with resolveProperty() first`
+        );
+    }
+    return value.toString();
+}
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Check a property document's mapping against the configured deployment.
+ * Documents written before contractAddress/chainId were recorded are assumed
+ * to belong to the current deployment.
+ */
+function mappingFromDoc(propertyId, data, contractAddress, chainId) {
+    if (data.chainPropertyId === undefined || data.chainPropertyId === null) {
+        throw new PropertyMappingError('NOT_TOKENIZED', `Property ${propertyId} has not been tokenized on-chain`, propertyId);
+    }
+
+    const chainPropertyId = data.chainPropertyId.toString();
+    if (!isChainPropertyId(chainPropertyId)) {
+        throw new PropertyMappingError('CHAIN_MISMATCH', `Property ${propertyId} has an invalid on-chain id "${chainPropertyId}"`, propertyId);
+    }
+    if (data.contractAddress && !sameAddress(data.contractAddress, contractAddress)) {
+        throw new PropertyMappingError(
+            'CONTRACT_MISMATCH',
+            `Property ${propertyId} was tokenized on contract ${data.contractAddress}, not ${contractAddress}`,
+            propertyId
+        );
+    }
+    if (data.chainId && data.chainId.toString() !== chainId) {
+        throw new PropertyMappingError(
+            'NETWORK_MISMATCH',
+            `Property ${propertyId} was tokenized on chain ${data.chainId}, the backend is connected to chain ${chainId}`,
+            propertyId
+        );
+    }
+
+    return { propertyId, chainPropertyId, contractAddress, chainId };
+}
+
+/**
+ * Resolve a Firestore property to its on-chain identity
+ * @param {string} propertyId - Firestore property document id
+ * @param {Object} [options]
+ * @param {boolean} [options.verifyOnChain] - Also check the property exists on-chain
+ *   with the metadata URI stored in Firestore
+ * @returns {Promise<{propertyId: string, chainPropertyId: string, contractAddress: string, chainId: string}>}
+ * @throws {PropertyMappingError}
+ */
+export async function resolveProperty(propertyId, { verifyOnChain = false } = {}) {
+    const snap = await db.collection('properties').doc(propertyId).get();
+    if (!snap.exists) {
+        throw new PropertyMappingError('NOT_FOUND', `Property ${propertyId} not found`, propertyId);
+    }
+
+    const contractAddress = getContractAddress();
+    if (!contractAddress) {
+        throw new Error('Contract address not configured. Deploy the contract first.');
+    }
+
+    const data = snap.data();
+    const mapping = mappingFromDoc(propertyId, data, contractAddress, await getChainId());
+
+    if (verifyOnChain) {
+        const details = await getMarketplace().getPropertyDetails(mapping.chainPropertyId);
+        if (details.totalShares === 0n) {
+            throw new PropertyMappingError(
+                'CHAIN_MISMATCH',
+                `On-chain property #${mapping.chainPropertyId} does not exist on contract ${mapping.contractAddress}`,
+                propertyId
+            );
+        }
+        if (data.metadataUri && details.metadataURI !== data.metadataUri) {
+            throw new PropertyMappingError(
+                'CHAIN_MISMATCH',
+                `On-chain property #${mapping.chainPropertyId} has metadata ${details.metadataURI}, expected ${data.metadataUri}`,
+                propertyId
+            );
+        }
+    }
+
+    return mapping;
+}
+
+/**
+ * Find the Firestore property for an on-chain id: by chainPropertyId on this
+ * contract first, then an unmapped property with the metadata URI the
+ * tokenization flow stores before it lists.
+ * @returns {Promise<string|null>} Firestore document id
+ */
+export async function findPropertyDocId(chainPropertyId, metadataUri = null) {
+    const contractAddress = getContractAddress();
+    const propsRef = db.collection('properties');
+
+    // The same number can belong to properties of older deployments
+    const snap = await propsRef.where('chainPropertyId', '==', chainPropertyId.toString()).get();
+    const match = snap.docs.find(d => !d.data().contractAddress || sameAddress(d.data().contractAddress, contractAddress));
+    if (match) return match.id;
+
+    if (metadataUri) {
+        const byUri = await propsRef.where('metadataUri', '==', metadataUri).get();
+        const unmapped = byUri.docs.find(d => d.data().chainPropertyId === undefined || d.data().chainPropertyId === null);
+        if (unmapped) return unmapped.id;
+    }
+    return null;
+}
+
+export default {
+    MAPPING_ERRORS,
+    PropertyMappingError,
+    isChainPropertyId,
+    toChainPropertyId,
+    resolveProperty,
+    findPropertyDocId
+};
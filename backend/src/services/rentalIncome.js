@@ -0,0 +1,90 @@
+// backend/src/services/rentalIncome.js
+/**
+ * Rental Income Distribution
+ *
+ * Rental income is deposited into the marketplace contract per property and
+ * shared pro-rata between the shares sold so far; holders claim their part
+ * themselves (shares locked in resale listings keep earning). Deposits made
+ * from the Admin Console are sent from the admin wallet and recorded in
+ * `rentalDistributions` under the same `${txHash}_${logIndex}` id the chain
+ * indexer uses, so the indexer only fills in deposits made elsewhere.
+ */
+
+import { ethers } from 'ethers';
+import admin, { db } from '../config/firebase.js';
+import {
+    depositRentalIncomeOnChain,
+    getPropertyFromChain,
+    getMarketplace,
+    getAdminWallet
+} from './blockchain.js';
+import { resolveProperty } from './propertyIds.js';
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Deposit rental income for a property and record the distribution
+ * @param {string} propertyId - Firestore property id
+ * @param {{amount: number|string, period?: string}} deposit - Amount in MATIC and
+ *   an optional label for the period it covers (e.g. "March 2026")
+ * @returns {Promise<Object>} The distribution record
+ */
+export async function depositRentalIncome(propertyId, { amount, period } = {}, { adminUid } = {}) {
+    let amountWei;
+    try {
+        amountWei = ethers.parseEther(String(amount ?? ''));
+    } catch {
+        throw httpError(400, 'Enter the income amount in MATIC');
+    }
+    if (amountWei <= 0n) {
+        throw httpError(400, 'Income amount must be greater than 0');
+    }
+
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const onChain = await getPropertyFromChain(chainPropertyId);
+    if (Number(onChain.sharesSold) === 0) {
+        throw httpError(409, 'No shares of this property have been sold yet - there is nobody to pay');
+    }
+
+    const result = await depositRentalIncomeOnChain(chainPropertyId, ethers.formatEther(amountWei));
+    const sharesOutstanding = Number(result.sharesOutstanding ?? onChain.sharesSold);
+
+    const distribution = {
+        propertyId,
+        chainPropertyId,
+        amount: Number(ethers.formatEther(amountWei)),
+        amountWei: amountWei.toString(),
+        amountPerShare: Number(ethers.formatEther(amountWei / BigInt(sharesOutstanding))),
+        sharesOutstanding,
+        period: period?.trim() || null,
+        depositor: getAdminWallet().address.toLowerCase(),
+        depositedBy: adminUid || null,
+        txHash: result.txHash,
+        logIndex: result.logIndex,
+        blockNumber: result.blockNumber,
+        timestamp: new Date(),
+        source: 'admin-console'
+    };
+
+    const docId = result.logIndex !== null ? `${result.txHash}_${result.logIndex}` : result.txHash;
+    await db.collection('rentalDistributions').doc(docId).set(distribution, { merge: true });
+    const totalWei = await getMarketplace().totalRentalIncome(chainPropertyId);
+    await db.collection('properties').doc(propertyId).set({
+        totalRentalIncome: Number(ethers.formatEther(totalWei)),
+        lastDistributionAt: distribution.timestamp,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    console.log(`💰 ${distribution.amount} MATIC rental income deposited for ${propertyId} (#${chainPropertyId}): ${result.txHash}`);
+    return { id: docId, ...distribution };
+}
+
+export default {
+    depositRentalIncome
+};
@@ -0,0 +1,121 @@
+// backend/src/services/resaleListings.js
+/**
+ * Resale Listing Browser
+ *
+ * Pages through open resale listings straight from the contract
+ * (getResaleListingsPage), so the Browse tab no longer depends on the
+ * Firestore cache being complete. Each contract call scans a bounded number
+ * of listing ids, so a page is assembled from as many calls as it takes (up
+ * to MAX_CALLS_PER_PAGE) and the caller continues from the returned cursor.
+ * Listings are labelled with the Firestore property they belong to.
+ */
+
+import { ethers } from 'ethers';
+import { db } from '../config/firebase.js';
+import { getMarketplace, getPaymentCurrency } from './blockchain.js';
+import { resolveProperty, findPropertyDocId } from './propertyIds.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 50;
+
+// Contract calls per request; a page may come back short, with a cursor, when
+// the listings in range are mostly closed
+const MAX_CALLS_PER_PAGE = 5;
+
+// getResaleListingsPage filter value for "any property" (type(uint256).max)
+const ANY_PROPERTY = ethers.MaxUint256;
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+function formatListing(l, property, currency) {
+    return {
+        listingId: l.listingId.toString(),
+        propertyId: property?.id ?? null,
+        propertyTitle: property?.title ?? null,
+        chainPropertyId: l.propertyId.toString(),
+        seller: l.seller,
+        sellerWallet: l.seller.toLowerCase(),
+        sharesForSale: Number(l.sharesForSale),
+        sharesSold: Number(l.sharesSold),
+        remainingShares: Number(l.sharesForSale - l.sharesSold),
+        currency,
+        pricePerShare: parseFloat(ethers.formatUnits(l.pricePerShare, currency.decimals)),
+        pricePerShareWei: l.pricePerShare.toString(),
+        isActive: l.isActive,
+        createdAt: Number(l.createdAt),
+        expiresAt: Number(l.expiresAt) || null
+    };
+}
+
+/**
+ * One page of open (active, unexpired) resale listings, oldest first
+ * @param {Object} [options]
+ * @param {string} [options.propertyId] - Firestore property id to filter by
+ * @param {string} [options.seller] - Seller wallet to filter by
+ * @param {string} [options.cursor] - `nextCursor` of the previous page
+ * @param {number|string} [options.limit] - Listings per page (default 20, max 50)
+ * @returns {Promise<{listings: Array<Object>, nextCursor: string|null}>}
+ *   nextCursor is null once there are no more listings
+ */
+export async function getOpenListingsPage({ propertyId, seller, cursor, limit } = {}) {
+    if (seller && !ethers.isAddress(seller)) {
+        throw httpError(400, 'seller must be a wallet address');
+    }
+    if (cursor && !/^\d+$/.test(cursor)) {
+        throw httpError(400, 'Invalid cursor');
+    }
+
+    const pageSize = limit === undefined || limit === '' ? DEFAULT_PAGE_SIZE : parseInt(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    const chainPropertyId = propertyId ? (await resolveProperty(propertyId)).chainPropertyId : ANY_PROPERTY;
+    const marketplace = getMarketplace();
+
+    const found = [];
+    let next = BigInt(cursor || 0);
+    for (let calls = 0; calls < MAX_CALLS_PER_PAGE; calls++) {
+        const result = await marketplace.getResaleListingsPage(
+            chainPropertyId,
+            seller || ethers.ZeroAddress,
+            next,
+            pageSize - found.length
+        );
+        found.push(...result.page);
+        next = result.nextCursor;
+
+        if (next === 0n || found.length >= pageSize) break;
+    }
+
+    // One Firestore lookup per property on the page
+    const properties = new Map();
+    const propertyOf = (id) => {
+        const key = id.toString();
+        if (!properties.has(key)) {
+            properties.set(key, (async () => {
+                const docId = await findPropertyDocId(key);
+                const snap = docId ? await db.collection('properties').doc(docId).get() : null;
+                return docId ? { id: docId, title: snap?.exists ? snap.data().title : null } : null;
+            })());
+        }
+        return properties.get(key);
+    };
+
+    const listings = await Promise.all(found.map(async (l) => {
+        const [property, currency] = await Promise.all([propertyOf(l.propertyId), getPaymentCurrency(l.propertyId)]);
+        return formatListing(l, property, currency);
+    }));
+
+    return { listings, nextCursor: next === 0n ? null : next.toString() };
+}
+
+export default {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    getOpenListingsPage
+};
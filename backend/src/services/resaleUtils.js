@@ -6,49 +6,26 @@
  * - Last resale price (current market price)
  * - Average of last N resales (market trends)
  * - Implied market value (price × total shares)
+ * - Volume- and time-weighted prices over a trailing window, outliers
+ *   excluded, and the reference price / fair value derived from them
+ * - Best bid / best ask / spread of the order book
+ *
+ * Amounts are in the property's settlement currency (MATIC or its stablecoin),
+ * returned alongside them as `currency`. The `matic` field names predate
+ * stablecoin pricing and are kept for API compatibility.
  */
 
 import { ethers } from 'ethers';
-import { getProvider } from './blockchain.js';
-
-// ABI for pricing functions (matches RealEstateMarketplace contract)
-const PRICING_ABI = [
-    {
-        "inputs": [{ "name": "_propertyId", "type": "uint256" }],
-        "name": "getMarketPrice",
-        "outputs": [{ "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "name": "_propertyId", "type": "uint256" }],
-        "name": "getInitialPrice",
-        "outputs": [{ "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "name": "_propertyId", "type": "uint256" }],
-        "name": "getAverageResalePrice",
-        "outputs": [{ "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "name": "_propertyId", "type": "uint256" }],
-        "name": "getImpliedMarketValue",
-        "outputs": [{ "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "name": "_propertyId", "type": "uint256" }],
-        "name": "getResaleCount",
-        "outputs": [{ "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    }
-];
+import { getProvider, getMarketplace, getTokenCurrency } from './blockchain.js';
+import { toChainPropertyId } from './propertyIds.js';
+
+/**
+ * Settlement currency of a property and a formatter for its amounts
+ */
+async function currencyOf(marketplace, propertyId) {
+    const currency = await getTokenCurrency(await marketplace.paymentTokens(propertyId));
+    return { currency, format: (units) => ethers.formatUnits(units, currency.decimals) };
+}
 
 /**
  * Get the last resale price (current market price)
@@ -56,25 +33,27 @@ const PRICING_ABI = [
  * If no resales have occurred, returns the initial listing price.
  * 
  * @param {string} contractAddress - Deployed contract address
- * @param {number} propertyId - Property ID to query
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
  * @returns {Promise<{priceWei: string, priceMatic: string, isInitialPrice: boolean}>}
  */
 export async function getLastResalePrice(contractAddress, propertyId) {
-    const provider = getProvider();
-    const contract = new ethers.Contract(contractAddress, PRICING_ABI, provider);
+    propertyId = toChainPropertyId(propertyId);
+    const marketplace = getMarketplace(getProvider(), contractAddress);
 
     // Get current market price (last resale or initial)
-    const marketPriceWei = await contract.getMarketPrice(propertyId);
-    const initialPriceWei = await contract.getInitialPrice(propertyId);
-    const resaleCount = await contract.getResaleCount(propertyId);
+    const marketPriceWei = await marketplace.getMarketPrice(propertyId);
+    const initialPriceWei = await marketplace.getInitialPrice(propertyId);
+    const resaleCount = await marketplace.getResaleCount(propertyId);
+    const { currency, format } = await currencyOf(marketplace, propertyId);
 
     const isInitialPrice = resaleCount.toString() === '0';
 
     return {
+        currency,
         priceWei: marketPriceWei.toString(),
-        priceMatic: ethers.formatEther(marketPriceWei),
+        priceMatic: format(marketPriceWei),
         initialPriceWei: initialPriceWei.toString(),
-        initialPriceMatic: ethers.formatEther(initialPriceWei),
+        initialPriceMatic: format(initialPriceWei),
         resaleCount: parseInt(resaleCount.toString()),
         isInitialPrice: isInitialPrice,
         priceSource: isInitialPrice ? 'Initial Listing' : 'Last Resale'
@@ -86,22 +65,24 @@ export async function getLastResalePrice(contractAddress, propertyId) {
  * Shows market trends over recent transactions.
  * 
  * @param {string} contractAddress - Deployed contract address
- * @param {number} propertyId - Property ID to query
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
  * @returns {Promise<{averageWei: string, averageMatic: string, sampleSize: number}>}
  */
 export async function getAveragePrice(contractAddress, propertyId) {
-    const provider = getProvider();
-    const contract = new ethers.Contract(contractAddress, PRICING_ABI, provider);
+    propertyId = toChainPropertyId(propertyId);
+    const marketplace = getMarketplace(getProvider(), contractAddress);
 
-    const averagePriceWei = await contract.getAverageResalePrice(propertyId);
-    const resaleCount = await contract.getResaleCount(propertyId);
+    const averagePriceWei = await marketplace.getAverageResalePrice(propertyId);
+    const resaleCount = await marketplace.getResaleCount(propertyId);
+    const { currency, format } = await currencyOf(marketplace, propertyId);
 
     // The contract tracks up to 10 resales for average calculation
     const sampleSize = Math.min(parseInt(resaleCount.toString()), 10);
 
     return {
+        currency,
         averageWei: averagePriceWei.toString(),
-        averageMatic: ethers.formatEther(averagePriceWei),
+        averageMatic: format(averagePriceWei),
         sampleSize: sampleSize,
         note: sampleSize === 0
             ? 'No resales yet, using initial price'
@@ -114,18 +95,105 @@ export async function getAveragePrice(contractAddress, propertyId) {
  * Formula: currentPrice × totalShares
  * 
  * @param {string} contractAddress - Deployed contract address
- * @param {number} propertyId - Property ID to query
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
  * @returns {Promise<{valueWei: string, valueMatic: string}>}
  */
 export async function getImpliedMarketValue(contractAddress, propertyId) {
-    const provider = getProvider();
-    const contract = new ethers.Contract(contractAddress, PRICING_ABI, provider);
+    propertyId = toChainPropertyId(propertyId);
+    const marketplace = getMarketplace(getProvider(), contractAddress);
 
-    const valueWei = await contract.getImpliedMarketValue(propertyId);
+    const [valueWei, { currency, format }] = await Promise.all([
+        marketplace.getImpliedMarketValue(propertyId),
+        currencyOf(marketplace, propertyId)
+    ]);
 
     return {
+        currency,
         valueWei: valueWei.toString(),
-        valueMatic: ethers.formatEther(valueWei)
+        valueMatic: format(valueWei)
+    };
+}
+
+/**
+ * Volume-weighted (VWAP) and time-weighted (TWAP) prices of the trades in the
+ * contract's price window. Trades far from the average resale price are left
+ * out of both, and the VWAP only counts once enough shares have traded.
+ * The reference price is the VWAP when it meets the minimum volume, otherwise
+ * the TWAP - unlike the last resale price, one small trade can't move it far.
+ * 
+ * @param {string} contractAddress - Deployed contract address
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
+ */
+export async function getWeightedPrices(contractAddress, propertyId) {
+    propertyId = toChainPropertyId(propertyId);
+    const marketplace = getMarketplace(getProvider(), contractAddress);
+
+    const [vwap, twapWei, minVolume, windowSeconds, details, { currency, format }] = await Promise.all([
+        marketplace.getVolumeWeightedPrice(propertyId),
+        marketplace.getTimeWeightedPrice(propertyId),
+        marketplace.getMinPriceVolume(propertyId),
+        marketplace.PRICE_WINDOW(),
+        marketplace.getPropertyDetails(propertyId),
+        currencyOf(marketplace, propertyId)
+    ]);
+
+    const referenceWei = vwap.meetsMinVolume ? vwap.price : twapWei;
+    const fairValueWei = referenceWei * details.totalShares;
+
+    return {
+        currency,
+        vwap: {
+            wei: vwap.price.toString(),
+            matic: format(vwap.price),
+            volume: Number(vwap.volume),
+            minVolume: Number(minVolume),
+            meetsMinVolume: vwap.meetsMinVolume
+        },
+        twap: {
+            wei: twapWei.toString(),
+            matic: format(twapWei)
+        },
+        referencePrice: {
+            wei: referenceWei.toString(),
+            matic: format(referenceWei),
+            source: vwap.meetsMinVolume ? 'VWAP' : 'TWAP'
+        },
+        fairMarketValue: {
+            wei: fairValueWei.toString(),
+            matic: format(fairValueWei)
+        },
+        windowHours: Number(windowSeconds) / 3600
+    };
+}
+
+/**
+ * Top of the order book: highest fillable bid, lowest active ask and the spread
+ * between them (null when either side is empty)
+ * 
+ * @param {string} contractAddress - Deployed contract address
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
+ */
+export async function getBestPrices(contractAddress, propertyId) {
+    propertyId = toChainPropertyId(propertyId);
+    const marketplace = getMarketplace(getProvider(), contractAddress);
+
+    const [best, { currency, format }] = await Promise.all([
+        marketplace.getBestPrices(propertyId),
+        currencyOf(marketplace, propertyId)
+    ]);
+    const hasBid = best.bestBid > 0n;
+    const hasAsk = best.bestAsk > 0n;
+    const spreadWei = hasBid && hasAsk ? best.bestAsk - best.bestBid : null;
+
+    return {
+        currency,
+        bestBid: hasBid ? { wei: best.bestBid.toString(), matic: format(best.bestBid), bidId: best.bestBidId.toString() } : null,
+        bestAsk: hasAsk ? { wei: best.bestAsk.toString(), matic: format(best.bestAsk), listingId: best.bestAskId.toString() } : null,
+        spread: spreadWei === null ? null : {
+            wei: spreadWei.toString(),
+            matic: format(spreadWei),
+            percent: ((Number(spreadWei) / Number(best.bestAsk)) * 100).toFixed(2)
+        }
     };
 }
 
@@ -134,14 +202,16 @@ export async function getImpliedMarketValue(contractAddress, propertyId) {
  * Combines all pricing metrics in one call
  * 
  * @param {string} contractAddress - Deployed contract address
- * @param {number} propertyId - Property ID to query
+ * @param {string|number} propertyId - On-chain property ID (see propertyIds.resolveProperty)
  * @returns {Promise<Object>} Complete pricing data
  */
 export async function getPropertyPricingSummary(contractAddress, propertyId) {
-    const [lastPrice, avgPrice, marketValue] = await Promise.all([
+    const [lastPrice, avgPrice, marketValue, orderBook, weighted] = await Promise.all([
         getLastResalePrice(contractAddress, propertyId),
         getAveragePrice(contractAddress, propertyId),
-        getImpliedMarketValue(contractAddress, propertyId)
+        getImpliedMarketValue(contractAddress, propertyId),
+        getBestPrices(contractAddress, propertyId),
+        getWeightedPrices(contractAddress, propertyId)
     ]);
 
     // Calculate price change from initial
@@ -154,6 +224,7 @@ export async function getPropertyPricingSummary(contractAddress, propertyId) {
 
     return {
         propertyId: propertyId,
+        currency: lastPrice.currency,
 
         // Current pricing
         currentPrice: {
@@ -176,11 +247,21 @@ export async function getPropertyPricingSummary(contractAddress, propertyId) {
             note: avgPrice.note
         },
 
-        // Total property value
+        // Manipulation-resistant pricing
+        volumeWeightedPrice: weighted.vwap,
+        timeWeightedPrice: weighted.twap,
+        referencePrice: weighted.referencePrice,
+        priceWindowHours: weighted.windowHours,
+
+        // Total property value (implied: last resale price; fair: reference price)
         impliedMarketValue: {
             wei: marketValue.valueWei,
             matic: marketValue.valueMatic
         },
+        fairMarketValue: weighted.fairMarketValue,
+
+        // Order book
+        orderBook,
 
         // Price movement
         priceChange: {
@@ -234,6 +315,8 @@ export default {
     getLastResalePrice,
     getAveragePrice,
     getImpliedMarketValue,
+    getWeightedPrices,
+    getBestPrices,
     getPropertyPricingSummary,
     calculateOfflinePricing
 };
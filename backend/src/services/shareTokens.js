@@ -0,0 +1,119 @@
+// backend/src/services/shareTokens.js
+/**
+ * Property Share Tokens
+ *
+ * Every tokenized property can get an ERC-20 share token, deployed by the
+ * marketplace's FractionalPropertyFactory. The token reads balances from the
+ * marketplace, so wallets and explorers show the same shares the app does.
+ *
+ * Properties that sold shares before their token existed need a migration:
+ * their holders never got a Transfer event, so explorers would not list them.
+ * issueShareToken() announces every wallet found in `userShares` for the
+ * property (in batches); running it again only announces the ones left.
+ */
+
+import admin, { db } from '../config/firebase.js';
+import {
+    getShareToken,
+    createShareTokenOnChain,
+    getUnannouncedHolders,
+    announceShareTokenHolders
+} from './blockchain.js';
+import { resolveProperty } from './propertyIds.js';
+
+// Holders announced per transaction (bounds the gas of one call)
+const ANNOUNCE_BATCH_SIZE = 100;
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+/**
+ * Token name and symbol for a property. Symbols are kept short because
+ * MetaMask only accepts up to 11 characters.
+ */
+function tokenIdentity(property, chainPropertyId) {
+    const title = (property.title || `Property #${chainPropertyId}`).trim();
+    return {
+        name: `${title} Shares`,
+        symbol: `BEP${chainPropertyId}`.slice(0, 11)
+    };
+}
+
+/**
+ * Announce the property's existing holders to a migrating token
+ * @returns {Promise<{announced: number, txHashes: string[]}>}
+ */
+async function migrateHolders(chainPropertyId, tokenAddress) {
+    const snap = await db.collection('userShares')
+        .where('chainPropertyId', '==', chainPropertyId.toString())
+        .get();
+
+    const wallets = [...new Set(snap.docs
+        .filter(doc => (doc.data().shares || 0) + (doc.data().lockedShares || 0) > 0)
+        .map(doc => doc.data().walletAddress))];
+    const pending = await getUnannouncedHolders(tokenAddress, wallets);
+
+    const txHashes = [];
+    for (let i = 0; i < pending.length; i += ANNOUNCE_BATCH_SIZE) {
+        const result = await announceShareTokenHolders(tokenAddress, pending.slice(i, i + ANNOUNCE_BATCH_SIZE));
+        txHashes.push(result.txHash);
+    }
+
+    return { announced: pending.length, txHashes };
+}
+
+/**
+ * Create the share token of a property if it has none, and migrate holders
+ * who bought before it existed. Safe to call again.
+ * @param {string} propertyId - Firestore property id
+ * @param {Object} [options]
+ * @param {string} [options.adminUid] - Admin who requested it
+ * @returns {Promise<{propertyId: string, chainPropertyId: string, shareToken: Object, created: boolean, announced: number, txHashes: string[]}>}
+ */
+export async function issueShareToken(propertyId, { adminUid } = {}) {
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const snap = await db.collection('properties').doc(propertyId).get();
+
+    let token = await getShareToken(chainPropertyId);
+    let created = false;
+    const txHashes = [];
+
+    if (!token) {
+        const { name, symbol } = tokenIdentity(snap.data(), chainPropertyId);
+        const result = await createShareTokenOnChain(chainPropertyId, name, symbol);
+        txHashes.push(result.txHash);
+        created = true;
+
+        token = await getShareToken(chainPropertyId);
+        console.log(`🪙 Share token ${token.symbol} for ${propertyId}: ${token.address}`);
+    }
+
+    let announced = 0;
+    if (token.needsMigration) {
+        const migration = await migrateHolders(chainPropertyId, token.address);
+        announced = migration.announced;
+        txHashes.push(...migration.txHashes);
+        if (announced > 0) {
+            console.log(`🪙 Announced ${announced} existing holder(s) of ${propertyId} to ${token.symbol}`);
+        }
+    }
+
+    const shareToken = {
+        address: token.address,
+        name: token.name,
+        symbol: token.symbol,
+        decimals: token.decimals
+    };
+
+    await db.collection('properties').doc(propertyId).set({
+        shareToken,
+        shareTokenMigratedAt: token.needsMigration ? serverTimestamp() : null,
+        shareTokenUpdatedBy: adminUid || null,
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { propertyId, chainPropertyId, shareToken, created, announced, txHashes };
+}
+
+export default {
+    issueShareToken
+};
@@ -0,0 +1,69 @@
+// backend/src/services/shareTransfers.js
+/**
+ * Share Transfers
+ *
+ * Holders send shares to each other on-chain (transferShares) from their own
+ * wallet, so the backend only helps find the recipient: a wallet address is
+ * used as given, an email is looked up among registered users and replaced by
+ * the wallet they connected. The chain indexer records the transfer and
+ * updates both holdings when the SharesTransferred event lands.
+ *
+ * The lookup tells the sender no more than the wallet to send to: neither
+ * lookup reveals whose wallet it is or whether they are registered, and an
+ * email that isn't registered fails the same way as one whose user has no
+ * wallet yet.
+ */
+
+import { ethers } from 'ethers';
+import { db } from '../config/firebase.js';
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+async function findUserByEmail(email) {
+    const usersRef = db.collection('users');
+    let snap = await usersRef.where('email', '==', email).limit(1).get();
+    if (snap.empty && email !== email.toLowerCase()) {
+        snap = await usersRef.where('email', '==', email.toLowerCase()).limit(1).get();
+    }
+    return snap.empty ? null : snap.docs[0];
+}
+
+/**
+ * Resolve who a transfer goes to
+ * @param {string} query - Recipient wallet address or a registered user's email
+ * @param {string} requesterUid - Firebase uid of the sender
+ * @returns {Promise<{walletAddress: string}>}
+ */
+export async function resolveRecipient(query, requesterUid) {
+    const value = (query || '').trim();
+    if (!value) {
+        throw httpError(400, 'Enter a wallet address or an email');
+    }
+
+    if (ethers.isAddress(value)) {
+        // The contract refuses transfers to the sender's own wallet
+        return { walletAddress: ethers.getAddress(value) };
+    }
+    if (!value.includes('@')) {
+        throw httpError(400, 'Not a valid wallet address or email');
+    }
+
+    const userDoc = await findUserByEmail(value);
+    const wallet = userDoc?.data().walletAddress;
+    if (!wallet || !ethers.isAddress(wallet)) {
+        throw httpError(404, 'No registered user with a connected wallet has that email');
+    }
+    if (userDoc.id === requesterUid) {
+        throw httpError(400, 'You cannot transfer shares to yourself');
+    }
+
+    return { walletAddress: ethers.getAddress(wallet) };
+}
+
+export default {
+    resolveRecipient
+};
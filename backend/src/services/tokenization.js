@@ -0,0 +1,463 @@
+// backend/src/services/tokenization.js
+/**
+ * Property Tokenization Pipeline
+ *
+ * Takes a Firestore property (`prop_…`) from PENDING_TOKENIZATION to TOKENIZED:
+ *   1. metadata - pin ERC-721 metadata to IPFS (services/pinata.js)
+ *   2. mint     - list the property on the marketplace contract (services/blockchain.js)
+ *   3. record   - store the on-chain id, contract and chain against the Firestore id
+ *                 (the mapping read by services/propertyIds.js)
+ *
+ * A property approved from a seller's request is listed on behalf of the
+ * seller's wallet (`sellerWallet`): it owns the property on-chain and receives
+ * the primary sale proceeds, less the platform fee. Properties without one are
+ * listed for the admin wallet.
+ *
+ * A property with `funding` ({ softCap, deadline }) is listed with a funding
+ * round: its primary sale is escrowed until the soft cap is raised and the
+ * admin finalizes the round (services/fundingRounds.js). A property with
+ * `pricing` ({ mode, endPrice, auctionEnd }) sells its shares in a Dutch
+ * auction, falling from the price per share to endPrice by auctionEnd, or on
+ * a bonding curve rising to endPrice for the last share.
+ *
+ * Once the property is recorded its ERC-20 share token is created
+ * (services/shareTokens.js). That is best effort: a failure leaves the
+ * property TOKENIZED and the admin can create the token later.
+ *
+ * Progress is saved on the property document under `tokenization` after every
+ * step, so a failed run can simply be started again and continues where it
+ * stopped. The mint step records its tx hash as soon as it is broadcast and
+ * checks the chain before sending another one, so a retry never lists the
+ * same property twice.
+ */
+
+import { ethers } from 'ethers';
+import admin, { db } from '../config/firebase.js';
+import { createPropertyMetadata } from './pinata.js';
+import {
+    listPropertyOnChain,
+    getListingFromTx,
+    findPropertyByMetadataUri,
+    getContractAddress,
+    getChainId,
+    getStablecoinAddress,
+    getTokenCurrency
+} from './blockchain.js';
+import { issueShareToken } from './shareTokens.js';
+
+// A run that hasn't finished after this long is assumed dead and can be resumed
+const LOCK_TTL_MS = 10 * 60 * 1000;
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * IPFS hash of the main image, from the upload result or a gateway URL
+ */
+function mainImageIpfsHash(property) {
+    const main = property.images?.find(img => img.isMain) || property.images?.[0];
+    if (main?.ipfsHash) return main.ipfsHash;
+
+    const url = main?.url || property.mainImageUrl || property.imageUrl || '';
+    const match = url.match(/\/ipfs\/([^/?#]+)/);
+    return match ? match[1] : null;
+}
+
+/**
+ * ERC-20 the property is to be priced in, or null for MATIC. Only the
+ * configured stablecoin (STABLECOIN_ADDRESS) is accepted.
+ */
+function paymentTokenOf(property) {
+    if (!property.paymentToken) return null;
+
+    const stablecoin = getStablecoinAddress();
+    if (!stablecoin || property.paymentToken.toLowerCase() !== stablecoin.toLowerCase()) {
+        throw httpError(400, 'The property is priced in a token this marketplace does not accept');
+    }
+    return stablecoin;
+}
+
+/**
+ * Seller wallet the property is listed on behalf of, or null to list it for
+ * the admin wallet
+ */
+function beneficiaryOf(property) {
+    if (!property.sellerWallet) return null;
+
+    if (!ethers.isAddress(property.sellerWallet)) {
+        throw httpError(400, `The seller wallet of this property (${property.sellerWallet}) is not a valid address`);
+    }
+    return ethers.getAddress(property.sellerWallet);
+}
+
+/**
+ * Primary pricing to list the property with, or null for a fixed price.
+ * An auction must fall to a floor above 0 at a time still ahead; a curve must
+ * rise above the price per share.
+ * @returns {{mode: string, endPrice: number, auctionEnd: number}|null} auctionEnd in unix seconds
+ */
+function pricingOf(property) {
+    const mode = property.pricing?.mode;
+    if (!mode || mode === 'FIXED') return null;
+
+    const startPrice = Number(property.pricePerShare);
+    const endPrice = Number(property.pricing.endPrice);
+
+    if (mode === 'DUTCH_AUCTION') {
+        if (!Number.isFinite(endPrice) || endPrice <= 0 || endPrice >= startPrice) {
+            throw httpError(400, `The auction floor price must be more than 0 and below the starting price (${startPrice})`);
+        }
+        const auctionEnd = Math.floor(new Date(property.pricing.auctionEnd).getTime() / 1000);
+        if (!Number.isFinite(auctionEnd) || auctionEnd * 1000 <= Date.now()) {
+            throw httpError(400, 'The auction end has passed - set a new one before tokenizing');
+        }
+        return { mode, endPrice, auctionEnd };
+    }
+
+    if (mode === 'BONDING_CURVE') {
+        if (!Number.isFinite(endPrice) || endPrice <= startPrice) {
+            throw httpError(400, `The price of the last share must be above the starting price (${startPrice})`);
+        }
+        return { mode, endPrice, auctionEnd: 0 };
+    }
+
+    throw httpError(400, `Unknown pricing mode ${mode}`);
+}
+
+/**
+ * Funding round to list the property with, or null for a plain primary sale.
+ * The soft cap is in the property's currency and can't exceed the value of
+ * all its shares (at the starting price, along the whole bonding curve, or at
+ * a Dutch auction's floor price); the deadline must still be ahead.
+ * @returns {{softCap: number, deadline: number}|null} Deadline in unix seconds
+ */
+function fundingOf(property, pricing) {
+    if (!property.funding) return null;
+
+    const softCap = Number(property.funding.softCap);
+    const shares = Number(property.totalShares);
+    const startPrice = Number(property.pricePerShare);
+    const totalValue = pricing?.mode === 'BONDING_CURVE'
+        ? shares * (startPrice + pricing.endPrice) / 2
+        : pricing?.mode === 'DUTCH_AUCTION'
+            ? pricing.endPrice * shares
+            : startPrice * shares;
+    if (!Number.isFinite(softCap) || softCap <= 0 || softCap > totalValue) {
+        throw httpError(400, `The funding soft cap must be more than 0 and at most the value of all shares (${totalValue})`);
+    }
+
+    const deadline = Math.floor(new Date(property.funding.deadline).getTime() / 1000);
+    if (!Number.isFinite(deadline) || deadline * 1000 <= Date.now()) {
+        throw httpError(400, 'The funding deadline has passed - set a new one before tokenizing');
+    }
+
+    return { softCap, deadline };
+}
+
+/**
+ * Persist pipeline progress; the whole `tokenization` map is rewritten each time
+ */
+async function saveProgress(ref, state, propertyFields = {}) {
+    state.updatedAt = new Date();
+    await ref.set({ ...propertyFields, tokenization: state, updatedAt: serverTimestamp() }, { merge: true });
+}
+
+/**
+ * Mark the property as being tokenized. Fails if another run holds the lock.
+ * @returns {Promise<{property: Object, state: Object}|{property: Object, done: true}>}
+ */
+async function claimProperty(ref, adminUid) {
+    return db.runTransaction(async (t) => {
+        const snap = await t.get(ref);
+        if (!snap.exists) throw httpError(404, 'Property not found');
+
+        const property = snap.data();
+        if (property.status === 'TOKENIZED' && property.chainPropertyId) {
+            return { property, done: true };
+        }
+
+        const previous = property.tokenization || {};
+        const lockExpiresAt = previous.lockExpiresAt?.toDate?.() || previous.lockExpiresAt;
+        if (previous.status === 'IN_PROGRESS' && lockExpiresAt && new Date(lockExpiresAt) > new Date()) {
+            throw httpError(409, 'Tokenization is already running for this property');
+        }
+
+        const state = {
+            ...previous,
+            status: 'IN_PROGRESS',
+            attempts: (previous.attempts || 0) + 1,
+            startedBy: adminUid || null,
+            startedAt: new Date(),
+            lockExpiresAt: new Date(Date.now() + LOCK_TTL_MS),
+            error: null,
+            failedStep: null
+        };
+
+        t.set(ref, { status: 'TOKENIZING', tokenization: state, updatedAt: serverTimestamp() }, { merge: true });
+        return { property, state };
+    });
+}
+
+// ==========================================
+// STEPS
+// ==========================================
+
+async function pinMetadata(ref, propertyId, property, state) {
+    if (state.metadataUri) return;
+
+    const location = typeof property.location === 'object' ? property.location?.address : property.location;
+    const result = await createPropertyMetadata({
+        propertyId,
+        title: property.title,
+        description: property.description,
+        location: location || 'N/A',
+        propertyType: property.propertyType,
+        totalShares: property.totalShares,
+        pricePerShare: property.pricePerShare,
+        currency: property.currency?.symbol,
+        area: property.area ? `${property.area} sq ft` : undefined,
+        imageUrl: property.mainImageUrl || property.imageUrl
+    }, mainImageIpfsHash(property));
+
+    state.metadataUri = result.ipfsUri;
+    state.metadataUrl = result.metadataUrl;
+    state.step = 'metadata';
+
+    // metadataUri on the property lets the chain indexer match the PropertyListed event
+    await saveProgress(ref, state, { metadataUri: result.ipfsUri, metadataUrl: result.metadataUrl });
+    console.log(`📌 Metadata pinned for ${propertyId}: ${result.ipfsUri}`);
+}
+
+async function mintOnChain(ref, propertyId, property, state) {
+    if (state.chainPropertyId) return;
+
+    // A previous attempt broadcast a transaction - find out what happened to it
+    if (state.txHash) {
+        const outcome = await getListingFromTx(state.txHash);
+        if (outcome.status === 'listed' && outcome.propertyId !== null) {
+            state.chainPropertyId = outcome.propertyId;
+            state.blockNumber = outcome.blockNumber;
+            await saveProgress(ref, state);
+            return;
+        }
+        // Reverted or dropped - safe to send a new one
+        state.previousTxHashes = [...(state.previousTxHashes || []), state.txHash];
+        state.txHash = null;
+    }
+
+    // The tx may have been sent without us hearing back (crash, RPC timeout)
+    if (state.mintAttempted) {
+        const existingId = await findPropertyByMetadataUri(state.metadataUri);
+        if (existingId !== null) {
+            state.chainPropertyId = existingId;
+            await saveProgress(ref, state);
+            return;
+        }
+    }
+
+    const paymentToken = paymentTokenOf(property);
+    const beneficiary = beneficiaryOf(property);
+    const pricing = pricingOf(property);
+    const funding = fundingOf(property, pricing);
+    const currency = await getTokenCurrency(paymentToken);
+
+    state.mintAttempted = true;
+    state.step = 'mint';
+    await saveProgress(ref, state);
+
+    const result = await listPropertyOnChain(property.pricePerShare, property.totalShares, state.metadataUri, {
+        paymentToken,
+        beneficiary,
+        funding,
+        pricing,
+        onSubmitted: async (txHash) => {
+            state.txHash = txHash;
+            await saveProgress(ref, state);
+            console.log(`⛓️ listProperty submitted for ${propertyId}: ${txHash}`);
+        }
+    });
+
+    if (result.propertyId === null) {
+        throw new Error(`listProperty transaction ${result.txHash} did not emit PropertyListed`);
+    }
+
+    state.chainPropertyId = result.propertyId;
+    state.blockNumber = result.blockNumber;
+    await saveProgress(ref, state, { currency });
+}
+
+async function recordTokenization(ref, propertyId, state) {
+    state.step = 'record';
+    state.status = 'COMPLETED';
+    state.completedAt = new Date();
+    state.lockExpiresAt = null;
+
+    await saveProgress(ref, state, {
+        chainPropertyId: state.chainPropertyId,
+        chainTxHash: state.txHash,
+        contractAddress: getContractAddress(),
+        chainId: await getChainId(),
+        status: 'TOKENIZED',
+        tokenizedAt: serverTimestamp()
+    });
+    console.log(`✅ ${propertyId} tokenized as on-chain property #${state.chainPropertyId}`);
+}
+
+// ==========================================
+// PIPELINE
+// ==========================================
+
+/**
+ * Tokenize a Firestore property, resuming any earlier partial run
+ * @param {string} propertyId - Firestore property id (`prop_…`)
+ * @param {Object} [options]
+ * @param {string} [options.adminUid] - Admin who triggered the run
+ * @returns {Promise<{propertyId: string, chainPropertyId: string, metadataUri: string, txHash: string, alreadyTokenized: boolean}>}
+ */
+export async function tokenizeProperty(propertyId, { adminUid } = {}) {
+    const ref = db.collection('properties').doc(propertyId);
+    const claim = await claimProperty(ref, adminUid);
+
+    if (claim.done) {
+        return {
+            propertyId,
+            chainPropertyId: claim.property.chainPropertyId,
+            metadataUri: claim.property.metadataUri,
+            txHash: claim.property.chainTxHash || null,
+            alreadyTokenized: true
+        };
+    }
+
+    const { property, state } = claim;
+    let step = 'metadata';
+
+    try {
+        await pinMetadata(ref, propertyId, property, state);
+
+        step = 'mint';
+        await mintOnChain(ref, propertyId, property, state);
+
+        step = 'record';
+        await recordTokenization(ref, propertyId, state);
+    } catch (error) {
+        // Prefer the contract's revert reason over ethers' full error dump
+        const message = error.reason || error.shortMessage || error.message;
+        console.error(`❌ Tokenization of ${propertyId} failed at "${step}":`, message);
+
+        state.status = 'FAILED';
+        state.failedStep = step;
+        state.error = message;
+        state.lockExpiresAt = null;
+        await saveProgress(ref, state, { status: 'TOKENIZATION_FAILED' });
+
+        const failure = httpError(error.status || 500, message);
+        failure.step = step;
+        throw failure;
+    }
+
+    try {
+        await issueShareToken(propertyId, { adminUid });
+    } catch (error) {
+        console.warn(`⚠️ Share token for ${propertyId} not created:`, error.reason || error.shortMessage || error.message);
+    }
+
+    return {
+        propertyId,
+        chainPropertyId: state.chainPropertyId,
+        metadataUri: state.metadataUri,
+        txHash: state.txHash,
+        alreadyTokenized: false
+    };
+}
+
+/**
+ * Approve a seller's property request: create the `prop_…` property from it
+ * (once) and tokenize it. Calling it again resumes a failed tokenization.
+ */
+export async function approvePropertyRequest(requestId, { adminUid } = {}) {
+    const requestRef = db.collection('propertyRequests').doc(requestId);
+    const snap = await requestRef.get();
+    if (!snap.exists) throw httpError(404, 'Property request not found');
+
+    const request = snap.data();
+    if (request.status === 'REJECTED') {
+        throw httpError(400, 'Rejected requests cannot be approved');
+    }
+
+    let propertyId = request.propertyId;
+    if (!propertyId) {
+        // The seller's wallet owns the listing and is paid its proceeds
+        if (!request.sellerWallet || !ethers.isAddress(request.sellerWallet)) {
+            throw httpError(409, 'The request has no valid seller wallet to pay the sale proceeds to');
+        }
+
+        propertyId = `prop_${Date.now()}`;
+
+        await db.collection('properties').doc(propertyId).set({
+            propertyId,
+            sourceRequestId: requestId,
+
+            title: request.title,
+            description: request.description,
+            propertyType: request.propertyType,
+            area: parseInt(request.area) || 0,
+            amenities: request.amenities || [],
+            location: request.location,
+
+            pricePerShare: request.pricePerShare,
+            totalShares: request.totalShares,
+            availableShares: request.totalShares,
+            initialPrice: request.pricePerShare,
+            currentPrice: request.pricePerShare,
+            paymentToken: request.paymentToken || null,
+            currency: request.currency || null,
+            funding: request.funding || null,
+            pricing: request.pricing || null,
+
+            imageUrl: request.imageUrl || null,
+            mainImageUrl: request.imageUrl || null,
+            images: request.imageUrl ? [{ url: request.imageUrl, isMain: true }] : [],
+            documents: request.documents || [],
+
+            owner: request.sellerWallet || null,
+            sellerWallet: request.sellerWallet || null,
+            ownerUid: request.sellerUid,
+            sellerEmail: request.sellerEmail,
+
+            status: 'PENDING_TOKENIZATION',
+            isVerified: true,
+            createdAt: serverTimestamp(),
+            updatedAt: serverTimestamp(),
+            resaleHistory: [],
+            resaleCount: 0
+        });
+
+        await requestRef.update({
+            status: 'APPROVED',
+            propertyId,
+            approvedAt: serverTimestamp(),
+            reviewedBy: adminUid || null,
+            updatedAt: serverTimestamp()
+        });
+    }
+
+    const result = await tokenizeProperty(propertyId, { adminUid });
+
+    await requestRef.update({
+        status: 'COMPLETED',
+        chainPropertyId: result.chainPropertyId,
+        updatedAt: serverTimestamp()
+    });
+
+    return { requestId, ...result };
+}
+
+export default {
+    tokenizeProperty,
+    approvePropertyRequest
+};
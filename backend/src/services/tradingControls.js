@@ -0,0 +1,181 @@
+// backend/src/services/tradingControls.js
+/**
+ * Trading Controls
+ *
+ * Admin actions that halt or resume trading. They are sent on-chain from the
+ * admin wallet (the contract owner), then the resulting status is copied onto
+ * the property document (isActive, resaleActive, delisted) so the Admin Console
+ * can show it without reading the chain. The chain indexer writes the same
+ * fields when it sees the status events.
+ *
+ * Price limits bound resale prices to a band around the current or average
+ * price; their circuit breaker halts resale trading by itself when the price
+ * moves too far too fast. Resuming resale trading overrides it.
+ */
+
+import admin, { db } from '../config/firebase.js';
+import {
+    setPrimarySaleActive,
+    setResaleActive,
+    delistPropertyOnChain,
+    setMarketplacePaused,
+    getTradingStatus,
+    isMarketplacePaused,
+    getPriceLimits,
+    setPriceLimitsOnChain
+} from './blockchain.js';
+import { resolveProperty } from './propertyIds.js';
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * Read the property's status back from the contract and store it in Firestore
+ */
+async function recordStatus(propertyId, chainPropertyId, adminUid) {
+    const status = await getTradingStatus(chainPropertyId);
+
+    const { circuitBreakerTripped } = await getPriceLimits(chainPropertyId);
+
+    await db.collection('properties').doc(propertyId).set({
+        isActive: status.primarySaleActive,
+        resaleActive: status.resaleActive,
+        delisted: status.delisted,
+        circuitBreakerTripped,
+        tradingUpdatedBy: adminUid || null,
+        tradingUpdatedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+
+    return { ...status, circuitBreakerTripped };
+}
+
+function parseWhole(value, label) {
+    const number = Number(value ?? 0);
+    if (!Number.isInteger(number) || number < 0) {
+        throw httpError(400, `${label} must be a whole number`);
+    }
+    return number;
+}
+
+/**
+ * Halt or resume primary sales and/or resale trading of a property.
+ * Only the markets whose status actually changes are sent to the chain.
+ * @param {string} propertyId - Firestore property id
+ * @param {{primarySale?: boolean, resale?: boolean}} changes
+ * @returns {Promise<Object>} New trading status plus the tx hashes sent
+ */
+export async function setPropertyTrading(propertyId, { primarySale, resale } = {}, { adminUid } = {}) {
+    if (typeof primarySale !== 'boolean' && typeof resale !== 'boolean') {
+        throw httpError(400, 'Set primarySale and/or resale to true or false');
+    }
+
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const current = await getTradingStatus(chainPropertyId);
+    if (current.delisted) {
+        throw httpError(409, 'Property is delisted - trading cannot be resumed');
+    }
+
+    const txHashes = [];
+    if (typeof primarySale === 'boolean' && primarySale !== current.primarySaleActive) {
+        txHashes.push((await setPrimarySaleActive(chainPropertyId, primarySale)).txHash);
+    }
+    if (typeof resale === 'boolean' && resale !== current.resaleActive) {
+        txHashes.push((await setResaleActive(chainPropertyId, resale)).txHash);
+    }
+
+    const status = await recordStatus(propertyId, chainPropertyId, adminUid);
+    console.log(`🚦 Trading of ${propertyId} (#${chainPropertyId}): primary ${status.primarySaleActive ? 'open' : 'halted'}, resale ${status.resaleActive ? 'open' : 'halted'}`);
+
+    return { propertyId, chainPropertyId, ...status, txHashes };
+}
+
+/**
+ * Change a property's price band and circuit breaker
+ * @param {string} propertyId - Firestore property id
+ * @param {{bandBps?: number, relativeToAverage?: boolean, haltMoveBps?: number, haltWindowHours?: number}} limits
+ *   Basis points (100 = 1%); 0 turns the band or the breaker off
+ * @returns {Promise<Object>} The new limits plus the tx hash
+ */
+export async function updatePriceLimits(propertyId, { bandBps, relativeToAverage, haltMoveBps, haltWindowHours } = {}, { adminUid } = {}) {
+    const band = parseWhole(bandBps, 'bandBps');
+    const haltMove = parseWhole(haltMoveBps, 'haltMoveBps');
+    const windowHours = Number(haltWindowHours ?? 0);
+    if (!Number.isFinite(windowHours) || windowHours < 0) {
+        throw httpError(400, 'haltWindowHours must be a positive number');
+    }
+    if (haltMove > 0 && windowHours === 0) {
+        throw httpError(400, 'Set haltWindowHours to use the circuit breaker');
+    }
+
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const { txHash } = await setPriceLimitsOnChain(
+        chainPropertyId,
+        band,
+        relativeToAverage === true,
+        haltMove,
+        Math.round(windowHours * 3600)
+    );
+
+    const limits = await getPriceLimits(chainPropertyId);
+    await db.collection('properties').doc(propertyId).set({
+        priceLimits: {
+            bandBps: limits.bandBps,
+            relativeToAverage: limits.relativeToAverage,
+            haltMoveBps: limits.haltMoveBps,
+            haltWindowSeconds: limits.haltWindowSeconds
+        },
+        tradingUpdatedBy: adminUid || null,
+        tradingUpdatedAt: serverTimestamp(),
+        updatedAt: serverTimestamp()
+    }, { merge: true });
+    console.log(`📏 Price limits of ${propertyId} (#${chainPropertyId}): band ${limits.bandBps} bps, breaker ${limits.haltMoveBps} bps / ${limits.haltWindowSeconds}s: ${txHash}`);
+
+    return { propertyId, chainPropertyId, ...limits, txHash };
+}
+
+/**
+ * Permanently stop all trading of a property
+ */
+export async function delistProperty(propertyId, { adminUid } = {}) {
+    const { chainPropertyId } = await resolveProperty(propertyId, { verifyOnChain: true });
+    const current = await getTradingStatus(chainPropertyId);
+    if (current.delisted) {
+        throw httpError(409, 'Property is already delisted');
+    }
+
+    const { txHash } = await delistPropertyOnChain(chainPropertyId);
+    const status = await recordStatus(propertyId, chainPropertyId, adminUid);
+    console.log(`⛔ ${propertyId} (#${chainPropertyId}) delisted: ${txHash}`);
+
+    return { propertyId, chainPropertyId, ...status, txHashes: [txHash] };
+}
+
+/**
+ * Turn the contract-wide emergency pause on or off
+ */
+export async function setEmergencyPause(paused, { adminUid } = {}) {
+    if (typeof paused !== 'boolean') {
+        throw httpError(400, 'Set paused to true or false');
+    }
+    if (await isMarketplacePaused() === paused) {
+        throw httpError(409, paused ? 'Marketplace is already paused' : 'Marketplace is not paused');
+    }
+
+    const { txHash } = await setMarketplacePaused(paused);
+    console.log(`${paused ? '🛑 Marketplace paused' : '▶️ Marketplace unpaused'} by ${adminUid || 'unknown'}: ${txHash}`);
+
+    return { paused, txHash };
+}
+
+export default {
+    setPropertyTrading,
+    updatePriceLimits,
+    delistProperty,
+    setEmergencyPause
+};
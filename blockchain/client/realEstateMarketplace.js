@@ -0,0 +1,7560 @@
+// blockchain/client/realEstateMarketplace.js
+// AUTO-GENERATED by blockchain/scripts/generate-client.js from the Hardhat
+// artifacts for RealEstateMarketplace. Do not edit - run `npm run client` in
+// blockchain/ after changing the contract.
+//
+// The module has no imports: callers pass in their own copy of ethers v6 so the
+// frontend bundle and the backend each keep a single ethers instance.
+
+export const CONTRACT_NAME = 'RealEstateMarketplace';
+export const SOURCE_NAME = 'contracts/RealEstateNFT.sol';
+
+// keccak256 of the ABI and of the runtime bytecode this client was generated from
+export const ABI_HASH = '0xf50b78732359926753ecbcb0a61162f5cf0ed487f2d0f29df61f12831af11981';
+export const DEPLOYED_BYTECODE_HASH = '0xe39bbbc1bf682a852a338d4943163d7d217b154fd2e0b287408d81447a0bed2a';
+
+// Contracts RealEstateMarketplace delegates calls to: the getter returning each
+// one's address and the keccak256 of its runtime bytecode
+export const MODULES = [
+    {
+        "name": "RealEstateMarketplaceOrders",
+        "getter": "ordersModule",
+        "deployedBytecodeHash": "0x356d193dabd783feb68bd3004ed9e7dbdc160efabafa271573331cd5de1f3835"
+    },
+    {
+        "name": "RealEstateMarketplaceAdmin",
+        "getter": "adminModule",
+        "deployedBytecodeHash": "0xd58e6611102a418c878c99edfb5285ae905c124a08ede8c11d9bd643efadab5e"
+    }
+];
+
+export const ABI = [
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_ordersModule",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_adminModule",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "constructor"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "sender",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721IncorrectOwner",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "operator",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ERC721InsufficientApproval",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "approver",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721InvalidApprover",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "operator",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721InvalidOperator",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721InvalidOwner",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "receiver",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721InvalidReceiver",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "sender",
+                "type": "address"
+            }
+        ],
+        "name": "ERC721InvalidSender",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ERC721NonexistentToken",
+        "type": "error"
+    },
+    {
+        "inputs": [],
+        "name": "EnforcedPause",
+        "type": "error"
+    },
+    {
+        "inputs": [],
+        "name": "ExpectedPause",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            }
+        ],
+        "name": "OwnableInvalidOwner",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            }
+        ],
+        "name": "OwnableUnauthorizedAccount",
+        "type": "error"
+    },
+    {
+        "inputs": [],
+        "name": "ReentrancyGuardReentrantCall",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint8",
+                "name": "bits",
+                "type": "uint8"
+            },
+            {
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "SafeCastOverflowedUintDowncast",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "token",
+                "type": "address"
+            }
+        ],
+        "name": "SafeERC20FailedOperation",
+        "type": "error"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "approved",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "Approval",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "operator",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "approved",
+                "type": "bool"
+            }
+        ],
+        "name": "ApprovalForAll",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "_fromTokenId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "_toTokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "BatchMetadataUpdate",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "bidId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "refund",
+                "type": "uint256"
+            }
+        ],
+        "name": "BidCancelled",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "bidId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "newMarketPrice",
+                "type": "uint256"
+            }
+        ],
+        "name": "BidFilled",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "bidId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "BidPlaced",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "referencePrice",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "price",
+                "type": "uint256"
+            }
+        ],
+        "name": "CircuitBreakerTripped",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "primaryFeeBps",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "resaleFeeBps",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "royaltyBps",
+                "type": "uint256"
+            }
+        ],
+        "name": "FeesUpdated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "FeesWithdrawn",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "raised",
+                "type": "uint256"
+            }
+        ],
+        "name": "FundingFailed",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "raised",
+                "type": "uint256"
+            }
+        ],
+        "name": "FundingFinalized",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "FundingRefunded",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "softCap",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "deadline",
+                "type": "uint256"
+            }
+        ],
+        "name": "FundingStarted",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "oldPrice",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "newPrice",
+                "type": "uint256"
+            }
+        ],
+        "name": "MarketPriceUpdated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "_tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "MetadataUpdate",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            }
+        ],
+        "name": "OfferAccepted",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "refund",
+                "type": "uint256"
+            }
+        ],
+        "name": "OfferCancelled",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "counterPrice",
+                "type": "uint256"
+            }
+        ],
+        "name": "OfferCountered",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "OfferMade",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "refund",
+                "type": "uint256"
+            }
+        ],
+        "name": "OfferRejected",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "previousOwner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "newOwner",
+                "type": "address"
+            }
+        ],
+        "name": "OwnershipTransferred",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            }
+        ],
+        "name": "Paused",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "bandBps",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "relativeToAverage",
+                "type": "bool"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "haltMoveBps",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "haltWindow",
+                "type": "uint256"
+            }
+        ],
+        "name": "PriceLimitsUpdated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "enum RealEstateMarketplaceBase.PricingMode",
+                "name": "mode",
+                "type": "uint8"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "startPrice",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "endPrice",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "startTime",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "endTime",
+                "type": "uint256"
+            }
+        ],
+        "name": "PrimaryPricingSet",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            }
+        ],
+        "name": "PrimarySaleStatusChanged",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "ProceedsCredited",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "ProceedsWithdrawn",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "PropertyDelisted",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "id",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "totalShares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "string",
+                "name": "metadataURI",
+                "type": "string"
+            }
+        ],
+        "name": "PropertyListed",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "previousOwner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "newOwner",
+                "type": "address"
+            }
+        ],
+        "name": "PropertyOwnerChanged",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "proposalId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ProposalCancelled",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "proposalId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "proposer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "string",
+                "name": "description",
+                "type": "string"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "snapshotBlock",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "votingEnd",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "quorum",
+                "type": "uint256"
+            }
+        ],
+        "name": "ProposalCreated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "RentalIncomeClaimed",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "depositor",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "sharesOutstanding",
+                "type": "uint256"
+            }
+        ],
+        "name": "RentalIncomeDeposited",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "newMarketPrice",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleCompleted",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleListingCancelled",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleListingCreated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleListingExpired",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "sharesForSale",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleListingUpdated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "totalCost",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "listingsFilled",
+                "type": "uint256"
+            }
+        ],
+        "name": "ResaleSweep",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            }
+        ],
+        "name": "ResaleTradingStatusChanged",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "address",
+                "name": "factory",
+                "type": "address"
+            }
+        ],
+        "name": "ShareTokenFactoryUpdated",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "token",
+                "type": "address"
+            }
+        ],
+        "name": "ShareTokenRegistered",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amountSpent",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "isPrimaryPurchase",
+                "type": "bool"
+            }
+        ],
+        "name": "SharesPurchased",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            }
+        ],
+        "name": "SharesTransferred",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "token",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "TokenFeesWithdrawn",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "grossAmount",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "platformFee",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "royalty",
+                "type": "uint256"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "isPrimarySale",
+                "type": "bool"
+            }
+        ],
+        "name": "TradeFeesCharged",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "Transfer",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": false,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            }
+        ],
+        "name": "Unpaused",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "proposalId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "voter",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "enum RealEstateMarketplaceBase.VoteType",
+                "name": "support",
+                "type": "uint8"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "weight",
+                "type": "uint256"
+            }
+        ],
+        "name": "VoteCast",
+        "type": "event"
+    },
+    {
+        "stateMutability": "payable",
+        "type": "fallback"
+    },
+    {
+        "inputs": [],
+        "name": "ANY_PROPERTY",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "BPS_DENOMINATOR",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "INCOME_PRECISION",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_FEE_BPS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_PAGE_SCAN",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_PAGE_SIZE",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_PRICE_OBSERVATIONS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_SWEEP_LISTINGS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MIN_PRICE_VOLUME_BPS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "PRICE_OUTLIER_BAND_BPS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "PRICE_WINDOW",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "RESALE_HISTORY_SIZE",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "adminModule",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "approve",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            }
+        ],
+        "name": "balanceOf",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_sharesToBuy",
+                "type": "uint256"
+            }
+        ],
+        "name": "buyFromResale",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "buyOrders",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "bidId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesWanted",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesFilled",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "uint256",
+                "name": "createdAt",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_sharesToBuy",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_maxTotalCost",
+                "type": "uint256"
+            }
+        ],
+        "name": "buyShares",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            }
+        ],
+        "name": "cancelResaleListing",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "circuitBreakerTripped",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "claimRentalIncome",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            }
+        ],
+        "name": "claimableRentalIncome",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "delisted",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "depositRentalIncome",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            }
+        ],
+        "name": "expireResaleListing",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "feeTreasury",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "fundingContributions",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "fundingRounds",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "softCap",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "deadline",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "raised",
+                "type": "uint256"
+            },
+            {
+                "internalType": "enum RealEstateMarketplaceBase.FundingStatus",
+                "name": "status",
+                "type": "uint8"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getActiveResaleListings",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getApproved",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "_isPrimarySale",
+                "type": "bool"
+            }
+        ],
+        "name": "getFeeBreakdown",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "platformFee",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "royalty",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sellerProceeds",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getImpliedMarketValue",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getInitialPrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getMarketPrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getPropertyDetails",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "id",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "initialPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "currentPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "totalShares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesSold",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "availableShares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "string",
+                "name": "metadataURI",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getTradingStatus",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "primarySaleActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "bool",
+                "name": "resaleActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "bool",
+                "name": "isDelisted",
+                "type": "bool"
+            },
+            {
+                "internalType": "bool",
+                "name": "marketplacePaused",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_user",
+                "type": "address"
+            }
+        ],
+        "name": "getUserShares",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "incomePerShare",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "operator",
+                "type": "address"
+            }
+        ],
+        "name": "isApprovedForAll",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_totalShares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "string",
+                "name": "_tokenURI",
+                "type": "string"
+            },
+            {
+                "internalType": "address",
+                "name": "_paymentToken",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_beneficiary",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_softCap",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_fundingDeadline",
+                "type": "uint256"
+            },
+            {
+                "internalType": "enum RealEstateMarketplaceBase.PricingMode",
+                "name": "_pricingMode",
+                "type": "uint8"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_endPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_auctionEnd",
+                "type": "uint256"
+            }
+        ],
+        "name": "listProperty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "listSharesForResale",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "listingOffers",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "lockedShares",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "name",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "nextBidId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "nextListingId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "nextOfferId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "nextPropertyId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "nextProposalId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "offers",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "offerId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "counterPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "uint256",
+                "name": "createdAt",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "ordersModule",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "ownerOf",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "paused",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "paymentTokens",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "pendingProceeds",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "pendingWithdrawals",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "priceLimits",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "bandBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "relativeToAverage",
+                "type": "bool"
+            },
+            {
+                "internalType": "uint256",
+                "name": "haltMoveBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "haltWindow",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "primaryFeeBps",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "properties",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "id",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "initialPricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "currentPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "totalShares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesSold",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "string",
+                "name": "metadataURI",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "propertyBuyOrders",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "propertyResaleListings",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_token",
+                "type": "address"
+            }
+        ],
+        "name": "registerShareToken",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "renounceOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "rentalIncomeClaimed",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "resaleFeeBps",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "resaleHalted",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "resaleListings",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "listingId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesForSale",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesSold",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "isActive",
+                "type": "bool"
+            },
+            {
+                "internalType": "uint256",
+                "name": "createdAt",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "resalePriceHistory",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "resaleTransactions",
+        "outputs": [
+            {
+                "internalType": "uint128",
+                "name": "pricePerShare",
+                "type": "uint128"
+            },
+            {
+                "internalType": "uint64",
+                "name": "shares",
+                "type": "uint64"
+            },
+            {
+                "internalType": "uint64",
+                "name": "timestamp",
+                "type": "uint64"
+            },
+            {
+                "internalType": "address",
+                "name": "buyer",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "seller",
+                "type": "address"
+            },
+            {
+                "internalType": "bool",
+                "name": "isOutlier",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "royaltyBps",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "safeTransferFrom",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bytes",
+                "name": "data",
+                "type": "bytes"
+            }
+        ],
+        "name": "safeTransferFrom",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "sellerResaleListings",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "operator",
+                "type": "address"
+            },
+            {
+                "internalType": "bool",
+                "name": "approved",
+                "type": "bool"
+            }
+        ],
+        "name": "setApprovalForAll",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "shareTokenFactory",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "shareTokens",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "bytes4",
+                "name": "interfaceId",
+                "type": "bytes4"
+            }
+        ],
+        "name": "supportsInterface",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "symbol",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "tokenFeeTreasury",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "tokenURI",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "totalRentalIncome",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "tokenId",
+                "type": "uint256"
+            }
+        ],
+        "name": "transferFrom",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "newOwner",
+                "type": "address"
+            }
+        ],
+        "name": "transferOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            }
+        ],
+        "name": "transferShares",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            }
+        ],
+        "name": "transferSharesFrom",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_sharesRemaining",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "updateResaleListing",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "userShares",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "withdrawAllProceeds",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "withdrawProceeds",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "stateMutability": "payable",
+        "type": "receive"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_offerId",
+                "type": "uint256"
+            }
+        ],
+        "name": "acceptCounterOffer",
+        "outputs": [],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_offerId",
+                "type": "uint256"
+            }
+        ],
+        "name": "acceptOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_maxAveragePrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256[]",
+                "name": "_listingIds",
+                "type": "uint256[]"
+            }
+        ],
+        "name": "buyAtBestPrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "sharesBought",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "totalCost",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_bidId",
+                "type": "uint256"
+            }
+        ],
+        "name": "cancelBid",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_offerId",
+                "type": "uint256"
+            }
+        ],
+        "name": "cancelOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_offerId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_counterPrice",
+                "type": "uint256"
+            }
+        ],
+        "name": "counterOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_bidId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            }
+        ],
+        "name": "fillBid",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getActiveBids",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getBestPrices",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "bestBid",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "bestBidId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "bestAsk",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "bestAskId",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getListingOffers",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_seller",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_cursor",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_limit",
+                "type": "uint256"
+            }
+        ],
+        "name": "getResaleListingsPage",
+        "outputs": [
+            {
+                "components": [
+                    {
+                        "internalType": "uint256",
+                        "name": "listingId",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "propertyId",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "address",
+                        "name": "seller",
+                        "type": "address"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "sharesForSale",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "pricePerShare",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "sharesSold",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "bool",
+                        "name": "isActive",
+                        "type": "bool"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "createdAt",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "expiresAt",
+                        "type": "uint256"
+                    }
+                ],
+                "internalType": "struct RealEstateMarketplaceBase.ResaleListing[]",
+                "name": "page",
+                "type": "tuple[]"
+            },
+            {
+                "internalType": "uint256",
+                "name": "nextCursor",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_listingId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "makeOffer",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_pricePerShare",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_expiresAt",
+                "type": "uint256"
+            }
+        ],
+        "name": "placeBid",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "payable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_buyer",
+                "type": "address"
+            }
+        ],
+        "name": "quoteBestPrice",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "listingIds",
+                "type": "uint256[]"
+            },
+            {
+                "internalType": "uint256[]",
+                "name": "shares",
+                "type": "uint256[]"
+            },
+            {
+                "internalType": "uint256",
+                "name": "sharesAvailable",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "totalCost",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_offerId",
+                "type": "uint256"
+            }
+        ],
+        "name": "rejectOffer",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_PROPOSAL_LENGTH",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MAX_VOTING_PERIOD",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "MIN_VOTING_PERIOD",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "PROPOSAL_QUORUM_BPS",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "cancelFunding",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_proposalId",
+                "type": "uint256"
+            }
+        ],
+        "name": "cancelProposal",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_proposalId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "enum RealEstateMarketplaceBase.VoteType",
+                "name": "_support",
+                "type": "uint8"
+            }
+        ],
+        "name": "castVote",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "claimFundingRefund",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "string",
+                "name": "_description",
+                "type": "string"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_votingPeriod",
+                "type": "uint256"
+            }
+        ],
+        "name": "createProposal",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "proposalId",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "delistProperty",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "finalizeFunding",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getAverageResalePrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getFundingStatus",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "softCap",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "deadline",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "raised",
+                "type": "uint256"
+            },
+            {
+                "internalType": "enum RealEstateMarketplaceBase.FundingStatus",
+                "name": "status",
+                "type": "uint8"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getMinPriceVolume",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            }
+        ],
+        "name": "getPendingProceeds",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "propertyIds",
+                "type": "uint256[]"
+            },
+            {
+                "internalType": "uint256[]",
+                "name": "amounts",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getPriceBand",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "minPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "maxPrice",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getPrimaryPricing",
+        "outputs": [
+            {
+                "internalType": "enum RealEstateMarketplaceBase.PricingMode",
+                "name": "mode",
+                "type": "uint8"
+            },
+            {
+                "internalType": "uint256",
+                "name": "startPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "endPrice",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "startTime",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "endTime",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getPropertyProposals",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_proposalId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getProposal",
+        "outputs": [
+            {
+                "components": [
+                    {
+                        "internalType": "uint256",
+                        "name": "propertyId",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "address",
+                        "name": "proposer",
+                        "type": "address"
+                    },
+                    {
+                        "internalType": "string",
+                        "name": "description",
+                        "type": "string"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "snapshotBlock",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "votingStart",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "votingEnd",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "quorum",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "forVotes",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "againstVotes",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "abstainVotes",
+                        "type": "uint256"
+                    },
+                    {
+                        "internalType": "bool",
+                        "name": "cancelled",
+                        "type": "bool"
+                    }
+                ],
+                "internalType": "struct RealEstateMarketplaceBase.Proposal",
+                "name": "proposal",
+                "type": "tuple"
+            },
+            {
+                "internalType": "enum RealEstateMarketplaceBase.ProposalState",
+                "name": "state",
+                "type": "uint8"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            }
+        ],
+        "name": "getRentalIncome",
+        "outputs": [
+            {
+                "internalType": "uint256[]",
+                "name": "propertyIds",
+                "type": "uint256[]"
+            },
+            {
+                "internalType": "uint256[]",
+                "name": "claimable",
+                "type": "uint256[]"
+            },
+            {
+                "internalType": "uint256[]",
+                "name": "claimed",
+                "type": "uint256[]"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getResaleCount",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getResaleTransactionCount",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getRoyaltyRecipient",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getTimeWeightedPrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            }
+        ],
+        "name": "getVolumeWeightedPrice",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "price",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "volume",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "meetsMinVolume",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_proposalId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_voter",
+                "type": "address"
+            }
+        ],
+        "name": "getVoteReceipt",
+        "outputs": [
+            {
+                "components": [
+                    {
+                        "internalType": "bool",
+                        "name": "hasVoted",
+                        "type": "bool"
+                    },
+                    {
+                        "internalType": "enum RealEstateMarketplaceBase.VoteType",
+                        "name": "support",
+                        "type": "uint8"
+                    },
+                    {
+                        "internalType": "uint256",
+                        "name": "weight",
+                        "type": "uint256"
+                    }
+                ],
+                "internalType": "struct RealEstateMarketplaceBase.VoteReceipt",
+                "name": "",
+                "type": "tuple"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_blockNumber",
+                "type": "uint256"
+            }
+        ],
+        "name": "getVotingPower",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "pause",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_shares",
+                "type": "uint256"
+            }
+        ],
+        "name": "quotePrimaryPurchase",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "totalCost",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "nextSharePrice",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_primaryFeeBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_resaleFeeBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_royaltyBps",
+                "type": "uint256"
+            }
+        ],
+        "name": "setFees",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_bandBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "_relativeToAverage",
+                "type": "bool"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_haltMoveBps",
+                "type": "uint256"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_haltWindow",
+                "type": "uint256"
+            }
+        ],
+        "name": "setPriceLimits",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "_active",
+                "type": "bool"
+            }
+        ],
+        "name": "setPrimarySaleActive",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "bool",
+                "name": "_active",
+                "type": "bool"
+            }
+        ],
+        "name": "setResaleActive",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_factory",
+                "type": "address"
+            }
+        ],
+        "name": "setShareTokenFactory",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "unpause",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "withdrawFees",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_token",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "withdrawTokenFees",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    }
+];
+
+// ABI of PropertyShareToken (deployed at its own address - use with new ethers.Contract)
+export const SHARE_TOKEN_ABI = [
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_marketplace",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "string",
+                "name": "_name",
+                "type": "string"
+            },
+            {
+                "internalType": "string",
+                "name": "_symbol",
+                "type": "string"
+            },
+            {
+                "internalType": "bool",
+                "name": "_needsMigration",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "constructor"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "spender",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "Approval",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "balance",
+                "type": "uint256"
+            }
+        ],
+        "name": "HolderAnnounced",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "Transfer",
+        "type": "event"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_owner",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_spender",
+                "type": "address"
+            }
+        ],
+        "name": "allowance",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address[]",
+                "name": "_holders",
+                "type": "address[]"
+            }
+        ],
+        "name": "announceHolders",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "announced",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_spender",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "approve",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            }
+        ],
+        "name": "balanceOf",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "decimals",
+        "outputs": [
+            {
+                "internalType": "uint8",
+                "name": "",
+                "type": "uint8"
+            }
+        ],
+        "stateMutability": "pure",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "name": "isAnnounced",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "marketplace",
+        "outputs": [
+            {
+                "internalType": "contract IShareTokenMarketplace",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "name",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "needsMigration",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "onSharesMoved",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "propertyId",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "symbol",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "totalSupply",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "transfer",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "_to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "_amount",
+                "type": "uint256"
+            }
+        ],
+        "name": "transferFrom",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_account",
+                "type": "address"
+            }
+        ],
+        "name": "transferableBalanceOf",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    }
+];
+
+// ABI of FractionalPropertyFactory (deployed at its own address - use with new ethers.Contract)
+export const SHARE_TOKEN_FACTORY_ABI = [
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "_marketplace",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "constructor"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            }
+        ],
+        "name": "OwnableInvalidOwner",
+        "type": "error"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            }
+        ],
+        "name": "OwnableUnauthorizedAccount",
+        "type": "error"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "previousOwner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "newOwner",
+                "type": "address"
+            }
+        ],
+        "name": "OwnershipTransferred",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "uint256",
+                "name": "propertyId",
+                "type": "uint256"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "token",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "string",
+                "name": "name",
+                "type": "string"
+            },
+            {
+                "indexed": false,
+                "internalType": "string",
+                "name": "symbol",
+                "type": "string"
+            },
+            {
+                "indexed": false,
+                "internalType": "bool",
+                "name": "needsMigration",
+                "type": "bool"
+            }
+        ],
+        "name": "ShareTokenCreated",
+        "type": "event"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "name": "allShareTokens",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "uint256",
+                "name": "_propertyId",
+                "type": "uint256"
+            },
+            {
+                "internalType": "string",
+                "name": "_name",
+                "type": "string"
+            },
+            {
+                "internalType": "string",
+                "name": "_symbol",
+                "type": "string"
+            }
+        ],
+        "name": "createShareToken",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "token",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "getShareTokenCount",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "marketplace",
+        "outputs": [
+            {
+                "internalType": "contract IShareTokenMarketplace",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "owner",
+        "outputs": [
+            {
+                "internalType": "address",
+                "name": "",
+                "type": "address"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "renounceOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "newOwner",
+                "type": "address"
+            }
+        ],
+        "name": "transferOwnership",
+        "outputs": [],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    }
+];
+
+// ABI of IERC20Metadata (deployed at its own address - use with new ethers.Contract)
+export const PAYMENT_TOKEN_ABI = [
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "spender",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "Approval",
+        "type": "event"
+    },
+    {
+        "anonymous": false,
+        "inputs": [
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "indexed": true,
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "indexed": false,
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "Transfer",
+        "type": "event"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "owner",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "spender",
+                "type": "address"
+            }
+        ],
+        "name": "allowance",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "spender",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "approve",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "account",
+                "type": "address"
+            }
+        ],
+        "name": "balanceOf",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "decimals",
+        "outputs": [
+            {
+                "internalType": "uint8",
+                "name": "",
+                "type": "uint8"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "name",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "symbol",
+        "outputs": [
+            {
+                "internalType": "string",
+                "name": "",
+                "type": "string"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [],
+        "name": "totalSupply",
+        "outputs": [
+            {
+                "internalType": "uint256",
+                "name": "",
+                "type": "uint256"
+            }
+        ],
+        "stateMutability": "view",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "transfer",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    },
+    {
+        "inputs": [
+            {
+                "internalType": "address",
+                "name": "from",
+                "type": "address"
+            },
+            {
+                "internalType": "address",
+                "name": "to",
+                "type": "address"
+            },
+            {
+                "internalType": "uint256",
+                "name": "value",
+                "type": "uint256"
+            }
+        ],
+        "name": "transferFrom",
+        "outputs": [
+            {
+                "internalType": "bool",
+                "name": "",
+                "type": "bool"
+            }
+        ],
+        "stateMutability": "nonpayable",
+        "type": "function"
+    }
+];
+
+// Event signatures and topic hashes, usable without a contract instance
+export const EVENTS = {
+    Approval: {
+        signature: 'Approval(address,address,uint256)',
+        topic: '0x8c5be1e5ebec7d5bd14f71427d1e84f3dd0314c0f7b2291e5b200ac8c7c3b925'
+    },
+    ApprovalForAll: {
+        signature: 'ApprovalForAll(address,address,bool)',
+        topic: '0x17307eab39ab6107e8899845ad3d59bd9653f200f220920489ca2b5937696c31'
+    },
+    BatchMetadataUpdate: {
+        signature: 'BatchMetadataUpdate(uint256,uint256)',
+        topic: '0x6bd5c950a8d8df17f772f5af37cb3655737899cbf903264b9795592da439661c'
+    },
+    BidCancelled: {
+        signature: 'BidCancelled(uint256,uint256)',
+        topic: '0x434f408152dd2123c65c37cf2f87c99b796232777a79d6e67484bcc946bd51c3'
+    },
+    BidFilled: {
+        signature: 'BidFilled(uint256,uint256,address,address,uint256,uint256,uint256)',
+        topic: '0xaa0132aa6b588031a4396c4691ea56894c5080618e60471b2f5cb31e9076d007'
+    },
+    BidPlaced: {
+        signature: 'BidPlaced(uint256,uint256,address,uint256,uint256,uint256)',
+        topic: '0x6bce721f1ec1213b8ae57f52eac0303a8c3029f418f2607d91a20edb2aabfb81'
+    },
+    CircuitBreakerTripped: {
+        signature: 'CircuitBreakerTripped(uint256,uint256,uint256)',
+        topic: '0x1f5ec90aadee7feb713418f2a1401164df3e2986a842353c34fb6a0fc5c40bf9'
+    },
+    FeesUpdated: {
+        signature: 'FeesUpdated(uint256,uint256,uint256)',
+        topic: '0xcf8a1e1d5f09cf3c97dbb653cd9a4d7aace9292fbc1bb8211febf2d400febbdd'
+    },
+    FeesWithdrawn: {
+        signature: 'FeesWithdrawn(address,uint256)',
+        topic: '0xc0819c13be868895eb93e40eaceb96de976442fa1d404e5c55f14bb65a8c489a'
+    },
+    FundingFailed: {
+        signature: 'FundingFailed(uint256,uint256)',
+        topic: '0xc00de57a03ca7da83407db98a43fb9f921dbbea50c61de7b5c639393be7523db'
+    },
+    FundingFinalized: {
+        signature: 'FundingFinalized(uint256,uint256)',
+        topic: '0xf2a9bf8003f0e17cc37185d32c92052e54099eeb75928ab363392525af6f722c'
+    },
+    FundingRefunded: {
+        signature: 'FundingRefunded(uint256,address,uint256,uint256)',
+        topic: '0x0bf4b7b440bca47fe1a2fe08079b1980ada7c7fc2d0cfb5d452ea72e1380589c'
+    },
+    FundingStarted: {
+        signature: 'FundingStarted(uint256,uint256,uint256)',
+        topic: '0x046c43b5c9acbe08f5c9502b883134201f1eda0c361248c5d58026a870763d0b'
+    },
+    MarketPriceUpdated: {
+        signature: 'MarketPriceUpdated(uint256,uint256,uint256)',
+        topic: '0x12a5d30e792424d49bdd4273ae090eba041b152a194d515fd2f133a90828525c'
+    },
+    MetadataUpdate: {
+        signature: 'MetadataUpdate(uint256)',
+        topic: '0xf8e1a15aba9398e019f0b49df1a4fde98ee17ae345cb5f6b5e2c27f5033e8ce7'
+    },
+    OfferAccepted: {
+        signature: 'OfferAccepted(uint256,uint256)',
+        topic: '0x397f87b3946767b09967764d50032941de13a2606bcb39dfed61d7b1ed0192cc'
+    },
+    OfferCancelled: {
+        signature: 'OfferCancelled(uint256,uint256)',
+        topic: '0x33559c26e53c3e89ff8feeaf6cfba76e46453390b4a80b64e8672dad0a0a45fb'
+    },
+    OfferCountered: {
+        signature: 'OfferCountered(uint256,uint256)',
+        topic: '0xca8c5191c7d94cc4db313f6cca791559787dc2e7794021a825e62df9564f868e'
+    },
+    OfferMade: {
+        signature: 'OfferMade(uint256,uint256,address,uint256,uint256,uint256)',
+        topic: '0x87d488fb4bdf418b8e1ab59c465718c2de65b4ae7d41e7f8dc1ca270b86ba698'
+    },
+    OfferRejected: {
+        signature: 'OfferRejected(uint256,uint256)',
+        topic: '0x62e3b0e91943995d9e002e08321d6362128349d221ce3d9cbec26f71ddbf7d6e'
+    },
+    OwnershipTransferred: {
+        signature: 'OwnershipTransferred(address,address)',
+        topic: '0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0'
+    },
+    Paused: {
+        signature: 'Paused(address)',
+        topic: '0x62e78cea01bee320cd4e420270b5ea74000d11b0c9f74754ebdbfc544b05a258'
+    },
+    PriceLimitsUpdated: {
+        signature: 'PriceLimitsUpdated(uint256,uint256,bool,uint256,uint256)',
+        topic: '0x4d858dd3a60e9bf69c94dddfdbc7ba221d73db0ae6824f1fe4d21418fa0d8cc7'
+    },
+    PrimaryPricingSet: {
+        signature: 'PrimaryPricingSet(uint256,uint8,uint256,uint256,uint256,uint256)',
+        topic: '0xfe4c0046953ba2017b6b85ef89bd580d0480ecca73c57498a46de35256266c26'
+    },
+    PrimarySaleStatusChanged: {
+        signature: 'PrimarySaleStatusChanged(uint256,bool)',
+        topic: '0x307a656c19dddec3b1b8098e7eeb8df31ef8fe6f7201aeebde6c5a5417b73fa6'
+    },
+    ProceedsCredited: {
+        signature: 'ProceedsCredited(uint256,address,uint256)',
+        topic: '0x443958871ee754ca565b38fa79b14dc63c19d488780d06493038ed6772b07c59'
+    },
+    ProceedsWithdrawn: {
+        signature: 'ProceedsWithdrawn(uint256,address,uint256)',
+        topic: '0x579e0e2d0cfdb23711bb6034ac9f2ba41e8965a8e24589d1c3cf5604868661fc'
+    },
+    PropertyDelisted: {
+        signature: 'PropertyDelisted(uint256)',
+        topic: '0x96abd22e7d47a60e2f7c6de9d91b2dacc141b1f21ce398bbd843e08c8ce6a02d'
+    },
+    PropertyListed: {
+        signature: 'PropertyListed(uint256,address,uint256,uint256,string)',
+        topic: '0x61edbe4ed6b64ca58a58856a6fef15bb934c6635a72b2a25966775289bf74bd4'
+    },
+    PropertyOwnerChanged: {
+        signature: 'PropertyOwnerChanged(uint256,address,address)',
+        topic: '0x56629e12f35b876d2f2b24f4c1fc29a748e496cd12950a7e20f1257181cf019c'
+    },
+    ProposalCancelled: {
+        signature: 'ProposalCancelled(uint256)',
+        topic: '0x416e669c63d9a3a5e36ee7cc7e2104b8db28ccd286aa18966e98fa230c73b08c'
+    },
+    ProposalCreated: {
+        signature: 'ProposalCreated(uint256,uint256,address,string,uint256,uint256,uint256)',
+        topic: '0x72dbd7436d0d73b2471f42ff04f375e4d86f8ec7459d7c8d3a49f01266d698b3'
+    },
+    RentalIncomeClaimed: {
+        signature: 'RentalIncomeClaimed(uint256,address,uint256)',
+        topic: '0x92590c9635e258b48a11c88c617182d3531a9668a55ecca1db2a7c03e57e39f4'
+    },
+    RentalIncomeDeposited: {
+        signature: 'RentalIncomeDeposited(uint256,address,uint256,uint256)',
+        topic: '0xb434068e02129e220ed8f3aece6a6463b0a3969945c3149eb1325f698472087d'
+    },
+    ResaleCompleted: {
+        signature: 'ResaleCompleted(uint256,uint256,address,address,uint256,uint256,uint256)',
+        topic: '0x1efe35476e0aa252af3c2a67828c354e4a93d14dfb436f25d0635451a9c1e6b5'
+    },
+    ResaleListingCancelled: {
+        signature: 'ResaleListingCancelled(uint256)',
+        topic: '0x212a3ea78f7b74183daff7be4efb45638a8ef36d126a206d2fdcff79a8e33b90'
+    },
+    ResaleListingCreated: {
+        signature: 'ResaleListingCreated(uint256,uint256,address,uint256,uint256)',
+        topic: '0x1ae920b343a40ad92f961507b5771560d3889785667930c63528379ac3358d1f'
+    },
+    ResaleListingExpired: {
+        signature: 'ResaleListingExpired(uint256)',
+        topic: '0x95050c729b8b86048325f1683f73d8b06c7d3e647b2e961d30e18ebe7ebaef21'
+    },
+    ResaleListingUpdated: {
+        signature: 'ResaleListingUpdated(uint256,uint256,uint256,uint256)',
+        topic: '0x67f3df1ba1c95a616328bc482f5dd0b31cb7663f4a1edf59eba0d40fa9c12c37'
+    },
+    ResaleSweep: {
+        signature: 'ResaleSweep(uint256,address,uint256,uint256,uint256)',
+        topic: '0x78425cb60b6722d065e20cdabc5570c665b957f9e2b3e8fe0e094654a9c125c2'
+    },
+    ResaleTradingStatusChanged: {
+        signature: 'ResaleTradingStatusChanged(uint256,bool)',
+        topic: '0x729ffc86c153866d159d0fd9a1d472d22e45a49e6a5943c3128e67b251d10228'
+    },
+    ShareTokenFactoryUpdated: {
+        signature: 'ShareTokenFactoryUpdated(address)',
+        topic: '0x10f2f738d24b9ef631c0de4a1a0089651dfa9848f9671cf87cd238c20f4df9b8'
+    },
+    ShareTokenRegistered: {
+        signature: 'ShareTokenRegistered(uint256,address)',
+        topic: '0xd6eaf08504dd8f834d7574ec82fcf7e013cf20fb1f0eb30b2cafaaa8797cddd0'
+    },
+    SharesPurchased: {
+        signature: 'SharesPurchased(uint256,address,uint256,uint256,bool)',
+        topic: '0x1004f14b1d65d3a46bf6dd39c3b7e180b16658e7470745283ed6e0fad94fd50b'
+    },
+    SharesTransferred: {
+        signature: 'SharesTransferred(uint256,address,address,uint256)',
+        topic: '0x78dc4ab325d618a4100f0b44da2f25725cd94b780060f6b9e87065e9c0b12ebd'
+    },
+    TokenFeesWithdrawn: {
+        signature: 'TokenFeesWithdrawn(address,address,uint256)',
+        topic: '0x6241d2d4228642a412963629be2a38b8fea3c68fc02692659f2afb536393e3af'
+    },
+    TradeFeesCharged: {
+        signature: 'TradeFeesCharged(uint256,address,uint256,uint256,uint256,bool)',
+        topic: '0x17fb19a00f66883904ac608413c2f55f7cf79d224ed2da4adcc0aa4ca506a2ce'
+    },
+    Transfer: {
+        signature: 'Transfer(address,address,uint256)',
+        topic: '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef'
+    },
+    Unpaused: {
+        signature: 'Unpaused(address)',
+        topic: '0x5db9ee0a495bf2e6ff9c91a7834c1ba4fdd244a5e8aa4e537bd38aeae4b073aa'
+    },
+    VoteCast: {
+        signature: 'VoteCast(uint256,address,uint8,uint256)',
+        topic: '0xb83d25c6a5d258561330739951487acb4bd09ba5190b5d32c4f261817d906792'
+    }
+};
+
+/**
+ * @typedef {bigint|number|string} BigIntish
+ * @typedef {Object} Overrides - ethers transaction/call overrides (gasLimit, blockTag, ...)
+ * @typedef {Overrides & { value?: BigIntish }} PayableOverrides
+ * @typedef {Object} ContractTransactionResponse - ethers v6 transaction response
+ * @typedef {Object} TopicFilter - ethers v6 deferred topic filter (for contract.queryFilter / contract.on)
+ */
+
+/**
+ * @typedef {Object} BuyOrdersResult
+ * @property {bigint} bidId
+ * @property {bigint} propertyId
+ * @property {string} buyer
+ * @property {bigint} sharesWanted
+ * @property {bigint} sharesFilled
+ * @property {bigint} pricePerShare
+ * @property {bigint} expiresAt
+ * @property {boolean} isActive
+ * @property {bigint} createdAt
+ */
+
+/**
+ * @typedef {Object} FundingRoundsResult
+ * @property {bigint} softCap
+ * @property {bigint} deadline
+ * @property {bigint} raised
+ * @property {bigint} status
+ */
+
+/**
+ * @typedef {Object} GetFeeBreakdownResult
+ * @property {bigint} platformFee
+ * @property {bigint} royalty
+ * @property {bigint} sellerProceeds
+ */
+
+/**
+ * @typedef {Object} GetPropertyDetailsResult
+ * @property {bigint} id
+ * @property {bigint} initialPrice
+ * @property {bigint} currentPrice
+ * @property {bigint} totalShares
+ * @property {bigint} sharesSold
+ * @property {bigint} availableShares
+ * @property {string} owner
+ * @property {boolean} isActive
+ * @property {string} metadataURI
+ */
+
+/**
+ * @typedef {Object} GetTradingStatusResult
+ * @property {boolean} primarySaleActive
+ * @property {boolean} resaleActive
+ * @property {boolean} isDelisted
+ * @property {boolean} marketplacePaused
+ */
+
+/**
+ * @typedef {Object} OffersResult
+ * @property {bigint} offerId
+ * @property {bigint} listingId
+ * @property {string} buyer
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ * @property {bigint} counterPrice
+ * @property {bigint} expiresAt
+ * @property {boolean} isActive
+ * @property {bigint} createdAt
+ */
+
+/**
+ * @typedef {Object} PriceLimitsResult
+ * @property {bigint} bandBps
+ * @property {boolean} relativeToAverage
+ * @property {bigint} haltMoveBps
+ * @property {bigint} haltWindow
+ */
+
+/**
+ * @typedef {Object} PropertiesResult
+ * @property {bigint} id
+ * @property {bigint} initialPricePerShare
+ * @property {bigint} currentPrice
+ * @property {bigint} totalShares
+ * @property {bigint} sharesSold
+ * @property {string} owner
+ * @property {boolean} isActive
+ * @property {string} metadataURI
+ */
+
+/**
+ * @typedef {Object} ResaleListingsResult
+ * @property {bigint} listingId
+ * @property {bigint} propertyId
+ * @property {string} seller
+ * @property {bigint} sharesForSale
+ * @property {bigint} pricePerShare
+ * @property {bigint} sharesSold
+ * @property {boolean} isActive
+ * @property {bigint} createdAt
+ * @property {bigint} expiresAt
+ */
+
+/**
+ * @typedef {Object} ResaleTransactionsResult
+ * @property {bigint} pricePerShare
+ * @property {bigint} shares
+ * @property {bigint} timestamp
+ * @property {string} buyer
+ * @property {string} seller
+ * @property {boolean} isOutlier
+ */
+
+/**
+ * @typedef {Object} GetBestPricesResult
+ * @property {bigint} bestBid
+ * @property {bigint} bestBidId
+ * @property {bigint} bestAsk
+ * @property {bigint} bestAskId
+ */
+
+/**
+ * @typedef {Object} GetResaleListingsPageResult
+ * @property {Array<string>} page
+ * @property {bigint} nextCursor
+ */
+
+/**
+ * @typedef {Object} QuoteBestPriceResult
+ * @property {Array<bigint>} listingIds
+ * @property {Array<bigint>} shares
+ * @property {bigint} sharesAvailable
+ * @property {bigint} totalCost
+ */
+
+/**
+ * @typedef {Object} GetFundingStatusResult
+ * @property {bigint} softCap
+ * @property {bigint} deadline
+ * @property {bigint} raised
+ * @property {bigint} status
+ */
+
+/**
+ * @typedef {Object} GetPendingProceedsResult
+ * @property {Array<bigint>} propertyIds
+ * @property {Array<bigint>} amounts
+ */
+
+/**
+ * @typedef {Object} GetPriceBandResult
+ * @property {bigint} minPrice
+ * @property {bigint} maxPrice
+ */
+
+/**
+ * @typedef {Object} GetPrimaryPricingResult
+ * @property {bigint} mode
+ * @property {bigint} startPrice
+ * @property {bigint} endPrice
+ * @property {bigint} startTime
+ * @property {bigint} endTime
+ */
+
+/**
+ * @typedef {Object} GetProposalResult
+ * @property {string} proposal
+ * @property {bigint} state
+ */
+
+/**
+ * @typedef {Object} GetRentalIncomeResult
+ * @property {Array<bigint>} propertyIds
+ * @property {Array<bigint>} claimable
+ * @property {Array<bigint>} claimed
+ */
+
+/**
+ * @typedef {Object} GetVolumeWeightedPriceResult
+ * @property {bigint} price
+ * @property {bigint} volume
+ * @property {boolean} meetsMinVolume
+ */
+
+/**
+ * @typedef {Object} QuotePrimaryPurchaseResult
+ * @property {bigint} totalCost
+ * @property {bigint} nextSharePrice
+ */
+
+/**
+ * @typedef {Object} ApprovalArgs
+ * @property {string} owner (indexed)
+ * @property {string} approved (indexed)
+ * @property {bigint} tokenId (indexed)
+ */
+
+/**
+ * @typedef {Object} ApprovalForAllArgs
+ * @property {string} owner (indexed)
+ * @property {string} operator (indexed)
+ * @property {boolean} approved
+ */
+
+/**
+ * @typedef {Object} BatchMetadataUpdateArgs
+ * @property {bigint} fromTokenId
+ * @property {bigint} toTokenId
+ */
+
+/**
+ * @typedef {Object} BidCancelledArgs
+ * @property {bigint} bidId (indexed)
+ * @property {bigint} refund
+ */
+
+/**
+ * @typedef {Object} BidFilledArgs
+ * @property {bigint} bidId (indexed)
+ * @property {bigint} propertyId (indexed)
+ * @property {string} seller (indexed)
+ * @property {string} buyer
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ * @property {bigint} newMarketPrice
+ */
+
+/**
+ * @typedef {Object} BidPlacedArgs
+ * @property {bigint} bidId (indexed)
+ * @property {bigint} propertyId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ * @property {bigint} expiresAt
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerTrippedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} referencePrice
+ * @property {bigint} price
+ */
+
+/**
+ * @typedef {Object} FeesUpdatedArgs
+ * @property {bigint} primaryFeeBps
+ * @property {bigint} resaleFeeBps
+ * @property {bigint} royaltyBps
+ */
+
+/**
+ * @typedef {Object} FeesWithdrawnArgs
+ * @property {string} to (indexed)
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} FundingFailedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} raised
+ */
+
+/**
+ * @typedef {Object} FundingFinalizedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} raised
+ */
+
+/**
+ * @typedef {Object} FundingRefundedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {bigint} shares
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} FundingStartedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} softCap
+ * @property {bigint} deadline
+ */
+
+/**
+ * @typedef {Object} MarketPriceUpdatedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} oldPrice
+ * @property {bigint} newPrice
+ */
+
+/**
+ * @typedef {Object} MetadataUpdateArgs
+ * @property {bigint} tokenId
+ */
+
+/**
+ * @typedef {Object} OfferAcceptedArgs
+ * @property {bigint} offerId (indexed)
+ * @property {bigint} pricePerShare
+ */
+
+/**
+ * @typedef {Object} OfferCancelledArgs
+ * @property {bigint} offerId (indexed)
+ * @property {bigint} refund
+ */
+
+/**
+ * @typedef {Object} OfferCounteredArgs
+ * @property {bigint} offerId (indexed)
+ * @property {bigint} counterPrice
+ */
+
+/**
+ * @typedef {Object} OfferMadeArgs
+ * @property {bigint} offerId (indexed)
+ * @property {bigint} listingId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ * @property {bigint} expiresAt
+ */
+
+/**
+ * @typedef {Object} OfferRejectedArgs
+ * @property {bigint} offerId (indexed)
+ * @property {bigint} refund
+ */
+
+/**
+ * @typedef {Object} OwnershipTransferredArgs
+ * @property {string} previousOwner (indexed)
+ * @property {string} newOwner (indexed)
+ */
+
+/**
+ * @typedef {Object} PausedArgs
+ * @property {string} account
+ */
+
+/**
+ * @typedef {Object} PriceLimitsUpdatedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} bandBps
+ * @property {boolean} relativeToAverage
+ * @property {bigint} haltMoveBps
+ * @property {bigint} haltWindow
+ */
+
+/**
+ * @typedef {Object} PrimaryPricingSetArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {bigint} mode
+ * @property {bigint} startPrice
+ * @property {bigint} endPrice
+ * @property {bigint} startTime
+ * @property {bigint} endTime
+ */
+
+/**
+ * @typedef {Object} PrimarySaleStatusChangedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {boolean} isActive
+ */
+
+/**
+ * @typedef {Object} ProceedsCreditedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} account (indexed)
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} ProceedsWithdrawnArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} account (indexed)
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} PropertyDelistedArgs
+ * @property {bigint} propertyId (indexed)
+ */
+
+/**
+ * @typedef {Object} PropertyListedArgs
+ * @property {bigint} id (indexed)
+ * @property {string} owner (indexed)
+ * @property {bigint} pricePerShare
+ * @property {bigint} totalShares
+ * @property {string} metadataURI
+ */
+
+/**
+ * @typedef {Object} PropertyOwnerChangedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} previousOwner (indexed)
+ * @property {string} newOwner (indexed)
+ */
+
+/**
+ * @typedef {Object} ProposalCancelledArgs
+ * @property {bigint} proposalId (indexed)
+ */
+
+/**
+ * @typedef {Object} ProposalCreatedArgs
+ * @property {bigint} proposalId (indexed)
+ * @property {bigint} propertyId (indexed)
+ * @property {string} proposer (indexed)
+ * @property {string} description
+ * @property {bigint} snapshotBlock
+ * @property {bigint} votingEnd
+ * @property {bigint} quorum
+ */
+
+/**
+ * @typedef {Object} RentalIncomeClaimedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} account (indexed)
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} RentalIncomeDepositedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} depositor (indexed)
+ * @property {bigint} amount
+ * @property {bigint} sharesOutstanding
+ */
+
+/**
+ * @typedef {Object} ResaleCompletedArgs
+ * @property {bigint} listingId (indexed)
+ * @property {bigint} propertyId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {string} seller
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ * @property {bigint} newMarketPrice
+ */
+
+/**
+ * @typedef {Object} ResaleListingCancelledArgs
+ * @property {bigint} listingId (indexed)
+ */
+
+/**
+ * @typedef {Object} ResaleListingCreatedArgs
+ * @property {bigint} listingId (indexed)
+ * @property {bigint} propertyId (indexed)
+ * @property {string} seller (indexed)
+ * @property {bigint} shares
+ * @property {bigint} pricePerShare
+ */
+
+/**
+ * @typedef {Object} ResaleListingExpiredArgs
+ * @property {bigint} listingId (indexed)
+ */
+
+/**
+ * @typedef {Object} ResaleListingUpdatedArgs
+ * @property {bigint} listingId (indexed)
+ * @property {bigint} pricePerShare
+ * @property {bigint} sharesForSale
+ * @property {bigint} expiresAt
+ */
+
+/**
+ * @typedef {Object} ResaleSweepArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {bigint} shares
+ * @property {bigint} totalCost
+ * @property {bigint} listingsFilled
+ */
+
+/**
+ * @typedef {Object} ResaleTradingStatusChangedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {boolean} isActive
+ */
+
+/**
+ * @typedef {Object} ShareTokenFactoryUpdatedArgs
+ * @property {string} factory
+ */
+
+/**
+ * @typedef {Object} ShareTokenRegisteredArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} token (indexed)
+ */
+
+/**
+ * @typedef {Object} SharesPurchasedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} buyer (indexed)
+ * @property {bigint} shares
+ * @property {bigint} amountSpent
+ * @property {boolean} isPrimaryPurchase
+ */
+
+/**
+ * @typedef {Object} SharesTransferredArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} from (indexed)
+ * @property {string} to (indexed)
+ * @property {bigint} shares
+ */
+
+/**
+ * @typedef {Object} TokenFeesWithdrawnArgs
+ * @property {string} token (indexed)
+ * @property {string} to (indexed)
+ * @property {bigint} amount
+ */
+
+/**
+ * @typedef {Object} TradeFeesChargedArgs
+ * @property {bigint} propertyId (indexed)
+ * @property {string} seller (indexed)
+ * @property {bigint} grossAmount
+ * @property {bigint} platformFee
+ * @property {bigint} royalty
+ * @property {boolean} isPrimarySale
+ */
+
+/**
+ * @typedef {Object} TransferArgs
+ * @property {string} from (indexed)
+ * @property {string} to (indexed)
+ * @property {bigint} tokenId (indexed)
+ */
+
+/**
+ * @typedef {Object} UnpausedArgs
+ * @property {string} account
+ */
+
+/**
+ * @typedef {Object} VoteCastArgs
+ * @property {bigint} proposalId (indexed)
+ * @property {string} voter (indexed)
+ * @property {bigint} support
+ * @property {bigint} weight
+ */
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} name - Event name, e.g. 'SharesPurchased'
+ * @property {string} signature
+ * @property {Object} args - Named event arguments (see the *Args typedefs)
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * Thrown when the contract at the configured address is not the one this
+ * client was generated from
+ */
+export class ContractMismatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContractMismatchError';
+    }
+}
+
+// "chainId:address" pairs whose bytecode already matched
+const verifiedDeployments = new Set();
+
+/**
+ * Create a typed client for a deployed RealEstateMarketplace
+ * @param {Object} ethers - The caller's ethers v6 module
+ * @param {string} address - Deployed contract address
+ * @param {Object} runner - ethers Signer or Provider
+ */
+export function createRealEstateMarketplaceClient(ethers, address, runner) {
+    if (!ethers.isAddress(address)) {
+        throw new ContractMismatchError(`Invalid RealEstateMarketplace address: ${address}`);
+    }
+
+    const contract = new ethers.Contract(address, ABI, runner);
+
+    const read = (signature, shape) => async (...args) => {
+        const result = await contract.getFunction(signature)(...args);
+        if (shape === 'object') return result.toObject();
+        if (shape === 'array') return result.toArray();
+        return result;
+    };
+
+    const write = (signature) => {
+        const method = contract.getFunction(signature);
+        const send = (...args) => method(...args);
+        send.estimateGas = (...args) => method.estimateGas(...args);
+        send.staticCall = (...args) => method.staticCall(...args);
+        return send;
+    };
+
+    /**
+     * Decode a log emitted by this contract; returns null for foreign logs
+     * @returns {DecodedEvent|null}
+     */
+    const decodeEvent = (log) => {
+        if (log.address && log.address.toLowerCase() !== address.toLowerCase()) return null;
+
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+        if (!parsed) return null;
+
+        return {
+            name: parsed.name,
+            signature: parsed.signature,
+            args: parsed.args.toObject(),
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index
+        };
+    };
+
+    /**
+     * First event with the given name in a transaction receipt
+     * @returns {DecodedEvent|null}
+     */
+    const findEvent = (receipt, eventName) => {
+        for (const log of receipt.logs) {
+            const event = decodeEvent(log);
+            if (event?.name === eventName) return event;
+        }
+        return null;
+    };
+
+    /**
+     * Throw a ContractMismatchError unless the code deployed at `address`, and
+     * at each of its modules, is exactly the bytecode this client was generated from
+     */
+    const verifyDeployment = async () => {
+        const provider = runner?.provider ?? runner;
+        const { chainId } = await provider.getNetwork();
+        const key = `${chainId}:${address.toLowerCase()}`;
+        if (verifiedDeployments.has(key)) return true;
+
+        const code = await provider.getCode(address);
+        if (code === '0x') {
+            throw new ContractMismatchError(`No contract deployed at ${address} on chain ${chainId}`);
+        }
+        if (ethers.keccak256(code) !== DEPLOYED_BYTECODE_HASH) {
+            throw new ContractMismatchError(
+                `The contract at ${address} on chain ${chainId} does not match the compiled RealEstateMarketplace. ` +
+                'Redeploy the contract or regenerate the client with `npm run client` in blockchain/.'
+            );
+        }
+
+        for (const module of MODULES) {
+            const moduleAddress = await contract.getFunction(module.getter)();
+            if (ethers.keccak256(await provider.getCode(moduleAddress)) !== module.deployedBytecodeHash) {
+                throw new ContractMismatchError(
+                    `The ${module.name} module at ${moduleAddress} used by ${address} does not match the compiled one. ` +
+                    'Redeploy the contract or regenerate the client with `npm run client` in blockchain/.'
+                );
+            }
+        }
+
+        verifiedDeployments.add(key);
+        return true;
+    };
+
+    return {
+        address,
+        contract,
+        interface: contract.interface,
+        decodeEvent,
+        findEvent,
+        verifyDeployment,
+
+        events: {
+            /**
+             * @type {(owner?: string, approved?: string, tokenId?: BigIntish) => TopicFilter}
+             */
+            Approval: (...args) => contract.filters['Approval(address,address,uint256)'](...args),
+            /**
+             * @type {(owner?: string, operator?: string) => TopicFilter}
+             */
+            ApprovalForAll: (...args) => contract.filters['ApprovalForAll(address,address,bool)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            BatchMetadataUpdate: (...args) => contract.filters['BatchMetadataUpdate(uint256,uint256)'](...args),
+            /**
+             * @type {(bidId?: BigIntish) => TopicFilter}
+             */
+            BidCancelled: (...args) => contract.filters['BidCancelled(uint256,uint256)'](...args),
+            /**
+             * @type {(bidId?: BigIntish, propertyId?: BigIntish, seller?: string) => TopicFilter}
+             */
+            BidFilled: (...args) => contract.filters['BidFilled(uint256,uint256,address,address,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(bidId?: BigIntish, propertyId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            BidPlaced: (...args) => contract.filters['BidPlaced(uint256,uint256,address,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            CircuitBreakerTripped: (...args) => contract.filters['CircuitBreakerTripped(uint256,uint256,uint256)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            FeesUpdated: (...args) => contract.filters['FeesUpdated(uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(to?: string) => TopicFilter}
+             */
+            FeesWithdrawn: (...args) => contract.filters['FeesWithdrawn(address,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            FundingFailed: (...args) => contract.filters['FundingFailed(uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            FundingFinalized: (...args) => contract.filters['FundingFinalized(uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            FundingRefunded: (...args) => contract.filters['FundingRefunded(uint256,address,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            FundingStarted: (...args) => contract.filters['FundingStarted(uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            MarketPriceUpdated: (...args) => contract.filters['MarketPriceUpdated(uint256,uint256,uint256)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            MetadataUpdate: (...args) => contract.filters['MetadataUpdate(uint256)'](...args),
+            /**
+             * @type {(offerId?: BigIntish) => TopicFilter}
+             */
+            OfferAccepted: (...args) => contract.filters['OfferAccepted(uint256,uint256)'](...args),
+            /**
+             * @type {(offerId?: BigIntish) => TopicFilter}
+             */
+            OfferCancelled: (...args) => contract.filters['OfferCancelled(uint256,uint256)'](...args),
+            /**
+             * @type {(offerId?: BigIntish) => TopicFilter}
+             */
+            OfferCountered: (...args) => contract.filters['OfferCountered(uint256,uint256)'](...args),
+            /**
+             * @type {(offerId?: BigIntish, listingId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            OfferMade: (...args) => contract.filters['OfferMade(uint256,uint256,address,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(offerId?: BigIntish) => TopicFilter}
+             */
+            OfferRejected: (...args) => contract.filters['OfferRejected(uint256,uint256)'](...args),
+            /**
+             * @type {(previousOwner?: string, newOwner?: string) => TopicFilter}
+             */
+            OwnershipTransferred: (...args) => contract.filters['OwnershipTransferred(address,address)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            Paused: (...args) => contract.filters['Paused(address)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            PriceLimitsUpdated: (...args) => contract.filters['PriceLimitsUpdated(uint256,uint256,bool,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            PrimaryPricingSet: (...args) => contract.filters['PrimaryPricingSet(uint256,uint8,uint256,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            PrimarySaleStatusChanged: (...args) => contract.filters['PrimarySaleStatusChanged(uint256,bool)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, account?: string) => TopicFilter}
+             */
+            ProceedsCredited: (...args) => contract.filters['ProceedsCredited(uint256,address,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, account?: string) => TopicFilter}
+             */
+            ProceedsWithdrawn: (...args) => contract.filters['ProceedsWithdrawn(uint256,address,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            PropertyDelisted: (...args) => contract.filters['PropertyDelisted(uint256)'](...args),
+            /**
+             * @type {(id?: BigIntish, owner?: string) => TopicFilter}
+             */
+            PropertyListed: (...args) => contract.filters['PropertyListed(uint256,address,uint256,uint256,string)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, previousOwner?: string, newOwner?: string) => TopicFilter}
+             */
+            PropertyOwnerChanged: (...args) => contract.filters['PropertyOwnerChanged(uint256,address,address)'](...args),
+            /**
+             * @type {(proposalId?: BigIntish) => TopicFilter}
+             */
+            ProposalCancelled: (...args) => contract.filters['ProposalCancelled(uint256)'](...args),
+            /**
+             * @type {(proposalId?: BigIntish, propertyId?: BigIntish, proposer?: string) => TopicFilter}
+             */
+            ProposalCreated: (...args) => contract.filters['ProposalCreated(uint256,uint256,address,string,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, account?: string) => TopicFilter}
+             */
+            RentalIncomeClaimed: (...args) => contract.filters['RentalIncomeClaimed(uint256,address,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, depositor?: string) => TopicFilter}
+             */
+            RentalIncomeDeposited: (...args) => contract.filters['RentalIncomeDeposited(uint256,address,uint256,uint256)'](...args),
+            /**
+             * @type {(listingId?: BigIntish, propertyId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            ResaleCompleted: (...args) => contract.filters['ResaleCompleted(uint256,uint256,address,address,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(listingId?: BigIntish) => TopicFilter}
+             */
+            ResaleListingCancelled: (...args) => contract.filters['ResaleListingCancelled(uint256)'](...args),
+            /**
+             * @type {(listingId?: BigIntish, propertyId?: BigIntish, seller?: string) => TopicFilter}
+             */
+            ResaleListingCreated: (...args) => contract.filters['ResaleListingCreated(uint256,uint256,address,uint256,uint256)'](...args),
+            /**
+             * @type {(listingId?: BigIntish) => TopicFilter}
+             */
+            ResaleListingExpired: (...args) => contract.filters['ResaleListingExpired(uint256)'](...args),
+            /**
+             * @type {(listingId?: BigIntish) => TopicFilter}
+             */
+            ResaleListingUpdated: (...args) => contract.filters['ResaleListingUpdated(uint256,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            ResaleSweep: (...args) => contract.filters['ResaleSweep(uint256,address,uint256,uint256,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish) => TopicFilter}
+             */
+            ResaleTradingStatusChanged: (...args) => contract.filters['ResaleTradingStatusChanged(uint256,bool)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            ShareTokenFactoryUpdated: (...args) => contract.filters['ShareTokenFactoryUpdated(address)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, token?: string) => TopicFilter}
+             */
+            ShareTokenRegistered: (...args) => contract.filters['ShareTokenRegistered(uint256,address)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, buyer?: string) => TopicFilter}
+             */
+            SharesPurchased: (...args) => contract.filters['SharesPurchased(uint256,address,uint256,uint256,bool)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, from?: string, to?: string) => TopicFilter}
+             */
+            SharesTransferred: (...args) => contract.filters['SharesTransferred(uint256,address,address,uint256)'](...args),
+            /**
+             * @type {(token?: string, to?: string) => TopicFilter}
+             */
+            TokenFeesWithdrawn: (...args) => contract.filters['TokenFeesWithdrawn(address,address,uint256)'](...args),
+            /**
+             * @type {(propertyId?: BigIntish, seller?: string) => TopicFilter}
+             */
+            TradeFeesCharged: (...args) => contract.filters['TradeFeesCharged(uint256,address,uint256,uint256,uint256,bool)'](...args),
+            /**
+             * @type {(from?: string, to?: string, tokenId?: BigIntish) => TopicFilter}
+             */
+            Transfer: (...args) => contract.filters['Transfer(address,address,uint256)'](...args),
+            /**
+             * @type {() => TopicFilter}
+             */
+            Unpaused: (...args) => contract.filters['Unpaused(address)'](...args),
+            /**
+             * @type {(proposalId?: BigIntish, voter?: string) => TopicFilter}
+             */
+            VoteCast: (...args) => contract.filters['VoteCast(uint256,address,uint8,uint256)'](...args)
+        },
+
+        /**
+         * ANY_PROPERTY() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        ANY_PROPERTY: read('ANY_PROPERTY()'),
+
+        /**
+         * BPS_DENOMINATOR() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        BPS_DENOMINATOR: read('BPS_DENOMINATOR()'),
+
+        /**
+         * INCOME_PRECISION() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        INCOME_PRECISION: read('INCOME_PRECISION()'),
+
+        /**
+         * MAX_FEE_BPS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_FEE_BPS: read('MAX_FEE_BPS()'),
+
+        /**
+         * MAX_PAGE_SCAN() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_PAGE_SCAN: read('MAX_PAGE_SCAN()'),
+
+        /**
+         * MAX_PAGE_SIZE() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_PAGE_SIZE: read('MAX_PAGE_SIZE()'),
+
+        /**
+         * MAX_PRICE_OBSERVATIONS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_PRICE_OBSERVATIONS: read('MAX_PRICE_OBSERVATIONS()'),
+
+        /**
+         * MAX_SWEEP_LISTINGS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_SWEEP_LISTINGS: read('MAX_SWEEP_LISTINGS()'),
+
+        /**
+         * MIN_PRICE_VOLUME_BPS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MIN_PRICE_VOLUME_BPS: read('MIN_PRICE_VOLUME_BPS()'),
+
+        /**
+         * PRICE_OUTLIER_BAND_BPS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        PRICE_OUTLIER_BAND_BPS: read('PRICE_OUTLIER_BAND_BPS()'),
+
+        /**
+         * PRICE_WINDOW() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        PRICE_WINDOW: read('PRICE_WINDOW()'),
+
+        /**
+         * RESALE_HISTORY_SIZE() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        RESALE_HISTORY_SIZE: read('RESALE_HISTORY_SIZE()'),
+
+        /**
+         * adminModule() view
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        adminModule: read('adminModule()'),
+
+        /**
+         * approve(address,uint256)
+         * Gives permission to `to` to transfer `tokenId` token to another account.
+         * @type {(to: string, tokenId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        approve: write('approve(address,uint256)'),
+
+        /**
+         * balanceOf(address) view
+         * Returns the number of tokens in ``owner``'s account.
+         * @type {(owner: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        balanceOf: read('balanceOf(address)'),
+
+        /**
+         * buyFromResale(uint256,uint256) payable
+         * Buy shares from a resale listing
+         * @type {(listingId: BigIntish, sharesToBuy: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        buyFromResale: write('buyFromResale(uint256,uint256)'),
+
+        /**
+         * buyOrders(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<BuyOrdersResult>}
+         */
+        buyOrders: read('buyOrders(uint256)', 'object'),
+
+        /**
+         * buyShares(uint256,uint256,uint256) payable
+         * Buy shares from primary listing (proceeds go to the property owner, or into the funding
+         * round's escrow while it is open)
+         * @type {(propertyId: BigIntish, sharesToBuy: BigIntish, maxTotalCost: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        buyShares: write('buyShares(uint256,uint256,uint256)'),
+
+        /**
+         * cancelResaleListing(uint256)
+         * Cancel a resale listing (returns shares to seller) Allowed while trading is halted or
+         * paused so sellers can always unlock shares
+         * @type {(listingId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        cancelResaleListing: write('cancelResaleListing(uint256)'),
+
+        /**
+         * circuitBreakerTripped(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<boolean>}
+         */
+        circuitBreakerTripped: read('circuitBreakerTripped(uint256)'),
+
+        /**
+         * claimRentalIncome(uint256)
+         * Claim the caller's rental income from a property Always allowed, including while trading
+         * is paused
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        claimRentalIncome: write('claimRentalIncome(uint256)'),
+
+        /**
+         * claimableRentalIncome(uint256,address) view
+         * Income an account can claim now: settled income plus what its current holding (free +
+         * locked shares) earned since it was last settled
+         * @type {(propertyId: BigIntish, account: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        claimableRentalIncome: read('claimableRentalIncome(uint256,address)'),
+
+        /**
+         * delisted(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<boolean>}
+         */
+        delisted: read('delisted(uint256)'),
+
+        /**
+         * depositRentalIncome(uint256) payable
+         * Deposit rental income for a property, shared pro-rata between the shares sold so far.
+         * @type {(propertyId: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        depositRentalIncome: write('depositRentalIncome(uint256)'),
+
+        /**
+         * expireResaleListing(uint256)
+         * Close an expired listing and return its unsold shares to the seller.
+         * @type {(listingId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        expireResaleListing: write('expireResaleListing(uint256)'),
+
+        /**
+         * feeTreasury() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        feeTreasury: read('feeTreasury()'),
+
+        /**
+         * fundingContributions(uint256,address) view
+         * @type {(arg0: BigIntish, arg1: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        fundingContributions: read('fundingContributions(uint256,address)'),
+
+        /**
+         * fundingRounds(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<FundingRoundsResult>}
+         */
+        fundingRounds: read('fundingRounds(uint256)', 'object'),
+
+        /**
+         * getActiveResaleListings(uint256) view
+         * Get all active, unexpired resale listings for a property
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<Array<bigint>>}
+         */
+        getActiveResaleListings: read('getActiveResaleListings(uint256)', 'array'),
+
+        /**
+         * getApproved(uint256) view
+         * Returns the account approved for `tokenId` token.
+         * @type {(tokenId: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        getApproved: read('getApproved(uint256)'),
+
+        /**
+         * getFeeBreakdown(uint256,bool) view
+         * Split a trade amount into platform fee, lister royalty and what the seller receives
+         * @type {(amount: BigIntish, isPrimarySale: boolean, overrides?: Overrides) => Promise<GetFeeBreakdownResult>}
+         */
+        getFeeBreakdown: read('getFeeBreakdown(uint256,bool)', 'object'),
+
+        /**
+         * getImpliedMarketValue(uint256) view
+         * Calculate implied market value of entire property Formula: currentPrice × totalShares
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getImpliedMarketValue: read('getImpliedMarketValue(uint256)'),
+
+        /**
+         * getInitialPrice(uint256) view
+         * Get initial listing price (never changes, for reference)
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getInitialPrice: read('getInitialPrice(uint256)'),
+
+        /**
+         * getMarketPrice(uint256) view
+         * Get current market price (last resale price, or initial if no resales)
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getMarketPrice: read('getMarketPrice(uint256)'),
+
+        /**
+         * getPropertyDetails(uint256) view
+         * Get property details including pricing info
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetPropertyDetailsResult>}
+         */
+        getPropertyDetails: read('getPropertyDetails(uint256)', 'object'),
+
+        /**
+         * getTradingStatus(uint256) view
+         * Get what trading is currently allowed for a property
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetTradingStatusResult>}
+         */
+        getTradingStatus: read('getTradingStatus(uint256)', 'object'),
+
+        /**
+         * getUserShares(uint256,address) view
+         * Get user's share balance for a property
+         * @type {(propertyId: BigIntish, user: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        getUserShares: read('getUserShares(uint256,address)'),
+
+        /**
+         * incomePerShare(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        incomePerShare: read('incomePerShare(uint256)'),
+
+        /**
+         * isApprovedForAll(address,address) view
+         * Returns if the `operator` is allowed to manage all of the assets of `owner`.
+         * @type {(owner: string, operator: string, overrides?: Overrides) => Promise<boolean>}
+         */
+        isApprovedForAll: read('isApprovedForAll(address,address)'),
+
+        /**
+         * listProperty(uint256,uint256,string,address,address,uint256,uint256,uint8,uint256,uint256)
+         * Admin lists a new property for sale (primary listing), for itself or on behalf of a
+         * seller.
+         * @type {(pricePerShare: BigIntish, totalShares: BigIntish, tokenURI: string, paymentToken: string, beneficiary: string, softCap: BigIntish, fundingDeadline: BigIntish, pricingMode: BigIntish, endPrice: BigIntish, auctionEnd: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        listProperty: write('listProperty(uint256,uint256,string,address,address,uint256,uint256,uint8,uint256,uint256)'),
+
+        /**
+         * listSharesForResale(uint256,uint256,uint256,uint256)
+         * List owned shares for resale at custom price
+         * @type {(propertyId: BigIntish, shares: BigIntish, pricePerShare: BigIntish, expiresAt: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        listSharesForResale: write('listSharesForResale(uint256,uint256,uint256,uint256)'),
+
+        /**
+         * listingOffers(uint256,uint256) view
+         * @type {(arg0: BigIntish, arg1: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        listingOffers: read('listingOffers(uint256,uint256)'),
+
+        /**
+         * lockedShares(uint256,address) view
+         * @type {(arg0: BigIntish, arg1: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        lockedShares: read('lockedShares(uint256,address)'),
+
+        /**
+         * name() view
+         * Returns the token collection name.
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        name: read('name()'),
+
+        /**
+         * nextBidId() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        nextBidId: read('nextBidId()'),
+
+        /**
+         * nextListingId() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        nextListingId: read('nextListingId()'),
+
+        /**
+         * nextOfferId() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        nextOfferId: read('nextOfferId()'),
+
+        /**
+         * nextPropertyId() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        nextPropertyId: read('nextPropertyId()'),
+
+        /**
+         * nextProposalId() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        nextProposalId: read('nextProposalId()'),
+
+        /**
+         * offers(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<OffersResult>}
+         */
+        offers: read('offers(uint256)', 'object'),
+
+        /**
+         * ordersModule() view
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        ordersModule: read('ordersModule()'),
+
+        /**
+         * owner() view
+         * Returns the address of the current owner.
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        owner: read('owner()'),
+
+        /**
+         * ownerOf(uint256) view
+         * Returns the owner of the `tokenId` token.
+         * @type {(tokenId: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        ownerOf: read('ownerOf(uint256)'),
+
+        /**
+         * paused() view
+         * Returns true if the contract is paused, and false otherwise.
+         * @type {(overrides?: Overrides) => Promise<boolean>}
+         */
+        paused: read('paused()'),
+
+        /**
+         * paymentTokens(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        paymentTokens: read('paymentTokens(uint256)'),
+
+        /**
+         * pendingProceeds(uint256,address) view
+         * @type {(arg0: BigIntish, arg1: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        pendingProceeds: read('pendingProceeds(uint256,address)'),
+
+        /**
+         * pendingWithdrawals(address) view
+         * @type {(arg0: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        pendingWithdrawals: read('pendingWithdrawals(address)'),
+
+        /**
+         * priceLimits(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<PriceLimitsResult>}
+         */
+        priceLimits: read('priceLimits(uint256)', 'object'),
+
+        /**
+         * primaryFeeBps() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        primaryFeeBps: read('primaryFeeBps()'),
+
+        /**
+         * properties(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<PropertiesResult>}
+         */
+        properties: read('properties(uint256)', 'object'),
+
+        /**
+         * propertyBuyOrders(uint256,uint256) view
+         * @type {(arg0: BigIntish, arg1: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        propertyBuyOrders: read('propertyBuyOrders(uint256,uint256)'),
+
+        /**
+         * propertyResaleListings(uint256,uint256) view
+         * @type {(arg0: BigIntish, arg1: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        propertyResaleListings: read('propertyResaleListings(uint256,uint256)'),
+
+        /**
+         * registerShareToken(uint256,address)
+         * Assign a property its share token.
+         * @type {(propertyId: BigIntish, token: string, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        registerShareToken: write('registerShareToken(uint256,address)'),
+
+        /**
+         * renounceOwnership()
+         * Leaves the contract without owner.
+         * @type {(overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        renounceOwnership: write('renounceOwnership()'),
+
+        /**
+         * rentalIncomeClaimed(uint256,address) view
+         * @type {(arg0: BigIntish, arg1: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        rentalIncomeClaimed: read('rentalIncomeClaimed(uint256,address)'),
+
+        /**
+         * resaleFeeBps() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        resaleFeeBps: read('resaleFeeBps()'),
+
+        /**
+         * resaleHalted(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<boolean>}
+         */
+        resaleHalted: read('resaleHalted(uint256)'),
+
+        /**
+         * resaleListings(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<ResaleListingsResult>}
+         */
+        resaleListings: read('resaleListings(uint256)', 'object'),
+
+        /**
+         * resalePriceHistory(uint256,uint256) view
+         * @type {(arg0: BigIntish, arg1: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        resalePriceHistory: read('resalePriceHistory(uint256,uint256)'),
+
+        /**
+         * resaleTransactions(uint256,uint256) view
+         * @type {(arg0: BigIntish, arg1: BigIntish, overrides?: Overrides) => Promise<ResaleTransactionsResult>}
+         */
+        resaleTransactions: read('resaleTransactions(uint256,uint256)', 'object'),
+
+        /**
+         * royaltyBps() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        royaltyBps: read('royaltyBps()'),
+
+        /**
+         * safeTransferFrom(address,address,uint256)
+         * Safely transfers `tokenId` token from `from` to `to`, checking first that contract
+         * recipients are aware of the ERC-721 protocol to prevent tokens from being forever locked.
+         * @type {(from: string, to: string, tokenId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        'safeTransferFrom(address,address,uint256)': write('safeTransferFrom(address,address,uint256)'),
+
+        /**
+         * safeTransferFrom(address,address,uint256,bytes)
+         * Safely transfers `tokenId` token from `from` to `to`.
+         * @type {(from: string, to: string, tokenId: BigIntish, data: string, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        'safeTransferFrom(address,address,uint256,bytes)': write('safeTransferFrom(address,address,uint256,bytes)'),
+
+        /**
+         * sellerResaleListings(address,uint256) view
+         * @type {(arg0: string, arg1: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        sellerResaleListings: read('sellerResaleListings(address,uint256)'),
+
+        /**
+         * setApprovalForAll(address,bool)
+         * Approve or remove `operator` as an operator for the caller.
+         * @type {(operator: string, approved: boolean, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setApprovalForAll: write('setApprovalForAll(address,bool)'),
+
+        /**
+         * shareTokenFactory() view
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        shareTokenFactory: read('shareTokenFactory()'),
+
+        /**
+         * shareTokens(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        shareTokens: read('shareTokens(uint256)'),
+
+        /**
+         * supportsInterface(bytes4) view
+         * Returns true if this contract implements the interface defined by `interfaceId`.
+         * @type {(interfaceId: string, overrides?: Overrides) => Promise<boolean>}
+         */
+        supportsInterface: read('supportsInterface(bytes4)'),
+
+        /**
+         * symbol() view
+         * Returns the token collection symbol.
+         * @type {(overrides?: Overrides) => Promise<string>}
+         */
+        symbol: read('symbol()'),
+
+        /**
+         * tokenFeeTreasury(address) view
+         * @type {(arg0: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        tokenFeeTreasury: read('tokenFeeTreasury(address)'),
+
+        /**
+         * tokenURI(uint256) view
+         * Returns the Uniform Resource Identifier (URI) for `tokenId` token.
+         * @type {(tokenId: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        tokenURI: read('tokenURI(uint256)'),
+
+        /**
+         * totalRentalIncome(uint256) view
+         * @type {(arg0: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        totalRentalIncome: read('totalRentalIncome(uint256)'),
+
+        /**
+         * transferFrom(address,address,uint256)
+         * Transfers `tokenId` token from `from` to `to`.
+         * @type {(from: string, to: string, tokenId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        transferFrom: write('transferFrom(address,address,uint256)'),
+
+        /**
+         * transferOwnership(address)
+         * Transfers ownership of the contract to a new account (`newOwner`).
+         * @type {(newOwner: string, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        transferOwnership: write('transferOwnership(address)'),
+
+        /**
+         * transferShares(uint256,address,uint256)
+         * Transfer free shares to another wallet (gift, or a sale settled off-platform).
+         * @type {(propertyId: BigIntish, to: string, shares: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        transferShares: write('transferShares(uint256,address,uint256)'),
+
+        /**
+         * transferSharesFrom(uint256,address,address,uint256)
+         * Transfer made through the property's share token (its transfer and transferFrom); the
+         * token has checked any allowance
+         * @type {(propertyId: BigIntish, from: string, to: string, shares: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        transferSharesFrom: write('transferSharesFrom(uint256,address,address,uint256)'),
+
+        /**
+         * updateResaleListing(uint256,uint256,uint256,uint256)
+         * Change the price, quantity or expiry of a listing in place, keeping its id and sales
+         * history.
+         * @type {(listingId: BigIntish, pricePerShare: BigIntish, sharesRemaining: BigIntish, expiresAt: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        updateResaleListing: write('updateResaleListing(uint256,uint256,uint256,uint256)'),
+
+        /**
+         * userShares(uint256,address) view
+         * @type {(arg0: BigIntish, arg1: string, overrides?: Overrides) => Promise<bigint>}
+         */
+        userShares: read('userShares(uint256,address)'),
+
+        /**
+         * withdrawAllProceeds()
+         * Withdraw escrowed proceeds of every property at once: MATIC in one transfer, stablecoin
+         * proceeds per property
+         * @type {(overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        withdrawAllProceeds: write('withdrawAllProceeds()'),
+
+        /**
+         * withdrawProceeds(uint256)
+         * Withdraw escrowed proceeds of one property Always allowed, including while trading is
+         * paused
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        withdrawProceeds: write('withdrawProceeds(uint256)'),
+
+        /**
+         * acceptCounterOffer(uint256) payable
+         * Buyer accepts the seller's counter-offer, paying the difference
+         * @type {(offerId: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        acceptCounterOffer: write('acceptCounterOffer(uint256)'),
+
+        /**
+         * acceptOffer(uint256)
+         * Seller accepts an offer at the offered price
+         * @type {(offerId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        acceptOffer: write('acceptOffer(uint256)'),
+
+        /**
+         * buyAtBestPrice(uint256,uint256,uint256,uint256[]) payable
+         * Buy up to `_shares` shares of a property across several listings in one transaction,
+         * filling `_listingIds` in order (quoteBestPrice plans the cheapest).
+         * @type {(propertyId: BigIntish, shares: BigIntish, maxAveragePrice: BigIntish, listingIds: Array<BigIntish>, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        buyAtBestPrice: write('buyAtBestPrice(uint256,uint256,uint256,uint256[])'),
+
+        /**
+         * cancelBid(uint256)
+         * Cancel a bid and refund its unfilled escrow to the buyer's proceeds.
+         * @type {(bidId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        cancelBid: write('cancelBid(uint256)'),
+
+        /**
+         * cancelOffer(uint256)
+         * Withdraw an offer and refund its escrow to the buyer's proceeds.
+         * @type {(offerId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        cancelOffer: write('cancelOffer(uint256)'),
+
+        /**
+         * counterOffer(uint256,uint256)
+         * Seller answers an offer with a higher price (at most the ask).
+         * @type {(offerId: BigIntish, counterPrice: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        counterOffer: write('counterOffer(uint256,uint256)'),
+
+        /**
+         * fillBid(uint256,uint256)
+         * Sell shares into a bid at the bid's price.
+         * @type {(bidId: BigIntish, shares: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        fillBid: write('fillBid(uint256,uint256)'),
+
+        /**
+         * getActiveBids(uint256) view
+         * Get all fillable (active, unexpired) bids for a property
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<Array<bigint>>}
+         */
+        getActiveBids: read('getActiveBids(uint256)', 'array'),
+
+        /**
+         * getBestPrices(uint256) view
+         * Top of the order book: highest fillable bid and lowest active ask (0 when that side is
+         * empty).
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetBestPricesResult>}
+         */
+        getBestPrices: read('getBestPrices(uint256)', 'object'),
+
+        /**
+         * getListingOffers(uint256) view
+         * Get the open offers on a listing (expired ones included until cleared)
+         * @type {(listingId: BigIntish, overrides?: Overrides) => Promise<Array<bigint>>}
+         */
+        getListingOffers: read('getListingOffers(uint256)', 'array'),
+
+        /**
+         * getResaleListingsPage(uint256,address,uint256,uint256) view
+         * One page of open (active, unexpired) resale listings across the marketplace, oldest first,
+         * optionally filtered by property and seller.
+         * @type {(propertyId: BigIntish, seller: string, cursor: BigIntish, limit: BigIntish, overrides?: Overrides) => Promise<GetResaleListingsPageResult>}
+         */
+        getResaleListingsPage: read('getResaleListingsPage(uint256,address,uint256,uint256)', 'object'),
+
+        /**
+         * makeOffer(uint256,uint256,uint256,uint256) payable
+         * Offer less than the ask for shares of a listing.
+         * @type {(listingId: BigIntish, shares: BigIntish, pricePerShare: BigIntish, expiresAt: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        makeOffer: write('makeOffer(uint256,uint256,uint256,uint256)'),
+
+        /**
+         * placeBid(uint256,uint256,uint256,uint256) payable
+         * Post a bid for shares of a property.
+         * @type {(propertyId: BigIntish, shares: BigIntish, pricePerShare: BigIntish, expiresAt: BigIntish, overrides?: PayableOverrides) => Promise<ContractTransactionResponse>}
+         */
+        placeBid: write('placeBid(uint256,uint256,uint256,uint256)'),
+
+        /**
+         * quoteBestPrice(uint256,uint256,address) view
+         * Plan a buyAtBestPrice: the cheapest open listings of a property (oldest first at equal
+         * prices) that together hold up to `_shares` shares, leaving out `_buyer`'s own.
+         * @type {(propertyId: BigIntish, shares: BigIntish, buyer: string, overrides?: Overrides) => Promise<QuoteBestPriceResult>}
+         */
+        quoteBestPrice: read('quoteBestPrice(uint256,uint256,address)', 'object'),
+
+        /**
+         * rejectOffer(uint256)
+         * Seller turns an offer down; the escrow is refunded to the buyer
+         * @type {(offerId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        rejectOffer: write('rejectOffer(uint256)'),
+
+        /**
+         * MAX_PROPOSAL_LENGTH() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_PROPOSAL_LENGTH: read('MAX_PROPOSAL_LENGTH()'),
+
+        /**
+         * MAX_VOTING_PERIOD() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MAX_VOTING_PERIOD: read('MAX_VOTING_PERIOD()'),
+
+        /**
+         * MIN_VOTING_PERIOD() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        MIN_VOTING_PERIOD: read('MIN_VOTING_PERIOD()'),
+
+        /**
+         * PROPOSAL_QUORUM_BPS() view
+         * @type {(overrides?: Overrides) => Promise<bigint>}
+         */
+        PROPOSAL_QUORUM_BPS: read('PROPOSAL_QUORUM_BPS()'),
+
+        /**
+         * cancelFunding(uint256)
+         * Call off an open funding round, even one that met its soft cap.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        cancelFunding: write('cancelFunding(uint256)'),
+
+        /**
+         * cancelProposal(uint256)
+         * Withdraw a proposal while it is being voted on (proposer or platform)
+         * @type {(proposalId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        cancelProposal: write('cancelProposal(uint256)'),
+
+        /**
+         * castVote(uint256,uint8)
+         * Vote on an open proposal with the shares held at its snapshot
+         * @type {(proposalId: BigIntish, support: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        castVote: write('castVote(uint256,uint8)'),
+
+        /**
+         * claimFundingRefund(uint256)
+         * Refund the caller's payments into a failed funding round and void the shares they bought
+         * in it.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        claimFundingRefund: write('claimFundingRefund(uint256)'),
+
+        /**
+         * createProposal(uint256,string,uint256)
+         * Put a proposal to the shareholders of a property.
+         * @type {(propertyId: BigIntish, description: string, votingPeriod: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        createProposal: write('createProposal(uint256,string,uint256)'),
+
+        /**
+         * delistProperty(uint256)
+         * Permanently stop all trading of a property.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        delistProperty: write('delistProperty(uint256)'),
+
+        /**
+         * finalizeFunding(uint256)
+         * Close a funding round that reached its soft cap: its escrow is released to the property
+         * owner (less the platform fee) and resale trading opens.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        finalizeFunding: write('finalizeFunding(uint256)'),
+
+        /**
+         * getAverageResalePrice(uint256) view
+         * Calculate average price from last N resales (outliers count at the edge of the outlier
+         * band)
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getAverageResalePrice: read('getAverageResalePrice(uint256)'),
+
+        /**
+         * getFundingStatus(uint256) view
+         * A property's funding round.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetFundingStatusResult>}
+         */
+        getFundingStatus: read('getFundingStatus(uint256)', 'object'),
+
+        /**
+         * getMinPriceVolume(uint256) view
+         * Window volume the VWAP needs to be reliable (at least one share)
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getMinPriceVolume: read('getMinPriceVolume(uint256)'),
+
+        /**
+         * getPendingProceeds(address) view
+         * Get an account's withdrawable proceeds, per property (non-zero only)
+         * @type {(account: string, overrides?: Overrides) => Promise<GetPendingProceedsResult>}
+         */
+        getPendingProceeds: read('getPendingProceeds(address)', 'object'),
+
+        /**
+         * getPriceBand(uint256) view
+         * Price range resale listings and trades of a property must stay in right now (0 and
+         * type(uint256).max when the band is off)
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetPriceBandResult>}
+         */
+        getPriceBand: read('getPriceBand(uint256)', 'object'),
+
+        /**
+         * getPrimaryPricing(uint256) view
+         * How a property's primary shares are priced (see PrimaryPricing).
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetPrimaryPricingResult>}
+         */
+        getPrimaryPricing: read('getPrimaryPricing(uint256)', 'object'),
+
+        /**
+         * getPropertyProposals(uint256) view
+         * Ids of a property's proposals, oldest first
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<Array<bigint>>}
+         */
+        getPropertyProposals: read('getPropertyProposals(uint256)', 'array'),
+
+        /**
+         * getProposal(uint256) view
+         * A proposal, its tally and its state (the result once voting has closed)
+         * @type {(proposalId: BigIntish, overrides?: Overrides) => Promise<GetProposalResult>}
+         */
+        getProposal: read('getProposal(uint256)', 'object'),
+
+        /**
+         * getRentalIncome(address) view
+         * Get an account's rental income for every property it has held
+         * @type {(account: string, overrides?: Overrides) => Promise<GetRentalIncomeResult>}
+         */
+        getRentalIncome: read('getRentalIncome(address)', 'object'),
+
+        /**
+         * getResaleCount(uint256) view
+         * Get number of completed resales for a property
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getResaleCount: read('getResaleCount(uint256)'),
+
+        /**
+         * getResaleTransactionCount(uint256) view
+         * Number of trades in a property's trade log
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getResaleTransactionCount: read('getResaleTransactionCount(uint256)'),
+
+        /**
+         * getRoyaltyRecipient(uint256) view
+         * The original lister of a property, credited its resale royalties
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<string>}
+         */
+        getRoyaltyRecipient: read('getRoyaltyRecipient(uint256)'),
+
+        /**
+         * getTimeWeightedPrice(uint256) view
+         * Time-weighted average price over the price window, outliers excluded: each trade's price
+         * counts for as long as it was the latest.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getTimeWeightedPrice: read('getTimeWeightedPrice(uint256)'),
+
+        /**
+         * getVolumeWeightedPrice(uint256) view
+         * Volume-weighted average price of the trades in the price window, outliers excluded.
+         * @type {(propertyId: BigIntish, overrides?: Overrides) => Promise<GetVolumeWeightedPriceResult>}
+         */
+        getVolumeWeightedPrice: read('getVolumeWeightedPrice(uint256)', 'object'),
+
+        /**
+         * getVoteReceipt(uint256,address) view
+         * How an account voted on a proposal
+         * @type {(proposalId: BigIntish, voter: string, overrides?: Overrides) => Promise<string>}
+         */
+        getVoteReceipt: read('getVoteReceipt(uint256,address)'),
+
+        /**
+         * getVotingPower(uint256,address,uint256) view
+         * Shares (free + locked) an account held in a property at the end of a block - its voting
+         * weight on proposals with that snapshot
+         * @type {(propertyId: BigIntish, account: string, blockNumber: BigIntish, overrides?: Overrides) => Promise<bigint>}
+         */
+        getVotingPower: read('getVotingPower(uint256,address,uint256)'),
+
+        /**
+         * pause()
+         * Emergency stop: halt all primary sales and resale trading
+         * @type {(overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        pause: write('pause()'),
+
+        /**
+         * quotePrimaryPurchase(uint256,uint256) view
+         * What buyShares charges for `_shares` primary shares in the current block
+         * @type {(propertyId: BigIntish, shares: BigIntish, overrides?: Overrides) => Promise<QuotePrimaryPurchaseResult>}
+         */
+        quotePrimaryPurchase: read('quotePrimaryPurchase(uint256,uint256)', 'object'),
+
+        /**
+         * setFees(uint256,uint256,uint256)
+         * Set trade fees in basis points.
+         * @type {(primaryFeeBps: BigIntish, resaleFeeBps: BigIntish, royaltyBps: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setFees: write('setFees(uint256,uint256,uint256)'),
+
+        /**
+         * setPriceLimits(uint256,uint256,bool,uint256,uint256)
+         * Set a property's price band and circuit breaker (0 turns either off)
+         * @type {(propertyId: BigIntish, bandBps: BigIntish, relativeToAverage: boolean, haltMoveBps: BigIntish, haltWindow: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setPriceLimits: write('setPriceLimits(uint256,uint256,bool,uint256,uint256)'),
+
+        /**
+         * setPrimarySaleActive(uint256,bool)
+         * Halt or resume primary sales of a property
+         * @type {(propertyId: BigIntish, active: boolean, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setPrimarySaleActive: write('setPrimarySaleActive(uint256,bool)'),
+
+        /**
+         * setResaleActive(uint256,bool)
+         * Halt or resume resale trading (listing and buying) of a property
+         * @type {(propertyId: BigIntish, active: boolean, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setResaleActive: write('setResaleActive(uint256,bool)'),
+
+        /**
+         * setShareTokenFactory(address)
+         * Set the factory that creates share tokens (FractionalPropertyFactory).
+         * @type {(factory: string, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        setShareTokenFactory: write('setShareTokenFactory(address)'),
+
+        /**
+         * unpause()
+         * Lift the emergency stop
+         * @type {(overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        unpause: write('unpause()'),
+
+        /**
+         * withdrawFees(address,uint256)
+         * Withdraw collected MATIC platform fees from the treasury
+         * @type {(to: string, amount: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        withdrawFees: write('withdrawFees(address,uint256)'),
+
+        /**
+         * withdrawTokenFees(address,address,uint256)
+         * Withdraw platform fees collected in a stablecoin
+         * @type {(token: string, to: string, amount: BigIntish, overrides?: Overrides) => Promise<ContractTransactionResponse>}
+         */
+        withdrawTokenFees: write('withdrawTokenFees(address,address,uint256)')
+    };
+}
+
+export default createRealEstateMarketplaceClient;
@@ -0,0 +1,71 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./PropertyShareToken.sol";
+
+
+/**
+ * @title FractionalPropertyFactory
+ * @dev Deploys the PropertyShareToken of a marketplace property and assigns
+ * it to the property on the marketplace, which only accepts tokens from the
+ * factory it was configured with (setShareTokenFactory). One token per
+ * property; it can be created at any time after the property is listed; tokens
+ * of properties that already sold shares start in migration mode.
+ */
+contract FractionalPropertyFactory is Ownable {
+    
+    IShareTokenMarketplace public marketplace;
+    
+    // Every token created, in creation order
+    address[] public allShareTokens;
+    
+    event ShareTokenCreated(
+        uint256 indexed propertyId,
+        address indexed token,
+        string name,
+        string symbol,
+        bool needsMigration
+    );
+    
+    /**
+     * @param _marketplace RealEstateMarketplace the tokens belong to
+     */
+    constructor(address _marketplace) Ownable(msg.sender) {
+        require(_marketplace.code.length > 0, "Marketplace not deployed");
+        marketplace = IShareTokenMarketplace(_marketplace);
+    }
+    
+    /**
+     * @dev Deploy the share token of a property and register it on the marketplace
+     * @param _propertyId Marketplace property
+     * @param _name Token name
+     * @param _symbol Token symbol (wallets show up to 11 characters)
+     * @return token Address of the new PropertyShareToken
+     */
+    function createShareToken(
+        uint256 _propertyId,
+        string calldata _name,
+        string calldata _symbol
+    ) external onlyOwner returns (address token) {
+        require(_propertyId < marketplace.nextPropertyId(), "Property does not exist");
+        require(marketplace.shareTokens(_propertyId) == address(0), "Share token exists");
+        require(bytes(_name).length > 0 && bytes(_symbol).length > 0, "Name and symbol required");
+        
+        (, , , , uint256 sharesSold, , , , ) = marketplace.getPropertyDetails(_propertyId);
+        bool needsMigration = sharesSold > 0;
+        
+        token = address(new PropertyShareToken(address(marketplace), _propertyId, _name, _symbol, needsMigration));
+        marketplace.registerShareToken(_propertyId, token);
+        allShareTokens.push(token);
+        
+        emit ShareTokenCreated(_propertyId, token, _name, _symbol, needsMigration);
+    }
+    
+    /**
+     * @dev Number of tokens created
+     */
+    function getShareTokenCount() external view returns (uint256) {
+        return allShareTokens.length;
+    }
+}
\ No newline at end of file
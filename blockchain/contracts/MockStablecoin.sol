@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+
+/**
+ * @title MockStablecoin
+ * @dev Stablecoin stand-in for local development (scripts/deploy-mock-stablecoin.js).
+ * Anyone can mint, so never deploy it to a public network: real properties
+ * settle in a real stablecoin such as USDC.
+ */
+contract MockStablecoin is ERC20 {
+    
+    uint8 private tokenDecimals;
+    
+    /**
+     * @param _name Token name
+     * @param _symbol Token symbol
+     * @param _decimals Decimals (6 like USDC, 18 like most other tokens)
+     */
+    constructor(string memory _name, string memory _symbol, uint8 _decimals) ERC20(_name, _symbol) {
+        tokenDecimals = _decimals;
+    }
+    
+    function decimals() public view override returns (uint8) {
+        return tokenDecimals;
+    }
+    
+    /**
+     * @dev Mint test tokens to any account
+     */
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,238 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+
+
+/**
+ * @dev The parts of RealEstateMarketplace its share tokens and their factory use
+ */
+interface IShareTokenMarketplace {
+    function getUserShares(uint256 propertyId, address user) external view returns (uint256);
+    function lockedShares(uint256 propertyId, address user) external view returns (uint256);
+    function getPropertyDetails(uint256 propertyId) external view returns (
+        uint256 id,
+        uint256 initialPrice,
+        uint256 currentPrice,
+        uint256 totalShares,
+        uint256 sharesSold,
+        uint256 availableShares,
+        address owner,
+        bool isActive,
+        string memory metadataURI
+    );
+    function nextPropertyId() external view returns (uint256);
+    function shareTokens(uint256 propertyId) external view returns (address);
+    function registerShareToken(uint256 propertyId, address token) external;
+    function transferSharesFrom(uint256 propertyId, address from, address to, uint256 shares) external;
+}
+
+/**
+ * @title PropertyShareToken
+ * @dev ERC-20 view of one property's fractional shares, so wallets and
+ * explorers can see them.
+ *
+ * The marketplace stays the ledger: balances are read from it (free shares
+ * plus shares locked in resale listings) and transfers are carried out by it,
+ * so primary sales, resales, bids, offers and transfers on the marketplace
+ * and transfers of this token all move the same shares. The marketplace
+ * reports every change of holding back here and the token emits the matching
+ * Transfer event (from the zero address for primary sales).
+ *
+ * Shares are whole, so decimals() is 0. Only free shares can be transferred;
+ * shares locked in a resale listing count towards the balance but move when
+ * the listing is bought.
+ *
+ * Migration: if shares were sold before the token existed, those holders
+ * never got a Transfer event. announceHolders() emits one (from the zero
+ * address) per holder, and a holder still unannounced when their shares
+ * first move is announced right then, so explorer balances add up.
+ */
+contract PropertyShareToken is IERC20, IERC20Metadata {
+    
+    // =========================================
+    // STATE VARIABLES
+    // =========================================
+    
+    IShareTokenMarketplace public marketplace;
+    uint256 public propertyId;
+    
+    string private tokenName;
+    string private tokenSymbol;
+    
+    // True when shares had been sold before this token was created
+    bool public needsMigration;
+    
+    // account => a Transfer event has already established its balance
+    mapping(address => bool) public isAnnounced;
+    
+    mapping(address => mapping(address => uint256)) private allowances;
+    
+    event HolderAnnounced(address indexed account, uint256 balance);
+    
+    modifier onlyMarketplace() {
+        require(msg.sender == address(marketplace), "Not marketplace");
+        _;
+    }
+    
+    /**
+     * @param _marketplace RealEstateMarketplace holding the shares
+     * @param _propertyId Marketplace property the token represents
+     * @param _name Token name, e.g. "Sunset Villa Shares"
+     * @param _symbol Token symbol (wallets show up to 11 characters)
+     * @param _needsMigration Shares were already sold (see announceHolders)
+     */
+    constructor(
+        address _marketplace,
+        uint256 _propertyId,
+        string memory _name,
+        string memory _symbol,
+        bool _needsMigration
+    ) {
+        marketplace = IShareTokenMarketplace(_marketplace);
+        propertyId = _propertyId;
+        tokenName = _name;
+        tokenSymbol = _symbol;
+        needsMigration = _needsMigration;
+    }
+
+    // =========================================
+    // ERC-20 METADATA
+    // =========================================
+    
+    function name() external view returns (string memory) {
+        return tokenName;
+    }
+    
+    function symbol() external view returns (string memory) {
+        return tokenSymbol;
+    }
+    
+    function decimals() external pure returns (uint8) {
+        return 0;
+    }
+
+    // =========================================
+    // BALANCES (read from the marketplace)
+    // =========================================
+    
+    /**
+     * @dev Shares sold so far; unsold primary shares don't exist as tokens yet
+     */
+    function totalSupply() external view returns (uint256) {
+        (, , , , uint256 sharesSold, , , , ) = marketplace.getPropertyDetails(propertyId);
+        return sharesSold;
+    }
+    
+    /**
+     * @dev Free shares plus shares locked in the account's resale listings
+     */
+    function balanceOf(address _account) public view returns (uint256) {
+        return marketplace.getUserShares(propertyId, _account) + marketplace.lockedShares(propertyId, _account);
+    }
+    
+    /**
+     * @dev The part of the balance that transfer() can move (not listed for resale)
+     */
+    function transferableBalanceOf(address _account) external view returns (uint256) {
+        return marketplace.getUserShares(propertyId, _account);
+    }
+
+    // =========================================
+    // TRANSFERS (carried out by the marketplace)
+    // =========================================
+    
+    function transfer(address _to, uint256 _amount) external returns (bool) {
+        _transfer(msg.sender, _to, _amount);
+        return true;
+    }
+    
+    function allowance(address _owner, address _spender) external view returns (uint256) {
+        return allowances[_owner][_spender];
+    }
+    
+    function approve(address _spender, uint256 _amount) external returns (bool) {
+        require(_spender != address(0), "Invalid spender");
+        allowances[msg.sender][_spender] = _amount;
+        emit Approval(msg.sender, _spender, _amount);
+        return true;
+    }
+    
+    /**
+     * @dev An allowance of type(uint256).max is never used up
+     */
+    function transferFrom(address _from, address _to, uint256 _amount) external returns (bool) {
+        uint256 allowed = allowances[_from][msg.sender];
+        if (allowed != type(uint256).max) {
+            require(allowed >= _amount, "Insufficient allowance");
+            allowances[_from][msg.sender] = allowed - _amount;
+        }
+        _transfer(_from, _to, _amount);
+        return true;
+    }
+    
+    /**
+     * @dev ERC-20 treats a zero-amount transfer as a valid no-op, which the
+     * marketplace (at least one share) would reject, so it never gets there
+     */
+    function _transfer(address _from, address _to, uint256 _amount) internal {
+        if (_amount == 0) {
+            require(_to != address(0), "Invalid recipient");
+            emit Transfer(_from, _to, 0);
+        } else {
+            marketplace.transferSharesFrom(propertyId, _from, _to, _amount);
+        }
+    }
+    
+    /**
+     * @dev Called by the marketplace after shares of this property changed
+     * hands (_from is the zero address for primary sales, _to for shares
+     * voided by a funding refund). Balances are already updated when this runs.
+     */
+    function onSharesMoved(address _from, address _to, uint256 _amount) external onlyMarketplace {
+        if (needsMigration) {
+            if (_from != address(0)) _announce(_from, balanceOf(_from) + _amount);
+            if (_to != address(0)) _announce(_to, balanceOf(_to) - _amount);
+        }
+        emit Transfer(_from, _to, _amount);
+    }
+
+    // =========================================
+    // MIGRATION
+    // =========================================
+    
+    /**
+     * @dev Emit the opening Transfer of holders who bought before the token
+     * existed. Anyone can call this; holders already announced, and accounts
+     * holding nothing, are skipped.
+     * @param _holders Accounts to announce (e.g. every wallet in userShares)
+     * @return announced Number of holders announced now
+     */
+    function announceHolders(address[] calldata _holders) external returns (uint256 announced) {
+        require(needsMigration, "No migration needed");
+        
+        for (uint256 i = 0; i < _holders.length; i++) {
+            if (isAnnounced[_holders[i]]) continue;
+            
+            uint256 balance = balanceOf(_holders[i]);
+            if (balance == 0) continue;
+            
+            _announce(_holders[i], balance);
+            announced++;
+        }
+    }
+    
+    /**
+     * @dev Mark an account announced, emitting its opening balance if it has one
+     */
+    function _announce(address _account, uint256 _openingBalance) internal {
+        if (isAnnounced[_account]) return;
+        isAnnounced[_account] = true;
+        
+        if (_openingBalance > 0) {
+            emit Transfer(address(0), _account, _openingBalance);
+            emit HolderAnnounced(_account, _openingBalance);
+        }
+    }
+}
\ No newline at end of file
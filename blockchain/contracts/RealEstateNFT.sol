@@ -4,20 +4,22 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "./PropertyShareToken.sol";
+
 
 /**
- * @title RealEstateMarketplace
- * @dev Real estate tokenization with primary sales and secondary resale marketplace
- * 
- * Key Features:
- * - Admin lists properties with fractional shares (primary sale)
- * - Users buy shares from primary listing
- * - Users can resell owned shares at custom prices (secondary market)
- * - Current market price = last successful resale price
- * - Average price calculated from last N resales
- * - Implied market value = current price × total shares
+ * @title RealEstateMarketplaceBase
+ * @dev State, events and shared settlement logic of the marketplace.
+ * RealEstateMarketplace and its modules all inherit it so they share one
+ * storage layout: the marketplace runs module code with delegatecall,
+ * against its own storage.
  */
-contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
+abstract contract RealEstateMarketplaceBase is ERC721URIStorage, Ownable, ReentrancyGuard, Pausable {
+    using SafeERC20 for IERC20;
+    using SafeCast for uint256;
     
     // =========================================
     // STATE VARIABLES
@@ -25,9 +27,57 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
     
     uint256 public nextPropertyId;
     uint256 public nextListingId;
+    uint256 public nextBidId;
+    uint256 public nextOfferId;
+    uint256 public nextProposalId;
     
     // Number of resales to track for average calculation
     uint256 public constant RESALE_HISTORY_SIZE = 10;
+    
+    // Scale of the per-share rental income accumulator
+    uint256 public constant INCOME_PRECISION = 1e18;
+    
+    // Fees are in basis points (1/100 of a percent); no fee may exceed 10%
+    uint256 public constant BPS_DENOMINATOR = 10000;
+    uint256 public constant MAX_FEE_BPS = 1000;
+    
+    // Paginated listing views: filter value for "any property", and caps on
+    // the listings returned and the listing ids scanned per call (bounds gas)
+    uint256 public constant ANY_PROPERTY = type(uint256).max;
+    uint256 public constant MAX_PAGE_SIZE = 50;
+    uint256 public constant MAX_PAGE_SCAN = 250;
+    
+    // Most listings one best-price sweep buys from
+    uint256 public constant MAX_SWEEP_LISTINGS = 20;
+    
+    // Volume- and time-weighted prices cover the trades of the last
+    // PRICE_WINDOW, looking back at most MAX_PRICE_OBSERVATIONS trades. A trade
+    // more than PRICE_OUTLIER_BAND_BPS away from the average resale price
+    // before it is an outlier and left out; the VWAP is only reliable once the
+    // window's volume reaches MIN_PRICE_VOLUME_BPS of the property's shares.
+    uint256 public constant PRICE_WINDOW = 7 days;
+    uint256 public constant MAX_PRICE_OBSERVATIONS = 50;
+    uint256 public constant PRICE_OUTLIER_BAND_BPS = 2500;
+    uint256 public constant MIN_PRICE_VOLUME_BPS = 100;
+    
+    uint256 public primaryFeeBps;   // Platform fee on primary sales
+    uint256 public resaleFeeBps;    // Platform fee on resales
+    uint256 public royaltyBps;      // Resale royalty to the original lister
+    
+    // Platform fees collected in MATIC and not yet withdrawn, in Wei
+    // (stablecoin fees collect in tokenFeeTreasury)
+    uint256 public feeTreasury;
+    
+    // Module that implements bids, offers, sweeps and the order book views
+    // (see RealEstateMarketplace's fallback)
+    address public ordersModule;
+    
+    // Module that implements the admin functions, the price analytics views
+    // and governance; the orders module hands it the calls it doesn't implement
+    address public adminModule;
+    
+    // Factory allowed to assign share tokens to properties (FractionalPropertyFactory)
+    address public shareTokenFactory;
 
     // =========================================
     // STRUCTS
@@ -39,7 +89,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 currentPrice;          // Latest market price (updated on resales)
         uint256 totalShares;
         uint256 sharesSold;            // From primary sale
-        address owner;                 // Admin/Seller who listed
+        address owner;                 // Current holder of the property NFT (kept in sync by _update)
         bool isActive;
         string metadataURI;            // IPFS metadata link
     }
@@ -53,15 +103,115 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 sharesSold;
         bool isActive;
         uint256 createdAt;
+        uint256 expiresAt;             // 0 = no expiry
     }
     
-    struct ResaleTransaction {
+    struct BuyOrder {
+        uint256 bidId;
         uint256 propertyId;
-        uint256 pricePerShare;
+        address buyer;
+        uint256 sharesWanted;
+        uint256 sharesFilled;
+        uint256 pricePerShare;         // Escrowed with the bid
+        uint256 expiresAt;             // 0 = good until cancelled
+        bool isActive;
+        uint256 createdAt;
+    }
+    
+    struct Offer {
+        uint256 offerId;
+        uint256 listingId;
+        address buyer;
         uint256 shares;
-        uint256 timestamp;
+        uint256 pricePerShare;         // Buyer's offer, escrowed
+        uint256 counterPrice;          // Seller's counter-offer (0 = none)
+        uint256 expiresAt;
+        bool isActive;
+        uint256 createdAt;
+    }
+    
+    // Per-property limits on resale prices. Listings and trades must be priced
+    // within bandBps of the reference price (current or average resale price);
+    // a move of more than haltMoveBps within haltWindow halts resale trading
+    // until the admin resumes it. 0 turns a limit off; properties are listed
+    // with both off until the admin sets them (setPriceLimits).
+    struct PriceLimits {
+        uint256 bandBps;
+        bool relativeToAverage;
+        uint256 haltMoveBps;
+        uint256 haltWindow;
+    }
+    
+    // Packed into three slots; stored per property (see resaleTransactions)
+    struct ResaleTransaction {
+        uint128 pricePerShare;
+        uint64 shares;
+        uint64 timestamp;
         address buyer;
         address seller;
+        bool isOutlier;                // Outside the band around the average price
+    }
+    
+    // Crowdfunding-style primary sale: purchases are escrowed until softCap
+    // is raised and the round is finalized. A round that is cancelled, or
+    // misses softCap by its deadline, fails and its buyers are refunded.
+    enum FundingStatus { None, Open, Succeeded, Failed }
+    
+    struct FundingRound {
+        uint256 softCap;               // Minimum raise, in the property's currency
+        uint256 deadline;              // Unix time after which no more shares are sold
+        uint256 raised;                // Escrowed so far (before fees)
+        FundingStatus status;
+    }
+    
+    // How primary shares are priced. Fixed sells every share at
+    // initialPricePerShare. A Dutch auction starts there and falls linearly to
+    // endPrice between startTime and endTime, then stays at endPrice. A bonding
+    // curve prices shares by the number sold, linearly from
+    // initialPricePerShare (first share) to endPrice (last share).
+    enum PricingMode { Fixed, DutchAuction, BondingCurve }
+    
+    struct PrimaryPricing {
+        PricingMode mode;
+        uint256 endPrice;              // Auction floor, or price of the last share on the curve
+        uint256 startTime;             // Auction window (unused by the curve)
+        uint256 endTime;
+    }
+    
+    // A holding (free + locked shares), or the shares held by investors, from
+    // a block on. Kept per property so votes can weigh past holdings.
+    struct Checkpoint {
+        uint64 fromBlock;
+        uint192 shares;
+    }
+    
+    // Shareholder proposal on a property (renovation, sale, manager...).
+    // Votes weigh the shares each holder had at snapshotBlock, the block
+    // before the proposal was made, so shares moved during the vote can't
+    // vote twice. It succeeds if votes of any kind reach quorum and more
+    // shares vote for than against.
+    enum ProposalState { Active, Defeated, Succeeded, Cancelled }
+    
+    enum VoteType { Against, For, Abstain }
+    
+    struct Proposal {
+        uint256 propertyId;
+        address proposer;
+        string description;
+        uint256 snapshotBlock;
+        uint256 votingStart;
+        uint256 votingEnd;
+        uint256 quorum;                // Shares that must vote for a result
+        uint256 forVotes;
+        uint256 againstVotes;
+        uint256 abstainVotes;
+        bool cancelled;
+    }
+    
+    struct VoteReceipt {
+        bool hasVoted;
+        VoteType support;
+        uint256 weight;
     }
 
     // =========================================
@@ -74,89 +224,2110 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
     // propertyId => (userAddress => sharesOwned)
     mapping(uint256 => mapping(address => uint256)) public userShares;
     
-    // listingId => ResaleListing
-    mapping(uint256 => ResaleListing) public resaleListings;
+    // propertyId => (userAddress => shares locked in active resale listings)
+    mapping(uint256 => mapping(address => uint256)) public lockedShares;
+    
+    // listingId => ResaleListing
+    mapping(uint256 => ResaleListing) public resaleListings;
+    
+    // propertyId => array of resale listing IDs
+    mapping(uint256 => uint256[]) public propertyResaleListings;
+    
+    // seller => array of resale listing IDs
+    mapping(address => uint256[]) public sellerResaleListings;
+    
+    // propertyId => array of last N resale prices (circular buffer)
+    mapping(uint256 => uint256[]) public resalePriceHistory;
+    
+    // propertyId => index for circular buffer
+    mapping(uint256 => uint256) internal resaleHistoryIndex;
+    
+    // propertyId => every resale and bid fill, oldest first
+    mapping(uint256 => ResaleTransaction[]) public resaleTransactions;
+    
+    // propertyId => price band and circuit breaker settings
+    mapping(uint256 => PriceLimits) public priceLimits;
+    
+    // propertyId => resale halted by the circuit breaker (until the admin resumes it)
+    mapping(uint256 => bool) public circuitBreakerTripped;
+    
+    // propertyId => price and start of the current circuit breaker window
+    mapping(uint256 => uint256) internal breakerReferencePrice;
+    mapping(uint256 => uint256) internal breakerWindowStart;
+    
+    // propertyId => resale trading halted by admin
+    mapping(uint256 => bool) public resaleHalted;
+    
+    // propertyId => permanently delisted (no trading can be resumed)
+    mapping(uint256 => bool) public delisted;
+    
+    // propertyId => (account => withdrawable proceeds, in the property's currency)
+    mapping(uint256 => mapping(address => uint256)) public pendingProceeds;
+    
+    // account => withdrawable MATIC proceeds across all properties
+    // (stablecoin proceeds are only kept per property)
+    mapping(address => uint256) public pendingWithdrawals;
+    
+    // account => properties it has been credited proceeds for
+    mapping(address => uint256[]) internal proceedsPropertyIds;
+    mapping(address => mapping(uint256 => bool)) internal hasProceedsEntry;
+    
+    // propertyId => rental income per share ever deposited (scaled by INCOME_PRECISION)
+    mapping(uint256 => uint256) public incomePerShare;
+    
+    // propertyId => scaled income that didn't divide evenly, carried into the next deposit
+    mapping(uint256 => uint256) internal incomeRemainder;
+    
+    // propertyId => total rental income deposited in Wei
+    mapping(uint256 => uint256) public totalRentalIncome;
+    
+    // propertyId => (account => incomePerShare when the account was last settled)
+    mapping(uint256 => mapping(address => uint256)) internal incomeCheckpoint;
+    
+    // propertyId => (account => settled income not yet claimed)
+    mapping(uint256 => mapping(address => uint256)) internal unclaimedIncome;
+    
+    // propertyId => (account => rental income claimed so far)
+    mapping(uint256 => mapping(address => uint256)) public rentalIncomeClaimed;
+    
+    // account => properties it has held shares of
+    mapping(address => uint256[]) internal heldPropertyIds;
+    mapping(address => mapping(uint256 => bool)) internal hasHeldProperty;
+    
+    // propertyId => PropertyShareToken (ERC-20 view of its shares), once created
+    mapping(uint256 => address) public shareTokens;
+    
+    // propertyId => ERC-20 stablecoin the property is priced and settled in
+    // (address(0) = MATIC). Fixed at listing, so escrowed amounts never
+    // change currency.
+    mapping(uint256 => address) public paymentTokens;
+    
+    // stablecoin => platform fees collected in it and not yet withdrawn
+    mapping(address => uint256) public tokenFeeTreasury;
+    
+    // bidId => BuyOrder
+    mapping(uint256 => BuyOrder) public buyOrders;
+    
+    // propertyId => array of bidIds
+    mapping(uint256 => uint256[]) public propertyBuyOrders;
+    
+    // offerId => Offer
+    mapping(uint256 => Offer) public offers;
+    
+    // listingId => array of offerIds
+    mapping(uint256 => uint256[]) public listingOffers;
+    
+    // propertyId => funding round, if it was listed with one
+    mapping(uint256 => FundingRound) public fundingRounds;
+    
+    // propertyId => (buyer => amount paid into the open round, refundable if it fails)
+    mapping(uint256 => mapping(address => uint256)) public fundingContributions;
+    
+    // propertyId => primary pricing, if it isn't Fixed (see getPrimaryPricing)
+    mapping(uint256 => PrimaryPricing) internal primaryPricing;
+    
+    // propertyId => (holder => holding checkpoints, oldest first)
+    mapping(uint256 => mapping(address => Checkpoint[])) internal holdingCheckpoints;
+    
+    // propertyId => checkpoints of sharesSold (the shares investors hold)
+    mapping(uint256 => Checkpoint[]) internal soldSharesCheckpoints;
+    
+    // proposalId => proposal (see getProposal)
+    mapping(uint256 => Proposal) internal proposals;
+    
+    // propertyId => its proposal ids, oldest first
+    mapping(uint256 => uint256[]) internal propertyProposals;
+    
+    // proposalId => (voter => vote)
+    mapping(uint256 => mapping(address => VoteReceipt)) internal voteReceipts;
+    
+    // propertyId => its original lister, paid the resale royalties for good
+    // (see getRoyaltyRecipient; the NFT and Property.owner can change hands)
+    mapping(uint256 => address) internal royaltyRecipients;
+
+    // =========================================
+    // EVENTS
+    // =========================================
+    
+    event PropertyListed(
+        uint256 indexed id, 
+        address indexed owner, 
+        uint256 pricePerShare, 
+        uint256 totalShares,
+        string metadataURI
+    );
+    
+    event SharesPurchased(
+        uint256 indexed propertyId, 
+        address indexed buyer, 
+        uint256 shares, 
+        uint256 amountSpent,
+        bool isPrimaryPurchase
+    );
+    
+    event ResaleListingCreated(
+        uint256 indexed listingId,
+        uint256 indexed propertyId,
+        address indexed seller,
+        uint256 shares,
+        uint256 pricePerShare
+    );
+    
+    event ResaleCompleted(
+        uint256 indexed listingId,
+        uint256 indexed propertyId,
+        address indexed buyer,
+        address seller,
+        uint256 shares,
+        uint256 pricePerShare,
+        uint256 newMarketPrice
+    );
+    
+    event ResaleListingCancelled(uint256 indexed listingId);
+    
+    event SharesTransferred(
+        uint256 indexed propertyId,
+        address indexed from,
+        address indexed to,
+        uint256 shares
+    );
+    
+    event ResaleListingUpdated(
+        uint256 indexed listingId,
+        uint256 pricePerShare,
+        uint256 sharesForSale,
+        uint256 expiresAt
+    );
+    
+    event ResaleListingExpired(uint256 indexed listingId);
+    
+    event MarketPriceUpdated(
+        uint256 indexed propertyId, 
+        uint256 oldPrice, 
+        uint256 newPrice
+    );
+    
+    event PrimarySaleStatusChanged(uint256 indexed propertyId, bool isActive);
+    
+    event ResaleTradingStatusChanged(uint256 indexed propertyId, bool isActive);
+    
+    event PropertyDelisted(uint256 indexed propertyId);
+    
+    event PropertyOwnerChanged(uint256 indexed propertyId, address indexed previousOwner, address indexed newOwner);
+    
+    event PriceLimitsUpdated(
+        uint256 indexed propertyId,
+        uint256 bandBps,
+        bool relativeToAverage,
+        uint256 haltMoveBps,
+        uint256 haltWindow
+    );
+    
+    event CircuitBreakerTripped(uint256 indexed propertyId, uint256 referencePrice, uint256 price);
+    
+    event ProceedsCredited(uint256 indexed propertyId, address indexed account, uint256 amount);
+    
+    event ProceedsWithdrawn(uint256 indexed propertyId, address indexed account, uint256 amount);
+    
+    event RentalIncomeDeposited(
+        uint256 indexed propertyId,
+        address indexed depositor,
+        uint256 amount,
+        uint256 sharesOutstanding
+    );
+    
+    event RentalIncomeClaimed(uint256 indexed propertyId, address indexed account, uint256 amount);
+    
+    event FeesUpdated(uint256 primaryFeeBps, uint256 resaleFeeBps, uint256 royaltyBps);
+    
+    event TradeFeesCharged(
+        uint256 indexed propertyId,
+        address indexed seller,
+        uint256 grossAmount,
+        uint256 platformFee,
+        uint256 royalty,
+        bool isPrimarySale
+    );
+    
+    event FeesWithdrawn(address indexed to, uint256 amount);
+    
+    event TokenFeesWithdrawn(address indexed token, address indexed to, uint256 amount);
+    
+    event BidPlaced(
+        uint256 indexed bidId,
+        uint256 indexed propertyId,
+        address indexed buyer,
+        uint256 shares,
+        uint256 pricePerShare,
+        uint256 expiresAt
+    );
+    
+    event BidFilled(
+        uint256 indexed bidId,
+        uint256 indexed propertyId,
+        address indexed seller,
+        address buyer,
+        uint256 shares,
+        uint256 pricePerShare,
+        uint256 newMarketPrice
+    );
+    
+    event BidCancelled(uint256 indexed bidId, uint256 refund);
+    
+    event OfferMade(
+        uint256 indexed offerId,
+        uint256 indexed listingId,
+        address indexed buyer,
+        uint256 shares,
+        uint256 pricePerShare,
+        uint256 expiresAt
+    );
+    
+    event OfferCountered(uint256 indexed offerId, uint256 counterPrice);
+    
+    event OfferAccepted(uint256 indexed offerId, uint256 pricePerShare);
+    
+    event OfferRejected(uint256 indexed offerId, uint256 refund);
+    
+    event OfferCancelled(uint256 indexed offerId, uint256 refund);
+    
+    event ResaleSweep(
+        uint256 indexed propertyId,
+        address indexed buyer,
+        uint256 shares,
+        uint256 totalCost,
+        uint256 listingsFilled
+    );
+    
+    event ShareTokenFactoryUpdated(address factory);
+    
+    event ShareTokenRegistered(uint256 indexed propertyId, address indexed token);
+    
+    event FundingStarted(uint256 indexed propertyId, uint256 softCap, uint256 deadline);
+    
+    event FundingFinalized(uint256 indexed propertyId, uint256 raised);
+    
+    event FundingFailed(uint256 indexed propertyId, uint256 raised);
+    
+    event FundingRefunded(uint256 indexed propertyId, address indexed buyer, uint256 shares, uint256 amount);
+    
+    event ProposalCreated(
+        uint256 indexed proposalId,
+        uint256 indexed propertyId,
+        address indexed proposer,
+        string description,
+        uint256 snapshotBlock,
+        uint256 votingEnd,
+        uint256 quorum
+    );
+    
+    event VoteCast(uint256 indexed proposalId, address indexed voter, VoteType support, uint256 weight);
+    
+    event ProposalCancelled(uint256 indexed proposalId);
+    
+    event PrimaryPricingSet(
+        uint256 indexed propertyId,
+        PricingMode mode,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime
+    );
+
+    // =========================================
+    // CONSTRUCTOR
+    // =========================================
+    
+    constructor() ERC721("RealEstateToken", "RET") Ownable(msg.sender) {}
+
+    // =========================================
+    // MODULE DELEGATION
+    // =========================================
+    
+    /**
+     * @dev Run the current call in `_module` on this contract's storage and
+     * pass its result or revert back unchanged
+     */
+    function _delegateTo(address _module) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let success := delegatecall(gas(), _module, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch success
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    // =========================================
+    // PROPERTY OWNERSHIP
+    // =========================================
+    
+    /**
+     * @dev The property NFT is the title: transferring it hands the property
+     * to the new holder, so Property.owner (paid the primary sale proceeds,
+     * allowed to deposit rental income) always matches ownerOf(). Proceeds
+     * credited before the transfer stay with the previous owner, and resale
+     * royalties keep going to the original lister.
+     */
+    function _update(address _to, uint256 _tokenId, address _auth) internal override returns (address from) {
+        require(_to != address(0) && _to != address(this), "Invalid property owner");
+        
+        from = super._update(_to, _tokenId, _auth);
+        if (from != address(0)) {
+            properties[_tokenId].owner = _to;
+            emit PropertyOwnerChanged(_tokenId, from, _to);
+        }
+    }
+
+    // =========================================
+    // SHARED TRADE SETTLEMENT
+    // =========================================
+    
+    function _isListingExpired(ResaleListing storage _listing) internal view returns (bool) {
+        return _listing.expiresAt != 0 && block.timestamp > _listing.expiresAt;
+    }
+    
+    function _isListingOpen(ResaleListing storage _listing) internal view returns (bool) {
+        return _listing.isActive && !_isListingExpired(_listing);
+    }
+    
+    function _isFillable(BuyOrder storage _bid) internal view returns (bool) {
+        return _bid.isActive && (_bid.expiresAt == 0 || block.timestamp <= _bid.expiresAt);
+    }
+    
+    /**
+     * @dev Shared settlement of a resale or bid fill. The caller has already
+     * taken the shares from the seller (after settling the seller's income).
+     * @return oldPrice Market price before this trade
+     */
+    function _executeResale(
+        uint256 _propertyId,
+        address _seller,
+        address _buyer,
+        uint256 _shares,
+        uint256 _pricePerShare
+    ) internal returns (uint256 oldPrice) {
+        require(_isPriceInBand(_propertyId, _pricePerShare), "Price outside band");
+        
+        _settleIncome(_propertyId, _buyer);
+        userShares[_propertyId][_buyer] += _shares;
+        _recordShareMove(_propertyId, _seller, _buyer, _shares);
+        
+        // *** UPDATE MARKET PRICE ***
+        // Only completed resale transactions affect market price
+        Property storage property = properties[_propertyId];
+        oldPrice = property.currentPrice;
+        property.currentPrice = _pricePerShare;
+        
+        // Log the trade for the weighted prices, checked against the average
+        // before it. An outlier enters the average at the edge of the band, so
+        // one off-market trade can't drag the band away from the market, while
+        // a real move still shifts it a step per trade.
+        (uint256 bandLow, uint256 bandHigh) = _outlierBand(_propertyId);
+        bool isOutlier = _pricePerShare < bandLow || _pricePerShare > bandHigh;
+        resaleTransactions[_propertyId].push(ResaleTransaction({
+            pricePerShare: _pricePerShare.toUint128(),
+            shares: _shares.toUint64(),
+            timestamp: uint64(block.timestamp),
+            buyer: _buyer,
+            seller: _seller,
+            isOutlier: isOutlier
+        }));
+        _recordResalePrice(_propertyId, _pricePerShare < bandLow ? bandLow : _pricePerShare > bandHigh ? bandHigh : _pricePerShare);
+        
+        // Escrow funds for the seller, less the platform fee and royalty
+        _creditProceeds(_propertyId, _seller, _chargeFees(_propertyId, _seller, _shares * _pricePerShare, false));
+    }
+    
+    /**
+     * @dev Emit the market price change of a trade (or sweep) and run the
+     * circuit breaker on it
+     */
+    function _emitPriceChange(uint256 _propertyId, uint256 _oldPrice) internal {
+        uint256 newPrice = properties[_propertyId].currentPrice;
+        if (_oldPrice != newPrice) {
+            emit MarketPriceUpdated(_propertyId, _oldPrice, newPrice);
+        }
+        _checkCircuitBreaker(_propertyId, _oldPrice, newPrice);
+    }
+    
+    /**
+     * @dev Halt resale trading if the price has moved more than haltMoveBps
+     * from where it stood when the current window opened. The trade that
+     * trips the breaker stands; the next one waits for the admin.
+     */
+    function _checkCircuitBreaker(uint256 _propertyId, uint256 _oldPrice, uint256 _newPrice) internal {
+        PriceLimits storage limits = priceLimits[_propertyId];
+        if (limits.haltMoveBps == 0) return;
+        
+        if (breakerWindowStart[_propertyId] == 0 || block.timestamp >= breakerWindowStart[_propertyId] + limits.haltWindow) {
+            breakerWindowStart[_propertyId] = block.timestamp;
+            breakerReferencePrice[_propertyId] = _oldPrice;
+        }
+        
+        uint256 referencePrice = breakerReferencePrice[_propertyId];
+        uint256 move = _newPrice > referencePrice ? _newPrice - referencePrice : referencePrice - _newPrice;
+        if (move * BPS_DENOMINATOR > referencePrice * limits.haltMoveBps && !resaleHalted[_propertyId]) {
+            resaleHalted[_propertyId] = true;
+            circuitBreakerTripped[_propertyId] = true;
+            emit CircuitBreakerTripped(_propertyId, referencePrice, _newPrice);
+            emit ResaleTradingStatusChanged(_propertyId, false);
+        }
+    }
+    
+    /**
+     * @dev Lowest and highest resale price allowed for a property right now
+     * (0 and type(uint256).max without a band)
+     */
+    function _tradingBand(uint256 _propertyId) internal view returns (uint256 minPrice, uint256 maxPrice) {
+        PriceLimits storage limits = priceLimits[_propertyId];
+        if (limits.bandBps == 0) return (0, type(uint256).max);
+        
+        uint256 referencePrice = limits.relativeToAverage
+            ? _averageResalePrice(_propertyId)
+            : properties[_propertyId].currentPrice;
+        uint256 band = (referencePrice * limits.bandBps) / BPS_DENOMINATOR;
+        return (band < referencePrice ? referencePrice - band : 0, referencePrice + band);
+    }
+    
+    function _isPriceInBand(uint256 _propertyId, uint256 _price) internal view returns (bool) {
+        (uint256 minPrice, uint256 maxPrice) = _tradingBand(_propertyId);
+        return _price >= minPrice && _price <= maxPrice;
+    }
+    
+    /**
+     * @dev Store a property's price band and circuit breaker and restart the
+     * breaker window
+     */
+    function _setPriceLimits(
+        uint256 _propertyId,
+        uint256 _bandBps,
+        bool _relativeToAverage,
+        uint256 _haltMoveBps,
+        uint256 _haltWindow
+    ) internal {
+        require(_haltMoveBps == 0 || _haltWindow > 0, "Halt window must be > 0");
+        
+        priceLimits[_propertyId] = PriceLimits({
+            bandBps: _bandBps,
+            relativeToAverage: _relativeToAverage,
+            haltMoveBps: _haltMoveBps,
+            haltWindow: _haltWindow
+        });
+        breakerWindowStart[_propertyId] = 0;
+        
+        emit PriceLimitsUpdated(_propertyId, _bandBps, _relativeToAverage, _haltMoveBps, _haltWindow);
+    }
+    
+    
+    /**
+     * @dev Escrow an amount for an account against a property, in the
+     * property's currency
+     */
+    function _creditProceeds(uint256 _propertyId, address _account, uint256 _amount) internal {
+        if (_amount == 0) return;
+        
+        if (!hasProceedsEntry[_account][_propertyId]) {
+            hasProceedsEntry[_account][_propertyId] = true;
+            proceedsPropertyIds[_account].push(_propertyId);
+        }
+        
+        pendingProceeds[_propertyId][_account] += _amount;
+        if (paymentTokens[_propertyId] == address(0)) {
+            pendingWithdrawals[_account] += _amount;
+        }
+        
+        emit ProceedsCredited(_propertyId, _account, _amount);
+    }
+    
+    /**
+     * @dev Take a payment for a property from the caller, in its currency:
+     * MATIC sent with the call (any excess is credited back as proceeds), or
+     * its stablecoin, pulled from an allowance the caller approved first
+     */
+    function _collectPayment(uint256 _propertyId, uint256 _amount) internal {
+        address token = paymentTokens[_propertyId];
+        if (token == address(0)) {
+            require(msg.value >= _amount, "Insufficient payment");
+            _creditProceeds(_propertyId, msg.sender, msg.value - _amount);
+        } else {
+            require(msg.value == 0, "Property is paid in stablecoin");
+            IERC20(token).safeTransferFrom(msg.sender, address(this), _amount);
+        }
+    }
+    
+    /**
+     * @dev Pay out MATIC (`_token` = address(0)) or a stablecoin
+     */
+    function _sendPayment(address _token, address _to, uint256 _amount) internal {
+        if (_token == address(0)) {
+            _sendValue(_to, _amount);
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
+        }
+    }
+    
+    /**
+     * @dev Send Wei with all available gas so contract wallets can receive it
+     */
+    function _sendValue(address _to, uint256 _amount) internal {
+        (bool success, ) = payable(_to).call{value: _amount}("");
+        require(success, "Withdrawal failed");
+    }
+    
+    /**
+     * @dev Split a trade amount into platform fee, lister royalty and what the seller receives
+     * @param _amount Trade amount, in the property's currency
+     * @param _isPrimarySale True for buyShares, false for resales (only resales pay royalty)
+     */
+    function getFeeBreakdown(uint256 _amount, bool _isPrimarySale) public view returns (
+        uint256 platformFee,
+        uint256 royalty,
+        uint256 sellerProceeds
+    ) {
+        platformFee = _amount * (_isPrimarySale ? primaryFeeBps : resaleFeeBps) / BPS_DENOMINATOR;
+        royalty = _isPrimarySale ? 0 : _amount * royaltyBps / BPS_DENOMINATOR;
+        sellerProceeds = _amount - platformFee - royalty;
+    }
+    
+    /**
+     * @dev Take the fees out of a trade: platform fee to the treasury, royalty
+     * escrowed for the original lister
+     * @return sellerProceeds What is left for the seller
+     */
+    function _chargeFees(
+        uint256 _propertyId,
+        address _seller,
+        uint256 _amount,
+        bool _isPrimarySale
+    ) internal returns (uint256 sellerProceeds) {
+        uint256 platformFee;
+        uint256 royalty;
+        (platformFee, royalty, sellerProceeds) = getFeeBreakdown(_amount, _isPrimarySale);
+        
+        address token = paymentTokens[_propertyId];
+        if (token == address(0)) {
+            feeTreasury += platformFee;
+        } else {
+            tokenFeeTreasury[token] += platformFee;
+        }
+        _creditProceeds(_propertyId, royaltyRecipients[_propertyId], royalty);
+        
+        emit TradeFeesCharged(_propertyId, _seller, _amount, platformFee, royalty, _isPrimarySale);
+    }
+    
+    /**
+     * @dev Income an account can claim now: settled income plus what its
+     * current holding (free + locked shares) earned since it was last settled
+     */
+    function claimableRentalIncome(uint256 _propertyId, address _account) public view returns (uint256) {
+        uint256 holding = userShares[_propertyId][_account] + lockedShares[_propertyId][_account];
+        uint256 earned = holding * (incomePerShare[_propertyId] - incomeCheckpoint[_propertyId][_account]) / INCOME_PRECISION;
+        return unclaimedIncome[_propertyId][_account] + earned;
+    }
+    
+    /**
+     * @dev Bank what an account has earned so far. Must run before its holding changes.
+     */
+    function _settleIncome(uint256 _propertyId, address _account) internal {
+        unclaimedIncome[_propertyId][_account] = claimableRentalIncome(_propertyId, _account);
+        incomeCheckpoint[_propertyId][_account] = incomePerShare[_propertyId];
+        
+        if (!hasHeldProperty[_account][_propertyId]) {
+            hasHeldProperty[_account][_propertyId] = true;
+            heldPropertyIds[_account].push(_propertyId);
+        }
+    }
+    
+    /**
+     * @dev Record a change of holding, after it was made: checkpoint the
+     * holdings for share-weighted votes, and report it to the property's
+     * share token, if it has one, so the token emits the matching Transfer
+     * (from the zero address for primary sales, to it for refunds)
+     */
+    function _recordShareMove(uint256 _propertyId, address _from, address _to, uint256 _shares) internal {
+        if (_from == address(0) || _to == address(0)) {
+            _writeCheckpoint(soldSharesCheckpoints[_propertyId], properties[_propertyId].sharesSold);
+        }
+        if (_from != address(0)) {
+            _writeCheckpoint(holdingCheckpoints[_propertyId][_from], userShares[_propertyId][_from] + lockedShares[_propertyId][_from]);
+        }
+        if (_to != address(0)) {
+            _writeCheckpoint(holdingCheckpoints[_propertyId][_to], userShares[_propertyId][_to] + lockedShares[_propertyId][_to]);
+        }
+        
+        address token = shareTokens[_propertyId];
+        if (token != address(0)) {
+            PropertyShareToken(token).onSharesMoved(_from, _to, _shares);
+        }
+    }
+    
+    /**
+     * @dev Set the value of a checkpoint list from this block on
+     */
+    function _writeCheckpoint(Checkpoint[] storage _checkpoints, uint256 _shares) internal {
+        uint256 length = _checkpoints.length;
+        if (length > 0 && _checkpoints[length - 1].fromBlock == block.number) {
+            _checkpoints[length - 1].shares = uint192(_shares);
+        } else {
+            _checkpoints.push(Checkpoint(uint64(block.number), uint192(_shares)));
+        }
+    }
+    
+    /**
+     * @dev True while a property's shares can't move and earn no income: its
+     * funding round is open (the shares may still be voided) or has failed
+     */
+    function _fundingLocked(uint256 _propertyId) internal view returns (bool) {
+        FundingStatus status = fundingRounds[_propertyId].status;
+        return status == FundingStatus.Open || status == FundingStatus.Failed;
+    }
+    
+    /**
+     * @dev What the next `_shares` primary shares of a property cost in the
+     * current block (see PrimaryPricing)
+     */
+    function _primaryCost(uint256 _propertyId, uint256 _shares) internal view returns (uint256) {
+        Property storage property = properties[_propertyId];
+        PrimaryPricing storage pricing = primaryPricing[_propertyId];
+        uint256 startPrice = property.initialPricePerShare;
+        
+        if (pricing.mode == PricingMode.DutchAuction) {
+            if (block.timestamp >= pricing.endTime) {
+                return _shares * pricing.endPrice;
+            }
+            uint256 drop = ((startPrice - pricing.endPrice) * (block.timestamp - pricing.startTime))
+                / (pricing.endTime - pricing.startTime);
+            return _shares * (startPrice - drop);
+        }
+        if (pricing.mode == PricingMode.BondingCurve && _shares > 0 && property.totalShares > 1) {
+            // Sum of the curve's steps over shares sharesSold .. sharesSold + _shares - 1
+            uint256 steps = _shares * property.sharesSold + (_shares * (_shares - 1)) / 2;
+            return _shares * startPrice + ((pricing.endPrice - startPrice) * steps) / (property.totalShares - 1);
+        }
+        return _shares * startPrice;
+    }
+    
+    /**
+     * @dev Move free shares between two holders, settling both parties'
+     * rental income first so income earned so far stays with the sender
+     */
+    function _transferShares(uint256 _propertyId, address _from, address _to, uint256 _shares) internal {
+        require(_to != address(0), "Invalid recipient");
+        require(_to != _from, "Cannot transfer to yourself");
+        require(_shares > 0, "Must transfer at least 1 share");
+        require(userShares[_propertyId][_from] >= _shares, "Insufficient shares");
+        require(!_fundingLocked(_propertyId), "Funding round not finalized");
+        
+        _settleIncome(_propertyId, _from);
+        _settleIncome(_propertyId, _to);
+        userShares[_propertyId][_from] -= _shares;
+        userShares[_propertyId][_to] += _shares;
+        
+        emit SharesTransferred(_propertyId, _from, _to, _shares);
+        _recordShareMove(_propertyId, _from, _to, _shares);
+    }
+    
+    /**
+     * @dev Average of the last RESALE_HISTORY_SIZE resale prices, or the
+     * initial price before the first resale
+     */
+    function _averageResalePrice(uint256 _propertyId) internal view returns (uint256) {
+        uint256[] storage history = resalePriceHistory[_propertyId];
+        
+        if (history.length == 0) {
+            return properties[_propertyId].initialPricePerShare;
+        }
+        
+        uint256 sum = 0;
+        for (uint256 i = 0; i < history.length; i++) {
+            sum += history[i];
+        }
+        
+        return sum / history.length;
+    }
+    
+    /**
+     * @dev Prices within PRICE_OUTLIER_BAND_BPS of the average resale price
+     */
+    function _outlierBand(uint256 _propertyId) internal view returns (uint256 low, uint256 high) {
+        uint256 average = _averageResalePrice(_propertyId);
+        uint256 band = (average * PRICE_OUTLIER_BAND_BPS) / BPS_DENOMINATOR;
+        return (average - band, average + band);
+    }
+    
+    /**
+     * @dev Internal function to record resale price in history
+     */
+    function _recordResalePrice(uint256 _propertyId, uint256 _price) internal {
+        uint256[] storage history = resalePriceHistory[_propertyId];
+        
+        if (history.length < RESALE_HISTORY_SIZE) {
+            // Still filling the buffer
+            history.push(_price);
+        } else {
+            // Circular buffer - overwrite oldest
+            uint256 index = resaleHistoryIndex[_propertyId];
+            history[index] = _price;
+            resaleHistoryIndex[_propertyId] = (index + 1) % RESALE_HISTORY_SIZE;
+        }
+    }
+}
+
+/**
+ * @title RealEstateMarketplaceOrders
+ * @dev Orders beyond fixed-price listings: bids, offers and best-price sweeps,
+ * plus the order book views. Deployed once and reached only through
+ * RealEstateMarketplace, which delegates every call it doesn't implement
+ * here - so this code always runs on the marketplace's storage.
+ */
+contract RealEstateMarketplaceOrders is RealEstateMarketplaceBase {
+    
+    /**
+     * @dev Calls this module doesn't implement either (admin functions,
+     * price analytics) go on to the admin module
+     */
+    fallback() external payable {
+        _delegateTo(adminModule);
+    }
+    
+    /**
+     * @dev Plain transfers are rejected by the marketplace before they get here
+     */
+    receive() external payable {
+        revert("Direct payments not accepted");
+    }
+    
+    // =========================================
+    // BIDS (BUY ORDERS)
+    // =========================================
+    
+    /**
+     * @dev Post a bid for shares of a property. The full amount is escrowed
+     * with the bid, in the property's currency; any excess MATIC is credited
+     * back as proceeds.
+     * @param _propertyId Property to buy
+     * @param _shares Number of shares wanted
+     * @param _pricePerShare Highest price the buyer pays per share
+     * @param _expiresAt Unix time after which the bid can't be filled (0 = no expiry)
+     */
+    function placeBid(
+        uint256 _propertyId,
+        uint256 _shares,
+        uint256 _pricePerShare,
+        uint256 _expiresAt
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(!resaleHalted[_propertyId], "Resale trading halted");
+        require(_shares > 0, "Must bid for at least 1 share");
+        require(_pricePerShare > 0, "Price must be > 0");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        _collectPayment(_propertyId, _shares * _pricePerShare);
+        
+        uint256 bidId = nextBidId++;
+        buyOrders[bidId] = BuyOrder({
+            bidId: bidId,
+            propertyId: _propertyId,
+            buyer: msg.sender,
+            sharesWanted: _shares,
+            sharesFilled: 0,
+            pricePerShare: _pricePerShare,
+            expiresAt: _expiresAt,
+            isActive: true,
+            createdAt: block.timestamp
+        });
+        propertyBuyOrders[_propertyId].push(bidId);
+        
+        emit BidPlaced(bidId, _propertyId, msg.sender, _shares, _pricePerShare, _expiresAt);
+        
+        return bidId;
+    }
+    
+    /**
+     * @dev Sell shares into a bid at the bid's price. Uses the seller's free
+     * (unlisted) shares.
+     * @param _bidId Bid to fill
+     * @param _shares Number of shares to sell (partial fills allowed)
+     * 
+     * IMPORTANT: This updates the market price!
+     */
+    function fillBid(uint256 _bidId, uint256 _shares) external nonReentrant whenNotPaused {
+        BuyOrder storage bid = buyOrders[_bidId];
+        
+        require(bid.isActive, "Bid not active");
+        require(bid.expiresAt == 0 || block.timestamp <= bid.expiresAt, "Bid expired");
+        require(!resaleHalted[bid.propertyId], "Resale trading halted");
+        require(msg.sender != bid.buyer, "Cannot fill own bid");
+        require(_shares > 0, "Must sell at least 1 share");
+        require(_shares <= bid.sharesWanted - bid.sharesFilled, "Not enough shares in bid");
+        require(userShares[bid.propertyId][msg.sender] >= _shares, "Insufficient shares");
+        
+        _settleIncome(bid.propertyId, msg.sender);
+        userShares[bid.propertyId][msg.sender] -= _shares;
+        bid.sharesFilled += _shares;
+        
+        if (bid.sharesFilled >= bid.sharesWanted) {
+            bid.isActive = false;
+        }
+        
+        uint256 oldPrice = _executeResale(bid.propertyId, msg.sender, bid.buyer, _shares, bid.pricePerShare);
+        
+        emit BidFilled(_bidId, bid.propertyId, msg.sender, bid.buyer, _shares, bid.pricePerShare, bid.pricePerShare);
+        
+        _emitPriceChange(bid.propertyId, oldPrice);
+    }
+    
+    /**
+     * @dev Cancel a bid and refund its unfilled escrow to the buyer's proceeds.
+     * The buyer can cancel at any time (also while paused); anyone can clear
+     * an expired bid.
+     * @param _bidId Bid to cancel
+     */
+    function cancelBid(uint256 _bidId) external {
+        BuyOrder storage bid = buyOrders[_bidId];
+        
+        require(bid.isActive, "Bid not active");
+        require(
+            msg.sender == bid.buyer || (bid.expiresAt != 0 && block.timestamp > bid.expiresAt),
+            "Not your bid"
+        );
+        
+        bid.isActive = false;
+        uint256 refund = (bid.sharesWanted - bid.sharesFilled) * bid.pricePerShare;
+        _creditProceeds(bid.propertyId, bid.buyer, refund);
+        
+        emit BidCancelled(_bidId, refund);
+    }
+    
+    // =========================================
+    // OFFERS ON RESALE LISTINGS
+    // =========================================
+    
+    /**
+     * @dev Offer less than the ask for shares of a listing. The offer is
+     * escrowed until it is accepted, rejected, cancelled or expires.
+     * @param _listingId Listing to make an offer on
+     * @param _shares Number of shares wanted
+     * @param _pricePerShare Offered price, below the listing's price
+     * @param _expiresAt Unix time after which the offer can't be accepted
+     */
+    function makeOffer(
+        uint256 _listingId,
+        uint256 _shares,
+        uint256 _pricePerShare,
+        uint256 _expiresAt
+    ) external payable nonReentrant whenNotPaused returns (uint256) {
+        ResaleListing storage listing = resaleListings[_listingId];
+        
+        require(listing.isActive, "Listing not active");
+        require(!_isListingExpired(listing), "Listing expired");
+        require(!resaleHalted[listing.propertyId], "Resale trading halted");
+        require(msg.sender != listing.seller, "Cannot buy own listing");
+        require(_shares > 0, "Must buy at least 1");
+        require(_shares <= listing.sharesForSale - listing.sharesSold, "Not enough shares in listing");
+        require(_pricePerShare > 0 && _pricePerShare < listing.pricePerShare, "Offer must be below the ask");
+        require(_expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        _collectPayment(listing.propertyId, _shares * _pricePerShare);
+        
+        uint256 offerId = nextOfferId++;
+        offers[offerId] = Offer({
+            offerId: offerId,
+            listingId: _listingId,
+            buyer: msg.sender,
+            shares: _shares,
+            pricePerShare: _pricePerShare,
+            counterPrice: 0,
+            expiresAt: _expiresAt,
+            isActive: true,
+            createdAt: block.timestamp
+        });
+        listingOffers[_listingId].push(offerId);
+        
+        emit OfferMade(offerId, _listingId, msg.sender, _shares, _pricePerShare, _expiresAt);
+        
+        return offerId;
+    }
+    
+    /**
+     * @dev Seller accepts an offer at the offered price
+     */
+    function acceptOffer(uint256 _offerId) external nonReentrant whenNotPaused {
+        Offer storage offer = _openOffer(_offerId);
+        require(msg.sender == resaleListings[offer.listingId].seller, "Not your listing");
+        
+        _fillOffer(offer, offer.pricePerShare);
+    }
+    
+    /**
+     * @dev Seller answers an offer with a higher price (at most the ask).
+     * The buyer can accept it until the offer expires.
+     */
+    function counterOffer(uint256 _offerId, uint256 _counterPrice) external whenNotPaused {
+        Offer storage offer = _openOffer(_offerId);
+        ResaleListing storage listing = resaleListings[offer.listingId];
+        require(msg.sender == listing.seller, "Not your listing");
+        require(
+            _counterPrice > offer.pricePerShare && _counterPrice <= listing.pricePerShare,
+            "Counter must be between offer and ask"
+        );
+        
+        offer.counterPrice = _counterPrice;
+        
+        emit OfferCountered(_offerId, _counterPrice);
+    }
+    
+    /**
+     * @dev Buyer accepts the seller's counter-offer, paying the difference
+     */
+    function acceptCounterOffer(uint256 _offerId) external payable nonReentrant whenNotPaused {
+        Offer storage offer = _openOffer(_offerId);
+        require(msg.sender == offer.buyer, "Not your offer");
+        require(offer.counterPrice > 0, "No counter-offer");
+        
+        _collectPayment(resaleListings[offer.listingId].propertyId, offer.shares * (offer.counterPrice - offer.pricePerShare));
+        _fillOffer(offer, offer.counterPrice);
+    }
+    
+    /**
+     * @dev Seller turns an offer down; the escrow is refunded to the buyer
+     */
+    function rejectOffer(uint256 _offerId) external {
+        Offer storage offer = offers[_offerId];
+        require(offer.isActive, "Offer not active");
+        require(msg.sender == resaleListings[offer.listingId].seller, "Not your listing");
+        
+        emit OfferRejected(_offerId, _closeOffer(offer));
+    }
+    
+    /**
+     * @dev Withdraw an offer and refund its escrow to the buyer's proceeds.
+     * The buyer can cancel at any time (also while paused); anyone can clear
+     * an expired offer or one whose listing is closed or expired.
+     */
+    function cancelOffer(uint256 _offerId) external {
+        Offer storage offer = offers[_offerId];
+        ResaleListing storage listing = resaleListings[offer.listingId];
+        require(offer.isActive, "Offer not active");
+        require(
+            msg.sender == offer.buyer ||
+                block.timestamp > offer.expiresAt ||
+                !listing.isActive ||
+                _isListingExpired(listing),
+            "Not your offer"
+        );
+        
+        emit OfferCancelled(_offerId, _closeOffer(offer));
+    }
+    
+    /**
+     * @dev An offer that can still be accepted or countered
+     */
+    function _openOffer(uint256 _offerId) internal view returns (Offer storage offer) {
+        offer = offers[_offerId];
+        require(offer.isActive, "Offer not active");
+        require(block.timestamp <= offer.expiresAt, "Offer expired");
+    }
+    
+    /**
+     * @dev Sell the offered shares out of the listing at `_price`. The buyer's
+     * escrow (plus any counter-offer top-up) covers shares * _price.
+     */
+    function _fillOffer(Offer storage _offer, uint256 _price) internal {
+        ResaleListing storage listing = resaleListings[_offer.listingId];
+        require(listing.isActive, "Listing not active");
+        require(!_isListingExpired(listing), "Listing expired");
+        require(!resaleHalted[listing.propertyId], "Resale trading halted");
+        require(_offer.shares <= listing.sharesForSale - listing.sharesSold, "Not enough shares in listing");
+        
+        _offer.isActive = false;
+        
+        _settleIncome(listing.propertyId, listing.seller);
+        lockedShares[listing.propertyId][listing.seller] -= _offer.shares;
+        listing.sharesSold += _offer.shares;
+        if (listing.sharesSold >= listing.sharesForSale) {
+            listing.isActive = false;
+        }
+        
+        uint256 oldPrice = _executeResale(listing.propertyId, listing.seller, _offer.buyer, _offer.shares, _price);
+        
+        emit OfferAccepted(_offer.offerId, _price);
+        emit ResaleCompleted(
+            _offer.listingId,
+            listing.propertyId,
+            _offer.buyer,
+            listing.seller,
+            _offer.shares,
+            _price,
+            _price
+        );
+        
+        _emitPriceChange(listing.propertyId, oldPrice);
+    }
+    
+    /**
+     * @dev Close an offer and credit its escrow back to the buyer
+     * @return refund Amount credited
+     */
+    function _closeOffer(Offer storage _offer) internal returns (uint256 refund) {
+        _offer.isActive = false;
+        refund = _offer.shares * _offer.pricePerShare;
+        _creditProceeds(resaleListings[_offer.listingId].propertyId, _offer.buyer, refund);
+    }
+    
+    // =========================================
+    // BEST-PRICE SWEEPS
+    // =========================================
+    
+    /**
+     * @dev Buy up to `_shares` shares of a property across several listings in
+     * one transaction, filling `_listingIds` in order (quoteBestPrice plans the
+     * cheapest). Listings that closed, expired, belong to another property or
+     * to the buyer are skipped. Reverts if the average price paid is above
+     * `_maxAveragePrice`; unused MATIC is credited back to the buyer.
+     * @param _propertyId Property to buy
+     * @param _shares Most shares to buy
+     * @param _maxAveragePrice Highest average price per share the buyer accepts
+     * @param _listingIds Listings to buy from, cheapest first (at most MAX_SWEEP_LISTINGS)
+     * @return sharesBought Shares bought
+     * @return totalCost Amount paid for them
+     * 
+     * IMPORTANT: This updates the market price!
+     */
+    function buyAtBestPrice(
+        uint256 _propertyId,
+        uint256 _shares,
+        uint256 _maxAveragePrice,
+        uint256[] calldata _listingIds
+    ) external payable nonReentrant whenNotPaused returns (uint256 sharesBought, uint256 totalCost) {
+        require(!resaleHalted[_propertyId], "Resale trading halted");
+        require(_shares > 0, "Must buy at least 1");
+        require(_listingIds.length <= MAX_SWEEP_LISTINGS, "Too many listings");
+        
+        uint256 oldPrice = properties[_propertyId].currentPrice;
+        uint256 listingsFilled = 0;
+        
+        for (uint256 i = 0; i < _listingIds.length && sharesBought < _shares; i++) {
+            ResaleListing storage listing = resaleListings[_listingIds[i]];
+            if (
+                !_isListingOpen(listing) ||
+                listing.propertyId != _propertyId ||
+                listing.seller == msg.sender ||
+                !_isPriceInBand(_propertyId, listing.pricePerShare)
+            ) {
+                continue;
+            }
+            
+            uint256 available = listing.sharesForSale - listing.sharesSold;
+            uint256 take = _shares - sharesBought < available ? _shares - sharesBought : available;
+            
+            _settleIncome(_propertyId, listing.seller);
+            lockedShares[_propertyId][listing.seller] -= take;
+            listing.sharesSold += take;
+            if (listing.sharesSold >= listing.sharesForSale) {
+                listing.isActive = false;
+            }
+            
+            _executeResale(_propertyId, listing.seller, msg.sender, take, listing.pricePerShare);
+            
+            emit ResaleCompleted(
+                listing.listingId,
+                _propertyId,
+                msg.sender,
+                listing.seller,
+                take,
+                listing.pricePerShare,
+                listing.pricePerShare
+            );
+            
+            sharesBought += take;
+            totalCost += take * listing.pricePerShare;
+            listingsFilled++;
+        }
+        
+        require(sharesBought > 0, "No shares available");
+        require(totalCost <= _maxAveragePrice * sharesBought, "Average price above limit");
+        
+        // Excess MATIC is credited back to the buyer; stablecoin is pulled
+        // for exactly what the sweep cost
+        _collectPayment(_propertyId, totalCost);
+        
+        emit ResaleSweep(_propertyId, msg.sender, sharesBought, totalCost, listingsFilled);
+        
+        _emitPriceChange(_propertyId, oldPrice);
+    }
+    
+    /**
+     * @dev Plan a buyAtBestPrice: the cheapest open listings of a property
+     * (oldest first at equal prices) that together hold up to `_shares`
+     * shares, leaving out `_buyer`'s own. Uses at most MAX_SWEEP_LISTINGS
+     * listings, so the plan can cover fewer shares than asked for.
+     * @return listingIds Listings to pass to buyAtBestPrice, cheapest first
+     * @return shares Shares the plan buys from each listing
+     * @return sharesAvailable Shares the whole plan buys
+     * @return totalCost Amount the plan costs
+     */
+    function quoteBestPrice(uint256 _propertyId, uint256 _shares, address _buyer) external view returns (
+        uint256[] memory listingIds,
+        uint256[] memory shares,
+        uint256 sharesAvailable,
+        uint256 totalCost
+    ) {
+        uint256[] storage allListings = propertyResaleListings[_propertyId];
+        
+        // Open listings the buyer could buy from
+        uint256[] memory candidates = new uint256[](allListings.length);
+        uint256 count = 0;
+        for (uint256 i = 0; i < allListings.length; i++) {
+            ResaleListing storage listing = resaleListings[allListings[i]];
+            if (_isListingOpen(listing) && listing.seller != _buyer && _isPriceInBand(_propertyId, listing.pricePerShare)) {
+                candidates[count] = allListings[i];
+                count++;
+            }
+        }
+        
+        listingIds = new uint256[](MAX_SWEEP_LISTINGS);
+        shares = new uint256[](MAX_SWEEP_LISTINGS);
+        bool[] memory taken = new bool[](count);
+        uint256 used = 0;
+        
+        // Take the cheapest remaining listing until the order is covered
+        while (sharesAvailable < _shares && used < MAX_SWEEP_LISTINGS && used < count) {
+            uint256 best = count;
+            for (uint256 i = 0; i < count; i++) {
+                if (!taken[i] && (
+                    best == count ||
+                    resaleListings[candidates[i]].pricePerShare < resaleListings[candidates[best]].pricePerShare
+                )) {
+                    best = i;
+                }
+            }
+            taken[best] = true;
+            
+            ResaleListing storage listing = resaleListings[candidates[best]];
+            uint256 available = listing.sharesForSale - listing.sharesSold;
+            uint256 take = _shares - sharesAvailable < available ? _shares - sharesAvailable : available;
+            
+            listingIds[used] = listing.listingId;
+            shares[used] = take;
+            sharesAvailable += take;
+            totalCost += take * listing.pricePerShare;
+            used++;
+        }
+        
+        // Trim the plan to the listings used
+        assembly {
+            mstore(listingIds, used)
+            mstore(shares, used)
+        }
+    }
+
+    // =========================================
+    // VIEW FUNCTIONS - ORDER BOOK
+    // =========================================
+    
+    /**
+     * @dev One page of open (active, unexpired) resale listings across the
+     * marketplace, oldest first, optionally filtered by property and seller.
+     * Each call scans at most MAX_PAGE_SCAN listing ids, so a page can hold
+     * fewer than `_limit` listings while more remain; keep calling with
+     * `nextCursor` until it is 0.
+     * @param _propertyId Property to filter by, or ANY_PROPERTY
+     * @param _seller Seller to filter by, or address(0) for any seller
+     * @param _cursor 0 for the first page, then the previous `nextCursor`
+     * @param _limit Listings per page (0 or above MAX_PAGE_SIZE = MAX_PAGE_SIZE)
+     * @return page Open listings found
+     * @return nextCursor Where the next page starts (0 = no more listings)
+     */
+    function getResaleListingsPage(
+        uint256 _propertyId,
+        address _seller,
+        uint256 _cursor,
+        uint256 _limit
+    ) external view returns (ResaleListing[] memory page, uint256 nextCursor) {
+        if (_limit == 0 || _limit > MAX_PAGE_SIZE) {
+            _limit = MAX_PAGE_SIZE;
+        }
+        
+        // Walk the seller's or the property's listing ids when filtering,
+        // otherwise every listing id (ids are sequential)
+        bool filtered = _seller != address(0) || _propertyId != ANY_PROPERTY;
+        uint256[] storage ids = _seller != address(0)
+            ? sellerResaleListings[_seller]
+            : propertyResaleListings[_propertyId];
+        uint256 total = filtered ? ids.length : nextListingId;
+        uint256 end = _cursor + MAX_PAGE_SCAN < total ? _cursor + MAX_PAGE_SCAN : total;
+        
+        page = new ResaleListing[](_limit);
+        uint256 count = 0;
+        uint256 i = _cursor;
+        for (; i < end && count < _limit; i++) {
+            ResaleListing storage listing = resaleListings[filtered ? ids[i] : i];
+            if (_isListingOpen(listing) && (_propertyId == ANY_PROPERTY || listing.propertyId == _propertyId)) {
+                page[count] = listing;
+                count++;
+            }
+        }
+        
+        // Trim the page to the listings found
+        assembly {
+            mstore(page, count)
+        }
+        
+        nextCursor = i < total ? i : 0;
+    }
+    
+    /**
+     * @dev Get all fillable (active, unexpired) bids for a property
+     */
+    function getActiveBids(uint256 _propertyId) external view returns (uint256[] memory) {
+        uint256[] storage allBids = propertyBuyOrders[_propertyId];
+        
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < allBids.length; i++) {
+            if (_isFillable(buyOrders[allBids[i]])) {
+                activeCount++;
+            }
+        }
+        
+        uint256[] memory activeBids = new uint256[](activeCount);
+        uint256 j = 0;
+        for (uint256 i = 0; i < allBids.length; i++) {
+            if (_isFillable(buyOrders[allBids[i]])) {
+                activeBids[j] = allBids[i];
+                j++;
+            }
+        }
+        
+        return activeBids;
+    }
+    
+    /**
+     * @dev Get the open offers on a listing (expired ones included until cleared)
+     */
+    function getListingOffers(uint256 _listingId) external view returns (uint256[] memory) {
+        uint256[] storage allOffers = listingOffers[_listingId];
+        
+        uint256 activeCount = 0;
+        for (uint256 i = 0; i < allOffers.length; i++) {
+            if (offers[allOffers[i]].isActive) {
+                activeCount++;
+            }
+        }
+        
+        uint256[] memory activeOffers = new uint256[](activeCount);
+        uint256 j = 0;
+        for (uint256 i = 0; i < allOffers.length; i++) {
+            if (offers[allOffers[i]].isActive) {
+                activeOffers[j] = allOffers[i];
+                j++;
+            }
+        }
+        
+        return activeOffers;
+    }
+    
+    /**
+     * @dev Top of the order book: highest fillable bid and lowest active ask
+     * (0 when that side is empty). Ties go to the oldest order.
+     */
+    function getBestPrices(uint256 _propertyId) external view returns (
+        uint256 bestBid,
+        uint256 bestBidId,
+        uint256 bestAsk,
+        uint256 bestAskId
+    ) {
+        uint256[] storage allBids = propertyBuyOrders[_propertyId];
+        for (uint256 i = 0; i < allBids.length; i++) {
+            BuyOrder storage bid = buyOrders[allBids[i]];
+            if (_isFillable(bid) && bid.pricePerShare > bestBid) {
+                bestBid = bid.pricePerShare;
+                bestBidId = bid.bidId;
+            }
+        }
+        
+        uint256[] storage allListings = propertyResaleListings[_propertyId];
+        for (uint256 i = 0; i < allListings.length; i++) {
+            ResaleListing storage listing = resaleListings[allListings[i]];
+            if (_isListingOpen(listing) && (bestAsk == 0 || listing.pricePerShare < bestAsk)) {
+                bestAsk = listing.pricePerShare;
+                bestAskId = listing.listingId;
+            }
+        }
+    }
+}
+
+/**
+ * @title RealEstateMarketplaceAdmin
+ * @dev Admin functions (trading controls, price limits, fees, emergency
+ * pause), the price analytics and account views, and shareholder
+ * governance (proposals and votes). Reached through
+ * RealEstateMarketplace like the orders module: calls neither the
+ * marketplace nor the orders module implements end up here, running on the
+ * marketplace's storage.
+ */
+contract RealEstateMarketplaceAdmin is RealEstateMarketplaceBase {
+    
+    // =========================================
+    // ADMIN FUNCTIONS - TRADING CONTROLS
+    // =========================================
+    
+    /**
+     * @dev Halt or resume primary sales of a property
+     * @param _propertyId Property to update
+     * @param _active True to allow buyShares, false to halt it
+     */
+    function setPrimarySaleActive(uint256 _propertyId, bool _active) external onlyOwner {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(!delisted[_propertyId], "Property delisted");
+        require(fundingRounds[_propertyId].status != FundingStatus.Failed, "Funding round failed");
+        
+        Property storage property = properties[_propertyId];
+        require(property.isActive != _active, "Status unchanged");
+        
+        property.isActive = _active;
+        
+        emit PrimarySaleStatusChanged(_propertyId, _active);
+    }
+    
+    /**
+     * @dev Halt or resume resale trading (listing and buying) of a property
+     * @param _propertyId Property to update
+     * @param _active True to allow resale trading, false to halt it
+     */
+    function setResaleActive(uint256 _propertyId, bool _active) external onlyOwner {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(!delisted[_propertyId], "Property delisted");
+        require(resaleHalted[_propertyId] == _active, "Status unchanged");
+        require(!_fundingLocked(_propertyId), "Funding round not finalized");
+        
+        resaleHalted[_propertyId] = !_active;
+        
+        // Resuming overrides a tripped circuit breaker and starts a new window
+        if (_active) {
+            circuitBreakerTripped[_propertyId] = false;
+            breakerWindowStart[_propertyId] = 0;
+        }
+        
+        emit ResaleTradingStatusChanged(_propertyId, _active);
+    }
+    
+    /**
+     * @dev Set a property's price band and circuit breaker (0 turns either off)
+     * @param _propertyId Property to update
+     * @param _bandBps Allowed distance from the reference price, in basis points
+     * @param _relativeToAverage Band around the average resale price instead of the current price
+     * @param _haltMoveBps Price move within _haltWindow that halts resale trading
+     * @param _haltWindow Circuit breaker window in seconds
+     */
+    function setPriceLimits(
+        uint256 _propertyId,
+        uint256 _bandBps,
+        bool _relativeToAverage,
+        uint256 _haltMoveBps,
+        uint256 _haltWindow
+    ) external onlyOwner {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        _setPriceLimits(_propertyId, _bandBps, _relativeToAverage, _haltMoveBps, _haltWindow);
+    }
+    
+    /**
+     * @dev Permanently stop all trading of a property. Share balances are kept
+     * and open resale listings can still be cancelled.
+     * @param _propertyId Property to delist
+     */
+    function delistProperty(uint256 _propertyId) external onlyOwner {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(!delisted[_propertyId], "Property delisted");
+        require(fundingRounds[_propertyId].status != FundingStatus.Open, "Funding round open");
+        
+        delisted[_propertyId] = true;
+        
+        Property storage property = properties[_propertyId];
+        if (property.isActive) {
+            property.isActive = false;
+            emit PrimarySaleStatusChanged(_propertyId, false);
+        }
+        if (!resaleHalted[_propertyId]) {
+            resaleHalted[_propertyId] = true;
+            emit ResaleTradingStatusChanged(_propertyId, false);
+        }
+        
+        emit PropertyDelisted(_propertyId);
+    }
+    
+    /**
+     * @dev Set the factory that creates share tokens (FractionalPropertyFactory).
+     * Tokens it already registered stay registered.
+     */
+    function setShareTokenFactory(address _factory) external onlyOwner {
+        shareTokenFactory = _factory;
+        emit ShareTokenFactoryUpdated(_factory);
+    }
+    
+    // =========================================
+    // FUNDING ROUNDS
+    // =========================================
+    
+    /**
+     * @dev Close a funding round that reached its soft cap: its escrow is
+     * released to the property owner (less the platform fee) and resale
+     * trading opens. The admin can finalize as soon as the cap is met, anyone
+     * else once the deadline has passed. Primary sales carry on as usual.
+     * @param _propertyId Property whose round to finalize
+     */
+    function finalizeFunding(uint256 _propertyId) external nonReentrant {
+        FundingRound storage round = fundingRounds[_propertyId];
+        require(round.status == FundingStatus.Open, "Funding round not open");
+        require(round.raised >= round.softCap, "Soft cap not reached");
+        require(msg.sender == owner() || block.timestamp > round.deadline, "Funding round still open");
+        
+        round.status = FundingStatus.Succeeded;
+        
+        address propertyOwner = properties[_propertyId].owner;
+        _creditProceeds(_propertyId, propertyOwner, _chargeFees(_propertyId, propertyOwner, round.raised, true));
+        
+        // Open rounds can't be delisted, so trading can always resume here
+        resaleHalted[_propertyId] = false;
+        emit ResaleTradingStatusChanged(_propertyId, true);
+        
+        emit FundingFinalized(_propertyId, round.raised);
+    }
+    
+    /**
+     * @dev Call off an open funding round, even one that met its soft cap.
+     * Primary sales stop and every buyer can claim a refund.
+     * @param _propertyId Property whose round to cancel
+     */
+    function cancelFunding(uint256 _propertyId) external onlyOwner {
+        require(fundingRounds[_propertyId].status == FundingStatus.Open, "Funding round not open");
+        _failFunding(_propertyId);
+    }
+    
+    /**
+     * @dev Refund the caller's payments into a failed funding round and void
+     * the shares they bought in it. A round that missed its soft cap by the
+     * deadline fails on its first refund claim.
+     * Always allowed, including while trading is paused
+     * @param _propertyId Property whose round to claim from
+     */
+    function claimFundingRefund(uint256 _propertyId) external nonReentrant {
+        FundingRound storage round = fundingRounds[_propertyId];
+        if (round.status == FundingStatus.Open && block.timestamp > round.deadline && round.raised < round.softCap) {
+            _failFunding(_propertyId);
+        }
+        require(round.status == FundingStatus.Failed, "Refunds not available");
+        
+        uint256 amount = fundingContributions[_propertyId][msg.sender];
+        require(amount > 0, "Nothing to refund");
+        
+        // Shares can't move while a round is open or failed, so everything the
+        // buyer holds was bought in the round
+        uint256 shares = userShares[_propertyId][msg.sender];
+        fundingContributions[_propertyId][msg.sender] = 0;
+        userShares[_propertyId][msg.sender] = 0;
+        properties[_propertyId].sharesSold -= shares;
+        
+        emit FundingRefunded(_propertyId, msg.sender, shares, amount);
+        _recordShareMove(_propertyId, msg.sender, address(0), shares);
+        
+        _sendPayment(paymentTokens[_propertyId], msg.sender, amount);
+    }
+    
+    /**
+     * @dev A property's funding round. An open round that missed its soft cap
+     * by the deadline is reported as Failed before anyone claims a refund.
+     */
+    function getFundingStatus(uint256 _propertyId) external view returns (
+        uint256 softCap,
+        uint256 deadline,
+        uint256 raised,
+        FundingStatus status
+    ) {
+        FundingRound storage round = fundingRounds[_propertyId];
+        status = round.status;
+        if (status == FundingStatus.Open && block.timestamp > round.deadline && round.raised < round.softCap) {
+            status = FundingStatus.Failed;
+        }
+        return (round.softCap, round.deadline, round.raised, status);
+    }
+    
+    function _failFunding(uint256 _propertyId) internal {
+        fundingRounds[_propertyId].status = FundingStatus.Failed;
+        
+        Property storage property = properties[_propertyId];
+        if (property.isActive) {
+            property.isActive = false;
+            emit PrimarySaleStatusChanged(_propertyId, false);
+        }
+        
+        emit FundingFailed(_propertyId, fundingRounds[_propertyId].raised);
+    }
+    
+    // =========================================
+    // VIEW FUNCTIONS - PRIMARY PRICING
+    // =========================================
+    
+    /**
+     * @dev How a property's primary shares are priced (see PrimaryPricing).
+     * startPrice is the initial price; the rest are 0 for Fixed pricing.
+     */
+    function getPrimaryPricing(uint256 _propertyId) external view returns (
+        PricingMode mode,
+        uint256 startPrice,
+        uint256 endPrice,
+        uint256 startTime,
+        uint256 endTime
+    ) {
+        PrimaryPricing storage pricing = primaryPricing[_propertyId];
+        return (pricing.mode, properties[_propertyId].initialPricePerShare, pricing.endPrice, pricing.startTime, pricing.endTime);
+    }
+    
+    /**
+     * @dev What buyShares charges for `_shares` primary shares in the current block
+     * @return totalCost Price of the shares, in the payment currency's smallest unit
+     * @return nextSharePrice Price of the next share alone
+     */
+    function quotePrimaryPurchase(uint256 _propertyId, uint256 _shares) external view returns (
+        uint256 totalCost,
+        uint256 nextSharePrice
+    ) {
+        return (_primaryCost(_propertyId, _shares), _primaryCost(_propertyId, 1));
+    }
+    
+    // =========================================
+    // SHAREHOLDER GOVERNANCE
+    // =========================================
+    
+    // Share of the shares held at the snapshot that must vote for a result,
+    // the bounds of the voting window and the longest description
+    uint256 public constant PROPOSAL_QUORUM_BPS = 2000;
+    uint256 public constant MIN_VOTING_PERIOD = 1 days;
+    uint256 public constant MAX_VOTING_PERIOD = 30 days;
+    uint256 public constant MAX_PROPOSAL_LENGTH = 1000;
+    
+    /**
+     * @dev Put a proposal to the shareholders of a property. Anyone holding
+     * its shares (or the platform) can propose; voting opens right away.
+     * @param _propertyId Property the proposal is about
+     * @param _description What is proposed (title and details, or a URI)
+     * @param _votingPeriod Seconds the vote stays open (MIN_VOTING_PERIOD to MAX_VOTING_PERIOD)
+     * @return proposalId Id of the new proposal
+     */
+    function createProposal(
+        uint256 _propertyId,
+        string calldata _description,
+        uint256 _votingPeriod
+    ) external whenNotPaused returns (uint256 proposalId) {
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(!delisted[_propertyId], "Property delisted");
+        require(!_fundingLocked(_propertyId), "Funding round not finalized");
+        require(bytes(_description).length > 0 && bytes(_description).length <= MAX_PROPOSAL_LENGTH, "Invalid description");
+        require(_votingPeriod >= MIN_VOTING_PERIOD && _votingPeriod <= MAX_VOTING_PERIOD, "Invalid voting period");
+        require(
+            msg.sender == owner() || userShares[_propertyId][msg.sender] + lockedShares[_propertyId][msg.sender] > 0,
+            "Only shareholders can propose"
+        );
+        
+        uint256 snapshotBlock = block.number - 1;
+        uint256 heldShares = _checkpointAt(soldSharesCheckpoints[_propertyId], snapshotBlock);
+        require(heldShares > 0, "No shares to vote with");
+        
+        proposalId = nextProposalId++;
+        Proposal storage proposal = proposals[proposalId];
+        proposal.propertyId = _propertyId;
+        proposal.proposer = msg.sender;
+        proposal.description = _description;
+        proposal.snapshotBlock = snapshotBlock;
+        proposal.votingStart = block.timestamp;
+        proposal.votingEnd = block.timestamp + _votingPeriod;
+        proposal.quorum = (heldShares * PROPOSAL_QUORUM_BPS + BPS_DENOMINATOR - 1) / BPS_DENOMINATOR;
+        propertyProposals[_propertyId].push(proposalId);
+        
+        emit ProposalCreated(proposalId, _propertyId, msg.sender, _description, snapshotBlock, proposal.votingEnd, proposal.quorum);
+    }
+    
+    /**
+     * @dev Vote on an open proposal with the shares held at its snapshot
+     * @param _proposalId Proposal to vote on
+     * @param _support Against, For or Abstain
+     */
+    function castVote(uint256 _proposalId, VoteType _support) external whenNotPaused {
+        Proposal storage proposal = proposals[_proposalId];
+        require(_proposalId < nextProposalId, "Proposal does not exist");
+        require(_proposalState(proposal) == ProposalState.Active, "Voting closed");
+        
+        VoteReceipt storage receipt = voteReceipts[_proposalId][msg.sender];
+        require(!receipt.hasVoted, "Already voted");
+        
+        uint256 weight = _checkpointAt(holdingCheckpoints[proposal.propertyId][msg.sender], proposal.snapshotBlock);
+        require(weight > 0, "No shares at snapshot");
+        
+        receipt.hasVoted = true;
+        receipt.support = _support;
+        receipt.weight = weight;
+        
+        if (_support == VoteType.For) {
+            proposal.forVotes += weight;
+        } else if (_support == VoteType.Against) {
+            proposal.againstVotes += weight;
+        } else {
+            proposal.abstainVotes += weight;
+        }
+        
+        emit VoteCast(_proposalId, msg.sender, _support, weight);
+    }
+    
+    /**
+     * @dev Withdraw a proposal while it is being voted on (proposer or platform)
+     */
+    function cancelProposal(uint256 _proposalId) external {
+        Proposal storage proposal = proposals[_proposalId];
+        require(_proposalId < nextProposalId, "Proposal does not exist");
+        require(msg.sender == proposal.proposer || msg.sender == owner(), "Not your proposal");
+        require(_proposalState(proposal) == ProposalState.Active, "Voting closed");
+        
+        proposal.cancelled = true;
+        
+        emit ProposalCancelled(_proposalId);
+    }
+    
+    /**
+     * @dev A proposal, its tally and its state (the result once voting has closed)
+     */
+    function getProposal(uint256 _proposalId) external view returns (Proposal memory proposal, ProposalState state) {
+        require(_proposalId < nextProposalId, "Proposal does not exist");
+        proposal = proposals[_proposalId];
+        state = _proposalState(proposals[_proposalId]);
+    }
+    
+    /**
+     * @dev Ids of a property's proposals, oldest first
+     */
+    function getPropertyProposals(uint256 _propertyId) external view returns (uint256[] memory) {
+        return propertyProposals[_propertyId];
+    }
+    
+    /**
+     * @dev How an account voted on a proposal
+     */
+    function getVoteReceipt(uint256 _proposalId, address _voter) external view returns (VoteReceipt memory) {
+        return voteReceipts[_proposalId][_voter];
+    }
+    
+    /**
+     * @dev Shares (free + locked) an account held in a property at the end of
+     * a block - its voting weight on proposals with that snapshot
+     */
+    function getVotingPower(uint256 _propertyId, address _account, uint256 _blockNumber) external view returns (uint256) {
+        return _checkpointAt(holdingCheckpoints[_propertyId][_account], _blockNumber);
+    }
+    
+    function _proposalState(Proposal storage _proposal) internal view returns (ProposalState) {
+        if (_proposal.cancelled) return ProposalState.Cancelled;
+        if (block.timestamp <= _proposal.votingEnd) return ProposalState.Active;
+        
+        uint256 votes = _proposal.forVotes + _proposal.againstVotes + _proposal.abstainVotes;
+        return votes >= _proposal.quorum && _proposal.forVotes > _proposal.againstVotes
+            ? ProposalState.Succeeded
+            : ProposalState.Defeated;
+    }
+    
+    /**
+     * @dev Value of a checkpoint list at the end of a block (0 before the first)
+     */
+    function _checkpointAt(Checkpoint[] storage _checkpoints, uint256 _blockNumber) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = _checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (_checkpoints[mid].fromBlock > _blockNumber) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return low == 0 ? 0 : _checkpoints[low - 1].shares;
+    }
+    
+    // =========================================
+    // ADMIN FUNCTIONS - FEES
+    // =========================================
+    
+    /**
+     * @dev Set trade fees in basis points. Applies to trades from now on,
+     * including resale listings that are already open.
+     */
+    function setFees(uint256 _primaryFeeBps, uint256 _resaleFeeBps, uint256 _royaltyBps) external onlyOwner {
+        require(_primaryFeeBps <= MAX_FEE_BPS, "Fee too high");
+        require(_resaleFeeBps + _royaltyBps <= MAX_FEE_BPS, "Fee too high");
+        
+        primaryFeeBps = _primaryFeeBps;
+        resaleFeeBps = _resaleFeeBps;
+        royaltyBps = _royaltyBps;
+        
+        emit FeesUpdated(_primaryFeeBps, _resaleFeeBps, _royaltyBps);
+    }
+    
+    /**
+     * @dev Withdraw collected MATIC platform fees from the treasury
+     * @param _to Recipient of the fees
+     * @param _amount Amount in Wei
+     */
+    function withdrawFees(address _to, uint256 _amount) external onlyOwner nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount > 0, "Amount must be > 0");
+        require(_amount <= feeTreasury, "Insufficient treasury");
+        
+        feeTreasury -= _amount;
+        
+        emit FeesWithdrawn(_to, _amount);
+        
+        _sendValue(_to, _amount);
+    }
+    
+    /**
+     * @dev Withdraw platform fees collected in a stablecoin
+     * @param _token Stablecoin the fees were paid in
+     * @param _to Recipient of the fees
+     * @param _amount Amount in the stablecoin's units
+     */
+    function withdrawTokenFees(address _token, address _to, uint256 _amount) external onlyOwner nonReentrant {
+        require(_to != address(0), "Invalid recipient");
+        require(_amount > 0, "Amount must be > 0");
+        require(_amount <= tokenFeeTreasury[_token], "Insufficient treasury");
+        
+        tokenFeeTreasury[_token] -= _amount;
+        
+        emit TokenFeesWithdrawn(_token, _to, _amount);
+        
+        _sendPayment(_token, _to, _amount);
+    }
+    
+    /**
+     * @dev Emergency stop: halt all primary sales and resale trading
+     */
+    function pause() external onlyOwner {
+        _pause();
+    }
+    
+    /**
+     * @dev Lift the emergency stop
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    // =========================================
+    // VIEW FUNCTIONS - PRICE ANALYTICS
+    // =========================================
+    
+    /**
+     * @dev Calculate average price from last N resales (outliers count at the
+     * edge of the outlier band)
+     * @param _propertyId Property to query
+     * @return Average price in Wei, or 0 if no resales
+     */
+    function getAverageResalePrice(uint256 _propertyId) external view returns (uint256) {
+        return _averageResalePrice(_propertyId);
+    }
+    
+    /**
+     * @dev Get number of completed resales for a property
+     */
+    function getResaleCount(uint256 _propertyId) external view returns (uint256) {
+        return resalePriceHistory[_propertyId].length;
+    }
+    
+    /**
+     * @dev Volume-weighted average price of the trades in the price window,
+     * outliers excluded. Falls back to the initial price when there are none.
+     * @param _propertyId Property to query
+     * @return price VWAP per share in Wei
+     * @return volume Shares traded in the window (outliers excluded)
+     * @return meetsMinVolume Whether volume reaches MIN_PRICE_VOLUME_BPS of the total shares
+     */
+    function getVolumeWeightedPrice(uint256 _propertyId) external view returns (
+        uint256 price,
+        uint256 volume,
+        bool meetsMinVolume
+    ) {
+        uint256 notional;
+        (notional, volume, ) = _weightedPrices(_propertyId);
+        
+        price = volume > 0 ? notional / volume : properties[_propertyId].initialPricePerShare;
+        meetsMinVolume = volume > 0 && volume >= getMinPriceVolume(_propertyId);
+    }
+    
+    /**
+     * @dev Time-weighted average price over the price window, outliers
+     * excluded: each trade's price counts for as long as it was the latest.
+     * Falls back to the initial price when there are no trades to weigh.
+     * @param _propertyId Property to query
+     * @return TWAP per share in Wei
+     */
+    function getTimeWeightedPrice(uint256 _propertyId) external view returns (uint256) {
+        (, , uint256 twap) = _weightedPrices(_propertyId);
+        return twap > 0 ? twap : properties[_propertyId].initialPricePerShare;
+    }
     
-    // propertyId => array of resale listing IDs
-    mapping(uint256 => uint256[]) public propertyResaleListings;
+    /**
+     * @dev Price range resale listings and trades of a property must stay in
+     * right now (0 and type(uint256).max when the band is off)
+     */
+    function getPriceBand(uint256 _propertyId) external view returns (uint256 minPrice, uint256 maxPrice) {
+        return _tradingBand(_propertyId);
+    }
     
-    // propertyId => array of last N resale prices (circular buffer)
-    mapping(uint256 => uint256[]) public resalePriceHistory;
+    /**
+     * @dev Window volume the VWAP needs to be reliable (at least one share)
+     */
+    function getMinPriceVolume(uint256 _propertyId) public view returns (uint256) {
+        uint256 minVolume = (properties[_propertyId].totalShares * MIN_PRICE_VOLUME_BPS) / BPS_DENOMINATOR;
+        return minVolume > 0 ? minVolume : 1;
+    }
     
-    // propertyId => index for circular buffer
-    mapping(uint256 => uint256) private resaleHistoryIndex;
+    /**
+     * @dev Walks the trade log back from the newest trade. Trades inside the
+     * window add to the VWAP; the newest one before it sets the price the
+     * window opens with. twap is 0 when there is no trade to weigh.
+     */
+    function _weightedPrices(uint256 _propertyId) internal view returns (
+        uint256 notional,
+        uint256 volume,
+        uint256 twap
+    ) {
+        ResaleTransaction[] storage trades = resaleTransactions[_propertyId];
+        uint256 windowStart = block.timestamp > PRICE_WINDOW ? block.timestamp - PRICE_WINDOW : 0;
+        uint256 periodEnd = block.timestamp;
+        uint256 weightedSum;
+        uint256 elapsed;
+        uint256 latestPrice;
+        
+        uint256 i = trades.length;
+        uint256 stop = i > MAX_PRICE_OBSERVATIONS ? i - MAX_PRICE_OBSERVATIONS : 0;
+        while (i > stop) {
+            ResaleTransaction storage trade = trades[--i];
+            if (trade.isOutlier) continue;
+            
+            if (latestPrice == 0) latestPrice = trade.pricePerShare;
+            
+            // This price held from the trade (or the window's start) until the next trade
+            uint256 periodStart = trade.timestamp > windowStart ? trade.timestamp : windowStart;
+            weightedSum += trade.pricePerShare * (periodEnd - periodStart);
+            elapsed += periodEnd - periodStart;
+            
+            if (trade.timestamp < windowStart) break;
+            
+            notional += uint256(trade.pricePerShare) * trade.shares;
+            volume += trade.shares;
+            periodEnd = periodStart;
+        }
+        
+        // Trades only in this block: no time has passed to weigh them by
+        twap = elapsed > 0 ? weightedSum / elapsed : latestPrice;
+    }
+    
+    /**
+     * @dev Number of trades in a property's trade log
+     */
+    function getResaleTransactionCount(uint256 _propertyId) external view returns (uint256) {
+        return resaleTransactions[_propertyId].length;
+    }
 
     // =========================================
-    // EVENTS
+    // VIEW FUNCTIONS - ACCOUNTS
     // =========================================
     
-    event PropertyListed(
-        uint256 indexed id, 
-        address indexed owner, 
-        uint256 pricePerShare, 
-        uint256 totalShares,
-        string metadataURI
-    );
-    
-    event SharesPurchased(
-        uint256 indexed propertyId, 
-        address indexed buyer, 
-        uint256 shares, 
-        uint256 amountSpent,
-        bool isPrimaryPurchase
-    );
+    /**
+     * @dev The original lister of a property, credited its resale royalties
+     */
+    function getRoyaltyRecipient(uint256 _propertyId) external view returns (address) {
+        return royaltyRecipients[_propertyId];
+    }
     
-    event ResaleListingCreated(
-        uint256 indexed listingId,
-        uint256 indexed propertyId,
-        address indexed seller,
-        uint256 shares,
-        uint256 pricePerShare
-    );
+    /**
+     * @dev Get an account's withdrawable proceeds, per property (non-zero only)
+     */
+    function getPendingProceeds(address _account) external view returns (
+        uint256[] memory propertyIds,
+        uint256[] memory amounts
+    ) {
+        uint256[] storage allIds = proceedsPropertyIds[_account];
+        
+        uint256 count = 0;
+        for (uint256 i = 0; i < allIds.length; i++) {
+            if (pendingProceeds[allIds[i]][_account] > 0) {
+                count++;
+            }
+        }
+        
+        propertyIds = new uint256[](count);
+        amounts = new uint256[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < allIds.length; i++) {
+            uint256 amount = pendingProceeds[allIds[i]][_account];
+            if (amount > 0) {
+                propertyIds[j] = allIds[i];
+                amounts[j] = amount;
+                j++;
+            }
+        }
+    }
     
-    event ResaleCompleted(
-        uint256 indexed listingId,
-        uint256 indexed propertyId,
-        address indexed buyer,
-        address seller,
-        uint256 shares,
-        uint256 pricePerShare,
-        uint256 newMarketPrice
-    );
+    /**
+     * @dev Get an account's rental income for every property it has held
+     */
+    function getRentalIncome(address _account) external view returns (
+        uint256[] memory propertyIds,
+        uint256[] memory claimable,
+        uint256[] memory claimed
+    ) {
+        propertyIds = heldPropertyIds[_account];
+        claimable = new uint256[](propertyIds.length);
+        claimed = new uint256[](propertyIds.length);
+        
+        for (uint256 i = 0; i < propertyIds.length; i++) {
+            claimable[i] = claimableRentalIncome(propertyIds[i], _account);
+            claimed[i] = rentalIncomeClaimed[propertyIds[i]][_account];
+        }
+    }
+}
+
+/**
+ * @title RealEstateMarketplace
+ * @dev Real estate tokenization with primary sales and secondary resale marketplace
+ * 
+ * Key Features:
+ * - Admin lists properties with fractional shares (primary sale)
+ * - Users buy shares from primary listing
+ * - Users can resell owned shares at custom prices (secondary market), with
+ *   an optional expiry, and edit a listing's price, quantity or expiry in place
+ * - Current market price = last successful resale price
+ * - Average price calculated from last N resales
+ * - Implied market value = current price × total shares
+ * - Volume- and time-weighted prices over a trailing window, ignoring trades
+ *   far from the average price and flagged until enough shares have traded,
+ *   so a single small trade can't re-price a property
+ * - Admin can halt primary sales and resale trading per property, delist a
+ *   property for good, or pause all trading in an emergency
+ * - Resale prices must stay within a per-property band around the current or
+ *   average price, and a circuit breaker halts resale trading when the price
+ *   moves too far within a window, until the admin resumes it
+ * - Sale proceeds are escrowed per property and withdrawn by the recipient
+ *   (pull payments), so a recipient that rejects transfers can't block a sale
+ * - Rental income deposited for a property is shared pro-rata between its
+ *   holders (shares locked in resale listings included) and claimed by them
+ * - Configurable basis-point platform fees on primary and resale trades, plus an
+ *   optional resale royalty to the original lister, taken from the seller's
+ *   proceeds; platform fees collect in a treasury the admin withdraws from
+ * - Buyers can post escrowed bids (price, quantity, optional expiry) that
+ *   holders fill in part or in full; fills move the market price like resales
+ * - Buyers can make escrowed, expiring offers below a listing's ask; the
+ *   seller accepts, rejects or counters them
+ * - Open listings can be paged through contract-wide, by property or by
+ *   seller, with a bounded amount of work per call
+ * - Buyers can sweep the cheapest listings of a property in one transaction,
+ *   capped by a maximum average price
+ * - Holders can transfer free (unlisted) shares to another wallet without a
+ *   sale; transfers don't move the market price
+ * - Each property can get an ERC-20 share token (FractionalPropertyFactory)
+ *   that reads its balances from this contract and emits a Transfer for every
+ *   change of holding, so wallets and explorers see the shares
+ * - Each property is priced and settled in MATIC or in an ERC-20 stablecoin
+ *   chosen when it is listed; stablecoin payments are pulled from an
+ *   allowance the buyer approves, and proceeds and fees are kept (and paid
+ *   out) in the property's currency. Rental income is always paid in MATIC.
+ * - Shareholders of a property can put proposals to a vote weighted by the
+ *   shares held at a snapshot block, with a quorum and a voting window
+ * 
+ * Bids, offers, sweeps and the order book views live in the
+ * RealEstateMarketplaceOrders module, and the admin functions, price
+ * analytics and governance in the RealEstateMarketplaceAdmin module, to keep this contract
+ * under the 24 KB size limit. They are part of this contract's interface all
+ * the same: call them on this address.
+ */
+contract RealEstateMarketplace is RealEstateMarketplaceBase {
     
-    event ResaleListingCancelled(uint256 indexed listingId);
+    /**
+     * @param _ordersModule Deployed RealEstateMarketplaceOrders
+     * @param _adminModule Deployed RealEstateMarketplaceAdmin
+     */
+    constructor(address _ordersModule, address _adminModule) {
+        require(_ordersModule.code.length > 0, "Orders module not deployed");
+        require(_adminModule.code.length > 0, "Admin module not deployed");
+        ordersModule = _ordersModule;
+        adminModule = _adminModule;
+    }
     
-    event MarketPriceUpdated(
-        uint256 indexed propertyId, 
-        uint256 oldPrice, 
-        uint256 newPrice
-    );
-
-    // =========================================
-    // CONSTRUCTOR
-    // =========================================
+    /**
+     * @dev Calls to functions this contract doesn't implement (bids, offers,
+     * sweeps, order book views, and through the orders module the admin
+     * functions and analytics) run in the orders module on this contract's
+     * storage, and its result or revert is passed back unchanged
+     */
+    fallback() external payable {
+        _delegateTo(ordersModule);
+    }
     
-    constructor() ERC721("RealEstateToken", "RET") Ownable(msg.sender) {}
+    /**
+     * @dev Plain transfers have nothing to pay for
+     */
+    receive() external payable {
+        revert("Direct payments not accepted");
+    }
 
     // =========================================
     // PRIMARY SALE FUNCTIONS
     // =========================================
     
     /**
-     * @dev Admin lists a new property for sale (primary listing)
-     * @param _pricePerShare Price per share in Wei
+     * @dev Admin lists a new property for sale (primary listing), for itself
+     * or on behalf of a seller. The beneficiary becomes the property's owner:
+     * it holds the NFT and receives the primary sale proceeds (less the
+     * platform fee). It is also the original lister, paid the resale royalties
+     * even after the NFT changes hands.
+     * With a soft cap the primary sale runs as a funding round: purchases stay
+     * in escrow, and resale trading and share transfers stay closed, until the
+     * round is finalized (see RealEstateMarketplaceAdmin.finalizeFunding).
+     * @param _pricePerShare Price per share (the starting price of an auction or
+     * curve), in the payment currency's smallest unit
      * @param _totalShares Total number of fractional shares
      * @param _tokenURI IPFS metadata URI
+     * @param _paymentToken ERC-20 stablecoin the property is priced and paid in, or address(0) for MATIC
+     * @param _beneficiary Seller the property is listed for, or address(0) for the admin
+     * @param _softCap Minimum raise of the funding round, in the payment currency (0 = no round)
+     * @param _fundingDeadline Unix time the funding round closes (ignored without a soft cap)
+     * @param _pricingMode Fixed, DutchAuction or BondingCurve (see PrimaryPricing)
+     * @param _endPrice Auction floor or price of the last share on the curve (ignored when Fixed)
+     * @param _auctionEnd Unix time the auction reaches its floor (Dutch auction only)
      */
     function listProperty(
         uint256 _pricePerShare,
         uint256 _totalShares,
-        string calldata _tokenURI
+        string calldata _tokenURI,
+        address _paymentToken,
+        address _beneficiary,
+        uint256 _softCap,
+        uint256 _fundingDeadline,
+        PricingMode _pricingMode,
+        uint256 _endPrice,
+        uint256 _auctionEnd
     ) external onlyOwner {
         require(_pricePerShare > 0, "Price must be > 0");
         require(_totalShares > 0, "Shares must be > 0");
+        require(_paymentToken == address(0) || _paymentToken.code.length > 0, "Invalid payment token");
+        require(_beneficiary != address(this), "Invalid beneficiary");
         
+        address propertyOwner = _beneficiary == address(0) ? msg.sender : _beneficiary;
         uint256 propertyId = nextPropertyId;
+        paymentTokens[propertyId] = _paymentToken;
         
         // Create property record
         properties[propertyId] = Property({
@@ -165,29 +2336,73 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
             currentPrice: _pricePerShare,  // Starts at initial price
             totalShares: _totalShares,
             sharesSold: 0,
-            owner: msg.sender,
+            owner: propertyOwner,
             isActive: true,
             metadataURI: _tokenURI
         });
         
+        royaltyRecipients[propertyId] = propertyOwner;
+        
         // Mint NFT representing this property
-        _mint(msg.sender, propertyId);
+        _mint(propertyOwner, propertyId);
         _setTokenURI(propertyId, _tokenURI);
         
         nextPropertyId++;
         
-        emit PropertyListed(propertyId, msg.sender, _pricePerShare, _totalShares, _tokenURI);
+        emit PropertyListed(propertyId, propertyOwner, _pricePerShare, _totalShares, _tokenURI);
+        
+        if (_pricingMode != PricingMode.Fixed) {
+            bool auction = _pricingMode == PricingMode.DutchAuction;
+            if (auction) {
+                require(_endPrice > 0 && _endPrice < _pricePerShare, "Invalid price range");
+                require(_auctionEnd > block.timestamp, "Invalid auction end");
+            } else {
+                require(_endPrice > _pricePerShare, "Invalid price range");
+            }
+            
+            primaryPricing[propertyId] = PrimaryPricing({
+                mode: _pricingMode,
+                endPrice: _endPrice,
+                startTime: block.timestamp,
+                endTime: auction ? _auctionEnd : 0
+            });
+            emit PrimaryPricingSet(propertyId, _pricingMode, _pricePerShare, _endPrice, block.timestamp, auction ? _auctionEnd : 0);
+        }
+        
+        if (_softCap > 0) {
+            require(_fundingDeadline > block.timestamp, "Invalid funding deadline");
+            // An auction may have to sell out at its floor, so the cap must be reachable there
+            require(
+                _softCap <= (_pricingMode == PricingMode.DutchAuction ? _totalShares * _endPrice : _primaryCost(propertyId, _totalShares)),
+                "Soft cap above total value"
+            );
+            
+            fundingRounds[propertyId] = FundingRound({
+                softCap: _softCap,
+                deadline: _fundingDeadline,
+                raised: 0,
+                status: FundingStatus.Open
+            });
+            // Nothing bought in the round may be resold before it succeeds
+            resaleHalted[propertyId] = true;
+            
+            emit FundingStarted(propertyId, _softCap, _fundingDeadline);
+        }
     }
     
     /**
-     * @dev Buy shares from primary listing (from admin)
+     * @dev Buy shares from primary listing (proceeds go to the property owner,
+     * or into the funding round's escrow while it is open)
      * @param _propertyId Property to buy shares from
      * @param _sharesToBuy Number of shares to purchase
+     * @param _maxTotalCost Most the buyer will pay for them, in the payment
+     * currency (the quote it signed for - auctions and curves move)
      */
     function buyShares(
         uint256 _propertyId, 
-        uint256 _sharesToBuy
-    ) external payable nonReentrant {
+        uint256 _sharesToBuy,
+        uint256 _maxTotalCost
+    ) external payable nonReentrant whenNotPaused {
         Property storage property = properties[_propertyId];
         
         require(property.isActive, "Property not active");
@@ -196,23 +2411,30 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256 availableShares = property.totalShares - property.sharesSold;
         require(_sharesToBuy <= availableShares, "Not enough shares available");
         
-        // Use initial price for primary sales
-        uint256 totalCost = _sharesToBuy * property.initialPricePerShare;
-        require(msg.value >= totalCost, "Insufficient payment");
+        // Priced by the property's primary pricing mode; overpaid MATIC
+        // (e.g. an auction quote from an earlier block) is credited back
+        uint256 totalCost = _primaryCost(_propertyId, _sharesToBuy);
+        require(totalCost <= _maxTotalCost, "Price above limit");
+        _collectPayment(_propertyId, totalCost);
         
         // Update state
+        _settleIncome(_propertyId, msg.sender);
         property.sharesSold += _sharesToBuy;
         userShares[_propertyId][msg.sender] += _sharesToBuy;
         
-        // Transfer funds to property owner
-        payable(property.owner).transfer(totalCost);
-        
-        // Refund excess
-        if (msg.value > totalCost) {
-            payable(msg.sender).transfer(msg.value - totalCost);
+        FundingRound storage round = fundingRounds[_propertyId];
+        if (round.status == FundingStatus.Open) {
+            // Held for refunds until the round is finalized (fees are charged then)
+            require(block.timestamp <= round.deadline, "Funding round closed");
+            round.raised += totalCost;
+            fundingContributions[_propertyId][msg.sender] += totalCost;
+        } else {
+            // Escrow funds for the property owner, less the platform fee
+            _creditProceeds(_propertyId, property.owner, _chargeFees(_propertyId, property.owner, totalCost, true));
         }
         
         emit SharesPurchased(_propertyId, msg.sender, _sharesToBuy, totalCost, true);
+        _recordShareMove(_propertyId, address(0), msg.sender, _sharesToBuy);
     }
 
     // =========================================
@@ -224,14 +2446,19 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
      * @param _propertyId Property whose shares to sell
      * @param _shares Number of shares to list
      * @param _pricePerShare Seller's chosen price per share
+     * @param _expiresAt Unix time after which the listing can't be bought (0 = no expiry)
      */
     function listSharesForResale(
         uint256 _propertyId,
         uint256 _shares,
-        uint256 _pricePerShare
-    ) external returns (uint256) {
+        uint256 _pricePerShare,
+        uint256 _expiresAt
+    ) external whenNotPaused returns (uint256) {
+        require(!resaleHalted[_propertyId], "Resale trading halted");
         require(_shares > 0, "Must list at least 1 share");
         require(_pricePerShare > 0, "Price must be > 0");
+        require(_isPriceInBand(_propertyId, _pricePerShare), "Price outside band");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
         require(userShares[_propertyId][msg.sender] >= _shares, "Insufficient shares");
         
         uint256 listingId = nextListingId;
@@ -245,14 +2472,17 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
             pricePerShare: _pricePerShare,
             sharesSold: 0,
             isActive: true,
-            createdAt: block.timestamp
+            createdAt: block.timestamp,
+            expiresAt: _expiresAt
         });
         
         // Track listing for this property
         propertyResaleListings[_propertyId].push(listingId);
+        sellerResaleListings[msg.sender].push(listingId);
         
         // Lock shares (deduct from available balance)
         userShares[_propertyId][msg.sender] -= _shares;
+        lockedShares[_propertyId][msg.sender] += _shares;
         
         nextListingId++;
         
@@ -271,21 +2501,23 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
     function buyFromResale(
         uint256 _listingId,
         uint256 _sharesToBuy
-    ) external payable nonReentrant {
+    ) external payable nonReentrant whenNotPaused {
         ResaleListing storage listing = resaleListings[_listingId];
         
         require(listing.isActive, "Listing not active");
+        require(!_isListingExpired(listing), "Listing expired");
+        require(!resaleHalted[listing.propertyId], "Resale trading halted");
         require(_sharesToBuy > 0, "Must buy at least 1");
         require(msg.sender != listing.seller, "Cannot buy own listing");
         
         uint256 availableShares = listing.sharesForSale - listing.sharesSold;
         require(_sharesToBuy <= availableShares, "Not enough shares in listing");
         
-        uint256 totalCost = _sharesToBuy * listing.pricePerShare;
-        require(msg.value >= totalCost, "Insufficient payment");
+        _collectPayment(listing.propertyId, _sharesToBuy * listing.pricePerShare);
         
         // Transfer shares to buyer
-        userShares[listing.propertyId][msg.sender] += _sharesToBuy;
+        _settleIncome(listing.propertyId, listing.seller);
+        lockedShares[listing.propertyId][listing.seller] -= _sharesToBuy;
         listing.sharesSold += _sharesToBuy;
         
         // Check if listing is fully sold
@@ -293,22 +2525,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
             listing.isActive = false;
         }
         
-        // *** UPDATE MARKET PRICE ***
-        // Only completed resale transactions affect market price
-        Property storage property = properties[listing.propertyId];
-        uint256 oldPrice = property.currentPrice;
-        property.currentPrice = listing.pricePerShare;
-        
-        // Record in price history for average calculation
-        _recordResalePrice(listing.propertyId, listing.pricePerShare);
-        
-        // Transfer funds to seller
-        payable(listing.seller).transfer(totalCost);
-        
-        // Refund excess
-        if (msg.value > totalCost) {
-            payable(msg.sender).transfer(msg.value - totalCost);
-        }
+        uint256 oldPrice = _executeResale(listing.propertyId, listing.seller, msg.sender, _sharesToBuy, listing.pricePerShare);
         
         emit ResaleCompleted(
             _listingId,
@@ -317,16 +2534,15 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
             listing.seller,
             _sharesToBuy,
             listing.pricePerShare,
-            property.currentPrice
+            listing.pricePerShare
         );
         
-        if (oldPrice != property.currentPrice) {
-            emit MarketPriceUpdated(listing.propertyId, oldPrice, property.currentPrice);
-        }
+        _emitPriceChange(listing.propertyId, oldPrice);
     }
     
     /**
      * @dev Cancel a resale listing (returns shares to seller)
+     * Allowed while trading is halted or paused so sellers can always unlock shares
      * @param _listingId Listing to cancel
      */
     function cancelResaleListing(uint256 _listingId) external {
@@ -337,6 +2553,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         
         // Return unsold shares to seller
         uint256 unsoldShares = listing.sharesForSale - listing.sharesSold;
+        lockedShares[listing.propertyId][msg.sender] -= unsoldShares;
         userShares[listing.propertyId][msg.sender] += unsoldShares;
         
         listing.isActive = false;
@@ -345,21 +2562,215 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Internal function to record resale price in history
+     * @dev Change the price, quantity or expiry of a listing in place, keeping
+     * its id and sales history. Shares are locked or unlocked to match.
+     * @param _listingId Listing to update
+     * @param _pricePerShare New price per share
+     * @param _sharesRemaining Shares that should remain for sale
+     * @param _expiresAt New expiry (0 = no expiry)
      */
-    function _recordResalePrice(uint256 _propertyId, uint256 _price) internal {
-        uint256[] storage history = resalePriceHistory[_propertyId];
+    function updateResaleListing(
+        uint256 _listingId,
+        uint256 _pricePerShare,
+        uint256 _sharesRemaining,
+        uint256 _expiresAt
+    ) external whenNotPaused {
+        ResaleListing storage listing = resaleListings[_listingId];
         
-        if (history.length < RESALE_HISTORY_SIZE) {
-            // Still filling the buffer
-            history.push(_price);
+        require(listing.seller == msg.sender, "Not your listing");
+        require(listing.isActive, "Listing not active");
+        require(!resaleHalted[listing.propertyId], "Resale trading halted");
+        require(_sharesRemaining > 0, "Must list at least 1 share");
+        require(_pricePerShare > 0, "Price must be > 0");
+        require(_isPriceInBand(listing.propertyId, _pricePerShare), "Price outside band");
+        require(_expiresAt == 0 || _expiresAt > block.timestamp, "Expiry must be in the future");
+        
+        uint256 propertyId = listing.propertyId;
+        uint256 unsoldShares = listing.sharesForSale - listing.sharesSold;
+        if (_sharesRemaining > unsoldShares) {
+            uint256 extra = _sharesRemaining - unsoldShares;
+            require(userShares[propertyId][msg.sender] >= extra, "Insufficient shares");
+            userShares[propertyId][msg.sender] -= extra;
+            lockedShares[propertyId][msg.sender] += extra;
         } else {
-            // Circular buffer - overwrite oldest
-            uint256 index = resaleHistoryIndex[_propertyId];
-            history[index] = _price;
-            resaleHistoryIndex[_propertyId] = (index + 1) % RESALE_HISTORY_SIZE;
+            uint256 released = unsoldShares - _sharesRemaining;
+            lockedShares[propertyId][msg.sender] -= released;
+            userShares[propertyId][msg.sender] += released;
+        }
+        
+        listing.sharesForSale = listing.sharesSold + _sharesRemaining;
+        listing.pricePerShare = _pricePerShare;
+        listing.expiresAt = _expiresAt;
+        
+        emit ResaleListingUpdated(_listingId, _pricePerShare, listing.sharesForSale, _expiresAt);
+    }
+    
+    /**
+     * @dev Close an expired listing and return its unsold shares to the
+     * seller. Anyone can call this (also while paused).
+     */
+    function expireResaleListing(uint256 _listingId) external {
+        ResaleListing storage listing = resaleListings[_listingId];
+        
+        require(listing.isActive, "Listing not active");
+        require(_isListingExpired(listing), "Listing not expired");
+        
+        uint256 unsoldShares = listing.sharesForSale - listing.sharesSold;
+        lockedShares[listing.propertyId][listing.seller] -= unsoldShares;
+        userShares[listing.propertyId][listing.seller] += unsoldShares;
+        
+        listing.isActive = false;
+        
+        emit ResaleListingExpired(_listingId);
+    }
+    
+    // =========================================
+    // SHARE TRANSFERS
+    // =========================================
+    
+    /**
+     * @dev Transfer free shares to another wallet (gift, or a sale settled
+     * off-platform). Shares locked in resale listings can't be transferred.
+     * Both parties' rental income is settled first, so income earned so far
+     * stays with the sender.
+     * @param _propertyId Property whose shares to transfer
+     * @param _to Recipient wallet
+     * @param _shares Number of shares to transfer
+     */
+    function transferShares(
+        uint256 _propertyId,
+        address _to,
+        uint256 _shares
+    ) external nonReentrant whenNotPaused {
+        _transferShares(_propertyId, msg.sender, _to, _shares);
+    }
+    
+    /**
+     * @dev Transfer made through the property's share token (its transfer
+     * and transferFrom); the token has checked any allowance
+     */
+    function transferSharesFrom(
+        uint256 _propertyId,
+        address _from,
+        address _to,
+        uint256 _shares
+    ) external nonReentrant whenNotPaused {
+        require(msg.sender == shareTokens[_propertyId], "Not share token");
+        _transferShares(_propertyId, _from, _to, _shares);
+    }
+    
+    /**
+     * @dev Assign a property its share token. Only the configured factory can
+     * call this, once per property.
+     */
+    function registerShareToken(uint256 _propertyId, address _token) external {
+        require(msg.sender == shareTokenFactory, "Not share token factory");
+        require(_propertyId < nextPropertyId, "Property does not exist");
+        require(shareTokens[_propertyId] == address(0), "Share token exists");
+        
+        shareTokens[_propertyId] = _token;
+        
+        emit ShareTokenRegistered(_propertyId, _token);
+    }
+    
+    // =========================================
+    // PROCEEDS (PULL PAYMENTS)
+    // =========================================
+    
+    /**
+     * @dev Withdraw escrowed proceeds of one property
+     * Always allowed, including while trading is paused
+     * @param _propertyId Property whose proceeds to withdraw
+     */
+    function withdrawProceeds(uint256 _propertyId) external nonReentrant {
+        uint256 amount = pendingProceeds[_propertyId][msg.sender];
+        require(amount > 0, "No proceeds to withdraw");
+        
+        pendingProceeds[_propertyId][msg.sender] = 0;
+        address token = paymentTokens[_propertyId];
+        if (token == address(0)) {
+            pendingWithdrawals[msg.sender] -= amount;
+        }
+        
+        emit ProceedsWithdrawn(_propertyId, msg.sender, amount);
+        
+        _sendPayment(token, msg.sender, amount);
+    }
+    
+    /**
+     * @dev Withdraw escrowed proceeds of every property at once: MATIC in one
+     * transfer, stablecoin proceeds per property
+     */
+    function withdrawAllProceeds() external nonReentrant {
+        uint256 total = pendingWithdrawals[msg.sender];
+        bool withdrawn = total > 0;
+        
+        uint256[] storage propertyIds = proceedsPropertyIds[msg.sender];
+        for (uint256 i = 0; i < propertyIds.length; i++) {
+            uint256 amount = pendingProceeds[propertyIds[i]][msg.sender];
+            if (amount > 0) {
+                pendingProceeds[propertyIds[i]][msg.sender] = 0;
+                emit ProceedsWithdrawn(propertyIds[i], msg.sender, amount);
+                
+                address token = paymentTokens[propertyIds[i]];
+                if (token != address(0)) {
+                    _sendPayment(token, msg.sender, amount);
+                    withdrawn = true;
+                }
+            }
+        }
+        require(withdrawn, "No proceeds to withdraw");
+        pendingWithdrawals[msg.sender] = 0;
+        
+        if (total > 0) {
+            _sendValue(msg.sender, total);
         }
     }
+    
+    // =========================================
+    // RENTAL INCOME
+    // =========================================
+    
+    /**
+     * @dev Deposit rental income for a property, shared pro-rata between the
+     * shares sold so far. Sent by the admin or the property's owner (manager).
+     * @param _propertyId Property the income belongs to
+     */
+    function depositRentalIncome(uint256 _propertyId) external payable {
+        Property storage property = properties[_propertyId];
+        
+        require(property.totalShares > 0, "Property does not exist");
+        require(msg.sender == owner() || msg.sender == property.owner, "Not property manager");
+        require(msg.value > 0, "Deposit must be > 0");
+        require(property.sharesSold > 0, "No shareholders");
+        require(!_fundingLocked(_propertyId), "Funding round not finalized");
+        
+        uint256 scaled = msg.value * INCOME_PRECISION + incomeRemainder[_propertyId];
+        incomePerShare[_propertyId] += scaled / property.sharesSold;
+        incomeRemainder[_propertyId] = scaled % property.sharesSold;
+        totalRentalIncome[_propertyId] += msg.value;
+        
+        emit RentalIncomeDeposited(_propertyId, msg.sender, msg.value, property.sharesSold);
+    }
+    
+    /**
+     * @dev Claim the caller's rental income from a property
+     * Always allowed, including while trading is paused
+     * @param _propertyId Property to claim income from
+     */
+    function claimRentalIncome(uint256 _propertyId) external nonReentrant {
+        _settleIncome(_propertyId, msg.sender);
+        
+        uint256 amount = unclaimedIncome[_propertyId][msg.sender];
+        require(amount > 0, "No income to claim");
+        
+        unclaimedIncome[_propertyId][msg.sender] = 0;
+        rentalIncomeClaimed[_propertyId][msg.sender] += amount;
+        
+        emit RentalIncomeClaimed(_propertyId, msg.sender, amount);
+        
+        _sendValue(msg.sender, amount);
+    }
 
     // =========================================
     // VIEW FUNCTIONS - PRICING
@@ -383,26 +2794,6 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         return properties[_propertyId].initialPricePerShare;
     }
     
-    /**
-     * @dev Calculate average price from last N resales
-     * @param _propertyId Property to query
-     * @return Average price in Wei, or 0 if no resales
-     */
-    function getAverageResalePrice(uint256 _propertyId) external view returns (uint256) {
-        uint256[] storage history = resalePriceHistory[_propertyId];
-        
-        if (history.length == 0) {
-            return properties[_propertyId].initialPricePerShare;
-        }
-        
-        uint256 sum = 0;
-        for (uint256 i = 0; i < history.length; i++) {
-            sum += history[i];
-        }
-        
-        return sum / history.length;
-    }
-    
     /**
      * @dev Calculate implied market value of entire property
      * Formula: currentPrice × totalShares
@@ -413,13 +2804,6 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         Property storage property = properties[_propertyId];
         return property.currentPrice * property.totalShares;
     }
-    
-    /**
-     * @dev Get number of completed resales for a property
-     */
-    function getResaleCount(uint256 _propertyId) external view returns (uint256) {
-        return resalePriceHistory[_propertyId].length;
-    }
 
     // =========================================
     // VIEW FUNCTIONS - SHARES & LISTINGS
@@ -433,7 +2817,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev Get all active resale listings for a property
+     * @dev Get all active, unexpired resale listings for a property
      */
     function getActiveResaleListings(uint256 _propertyId) external view returns (uint256[] memory) {
         uint256[] storage allListings = propertyResaleListings[_propertyId];
@@ -441,7 +2825,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         // Count active listings
         uint256 activeCount = 0;
         for (uint256 i = 0; i < allListings.length; i++) {
-            if (resaleListings[allListings[i]].isActive) {
+            if (_isListingOpen(resaleListings[allListings[i]])) {
                 activeCount++;
             }
         }
@@ -450,7 +2834,7 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         uint256[] memory activeListings = new uint256[](activeCount);
         uint256 j = 0;
         for (uint256 i = 0; i < allListings.length; i++) {
-            if (resaleListings[allListings[i]].isActive) {
+            if (_isListingOpen(resaleListings[allListings[i]])) {
                 activeListings[j] = allListings[i];
                 j++;
             }
@@ -459,6 +2843,23 @@ contract RealEstateMarketplace is ERC721URIStorage, Ownable, ReentrancyGuard {
         return activeListings;
     }
     
+    /**
+     * @dev Get what trading is currently allowed for a property
+     */
+    function getTradingStatus(uint256 _propertyId) external view returns (
+        bool primarySaleActive,
+        bool resaleActive,
+        bool isDelisted,
+        bool marketplacePaused
+    ) {
+        return (
+            properties[_propertyId].isActive,
+            !resaleHalted[_propertyId],
+            delisted[_propertyId],
+            paused()
+        );
+    }
+    
     /**
      * @dev Get property details including pricing info
      */
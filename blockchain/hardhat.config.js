@@ -5,7 +5,15 @@ import "@nomicfoundation/hardhat-toolbox";
 
 /** @type import('hardhat/config').HardhatUserConfig */
 export default {
-  solidity: "0.8.20",
+  solidity: {
+    version: "0.8.20",
+    // Keeps RealEstateMarketplace under the 24 KB contract size limit
+    // (the IR pipeline produces noticeably smaller bytecode for it)
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      viaIR: true
+    }
+  },
   networks: {
     hardhat: {},
     // Polygon Amoy Testnet (new testnet replacing Mumbai)
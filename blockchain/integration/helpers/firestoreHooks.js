@@ -0,0 +1,14 @@
+// blockchain/integration/helpers/firestoreHooks.js
+/**
+ * Module resolution hooks (see node:module register) that hand backend
+ * services the in-memory Firestore instead of backend/src/config/firebase.js
+ */
+
+const memoryFirestore = new URL('./memoryFirestore.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+    if (specifier.endsWith('/config/firebase.js') && context.parentURL?.includes('/backend/src/')) {
+        return { url: memoryFirestore, shortCircuit: true };
+    }
+    return nextResolve(specifier, context);
+}
@@ -0,0 +1,140 @@
+// blockchain/integration/helpers/memoryFirestore.js
+/**
+ * In-memory stand-in for backend/src/config/firebase.js, so the backend
+ * services can be tested against a local Hardhat node without a Firestore
+ * project. Covers the parts of the Admin SDK the services use, and enforces
+ * Firestore's 500-write limit on batches.
+ */
+
+// "collection/docId" => document data
+export const store = new Map();
+
+// Number of writes in each committed batch
+export const batchSizes = [];
+
+const MAX_BATCH_WRITES = 500;
+const ALREADY_EXISTS = 6;
+
+export function resetStore() {
+    store.clear();
+    batchSizes.length = 0;
+}
+
+const compare = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    'in': (a, b) => b.includes(a),
+    'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class DocumentReference {
+    constructor(collection, id) {
+        this.id = id;
+        this.path = `${collection}/${id}`;
+    }
+
+    async get() {
+        const data = store.get(this.path);
+        return { id: this.id, ref: this, exists: data !== undefined, data: () => data };
+    }
+
+    async set(data, options = {}) {
+        const current = options.merge ? store.get(this.path) : undefined;
+        store.set(this.path, { ...current, ...data });
+    }
+
+    async create(data) {
+        if (store.has(this.path)) {
+            const error = new Error(`Document already exists: ${this.path}`);
+            error.code = ALREADY_EXISTS;
+            throw error;
+        }
+        store.set(this.path, { ...data });
+    }
+
+    async update(data) {
+        if (!store.has(this.path)) throw new Error(`No document to update: ${this.path}`);
+        store.set(this.path, { ...store.get(this.path), ...data });
+    }
+
+    async delete() {
+        store.delete(this.path);
+    }
+}
+
+class Query {
+    constructor(collection, filters = [], max = null) {
+        this.collection = collection;
+        this.filters = filters;
+        this.max = max;
+    }
+
+    where(field, op, value) {
+        if (!compare[op]) throw new Error(`Unsupported query operator ${op}`);
+        return new Query(this.collection, [...this.filters, { field, op, value }], this.max);
+    }
+
+    limit(max) {
+        return new Query(this.collection, this.filters, max);
+    }
+
+    async get() {
+        const prefix = `${this.collection}/`;
+        let docs = [...store.keys()]
+            .filter(path => path.startsWith(prefix) && !path.slice(prefix.length).includes('/'))
+            .map(path => new DocumentReference(this.collection, path.slice(prefix.length)))
+            .map(ref => ({ id: ref.id, ref, exists: true, data: () => store.get(ref.path) }))
+            .filter(doc => this.filters.every(({ field, op, value }) => compare[op](doc.data()[field], value)));
+
+        if (this.max !== null) docs = docs.slice(0, this.max);
+        return { docs, size: docs.length, empty: docs.length === 0 };
+    }
+}
+
+class CollectionReference extends Query {
+    doc(id = Math.random().toString(36).slice(2)) {
+        return new DocumentReference(this.collection, id);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+function batch() {
+    const writes = [];
+    return {
+        set: (ref, data, options) => writes.push(() => ref.set(data, options)),
+        update: (ref, data) => writes.push(() => ref.update(data)),
+        delete: (ref) => writes.push(() => ref.delete()),
+        async commit() {
+            if (writes.length > MAX_BATCH_WRITES) {
+                throw new Error(`A batch can contain at most ${MAX_BATCH_WRITES} writes (got ${writes.length})`);
+            }
+            for (const write of writes) await write();
+            batchSizes.push(writes.length);
+        }
+    };
+}
+
+export const db = {
+    collection: (name) => new CollectionReference(name),
+    batch
+};
+
+export const auth = {};
+
+const FieldValue = {
+    serverTimestamp: () => new Date(),
+    increment: (n) => n
+};
+
+export default {
+    firestore: Object.assign(() => db, { FieldValue })
+};
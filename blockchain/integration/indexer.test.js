@@ -0,0 +1,194 @@
+// blockchain/integration/indexer.test.js
+/**
+ * Chain indexer (backend/src/services/listener.js) against a local Hardhat
+ * node: backfill, resuming from the persisted cursor, reorg rewinds and
+ * blocks with more writes than one Firestore batch holds. Firestore is the
+ * in-memory store from helpers/memoryFirestore.js.
+ *
+ * Needs a running node, so it lives outside test/ (npm test) and only runs
+ * on the localhost network:
+ *   npx hardhat node
+ *   npm run test:indexer
+ */
+import { register } from 'node:module';
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { ABI } from '../client/realEstateMarketplace.js';
+import { store, batchSizes, resetStore } from './helpers/memoryFirestore.js';
+
+const { ethers, network } = pkg;
+
+register('./helpers/firestoreHooks.js', import.meta.url);
+
+const LISTENER = new URL('../../backend/src/services/listener.js', import.meta.url).href;
+
+const docs = (collection) => [...store.entries()]
+    .filter(([path]) => path.startsWith(`${collection}/`))
+    .map(([path, data]) => ({ id: path.slice(collection.length + 1), ...data }));
+
+describe('Chain indexer', function () {
+    this.timeout(300000);
+
+    let marketplace, listener, admin, bob, carol, buyers;
+    const E = ethers.parseEther;
+
+    // Index until caught up
+    const syncAll = async (indexer = listener) => {
+        const ranges = [];
+        for (let result = await indexer.syncOnce(); result; result = await indexer.syncOnce()) {
+            ranges.push(result);
+        }
+        return ranges;
+    };
+
+    const holding = (wallet) => store.get(`userShares/chain_0_${wallet.toLowerCase()}`);
+
+    before(async function () {
+        if (network.name !== 'localhost') {
+            throw new Error('The indexer test needs a local node: run `npx hardhat node`, then `npm run test:indexer`');
+        }
+
+        [admin, bob, carol, ...buyers] = await ethers.getSigners();
+
+        const ordersModule = await (await ethers.getContractFactory('RealEstateMarketplaceOrders')).deploy();
+        const adminModule = await (await ethers.getContractFactory('RealEstateMarketplaceAdmin')).deploy();
+        const deployed = await (await ethers.getContractFactory('RealEstateMarketplace'))
+            .deploy(await ordersModule.getAddress(), await adminModule.getAddress());
+        const deployBlock = (await deployed.deploymentTransaction().wait()).blockNumber;
+
+        // The module functions (sweeps) are only in the generated client's ABI
+        marketplace = new ethers.Contract(await deployed.getAddress(), ABI, admin);
+
+        Object.assign(process.env, {
+            CONTRACT_ADDRESS: await marketplace.getAddress(),
+            RPC_URL: network.config.url,
+            INDEXER_START_BLOCK: String(deployBlock),
+            INDEXER_CONFIRMATIONS: '0',
+            INDEXER_BATCH_SIZE: '3'
+        });
+        delete process.env.SMTP_USER;
+
+        resetStore();
+        listener = await import(LISTENER);
+    });
+
+    it('backfills past events from the start block', async function () {
+        await (await marketplace.listProperty(E('1'), 1000, 'ipfs://indexer', ethers.ZeroAddress, admin.address, 0, 0, 0, 0, 0)).wait();
+        await (await marketplace.connect(bob).buyShares(0, 150, E('150'), { value: E('150') })).wait();
+        await (await marketplace.connect(carol).buyShares(0, 5, E('5'), { value: E('5') })).wait();
+        await (await marketplace.connect(bob).listSharesForResale(0, 4, E('1.2'), 0)).wait();
+        await (await marketplace.connect(carol).buyFromResale(0, 2, { value: E('2.4') })).wait();
+
+        const ranges = await syncAll();
+        expect(ranges.length).to.be.greaterThan(1); // INDEXER_BATCH_SIZE=3 blocks per call
+
+        const head = await ethers.provider.getBlockNumber();
+        expect((await listener.getCursor()).blockNumber).to.equal(head);
+
+        const property = store.get('properties/chain_0');
+        expect(property.sharesSold).to.equal(155);
+        expect(property.currentPrice).to.equal(1.2);
+        expect(holding(bob.address)).to.include({ shares: 146, lockedShares: 2 });
+        expect(holding(carol.address)).to.include({ shares: 7, lockedShares: 0 });
+        expect(store.get('resaleListings/0')).to.include({ sharesSold: 2 });
+
+        const types = docs('transactions').map(t => t.type).sort();
+        expect(types).to.deep.equal(['PRIMARY_PURCHASE', 'PRIMARY_PURCHASE', 'RESALE_PURCHASE']);
+        expect(docs('resaleHistory')).to.have.length(1);
+    });
+
+    it('resumes from the persisted cursor after a restart', async function () {
+        const cursor = await listener.getCursor();
+        await (await marketplace.connect(carol).buyShares(0, 3, E('3'), { value: E('3') })).wait();
+
+        // A fresh copy of the module has nothing but Firestore to go on
+        const restarted = await import(`${LISTENER}?restart`);
+        const ranges = await syncAll(restarted);
+
+        expect(ranges[0].fromBlock).to.equal(cursor.blockNumber + 1);
+        expect(docs('transactions')).to.have.length(4);
+        expect(holding(carol.address).shares).to.equal(10);
+
+        // Nothing left to do
+        expect(await restarted.syncOnce()).to.equal(null);
+    });
+
+    it('rewinds and replays blocks that were reorganised away', async function () {
+        await (await marketplace.connect(bob).createProposal(0, 'Repaint the facade', 24 * 3600)).wait();
+        const vote = `proposalVotes/0_${bob.address.toLowerCase()}`;
+        const snapshot = await network.provider.send('evm_snapshot');
+
+        const dropped = await (await marketplace.connect(bob).buyShares(0, 7, E('7'), { value: E('7') })).wait();
+        await (await marketplace.connect(bob).castVote(0, 1)).wait();
+        await syncAll();
+        expect(docs('transactions').map(t => t.txHash)).to.include(dropped.hash);
+        expect(holding(bob.address).shares).to.equal(153);
+        expect(store.get(vote)).to.include({ support: 'FOR', weight: 148 });
+
+        // Replace those blocks with a different history of the same length
+        await network.provider.send('evm_revert', [snapshot]);
+        const kept = await (await marketplace.connect(carol).buyShares(0, 1, E('1'), { value: E('1') })).wait();
+        await network.provider.send('evm_mine');
+
+        await syncAll();
+
+        const txHashes = docs('transactions').map(t => t.txHash);
+        expect(txHashes).not.to.include(dropped.hash);
+        expect(txHashes).to.include(kept.hash);
+        expect(holding(bob.address).shares).to.equal(146);
+        expect(holding(carol.address).shares).to.equal(11);
+        expect(store.get('properties/chain_0').sharesSold).to.equal(159);
+        expect(store.get(vote)).to.equal(undefined);
+        expect(store.get('proposals/0').forVotes).to.equal(0);
+
+        const head = await ethers.provider.getBlock('latest');
+        const cursor = await listener.getCursor();
+        expect(cursor).to.deep.equal({ blockNumber: head.number, blockHash: head.hash });
+    });
+
+    it('links a wallet to its user once they register', async function () {
+        const carolsPurchases = docs('transactions').filter(t => t.buyerWallet === carol.address.toLowerCase());
+        expect(carolsPurchases.map(t => t.buyerUid)).to.satisfy(uids => uids.length > 0 && uids.every(uid => uid === null));
+
+        store.set('users/carol', { walletAddress: carol.address });
+        const bought = await (await marketplace.connect(carol).buyShares(0, 1, E('1'), { value: E('1') })).wait();
+        await syncAll();
+
+        expect(docs('transactions').find(t => t.txHash === bought.hash).buyerUid).to.equal('carol');
+    });
+
+    it('commits a block with more writes than one Firestore batch holds', async function () {
+        // 100 one-share listings, swept by five buyers in a single block:
+        // each fill rewrites the listing, the property, both holdings and
+        // adds a resaleHistory and a transactions document
+        for (let i = 0; i < 100; i++) {
+            await marketplace.connect(bob).listSharesForResale(0, 1, E('1.2'), 0);
+        }
+        await syncAll();
+        const firstListing = Number(await marketplace.nextListingId()) - 100;
+
+        await network.provider.send('evm_setAutomine', [false]);
+        try {
+            for (let b = 0; b < 5; b++) {
+                const listingIds = Array.from({ length: 20 }, (_, i) => firstListing + b * 20 + i);
+                await marketplace.connect(buyers[b]).buyAtBestPrice(0, 20, E('1.2'), listingIds, { value: E('24'), gasLimit: 5000000 });
+            }
+            await network.provider.send('evm_mine');
+        } finally {
+            await network.provider.send('evm_setAutomine', [true]);
+        }
+        const block = await ethers.provider.getBlock('latest');
+        expect(block.transactions).to.have.length(5);
+
+        batchSizes.length = 0;
+        await syncAll();
+
+        expect(batchSizes.reduce((sum, n) => sum + n, 0)).to.be.greaterThan(500);
+        expect(Math.max(...batchSizes)).to.be.at.most(500);
+        expect(docs('resaleHistory').filter(h => h.blockNumber === block.number)).to.have.length(100);
+        for (const buyer of buyers.slice(0, 5)) {
+            expect(holding(buyer.address).shares).to.equal(20);
+        }
+        expect((await listener.getCursor()).blockNumber).to.equal(block.number);
+    });
+});
@@ -0,0 +1,85 @@
+// blockchain/scripts/deploy-mock-stablecoin.js
+/**
+ * Deploys MockStablecoin to a local Hardhat node and mints test funds to its
+ * accounts, so stablecoin-priced properties can be tried without a real
+ * token. Refuses to run on any other chain: anyone can mint the mock.
+ *
+ * Usage (from blockchain/, with `npx hardhat node` running):
+ *   npm run deploy:mock-stablecoin
+ */
+import pkg from 'hardhat';
+const { ethers } = pkg;
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HARDHAT_CHAIN_ID = 31337n;
+
+const TOKEN_NAME = "Mock USD Coin";
+const TOKEN_SYMBOL = "mUSDC";
+const TOKEN_DECIMALS = 6;
+
+// Minted to each of the node's first accounts
+const MINT_ACCOUNTS = 5;
+const MINT_AMOUNT = "100000";
+
+async function main() {
+    const { chainId } = await ethers.provider.getNetwork();
+    if (chainId !== HARDHAT_CHAIN_ID) {
+        console.error(`❌ MockStablecoin is for local development only (chain ${HARDHAT_CHAIN_ID}), not chain ${chainId}.`);
+        process.exit(1);
+    }
+
+    const signers = await ethers.getSigners();
+    console.log("📦 Deploying MockStablecoin...");
+    const MockStablecoin = await ethers.getContractFactory("MockStablecoin");
+    const stablecoin = await MockStablecoin.deploy(TOKEN_NAME, TOKEN_SYMBOL, TOKEN_DECIMALS);
+
+    await stablecoin.waitForDeployment();
+    const stablecoinAddress = await stablecoin.getAddress();
+    console.log(`✅ ${TOKEN_SYMBOL} deployed to:`, stablecoinAddress);
+
+    const amount = ethers.parseUnits(MINT_AMOUNT, TOKEN_DECIMALS);
+    for (const signer of signers.slice(0, MINT_ACCOUNTS)) {
+        await (await stablecoin.mint(signer.address, amount)).wait();
+        console.log(`💰 Minted ${MINT_AMOUNT} ${TOKEN_SYMBOL} to ${signer.address}`);
+    }
+
+    // Save deployment info
+    const deploymentsDir = path.join(__dirname, "../deployments");
+    if (!fs.existsSync(deploymentsDir)) {
+        fs.mkdirSync(deploymentsDir, { recursive: true });
+    }
+
+    fs.writeFileSync(
+        path.join(deploymentsDir, "localhost-stablecoin.json"),
+        JSON.stringify({
+            network: "localhost",
+            chainId: Number(chainId),
+            contractName: "MockStablecoin",
+            address: stablecoinAddress,
+            name: TOKEN_NAME,
+            symbol: TOKEN_SYMBOL,
+            decimals: TOKEN_DECIMALS,
+            deployedAt: new Date().toISOString()
+        }, null, 2)
+    );
+    console.log("📄 Deployment info saved to deployments/localhost-stablecoin.json");
+
+    console.log("\n📝 Offer it as the stablecoin for new properties:\n");
+    console.log("   frontend/.env:");
+    console.log(`   VITE_STABLECOIN_ADDRESS=${stablecoinAddress}`);
+    console.log("\n   backend/.env:");
+    console.log(`   STABLECOIN_ADDRESS=${stablecoinAddress}`);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("❌ Deployment failed:", error);
+        process.exit(1);
+    });
@@ -5,6 +5,7 @@ const { ethers } = pkg;
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from 'url';
+import { assertClientUpToDate } from "./generate-client.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,10 +27,37 @@ async function main() {
         process.exit(1);
     }
 
+    // The frontend and backend talk to the contract through client/realEstateMarketplace.js,
+    // which must come from the same compile as the bytecode we're about to deploy
+    try {
+        assertClientUpToDate();
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+
+    // Bids, offers and sweeps, and the admin functions and price analytics,
+    // run in modules the marketplace delegates to, so the modules have to exist first
+    console.log("📦 Deploying RealEstateMarketplaceOrders module...");
+    const RealEstateMarketplaceOrders = await ethers.getContractFactory("RealEstateMarketplaceOrders");
+    const ordersModule = await RealEstateMarketplaceOrders.deploy();
+
+    await ordersModule.waitForDeployment();
+    const ordersModuleAddress = await ordersModule.getAddress();
+    console.log("✅ RealEstateMarketplaceOrders deployed to:", ordersModuleAddress);
+
+    console.log("📦 Deploying RealEstateMarketplaceAdmin module...");
+    const RealEstateMarketplaceAdmin = await ethers.getContractFactory("RealEstateMarketplaceAdmin");
+    const adminModule = await RealEstateMarketplaceAdmin.deploy();
+
+    await adminModule.waitForDeployment();
+    const adminModuleAddress = await adminModule.getAddress();
+    console.log("✅ RealEstateMarketplaceAdmin deployed to:", adminModuleAddress);
+
     // Deploy RealEstateMarketplace contract (new enhanced contract)
     console.log("📦 Deploying RealEstateMarketplace contract...");
     const RealEstateMarketplace = await ethers.getContractFactory("RealEstateMarketplace");
-    const marketplace = await RealEstateMarketplace.deploy();
+    const marketplace = await RealEstateMarketplace.deploy(ordersModuleAddress, adminModuleAddress);
 
     await marketplace.waitForDeployment();
     const contractAddress = await marketplace.getAddress();
@@ -37,12 +65,26 @@ async function main() {
     console.log("✅ RealEstateMarketplace deployed to:", contractAddress);
     console.log("   Transaction hash:", marketplace.deploymentTransaction().hash);
 
+    // Share tokens (one ERC-20 per property) are created by the factory,
+    // which the marketplace has to know about before it accepts them
+    console.log("📦 Deploying FractionalPropertyFactory...");
+    const FractionalPropertyFactory = await ethers.getContractFactory("FractionalPropertyFactory");
+    const shareTokenFactory = await FractionalPropertyFactory.deploy(contractAddress);
+
+    await shareTokenFactory.waitForDeployment();
+    const shareTokenFactoryAddress = await shareTokenFactory.getAddress();
+    await (await marketplace.setShareTokenFactory(shareTokenFactoryAddress)).wait();
+    console.log("✅ FractionalPropertyFactory deployed to:", shareTokenFactoryAddress);
+
     // Save deployment info
     const deploymentInfo = {
         network: "polygon-amoy",
         chainId: 80002,
         contractName: "RealEstateMarketplace",
         contractAddress: contractAddress,
+        ordersModuleAddress: ordersModuleAddress,
+        adminModuleAddress: adminModuleAddress,
+        shareTokenFactoryAddress: shareTokenFactoryAddress,
         deployer: deployer.address,
         deployedAt: new Date().toISOString(),
         txHash: marketplace.deploymentTransaction().hash,
@@ -52,7 +94,19 @@ async function main() {
             "Resale marketplace",
             "Dynamic pricing (last resale)",
             "Average price calculation (last 10)",
-            "Implied market value"
+            "Implied market value",
+            "Volume- and time-weighted prices (outliers excluded)",
+            "Price bands and circuit breakers on resale trading",
+            "Peer-to-peer share transfers",
+            "ERC-20 share token per property (FractionalPropertyFactory)",
+            "Pricing and settlement in MATIC or an ERC-20 stablecoin per property",
+            "Listing on behalf of a seller, who receives the primary sale proceeds",
+            "Property owner follows the holder of the property NFT",
+            "Funding rounds: escrowed primary sales with a soft cap, deadline and refunds",
+            "Dutch auction and bonding-curve primary pricing",
+            "Shareholder proposals with share-weighted votes at a snapshot (admin module)",
+            "Bids, offers and best-price sweeps (orders module)",
+            "Admin functions and price analytics (admin module)"
         ]
     };
 
@@ -79,13 +133,23 @@ async function main() {
     console.log("\n🔍 View on PolygonScan:");
     console.log(`   https://amoy.polygonscan.com/address/${contractAddress}`);
     console.log("\n📖 Contract Features:");
-    console.log("   - listProperty() - Admin lists new properties");
+    console.log("   - listProperty() - Admin lists new properties, for itself or a seller (priced in MATIC or a stablecoin, optionally as a funding round, Dutch auction or bonding curve)");
     console.log("   - buyShares() - Primary market purchase");
+    console.log("   - quotePrimaryPurchase() - What buyShares charges right now (auctions and curves move)");
     console.log("   - listSharesForResale() - List owned shares");
     console.log("   - buyFromResale() - Secondary market purchase (updates price!)");
     console.log("   - getMarketPrice() - Current price per share");
     console.log("   - getAverageResalePrice() - Average of last 10 resales");
     console.log("   - getImpliedMarketValue() - Total property value");
+    console.log("   - getVolumeWeightedPrice() / getTimeWeightedPrice() - Manipulation-resistant prices");
+    console.log("   - setPriceLimits() - Price band and circuit breaker per property (admin)");
+    console.log("   - buyAtBestPrice() - Sweep the cheapest listings of a property");
+    console.log("   - transferShares() - Send shares to another wallet");
+    console.log("   - finalizeFunding() / cancelFunding() - Close a funding round (admin)");
+    console.log("   - claimFundingRefund() - Refund of a failed funding round");
+    console.log("   - createProposal() / castVote() - Shareholder proposals, votes weighted by shares held at the snapshot");
+    console.log("   - withdrawTokenFees() - Withdraw stablecoin platform fees (admin)");
+    console.log("   - FractionalPropertyFactory.createShareToken() - ERC-20 share token for a property (admin)");
 }
 
 main()
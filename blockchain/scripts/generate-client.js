@@ -0,0 +1,500 @@
+// blockchain/scripts/generate-client.js
+/**
+ * Generates client/realEstateMarketplace.js from the Hardhat artifact of
+ * RealEstateMarketplace. The generated module is the only copy of the ABI -
+ * the frontend and backend both import it.
+ *
+ * Functions the marketplace delegates to a module contract (see MODULES) are
+ * merged into its ABI, since callers reach them at the marketplace's address.
+ * The ABIs of contracts that work alongside it at their own addresses (see
+ * COMPANIONS) are exported as plain ABI arrays.
+ *
+ * Usage (from blockchain/):
+ *   npm run client          compile + regenerate the client
+ *   npm run client:check    compile + fail if the committed client is stale
+ */
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from 'url';
+import { ethers } from "ethers";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONTRACT_NAME = "RealEstateMarketplace";
+const SOURCE_NAME = "contracts/RealEstateNFT.sol";
+
+// Contracts the marketplace delegates calls to, and the marketplace getter
+// that returns each one's deployed address
+const MODULES = [
+    { name: "RealEstateMarketplaceOrders", getter: "ordersModule" },
+    { name: "RealEstateMarketplaceAdmin", getter: "adminModule" }
+];
+
+// Contracts deployed next to the marketplace, and the name their ABI is exported under
+const COMPANIONS = [
+    { name: "PropertyShareToken", sourceName: "contracts/PropertyShareToken.sol", exportName: "SHARE_TOKEN_ABI" },
+    { name: "FractionalPropertyFactory", sourceName: "contracts/FractionalPropertyFactory.sol", exportName: "SHARE_TOKEN_FACTORY_ABI" },
+    // Stablecoins properties are priced in (any ERC-20 with metadata)
+    { name: "IERC20Metadata", sourceName: "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol", exportName: "PAYMENT_TOKEN_ABI" }
+];
+
+const artifactPath = (name, sourceName = SOURCE_NAME) => path.join(__dirname, "../artifacts", sourceName, `${name}.json`);
+export const CLIENT_PATH = path.join(__dirname, "../client/realEstateMarketplace.js");
+
+// Keys the client object uses for itself; a contract function with one of
+// these names would be shadowed, so refuse to generate instead
+const RESERVED_KEYS = ["address", "contract", "interface", "events", "decodeEvent", "findEvent", "verifyDeployment"];
+
+// =========================================
+// ARTIFACT LOADING
+// =========================================
+
+function loadArtifact(name = CONTRACT_NAME, sourceName = SOURCE_NAME) {
+    const artifactFile = artifactPath(name, sourceName);
+    if (!fs.existsSync(artifactFile)) {
+        throw new Error(`Artifact not found at ${artifactFile}. Run \`npx hardhat compile\` first.`);
+    }
+    return JSON.parse(fs.readFileSync(artifactFile, "utf8"));
+}
+
+/**
+ * NatSpec for the contract, taken from the build-info the artifact was
+ * compiled in. Only used for doc comments, so a missing file is not an error.
+ */
+function loadNatspec(name = CONTRACT_NAME) {
+    const dbgPath = artifactPath(name).replace(/\.json$/, ".dbg.json");
+    try {
+        const { buildInfo } = JSON.parse(fs.readFileSync(dbgPath, "utf8"));
+        const info = JSON.parse(fs.readFileSync(path.resolve(path.dirname(dbgPath), buildInfo), "utf8"));
+        // Hardhat doesn't request devdoc/userdoc, but both are embedded in the metadata
+        const { output } = JSON.parse(info.output.contracts[SOURCE_NAME][name].metadata);
+        return { devdoc: output.devdoc || {}, userdoc: output.userdoc || {} };
+    } catch {
+        return { devdoc: {}, userdoc: {} };
+    }
+}
+
+/**
+ * Artifacts and NatSpec of the marketplace's modules
+ */
+function loadModules() {
+    return MODULES.map(module => ({ ...module, artifact: loadArtifact(module.name), natspec: loadNatspec(module.name) }));
+}
+
+/**
+ * Artifacts of the companion contracts (only their ABIs are used)
+ */
+function loadCompanions() {
+    return COMPANIONS.map(companion => ({ ...companion, artifact: loadArtifact(companion.name, companion.sourceName) }));
+}
+
+// =========================================
+// TYPE HELPERS
+// =========================================
+
+function signatureOf(fragment) {
+    return `${fragment.name}(${fragment.inputs.map(i => i.type).join(",")})`;
+}
+
+function paramName(input, index) {
+    const name = (input.name || "").replace(/^_+/, "");
+    return name || `arg${index}`;
+}
+
+function inputType(type) {
+    if (type.endsWith("]")) return `Array<${inputType(type.replace(/\[\d*\]$/, ""))}>`;
+    if (/^u?int\d*$/.test(type)) return "BigIntish";
+    if (type === "bool") return "boolean";
+    return "string";
+}
+
+function outputType(type) {
+    if (type.endsWith("]")) return `Array<${outputType(type.replace(/\[\d*\]$/, ""))}>`;
+    if (/^u?int\d*$/.test(type)) return "bigint";
+    if (type === "bool") return "boolean";
+    return "string";
+}
+
+function pascalCase(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// =========================================
+// ABI MERGING
+// =========================================
+
+/**
+ * The marketplace's ABI followed by what its modules add. The modules share
+ * its base contract, so duplicates (events, errors, inherited functions) are
+ * dropped; so are module constructors.
+ */
+function mergeAbi(abi, modules) {
+    const keyOf = (fragment) => fragment.name ? `${fragment.type}:${signatureOf(fragment)}` : fragment.type;
+    const seen = new Set(abi.map(keyOf));
+
+    const merged = [...abi];
+    for (const module of modules) {
+        for (const fragment of module.artifact.abi) {
+            if (fragment.type === "constructor" || seen.has(keyOf(fragment))) continue;
+            seen.add(keyOf(fragment));
+            merged.push(fragment);
+        }
+    }
+    return merged;
+}
+
+// NatSpec of the marketplace, with module docs for the functions it delegates
+function mergeNatspec(natspec, modules) {
+    const merge = (kind) => ({
+        methods: Object.assign({}, ...modules.map(m => m.natspec[kind].methods), natspec[kind].methods)
+    });
+    return { devdoc: merge("devdoc"), userdoc: merge("userdoc") };
+}
+
+// =========================================
+// RENDERING
+// =========================================
+
+function renderDoc(lines, indent) {
+    return [`${indent}/**`, ...lines.map(line => `${indent} * ${line}`.trimEnd()), `${indent} */`].join("\n");
+}
+
+// First sentence of the NatSpec for a function, wrapped for a doc comment
+function describe(natspec, signature) {
+    const text = natspec.devdoc.methods?.[signature]?.details || natspec.userdoc.methods?.[signature]?.notice;
+    if (!text) return [];
+
+    const sentence = text.replace(/\s+/g, " ").trim().split(/(?<=\.) /)[0];
+    return sentence.split(" ").reduce((lines, word) => {
+        const last = lines[lines.length - 1];
+        if (last && last.length + word.length < 90) {
+            lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+            lines.push(word);
+        }
+        return lines;
+    }, []);
+}
+
+function renderFunction(fragment, key, natspec, typedefs) {
+    const signature = signatureOf(fragment);
+    const isView = fragment.stateMutability === "view" || fragment.stateMutability === "pure";
+    const params = fragment.inputs.map((input, i) => `${paramName(input, i)}: ${inputType(input.type)}`);
+    const overridesType = fragment.stateMutability === "payable" ? "PayableOverrides" : "Overrides";
+    params.push(`overrides?: ${overridesType}`);
+
+    let returns;
+    let shape = null;
+    if (!isView) {
+        returns = "Promise<ContractTransactionResponse>";
+    } else if (fragment.outputs.length > 1) {
+        // Struct getters and multi-value views come back as plain objects
+        const typeName = `${pascalCase(fragment.name)}Result`;
+        typedefs.push(renderDoc([
+            `@typedef {Object} ${typeName}`,
+            ...fragment.outputs.map((output, i) => `@property {${outputType(output.type)}} ${paramName(output, i)}`)
+        ], ""));
+        returns = `Promise<${typeName}>`;
+        shape = "object";
+    } else if (fragment.outputs.length === 1) {
+        returns = `Promise<${outputType(fragment.outputs[0].type)}>`;
+        if (fragment.outputs[0].type.endsWith("]")) shape = "array";
+    } else {
+        returns = "Promise<void>";
+    }
+
+    const header = `${signature}${fragment.stateMutability === "nonpayable" ? "" : ` ${fragment.stateMutability}`}`;
+    const doc = renderDoc([
+        header,
+        ...describe(natspec, signature),
+        `@type {(${params.join(", ")}) => ${returns}}`
+    ], "        ");
+
+    const call = isView
+        ? `read('${signature}'${shape ? `, '${shape}'` : ""})`
+        : `write('${signature}')`;
+    const property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+
+    return `${doc}\n        ${property}: ${call}`;
+}
+
+function renderEventTypedef(fragment) {
+    return renderDoc([
+        `@typedef {Object} ${fragment.name}Args`,
+        ...fragment.inputs.map((input, i) => `@property {${outputType(input.type)}} ${paramName(input, i)}${input.indexed ? " (indexed)" : ""}`)
+    ], "");
+}
+
+function renderEvent(fragment) {
+    const signature = signatureOf(fragment);
+    return [
+        `    ${fragment.name}: {`,
+        `        signature: '${signature}',`,
+        `        topic: '${ethers.id(signature)}'`,
+        `    }`
+    ].join("\n");
+}
+
+function renderEventFilter(fragment) {
+    const params = fragment.inputs
+        .filter(input => input.indexed)
+        .map((input, i) => `${paramName(input, i)}?: ${inputType(input.type)}`);
+
+    return [
+        renderDoc([`@type {(${params.join(", ")}) => TopicFilter}`], "            "),
+        `            ${fragment.name}: (...args) => contract.filters['${signatureOf(fragment)}'](...args)`
+    ].join("\n");
+}
+
+/**
+ * Render the client module for an artifact and its modules. Pure - the output
+ * only depends on the artifacts and their NatSpec, so it can be compared
+ * against the file on disk.
+ */
+export function renderClient(artifact, natspec = { devdoc: {}, userdoc: {} }, modules = [], companions = []) {
+    const abi = mergeAbi(artifact.abi, modules);
+    natspec = mergeNatspec(natspec, modules);
+
+    const functions = abi.filter(f => f.type === "function");
+    const events = abi.filter(f => f.type === "event");
+
+    // Overloaded functions are keyed by full signature, everything else by name
+    const nameCounts = functions.reduce((counts, f) => ({ ...counts, [f.name]: (counts[f.name] || 0) + 1 }), {});
+    const clash = functions.find(f => RESERVED_KEYS.includes(f.name));
+    if (clash) {
+        throw new Error(`Contract function "${clash.name}" clashes with a reserved client key`);
+    }
+
+    const typedefs = [];
+    const wrappers = functions.map(f => renderFunction(f, nameCounts[f.name] > 1 ? signatureOf(f) : f.name, natspec, typedefs));
+
+    return `// blockchain/client/realEstateMarketplace.js
+// AUTO-GENERATED by blockchain/scripts/generate-client.js from the Hardhat
+// artifacts for ${CONTRACT_NAME}. Do not edit - run \`npm run client\` in
+// blockchain/ after changing the contract.
+//
+// The module has no imports: callers pass in their own copy of ethers v6 so the
+// frontend bundle and the backend each keep a single ethers instance.
+
+export const CONTRACT_NAME = '${CONTRACT_NAME}';
+export const SOURCE_NAME = '${SOURCE_NAME}';
+
+// keccak256 of the ABI and of the runtime bytecode this client was generated from
+export const ABI_HASH = '${ethers.id(JSON.stringify(abi))}';
+export const DEPLOYED_BYTECODE_HASH = '${ethers.keccak256(artifact.deployedBytecode)}';
+
+// Contracts ${CONTRACT_NAME} delegates calls to: the getter returning each
+// one's address and the keccak256 of its runtime bytecode
+export const MODULES = ${JSON.stringify(modules.map(m => ({
+    name: m.name,
+    getter: m.getter,
+    deployedBytecodeHash: ethers.keccak256(m.artifact.deployedBytecode)
+})), null, 4)};
+
+export const ABI = ${JSON.stringify(abi, null, 4)};
+${companions.map(c => `
+// ABI of ${c.name} (deployed at its own address - use with new ethers.Contract)
+export const ${c.exportName} = ${JSON.stringify(c.artifact.abi, null, 4)};
+`).join("")}
+// Event signatures and topic hashes, usable without a contract instance
+export const EVENTS = {
+${events.map(renderEvent).join(",\n")}
+};
+
+/**
+ * @typedef {bigint|number|string} BigIntish
+ * @typedef {Object} Overrides - ethers transaction/call overrides (gasLimit, blockTag, ...)
+ * @typedef {Overrides & { value?: BigIntish }} PayableOverrides
+ * @typedef {Object} ContractTransactionResponse - ethers v6 transaction response
+ * @typedef {Object} TopicFilter - ethers v6 deferred topic filter (for contract.queryFilter / contract.on)
+ */
+
+${typedefs.join("\n\n")}
+
+${events.map(renderEventTypedef).join("\n\n")}
+
+/**
+ * @typedef {Object} DecodedEvent
+ * @property {string} name - Event name, e.g. 'SharesPurchased'
+ * @property {string} signature
+ * @property {Object} args - Named event arguments (see the *Args typedefs)
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * Thrown when the contract at the configured address is not the one this
+ * client was generated from
+ */
+export class ContractMismatchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContractMismatchError';
+    }
+}
+
+// "chainId:address" pairs whose bytecode already matched
+const verifiedDeployments = new Set();
+
+/**
+ * Create a typed client for a deployed ${CONTRACT_NAME}
+ * @param {Object} ethers - The caller's ethers v6 module
+ * @param {string} address - Deployed contract address
+ * @param {Object} runner - ethers Signer or Provider
+ */
+export function createRealEstateMarketplaceClient(ethers, address, runner) {
+    if (!ethers.isAddress(address)) {
+        throw new ContractMismatchError(\`Invalid ${CONTRACT_NAME} address: \${address}\`);
+    }
+
+    const contract = new ethers.Contract(address, ABI, runner);
+
+    const read = (signature, shape) => async (...args) => {
+        const result = await contract.getFunction(signature)(...args);
+        if (shape === 'object') return result.toObject();
+        if (shape === 'array') return result.toArray();
+        return result;
+    };
+
+    const write = (signature) => {
+        const method = contract.getFunction(signature);
+        const send = (...args) => method(...args);
+        send.estimateGas = (...args) => method.estimateGas(...args);
+        send.staticCall = (...args) => method.staticCall(...args);
+        return send;
+    };
+
+    /**
+     * Decode a log emitted by this contract; returns null for foreign logs
+     * @returns {DecodedEvent|null}
+     */
+    const decodeEvent = (log) => {
+        if (log.address && log.address.toLowerCase() !== address.toLowerCase()) return null;
+
+        let parsed;
+        try {
+            parsed = contract.interface.parseLog(log);
+        } catch {
+            return null;
+        }
+        if (!parsed) return null;
+
+        return {
+            name: parsed.name,
+            signature: parsed.signature,
+            args: parsed.args.toObject(),
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.index
+        };
+    };
+
+    /**
+     * First event with the given name in a transaction receipt
+     * @returns {DecodedEvent|null}
+     */
+    const findEvent = (receipt, eventName) => {
+        for (const log of receipt.logs) {
+            const event = decodeEvent(log);
+            if (event?.name === eventName) return event;
+        }
+        return null;
+    };
+
+    /**
+     * Throw a ContractMismatchError unless the code deployed at \`address\`, and
+     * at each of its modules, is exactly the bytecode this client was generated from
+     */
+    const verifyDeployment = async () => {
+        const provider = runner?.provider ?? runner;
+        const { chainId } = await provider.getNetwork();
+        const key = \`\${chainId}:\${address.toLowerCase()}\`;
+        if (verifiedDeployments.has(key)) return true;
+
+        const code = await provider.getCode(address);
+        if (code === '0x') {
+            throw new ContractMismatchError(\`No contract deployed at \${address} on chain \${chainId}\`);
+        }
+        if (ethers.keccak256(code) !== DEPLOYED_BYTECODE_HASH) {
+            throw new ContractMismatchError(
+                \`The contract at \${address} on chain \${chainId} does not match the compiled ${CONTRACT_NAME}. \` +
+                'Redeploy the contract or regenerate the client with \`npm run client\` in blockchain/.'
+            );
+        }
+
+        for (const module of MODULES) {
+            const moduleAddress = await contract.getFunction(module.getter)();
+            if (ethers.keccak256(await provider.getCode(moduleAddress)) !== module.deployedBytecodeHash) {
+                throw new ContractMismatchError(
+                    \`The \${module.name} module at \${moduleAddress} used by \${address} does not match the compiled one. \` +
+                    'Redeploy the contract or regenerate the client with \`npm run client\` in blockchain/.'
+                );
+            }
+        }
+
+        verifiedDeployments.add(key);
+        return true;
+    };
+
+    return {
+        address,
+        contract,
+        interface: contract.interface,
+        decodeEvent,
+        findEvent,
+        verifyDeployment,
+
+        events: {
+${events.map(renderEventFilter).join(",\n")}
+        },
+
+${wrappers.join(",\n\n")}
+    };
+}
+
+export default createRealEstateMarketplaceClient;
+`;
+}
+
+// =========================================
+// ENTRY POINTS
+// =========================================
+
+/**
+ * Throw if the committed client was not generated from the current artifact
+ */
+export function assertClientUpToDate() {
+    const expected = renderClient(loadArtifact(), loadNatspec(), loadModules(), loadCompanions());
+    const actual = fs.existsSync(CLIENT_PATH) ? fs.readFileSync(CLIENT_PATH, "utf8") : "";
+
+    if (expected !== actual) {
+        throw new Error(
+            `${path.relative(process.cwd(), CLIENT_PATH)} is out of date with the compiled ${CONTRACT_NAME}. ` +
+            "Run `npm run client` in blockchain/ and commit the result."
+        );
+    }
+}
+
+export function writeClient() {
+    fs.mkdirSync(path.dirname(CLIENT_PATH), { recursive: true });
+    fs.writeFileSync(CLIENT_PATH, renderClient(loadArtifact(), loadNatspec(), loadModules(), loadCompanions()));
+}
+
+if (process.argv[1] === __filename) {
+    try {
+        if (process.argv.includes("--check")) {
+            assertClientUpToDate();
+            console.log("✅ Contract client is up to date");
+        } else {
+            writeClient();
+            console.log(`✅ Contract client written to ${path.relative(process.cwd(), CLIENT_PATH)}`);
+        }
+    } catch (error) {
+        console.error("❌", error.message);
+        process.exit(1);
+    }
+}
@@ -0,0 +1,149 @@
+// blockchain/test/bestPrice.test.js
+/**
+ * Best-price sweeps: quoteBestPrice plans the cheapest listings for an order
+ * and buyAtBestPrice fills them in one transaction, within the buyer's
+ * average price limit.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Best-price sweeps', function () {
+    const E = ethers.parseEther;
+
+    async function sweepFixture() {
+        const [admin, alice, bob, carol] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        for (const holder of [alice, bob]) {
+            await marketplace.connect(holder).buyShares(propertyId, 100, E('100'), { value: E('100') });
+        }
+
+        const list = (seller, shares, price, expiresAt = 0, id = propertyId) =>
+            marketplace.connect(seller).listSharesForResale(id, shares, price, expiresAt);
+        await list(alice, 10, E('1.3')); // 0
+        await list(bob, 10, E('1.1'));   // 1
+        await list(alice, 5, E('1.2'));  // 2
+        await list(bob, 5, E('1.1'));    // 3
+
+        const quote = async (shares, buyer = carol) => {
+            const plan = await marketplace.quoteBestPrice(propertyId, shares, buyer.address);
+            return {
+                listingIds: [...plan.listingIds],
+                shares: [...plan.shares],
+                sharesAvailable: plan.sharesAvailable,
+                totalCost: plan.totalCost
+            };
+        };
+
+        return { marketplace, propertyId, admin, alice, bob, carol, list, quote };
+    }
+
+    it('plans the cheapest listings first, oldest first at equal prices', async function () {
+        const { quote } = await loadFixture(sweepFixture);
+
+        expect(await quote(22)).to.deep.equal({
+            listingIds: [1n, 3n, 2n, 0n],
+            shares: [10n, 5n, 5n, 2n],
+            sharesAvailable: 22n,
+            totalCost: E('25.1')
+        });
+        expect(await quote(4)).to.deep.equal({ listingIds: [1n], shares: [4n], sharesAvailable: 4n, totalCost: E('4.4') });
+    });
+
+    it('leaves the buyer\'s own and closed listings out of the plan', async function () {
+        const { marketplace, alice, bob, carol, list, quote } = await loadFixture(sweepFixture);
+        await marketplace.connect(bob).cancelResaleListing(3);
+        await list(bob, 5, E('1'), (await time.latest()) + 60); // 4, expires
+
+        // Alice's listings aren't offered to her, so the plan covers fewer shares than asked
+        expect(await quote(30, alice)).to.deep.equal({
+            listingIds: [4n, 1n],
+            shares: [5n, 10n],
+            sharesAvailable: 15n,
+            totalCost: E('16')
+        });
+
+        await time.increase(61);
+        expect((await quote(30, carol)).listingIds).to.deep.equal([1n, 2n, 0n]);
+    });
+
+    it('plans at most MAX_SWEEP_LISTINGS listings', async function () {
+        const { marketplace, alice, list, quote } = await loadFixture(sweepFixture);
+        const maxListings = await marketplace.MAX_SWEEP_LISTINGS();
+        for (let i = 0n; i < maxListings; i++) {
+            await list(alice, 1, E('1'));
+        }
+
+        const plan = await quote(maxListings + 5n);
+        expect(plan.listingIds).to.have.length(Number(maxListings));
+        expect(plan.sharesAvailable).to.equal(maxListings);
+        expect(plan.totalCost).to.equal(E('1') * maxListings);
+    });
+
+    it('fills the planned listings in one purchase', async function () {
+        const { marketplace, propertyId, alice, bob, carol, quote } = await loadFixture(sweepFixture);
+        const plan = await quote(22);
+
+        const sweep = marketplace.connect(carol).buyAtBestPrice(propertyId, 22, E('1.2'), plan.listingIds, { value: E('26') });
+        await expect(sweep)
+            .to.emit(marketplace, 'ResaleSweep').withArgs(propertyId, carol.address, 22n, E('25.1'), 4n)
+            .and.to.emit(marketplace, 'ResaleCompleted').withArgs(0n, propertyId, carol.address, alice.address, 2n, E('1.3'), E('1.3'));
+
+        expect(await marketplace.getUserShares(propertyId, carol.address)).to.equal(22n);
+        expect(await marketplace.getUserShares(propertyId, bob.address)).to.equal(85n);
+        // The MATIC sent above the cost is credited back
+        expect(await marketplace.pendingProceeds(propertyId, carol.address)).to.equal(E('0.9'));
+
+        expect((await marketplace.resaleListings(1)).isActive).to.equal(false);
+        const partFilled = await marketplace.resaleListings(0);
+        expect(partFilled.isActive).to.equal(true);
+        expect(partFilled.sharesSold).to.equal(2n);
+        expect(await marketplace.getMarketPrice(propertyId)).to.equal(E('1.3'));
+    });
+
+    it('reverts when the average price is above the buyer\'s limit', async function () {
+        const { marketplace, propertyId, carol, quote } = await loadFixture(sweepFixture);
+        const plan = await quote(22);
+
+        // 25.1 for 22 shares is just over 1.14 a share
+        await expect(marketplace.connect(carol).buyAtBestPrice(propertyId, 22, E('1.14'), plan.listingIds, { value: E('26') }))
+            .to.be.revertedWith('Average price above limit');
+        await expect(marketplace.connect(carol).buyAtBestPrice(propertyId, 22, E('1.15'), plan.listingIds, { value: E('25') }))
+            .to.be.revertedWith('Insufficient payment');
+    });
+
+    it('skips listings that closed, belong to the buyer or to another property', async function () {
+        const { marketplace, propertyId, alice, bob, carol, list } = await loadFixture(sweepFixture);
+        const other = await listProperty(marketplace, { price: E('1'), shares: 100 });
+        await marketplace.connect(bob).buyShares(other, 10, E('10'), { value: E('10') });
+        await list(bob, 10, E('1'), 0, other); // 4
+        // Listing 1 sells out between the quote and the sweep
+        await marketplace.connect(carol).buyFromResale(1, 10, { value: E('11') });
+
+        await expect(marketplace.connect(alice).buyAtBestPrice(propertyId, 20, E('2'), [4, 1, 0, 2, 3], { value: E('20') }))
+            .to.emit(marketplace, 'ResaleSweep').withArgs(propertyId, alice.address, 5n, E('5.5'), 1n);
+
+        await expect(marketplace.connect(alice).buyAtBestPrice(propertyId, 5, E('2'), [4, 1, 0], { value: E('10') }))
+            .to.be.revertedWith('No shares available');
+    });
+
+    it('checks the order and trading status', async function () {
+        const { marketplace, propertyId, carol } = await loadFixture(sweepFixture);
+        const maxListings = await marketplace.MAX_SWEEP_LISTINGS();
+
+        await expect(marketplace.connect(carol).buyAtBestPrice(propertyId, 0, E('2'), [1], { value: E('2') }))
+            .to.be.revertedWith('Must buy at least 1');
+        const tooMany = Array.from({ length: Number(maxListings) + 1 }, () => 1);
+        await expect(marketplace.connect(carol).buyAtBestPrice(propertyId, 1, E('2'), tooMany, { value: E('2') }))
+            .to.be.revertedWith('Too many listings');
+
+        await marketplace.setResaleActive(propertyId, false);
+        await expect(marketplace.connect(carol).buyAtBestPrice(propertyId, 1, E('2'), [1], { value: E('2') }))
+            .to.be.revertedWith('Resale trading halted');
+    });
+});
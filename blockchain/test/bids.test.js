@@ -0,0 +1,109 @@
+// blockchain/test/bids.test.js
+/**
+ * Bids (buy orders): escrowed with the order, filled in part or in full by
+ * holders at the bid's price, and refunded when cancelled or expired.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Bids', function () {
+    const E = ethers.parseEther;
+    const BID_PRICE = E('1.1');
+
+    async function bidsFixture() {
+        const [admin, buyer, alice, bob, keeper] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(alice).buyShares(propertyId, 30, E('30'), { value: E('30') });
+        await marketplace.connect(bob).buyShares(propertyId, 30, E('30'), { value: E('30') });
+
+        const placeBid = (shares, { expiresAt = 0, value = BID_PRICE * BigInt(shares) } = {}) =>
+            marketplace.connect(buyer).placeBid(propertyId, shares, BID_PRICE, expiresAt, { value });
+
+        return { marketplace, propertyId, buyer, alice, bob, keeper, placeBid };
+    }
+
+    it('escrows the full amount of a bid', async function () {
+        const { marketplace, propertyId, buyer, placeBid } = await loadFixture(bidsFixture);
+
+        await expect(placeBid(20)).to.changeEtherBalances([buyer, marketplace], [-E('22'), E('22')]);
+        await expect(placeBid(20, { value: E('21') })).to.be.revertedWith('Insufficient payment');
+
+        // Excess MATIC is credited back to the buyer
+        await placeBid(10, { value: E('12') });
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(E('1'));
+
+        expect(await marketplace.getActiveBids(propertyId)).to.deep.equal([0n, 1n]);
+    });
+
+    it('fills a bid in parts from several holders', async function () {
+        const { marketplace, propertyId, buyer, alice, bob, placeBid } = await loadFixture(bidsFixture);
+        await placeBid(20);
+
+        await expect(marketplace.connect(alice).fillBid(0, 8))
+            .to.emit(marketplace, 'BidFilled').withArgs(0n, propertyId, alice.address, buyer.address, 8n, BID_PRICE, BID_PRICE);
+
+        let bid = await marketplace.buyOrders(0);
+        expect(bid.sharesFilled).to.equal(8n);
+        expect(bid.isActive).to.equal(true);
+        expect(await marketplace.getMarketPrice(propertyId)).to.equal(BID_PRICE);
+
+        await expect(marketplace.connect(bob).fillBid(0, 13)).to.be.revertedWith('Not enough shares in bid');
+        await marketplace.connect(bob).fillBid(0, 12);
+
+        bid = await marketplace.buyOrders(0);
+        expect(bid.sharesFilled).to.equal(20n);
+        expect(bid.isActive).to.equal(false);
+        await expect(marketplace.connect(bob).fillBid(0, 1)).to.be.revertedWith('Bid not active');
+
+        expect(await marketplace.getUserShares(propertyId, buyer.address)).to.equal(20n);
+        expect(await marketplace.getUserShares(propertyId, alice.address)).to.equal(22n);
+        expect(await marketplace.getUserShares(propertyId, bob.address)).to.equal(18n);
+        expect(await marketplace.pendingProceeds(propertyId, alice.address)).to.equal(BID_PRICE * 8n);
+        expect(await marketplace.pendingProceeds(propertyId, bob.address)).to.equal(BID_PRICE * 12n);
+        expect(await marketplace.getActiveBids(propertyId)).to.deep.equal([]);
+    });
+
+    it('only fills from free shares the seller holds', async function () {
+        const { marketplace, propertyId, buyer, alice, placeBid } = await loadFixture(bidsFixture);
+        await placeBid(40);
+
+        await expect(marketplace.connect(alice).fillBid(0, 31)).to.be.revertedWith('Insufficient shares');
+        await marketplace.connect(alice).listSharesForResale(propertyId, 25, E('1.2'), 0);
+        await expect(marketplace.connect(alice).fillBid(0, 6)).to.be.revertedWith('Insufficient shares');
+        await expect(marketplace.connect(buyer).fillBid(0, 1)).to.be.revertedWith('Cannot fill own bid');
+    });
+
+    it('refunds the unfilled part of a cancelled bid', async function () {
+        const { marketplace, propertyId, buyer, alice, keeper, placeBid } = await loadFixture(bidsFixture);
+        await placeBid(20);
+        await marketplace.connect(alice).fillBid(0, 5);
+
+        await expect(marketplace.connect(keeper).cancelBid(0)).to.be.revertedWith('Not your bid');
+        await expect(marketplace.connect(buyer).cancelBid(0))
+            .to.emit(marketplace, 'BidCancelled').withArgs(0n, BID_PRICE * 15n);
+
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(BID_PRICE * 15n);
+        await expect(marketplace.connect(buyer).withdrawProceeds(propertyId))
+            .to.changeEtherBalance(buyer, BID_PRICE * 15n);
+        await expect(marketplace.connect(alice).fillBid(0, 1)).to.be.revertedWith('Bid not active');
+    });
+
+    it('lets anyone clear an expired bid', async function () {
+        const { marketplace, propertyId, buyer, alice, keeper, placeBid } = await loadFixture(bidsFixture);
+        const expiresAt = (await time.latest()) + 3600;
+        await placeBid(10, { expiresAt });
+
+        await time.increaseTo(expiresAt + 1);
+        await expect(marketplace.connect(alice).fillBid(0, 1)).to.be.revertedWith('Bid expired');
+        expect(await marketplace.getActiveBids(propertyId)).to.deep.equal([]);
+
+        await marketplace.connect(keeper).cancelBid(0);
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(BID_PRICE * 10n);
+    });
+});
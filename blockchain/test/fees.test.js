@@ -0,0 +1,127 @@
+// blockchain/test/fees.test.js
+/**
+ * Platform fees and the lister royalty: basis-point splits of primary and
+ * resale trades, the fee treasuries and their withdrawal.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Trade fees', function () {
+    const E = ethers.parseEther;
+    const PRIMARY_FEE_BPS = 200n;
+    const RESALE_FEE_BPS = 150n;
+    const ROYALTY_BPS = 100n;
+    const bps = (amount, rate) => amount * rate / 10000n;
+
+    async function feesFixture() {
+        const [admin, lister, alice, bob, treasury] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+        await marketplace.setFees(PRIMARY_FEE_BPS, RESALE_FEE_BPS, ROYALTY_BPS);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000, beneficiary: lister.address });
+
+        return { marketplace, propertyId, admin, lister, alice, bob, treasury };
+    }
+
+    it('caps the fees at MAX_FEE_BPS', async function () {
+        const { marketplace, alice } = await loadFixture(feesFixture);
+        const max = await marketplace.MAX_FEE_BPS();
+
+        await expect(marketplace.setFees(max + 1n, 0, 0)).to.be.revertedWith('Fee too high');
+        await expect(marketplace.setFees(0, max, 1)).to.be.revertedWith('Fee too high');
+        await expect(marketplace.connect(alice).setFees(0, 0, 0))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+
+        await expect(marketplace.setFees(max, max - 300n, 300))
+            .to.emit(marketplace, 'FeesUpdated').withArgs(max, max - 300n, 300n);
+    });
+
+    it('splits trades into platform fee, royalty and seller proceeds', async function () {
+        const { marketplace } = await loadFixture(feesFixture);
+        const amount = E('3.33');
+
+        const primary = await marketplace.getFeeBreakdown(amount, true);
+        expect(primary.platformFee).to.equal(bps(amount, PRIMARY_FEE_BPS));
+        expect(primary.royalty).to.equal(0n);
+        expect(primary.sellerProceeds).to.equal(amount - primary.platformFee);
+
+        const resale = await marketplace.getFeeBreakdown(amount, false);
+        expect(resale.platformFee).to.equal(bps(amount, RESALE_FEE_BPS));
+        expect(resale.royalty).to.equal(bps(amount, ROYALTY_BPS));
+        expect(resale.sellerProceeds).to.equal(amount - resale.platformFee - resale.royalty);
+    });
+
+    it('takes the primary fee into the treasury and credits the rest to the owner', async function () {
+        const { marketplace, propertyId, lister, alice } = await loadFixture(feesFixture);
+        const cost = E('25');
+        const fee = bps(cost, PRIMARY_FEE_BPS);
+
+        await expect(marketplace.connect(alice).buyShares(propertyId, 25, cost, { value: cost }))
+            .to.emit(marketplace, 'TradeFeesCharged').withArgs(propertyId, lister.address, cost, fee, 0n, true);
+
+        expect(await marketplace.feeTreasury()).to.equal(fee);
+        expect(await marketplace.pendingProceeds(propertyId, lister.address)).to.equal(cost - fee);
+    });
+
+    it('pays the resale royalty to the original lister', async function () {
+        const { marketplace, propertyId, lister, alice, bob } = await loadFixture(feesFixture);
+        await marketplace.connect(alice).buyShares(propertyId, 100, E('100'), { value: E('100') });
+        await marketplace.connect(lister).withdrawProceeds(propertyId);
+        const primaryFee = await marketplace.feeTreasury();
+
+        // The royalty stays with the lister after the property NFT changes hands
+        await marketplace.connect(lister).transferFrom(lister.address, bob.address, propertyId);
+        expect(await marketplace.getRoyaltyRecipient(propertyId)).to.equal(lister.address);
+
+        await marketplace.connect(alice).listSharesForResale(propertyId, 40, E('1.2'), 0);
+        const gross = E('48');
+        const fee = bps(gross, RESALE_FEE_BPS);
+        const royalty = bps(gross, ROYALTY_BPS);
+
+        await expect(marketplace.connect(bob).buyFromResale(0, 40, { value: gross }))
+            .to.emit(marketplace, 'TradeFeesCharged').withArgs(propertyId, alice.address, gross, fee, royalty, false);
+
+        expect(await marketplace.pendingProceeds(propertyId, alice.address)).to.equal(gross - fee - royalty);
+        expect(await marketplace.pendingProceeds(propertyId, lister.address)).to.equal(royalty);
+        expect(await marketplace.pendingProceeds(propertyId, bob.address)).to.equal(0n);
+        expect(await marketplace.feeTreasury()).to.equal(primaryFee + fee);
+    });
+
+    it('withdraws collected fees from the treasury', async function () {
+        const { marketplace, propertyId, alice, treasury } = await loadFixture(feesFixture);
+        await marketplace.connect(alice).buyShares(propertyId, 50, E('50'), { value: E('50') });
+        const collected = await marketplace.feeTreasury();
+
+        await expect(marketplace.withdrawFees(treasury.address, collected + 1n)).to.be.revertedWith('Insufficient treasury');
+        await expect(marketplace.connect(alice).withdrawFees(alice.address, 1n))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+
+        await expect(marketplace.withdrawFees(treasury.address, collected))
+            .to.changeEtherBalances([treasury, marketplace], [collected, -collected]);
+        expect(await marketplace.feeTreasury()).to.equal(0n);
+    });
+
+    it('keeps stablecoin fees in a treasury per token', async function () {
+        const { marketplace, lister, alice, treasury } = await loadFixture(feesFixture);
+        const usdc = await (await ethers.getContractFactory('MockStablecoin')).deploy('USD Coin', 'USDC', 6);
+        const units = (n) => ethers.parseUnits(n, 6);
+
+        const propertyId = await marketplace.nextPropertyId();
+        await marketplace.listProperty(units('10'), 100, 'ipfs://token', await usdc.getAddress(), lister.address, 0, 0, 0, 0, 0);
+        await usdc.mint(alice.address, units('100'));
+        await usdc.connect(alice).approve(await marketplace.getAddress(), units('100'));
+
+        await marketplace.connect(alice).buyShares(propertyId, 10, units('100'));
+        const fee = bps(units('100'), PRIMARY_FEE_BPS);
+        expect(await marketplace.tokenFeeTreasury(await usdc.getAddress())).to.equal(fee);
+        expect(await marketplace.feeTreasury()).to.equal(0n);
+
+        await marketplace.withdrawTokenFees(await usdc.getAddress(), treasury.address, fee);
+        expect(await usdc.balanceOf(treasury.address)).to.equal(fee);
+        expect(await marketplace.tokenFeeTreasury(await usdc.getAddress())).to.equal(0n);
+    });
+});
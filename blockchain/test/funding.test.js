@@ -0,0 +1,138 @@
+// blockchain/test/funding.test.js
+/**
+ * Funding rounds: primary sales with a soft cap and a deadline, escrowed
+ * until the round is finalized or refunded when it fails.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty, FundingStatus } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Funding rounds', function () {
+    const E = ethers.parseEther;
+    const PRICE = E('1');
+    const SOFT_CAP = E('50');
+
+    async function roundFixture() {
+        const [admin, seller, alice, bob] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const deadline = (await time.latest()) + 7 * 24 * 3600;
+        const propertyId = await listProperty(marketplace, {
+            price: PRICE, shares: 100, beneficiary: seller.address, softCap: SOFT_CAP, deadline
+        });
+
+        const buy = (buyer, shares) => marketplace.connect(buyer).buyShares(propertyId, shares, PRICE * BigInt(shares), { value: PRICE * BigInt(shares) });
+
+        return { marketplace, propertyId, deadline, admin, seller, alice, bob, buy };
+    }
+
+    it('escrows purchases made into an open round', async function () {
+        const { marketplace, propertyId, seller, alice, buy } = await loadFixture(roundFixture);
+
+        await expect(buy(alice, 20)).to.changeEtherBalances([alice, marketplace], [-E('20'), E('20')]);
+
+        expect(await marketplace.getUserShares(propertyId, alice.address)).to.equal(20n);
+        expect(await marketplace.fundingContributions(propertyId, alice.address)).to.equal(E('20'));
+        expect(await marketplace.pendingProceeds(propertyId, seller.address)).to.equal(0n);
+
+        const [softCap, , raised, status] = await marketplace.getFundingStatus(propertyId);
+        expect(softCap).to.equal(SOFT_CAP);
+        expect(raised).to.equal(E('20'));
+        expect(status).to.equal(FundingStatus.Open);
+    });
+
+    it('refunds buyers and voids their shares when the soft cap is missed', async function () {
+        const { marketplace, propertyId, deadline, alice, bob, buy } = await loadFixture(roundFixture);
+        await buy(alice, 20);
+        await buy(bob, 10);
+
+        await time.increaseTo(deadline + 1);
+        expect((await marketplace.getFundingStatus(propertyId)).status).to.equal(FundingStatus.Failed);
+        await expect(buy(bob, 1)).to.be.revertedWith('Funding round closed');
+
+        await expect(marketplace.connect(alice).claimFundingRefund(propertyId))
+            .to.emit(marketplace, 'FundingFailed').withArgs(propertyId, E('30'))
+            .and.to.emit(marketplace, 'FundingRefunded').withArgs(propertyId, alice.address, 20n, E('20'));
+        await expect(marketplace.connect(bob).claimFundingRefund(propertyId))
+            .to.changeEtherBalances([bob, marketplace], [E('10'), -E('10')]);
+
+        expect(await marketplace.getUserShares(propertyId, alice.address)).to.equal(0n);
+        expect(await marketplace.getUserShares(propertyId, bob.address)).to.equal(0n);
+        const details = await marketplace.getPropertyDetails(propertyId);
+        expect(details.sharesSold).to.equal(0n);
+        expect(details.isActive).to.equal(false);
+
+        await expect(marketplace.connect(alice).claimFundingRefund(propertyId)).to.be.revertedWith('Nothing to refund');
+    });
+
+    it('refunds buyers of a cancelled round even after the soft cap was met', async function () {
+        const { marketplace, propertyId, alice, buy } = await loadFixture(roundFixture);
+        await buy(alice, 60);
+
+        await marketplace.cancelFunding(propertyId);
+        await expect(marketplace.finalizeFunding(propertyId)).to.be.revertedWith('Funding round not open');
+        await expect(marketplace.connect(alice).claimFundingRefund(propertyId))
+            .to.changeEtherBalance(alice, E('60'));
+    });
+
+    it('credits the raise to the owner net of the platform fee when finalized', async function () {
+        const { marketplace, propertyId, seller, alice, bob, buy } = await loadFixture(roundFixture);
+        await marketplace.setFees(250, 0, 0);
+        await buy(alice, 40);
+
+        await expect(marketplace.finalizeFunding(propertyId)).to.be.revertedWith('Soft cap not reached');
+        await buy(bob, 20);
+
+        // Only the admin may finalize before the deadline
+        await expect(marketplace.connect(alice).finalizeFunding(propertyId)).to.be.revertedWith('Funding round still open');
+
+        const fee = E('60') * 250n / 10000n;
+        await expect(marketplace.finalizeFunding(propertyId))
+            .to.emit(marketplace, 'TradeFeesCharged').withArgs(propertyId, seller.address, E('60'), fee, 0n, true)
+            .and.to.emit(marketplace, 'FundingFinalized').withArgs(propertyId, E('60'));
+
+        expect(await marketplace.pendingProceeds(propertyId, seller.address)).to.equal(E('60') - fee);
+        expect(await marketplace.feeTreasury()).to.equal(fee);
+        expect((await marketplace.getFundingStatus(propertyId)).status).to.equal(FundingStatus.Succeeded);
+
+        await expect(marketplace.connect(seller).withdrawProceeds(propertyId))
+            .to.changeEtherBalance(seller, E('60') - fee);
+
+        // Later primary sales pay the owner directly
+        await buy(alice, 10);
+        expect(await marketplace.pendingProceeds(propertyId, seller.address)).to.equal(E('10') - E('10') * 250n / 10000n);
+        await expect(marketplace.connect(alice).claimFundingRefund(propertyId)).to.be.revertedWith('Refunds not available');
+    });
+
+    it('blocks resales and transfers until the round is finalized', async function () {
+        const { marketplace, propertyId, alice, bob, buy } = await loadFixture(roundFixture);
+        await buy(alice, 60);
+
+        await expect(marketplace.connect(alice).listSharesForResale(propertyId, 5, PRICE, 0))
+            .to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(alice).transferShares(propertyId, bob.address, 5))
+            .to.be.revertedWith('Funding round not finalized');
+        await expect(marketplace.setResaleActive(propertyId, true))
+            .to.be.revertedWith('Funding round not finalized');
+
+        await marketplace.finalizeFunding(propertyId);
+
+        await marketplace.connect(alice).transferShares(propertyId, bob.address, 5);
+        await marketplace.connect(bob).listSharesForResale(propertyId, 5, PRICE, 0);
+        expect(await marketplace.lockedShares(propertyId, bob.address)).to.equal(5n);
+    });
+
+    it('keeps the shares of a failed round locked', async function () {
+        const { marketplace, propertyId, alice, bob, buy } = await loadFixture(roundFixture);
+        await buy(alice, 20);
+        await marketplace.cancelFunding(propertyId);
+
+        await expect(marketplace.connect(alice).transferShares(propertyId, bob.address, 5))
+            .to.be.revertedWith('Funding round not finalized');
+        await expect(marketplace.connect(alice).listSharesForResale(propertyId, 5, PRICE, 0))
+            .to.be.revertedWith('Resale trading halted');
+    });
+});
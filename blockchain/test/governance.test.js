@@ -0,0 +1,195 @@
+// blockchain/test/governance.test.js
+/**
+ * Shareholder governance: holding checkpoints, proposals that weigh the
+ * shares held the block before they were made, the 20% quorum and one vote
+ * per holder however the shares move afterwards.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, mine, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers, network } = pkg;
+
+const ProposalState = Object.freeze({ Active: 0n, Defeated: 1n, Succeeded: 2n, Cancelled: 3n });
+const VoteType = Object.freeze({ Against: 0n, For: 1n, Abstain: 2n });
+
+describe('Shareholder governance', function () {
+    const E = ethers.parseEther;
+    const DAY = 24 * 3600;
+
+    async function governanceFixture() {
+        const [admin, alice, bob, carol, outsider] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        const buy = (buyer, shares) =>
+            marketplace.connect(buyer).buyShares(propertyId, shares, E('1') * BigInt(shares), { value: E('1') * BigInt(shares) });
+        await buy(alice, 15);
+        await buy(bob, 5);
+        await buy(carol, 80);
+
+        const propose = async (proposer = alice) => {
+            const proposalId = await marketplace.nextProposalId();
+            await marketplace.connect(proposer).createProposal(propertyId, 'Replace the roof', DAY);
+            return proposalId;
+        };
+
+        return { marketplace, propertyId, admin, alice, bob, carol, outsider, buy, propose };
+    }
+
+    // Mine the transactions sent by send() into a single block
+    async function inOneBlock(send) {
+        await network.provider.send('evm_setAutomine', [false]);
+        try {
+            const txs = await send();
+            await mine();
+            return Promise.all(txs.map(tx => tx.wait()));
+        } finally {
+            await network.provider.send('evm_setAutomine', [true]);
+        }
+    }
+
+    it('checkpoints each holding from the block it changed', async function () {
+        const { marketplace, propertyId, alice, bob, buy } = await loadFixture(governanceFixture);
+        const before = await ethers.provider.getBlockNumber();
+
+        const bought = await (await buy(alice, 10)).wait();
+        await mine(3);
+        const sent = await (await marketplace.connect(alice).transferShares(propertyId, bob.address, 20)).wait();
+
+        expect(await marketplace.getVotingPower(propertyId, alice.address, before)).to.equal(15n);
+        expect(await marketplace.getVotingPower(propertyId, alice.address, bought.blockNumber)).to.equal(25n);
+        expect(await marketplace.getVotingPower(propertyId, alice.address, sent.blockNumber - 1)).to.equal(25n);
+        expect(await marketplace.getVotingPower(propertyId, alice.address, sent.blockNumber)).to.equal(5n);
+        expect(await marketplace.getVotingPower(propertyId, bob.address, sent.blockNumber)).to.equal(25n);
+        expect(await marketplace.getVotingPower(propertyId, bob.address, 0)).to.equal(0n);
+
+        // Locked (listed) shares still count towards the holding
+        await marketplace.connect(bob).listSharesForResale(propertyId, 10, E('1.2'), 0);
+        expect(await marketplace.getVotingPower(propertyId, bob.address, await ethers.provider.getBlockNumber())).to.equal(25n);
+    });
+
+    it('keeps one checkpoint per block', async function () {
+        const { marketplace, propertyId, alice, bob, carol } = await loadFixture(governanceFixture);
+
+        const [, sent] = await inOneBlock(async () => [
+            await marketplace.connect(carol).transferShares(propertyId, alice.address, 30),
+            await marketplace.connect(alice).transferShares(propertyId, bob.address, 40)
+        ]);
+
+        expect(await marketplace.getVotingPower(propertyId, alice.address, sent.blockNumber)).to.equal(5n);
+        expect(await marketplace.getVotingPower(propertyId, bob.address, sent.blockNumber)).to.equal(45n);
+        expect(await marketplace.getVotingPower(propertyId, alice.address, sent.blockNumber - 1)).to.equal(15n);
+    });
+
+    it('snapshots the block before the proposal', async function () {
+        const { marketplace, propertyId, alice, outsider, buy, propose } = await loadFixture(governanceFixture);
+
+        await expect(propose(outsider)).to.be.revertedWith('Only shareholders can propose');
+
+        // Shares bought in the proposal's own block neither vote nor count towards quorum
+        const proposalId = await marketplace.nextProposalId();
+        const [, created] = await inOneBlock(async () => [
+            await buy(outsider, 100),
+            await marketplace.connect(alice).createProposal(propertyId, 'Replace the roof', DAY)
+        ]);
+
+        const { proposal, state } = await marketplace.getProposal(proposalId);
+        expect(proposal.snapshotBlock).to.equal(BigInt(created.blockNumber - 1));
+        expect(proposal.quorum).to.equal(20n);
+        expect(state).to.equal(ProposalState.Active);
+
+        await expect(marketplace.connect(outsider).castVote(proposalId, VoteType.For))
+            .to.be.revertedWith('No shares at snapshot');
+    });
+
+    it('needs 20% of the held shares to vote, rounded up', async function () {
+        const { marketplace, propertyId, alice, bob, outsider, buy, propose } = await loadFixture(governanceFixture);
+        const short = await propose();
+        const met = await propose();
+
+        await marketplace.connect(alice).castVote(short, VoteType.For);
+        await marketplace.connect(alice).castVote(met, VoteType.For);
+        // Abstentions count towards quorum but not the result
+        await expect(marketplace.connect(bob).castVote(met, VoteType.Abstain))
+            .to.emit(marketplace, 'VoteCast').withArgs(met, bob.address, VoteType.Abstain, 5n);
+
+        await time.increase(DAY + 1);
+        expect((await marketplace.getProposal(short)).state).to.equal(ProposalState.Defeated);
+        expect((await marketplace.getProposal(met)).state).to.equal(ProposalState.Succeeded);
+        await expect(marketplace.connect(bob).castVote(short, VoteType.For)).to.be.revertedWith('Voting closed');
+
+        // 101 shares held: 20.2 rounds up to 21
+        await buy(outsider, 1);
+        const rounded = await propose();
+        expect((await marketplace.getProposal(rounded)).proposal.quorum).to.equal(21n);
+        expect(await marketplace.PROPOSAL_QUORUM_BPS()).to.equal(2000n);
+    });
+
+    it('is defeated unless more shares vote for than against', async function () {
+        const { marketplace, alice, bob, carol, propose } = await loadFixture(governanceFixture);
+        const proposalId = await propose();
+
+        await marketplace.connect(alice).castVote(proposalId, VoteType.For);
+        await marketplace.connect(bob).castVote(proposalId, VoteType.For);
+        await marketplace.connect(carol).castVote(proposalId, VoteType.Against);
+
+        const { proposal } = await marketplace.getProposal(proposalId);
+        expect(proposal.forVotes).to.equal(20n);
+        expect(proposal.againstVotes).to.equal(80n);
+
+        await time.increase(DAY + 1);
+        expect((await marketplace.getProposal(proposalId)).state).to.equal(ProposalState.Defeated);
+    });
+
+    it('counts one vote per holder', async function () {
+        const { marketplace, alice, propose } = await loadFixture(governanceFixture);
+        const proposalId = await propose();
+
+        await marketplace.connect(alice).castVote(proposalId, VoteType.Against);
+        await expect(marketplace.connect(alice).castVote(proposalId, VoteType.For))
+            .to.be.revertedWith('Already voted');
+
+        const receipt = await marketplace.getVoteReceipt(proposalId, alice.address);
+        expect(receipt.hasVoted).to.equal(true);
+        expect(receipt.support).to.equal(VoteType.Against);
+        expect(receipt.weight).to.equal(15n);
+        expect((await marketplace.getProposal(proposalId)).proposal.againstVotes).to.equal(15n);
+    });
+
+    it('weighs votes by the snapshot after shares move', async function () {
+        const { marketplace, propertyId, alice, bob, carol, outsider, propose } = await loadFixture(governanceFixture);
+        const proposalId = await propose();
+
+        // Passing shares on during the vote doesn't let them vote again
+        await marketplace.connect(alice).transferShares(propertyId, outsider.address, 15);
+        await expect(marketplace.connect(outsider).castVote(proposalId, VoteType.For))
+            .to.be.revertedWith('No shares at snapshot');
+        await expect(marketplace.connect(alice).castVote(proposalId, VoteType.For))
+            .to.emit(marketplace, 'VoteCast').withArgs(proposalId, alice.address, VoteType.For, 15n);
+
+        // Shares bought on resale during the vote add nothing either
+        await marketplace.connect(carol).listSharesForResale(propertyId, 40, E('1.2'), 0);
+        await marketplace.connect(bob).buyFromResale(0, 40, { value: E('48') });
+        await marketplace.connect(bob).castVote(proposalId, VoteType.For);
+        await marketplace.connect(carol).castVote(proposalId, VoteType.Against);
+
+        const { proposal } = await marketplace.getProposal(proposalId);
+        expect(proposal.forVotes).to.equal(20n);
+        expect(proposal.againstVotes).to.equal(80n);
+    });
+
+    it('lets the proposer or the platform cancel a proposal while it is open', async function () {
+        const { marketplace, admin, alice, bob, propose } = await loadFixture(governanceFixture);
+        const first = await propose();
+        const second = await propose();
+
+        await expect(marketplace.connect(bob).cancelProposal(first)).to.be.revertedWith('Not your proposal');
+        await expect(marketplace.connect(alice).cancelProposal(first)).to.emit(marketplace, 'ProposalCancelled').withArgs(first);
+        await marketplace.connect(admin).cancelProposal(second);
+
+        expect((await marketplace.getProposal(first)).state).to.equal(ProposalState.Cancelled);
+        await expect(marketplace.connect(bob).castVote(first, VoteType.For)).to.be.revertedWith('Voting closed');
+    });
+});
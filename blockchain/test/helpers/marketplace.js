@@ -0,0 +1,38 @@
+// blockchain/test/helpers/marketplace.js
+/**
+ * Deploys the marketplace with its orders and admin modules for a test.
+ * The returned contract uses the generated client's ABI, which has the
+ * module functions the marketplace only reaches through its fallback.
+ */
+import pkg from 'hardhat';
+import { ABI } from '../../client/realEstateMarketplace.js';
+
+const { ethers } = pkg;
+
+export const FundingStatus = Object.freeze({ None: 0n, Open: 1n, Succeeded: 2n, Failed: 3n });
+
+/**
+ * @param {import('ethers').Signer} owner - Contract owner (admin)
+ * @returns {Promise<{marketplace: import('ethers').Contract, deployBlock: number}>}
+ */
+export async function deployMarketplace(owner) {
+    const ordersModule = await (await ethers.getContractFactory('RealEstateMarketplaceOrders', owner)).deploy();
+    const adminModule = await (await ethers.getContractFactory('RealEstateMarketplaceAdmin', owner)).deploy();
+    const deployed = await (await ethers.getContractFactory('RealEstateMarketplace', owner))
+        .deploy(await ordersModule.getAddress(), await adminModule.getAddress());
+    const deployBlock = (await deployed.deploymentTransaction().wait()).blockNumber;
+
+    return {
+        marketplace: new ethers.Contract(await deployed.getAddress(), ABI, owner),
+        deployBlock
+    };
+}
+
+/**
+ * List a fixed-price MATIC property, as a funding round when given a soft cap, and return its id
+ */
+export async function listProperty(marketplace, { price, shares, beneficiary = ethers.ZeroAddress, softCap = 0n, deadline = 0 }) {
+    const propertyId = await marketplace.nextPropertyId();
+    await (await marketplace.listProperty(price, shares, 'ipfs://test', ethers.ZeroAddress, beneficiary, softCap, deadline, 0, 0, 0)).wait();
+    return propertyId;
+}
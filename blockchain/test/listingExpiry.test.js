@@ -0,0 +1,131 @@
+// blockchain/test/listingExpiry.test.js
+/**
+ * Resale listing lifecycle: listings that expire, clearing them to unlock
+ * the unsold shares, and changing a listing in place.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Resale listing expiry and updates', function () {
+    const E = ethers.parseEther;
+    const PRICE = E('1.2');
+    const HOUR = 3600;
+
+    async function listingFixture() {
+        const [admin, seller, buyer, keeper] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(seller).buyShares(propertyId, 100, E('100'), { value: E('100') });
+
+        // 20 shares listed for an hour, 5 of them sold
+        const expiresAt = (await time.latest()) + HOUR;
+        await marketplace.connect(seller).listSharesForResale(propertyId, 20, PRICE, expiresAt); // 0
+        await marketplace.connect(buyer).buyFromResale(0, 5, { value: PRICE * 5n });
+
+        const shares = async () => ({
+            free: await marketplace.getUserShares(propertyId, seller.address),
+            locked: await marketplace.lockedShares(propertyId, seller.address)
+        });
+
+        return { marketplace, propertyId, seller, buyer, keeper, expiresAt, shares };
+    }
+
+    it('only takes expiries in the future', async function () {
+        const { marketplace, propertyId, seller, expiresAt } = await loadFixture(listingFixture);
+        const now = await time.latest();
+
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 1, PRICE, now))
+            .to.be.revertedWith('Expiry must be in the future');
+        expect((await marketplace.resaleListings(0)).expiresAt).to.equal(BigInt(expiresAt));
+    });
+
+    it('closes the listing to buyers once it expires', async function () {
+        const { marketplace, propertyId, buyer, expiresAt } = await loadFixture(listingFixture);
+
+        // Open up to and including the expiry second
+        await time.setNextBlockTimestamp(expiresAt);
+        await marketplace.connect(buyer).buyFromResale(0, 1, { value: PRICE });
+        expect(await marketplace.getActiveResaleListings(propertyId)).to.deep.equal([0n]);
+
+        await time.increase(1);
+        expect(await marketplace.getActiveResaleListings(propertyId)).to.deep.equal([]);
+        await expect(marketplace.connect(buyer).buyFromResale(0, 1, { value: PRICE })).to.be.revertedWith('Listing expired');
+        await expect(marketplace.connect(buyer).makeOffer(0, 1, E('1'), expiresAt + HOUR, { value: E('1') }))
+            .to.be.revertedWith('Listing expired');
+    });
+
+    it('lets anyone clear an expired listing, returning the unsold shares', async function () {
+        const { marketplace, seller, keeper, expiresAt, shares } = await loadFixture(listingFixture);
+        expect(await shares()).to.deep.equal({ free: 80n, locked: 15n });
+
+        await expect(marketplace.connect(keeper).expireResaleListing(0)).to.be.revertedWith('Listing not expired');
+
+        await time.increaseTo(expiresAt + 1);
+        // Also while trading is paused
+        await marketplace.pause();
+        await expect(marketplace.connect(keeper).expireResaleListing(0))
+            .to.emit(marketplace, 'ResaleListingExpired').withArgs(0n);
+        expect(await shares()).to.deep.equal({ free: 95n, locked: 0n });
+        expect((await marketplace.resaleListings(0)).isActive).to.equal(false);
+
+        await expect(marketplace.connect(keeper).expireResaleListing(0)).to.be.revertedWith('Listing not active');
+        await expect(marketplace.connect(seller).cancelResaleListing(0)).to.be.revertedWith('Listing not active');
+    });
+
+    it('lets the seller cancel an expired listing too', async function () {
+        const { marketplace, seller, expiresAt, shares } = await loadFixture(listingFixture);
+
+        await time.increaseTo(expiresAt + 1);
+        await expect(marketplace.connect(seller).cancelResaleListing(0))
+            .to.emit(marketplace, 'ResaleListingCancelled').withArgs(0n);
+        expect(await shares()).to.deep.equal({ free: 95n, locked: 0n });
+    });
+
+    it('updates a listing in place, locking or unlocking shares to match', async function () {
+        const { marketplace, propertyId, seller, buyer, expiresAt, shares } = await loadFixture(listingFixture);
+        const later = expiresAt + HOUR;
+
+        await expect(marketplace.connect(buyer).updateResaleListing(0, PRICE, 10, 0)).to.be.revertedWith('Not your listing');
+
+        // The shares already sold stay part of the listing
+        await expect(marketplace.connect(seller).updateResaleListing(0, E('1.1'), 25, later))
+            .to.emit(marketplace, 'ResaleListingUpdated').withArgs(0n, E('1.1'), 30n, BigInt(later));
+        expect(await shares()).to.deep.equal({ free: 70n, locked: 25n });
+
+        const listing = await marketplace.resaleListings(0);
+        expect(listing.sharesForSale).to.equal(30n);
+        expect(listing.sharesSold).to.equal(5n);
+        expect(listing.pricePerShare).to.equal(E('1.1'));
+        expect(listing.expiresAt).to.equal(BigInt(later));
+
+        await marketplace.connect(seller).updateResaleListing(0, E('1.1'), 5, 0);
+        expect(await shares()).to.deep.equal({ free: 90n, locked: 5n });
+        expect((await marketplace.resaleListings(0)).expiresAt).to.equal(0n);
+
+        await expect(marketplace.connect(seller).updateResaleListing(0, E('1.1'), 96, 0)).to.be.revertedWith('Insufficient shares');
+        await expect(marketplace.connect(buyer).buyFromResale(0, 5, { value: E('5.5') }))
+            .to.emit(marketplace, 'ResaleCompleted').withArgs(0n, propertyId, buyer.address, seller.address, 5n, E('1.1'), E('1.1'));
+    });
+
+    it('checks the new terms of an update', async function () {
+        const { marketplace, seller, buyer, expiresAt } = await loadFixture(listingFixture);
+        const now = await time.latest();
+
+        await expect(marketplace.connect(seller).updateResaleListing(0, PRICE, 0, 0)).to.be.revertedWith('Must list at least 1 share');
+        await expect(marketplace.connect(seller).updateResaleListing(0, 0, 10, 0)).to.be.revertedWith('Price must be > 0');
+        await expect(marketplace.connect(seller).updateResaleListing(0, PRICE, 10, now)).to.be.revertedWith('Expiry must be in the future');
+
+        // An expired listing that hasn't been cleared can be extended
+        await time.increaseTo(expiresAt + 1);
+        await marketplace.connect(seller).updateResaleListing(0, PRICE, 10, expiresAt + HOUR);
+        await marketplace.connect(buyer).buyFromResale(0, 1, { value: PRICE });
+
+        await marketplace.connect(seller).cancelResaleListing(0);
+        await expect(marketplace.connect(seller).updateResaleListing(0, PRICE, 10, 0)).to.be.revertedWith('Listing not active');
+    });
+});
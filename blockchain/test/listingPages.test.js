@@ -0,0 +1,125 @@
+// blockchain/test/listingPages.test.js
+/**
+ * Paged resale listings: open listings across the marketplace, oldest first,
+ * filtered by property and seller and walked with a cursor.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Resale listing pages', function () {
+    const E = ethers.parseEther;
+    const PRICE = E('1.2');
+
+    async function listingsFixture() {
+        const [admin, alice, bob, buyer] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const first = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        const second = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        for (const holder of [alice, bob]) {
+            await marketplace.connect(holder).buyShares(first, 300, E('300'), { value: E('300') });
+            await marketplace.connect(holder).buyShares(second, 50, E('50'), { value: E('50') });
+        }
+
+        const expiresAt = (await time.latest()) + 3600;
+        const list = (seller, propertyId, expiry = 0) =>
+            marketplace.connect(seller).listSharesForResale(propertyId, 5, PRICE, expiry);
+        await list(alice, first);           // 0
+        await list(bob, first);             // 1
+        await list(alice, second);          // 2
+        await list(bob, second);            // 3
+        await list(alice, first, expiresAt); // 4
+        await list(alice, first);           // 5, cancelled
+        await list(bob, first);             // 6, sold out
+        await marketplace.connect(alice).cancelResaleListing(5);
+        await marketplace.connect(buyer).buyFromResale(6, 5, { value: PRICE * 5n });
+
+        const ANY = await marketplace.ANY_PROPERTY();
+        const page = async (propertyId, seller, cursor, limit) => {
+            const result = await marketplace.getResaleListingsPage(propertyId, seller, cursor, limit);
+            return { ids: result.page.map(l => l.listingId), nextCursor: result.nextCursor };
+        };
+        // Every listing a filter finds, following the cursor to the end
+        const walk = async (propertyId, seller, limit) => {
+            const ids = [];
+            let cursor = 0n;
+            do {
+                const result = await page(propertyId, seller, cursor, limit);
+                ids.push(...result.ids);
+                cursor = result.nextCursor;
+            } while (cursor !== 0n);
+            return ids;
+        };
+
+        return { marketplace, first, second, alice, bob, expiresAt, list, ANY, page, walk };
+    }
+
+    it('pages through the open listings with a cursor', async function () {
+        const { ANY, page } = await loadFixture(listingsFixture);
+        const none = ethers.ZeroAddress;
+
+        expect(await page(ANY, none, 0, 2)).to.deep.equal({ ids: [0n, 1n], nextCursor: 2n });
+        expect(await page(ANY, none, 2, 2)).to.deep.equal({ ids: [2n, 3n], nextCursor: 4n });
+        // Closed listings are skipped and the last page ends the walk
+        expect(await page(ANY, none, 4, 2)).to.deep.equal({ ids: [4n], nextCursor: 0n });
+    });
+
+    it('returns whole listings', async function () {
+        const { marketplace, first, alice, ANY } = await loadFixture(listingsFixture);
+
+        const [listing] = (await marketplace.getResaleListingsPage(ANY, ethers.ZeroAddress, 0, 1)).page;
+        expect(listing.listingId).to.equal(0n);
+        expect(listing.propertyId).to.equal(first);
+        expect(listing.seller).to.equal(alice.address);
+        expect(listing.sharesForSale).to.equal(5n);
+        expect(listing.pricePerShare).to.equal(PRICE);
+        expect(listing.isActive).to.equal(true);
+    });
+
+    it('filters by property, by seller or both', async function () {
+        const { first, second, alice, bob, ANY, page, walk } = await loadFixture(listingsFixture);
+
+        expect(await walk(first, ethers.ZeroAddress, 10)).to.deep.equal([0n, 1n, 4n]);
+        expect(await walk(second, ethers.ZeroAddress, 10)).to.deep.equal([2n, 3n]);
+        expect(await walk(ANY, alice.address, 10)).to.deep.equal([0n, 2n, 4n]);
+        expect(await walk(first, bob.address, 10)).to.deep.equal([1n]);
+
+        // A filtered cursor counts positions in the property's (or seller's) listings
+        expect(await page(first, ethers.ZeroAddress, 0, 2)).to.deep.equal({ ids: [0n, 1n], nextCursor: 2n });
+        expect(await walk(first, ethers.ZeroAddress, 1)).to.deep.equal([0n, 1n, 4n]);
+    });
+
+    it('leaves out listings once they expire', async function () {
+        const { first, alice, expiresAt, ANY, walk } = await loadFixture(listingsFixture);
+
+        await time.increaseTo(expiresAt + 1);
+        expect(await walk(ANY, ethers.ZeroAddress, 10)).to.deep.equal([0n, 1n, 2n, 3n]);
+        expect(await walk(first, alice.address, 10)).to.deep.equal([0n]);
+    });
+
+    it('caps the page size and the ids scanned per call', async function () {
+        const { marketplace, first, second, alice, list, ANY, page } = await loadFixture(listingsFixture);
+        const maxPageSize = await marketplace.MAX_PAGE_SIZE();
+        const maxScan = await marketplace.MAX_PAGE_SCAN();
+
+        // Alice's newest listing comes after more of her listings than one call scans
+        const before = await marketplace.nextListingId();
+        for (let i = 0n; i < maxScan; i++) {
+            await marketplace.connect(alice).listSharesForResale(first, 1, PRICE, 0);
+        }
+        await list(alice, second);
+
+        expect((await page(ANY, ethers.ZeroAddress, 0, 0)).ids).to.have.length(Number(maxPageSize));
+        expect((await page(ANY, ethers.ZeroAddress, 0, maxPageSize + 1n)).ids).to.have.length(Number(maxPageSize));
+
+        const firstPage = await page(second, alice.address, 0, 10);
+        expect(firstPage.ids).to.deep.equal([2n]);
+        expect(firstPage.nextCursor).to.equal(maxScan);
+        expect(await page(second, alice.address, firstPage.nextCursor, 10))
+            .to.deep.equal({ ids: [before + maxScan], nextCursor: 0n });
+    });
+});
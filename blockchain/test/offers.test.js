@@ -0,0 +1,118 @@
+// blockchain/test/offers.test.js
+/**
+ * Offers on resale listings: escrowed below the ask, then accepted,
+ * countered, rejected, cancelled or refunded once stale.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Offers', function () {
+    const E = ethers.parseEther;
+    const ASK = E('1.2');
+    const OFFER = E('0.9');
+    const COUNTER = E('1.1');
+
+    async function offersFixture() {
+        const [admin, seller, buyer, keeper] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(seller).buyShares(propertyId, 50, E('50'), { value: E('50') });
+        await marketplace.connect(seller).listSharesForResale(propertyId, 20, ASK, 0);
+
+        const expiresAt = (await time.latest()) + 24 * 3600;
+        const makeOffer = (shares, price = OFFER, value = price * BigInt(shares)) =>
+            marketplace.connect(buyer).makeOffer(0, shares, price, expiresAt, { value });
+
+        return { marketplace, propertyId, seller, buyer, keeper, expiresAt, makeOffer };
+    }
+
+    it('escrows offers below the ask', async function () {
+        const { marketplace, buyer, makeOffer } = await loadFixture(offersFixture);
+
+        await expect(makeOffer(10, ASK)).to.be.revertedWith('Offer must be below the ask');
+        await expect(makeOffer(21)).to.be.revertedWith('Not enough shares in listing');
+        await expect(makeOffer(10, OFFER, E('8'))).to.be.revertedWith('Insufficient payment');
+
+        await expect(makeOffer(10)).to.changeEtherBalances([buyer, marketplace], [-E('9'), E('9')]);
+        expect(await marketplace.getListingOffers(0)).to.deep.equal([0n]);
+    });
+
+    it('sells the offered shares when the seller accepts', async function () {
+        const { marketplace, propertyId, seller, buyer, makeOffer } = await loadFixture(offersFixture);
+        await makeOffer(10);
+
+        await expect(marketplace.connect(buyer).acceptOffer(0)).to.be.revertedWith('Not your listing');
+        await expect(marketplace.connect(seller).acceptOffer(0))
+            .to.emit(marketplace, 'OfferAccepted').withArgs(0n, OFFER);
+
+        expect(await marketplace.getUserShares(propertyId, buyer.address)).to.equal(10n);
+        expect(await marketplace.lockedShares(propertyId, seller.address)).to.equal(10n);
+        expect((await marketplace.resaleListings(0)).sharesSold).to.equal(10n);
+        expect(await marketplace.pendingProceeds(propertyId, seller.address)).to.equal(OFFER * 10n);
+        expect(await marketplace.getMarketPrice(propertyId)).to.equal(OFFER);
+        await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith('Offer not active');
+    });
+
+    it('lets the buyer accept a counter-offer by paying the difference', async function () {
+        const { marketplace, propertyId, seller, buyer, makeOffer } = await loadFixture(offersFixture);
+        await makeOffer(10);
+
+        await expect(marketplace.connect(seller).counterOffer(0, ASK + 1n)).to.be.revertedWith('Counter must be between offer and ask');
+        await expect(marketplace.connect(seller).counterOffer(0, COUNTER))
+            .to.emit(marketplace, 'OfferCountered').withArgs(0n, COUNTER);
+
+        const topUp = (COUNTER - OFFER) * 10n;
+        await expect(marketplace.connect(buyer).acceptCounterOffer(0, { value: topUp - 1n }))
+            .to.be.revertedWith('Insufficient payment');
+        await expect(marketplace.connect(buyer).acceptCounterOffer(0, { value: topUp }))
+            .to.emit(marketplace, 'OfferAccepted').withArgs(0n, COUNTER);
+
+        expect(await marketplace.getUserShares(propertyId, buyer.address)).to.equal(10n);
+        expect(await marketplace.pendingProceeds(propertyId, seller.address)).to.equal(COUNTER * 10n);
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(0n);
+    });
+
+    it('refunds the escrow of a rejected or cancelled offer', async function () {
+        const { marketplace, propertyId, seller, buyer, keeper, makeOffer } = await loadFixture(offersFixture);
+        await makeOffer(10);
+        await makeOffer(5);
+
+        await expect(marketplace.connect(seller).rejectOffer(0))
+            .to.emit(marketplace, 'OfferRejected').withArgs(0n, OFFER * 10n);
+
+        await expect(marketplace.connect(keeper).cancelOffer(1)).to.be.revertedWith('Not your offer');
+        await expect(marketplace.connect(buyer).cancelOffer(1))
+            .to.emit(marketplace, 'OfferCancelled').withArgs(1n, OFFER * 5n);
+
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(OFFER * 15n);
+        await expect(marketplace.connect(buyer).withdrawProceeds(propertyId))
+            .to.changeEtherBalance(buyer, OFFER * 15n);
+        await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith('Offer not active');
+    });
+
+    it('lets anyone refund an expired offer', async function () {
+        const { marketplace, propertyId, seller, buyer, keeper, expiresAt, makeOffer } = await loadFixture(offersFixture);
+        await makeOffer(10);
+
+        await time.increaseTo(expiresAt + 1);
+        await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith('Offer expired');
+
+        await marketplace.connect(keeper).cancelOffer(0);
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(OFFER * 10n);
+    });
+
+    it('lets anyone refund an offer whose listing closed', async function () {
+        const { marketplace, propertyId, seller, buyer, keeper, makeOffer } = await loadFixture(offersFixture);
+        await makeOffer(10);
+        await marketplace.connect(seller).cancelResaleListing(0);
+
+        await expect(marketplace.connect(seller).acceptOffer(0)).to.be.revertedWith('Listing not active');
+        await marketplace.connect(keeper).cancelOffer(0);
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(OFFER * 10n);
+    });
+});
@@ -0,0 +1,139 @@
+// blockchain/test/priceLimits.test.js
+/**
+ * Resale price limits: an opt-in price band around the current or average
+ * resale price, and a circuit breaker that halts resale trading after a
+ * large move until the admin resumes it.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Price limits', function () {
+    const E = ethers.parseEther;
+    const DAY = 24 * 3600;
+
+    async function limitsFixture() {
+        const [admin, seller, buyer] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(seller).buyShares(propertyId, 100, E('100'), { value: E('100') });
+
+        // List and buy `shares` at `price`, returning the purchase
+        const trade = async (shares, price) => {
+            const listingId = await marketplace.nextListingId();
+            await marketplace.connect(seller).listSharesForResale(propertyId, shares, price, 0);
+            return marketplace.connect(buyer).buyFromResale(listingId, shares, { value: price * BigInt(shares) });
+        };
+
+        return { marketplace, propertyId, admin, seller, buyer, trade };
+    }
+
+    it('lists properties without price limits', async function () {
+        const { marketplace, propertyId, seller } = await loadFixture(limitsFixture);
+
+        const limits = await marketplace.priceLimits(propertyId);
+        expect(limits.bandBps).to.equal(0n);
+        expect(limits.haltMoveBps).to.equal(0n);
+        expect(await marketplace.getPriceBand(propertyId)).to.deep.equal([0n, ethers.MaxUint256]);
+
+        await marketplace.connect(seller).listSharesForResale(propertyId, 1, E('1000'), 0);
+        await marketplace.connect(seller).listSharesForResale(propertyId, 1, 1n, 0);
+    });
+
+    it('only lets the admin set valid limits', async function () {
+        const { marketplace, propertyId, seller } = await loadFixture(limitsFixture);
+
+        await expect(marketplace.connect(seller).setPriceLimits(propertyId, 2000, false, 0, 0))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+        await expect(marketplace.setPriceLimits(propertyId, 2000, false, 1000, 0))
+            .to.be.revertedWith('Halt window must be > 0');
+        await expect(marketplace.setPriceLimits(99, 2000, false, 0, 0))
+            .to.be.revertedWith('Property does not exist');
+
+        await expect(marketplace.setPriceLimits(propertyId, 2000, false, 1000, DAY))
+            .to.emit(marketplace, 'PriceLimitsUpdated').withArgs(propertyId, 2000n, false, 1000n, BigInt(DAY));
+    });
+
+    it('rejects listings and trades priced outside the band', async function () {
+        const { marketplace, propertyId, seller, buyer } = await loadFixture(limitsFixture);
+        await marketplace.connect(seller).listSharesForResale(propertyId, 10, E('1.15'), 0);
+
+        await marketplace.setPriceLimits(propertyId, 2000, false, 0, 0);
+        expect(await marketplace.getPriceBand(propertyId)).to.deep.equal([E('0.8'), E('1.2')]);
+
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 10, E('1.2') + 1n, 0))
+            .to.be.revertedWith('Price outside band');
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 10, E('0.8') - 1n, 0))
+            .to.be.revertedWith('Price outside band');
+        await marketplace.connect(seller).listSharesForResale(propertyId, 10, E('1.2'), 0);
+
+        // The band is checked again when a listing made earlier trades
+        await marketplace.setPriceLimits(propertyId, 1000, false, 0, 0);
+        await expect(marketplace.connect(buyer).buyFromResale(0, 10, { value: E('11.5') }))
+            .to.be.revertedWith('Price outside band');
+
+        await marketplace.setPriceLimits(propertyId, 0, false, 0, 0);
+        await marketplace.connect(buyer).buyFromResale(0, 10, { value: E('11.5') });
+        expect(await marketplace.getMarketPrice(propertyId)).to.equal(E('1.15'));
+    });
+
+    it('can centre the band on the average resale price', async function () {
+        const { marketplace, propertyId, trade } = await loadFixture(limitsFixture);
+        await (await trade(10, E('1.1'))).wait();
+        await (await trade(10, E('1.3'))).wait();
+
+        await marketplace.setPriceLimits(propertyId, 1000, true, 0, 0);
+        const average = await marketplace.getAverageResalePrice(propertyId);
+        expect(await marketplace.getPriceBand(propertyId))
+            .to.deep.equal([average - average / 10n, average + average / 10n]);
+    });
+
+    it('halts resale trading when the price moves too far, until the admin resumes it', async function () {
+        const { marketplace, propertyId, seller, buyer, trade } = await loadFixture(limitsFixture);
+        await marketplace.setPriceLimits(propertyId, 0, false, 1000, DAY);
+
+        await (await trade(5, E('1.05'))).wait();
+        expect(await marketplace.circuitBreakerTripped(propertyId)).to.equal(false);
+
+        // The trade that moves the price more than 10% stands; trading halts after it
+        const listingId = await marketplace.nextListingId();
+        await marketplace.connect(seller).listSharesForResale(propertyId, 10, E('1.2'), 0);
+        await expect(marketplace.connect(buyer).buyFromResale(listingId, 5, { value: E('6') }))
+            .to.emit(marketplace, 'CircuitBreakerTripped').withArgs(propertyId, E('1'), E('1.2'))
+            .and.to.emit(marketplace, 'ResaleTradingStatusChanged').withArgs(propertyId, false);
+        expect(await marketplace.getUserShares(propertyId, buyer.address)).to.equal(10n);
+        expect(await marketplace.circuitBreakerTripped(propertyId)).to.equal(true);
+        expect((await marketplace.getTradingStatus(propertyId)).resaleActive).to.equal(false);
+
+        await expect(marketplace.connect(buyer).buyFromResale(listingId, 5, { value: E('6') }))
+            .to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 1, E('1.2'), 0))
+            .to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(seller).setResaleActive(propertyId, true))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+
+        // Resuming clears the breaker and opens a new window from the current price
+        await expect(marketplace.setResaleActive(propertyId, true))
+            .to.emit(marketplace, 'ResaleTradingStatusChanged').withArgs(propertyId, true);
+        expect(await marketplace.circuitBreakerTripped(propertyId)).to.equal(false);
+        await expect(marketplace.connect(buyer).buyFromResale(listingId, 5, { value: E('6') }))
+            .not.to.emit(marketplace, 'CircuitBreakerTripped');
+        expect((await marketplace.getTradingStatus(propertyId)).resaleActive).to.equal(true);
+    });
+
+    it('measures the move from the price the window opened at', async function () {
+        const { marketplace, propertyId, trade } = await loadFixture(limitsFixture);
+        await marketplace.setPriceLimits(propertyId, 0, false, 1000, DAY);
+
+        await (await trade(5, E('1.08'))).wait();
+        await time.increase(DAY);
+
+        // 1.16 is 16% above where the first window opened but only ~7% above the new one
+        await expect(trade(5, E('1.16'))).not.to.emit(marketplace, 'CircuitBreakerTripped');
+        await expect(trade(5, E('1.3'))).to.emit(marketplace, 'CircuitBreakerTripped').withArgs(propertyId, E('1.08'), E('1.3'));
+    });
+});
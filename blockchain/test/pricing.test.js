@@ -0,0 +1,135 @@
+// blockchain/test/pricing.test.js
+/**
+ * Primary pricing: a Dutch auction falling to its floor by the auction end,
+ * a bonding curve rising to the price of the last share, and the buyer's
+ * cost limit on buyShares.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+const PricingMode = Object.freeze({ Fixed: 0n, DutchAuction: 1n, BondingCurve: 2n });
+
+describe('Primary pricing', function () {
+    const E = ethers.parseEther;
+    const DURATION = 1000;
+
+    async function pricingFixture() {
+        const [admin, alice, bob] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const listPriced = async (price, shares, mode, endPrice, auctionEnd = 0, softCap = 0n, deadline = 0) => {
+            const propertyId = await marketplace.nextPropertyId();
+            await marketplace.listProperty(price, shares, 'ipfs://test', ethers.ZeroAddress, ethers.ZeroAddress, softCap, deadline, mode, endPrice, auctionEnd);
+            return propertyId;
+        };
+
+        // 2 MATIC falling to 1 MATIC over DURATION seconds
+        const auctionEnd = (await time.latest()) + DURATION + 1;
+        const auction = await listPriced(E('2'), 100, PricingMode.DutchAuction, E('1'), auctionEnd);
+        const auctionStart = auctionEnd - DURATION;
+
+        // 1 MATIC for the first share up to 2 MATIC for the eleventh (+0.1 per share)
+        const curve = await listPriced(E('1'), 11, PricingMode.BondingCurve, E('2'));
+
+        const quote = async (propertyId, shares) => (await marketplace.quotePrimaryPurchase(propertyId, shares)).totalCost;
+
+        return { marketplace, alice, bob, listPriced, auction, auctionStart, auctionEnd, curve, quote };
+    }
+
+    it('validates the price range of auctions and curves', async function () {
+        const { listPriced } = await loadFixture(pricingFixture);
+        const later = (await time.latest()) + DURATION;
+
+        await expect(listPriced(E('1'), 10, PricingMode.DutchAuction, E('1'), later)).to.be.revertedWith('Invalid price range');
+        await expect(listPriced(E('1'), 10, PricingMode.DutchAuction, 0, later)).to.be.revertedWith('Invalid price range');
+        await expect(listPriced(E('2'), 10, PricingMode.DutchAuction, E('1'), await time.latest())).to.be.revertedWith('Invalid auction end');
+        await expect(listPriced(E('2'), 10, PricingMode.BondingCurve, E('1'))).to.be.revertedWith('Invalid price range');
+
+        // An auction's soft cap must be reachable at its floor
+        await expect(listPriced(E('2'), 10, PricingMode.DutchAuction, E('1'), later, E('10') + 1n, later))
+            .to.be.revertedWith('Soft cap above total value');
+        await listPriced(E('2'), 10, PricingMode.DutchAuction, E('1'), later, E('10'), later);
+    });
+
+    it('lowers the auction price linearly until the auction end', async function () {
+        const { marketplace, auction, auctionStart, auctionEnd, quote } = await loadFixture(pricingFixture);
+
+        const pricing = await marketplace.getPrimaryPricing(auction);
+        expect(pricing.mode).to.equal(PricingMode.DutchAuction);
+        expect(pricing.startTime).to.equal(BigInt(auctionStart));
+        expect(pricing.endTime).to.equal(BigInt(auctionEnd));
+
+        await time.increaseTo(auctionStart + DURATION / 4);
+        expect(await quote(auction, 4)).to.equal(E('1.75') * 4n);
+
+        // One second before the end the floor isn't reached yet; at the end it is
+        await time.increaseTo(auctionEnd - 1);
+        expect(await quote(auction, 1)).to.equal(E('1.001'));
+        await time.increaseTo(auctionEnd);
+        expect(await quote(auction, 1)).to.equal(E('1'));
+        await time.increase(DURATION);
+        expect(await quote(auction, 3)).to.equal(E('3'));
+    });
+
+    it('charges the auction price of the purchase block', async function () {
+        const { marketplace, alice, auction, auctionStart, auctionEnd } = await loadFixture(pricingFixture);
+
+        await time.setNextBlockTimestamp(auctionStart + DURATION / 2);
+        await expect(marketplace.connect(alice).buyShares(auction, 10, E('20'), { value: E('20') }))
+            .to.emit(marketplace, 'SharesPurchased').withArgs(auction, alice.address, 10n, E('15'), true);
+        expect(await marketplace.pendingProceeds(auction, alice.address)).to.equal(E('5'));
+
+        await time.setNextBlockTimestamp(auctionEnd);
+        await expect(marketplace.connect(alice).buyShares(auction, 10, E('10'), { value: E('10') }))
+            .to.emit(marketplace, 'SharesPurchased').withArgs(auction, alice.address, 10n, E('10'), true);
+    });
+
+    it('prices each share of a bonding curve one step above the last', async function () {
+        const { marketplace, alice, curve, quote } = await loadFixture(pricingFixture);
+
+        expect(await quote(curve, 5)).to.equal(E('6'));
+        expect(await quote(curve, 11)).to.equal(E('16.5'));
+
+        await marketplace.connect(alice).buyShares(curve, 5, E('6'), { value: E('6') });
+        const next = await marketplace.quotePrimaryPurchase(curve, 5);
+        expect(next.nextSharePrice).to.equal(E('1.5'));
+        expect(next.totalCost).to.equal(E('8.5'));
+
+        // The last share costs the curve's end price
+        await marketplace.connect(alice).buyShares(curve, 5, E('8.5'), { value: E('8.5') });
+        expect(await quote(curve, 1)).to.equal(E('2'));
+        await expect(marketplace.connect(alice).buyShares(curve, 2, E('4'), { value: E('4') }))
+            .to.be.revertedWith('Not enough shares available');
+        await marketplace.connect(alice).buyShares(curve, 1, E('2'), { value: E('2') });
+        expect((await marketplace.getPropertyDetails(curve)).availableShares).to.equal(0n);
+    });
+
+    it('prices a single-share curve at its start price', async function () {
+        const { listPriced, quote } = await loadFixture(pricingFixture);
+        const single = await listPriced(E('1'), 1, PricingMode.BondingCurve, E('2'));
+
+        expect(await quote(single, 1)).to.equal(E('1'));
+    });
+
+    it('reverts a purchase whose cost rose above the buyer\'s limit', async function () {
+        const { marketplace, alice, bob, curve, quote } = await loadFixture(pricingFixture);
+        const quoted = await quote(curve, 5);
+        const limit = quoted + quoted * 100n / 10000n;
+
+        // Another buyer moves the curve between the quote and the purchase
+        await marketplace.connect(bob).buyShares(curve, 1, E('1'), { value: E('1') });
+        await expect(marketplace.connect(alice).buyShares(curve, 5, quoted, { value: limit }))
+            .to.be.revertedWith('Price above limit');
+        await expect(marketplace.connect(alice).buyShares(curve, 5, limit, { value: limit }))
+            .to.be.revertedWith('Price above limit');
+
+        // Within the limit the purchase goes through and the unspent MATIC is credited back
+        const cost = await quote(curve, 4);
+        await marketplace.connect(alice).buyShares(curve, 4, cost + E('1'), { value: cost + E('1') });
+        expect(await marketplace.pendingProceeds(curve, alice.address)).to.equal(E('1'));
+    });
+});
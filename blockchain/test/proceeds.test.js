@@ -0,0 +1,98 @@
+// blockchain/test/proceeds.test.js
+/**
+ * Escrowed sale proceeds: trades credit sellers, who withdraw per property
+ * or everything at once (pull payments).
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Sale proceeds', function () {
+    const E = ethers.parseEther;
+
+    async function marketFixture() {
+        const [admin, seller, alice, bob] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const first = await listProperty(marketplace, { price: E('1'), shares: 100, beneficiary: seller.address });
+        const second = await listProperty(marketplace, { price: E('2'), shares: 100, beneficiary: seller.address });
+
+        return { marketplace, first, second, seller, alice, bob };
+    }
+
+    it('escrows primary sale proceeds for the owner instead of paying them out', async function () {
+        const { marketplace, first, seller, alice } = await loadFixture(marketFixture);
+
+        const purchase = marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('10') });
+        await expect(purchase).to.changeEtherBalances([seller, marketplace], [0n, E('10')]);
+        await expect(purchase).to.emit(marketplace, 'ProceedsCredited').withArgs(first, seller.address, E('10'));
+
+        expect(await marketplace.pendingProceeds(first, seller.address)).to.equal(E('10'));
+        expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(E('10'));
+    });
+
+    it('credits MATIC sent above the price back to the buyer', async function () {
+        const { marketplace, first, alice } = await loadFixture(marketFixture);
+
+        await marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('12') });
+        expect(await marketplace.pendingProceeds(first, alice.address)).to.equal(E('2'));
+
+        await expect(marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('9') }))
+            .to.be.revertedWith('Insufficient payment');
+    });
+
+    it('escrows resale proceeds for the seller', async function () {
+        const { marketplace, first, alice, bob } = await loadFixture(marketFixture);
+        await marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('10') });
+        await marketplace.connect(alice).listSharesForResale(first, 4, E('1.2'), 0);
+
+        await expect(marketplace.connect(bob).buyFromResale(0, 3, { value: E('3.6') }))
+            .to.changeEtherBalance(alice, 0n);
+        expect(await marketplace.pendingProceeds(first, alice.address)).to.equal(E('3.6'));
+    });
+
+    it('withdraws one property\'s proceeds', async function () {
+        const { marketplace, first, second, seller, alice } = await loadFixture(marketFixture);
+        await marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('10') });
+        await marketplace.connect(alice).buyShares(second, 5, E('10'), { value: E('10') });
+
+        const withdrawal = marketplace.connect(seller).withdrawProceeds(first);
+        await expect(withdrawal).to.changeEtherBalances([seller, marketplace], [E('10'), -E('10')]);
+        await expect(withdrawal).to.emit(marketplace, 'ProceedsWithdrawn').withArgs(first, seller.address, E('10'));
+
+        expect(await marketplace.pendingProceeds(first, seller.address)).to.equal(0n);
+        expect(await marketplace.pendingProceeds(second, seller.address)).to.equal(E('10'));
+        expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(E('10'));
+        await expect(marketplace.connect(seller).withdrawProceeds(first)).to.be.revertedWith('No proceeds to withdraw');
+    });
+
+    it('withdraws every property\'s proceeds at once', async function () {
+        const { marketplace, first, second, seller, alice } = await loadFixture(marketFixture);
+        await marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('10') });
+        await marketplace.connect(alice).buyShares(second, 5, E('10'), { value: E('10') });
+
+        const [propertyIds, amounts] = await marketplace.getPendingProceeds(seller.address);
+        expect(propertyIds).to.deep.equal([first, second]);
+        expect(amounts).to.deep.equal([E('10'), E('10')]);
+
+        await expect(marketplace.connect(seller).withdrawAllProceeds())
+            .to.changeEtherBalance(seller, E('20'));
+        expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(0n);
+        expect((await marketplace.getPendingProceeds(seller.address)).propertyIds).to.deep.equal([]);
+
+        await expect(marketplace.connect(seller).withdrawAllProceeds()).to.be.revertedWith('No proceeds to withdraw');
+    });
+
+    it('allows withdrawals while trading is paused', async function () {
+        const { marketplace, first, seller, alice } = await loadFixture(marketFixture);
+        await marketplace.connect(alice).buyShares(first, 10, E('10'), { value: E('10') });
+        await marketplace.pause();
+
+        await expect(marketplace.connect(alice).buyShares(first, 1, E('1'), { value: E('1') }))
+            .to.be.revertedWithCustomError(marketplace, 'EnforcedPause');
+        await expect(marketplace.connect(seller).withdrawProceeds(first)).to.changeEtherBalance(seller, E('10'));
+    });
+});
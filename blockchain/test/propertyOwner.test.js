@@ -0,0 +1,102 @@
+// blockchain/test/propertyOwner.test.js
+/**
+ * Property ownership: the property NFT is the title, so whoever holds it is
+ * the property's owner, and it can't be burned or parked on the marketplace.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Property ownership', function () {
+    const E = ethers.parseEther;
+
+    async function ownerFixture() {
+        const [admin, lister, buyer, alice, operator] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000, beneficiary: lister.address });
+        const ownerOf = async (id = propertyId) => (await marketplace.getPropertyDetails(id)).owner;
+        // What the owner is credited for a primary sale of `amount`
+        const primaryProceeds = async (amount) => (await marketplace.getFeeBreakdown(amount, true)).sellerProceeds;
+
+        return { marketplace, propertyId, admin, lister, buyer, alice, operator, ownerOf, primaryProceeds };
+    }
+
+    it('lists the property for the holder of its NFT', async function () {
+        const { marketplace, propertyId, admin, lister, ownerOf } = await loadFixture(ownerFixture);
+
+        expect(await marketplace.ownerOf(propertyId)).to.equal(lister.address);
+        expect(await ownerOf()).to.equal(lister.address);
+
+        // Minting isn't a change of owner
+        const id = await marketplace.nextPropertyId();
+        await expect(marketplace.listProperty(E('1'), 10, 'ipfs://test', ethers.ZeroAddress, ethers.ZeroAddress, 0, 0, 0, 0, 0))
+            .not.to.emit(marketplace, 'PropertyOwnerChanged');
+        expect(await ownerOf(id)).to.equal(admin.address);
+    });
+
+    it('hands the property to whoever the NFT is transferred to', async function () {
+        const { marketplace, propertyId, lister, buyer, alice, operator, ownerOf } = await loadFixture(ownerFixture);
+
+        await expect(marketplace.connect(lister).transferFrom(lister.address, buyer.address, propertyId))
+            .to.emit(marketplace, 'PropertyOwnerChanged').withArgs(propertyId, lister.address, buyer.address);
+        expect(await ownerOf()).to.equal(buyer.address);
+
+        // However the NFT moves: a safe transfer, or by an approved operator
+        await marketplace.connect(buyer).safeTransferFrom(buyer.address, alice.address, propertyId);
+        expect(await ownerOf()).to.equal(alice.address);
+        await marketplace.connect(alice).setApprovalForAll(operator.address, true);
+        await marketplace.connect(operator).transferFrom(alice.address, lister.address, propertyId);
+        expect(await ownerOf()).to.equal(lister.address);
+
+        // Royalties stay with the original lister
+        await marketplace.connect(lister).transferFrom(lister.address, buyer.address, propertyId);
+        expect(await marketplace.getRoyaltyRecipient(propertyId)).to.equal(lister.address);
+    });
+
+    it('pays primary proceeds and takes rental deposits from the current owner', async function () {
+        const { marketplace, propertyId, lister, buyer, alice, primaryProceeds } = await loadFixture(ownerFixture);
+        await marketplace.connect(alice).buyShares(propertyId, 10, E('10'), { value: E('10') });
+
+        await marketplace.connect(lister).transferFrom(lister.address, buyer.address, propertyId);
+        await marketplace.connect(alice).buyShares(propertyId, 20, E('20'), { value: E('20') });
+
+        // Proceeds credited before the transfer stay with the previous owner
+        expect(await marketplace.pendingProceeds(propertyId, lister.address)).to.equal(await primaryProceeds(E('10')));
+        expect(await marketplace.pendingProceeds(propertyId, buyer.address)).to.equal(await primaryProceeds(E('20')));
+
+        await expect(marketplace.connect(lister).depositRentalIncome(propertyId, { value: E('1') }))
+            .to.be.revertedWith('Not property manager');
+        await marketplace.connect(buyer).depositRentalIncome(propertyId, { value: E('1') });
+    });
+
+    it('credits a funding round\'s raise to the owner when it is finalized', async function () {
+        const { marketplace, lister, buyer, alice, primaryProceeds } = await loadFixture(ownerFixture);
+        const deadline = (await time.latest()) + 7 * 24 * 3600;
+        const round = await listProperty(marketplace, { price: E('1'), shares: 100, beneficiary: lister.address, softCap: E('50'), deadline });
+        await marketplace.connect(alice).buyShares(round, 60, E('60'), { value: E('60') });
+
+        await marketplace.connect(lister).transferFrom(lister.address, buyer.address, round);
+        await marketplace.finalizeFunding(round);
+        expect(await marketplace.pendingProceeds(round, buyer.address)).to.equal(await primaryProceeds(E('60')));
+        expect(await marketplace.pendingProceeds(round, lister.address)).to.equal(0n);
+    });
+
+    it('refuses to burn the NFT or send it to the marketplace', async function () {
+        const { marketplace, propertyId, lister, ownerOf } = await loadFixture(ownerFixture);
+        const self = await marketplace.getAddress();
+
+        await expect(marketplace.connect(lister).transferFrom(lister.address, self, propertyId))
+            .to.be.revertedWith('Invalid property owner');
+        await expect(marketplace.connect(lister).safeTransferFrom(lister.address, self, propertyId))
+            .to.be.revertedWith('Invalid property owner');
+        await expect(marketplace.connect(lister).transferFrom(lister.address, ethers.ZeroAddress, propertyId))
+            .to.be.revertedWithCustomError(marketplace, 'ERC721InvalidReceiver');
+
+        expect(await marketplace.ownerOf(propertyId)).to.equal(lister.address);
+        expect(await ownerOf()).to.equal(lister.address);
+    });
+});
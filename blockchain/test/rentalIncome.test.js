@@ -0,0 +1,120 @@
+// blockchain/test/rentalIncome.test.js
+/**
+ * Rental income: deposits shared pro-rata between the shares sold, earned
+ * by whoever held them at the time and claimed by each holder.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Rental income', function () {
+    const E = ethers.parseEther;
+
+    async function incomeFixture() {
+        const [admin, manager, alice, bob, carol] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000, beneficiary: manager.address });
+        await marketplace.connect(alice).buyShares(propertyId, 30, E('30'), { value: E('30') });
+        await marketplace.connect(bob).buyShares(propertyId, 10, E('10'), { value: E('10') });
+
+        const deposit = (amount, from = manager) => marketplace.connect(from).depositRentalIncome(propertyId, { value: amount });
+        const claimable = (account) => marketplace.claimableRentalIncome(propertyId, account.address);
+
+        return { marketplace, propertyId, admin, manager, alice, bob, carol, deposit, claimable };
+    }
+
+    it('takes deposits from the admin or the property manager', async function () {
+        const { marketplace, propertyId, admin, manager, alice, deposit } = await loadFixture(incomeFixture);
+
+        await expect(deposit(E('1'), alice)).to.be.revertedWith('Not property manager');
+        await expect(deposit(0n)).to.be.revertedWith('Deposit must be > 0');
+
+        await expect(deposit(E('4')))
+            .to.emit(marketplace, 'RentalIncomeDeposited').withArgs(propertyId, manager.address, E('4'), 40n);
+        await deposit(E('2'), admin);
+        expect(await marketplace.totalRentalIncome(propertyId)).to.equal(E('6'));
+
+        const empty = await listProperty(marketplace, { price: E('1'), shares: 10 });
+        await expect(marketplace.depositRentalIncome(empty, { value: E('1') })).to.be.revertedWith('No shareholders');
+    });
+
+    it('refuses deposits while a funding round is open', async function () {
+        const { marketplace, alice } = await loadFixture(incomeFixture);
+        const deadline = (await time.latest()) + 7 * 24 * 3600;
+        const round = await listProperty(marketplace, { price: E('1'), shares: 100, softCap: E('50'), deadline });
+        await marketplace.connect(alice).buyShares(round, 10, E('10'), { value: E('10') });
+
+        await expect(marketplace.depositRentalIncome(round, { value: E('1') }))
+            .to.be.revertedWith('Funding round not finalized');
+    });
+
+    it('shares each deposit pro-rata between the shares sold', async function () {
+        const { alice, bob, carol, deposit, claimable } = await loadFixture(incomeFixture);
+        await deposit(E('4'));
+
+        expect(await claimable(alice)).to.equal(E('3'));
+        expect(await claimable(bob)).to.equal(E('1'));
+        expect(await claimable(carol)).to.equal(0n);
+    });
+
+    it('credits income to whoever held the shares when it was deposited', async function () {
+        const { marketplace, propertyId, alice, bob, carol, deposit, claimable } = await loadFixture(incomeFixture);
+        await deposit(E('4'));
+
+        // Income earned so far stays with the sender of the shares
+        await marketplace.connect(alice).transferShares(propertyId, bob.address, 20);
+        await deposit(E('4'));
+        expect(await claimable(alice)).to.equal(E('4'));
+        expect(await claimable(bob)).to.equal(E('4'));
+
+        // Shares locked in a listing keep earning; a late buyer earns from their purchase on
+        await marketplace.connect(alice).listSharesForResale(propertyId, 10, E('1.2'), 0);
+        await marketplace.connect(carol).buyShares(propertyId, 40, E('40'), { value: E('40') });
+        await deposit(E('8'));
+        expect(await claimable(alice)).to.equal(E('5'));
+        expect(await claimable(bob)).to.equal(E('7'));
+        expect(await claimable(carol)).to.equal(E('4'));
+    });
+
+    it('carries the rounding remainder into the next deposit', async function () {
+        const { marketplace, alice, bob, carol } = await loadFixture(incomeFixture);
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 10 });
+        await marketplace.connect(carol).buyShares(propertyId, 1, E('1'), { value: E('1') });
+        await marketplace.connect(alice).buyShares(propertyId, 2, E('2'), { value: E('2') });
+
+        // 1 Wei split over 3 shares, three times
+        for (let i = 0; i < 3; i++) {
+            await marketplace.depositRentalIncome(propertyId, { value: 1n });
+        }
+        expect(await marketplace.incomePerShare(propertyId)).to.equal(E('1'));
+        expect(await marketplace.claimableRentalIncome(propertyId, carol.address)).to.equal(1n);
+        expect(await marketplace.claimableRentalIncome(propertyId, alice.address)).to.equal(2n);
+        expect(await marketplace.claimableRentalIncome(propertyId, bob.address)).to.equal(0n);
+    });
+
+    it('pays out claims and records what was claimed', async function () {
+        const { marketplace, propertyId, alice, bob, deposit, claimable } = await loadFixture(incomeFixture);
+        await deposit(E('4'));
+
+        const claim = marketplace.connect(alice).claimRentalIncome(propertyId);
+        await expect(claim).to.changeEtherBalances([alice, marketplace], [E('3'), -E('3')]);
+        await expect(claim).to.emit(marketplace, 'RentalIncomeClaimed').withArgs(propertyId, alice.address, E('3'));
+
+        expect(await claimable(alice)).to.equal(0n);
+        await expect(marketplace.connect(alice).claimRentalIncome(propertyId)).to.be.revertedWith('No income to claim');
+
+        await deposit(E('8'));
+        const [propertyIds, claimableNow, claimed] = await marketplace.getRentalIncome(alice.address);
+        expect(propertyIds).to.deep.equal([propertyId]);
+        expect(claimableNow).to.deep.equal([E('6')]);
+        expect(claimed).to.deep.equal([E('3')]);
+
+        // Claims still go through while trading is paused
+        await marketplace.pause();
+        await expect(marketplace.connect(bob).claimRentalIncome(propertyId)).to.changeEtherBalance(bob, E('3'));
+    });
+});
@@ -0,0 +1,190 @@
+// blockchain/test/shareTokens.test.js
+/**
+ * Share tokens: the ERC-20 view of a property's shares created through
+ * FractionalPropertyFactory, and the migration of holders who bought before
+ * the token existed.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Share tokens', function () {
+    const E = ethers.parseEther;
+    const NONE = ethers.ZeroAddress;
+
+    async function tokensFixture() {
+        const [admin, alice, bob, carol] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+        const factory = await (await ethers.getContractFactory('FractionalPropertyFactory', admin))
+            .deploy(await marketplace.getAddress());
+        await marketplace.setShareTokenFactory(await factory.getAddress());
+
+        const buy = (propertyId, buyer, shares) =>
+            marketplace.connect(buyer).buyShares(propertyId, shares, E('1') * BigInt(shares), { value: E('1') * BigInt(shares) });
+
+        // Shares sold before the token exists, so its token starts in migration mode
+        const sold = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await buy(sold, alice, 30);
+        await buy(sold, bob, 20);
+        await marketplace.connect(alice).listSharesForResale(sold, 10, E('1.2'), 0);
+        const fresh = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+
+        const createToken = async (propertyId) => {
+            await factory.createShareToken(propertyId, 'Sunset Villa Shares', 'SUNSET');
+            return ethers.getContractAt('PropertyShareToken', await marketplace.shareTokens(propertyId));
+        };
+
+        // [from, to, amount] of each Transfer the token emitted in a transaction, in order
+        const transfers = async (token, tx) => {
+            const receipt = await (await tx).wait();
+            const tokenAddress = await token.getAddress();
+            return receipt.logs
+                .filter(log => log.address === tokenAddress)
+                .map(log => token.interface.parseLog(log))
+                .filter(event => event.name === 'Transfer')
+                .map(event => [event.args.from, event.args.to, event.args.value]);
+        };
+
+        return { marketplace, factory, alice, bob, carol, buy, sold, fresh, createToken, transfers };
+    }
+
+    it('creates one token per property through the factory', async function () {
+        const { marketplace, factory, alice, sold, fresh } = await loadFixture(tokensFixture);
+
+        await expect(factory.connect(alice).createShareToken(fresh, 'Shares', 'SHR'))
+            .to.be.revertedWithCustomError(factory, 'OwnableUnauthorizedAccount');
+        await expect(factory.createShareToken(99, 'Shares', 'SHR')).to.be.revertedWith('Property does not exist');
+        await expect(factory.createShareToken(fresh, '', 'SHR')).to.be.revertedWith('Name and symbol required');
+
+        const freshToken = await factory.createShareToken.staticCall(fresh, 'Shares', 'SHR');
+        await expect(factory.createShareToken(fresh, 'Shares', 'SHR'))
+            .to.emit(factory, 'ShareTokenCreated').withArgs(fresh, freshToken, 'Shares', 'SHR', false)
+            .and.to.emit(marketplace, 'ShareTokenRegistered').withArgs(fresh, freshToken);
+        await expect(factory.createShareToken(fresh, 'Shares', 'SHR')).to.be.revertedWith('Share token exists');
+
+        // A property that already sold shares gets a token in migration mode
+        const soldToken = await factory.createShareToken.staticCall(sold, 'Sold Shares', 'SOLD');
+        await expect(factory.createShareToken(sold, 'Sold Shares', 'SOLD'))
+            .to.emit(factory, 'ShareTokenCreated').withArgs(sold, soldToken, 'Sold Shares', 'SOLD', true);
+        expect(await factory.getShareTokenCount()).to.equal(2n);
+        expect(await factory.allShareTokens(0)).to.equal(freshToken);
+        expect(await marketplace.shareTokens(sold)).to.equal(soldToken);
+
+        // The marketplace only takes tokens from its factory
+        await expect(marketplace.registerShareToken(fresh, alice.address)).to.be.revertedWith('Not share token factory');
+    });
+
+    it('reads balances and supply from the marketplace', async function () {
+        const { alice, bob, sold, createToken } = await loadFixture(tokensFixture);
+        const token = await createToken(sold);
+
+        expect(await token.name()).to.equal('Sunset Villa Shares');
+        expect(await token.symbol()).to.equal('SUNSET');
+        expect(await token.decimals()).to.equal(0n);
+        expect(await token.totalSupply()).to.equal(50n);
+
+        // Listed shares count towards the balance but can't be transferred
+        expect(await token.balanceOf(alice.address)).to.equal(30n);
+        expect(await token.transferableBalanceOf(alice.address)).to.equal(20n);
+        expect(await token.balanceOf(bob.address)).to.equal(20n);
+    });
+
+    it('emits a Transfer for every change of holding on the marketplace', async function () {
+        const { marketplace, alice, bob, buy, fresh, createToken, transfers } = await loadFixture(tokensFixture);
+        const token = await createToken(fresh);
+        expect(await token.needsMigration()).to.equal(false);
+
+        expect(await transfers(token, buy(fresh, alice, 10))).to.deep.equal([[NONE, alice.address, 10n]]);
+        expect(await transfers(token, marketplace.connect(alice).transferShares(fresh, bob.address, 4)))
+            .to.deep.equal([[alice.address, bob.address, 4n]]);
+
+        const listingId = await marketplace.nextListingId();
+        await marketplace.connect(bob).listSharesForResale(fresh, 4, E('1.2'), 0);
+        expect(await transfers(token, marketplace.connect(alice).buyFromResale(listingId, 3, { value: E('3.6') })))
+            .to.deep.equal([[bob.address, alice.address, 3n]]);
+        expect(await token.balanceOf(alice.address)).to.equal(9n);
+    });
+
+    it('moves shares on the marketplace when the token is transferred', async function () {
+        const { marketplace, alice, bob, carol, buy, fresh, createToken } = await loadFixture(tokensFixture);
+        const token = await createToken(fresh);
+        await buy(fresh, alice, 10);
+
+        await expect(token.connect(alice).transfer(bob.address, 3))
+            .to.emit(marketplace, 'SharesTransferred').withArgs(fresh, alice.address, bob.address, 3n)
+            .and.to.emit(token, 'Transfer').withArgs(alice.address, bob.address, 3n);
+        expect(await marketplace.getUserShares(fresh, bob.address)).to.equal(3n);
+
+        await expect(token.connect(carol).transferFrom(alice.address, carol.address, 2)).to.be.revertedWith('Insufficient allowance');
+        await token.connect(alice).approve(carol.address, 2);
+        await token.connect(carol).transferFrom(alice.address, carol.address, 2);
+        expect(await token.allowance(alice.address, carol.address)).to.equal(0n);
+        expect(await marketplace.getUserShares(fresh, carol.address)).to.equal(2n);
+
+        // An unlimited allowance is never used up
+        await token.connect(alice).approve(carol.address, ethers.MaxUint256);
+        await token.connect(carol).transferFrom(alice.address, carol.address, 1);
+        expect(await token.allowance(alice.address, carol.address)).to.equal(ethers.MaxUint256);
+
+        await expect(token.connect(alice).transfer(bob.address, 5)).to.be.revertedWith('Insufficient shares');
+    });
+
+    it('lets zero-amount transfers succeed without reaching the marketplace', async function () {
+        const { marketplace, alice, bob, fresh, createToken } = await loadFixture(tokensFixture);
+        const token = await createToken(fresh);
+
+        await expect(token.connect(alice).transfer(bob.address, 0))
+            .to.emit(token, 'Transfer').withArgs(alice.address, bob.address, 0n)
+            .and.not.to.emit(marketplace, 'SharesTransferred');
+        await expect(token.connect(alice).transfer(NONE, 0)).to.be.revertedWith('Invalid recipient');
+    });
+
+    it('only takes share moves from the marketplace, and transfers from the token', async function () {
+        const { marketplace, alice, bob, fresh, createToken } = await loadFixture(tokensFixture);
+        const token = await createToken(fresh);
+
+        await expect(token.connect(alice).onSharesMoved(NONE, alice.address, 100)).to.be.revertedWith('Not marketplace');
+        await expect(marketplace.connect(alice).transferSharesFrom(fresh, bob.address, alice.address, 1))
+            .to.be.revertedWith('Not share token');
+    });
+
+    it('announces the holders who bought before the token existed', async function () {
+        const { alice, bob, carol, sold, fresh, createToken } = await loadFixture(tokensFixture);
+        const token = await createToken(sold);
+        expect(await token.needsMigration()).to.equal(true);
+
+        // Holders already announced and accounts holding nothing are skipped
+        const holders = [alice.address, bob.address, carol.address, alice.address];
+        expect(await token.announceHolders.staticCall(holders)).to.equal(2n);
+        await expect(token.announceHolders(holders))
+            .to.emit(token, 'Transfer').withArgs(NONE, alice.address, 30n)
+            .and.to.emit(token, 'HolderAnnounced').withArgs(bob.address, 20n);
+        expect(await token.isAnnounced(alice.address)).to.equal(true);
+        expect(await token.isAnnounced(carol.address)).to.equal(false);
+        expect(await token.announceHolders.staticCall(holders)).to.equal(0n);
+
+        const freshToken = await createToken(fresh);
+        await expect(freshToken.announceHolders(holders)).to.be.revertedWith('No migration needed');
+    });
+
+    it('announces an unannounced holder when their shares first move', async function () {
+        const { marketplace, alice, bob, carol, buy, sold, createToken, transfers } = await loadFixture(tokensFixture);
+        const token = await createToken(sold);
+
+        // Both sides open with the balance they had before the move, listed shares included
+        expect(await transfers(token, marketplace.connect(alice).transferShares(sold, bob.address, 5))).to.deep.equal([
+            [NONE, alice.address, 30n],
+            [NONE, bob.address, 20n],
+            [alice.address, bob.address, 5n]
+        ]);
+        expect(await transfers(token, marketplace.connect(bob).transferShares(sold, alice.address, 1)))
+            .to.deep.equal([[bob.address, alice.address, 1n]]);
+
+        // A new holder opens at zero, so needs no announcement
+        expect(await transfers(token, buy(sold, carol, 7))).to.deep.equal([[NONE, carol.address, 7n]]);
+        expect(await token.isAnnounced(carol.address)).to.equal(true);
+    });
+});
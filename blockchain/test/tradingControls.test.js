@@ -0,0 +1,151 @@
+// blockchain/test/tradingControls.test.js
+/**
+ * Trading controls: halting a property's primary sale or resale trading,
+ * delisting it for good, and the marketplace-wide emergency pause.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Trading controls', function () {
+    const E = ethers.parseEther;
+    const PRICE = E('1.2');
+
+    async function controlsFixture() {
+        const [admin, seller, buyer] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(seller).buyShares(propertyId, 100, E('100'), { value: E('100') });
+        await marketplace.connect(seller).listSharesForResale(propertyId, 20, PRICE, 0); // 0
+
+        const buyPrimary = (shares = 1) =>
+            marketplace.connect(buyer).buyShares(propertyId, shares, E('1') * BigInt(shares), { value: E('1') * BigInt(shares) });
+        const buyResale = (shares = 1) =>
+            marketplace.connect(buyer).buyFromResale(0, shares, { value: PRICE * BigInt(shares) });
+        const status = async () => {
+            const result = await marketplace.getTradingStatus(propertyId);
+            return {
+                primarySaleActive: result.primarySaleActive,
+                resaleActive: result.resaleActive,
+                isDelisted: result.isDelisted,
+                marketplacePaused: result.marketplacePaused
+            };
+        };
+
+        return { marketplace, propertyId, seller, buyer, buyPrimary, buyResale, status };
+    }
+
+    it('reports every property open for trading by default', async function () {
+        const { status } = await loadFixture(controlsFixture);
+
+        expect(await status()).to.deep.equal({ primarySaleActive: true, resaleActive: true, isDelisted: false, marketplacePaused: false });
+    });
+
+    it('halts and resumes the primary sale of a property', async function () {
+        const { marketplace, propertyId, seller, buyPrimary, buyResale, status } = await loadFixture(controlsFixture);
+
+        await expect(marketplace.connect(seller).setPrimarySaleActive(propertyId, false))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+        await expect(marketplace.setPrimarySaleActive(propertyId, true)).to.be.revertedWith('Status unchanged');
+
+        await expect(marketplace.setPrimarySaleActive(propertyId, false))
+            .to.emit(marketplace, 'PrimarySaleStatusChanged').withArgs(propertyId, false);
+        expect((await status()).primarySaleActive).to.equal(false);
+        await expect(buyPrimary()).to.be.revertedWith('Property not active');
+        // Resale trading carries on
+        await buyResale();
+
+        await marketplace.setPrimarySaleActive(propertyId, true);
+        await buyPrimary();
+    });
+
+    it('halts and resumes resale trading of a property', async function () {
+        const { marketplace, propertyId, seller, buyer, buyPrimary, buyResale, status } = await loadFixture(controlsFixture);
+
+        await expect(marketplace.connect(seller).setResaleActive(propertyId, false))
+            .to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+        await expect(marketplace.setResaleActive(propertyId, true)).to.be.revertedWith('Status unchanged');
+
+        await expect(marketplace.setResaleActive(propertyId, false))
+            .to.emit(marketplace, 'ResaleTradingStatusChanged').withArgs(propertyId, false);
+        expect((await status()).resaleActive).to.equal(false);
+
+        await expect(buyResale()).to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 1, PRICE, 0))
+            .to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(seller).updateResaleListing(0, PRICE, 10, 0))
+            .to.be.revertedWith('Resale trading halted');
+        await expect(marketplace.connect(buyer).placeBid(propertyId, 1, PRICE, 0, { value: PRICE }))
+            .to.be.revertedWith('Resale trading halted');
+
+        // Primary sales carry on, and sellers can still take their shares back
+        await buyPrimary();
+        await marketplace.connect(seller).cancelResaleListing(0);
+        expect(await marketplace.getUserShares(propertyId, seller.address)).to.equal(100n);
+
+        await marketplace.setResaleActive(propertyId, true);
+        await marketplace.connect(seller).listSharesForResale(propertyId, 1, PRICE, 0);
+    });
+
+    it('delists a property for good', async function () {
+        const { marketplace, propertyId, seller, buyPrimary, status } = await loadFixture(controlsFixture);
+        await marketplace.setPrimarySaleActive(propertyId, false);
+
+        // Only the controls still open change status
+        await expect(marketplace.delistProperty(propertyId))
+            .to.emit(marketplace, 'PropertyDelisted').withArgs(propertyId)
+            .and.to.emit(marketplace, 'ResaleTradingStatusChanged').withArgs(propertyId, false)
+            .and.not.to.emit(marketplace, 'PrimarySaleStatusChanged');
+        expect(await status()).to.deep.equal({ primarySaleActive: false, resaleActive: false, isDelisted: true, marketplacePaused: false });
+
+        await expect(buyPrimary()).to.be.revertedWith('Property not active');
+        await expect(marketplace.setPrimarySaleActive(propertyId, true)).to.be.revertedWith('Property delisted');
+        await expect(marketplace.setResaleActive(propertyId, true)).to.be.revertedWith('Property delisted');
+        await expect(marketplace.delistProperty(propertyId)).to.be.revertedWith('Property delisted');
+
+        // Balances are kept and listings can still be cancelled
+        await marketplace.connect(seller).cancelResaleListing(0);
+        expect(await marketplace.getUserShares(propertyId, seller.address)).to.equal(100n);
+    });
+
+    it('leaves funding rounds to run their course', async function () {
+        const { marketplace, buyer } = await loadFixture(controlsFixture);
+        const deadline = (await time.latest()) + 7 * 24 * 3600;
+        const round = await listProperty(marketplace, { price: E('1'), shares: 100, softCap: E('50'), deadline });
+        await marketplace.connect(buyer).buyShares(round, 10, E('10'), { value: E('10') });
+
+        await expect(marketplace.delistProperty(round)).to.be.revertedWith('Funding round open');
+        await expect(marketplace.setResaleActive(round, true)).to.be.revertedWith('Funding round not finalized');
+
+        await time.increaseTo(deadline + 1);
+        await marketplace.connect(buyer).claimFundingRefund(round);
+        await expect(marketplace.setPrimarySaleActive(round, true)).to.be.revertedWith('Funding round failed');
+        await expect(marketplace.setPrimarySaleActive(99, true)).to.be.revertedWith('Property does not exist');
+    });
+
+    it('pauses all trading in an emergency', async function () {
+        const { marketplace, propertyId, seller, buyer, buyPrimary, buyResale, status } = await loadFixture(controlsFixture);
+
+        await expect(marketplace.connect(seller).pause()).to.be.revertedWithCustomError(marketplace, 'OwnableUnauthorizedAccount');
+        await marketplace.pause();
+        expect((await status()).marketplacePaused).to.equal(true);
+
+        await expect(buyPrimary()).to.be.revertedWithCustomError(marketplace, 'EnforcedPause');
+        await expect(buyResale()).to.be.revertedWithCustomError(marketplace, 'EnforcedPause');
+        await expect(marketplace.connect(seller).listSharesForResale(propertyId, 1, PRICE, 0))
+            .to.be.revertedWithCustomError(marketplace, 'EnforcedPause');
+        await expect(marketplace.connect(seller).transferShares(propertyId, buyer.address, 1))
+            .to.be.revertedWithCustomError(marketplace, 'EnforcedPause');
+
+        // Sellers can still take their shares back
+        await marketplace.connect(seller).cancelResaleListing(0);
+
+        await marketplace.unpause();
+        await buyPrimary();
+        expect(await status()).to.deep.equal({ primarySaleActive: true, resaleActive: true, isDelisted: false, marketplacePaused: false });
+    });
+});
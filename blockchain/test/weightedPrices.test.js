@@ -0,0 +1,128 @@
+// blockchain/test/weightedPrices.test.js
+/**
+ * Weighted market prices: the volume- and time-weighted averages of the
+ * resale trades in the price window, with off-market trades left out.
+ */
+import { expect } from 'chai';
+import pkg from 'hardhat';
+import { loadFixture, time } from '@nomicfoundation/hardhat-network-helpers';
+import { deployMarketplace, listProperty } from './helpers/marketplace.js';
+
+const { ethers } = pkg;
+
+describe('Weighted prices', function () {
+    const E = ethers.parseEther;
+
+    async function pricesFixture() {
+        const [admin, seller, buyer] = await ethers.getSigners();
+        const { marketplace } = await deployMarketplace(admin);
+
+        const propertyId = await listProperty(marketplace, { price: E('1'), shares: 1000 });
+        await marketplace.connect(seller).buyShares(propertyId, 200, E('200'), { value: E('200') });
+
+        // List and buy `shares` at `price`, optionally in a block at `timestamp`
+        const trade = async (shares, price, timestamp) => {
+            const listingId = await marketplace.nextListingId();
+            await marketplace.connect(seller).listSharesForResale(propertyId, shares, price, 0);
+            if (timestamp !== undefined) {
+                await time.setNextBlockTimestamp(timestamp);
+            }
+            await (await marketplace.connect(buyer).buyFromResale(listingId, shares, { value: price * BigInt(shares) })).wait();
+        };
+
+        const vwap = async () => {
+            const result = await marketplace.getVolumeWeightedPrice(propertyId);
+            return { price: result.price, volume: result.volume, meetsMinVolume: result.meetsMinVolume };
+        };
+        const twap = () => marketplace.getTimeWeightedPrice(propertyId);
+
+        return { marketplace, propertyId, trade, vwap, twap };
+    }
+
+    it('falls back to the initial price before any trade', async function () {
+        const { vwap, twap } = await loadFixture(pricesFixture);
+
+        expect(await vwap()).to.deep.equal({ price: E('1'), volume: 0n, meetsMinVolume: false });
+        expect(await twap()).to.equal(E('1'));
+    });
+
+    it('weighs each trade by its shares for the VWAP', async function () {
+        const { trade, vwap } = await loadFixture(pricesFixture);
+
+        await trade(4, E('1'));
+        expect((await vwap()).meetsMinVolume).to.equal(false);
+
+        // (4 x 1 + 6 x 1.2) / 10
+        await trade(6, E('1.2'));
+        expect(await vwap()).to.deep.equal({ price: E('1.12'), volume: 10n, meetsMinVolume: true });
+    });
+
+    it('weighs each price by how long it was the latest for the TWAP', async function () {
+        const { trade, twap } = await loadFixture(pricesFixture);
+        const start = (await time.latest()) + 100;
+
+        // Trades only in the current block have had no time to be weighed
+        await trade(5, E('1'), start);
+        expect(await twap()).to.equal(E('1'));
+
+        // 1 for 100 seconds, then 1.2 for 300
+        await trade(5, E('1.2'), start + 100);
+        await time.increaseTo(start + 400);
+        expect(await twap()).to.equal(E('1.15'));
+    });
+
+    it('opens the window at the price of the last trade before it', async function () {
+        const { marketplace, trade, vwap, twap } = await loadFixture(pricesFixture);
+        const window = Number(await marketplace.PRICE_WINDOW());
+        const start = (await time.latest()) + 100;
+
+        await trade(20, E('1'), start);
+        await trade(10, E('1.2'), start + window + 100);
+        await time.increaseTo(start + window + 400);
+
+        // The older trade's volume falls out of the VWAP, but its price held for
+        // the start of the window
+        expect(await vwap()).to.deep.equal({ price: E('1.2'), volume: 10n, meetsMinVolume: true });
+        const expected = (E('1.2') * 300n + E('1') * BigInt(window - 300)) / BigInt(window);
+        expect(await twap()).to.equal(expected);
+    });
+
+    it('leaves out trades far from the average resale price', async function () {
+        const { marketplace, propertyId, trade, vwap, twap } = await loadFixture(pricesFixture);
+        await trade(10, E('1'));
+
+        // 2 is outside 25% of the average of 1: the trade stands and sets the
+        // market price, but the weighted prices ignore it
+        await trade(10, E('2'));
+        expect((await marketplace.resaleTransactions(propertyId, 1)).isOutlier).to.equal(true);
+        expect(await marketplace.getMarketPrice(propertyId)).to.equal(E('2'));
+        expect(await vwap()).to.deep.equal({ price: E('1'), volume: 10n, meetsMinVolume: true });
+        expect(await twap()).to.equal(E('1'));
+
+        // The outlier enters the average at the band's edge (1.25), so the band
+        // moves up a step and 1.4 is no longer an outlier
+        expect(await marketplace.getAverageResalePrice(propertyId)).to.equal(E('1.125'));
+        await trade(10, E('1.4'));
+        expect((await marketplace.resaleTransactions(propertyId, 2)).isOutlier).to.equal(false);
+        expect((await vwap()).price).to.equal(E('1.2'));
+    });
+
+    it('looks back at most MAX_PRICE_OBSERVATIONS trades', async function () {
+        const { marketplace, trade, vwap } = await loadFixture(pricesFixture);
+        const observations = await marketplace.MAX_PRICE_OBSERVATIONS();
+
+        await trade(50, E('1'));
+        for (let i = 0n; i < observations; i++) {
+            await trade(1, E('1.1'));
+        }
+        expect(await vwap()).to.deep.equal({ price: E('1.1'), volume: observations, meetsMinVolume: true });
+    });
+
+    it('needs 1% of the shares traded for a reliable VWAP, at least one share', async function () {
+        const { marketplace, propertyId } = await loadFixture(pricesFixture);
+        const small = await listProperty(marketplace, { price: E('1'), shares: 50 });
+
+        expect(await marketplace.getMinPriceVolume(propertyId)).to.equal(10n);
+        expect(await marketplace.getMinPriceVolume(small)).to.equal(1n);
+    });
+});
@@ -0,0 +1,207 @@
+// frontend/src/components/BestPriceBuy.jsx
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useWallet } from '../context/WalletContext';
+import {
+    quoteBestPrice,
+    buyAtBestPrice,
+    getReadProvider,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+
+const cellStyle = { padding: '8px 10px', borderBottom: '1px solid #e5e7eb', fontSize: '0.9rem' };
+
+/**
+ * BestPriceBuy Component
+ * Buys a number of shares of one property across its cheapest resale
+ * listings in a single transaction. The buyer previews the fills first
+ * (quoteBestPrice) and signs for exactly that plan, capped by a maximum
+ * average price. Transactions run through the parent page's runTransaction,
+ * which reloads the listings afterwards.
+ */
+const BestPriceBuy = ({ properties, runTransaction, busy, tradingPaused }) => {
+    const { currentUser } = useAuth();
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [form, setForm] = useState({ propertyId: '', shares: '', maxAveragePrice: '' });
+    const [quote, setQuote] = useState(null);
+    const [quoting, setQuoting] = useState(false);
+    const [quoteError, setQuoteError] = useState(null);
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+    const property = properties.find(p => p.id === form.propertyId);
+    const symbol = quote?.currency?.symbol || property?.currency?.symbol || 'MATIC';
+    const sharesWanted = parseInt(form.shares) || 0;
+    const maxAverage = parseFloat(form.maxAveragePrice) || 0;
+
+    // Any change to the inputs makes the preview stale
+    const updateForm = (changes) => {
+        setForm({ ...form, ...changes });
+        setQuote(null);
+        setQuoteError(null);
+    };
+
+    const handlePreview = async (e) => {
+        e.preventDefault();
+        if (!property || sharesWanted < 1) return;
+
+        setQuoting(true);
+        setQuoteError(null);
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const result = await quoteBestPrice(readProvider, property.chainPropertyId, sharesWanted, account);
+            setQuote(result);
+
+            // Suggest the quoted average as the limit
+            if (!form.maxAveragePrice && result.averagePrice !== null) {
+                setForm(prev => ({ ...prev, maxAveragePrice: result.averagePrice.toString() }));
+            }
+        } catch (error) {
+            console.error('Error quoting best price:', error);
+            setQuoteError(error.message);
+            setQuote(null);
+        } finally {
+            setQuoting(false);
+        }
+    };
+
+    const handleBuy = async () => {
+        if (!currentUser || !isConnected) {
+            alert('Please login and connect your wallet');
+            return;
+        }
+        if (!quote || quote.fills.length === 0) return;
+
+        const partial = quote.sharesAvailable < sharesWanted
+            ? `\nOnly ${quote.sharesAvailable} of ${sharesWanted} share(s) are available.\n`
+            : '';
+        if (!confirm(`Buy ${quote.sharesAvailable} share(s) of ${property.title} across ${quote.fills.length} listing(s)?\n\nTotal: ${quote.totalCost} ${symbol} (average ${quote.averagePrice} ${symbol}/share, max ${form.maxAveragePrice})\n${partial}\nListings that sell out first are skipped; unused ${symbol} is added to your withdrawable earnings.`)) {
+            return;
+        }
+
+        const bought = await runTransaction('Best-price purchase', async (onSubmitted, onApproval) => {
+            const result = await buyAtBestPrice(signer, property.chainPropertyId, sharesWanted, form.maxAveragePrice, quote, { onSubmitted, onApproval });
+            return `Bought ${result.sharesBought} share(s) across ${result.fills.length} listing(s) for ${result.totalCost} ${symbol} (average ${result.averagePrice} ${symbol}/share).`;
+        });
+
+        if (bought) {
+            setForm({ propertyId: form.propertyId, shares: '', maxAveragePrice: '' });
+            setQuote(null);
+        }
+    };
+
+    const overLimit = !!quote && quote.averagePrice !== null && maxAverage > 0 && quote.averagePrice > maxAverage;
+    const canBuy = !!quote && quote.fills.length > 0 && maxAverage > 0 && !overLimit && !busy && !tradingPaused && isConnected && !wrongNetwork;
+
+    return (
+        <div className="card" style={{ padding: '20px', marginBottom: '25px' }}>
+            <h3 style={{ marginTop: 0, marginBottom: '5px' }}>⚡ Buy at Best Price</h3>
+            <p style={{ color: '#6b7280', fontSize: '0.9rem', marginTop: 0 }}>
+                Fill the cheapest listings of a property in one transaction. Preview the listings before you sign.
+            </p>
+
+            <form onSubmit={handlePreview} style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                <div style={{ flex: '2 1 220px' }}>
+                    <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Property</label>
+                    <select
+                        className="form-input"
+                        value={form.propertyId}
+                        onChange={e => updateForm({ propertyId: e.target.value })}
+                        required
+                    >
+                        <option value="">Select a property</option>
+                        {properties.map(p => (
+                            <option key={p.id} value={p.id}>{p.title || `Property #${p.id.slice(-6)}`}</option>
+                        ))}
+                    </select>
+                </div>
+                <div style={{ flex: '1 1 100px' }}>
+                    <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Shares</label>
+                    <input
+                        type="number"
+                        min="1"
+                        value={form.shares}
+                        onChange={e => updateForm({ shares: e.target.value })}
+                        className="form-input"
+                        required
+                    />
+                </div>
+                <div style={{ flex: '1 1 150px' }}>
+                    <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Max Average Price ({symbol})</label>
+                    <input
+                        type="number"
+                        step="0.000001"
+                        min="0"
+                        value={form.maxAveragePrice}
+                        onChange={e => setForm({ ...form, maxAveragePrice: e.target.value })}
+                        className="form-input"
+                        placeholder="From preview"
+                    />
+                </div>
+                <button type="submit" disabled={quoting || !property || sharesWanted < 1} className="btn-secondary" style={{ padding: '10px 20px' }}>
+                    {quoting ? 'Quoting...' : 'Preview'}
+                </button>
+            </form>
+
+            {quoteError && (
+                <p style={{ color: '#dc2626', fontSize: '0.9rem', marginTop: '15px' }}>{quoteError}</p>
+            )}
+
+            {quote && (
+                <div style={{ marginTop: '20px' }}>
+                    {quote.fills.length === 0 ? (
+                        <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>No listings of this property are for sale right now.</p>
+                    ) : (
+                        <>
+                            <table style={{ width: '100%' }}>
+                                <thead>
+                                    <tr>
+                                        <th style={cellStyle}>Listing</th>
+                                        <th style={cellStyle}>Seller</th>
+                                        <th style={cellStyle}>Price / Share</th>
+                                        <th style={cellStyle}>Shares</th>
+                                        <th style={cellStyle}>Subtotal</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {quote.fills.map(fill => (
+                                        <tr key={fill.listingId}>
+                                            <td style={{ ...cellStyle, color: '#6b7280' }}>#{fill.listingId}</td>
+                                            <td style={{ ...cellStyle, fontFamily: 'monospace' }}>{fill.seller.slice(0, 6)}...{fill.seller.slice(-4)}</td>
+                                            <td style={{ ...cellStyle, fontWeight: '600' }}>{fill.pricePerShare} {symbol}</td>
+                                            <td style={cellStyle}>{fill.shares}</td>
+                                            <td style={cellStyle}>{(fill.pricePerShare * fill.shares).toFixed(6)} {symbol}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+
+                            <div style={{ display: 'flex', gap: '20px', flexWrap: 'wrap', marginTop: '15px', fontSize: '0.9rem' }}>
+                                <span>Shares: <strong>{quote.sharesAvailable}</strong> of {sharesWanted}</span>
+                                <span>Total: <strong>{quote.totalCost} {symbol}</strong></span>
+                                <span>Average: <strong>{quote.averagePrice} {symbol}/share</strong></span>
+                            </div>
+
+                            {quote.sharesAvailable < sharesWanted && (
+                                <p style={{ color: '#b45309', fontSize: '0.85rem', marginBottom: 0 }}>
+                                    Only {quote.sharesAvailable} share(s) are listed; the purchase fills what is available.
+                                </p>
+                            )}
+                            {overLimit && (
+                                <p style={{ color: '#dc2626', fontSize: '0.85rem', marginBottom: 0 }}>
+                                    The average price is above your maximum of {form.maxAveragePrice} {symbol}.
+                                </p>
+                            )}
+
+                            <button onClick={handleBuy} disabled={!canBuy} className="btn-primary" style={{ padding: '10px 20px', marginTop: '15px' }}>
+                                {`Buy ${quote.sharesAvailable} Share(s) · ${quote.totalCost} ${symbol}`}
+                            </button>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default BestPriceBuy;
@@ -0,0 +1,167 @@
+// frontend/src/components/ListingOffers.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../context/WalletContext';
+import {
+    acceptOffer,
+    counterOffer,
+    rejectOffer,
+    getListingOffers,
+    getReadProvider,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+
+/**
+ * ListingOffers Component
+ * Open offers on one of the seller's resale listings. The seller accepts an
+ * offer (selling at the offered price), rejects it (refunding the buyer) or
+ * counters with a price between the offer and their ask. Transactions run
+ * through the parent page's runTransaction so they share its status banner.
+ */
+const ListingOffers = ({ listing, runTransaction, busy, tradingPaused }) => {
+    const { isConnected, signer, provider, chainId } = useWallet();
+
+    const [offers, setOffers] = useState([]);
+    const [counterPrices, setCounterPrices] = useState({});
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+    const canAnswer = isConnected && !wrongNetwork && !busy;
+
+    const fetchOffers = useCallback(async () => {
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        try {
+            setOffers(await getListingOffers(readProvider, listing.listingId));
+        } catch (error) {
+            console.error(`Error loading offers on listing ${listing.listingId}:`, error);
+        }
+    }, [listing.listingId, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchOffers();
+    }, [fetchOffers]);
+
+    const handleAccept = async (offer) => {
+        const symbol = offer.currency.symbol;
+        if (!confirm(`Sell ${offer.shares} share(s) at ${offer.pricePerShare} ${symbol} each (your ask is ${listing.pricePerShare} ${symbol})?\n\nThis updates the market price.`)) {
+            return;
+        }
+
+        const accepted = await runTransaction('Accept offer', async (onSubmitted) => {
+            const result = await acceptOffer(signer, offer.offerId, { onSubmitted });
+            const received = result.fees ? result.fees.sellerProceeds : result.total;
+            return `Offer #${offer.offerId} accepted: sold ${offer.shares} share(s) for ${result.total} ${symbol}. ${received} ${symbol} after fees is ready to withdraw from your dashboard.`;
+        });
+
+        if (accepted) await fetchOffers();
+    };
+
+    const handleReject = async (offer) => {
+        if (!confirm(`Reject offer #${offer.offerId}? The buyer's escrow is refunded to them.`)) return;
+
+        const rejected = await runTransaction('Reject offer', async (onSubmitted) => {
+            await rejectOffer(signer, offer.offerId, { onSubmitted });
+            return `Offer #${offer.offerId} rejected.`;
+        });
+
+        if (rejected) await fetchOffers();
+    };
+
+    const handleCounter = async (offer) => {
+        const price = counterPrices[offer.offerId];
+        if (!price) return;
+
+        const countered = await runTransaction('Counter offer', async (onSubmitted) => {
+            const result = await counterOffer(signer, offer.offerId, price, { onSubmitted });
+            return `Countered offer #${offer.offerId} at ${result.counterPrice} ${offer.currency.symbol} per share. The buyer can accept it until the offer expires.`;
+        });
+
+        if (countered) {
+            setCounterPrices({ ...counterPrices, [offer.offerId]: '' });
+            await fetchOffers();
+        }
+    };
+
+    if (offers.length === 0) return null;
+
+    return (
+        <div style={{ borderTop: '1px solid #e5e7eb', marginTop: '15px', paddingTop: '15px' }}>
+            <div style={{ fontWeight: '600', marginBottom: '10px' }}>
+                🤝 Offers ({offers.length})
+            </div>
+
+            {offers.map(offer => (
+                <div key={offer.offerId} style={{
+                    backgroundColor: offer.expired ? '#f9fafb' : '#eff6ff',
+                    padding: '10px',
+                    borderRadius: '8px',
+                    marginBottom: '10px',
+                    fontSize: '0.85rem'
+                }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                        <span>
+                            <strong>{offer.shares}</strong> share(s) at <strong>{offer.pricePerShare} {offer.currency.symbol}</strong>
+                        </span>
+                        <span style={{ color: offer.expired ? '#b91c1c' : '#6b7280' }}>
+                            {offer.expired ? 'Expired' : `Expires ${new Date(offer.expiresAt * 1000).toLocaleString()}`}
+                        </span>
+                    </div>
+
+                    {offer.counterPrice !== null && (
+                        <div style={{ color: '#1e40af', marginBottom: '6px' }}>
+                            You countered at {offer.counterPrice} {offer.currency.symbol} - waiting for the buyer
+                        </div>
+                    )}
+
+                    {offer.expired ? (
+                        <div style={{ color: '#6b7280' }}>
+                            The buyer's escrow is refunded automatically.
+                        </div>
+                    ) : (
+                        <>
+                            <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                                <button
+                                    onClick={() => handleAccept(offer)}
+                                    className="btn-primary"
+                                    disabled={!canAnswer || tradingPaused}
+                                    style={{ flex: 1, padding: '6px' }}
+                                >
+                                    Accept
+                                </button>
+                                <button
+                                    onClick={() => handleReject(offer)}
+                                    className="btn-secondary"
+                                    disabled={!canAnswer}
+                                    style={{ flex: 1, padding: '6px' }}
+                                >
+                                    Reject
+                                </button>
+                            </div>
+                            <div style={{ display: 'flex', gap: '6px' }}>
+                                <input
+                                    type="number"
+                                    step="0.001"
+                                    min="0.001"
+                                    max={listing.pricePerShare}
+                                    placeholder={`Counter (≤ ${listing.pricePerShare})`}
+                                    value={counterPrices[offer.offerId] || ''}
+                                    onChange={e => setCounterPrices({ ...counterPrices, [offer.offerId]: e.target.value })}
+                                    className="form-input"
+                                    style={{ flex: 1, padding: '4px 8px' }}
+                                />
+                                <button
+                                    onClick={() => handleCounter(offer)}
+                                    className="btn-secondary"
+                                    disabled={!canAnswer || tradingPaused || !counterPrices[offer.offerId]}
+                                    style={{ padding: '6px 12px' }}
+                                >
+                                    Counter
+                                </button>
+                            </div>
+                        </>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default ListingOffers;
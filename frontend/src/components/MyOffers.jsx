@@ -0,0 +1,140 @@
+// frontend/src/components/MyOffers.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { useWallet } from '../context/WalletContext';
+import {
+    acceptCounterOffer,
+    cancelOffer,
+    getOffer,
+    getReadProvider,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+
+/**
+ * MyOffers Component
+ * Open offers the connected wallet made on resale listings. Lets the buyer
+ * accept a seller's counter-offer (paying the difference) or cancel the
+ * offer to get the escrow back. Offers are found through the Firestore
+ * cache and shown with the contract's state.
+ */
+const MyOffers = ({ runTransaction, busy, tradingPaused }) => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [offers, setOffers] = useState([]);
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    const fetchOffers = useCallback(async () => {
+        if (!account) {
+            setOffers([]);
+            return;
+        }
+
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        try {
+            const [snap, block] = await Promise.all([
+                getDocs(query(collection(db, 'resaleOffers'), where('buyerWallet', '==', account.toLowerCase()))),
+                readProvider.getBlock('latest')
+            ]);
+            const loaded = await Promise.all(snap.docs.map(async (d) => {
+                const onChain = await getOffer(readProvider, d.id).catch(() => null);
+                return onChain && { ...d.data(), ...onChain, expired: onChain.expiresAt < block.timestamp };
+            }));
+            setOffers(loaded.filter(o => o && o.isActive));
+        } catch (error) {
+            console.error('Error loading your offers:', error);
+        }
+    }, [account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchOffers();
+    }, [fetchOffers]);
+
+    const handleAcceptCounter = async (offer) => {
+        const topUp = (offer.shares * (offer.counterPrice - offer.pricePerShare)).toFixed(6);
+        const symbol = offer.currency.symbol;
+        if (!confirm(`Buy ${offer.shares} share(s) at the seller's counter of ${offer.counterPrice} ${symbol} each?\n\nYou pay ${topUp} ${symbol} on top of your escrowed offer.\n\nThis updates the market price.`)) {
+            return;
+        }
+
+        const accepted = await runTransaction('Accept counter-offer', async (onSubmitted, onApproval) => {
+            const result = await acceptCounterOffer(signer, offer.offerId, { onSubmitted, onApproval });
+            return `Bought ${offer.shares} share(s) for ${result.total} ${symbol} (${result.topUp} ${symbol} paid now).`;
+        });
+
+        if (accepted) await fetchOffers();
+    };
+
+    const handleCancel = async (offer) => {
+        if (!confirm(`Cancel offer #${offer.offerId}? The escrow goes back to your withdrawable earnings.`)) return;
+
+        const cancelled = await runTransaction('Cancel offer', async (onSubmitted) => {
+            const result = await cancelOffer(signer, offer.offerId, { onSubmitted });
+            return `Offer #${offer.offerId} cancelled. ${result.refund} ${offer.currency.symbol} refunded to your withdrawable earnings.`;
+        });
+
+        if (cancelled) await fetchOffers();
+    };
+
+    if (offers.length === 0) return null;
+
+    return (
+        <div style={{ marginTop: '30px' }}>
+            <h3 style={{ fontSize: '1.1rem', marginBottom: '15px' }}>My Offers</h3>
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Listing</th>
+                            <th>Shares</th>
+                            <th>Your Offer</th>
+                            <th>Counter</th>
+                            <th>Escrow</th>
+                            <th>Expires</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {offers.map(offer => (
+                            <tr key={offer.offerId}>
+                                <td>#{offer.listingId}</td>
+                                <td>{offer.shares}</td>
+                                <td>{offer.pricePerShare} {offer.currency.symbol}</td>
+                                <td style={{ color: offer.counterPrice !== null ? '#1e40af' : '#6b7280', fontWeight: offer.counterPrice !== null ? '600' : '400' }}>
+                                    {offer.counterPrice !== null ? `${offer.counterPrice} ${offer.currency.symbol}` : '-'}
+                                </td>
+                                <td>{(offer.shares * offer.pricePerShare).toFixed(4)} {offer.currency.symbol}</td>
+                                <td style={{ color: offer.expired ? '#b91c1c' : '#6b7280' }}>
+                                    {offer.expired ? 'Expired' : new Date(offer.expiresAt * 1000).toLocaleString()}
+                                </td>
+                                <td style={{ textAlign: 'right', whiteSpace: 'nowrap' }}>
+                                    {offer.counterPrice !== null && !offer.expired && (
+                                        <button
+                                            onClick={() => handleAcceptCounter(offer)}
+                                            disabled={!isConnected || wrongNetwork || busy || tradingPaused}
+                                            className="btn-primary"
+                                            style={{ padding: '6px 14px', marginRight: '6px' }}
+                                        >
+                                            Accept Counter
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => handleCancel(offer)}
+                                        disabled={!isConnected || wrongNetwork || busy}
+                                        className="btn-secondary"
+                                        style={{ padding: '6px 14px' }}
+                                    >
+                                        {offer.expired ? 'Reclaim Escrow' : 'Cancel'}
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default MyOffers;
@@ -0,0 +1,405 @@
+// frontend/src/components/OrderBook.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { useWallet } from '../context/WalletContext';
+import {
+    placeBid,
+    fillBid,
+    cancelBid,
+    getBid,
+    getOrderBook,
+    getBestPrices,
+    getUserShares,
+    getReadProvider,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+
+const formatPrice = (value, symbol) => value === null || value === undefined ? '-' : `${value} ${symbol}`;
+const formatExpiry = (expiresAt) => expiresAt ? new Date(expiresAt * 1000).toLocaleString() : 'No expiry';
+const isExpired = (bid) => !!bid.expiresAt && bid.expiresAt * 1000 < Date.now();
+
+/**
+ * OrderBook Component
+ * Buy-side bids next to the resale listings (asks) of each property, in
+ * price-time priority. Buyers post escrowed bids; holders sell into them,
+ * in part or in full. Transactions run through the parent page's
+ * runTransaction so they share its status banner; the resaleBids cache is
+ * left to the backend indexer.
+ */
+const OrderBook = ({ runTransaction, busy, tradingPaused }) => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [properties, setProperties] = useState([]);
+    const [summaries, setSummaries] = useState({}); // chainPropertyId => best prices
+    const [selectedId, setSelectedId] = useState('');
+    const [book, setBook] = useState(null);
+    const [ownedShares, setOwnedShares] = useState(0);
+    const [myBids, setMyBids] = useState([]);
+    const [fillQuantities, setFillQuantities] = useState({});
+    const [bidForm, setBidForm] = useState({ shares: '', pricePerShare: '', expiresAt: '' });
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+    const canTrade = isConnected && !wrongNetwork && !tradingPaused && !busy;
+    const selected = properties.find(p => p.id === selectedId);
+    const selectedSymbol = book?.currency?.symbol || selected?.currency?.symbol || 'MATIC';
+
+    const fetchSummaries = useCallback(async () => {
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        try {
+            const snap = await getDocs(query(collection(db, 'properties'), where('status', '==', 'TOKENIZED')));
+            const list = snap.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .filter(p => p.chainPropertyId !== undefined && p.chainPropertyId !== null);
+            setProperties(list);
+
+            const entries = await Promise.all(list.map(async (p) => {
+                const best = await getBestPrices(readProvider, p.chainPropertyId).catch(() => null);
+                return [p.chainPropertyId, best];
+            }));
+            setSummaries(Object.fromEntries(entries));
+        } catch (error) {
+            console.error('Error loading order book summaries:', error);
+        }
+    }, [provider, wrongNetwork]);
+
+    const fetchBook = useCallback(async () => {
+        if (!selected) {
+            setBook(null);
+            return;
+        }
+
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        try {
+            setBook(await getOrderBook(readProvider, selected.chainPropertyId));
+            setOwnedShares(account ? Number(await getUserShares(readProvider, selected.chainPropertyId, account)) : 0);
+        } catch (error) {
+            console.error('Error loading order book:', error);
+            setBook(null);
+        }
+    }, [selected, account, provider, wrongNetwork]);
+
+    // The wallet's own open bids, expired ones included so the escrow can be reclaimed
+    const fetchMyBids = useCallback(async () => {
+        if (!account) {
+            setMyBids([]);
+            return;
+        }
+
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        try {
+            const snap = await getDocs(query(collection(db, 'resaleBids'), where('buyerWallet', '==', account.toLowerCase())));
+            const bids = await Promise.all(snap.docs.map(async (d) => {
+                const onChain = await getBid(readProvider, d.id).catch(() => null);
+                return onChain && { ...d.data(), ...onChain };
+            }));
+            setMyBids(bids.filter(b => b && b.isActive));
+        } catch (error) {
+            console.error('Error loading your bids:', error);
+        }
+    }, [account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchSummaries();
+    }, [fetchSummaries]);
+
+    useEffect(() => {
+        fetchBook();
+    }, [fetchBook]);
+
+    useEffect(() => {
+        fetchMyBids();
+    }, [fetchMyBids]);
+
+    const refresh = () => Promise.all([fetchSummaries(), fetchBook(), fetchMyBids()]);
+
+    const propertyTitle = (chainPropertyId) =>
+        properties.find(p => p.chainPropertyId === chainPropertyId)?.title || `Property #${chainPropertyId}`;
+
+    const handlePlaceBid = async (e) => {
+        e.preventDefault();
+        if (!selected) return;
+
+        const shares = parseInt(bidForm.shares);
+        const price = parseFloat(bidForm.pricePerShare);
+        const expiresAt = bidForm.expiresAt ? Math.floor(new Date(bidForm.expiresAt).getTime() / 1000) : null;
+        if (!confirm(
+            `Bid for ${shares} share(s) of ${selected.title} at ${bidForm.pricePerShare} ${selectedSymbol} each?\n\n` +
+            `${(shares * price).toFixed(4)} ${selectedSymbol} is held in escrow until the bid is filled, cancelled or expires.`
+        )) return;
+
+        const placed = await runTransaction('Place bid', async (onSubmitted, onApproval) => {
+            const result = await placeBid(signer, selected.chainPropertyId, shares, bidForm.pricePerShare, expiresAt, { onSubmitted, onApproval });
+
+            return `Bid #${result.bidId} placed. ${result.escrow} ${result.currency.symbol} is in escrow.`;
+        });
+
+        if (placed) {
+            setBidForm({ shares: '', pricePerShare: '', expiresAt: '' });
+            await refresh();
+        }
+    };
+
+    const handleFill = async (bid) => {
+        const shares = fillQuantities[bid.bidId] || 1;
+        if (!confirm(`Sell ${shares} share(s) of ${selected.title} at ${bid.pricePerShare} ${bid.currency.symbol} each?\n\nThis updates the market price.`)) {
+            return;
+        }
+
+        const filled = await runTransaction('Sell into bid', async (onSubmitted) => {
+            const result = await fillBid(signer, bid.bidId, shares, { onSubmitted });
+
+            const received = result.fees ? result.fees.sellerProceeds : result.total;
+            return `Sold ${shares} share(s) for ${result.total} ${result.currency.symbol}. ${received} ${result.currency.symbol} after fees is ready to withdraw from your dashboard.`;
+        });
+
+        if (filled) await refresh();
+    };
+
+    const handleCancel = async (bid) => {
+        if (!confirm(`Cancel bid #${bid.bidId}? The unfilled escrow goes back to your withdrawable earnings.`)) return;
+
+        const cancelled = await runTransaction('Cancel bid', async (onSubmitted) => {
+            const result = await cancelBid(signer, bid.bidId, { onSubmitted });
+            return `Bid #${bid.bidId} cancelled. ${result.refund} ${bid.currency.symbol} refunded to your withdrawable earnings.`;
+        });
+
+        if (cancelled) await refresh();
+    };
+
+    const cellStyle = { padding: '8px 10px', fontSize: '0.9rem' };
+
+    return (
+        <div>
+            {/* Best bid / ask per property */}
+            <div className="table-container" style={{ marginBottom: '30px' }}>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Property</th>
+                            <th>Best Bid</th>
+                            <th>Best Ask</th>
+                            <th>Spread</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {properties.length === 0 ? (
+                            <tr>
+                                <td colSpan="5" style={{ textAlign: 'center', padding: '30px', color: '#6b7280' }}>
+                                    No tokenized properties yet.
+                                </td>
+                            </tr>
+                        ) : properties.map(p => {
+                            const best = summaries[p.chainPropertyId];
+                            const symbol = best?.currency?.symbol || p.currency?.symbol || 'MATIC';
+                            return (
+                                <tr key={p.id} style={{ backgroundColor: p.id === selectedId ? '#eff6ff' : undefined }}>
+                                    <td style={{ fontWeight: '600' }}>{p.title || `Property #${p.chainPropertyId}`}</td>
+                                    <td style={{ color: '#10b981', fontWeight: '600' }}>{formatPrice(best?.bestBid, symbol)}</td>
+                                    <td style={{ color: '#ef4444', fontWeight: '600' }}>{formatPrice(best?.bestAsk, symbol)}</td>
+                                    <td>{best?.spread !== null && best?.spread !== undefined ? `${best.spread} ${symbol}` : '-'}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button onClick={() => setSelectedId(p.id)} className="btn-secondary" style={{ padding: '6px 14px' }}>
+                                            View Book
+                                        </button>
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                    </tbody>
+                </table>
+            </div>
+
+            {selected && book && (
+                <div className="card" style={{ padding: '25px', marginBottom: '30px' }}>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                        <h3 style={{ margin: 0 }}>{selected.title}</h3>
+                        <div style={{ display: 'flex', gap: '20px', fontSize: '0.9rem' }}>
+                            <span>Best bid: <strong style={{ color: '#10b981' }}>{formatPrice(book.bestBid, selectedSymbol)}</strong></span>
+                            <span>Best ask: <strong style={{ color: '#ef4444' }}>{formatPrice(book.bestAsk, selectedSymbol)}</strong></span>
+                            <span>
+                                Spread: <strong>{book.spread !== null ? `${book.spread.toFixed(6)} ${selectedSymbol} (${book.spreadPercent.toFixed(2)}%)` : '-'}</strong>
+                            </span>
+                        </div>
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '20px' }}>
+                        {/* Bids */}
+                        <div>
+                            <h4 style={{ color: '#10b981', marginBottom: '10px' }}>Bids (buyers)</h4>
+                            {book.bids.length === 0 ? (
+                                <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>No open bids.</p>
+                            ) : (
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th style={cellStyle}>Price</th>
+                                            <th style={cellStyle}>Shares</th>
+                                            <th style={cellStyle}>Expires</th>
+                                            <th style={cellStyle}></th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {book.bids.map(bid => {
+                                            const isOwn = !!account && bid.buyer.toLowerCase() === account.toLowerCase();
+                                            const maxFill = Math.min(bid.remainingShares, ownedShares);
+                                            const quantity = Math.min(fillQuantities[bid.bidId] || 1, Math.max(maxFill, 1));
+                                            return (
+                                                <tr key={bid.bidId}>
+                                                    <td style={{ ...cellStyle, fontWeight: '600' }}>{bid.pricePerShare}</td>
+                                                    <td style={cellStyle}>{bid.remainingShares}</td>
+                                                    <td style={{ ...cellStyle, color: '#6b7280' }}>{formatExpiry(bid.expiresAt)}</td>
+                                                    <td style={{ ...cellStyle, textAlign: 'right', whiteSpace: 'nowrap' }}>
+                                                        {isOwn ? (
+                                                            <button onClick={() => handleCancel(bid)} disabled={busy} className="btn-secondary" style={{ padding: '4px 10px' }}>
+                                                                Cancel
+                                                            </button>
+                                                        ) : maxFill > 0 && (
+                                                            <>
+                                                                <input
+                                                                    type="number"
+                                                                    min="1"
+                                                                    max={maxFill}
+                                                                    value={quantity}
+                                                                    onChange={e => setFillQuantities({
+                                                                        ...fillQuantities,
+                                                                        [bid.bidId]: Math.min(maxFill, Math.max(1, parseInt(e.target.value) || 1))
+                                                                    })}
+                                                                    className="form-input"
+                                                                    style={{ width: '60px', padding: '4px', marginRight: '6px' }}
+                                                                />
+                                                                <button onClick={() => handleFill(bid)} disabled={!canTrade} className="btn-primary" style={{ padding: '4px 10px' }}>
+                                                                    Sell
+                                                                </button>
+                                                            </>
+                                                        )}
+                                                    </td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+
+                        {/* Asks */}
+                        <div>
+                            <h4 style={{ color: '#ef4444', marginBottom: '10px' }}>Asks (resale listings)</h4>
+                            {book.asks.length === 0 ? (
+                                <p style={{ color: '#6b7280', fontSize: '0.9rem' }}>No open listings.</p>
+                            ) : (
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th style={cellStyle}>Price</th>
+                                            <th style={cellStyle}>Shares</th>
+                                            <th style={cellStyle}>Listing</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {book.asks.map(ask => (
+                                            <tr key={ask.listingId}>
+                                                <td style={{ ...cellStyle, fontWeight: '600' }}>{ask.pricePerShare}</td>
+                                                <td style={cellStyle}>{ask.remainingShares}</td>
+                                                <td style={{ ...cellStyle, color: '#6b7280' }}>#{ask.listingId}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            )}
+                        </div>
+                    </div>
+
+                    {ownedShares > 0 && book.bids.length > 0 && (
+                        <p style={{ color: '#6b7280', fontSize: '0.85rem', marginTop: '15px' }}>
+                            You can sell up to {ownedShares} unlisted share(s) into bids. Fees are deducted from what you receive.
+                        </p>
+                    )}
+
+                    {/* Place a bid */}
+                    <form onSubmit={handlePlaceBid} style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap', marginTop: '25px' }}>
+                        <div style={{ flex: '1 1 100px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Shares</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={bidForm.shares}
+                                onChange={e => setBidForm({ ...bidForm, shares: e.target.value })}
+                                className="form-input"
+                                required
+                            />
+                        </div>
+                        <div style={{ flex: '1 1 120px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Price per Share ({selectedSymbol})</label>
+                            <input
+                                type="number"
+                                step="0.001"
+                                min="0.001"
+                                value={bidForm.pricePerShare}
+                                onChange={e => setBidForm({ ...bidForm, pricePerShare: e.target.value })}
+                                className="form-input"
+                                required
+                            />
+                        </div>
+                        <div style={{ flex: '1 1 180px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Expires (optional)</label>
+                            <input
+                                type="datetime-local"
+                                value={bidForm.expiresAt}
+                                onChange={e => setBidForm({ ...bidForm, expiresAt: e.target.value })}
+                                className="form-input"
+                            />
+                        </div>
+                        <button type="submit" disabled={!canTrade} className="btn-primary" style={{ padding: '10px 20px' }}>
+                            {bidForm.shares && bidForm.pricePerShare
+                                ? `Bid · ${(parseInt(bidForm.shares) * parseFloat(bidForm.pricePerShare)).toFixed(4)} ${selectedSymbol}`
+                                : 'Place Bid'}
+                        </button>
+                    </form>
+                </div>
+            )}
+
+            {/* The wallet's open bids */}
+            {myBids.length > 0 && (
+                <div>
+                    <h3 style={{ fontSize: '1.1rem', marginBottom: '15px' }}>My Bids</h3>
+                    <div className="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Property</th>
+                                    <th>Price</th>
+                                    <th>Filled</th>
+                                    <th>Escrow Left</th>
+                                    <th>Expires</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {myBids.map(bid => (
+                                    <tr key={bid.bidId}>
+                                        <td>{propertyTitle(bid.chainPropertyId)}</td>
+                                        <td>{bid.pricePerShare} {bid.currency.symbol}</td>
+                                        <td>{bid.sharesFilled} / {bid.sharesWanted}</td>
+                                        <td>{(bid.remainingShares * bid.pricePerShare).toFixed(4)} {bid.currency.symbol}</td>
+                                        <td style={{ color: isExpired(bid) ? '#b91c1c' : '#6b7280' }}>
+                                            {isExpired(bid) ? 'Expired' : formatExpiry(bid.expiresAt)}
+                                        </td>
+                                        <td style={{ textAlign: 'right' }}>
+                                            <button onClick={() => handleCancel(bid)} disabled={busy} className="btn-secondary" style={{ padding: '6px 14px' }}>
+                                                {isExpired(bid) ? 'Reclaim Escrow' : 'Cancel'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default OrderBook;
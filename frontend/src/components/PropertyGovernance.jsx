@@ -0,0 +1,314 @@
+// frontend/src/components/PropertyGovernance.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../context/WalletContext';
+import {
+    createProposal,
+    castVote,
+    cancelProposal,
+    getProposals,
+    getGovernanceRules,
+    getReadProvider,
+    getTxUrl,
+    getAddressUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const STATE_STYLES = {
+    ACTIVE: { label: 'Voting', backgroundColor: '#e0f2fe', color: '#0369a1' },
+    SUCCEEDED: { label: 'Passed', backgroundColor: '#ecfdf5', color: '#065f46' },
+    DEFEATED: { label: 'Rejected', backgroundColor: '#fef2f2', color: '#b91c1c' },
+    CANCELLED: { label: 'Cancelled', backgroundColor: '#f3f4f6', color: '#6b7280' }
+};
+
+const VOTE_LABELS = { FOR: 'For', AGAINST: 'Against', ABSTAIN: 'Abstain' };
+const VOTE_COLORS = { FOR: '#10b981', AGAINST: '#ef4444', ABSTAIN: '#9ca3af' };
+
+/**
+ * PropertyGovernance Component
+ * The Governance tab of PropertyDetails. Shareholders put proposals to the
+ * other holders of the property (a renovation, selling the building, a new
+ * property manager...) and vote For, Against or Abstain with the shares they
+ * held in the block before the proposal was made, so shares bought or moved
+ * afterwards can't vote twice. A proposal passes when the votes cast reach its
+ * quorum and For outweighs Against once voting closes; the result is read
+ * from the contract.
+ */
+const PropertyGovernance = ({ chainPropertyId, now }) => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [proposals, setProposals] = useState([]);
+    const [rules, setRules] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [form, setForm] = useState({ description: '', days: '7' });
+
+    // Transaction lifecycle: idle -> pending -> confirmed | failed
+    const [txState, setTxState] = useState({ status: 'idle', label: '', txHash: null, error: null, message: '' });
+    const pending = txState.status === 'pending';
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    const fetchProposals = useCallback(async () => {
+        if (!chainPropertyId) return;
+
+        setLoading(true);
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const [list, governanceRules] = await Promise.all([
+                getProposals(readProvider, chainPropertyId, account || null),
+                getGovernanceRules(readProvider)
+            ]);
+            setProposals(list);
+            setRules(governanceRules);
+        } catch (error) {
+            console.error('Error loading proposals:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [chainPropertyId, account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchProposals();
+    }, [fetchProposals]);
+
+    // Run a governance transaction and reload the proposals once it confirms
+    const runTx = async (label, send, message) => {
+        if (!signer) return false;
+        if (wrongNetwork) {
+            setTxState({ status: 'failed', label, txHash: null, error: 'Switch your wallet to the marketplace network first.', message: '' });
+            return false;
+        }
+
+        setTxState({ status: 'pending', label, txHash: null, error: null, message: '' });
+        try {
+            const result = await send({ onSubmitted: (txHash) => setTxState(prev => ({ ...prev, txHash })) });
+            setTxState(prev => ({ ...prev, status: 'confirmed', message: message(result) }));
+            await fetchProposals();
+            return true;
+        } catch (error) {
+            console.error(`${label} failed:`, error);
+            setTxState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
+            return false;
+        }
+    };
+
+    const minDays = rules ? rules.minVotingPeriod / 86400 : 1;
+    const maxDays = rules ? rules.maxVotingPeriod / 86400 : 30;
+    const maxLength = rules?.maxDescriptionLength || 1000;
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const description = form.description.trim();
+        const days = Number(form.days);
+        if (!description || !(days >= minDays && days <= maxDays)) return;
+
+        const created = await runTx(
+            'Create proposal',
+            (options) => createProposal(signer, chainPropertyId, description, Math.round(days * 86400), options),
+            (result) => `Proposal #${result.proposalId} is open for voting for ${days} day(s).`
+        );
+        if (created) setForm({ description: '', days: form.days });
+    };
+
+    const handleVote = (proposal, support) => runTx(
+        'Vote',
+        (options) => castVote(signer, proposal.proposalId, support, options),
+        (result) => `Voted ${VOTE_LABELS[support]} on proposal #${proposal.proposalId} with ${result.weight} share(s).`
+    );
+
+    const handleCancel = (proposal) => runTx(
+        'Cancel proposal',
+        (options) => cancelProposal(signer, proposal.proposalId, options),
+        () => `Proposal #${proposal.proposalId} was cancelled.`
+    );
+
+    const formatDate = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+    return (
+        <div style={{ marginBottom: '30px' }}>
+            <h3 style={{ marginBottom: '10px', fontWeight: '600' }}>Shareholder Proposals</h3>
+            <p style={{ color: '#6b7280', fontSize: '0.9rem', marginTop: 0, marginBottom: '20px' }}>
+                Shareholders decide on this property together. Votes are weighted by the shares held when a proposal was made.
+                {rules && ` A proposal passes if at least ${rules.quorumBps / 100}% of those shares vote and more vote For than Against.`}
+            </p>
+
+            {/* Transaction status */}
+            {txState.status !== 'idle' && (
+                <div style={{
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    marginBottom: '15px',
+                    backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                    color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '10px',
+                    flexWrap: 'wrap'
+                }}>
+                    <span>
+                        {txState.status === 'pending' && `${txState.label}: ${txState.txHash ? 'waiting for confirmation...' : 'confirm in your wallet...'}`}
+                        {txState.status === 'confirmed' && `✓ ${txState.message}`}
+                        {txState.status === 'failed' && `${txState.label} failed: ${txState.error}`}
+                    </span>
+                    {txState.txHash && (
+                        <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                            View transaction
+                        </a>
+                    )}
+                </div>
+            )}
+
+            {/* New proposal (the contract only accepts it from a shareholder or the platform) */}
+            {isConnected && (
+                <form onSubmit={handleCreate} className="card" style={{ padding: '20px', marginBottom: '20px' }}>
+                    <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>New proposal</label>
+                    <textarea
+                        className="form-input"
+                        value={form.description}
+                        onChange={e => setForm({ ...form, description: e.target.value })}
+                        maxLength={maxLength}
+                        rows={3}
+                        placeholder="e.g. Renovate the lobby for up to 20,000 MATIC from the rental reserve"
+                        style={{ width: '100%', resize: 'vertical' }}
+                        required
+                    />
+                    <div style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap', marginTop: '10px' }}>
+                        <div style={{ flex: '1 1 140px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Voting period (days)</label>
+                            <input
+                                type="number"
+                                min={minDays}
+                                max={maxDays}
+                                step="any"
+                                value={form.days}
+                                onChange={e => setForm({ ...form, days: e.target.value })}
+                                className="form-input"
+                                required
+                            />
+                        </div>
+                        <span style={{ flex: '2 1 160px', color: '#9ca3af', fontSize: '0.8rem' }}>
+                            {form.description.length}/{maxLength} characters
+                        </span>
+                        <button type="submit" disabled={pending || wrongNetwork || !form.description.trim()} className="btn-primary" style={{ padding: '10px 20px' }}>
+                            {pending && txState.label === 'Create proposal' ? 'Submitting...' : 'Submit Proposal'}
+                        </button>
+                    </div>
+                </form>
+            )}
+
+            {loading && proposals.length === 0 ? (
+                <p style={{ color: '#6b7280' }}>Loading proposals...</p>
+            ) : proposals.length === 0 ? (
+                <p style={{ color: '#6b7280' }}>No proposals have been made for this property yet.</p>
+            ) : (
+                <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
+                    {proposals.map(proposal => {
+                        const stateStyle = STATE_STYLES[proposal.state];
+                        const votes = proposal.forVotes + proposal.againstVotes + proposal.abstainVotes;
+                        const active = proposal.state === 'ACTIVE' && now / 1000 <= proposal.votingEnd;
+                        const quorumPercent = proposal.quorum ? Math.min(100, Math.round(votes / proposal.quorum * 100)) : 100;
+                        const isProposer = !!account && proposal.proposer.toLowerCase() === account.toLowerCase();
+                        const canVote = active && !proposal.myVote && proposal.votingPower > 0;
+
+                        return (
+                            <div key={proposal.proposalId} className="card" style={{ padding: '20px' }}>
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px', marginBottom: '10px' }}>
+                                    <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                                        #{proposal.proposalId} by{' '}
+                                        <a href={getAddressUrl(proposal.proposer)} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb' }}>
+                                            {isProposer ? 'you' : shortAddress(proposal.proposer)}
+                                        </a>
+                                    </div>
+                                    <span style={{
+                                        backgroundColor: stateStyle.backgroundColor,
+                                        color: stateStyle.color,
+                                        padding: '3px 10px',
+                                        borderRadius: '12px',
+                                        fontSize: '0.75rem',
+                                        fontWeight: '600',
+                                        whiteSpace: 'nowrap'
+                                    }}>
+                                        {proposal.state === 'ACTIVE' && !active ? 'Closed' : stateStyle.label}
+                                    </span>
+                                </div>
+
+                                <p style={{ whiteSpace: 'pre-wrap', marginTop: 0, marginBottom: '15px', lineHeight: 1.6 }}>
+                                    {proposal.description}
+                                </p>
+
+                                {/* Tally */}
+                                {['FOR', 'AGAINST', 'ABSTAIN'].map(support => {
+                                    const count = proposal[`${support.toLowerCase()}Votes`];
+                                    return (
+                                        <div key={support} style={{ marginBottom: '6px' }}>
+                                            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', marginBottom: '2px' }}>
+                                                <span>{VOTE_LABELS[support]}</span>
+                                                <span>{count} share(s){votes > 0 ? ` · ${Math.round(count / votes * 100)}%` : ''}</span>
+                                            </div>
+                                            <div style={{ height: '6px', backgroundColor: '#e5e7eb', borderRadius: '3px', overflow: 'hidden' }}>
+                                                <div style={{ width: `${votes > 0 ? count / votes * 100 : 0}%`, height: '100%', backgroundColor: VOTE_COLORS[support] }} />
+                                            </div>
+                                        </div>
+                                    );
+                                })}
+
+                                <div style={{ display: 'flex', justifyContent: 'space-between', flexWrap: 'wrap', gap: '5px', fontSize: '0.8rem', color: '#6b7280', marginTop: '10px' }}>
+                                    <span>Quorum: {votes} of {proposal.quorum} share(s) voted ({quorumPercent}%)</span>
+                                    <span>{active ? `Closes ${formatDate(proposal.votingEnd)}` : `Closed ${formatDate(proposal.votingEnd)}`}</span>
+                                </div>
+
+                                {/* The connected wallet's vote */}
+                                {account && (
+                                    <div style={{ display: 'flex', gap: '10px', alignItems: 'center', flexWrap: 'wrap', marginTop: '15px' }}>
+                                        {proposal.myVote ? (
+                                            <span style={{ fontSize: '0.85rem', color: '#065f46' }}>
+                                                ✓ You voted {VOTE_LABELS[proposal.myVote.support]} with {proposal.myVote.weight} share(s)
+                                            </span>
+                                        ) : canVote ? (
+                                            <>
+                                                {['FOR', 'AGAINST', 'ABSTAIN'].map(support => (
+                                                    <button
+                                                        key={support}
+                                                        onClick={() => handleVote(proposal, support)}
+                                                        disabled={pending || wrongNetwork}
+                                                        className={support === 'FOR' ? 'btn-primary' : 'btn-secondary'}
+                                                        style={{ padding: '8px 16px' }}
+                                                    >
+                                                        {VOTE_LABELS[support]}
+                                                    </button>
+                                                ))}
+                                                <span style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                                                    Your vote counts {proposal.votingPower} share(s)
+                                                </span>
+                                            </>
+                                        ) : active ? (
+                                            <span style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+                                                You held no shares when this proposal was made, so you can't vote on it.
+                                            </span>
+                                        ) : null}
+
+                                        {active && isProposer && (
+                                            <button
+                                                onClick={() => handleCancel(proposal)}
+                                                disabled={pending || wrongNetwork}
+                                                className="btn-secondary"
+                                                style={{ padding: '8px 16px', marginLeft: 'auto' }}
+                                            >
+                                                Cancel Proposal
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PropertyGovernance;
@@ -0,0 +1,260 @@
+// frontend/src/components/RentalIncome.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { useWallet } from '../context/WalletContext';
+import {
+    getRentalIncome,
+    claimRentalIncome,
+    getReadProvider,
+    getTxUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+import { findPropertyByChainId } from '../services/propertyIds';
+
+const formatDate = (value) => {
+    const date = value?.toDate ? value.toDate() : value ? new Date(value) : null;
+    return date ? date.toLocaleDateString() : '-';
+};
+
+/**
+ * RentalIncome Component
+ * Rental income deposited for a property is shared pro-rata between its
+ * holders (shares locked in resale listings included). Shows what the
+ * connected wallet can claim per property, what it has claimed, and the
+ * property's past distributions.
+ */
+const RentalIncome = () => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [income, setIncome] = useState([]);
+    const [distributions, setDistributions] = useState({}); // chainPropertyId => distributions
+    const [expandedId, setExpandedId] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [claimingId, setClaimingId] = useState(null);
+
+    // Transaction lifecycle: idle -> pending -> confirmed | failed
+    const [txState, setTxState] = useState({ status: 'idle', label: '', txHash: null, error: null, message: '' });
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    const fetchIncome = useCallback(async () => {
+        if (!account) return;
+
+        setLoading(true);
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const entries = await getRentalIncome(readProvider, account);
+
+            setIncome(await Promise.all(entries.map(async (entry) => {
+                const property = await findPropertyByChainId(entry.chainPropertyId).catch(() => null);
+                return {
+                    ...entry,
+                    propertyId: property?.id || null,
+                    title: property?.title || `Property #${entry.chainPropertyId}`
+                };
+            })));
+        } catch (error) {
+            console.error('Error loading rental income:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchIncome();
+    }, [fetchIncome]);
+
+    // Distribution history is loaded the first time a property is expanded
+    const toggleHistory = async (entry) => {
+        if (expandedId === entry.chainPropertyId) {
+            setExpandedId(null);
+            return;
+        }
+        setExpandedId(entry.chainPropertyId);
+        if (distributions[entry.chainPropertyId]) return;
+
+        try {
+            const snap = await getDocs(query(
+                collection(db, 'rentalDistributions'),
+                entry.propertyId
+                    ? where('propertyId', '==', entry.propertyId)
+                    : where('chainPropertyId', '==', entry.chainPropertyId)
+            ));
+            const list = snap.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .sort((a, b) => (b.blockNumber || 0) - (a.blockNumber || 0));
+            setDistributions(prev => ({ ...prev, [entry.chainPropertyId]: list }));
+        } catch (error) {
+            console.error('Error loading distributions:', error);
+            setDistributions(prev => ({ ...prev, [entry.chainPropertyId]: [] }));
+        }
+    };
+
+    const handleClaim = async (entry) => {
+        if (!signer) return;
+        if (wrongNetwork) {
+            setTxState({ status: 'failed', label: 'Claim income', txHash: null, error: 'Switch your wallet to the marketplace network first.', message: '' });
+            return;
+        }
+
+        setClaimingId(entry.chainPropertyId);
+        setTxState({ status: 'pending', label: 'Claim income', txHash: null, error: null, message: '' });
+        try {
+            const result = await claimRentalIncome(signer, entry.chainPropertyId, {
+                onSubmitted: (txHash) => setTxState(prev => ({ ...prev, txHash }))
+            });
+            setTxState(prev => ({ ...prev, status: 'confirmed', message: `Claimed ${result.amount} MATIC of rental income from ${entry.title}.` }));
+            await fetchIncome();
+        } catch (error) {
+            console.error('Claim failed:', error);
+            setTxState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
+        } finally {
+            setClaimingId(null);
+        }
+    };
+
+    if (!isConnected) return null;
+
+    const totalClaimable = income.reduce((sum, entry) => sum + entry.claimableWei, 0n);
+
+    return (
+        <div style={{ marginBottom: '30px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', flexWrap: 'wrap', gap: '10px' }}>
+                <h3 style={{ fontSize: '1.2rem', fontWeight: '600' }}>Rental Income</h3>
+                {totalClaimable > 0n && (
+                    <span style={{ color: '#065f46', fontWeight: '600' }}>
+                        {ethers.formatEther(totalClaimable)} MATIC to claim
+                    </span>
+                )}
+            </div>
+
+            {/* Transaction status */}
+            {txState.status !== 'idle' && (
+                <div style={{
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    marginBottom: '15px',
+                    backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                    color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '10px',
+                    flexWrap: 'wrap'
+                }}>
+                    <span>
+                        {txState.status === 'pending' && `${txState.label}: ${txState.txHash ? 'waiting for confirmation...' : 'confirm in your wallet...'}`}
+                        {txState.status === 'confirmed' && `✓ ${txState.message}`}
+                        {txState.status === 'failed' && `${txState.label} failed: ${txState.error}`}
+                    </span>
+                    {txState.txHash && (
+                        <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                            View transaction
+                        </a>
+                    )}
+                </div>
+            )}
+
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Property</th>
+                            <th>Claimable</th>
+                            <th>Claimed to Date</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading && income.length === 0 ? (
+                            <tr>
+                                <td colSpan="4" style={{ textAlign: 'center', padding: '30px', color: '#6b7280' }}>
+                                    Loading rental income...
+                                </td>
+                            </tr>
+                        ) : income.length === 0 ? (
+                            <tr>
+                                <td colSpan="4" style={{ textAlign: 'center', padding: '30px', color: '#6b7280' }}>
+                                    No rental income yet. Income paid to properties you hold shares in appears here.
+                                </td>
+                            </tr>
+                        ) : (
+                            income.map((entry) => (
+                                <React.Fragment key={entry.chainPropertyId}>
+                                    <tr>
+                                        <td>
+                                            <div style={{ fontWeight: '600', color: '#111827' }}>{entry.title}</div>
+                                            <button
+                                                onClick={() => toggleHistory(entry)}
+                                                style={{ background: 'none', border: 'none', padding: 0, color: 'var(--primary)', cursor: 'pointer', fontSize: '0.8rem' }}
+                                            >
+                                                {expandedId === entry.chainPropertyId ? 'Hide distributions' : 'Show distributions'}
+                                            </button>
+                                        </td>
+                                        <td style={{ fontWeight: '600', color: entry.claimableWei > 0n ? '#10b981' : '#6b7280' }}>
+                                            {entry.claimable} MATIC
+                                        </td>
+                                        <td style={{ color: '#4b5563' }}>{entry.claimed} MATIC</td>
+                                        <td style={{ textAlign: 'right' }}>
+                                            <button
+                                                onClick={() => handleClaim(entry)}
+                                                disabled={claimingId !== null || entry.claimableWei === 0n}
+                                                className="btn-secondary"
+                                                style={{ padding: '6px 14px', opacity: claimingId !== null || entry.claimableWei === 0n ? 0.6 : 1 }}
+                                            >
+                                                {claimingId === entry.chainPropertyId ? 'Claiming...' : 'Claim'}
+                                            </button>
+                                        </td>
+                                    </tr>
+                                    {expandedId === entry.chainPropertyId && (
+                                        <tr>
+                                            <td colSpan="4" style={{ backgroundColor: '#f9fafb' }}>
+                                                {!distributions[entry.chainPropertyId] ? (
+                                                    <span style={{ color: '#6b7280', fontSize: '0.85rem' }}>Loading distributions...</span>
+                                                ) : distributions[entry.chainPropertyId].length === 0 ? (
+                                                    <span style={{ color: '#6b7280', fontSize: '0.85rem' }}>No distributions recorded yet.</span>
+                                                ) : (
+                                                    <table style={{ fontSize: '0.85rem' }}>
+                                                        <thead>
+                                                            <tr>
+                                                                <th>Date</th>
+                                                                <th>Period</th>
+                                                                <th>Total Paid</th>
+                                                                <th>Per Share</th>
+                                                                <th></th>
+                                                            </tr>
+                                                        </thead>
+                                                        <tbody>
+                                                            {distributions[entry.chainPropertyId].map(d => (
+                                                                <tr key={d.id}>
+                                                                    <td>{formatDate(d.timestamp)}</td>
+                                                                    <td>{d.period || '-'}</td>
+                                                                    <td>{d.amount} MATIC</td>
+                                                                    <td>{d.amountPerShare} MATIC</td>
+                                                                    <td>
+                                                                        <a href={getTxUrl(d.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--primary)' }}>
+                                                                            Tx
+                                                                        </a>
+                                                                    </td>
+                                                                </tr>
+                                                            ))}
+                                                        </tbody>
+                                                    </table>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    )}
+                                </React.Fragment>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default RentalIncome;
@@ -0,0 +1,258 @@
+// frontend/src/components/TransferShares.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { collection, getDocs, getDoc, query, where, doc } from 'firebase/firestore';
+import { db } from '../services/firebase';
+import { useWallet } from '../context/WalletContext';
+import {
+    transferShares,
+    getUserShares,
+    getReadProvider,
+    getTxUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+import { resolveRecipient, getApiError } from '../services/api';
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * TransferShares Component
+ * Sends free (unlisted) shares to another investor without a sale. The
+ * recipient is a wallet address or the email of a registered user, which
+ * the backend resolves to their connected wallet. The transfer is shown on
+ * a confirmation screen before the wallet is asked to sign; the backend
+ * indexer updates both cached holdings once it confirms.
+ */
+const TransferShares = () => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [holdings, setHoldings] = useState([]);
+    const [loading, setLoading] = useState(false);
+    const [form, setForm] = useState({ propertyId: '', shares: '', recipient: '' });
+    const [review, setReview] = useState(null); // { holding, shares, recipient } on the confirmation screen
+    const [resolving, setResolving] = useState(false);
+    const [formError, setFormError] = useState(null);
+
+    // Transaction lifecycle: idle -> pending -> confirmed | failed
+    const [txState, setTxState] = useState({ status: 'idle', label: '', txHash: null, error: null, message: '' });
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    const fetchHoldings = useCallback(async () => {
+        if (!account) return;
+
+        setLoading(true);
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const snap = await getDocs(query(collection(db, 'userShares'), where('walletAddress', '==', account.toLowerCase())));
+            const cached = snap.docs
+                .map(d => d.data())
+                .filter(h => h.chainPropertyId !== undefined && h.chainPropertyId !== null);
+
+            const live = await Promise.all(cached.map(async (h) => {
+                const [available, propertySnap] = await Promise.all([
+                    getUserShares(readProvider, h.chainPropertyId, account),
+                    getDoc(doc(db, 'properties', h.propertyId))
+                ]);
+                return {
+                    propertyId: h.propertyId,
+                    chainPropertyId: h.chainPropertyId,
+                    title: propertySnap.exists() ? propertySnap.data().title : `Property #${h.chainPropertyId}`,
+                    available: Number(available)
+                };
+            }));
+            setHoldings(live.filter(h => h.available > 0));
+        } catch (error) {
+            console.error('Error loading holdings:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchHoldings();
+    }, [fetchHoldings]);
+
+    const holding = holdings.find(h => h.propertyId === form.propertyId);
+    const sharesToSend = parseInt(form.shares) || 0;
+
+    const handleReview = async (e) => {
+        e.preventDefault();
+        if (!holding || sharesToSend < 1) return;
+        if (sharesToSend > holding.available) {
+            setFormError(`You have ${holding.available} free share(s) of ${holding.title}.`);
+            return;
+        }
+
+        setResolving(true);
+        setFormError(null);
+        try {
+            const recipient = await resolveRecipient(form.recipient.trim());
+            if (recipient.walletAddress.toLowerCase() === account.toLowerCase()) {
+                throw new Error('You cannot transfer shares to your own wallet.');
+            }
+            setReview({ holding, shares: sharesToSend, recipient });
+        } catch (error) {
+            setFormError(getApiError(error));
+        } finally {
+            setResolving(false);
+        }
+    };
+
+    const handleConfirm = async () => {
+        if (!signer || !review) return;
+        if (wrongNetwork) {
+            setTxState({ status: 'failed', label: 'Transfer shares', txHash: null, error: 'Switch your wallet to the marketplace network first.', message: '' });
+            return;
+        }
+
+        const { holding: from, shares, recipient } = review;
+        setTxState({ status: 'pending', label: 'Transfer shares', txHash: null, error: null, message: '' });
+        try {
+            const result = await transferShares(signer, from.chainPropertyId, recipient.walletAddress, shares, {
+                onSubmitted: (txHash) => setTxState(prev => ({ ...prev, txHash }))
+            });
+
+            setTxState(prev => ({ ...prev, status: 'confirmed', message: `Sent ${shares} share(s) of ${from.title} to ${shortAddress(result.to)}.` }));
+            setReview(null);
+            setForm({ propertyId: '', shares: '', recipient: '' });
+            await fetchHoldings();
+        } catch (error) {
+            console.error('Transfer failed:', error);
+            setTxState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
+        }
+    };
+
+    if (!isConnected) return null;
+
+    const pending = txState.status === 'pending';
+
+    return (
+        <div style={{ marginBottom: '30px' }}>
+            <h3 style={{ fontSize: '1.2rem', fontWeight: '600', marginBottom: '15px' }}>Transfer Shares</h3>
+
+            {/* Transaction status */}
+            {txState.status !== 'idle' && (
+                <div style={{
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    marginBottom: '15px',
+                    backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                    color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '10px',
+                    flexWrap: 'wrap'
+                }}>
+                    <span>
+                        {txState.status === 'pending' && `${txState.label}: ${txState.txHash ? 'waiting for confirmation...' : 'confirm in your wallet...'}`}
+                        {txState.status === 'confirmed' && `✓ ${txState.message}`}
+                        {txState.status === 'failed' && `${txState.label} failed: ${txState.error}`}
+                    </span>
+                    {txState.txHash && (
+                        <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                            View transaction
+                        </a>
+                    )}
+                </div>
+            )}
+
+            <div className="card" style={{ padding: '20px' }}>
+                {review ? (
+                    // Confirmation screen
+                    <div>
+                        <p style={{ marginTop: 0, fontWeight: '600' }}>Please confirm this transfer</p>
+                        <table style={{ width: '100%', fontSize: '0.9rem', marginBottom: '15px' }}>
+                            <tbody>
+                                <tr>
+                                    <td style={{ color: '#6b7280', width: '35%' }}>Property</td>
+                                    <td style={{ fontWeight: '600' }}>{review.holding.title}</td>
+                                </tr>
+                                <tr>
+                                    <td style={{ color: '#6b7280' }}>Shares</td>
+                                    <td style={{ fontWeight: '600' }}>{review.shares} of your {review.holding.available} free share(s)</td>
+                                </tr>
+                                <tr>
+                                    <td style={{ color: '#6b7280' }}>Recipient</td>
+                                    <td>
+                                        <div style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{review.recipient.walletAddress}</div>
+                                        <div style={{ color: '#b45309', fontSize: '0.85rem' }}>
+                                            Check this address carefully - shares sent to the wrong wallet cannot be recovered.
+                                        </div>
+                                    </td>
+                                </tr>
+                            </tbody>
+                        </table>
+                        <p style={{ color: '#6b7280', fontSize: '0.85rem' }}>
+                            Nothing is paid for the shares and the transfer cannot be undone. Rental income they earned up to now stays with you.
+                        </p>
+                        <div style={{ display: 'flex', gap: '10px' }}>
+                            <button onClick={handleConfirm} disabled={pending || wrongNetwork} className="btn-primary" style={{ padding: '10px 20px' }}>
+                                {pending ? 'Transferring...' : 'Confirm Transfer'}
+                            </button>
+                            <button onClick={() => setReview(null)} disabled={pending} className="btn-secondary" style={{ padding: '10px 20px' }}>
+                                Back
+                            </button>
+                        </div>
+                    </div>
+                ) : loading && holdings.length === 0 ? (
+                    <p style={{ color: '#6b7280', margin: 0 }}>Loading your holdings...</p>
+                ) : holdings.length === 0 ? (
+                    <p style={{ color: '#6b7280', margin: 0 }}>
+                        You have no free shares to transfer. Shares in open resale listings must be unlisted first.
+                    </p>
+                ) : (
+                    <form onSubmit={handleReview} style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                        <div style={{ flex: '2 1 200px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Property</label>
+                            <select
+                                className="form-input"
+                                value={form.propertyId}
+                                onChange={e => setForm({ ...form, propertyId: e.target.value })}
+                                required
+                            >
+                                <option value="">Select a property</option>
+                                {holdings.map(h => (
+                                    <option key={h.propertyId} value={h.propertyId}>{h.title} ({h.available} free)</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div style={{ flex: '1 1 90px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Shares</label>
+                            <input
+                                type="number"
+                                min="1"
+                                max={holding?.available}
+                                value={form.shares}
+                                onChange={e => setForm({ ...form, shares: e.target.value })}
+                                className="form-input"
+                                required
+                            />
+                        </div>
+                        <div style={{ flex: '3 1 260px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Recipient</label>
+                            <input
+                                type="text"
+                                value={form.recipient}
+                                onChange={e => setForm({ ...form, recipient: e.target.value })}
+                                className="form-input"
+                                placeholder="0x... wallet address or a registered user's email"
+                                required
+                            />
+                        </div>
+                        <button type="submit" disabled={resolving || pending || !holding || sharesToSend < 1} className="btn-secondary" style={{ padding: '10px 20px' }}>
+                            {resolving ? 'Checking...' : 'Review'}
+                        </button>
+                    </form>
+                )}
+
+                {formError && !review && (
+                    <p style={{ color: '#dc2626', fontSize: '0.9rem', marginTop: '15px', marginBottom: 0 }}>{formError}</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default TransferShares;
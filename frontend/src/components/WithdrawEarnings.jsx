@@ -0,0 +1,182 @@
+// frontend/src/components/WithdrawEarnings.jsx
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWallet } from '../context/WalletContext';
+import {
+    getPendingProceeds,
+    withdrawProceeds,
+    getReadProvider,
+    getTxUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+import { findPropertyByChainId } from '../services/propertyIds';
+
+// "1.5 MATIC and 20.0 USDC"
+const formatAmounts = (amounts) => amounts.map(a => `${a.amount} ${a.currency.symbol}`).join(' and ');
+
+/**
+ * WithdrawEarnings Component
+ * Sale proceeds are escrowed by the marketplace contract until the seller
+ * withdraws them. Lists what the connected wallet can withdraw per property,
+ * read from the contract, in the currency each property trades in.
+ */
+const WithdrawEarnings = () => {
+    const { account, isConnected, signer, provider, chainId } = useWallet();
+
+    const [earnings, setEarnings] = useState({ total: '0', totalWei: 0n, totals: [], properties: [] });
+    const [loading, setLoading] = useState(false);
+    const [withdrawingId, setWithdrawingId] = useState(null); // chain id, or 'all'
+
+    // Transaction lifecycle: idle -> pending -> confirmed | failed
+    const [txState, setTxState] = useState({ status: 'idle', label: '', txHash: null, error: null, message: '' });
+
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    const fetchEarnings = useCallback(async () => {
+        if (!account) return;
+
+        setLoading(true);
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const pending = await getPendingProceeds(readProvider, account);
+
+            // Label each entry with the Firestore property it belongs to
+            const properties = await Promise.all(pending.properties.map(async (entry) => {
+                const property = await findPropertyByChainId(entry.chainPropertyId).catch(() => null);
+                return {
+                    ...entry,
+                    propertyId: property?.id || null,
+                    title: property?.title || `Property #${entry.chainPropertyId}`
+                };
+            }));
+
+            setEarnings({ ...pending, properties });
+        } catch (error) {
+            console.error('Error loading earnings:', error);
+        } finally {
+            setLoading(false);
+        }
+    }, [account, provider, wrongNetwork]);
+
+    useEffect(() => {
+        fetchEarnings();
+    }, [fetchEarnings]);
+
+    const handleWithdraw = async (chainPropertyId = null) => {
+        if (!signer) return;
+        if (wrongNetwork) {
+            setTxState({ status: 'failed', label: 'Withdraw', txHash: null, error: 'Switch your wallet to the marketplace network first.', message: '' });
+            return;
+        }
+
+        setWithdrawingId(chainPropertyId ?? 'all');
+        setTxState({ status: 'pending', label: 'Withdraw', txHash: null, error: null, message: '' });
+        try {
+            const result = await withdrawProceeds(signer, chainPropertyId, {
+                onSubmitted: (txHash) => setTxState(prev => ({ ...prev, txHash }))
+            });
+            setTxState(prev => ({ ...prev, status: 'confirmed', message: `Withdrew ${formatAmounts(result.amounts)} to your wallet.` }));
+            await fetchEarnings();
+        } catch (error) {
+            console.error('Withdraw failed:', error);
+            setTxState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
+        } finally {
+            setWithdrawingId(null);
+        }
+    };
+
+    if (!isConnected) return null;
+
+    const busy = withdrawingId !== null;
+
+    return (
+        <div style={{ marginBottom: '30px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '15px', flexWrap: 'wrap', gap: '10px' }}>
+                <h3 style={{ fontSize: '1.2rem', fontWeight: '600' }}>Withdraw Earnings</h3>
+                {earnings.properties.length > 1 && (
+                    <button
+                        onClick={() => handleWithdraw(null)}
+                        disabled={busy}
+                        className="btn-primary"
+                        style={{ padding: '8px 16px', opacity: busy ? 0.6 : 1 }}
+                    >
+                        {withdrawingId === 'all' ? 'Withdrawing...' : `Withdraw All (${formatAmounts(earnings.totals)})`}
+                    </button>
+                )}
+            </div>
+
+            {/* Transaction status */}
+            {txState.status !== 'idle' && (
+                <div style={{
+                    padding: '12px 16px',
+                    borderRadius: '8px',
+                    marginBottom: '15px',
+                    backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                    color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    alignItems: 'center',
+                    gap: '10px',
+                    flexWrap: 'wrap'
+                }}>
+                    <span>
+                        {txState.status === 'pending' && `${txState.label}: ${txState.txHash ? 'waiting for confirmation...' : 'confirm in your wallet...'}`}
+                        {txState.status === 'confirmed' && `✓ ${txState.message}`}
+                        {txState.status === 'failed' && `${txState.label} failed: ${txState.error}`}
+                    </span>
+                    {txState.txHash && (
+                        <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                            View transaction
+                        </a>
+                    )}
+                </div>
+            )}
+
+            <div className="table-container">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Property</th>
+                            <th>Pending Proceeds</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {loading && earnings.properties.length === 0 ? (
+                            <tr>
+                                <td colSpan="3" style={{ textAlign: 'center', padding: '30px', color: '#6b7280' }}>
+                                    Loading earnings...
+                                </td>
+                            </tr>
+                        ) : earnings.properties.length === 0 ? (
+                            <tr>
+                                <td colSpan="3" style={{ textAlign: 'center', padding: '30px', color: '#6b7280' }}>
+                                    No earnings to withdraw. Proceeds from your sales and refunded bids and offers appear here.
+                                </td>
+                            </tr>
+                        ) : (
+                            earnings.properties.map((entry) => (
+                                <tr key={entry.chainPropertyId}>
+                                    <td style={{ fontWeight: '600', color: '#111827' }}>{entry.title}</td>
+                                    <td style={{ fontWeight: '600', color: '#10b981' }}>{entry.amount} {entry.currency.symbol}</td>
+                                    <td style={{ textAlign: 'right' }}>
+                                        <button
+                                            onClick={() => handleWithdraw(entry.chainPropertyId)}
+                                            disabled={busy}
+                                            className="btn-secondary"
+                                            style={{ padding: '6px 14px', opacity: busy ? 0.6 : 1 }}
+                                        >
+                                            {withdrawingId === entry.chainPropertyId ? 'Withdrawing...' : 'Withdraw'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))
+                        )}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default WithdrawEarnings;
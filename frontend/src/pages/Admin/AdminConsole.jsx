@@ -3,8 +3,23 @@ import React, { useState, useEffect } from 'react';
 import { Link, Navigate } from 'react-router-dom';
 import { collection, getDocs, doc, updateDoc, query, orderBy, serverTimestamp } from 'firebase/firestore';
 import { db } from '../../services/firebase';
+import {
+    approvePropertyRequest,
+    tokenizeProperty,
+    setPropertyTrading,
+    setPriceLimits,
+    delistProperty,
+    createShareToken,
+    finalizeFunding,
+    cancelFunding,
+    setMarketplacePaused,
+    depositRentalIncome,
+    updateFees,
+    withdrawFeeTreasury,
+    getApiError
+} from '../../services/api';
+import { isMarketplacePaused, getFeeSchedule, getPropertyDetails, getReadProvider, getTxUrl, getAddressUrl } from '../../services/contract';
 import { useAuth } from '../../context/AuthContext';
-import { useWallet } from '../../context/WalletContext';
 import Navbar from '../../components/Navbar';
 
 // Request Status Steps
@@ -17,15 +32,56 @@ const STATUS_STEPS = {
     'COMPLETED': { label: 'Completed', color: '#059669', step: 5 }
 };
 
+// Properties that still need (or can retry) the tokenization pipeline
+const TOKENIZABLE_STATUSES = ['PENDING_TOKENIZATION', 'TOKENIZATION_FAILED', 'TOKENIZING'];
+
+/**
+ * Current holder of each tokenized property's NFT, read from the contract
+ * (the Firestore copy lags behind transfers until the indexer catches up)
+ * @returns {Promise<Object<string, string>>} Firestore property id => owner address
+ */
+const readChainOwners = async (props) => {
+    const readProvider = getReadProvider();
+    const tokenized = props.filter(p => p.status === 'TOKENIZED' && p.chainPropertyId !== undefined && p.chainPropertyId !== null);
+    const owners = await Promise.all(tokenized.map(async (p) => {
+        try {
+            return [p.id, (await getPropertyDetails(readProvider, p.chainPropertyId)).owner];
+        } catch (error) {
+            console.warn(`Could not read the owner of property ${p.id}:`, error);
+            return [p.id, null];
+        }
+    }));
+    return Object.fromEntries(owners.filter(([, owner]) => owner));
+};
+
 const AdminConsole = () => {
     const { currentUser, userData, isAdmin } = useAuth();
-    const { isConnected } = useWallet();
 
     const [requests, setRequests] = useState([]);
     const [properties, setProperties] = useState([]);
     const [loading, setLoading] = useState(true);
     const [selectedRequest, setSelectedRequest] = useState(null);
     const [actionLoading, setActionLoading] = useState(false);
+    const [tokenizingId, setTokenizingId] = useState(null);
+    const [chainOwners, setChainOwners] = useState({}); // property id => current NFT holder
+
+    // Trading controls (on-chain, sent by the backend's admin wallet)
+    const [tradingPaused, setTradingPaused] = useState(null);
+    const [pauseLoading, setPauseLoading] = useState(false);
+    const [tradingBusyId, setTradingBusyId] = useState(null);
+
+    // Price band / circuit breaker form of the property being edited
+    const [limitsForm, setLimitsForm] = useState(null);
+
+    // Rental income (deposited on-chain by the backend's admin wallet)
+    const [distributions, setDistributions] = useState([]);
+    const [incomeForm, setIncomeForm] = useState({ propertyId: '', amount: '', period: '' });
+    const [incomeLoading, setIncomeLoading] = useState(false);
+
+    // Trade fees in basis points and the fee treasury (admin wallet transactions)
+    const [feeSchedule, setFeeSchedule] = useState(null);
+    const [feeForm, setFeeForm] = useState({ primaryFeeBps: '', resaleFeeBps: '', royaltyBps: '' });
+    const [feeLoading, setFeeLoading] = useState(false);
 
     // Fetch all property requests and listings
     useEffect(() => {
@@ -44,16 +100,42 @@ const AdminConsole = () => {
                 const propsSnap = await getDocs(propsQuery);
                 const propsList = propsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
                 setProperties(propsList);
+                readChainOwners(propsList)
+                    .then(setChainOwners)
+                    .catch(error => console.error('Error reading property owners:', error));
+
+                // Fetch rental income distributions
+                const distRef = collection(db, 'rentalDistributions');
+                const distQuery = query(distRef, orderBy('timestamp', 'desc'));
+                const distSnap = await getDocs(distQuery);
+                setDistributions(distSnap.docs.map(d => ({ id: d.id, ...d.data() })));
             } catch (error) {
                 console.error('Error fetching data:', error);
             } finally {
                 setLoading(false);
             }
+
+            try {
+                setTradingPaused(await isMarketplacePaused(getReadProvider()));
+            } catch (error) {
+                console.error('Error reading marketplace pause state:', error);
+            }
+
+            try {
+                const fees = await getFeeSchedule(getReadProvider());
+                setFeeSchedule(fees);
+                setFeeForm({ primaryFeeBps: fees.primaryFeeBps, resaleFeeBps: fees.resaleFeeBps, royaltyBps: fees.royaltyBps });
+            } catch (error) {
+                console.error('Error reading fee schedule:', error);
+            }
         };
 
         if (currentUser) fetchData();
     }, [currentUser]);
 
+    // Live NFT holder, or the last one the indexer recorded
+    const ownerOf = (property) => chainOwners[property.id] || property.onChainOwner || null;
+
     // Update request status
     const updateRequestStatus = async (requestId, newStatus, notes = '') => {
         setActionLoading(true);
@@ -80,35 +162,287 @@ const AdminConsole = () => {
         }
     };
 
-    // Approve and upload property to marketplace
+    // Approve request -> create property -> pin metadata -> list on chain (backend pipeline).
+    // The property is listed on behalf of the seller's wallet, which is paid the primary sale proceeds
     const approveAndUpload = async (request) => {
+        if (!request.sellerWallet) {
+            alert('This request has no seller wallet, so there is nowhere to pay the sale proceeds. Ask the seller to submit it again with their wallet connected.');
+            return;
+        }
+        const fee = feeSchedule ? ` less the ${feeSchedule.primaryFeeBps / 100}% platform fee` : ' less the platform fee';
+        if (!confirm(`List "${request.title}" on behalf of the seller?\n\nThe seller's wallet ${request.sellerWallet} will own the property on-chain and receive the primary sale proceeds,${fee}.`)) return;
+
         setActionLoading(true);
         try {
-            // Create property in main properties collection
-            const propertyRef = doc(db, 'properties', request.id);
-            await updateDoc(doc(db, 'propertyRequests', request.id), {
-                status: 'APPROVED',
-                approvedAt: serverTimestamp(),
-                certificateGenerated: true
-            });
-
-            // In a real app, this would:
-            // 1. Generate a verification certificate
-            // 2. Send email to seller with certificate
-            // 3. Mint NFT on blockchain
-
-            alert('Property approved! Certificate generated and email sent to seller.');
+            const result = await approvePropertyRequest(request.id);
+            alert(`Property approved and tokenized! On-chain property #${result.chainPropertyId}, owned by ${request.sellerWallet}.`);
 
             // Refresh data
             window.location.reload();
         } catch (error) {
             console.error('Error approving property:', error);
-            alert('Failed to approve: ' + error.message);
+            const step = error.response?.data?.step;
+            alert(
+                'Failed to approve: ' + getApiError(error) +
+                (step ? `\n\nTokenization stopped at the "${step}" step. Approve again to resume.` : '')
+            );
+            window.location.reload();
         } finally {
             setActionLoading(false);
         }
     };
 
+    // Run (or resume) tokenization for a property created from the admin form
+    const handleTokenize = async (property) => {
+        setTokenizingId(property.id);
+        try {
+            const result = await tokenizeProperty(property.id);
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? { ...p, status: 'TOKENIZED', chainPropertyId: result.chainPropertyId, metadataUri: result.metadataUri }
+                    : p
+            ));
+        } catch (error) {
+            console.error('Tokenization failed:', error);
+            const step = error.response?.data?.step;
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? {
+                        ...p,
+                        status: error.response?.status === 409 ? p.status : 'TOKENIZATION_FAILED',
+                        tokenization: { ...p.tokenization, error: getApiError(error), failedStep: step || p.tokenization?.failedStep }
+                    }
+                    : p
+            ));
+        } finally {
+            setTokenizingId(null);
+        }
+    };
+
+    // Halt/resume primary sales or resale trading of one property
+    const handleTradingChange = async (property, changes) => {
+        setTradingBusyId(property.id);
+        try {
+            const result = await setPropertyTrading(property.id, changes);
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? {
+                        ...p,
+                        isActive: result.primarySaleActive,
+                        resaleActive: result.resaleActive,
+                        delisted: result.delisted,
+                        circuitBreakerTripped: result.circuitBreakerTripped
+                    }
+                    : p
+            ));
+        } catch (error) {
+            console.error('Trading update failed:', error);
+            alert('Failed to update trading: ' + getApiError(error));
+        } finally {
+            setTradingBusyId(null);
+        }
+    };
+
+    // Save the price band and circuit breaker of one property
+    const handleSavePriceLimits = async (property) => {
+        setTradingBusyId(property.id);
+        try {
+            const result = await setPriceLimits(property.id, {
+                bandBps: parseInt(limitsForm.bandBps) || 0,
+                relativeToAverage: limitsForm.relativeToAverage,
+                haltMoveBps: parseInt(limitsForm.haltMoveBps) || 0,
+                haltWindowHours: parseFloat(limitsForm.haltWindowHours) || 0
+            });
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? {
+                        ...p,
+                        priceLimits: {
+                            bandBps: result.bandBps,
+                            relativeToAverage: result.relativeToAverage,
+                            haltMoveBps: result.haltMoveBps,
+                            haltWindowSeconds: result.haltWindowSeconds
+                        }
+                    }
+                    : p
+            ));
+            setLimitsForm(null);
+        } catch (error) {
+            console.error('Price limits update failed:', error);
+            alert('Failed to update price limits: ' + getApiError(error));
+        } finally {
+            setTradingBusyId(null);
+        }
+    };
+
+    const handleDelist = async (property) => {
+        if (!confirm(
+            `Delist "${property.title}"?\n\nPrimary sales and resale trading stop permanently. ` +
+            'Holders keep their shares and can still cancel open listings.'
+        )) return;
+
+        setTradingBusyId(property.id);
+        try {
+            const result = await delistProperty(property.id);
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? { ...p, isActive: result.primarySaleActive, resaleActive: result.resaleActive, delisted: true }
+                    : p
+            ));
+        } catch (error) {
+            console.error('Delisting failed:', error);
+            alert('Failed to delist: ' + getApiError(error));
+        } finally {
+            setTradingBusyId(null);
+        }
+    };
+
+    // Close a funding round: finalize pays the escrow out to the owner, cancel opens refunds
+    const handleFundingDecision = async (property, finalize) => {
+        const { raised, softCap } = property.fundingRound;
+        const symbol = property.currency?.symbol || 'MATIC';
+        if (!confirm(finalize
+            ? `Finalize the funding round of "${property.title}"?\n\n${raised} ${symbol} is released to the owner, less the platform fee, and resale trading opens.`
+            : `Cancel the funding round of "${property.title}"?\n\nPrimary sales stop for good and buyers can claim refunds of the ${raised} ${symbol} raised (soft cap ${softCap} ${symbol}).`
+        )) return;
+
+        setTradingBusyId(property.id);
+        try {
+            const result = finalize ? await finalizeFunding(property.id) : await cancelFunding(property.id);
+            const fundingRound = { softCap: result.softCap, deadline: result.deadline, raised: result.raised, status: result.status };
+            setProperties(prev => prev.map(p =>
+                p.id === property.id
+                    ? { ...p, fundingRound, ...(finalize ? { resaleActive: true } : { isActive: false }) }
+                    : p
+            ));
+        } catch (error) {
+            console.error('Funding round update failed:', error);
+            alert(`Failed to ${finalize ? 'finalize' : 'cancel'} the funding round: ` + getApiError(error));
+        } finally {
+            setTradingBusyId(null);
+        }
+    };
+
+    // Deploy the property's ERC-20 share token; holders who bought earlier are migrated to it
+    const handleCreateShareToken = async (property) => {
+        setTradingBusyId(property.id);
+        try {
+            const result = await createShareToken(property.id);
+            setProperties(prev => prev.map(p =>
+                p.id === property.id ? { ...p, shareToken: result.shareToken } : p
+            ));
+            if (result.announced > 0) {
+                alert(`Share token ${result.shareToken.symbol} is live. ${result.announced} existing holder(s) were migrated to it.`);
+            }
+        } catch (error) {
+            console.error('Share token creation failed:', error);
+            alert('Failed to create the share token: ' + getApiError(error));
+        } finally {
+            setTradingBusyId(null);
+        }
+    };
+
+    // Contract-wide emergency stop
+    const toggleEmergencyPause = async () => {
+        const pausing = !tradingPaused;
+        if (pausing && !confirm('Pause ALL trading on the marketplace?\n\nPrimary sales and resale stop until you resume trading.')) {
+            return;
+        }
+
+        setPauseLoading(true);
+        try {
+            const result = await setMarketplacePaused(pausing);
+            setTradingPaused(result.paused);
+        } catch (error) {
+            console.error('Emergency pause failed:', error);
+            alert(`Failed to ${pausing ? 'pause' : 'resume'} trading: ` + getApiError(error));
+        } finally {
+            setPauseLoading(false);
+        }
+    };
+
+    // Pay rental income to a property's shareholders
+    const handleDepositIncome = async (e) => {
+        e.preventDefault();
+
+        const property = properties.find(p => p.id === incomeForm.propertyId);
+        if (!property) {
+            alert('Select a property');
+            return;
+        }
+        if (!(parseFloat(incomeForm.amount) > 0)) {
+            alert('Enter an amount greater than 0');
+            return;
+        }
+        if (!confirm(
+            `Deposit ${incomeForm.amount} MATIC of rental income for "${property.title}"?\n\n` +
+            'It is sent from the admin wallet and shared between current shareholders.'
+        )) return;
+
+        setIncomeLoading(true);
+        try {
+            const distribution = await depositRentalIncome(property.id, {
+                amount: incomeForm.amount,
+                period: incomeForm.period
+            });
+            setDistributions(prev => [distribution, ...prev]);
+            setIncomeForm({ propertyId: '', amount: '', period: '' });
+            alert(`Deposited! ${distribution.amountPerShare} MATIC per share across ${distribution.sharesOutstanding} shares.`);
+        } catch (error) {
+            console.error('Income deposit failed:', error);
+            alert('Failed to deposit income: ' + getApiError(error));
+        } finally {
+            setIncomeLoading(false);
+        }
+    };
+
+    // Change the platform fees / lister royalty
+    const handleUpdateFees = async (e) => {
+        e.preventDefault();
+
+        const fees = {
+            primaryFeeBps: parseInt(feeForm.primaryFeeBps) || 0,
+            resaleFeeBps: parseInt(feeForm.resaleFeeBps) || 0,
+            royaltyBps: parseInt(feeForm.royaltyBps) || 0
+        };
+        if (!confirm(
+            `Set fees to ${fees.primaryFeeBps / 100}% on primary sales, ${fees.resaleFeeBps / 100}% on resales ` +
+            `and a ${fees.royaltyBps / 100}% royalty to the original lister?\n\nThey apply to every trade from now on.`
+        )) return;
+
+        setFeeLoading(true);
+        try {
+            const updated = await updateFees(fees);
+            setFeeSchedule(updated);
+            alert('Fees updated!');
+        } catch (error) {
+            console.error('Fee update failed:', error);
+            alert('Failed to update fees: ' + getApiError(error));
+        } finally {
+            setFeeLoading(false);
+        }
+    };
+
+    // Pay a whole fee treasury (MATIC, or the stablecoin's) out to the admin wallet
+    const handleWithdrawFees = async (currency = 'MATIC') => {
+        const [amount, symbol] = currency === 'STABLECOIN'
+            ? [feeSchedule.stablecoinTreasury.amount, feeSchedule.stablecoinTreasury.currency.symbol]
+            : [feeSchedule.treasury, 'MATIC'];
+        if (!confirm(`Withdraw ${amount} ${symbol} of collected fees to the admin wallet?`)) return;
+
+        setFeeLoading(true);
+        try {
+            const withdrawal = await withdrawFeeTreasury({ currency });
+            setFeeSchedule(await getFeeSchedule(getReadProvider()));
+            alert(`Withdrew ${withdrawal.amount} ${withdrawal.currency} to ${withdrawal.to}.`);
+        } catch (error) {
+            console.error('Fee withdrawal failed:', error);
+            alert('Failed to withdraw fees: ' + getApiError(error));
+        } finally {
+            setFeeLoading(false);
+        }
+    };
+
     // Reject with reason
     const rejectRequest = async (request, reason) => {
         if (!reason) {
@@ -144,11 +478,44 @@ const AdminConsole = () => {
                         </h1>
                         <p style={{ color: '#6b7280' }}>Manage property listings and verification requests</p>
                     </div>
-                    <Link to="/admin/create" className="btn-primary" style={{ padding: '12px 24px' }}>
-                        + List New Property
-                    </Link>
+                    <div style={{ display: 'flex', gap: '10px' }}>
+                        {tradingPaused !== null && (
+                            <button
+                                onClick={toggleEmergencyPause}
+                                disabled={pauseLoading}
+                                style={{
+                                    padding: '12px 24px',
+                                    backgroundColor: tradingPaused ? '#10b981' : '#ef4444',
+                                    color: 'white',
+                                    border: 'none',
+                                    borderRadius: '8px',
+                                    cursor: 'pointer',
+                                    fontWeight: '600'
+                                }}
+                            >
+                                {pauseLoading ? 'Sending...' : tradingPaused ? '▶️ Resume Trading' : '🛑 Emergency Pause'}
+                            </button>
+                        )}
+                        <Link to="/admin/create" className="btn-primary" style={{ padding: '12px 24px' }}>
+                            + List New Property
+                        </Link>
+                    </div>
                 </div>
 
+                {/* Emergency Pause Banner */}
+                {tradingPaused && (
+                    <div style={{
+                        backgroundColor: '#fef2f2',
+                        border: '1px solid #ef4444',
+                        color: '#b91c1c',
+                        padding: '12px 20px',
+                        borderRadius: '8px',
+                        marginBottom: '30px'
+                    }}>
+                        🛑 The marketplace is paused. All primary sales and resale trading are halted on-chain.
+                    </div>
+                )}
+
                 {/* Stats Cards */}
                 <div className="stats-grid" style={{ marginBottom: '30px' }}>
                     <div className="stat-card">
@@ -160,7 +527,7 @@ const AdminConsole = () => {
                     <div className="stat-card">
                         <div className="stat-label">Approved Properties</div>
                         <div className="stat-value" style={{ color: '#10b981' }}>
-                            {requests.filter(r => r.status === 'APPROVED').length}
+                            {requests.filter(r => r.status === 'APPROVED' || r.status === 'COMPLETED').length}
                         </div>
                     </div>
                     <div className="stat-card">
@@ -253,7 +620,7 @@ const AdminConsole = () => {
                                                         >
                                                             Review
                                                         </button>
-                                                        {request.status !== 'APPROVED' && request.status !== 'REJECTED' && (
+                                                        {request.status !== 'COMPLETED' && request.status !== 'REJECTED' && (
                                                             <>
                                                                 <button
                                                                     onClick={() => approveAndUpload(request)}
@@ -335,13 +702,256 @@ const AdminConsole = () => {
                                             {property.location}
                                         </p>
                                         <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem' }}>
-                                            <span>{property.pricePerShare} MATIC/share</span>
+                                            <span>{property.pricePerShare} {property.currency?.symbol || 'MATIC'}/share</span>
                                             <span style={{
-                                                color: property.status === 'TOKENIZED' ? '#10b981' : '#f59e0b'
+                                                color: property.status === 'TOKENIZED' ? '#10b981'
+                                                    : property.status === 'TOKENIZATION_FAILED' ? '#ef4444' : '#f59e0b'
                                             }}>
                                                 {property.status}
+                                                {property.chainPropertyId !== undefined && property.status === 'TOKENIZED' && ` #${property.chainPropertyId}`}
                                             </span>
                                         </div>
+
+                                        {property.status === 'TOKENIZATION_FAILED' && property.tokenization?.error && (
+                                            <p style={{ fontSize: '0.8rem', color: '#b91c1c', marginTop: '10px' }}>
+                                                Failed at "{property.tokenization.failedStep}": {property.tokenization.error}
+                                            </p>
+                                        )}
+
+                                        {property.status === 'TOKENIZED' && (
+                                            <div style={{ marginTop: '12px', borderTop: '1px solid #e5e7eb', paddingTop: '12px' }}>
+                                                {property.fundingRound && (
+                                                    <div style={{ fontSize: '0.8rem', marginBottom: '10px' }}>
+                                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                                                            <span>
+                                                                🎯 Raised <strong>{property.fundingRound.raised}</strong> of {property.fundingRound.softCap} {property.currency?.symbol || 'MATIC'}
+                                                            </span>
+                                                            <strong style={{
+                                                                color: property.fundingRound.status === 'SUCCEEDED' ? '#10b981'
+                                                                    : property.fundingRound.status === 'FAILED' ? '#ef4444' : '#3b82f6'
+                                                            }}>
+                                                                {property.fundingRound.status}
+                                                            </strong>
+                                                        </div>
+                                                        {property.fundingRound.status === 'OPEN' && (
+                                                            <>
+                                                                <div style={{ color: '#6b7280', marginBottom: '6px' }}>
+                                                                    Deadline {new Date(property.fundingRound.deadline * 1000).toLocaleString()}
+                                                                </div>
+                                                                <div style={{ display: 'flex', gap: '6px' }}>
+                                                                    <button
+                                                                        onClick={() => handleFundingDecision(property, true)}
+                                                                        disabled={tradingBusyId !== null || Number(property.fundingRound.raised) < Number(property.fundingRound.softCap)}
+                                                                        className="btn-primary"
+                                                                        style={{ flex: 1, padding: '6px', fontSize: '0.8rem' }}
+                                                                        title="Available once the soft cap is reached"
+                                                                    >
+                                                                        Finalize Round
+                                                                    </button>
+                                                                    <button
+                                                                        onClick={() => handleFundingDecision(property, false)}
+                                                                        disabled={tradingBusyId !== null}
+                                                                        className="btn-secondary"
+                                                                        style={{ flex: 1, padding: '6px', fontSize: '0.8rem' }}
+                                                                    >
+                                                                        Cancel Round
+                                                                    </button>
+                                                                </div>
+                                                            </>
+                                                        )}
+                                                    </div>
+                                                )}
+                                                {property.delisted ? (
+                                                    <div style={{ fontSize: '0.85rem', color: '#b91c1c', fontWeight: '600' }}>
+                                                        ⛔ Delisted - trading stopped permanently
+                                                    </div>
+                                                ) : (
+                                                    <>
+                                                        <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.8rem', marginBottom: '8px' }}>
+                                                            <span>
+                                                                Primary: <strong style={{ color: property.isActive !== false ? '#10b981' : '#ef4444' }}>
+                                                                    {property.isActive !== false ? 'Open' : 'Halted'}
+                                                                </strong>
+                                                            </span>
+                                                            <span>
+                                                                Resale: <strong style={{ color: property.resaleActive !== false ? '#10b981' : '#ef4444' }}>
+                                                                    {property.resaleActive !== false ? 'Open' : property.circuitBreakerTripped ? 'Halted (circuit breaker)' : 'Halted'}
+                                                                </strong>
+                                                            </span>
+                                                        </div>
+                                                        {property.circuitBreakerTripped && property.circuitBreaker && (
+                                                            <div style={{ fontSize: '0.8rem', color: '#b91c1c', marginBottom: '8px' }}>
+                                                                🚨 Price moved from {property.circuitBreaker.referencePrice} to {property.circuitBreaker.price} {property.currency?.symbol || 'MATIC'}. Resume resale to override.
+                                                            </div>
+                                                        )}
+                                                        <div style={{ display: 'flex', gap: '6px' }}>
+                                                            <button
+                                                                onClick={() => handleTradingChange(property, { primarySale: property.isActive === false })}
+                                                                disabled={tradingBusyId !== null}
+                                                                className="btn-secondary"
+                                                                style={{ flex: 1, padding: '6px', fontSize: '0.8rem' }}
+                                                            >
+                                                                {property.isActive !== false ? 'Halt Sales' : 'Resume Sales'}
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleTradingChange(property, { resale: property.resaleActive === false })}
+                                                                disabled={tradingBusyId !== null}
+                                                                className="btn-secondary"
+                                                                style={{ flex: 1, padding: '6px', fontSize: '0.8rem' }}
+                                                            >
+                                                                {property.resaleActive !== false ? 'Halt Resale' : property.circuitBreakerTripped ? 'Override Breaker' : 'Resume Resale'}
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleDelist(property)}
+                                                                disabled={tradingBusyId !== null}
+                                                                style={{
+                                                                    padding: '6px 10px',
+                                                                    backgroundColor: '#ef4444',
+                                                                    color: 'white',
+                                                                    border: 'none',
+                                                                    borderRadius: '6px',
+                                                                    cursor: 'pointer',
+                                                                    fontSize: '0.8rem'
+                                                                }}
+                                                            >
+                                                                Delist
+                                                            </button>
+                                                        </div>
+                                                        {limitsForm?.propertyId === property.id ? (
+                                                            <div style={{ backgroundColor: '#f9fafb', padding: '10px', borderRadius: '8px', marginTop: '8px', fontSize: '0.8rem' }}>
+                                                                <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                                                                    <label style={{ flex: 1 }}>
+                                                                        Band (bps)
+                                                                        <input
+                                                                            type="number"
+                                                                            min="0"
+                                                                            value={limitsForm.bandBps}
+                                                                            onChange={e => setLimitsForm({ ...limitsForm, bandBps: e.target.value })}
+                                                                            className="form-input"
+                                                                            style={{ padding: '4px' }}
+                                                                        />
+                                                                    </label>
+                                                                    <label style={{ flex: 1 }}>
+                                                                        Halt move (bps)
+                                                                        <input
+                                                                            type="number"
+                                                                            min="0"
+                                                                            value={limitsForm.haltMoveBps}
+                                                                            onChange={e => setLimitsForm({ ...limitsForm, haltMoveBps: e.target.value })}
+                                                                            className="form-input"
+                                                                            style={{ padding: '4px' }}
+                                                                        />
+                                                                    </label>
+                                                                    <label style={{ flex: 1 }}>
+                                                                        Window (h)
+                                                                        <input
+                                                                            type="number"
+                                                                            min="0"
+                                                                            step="0.5"
+                                                                            value={limitsForm.haltWindowHours}
+                                                                            onChange={e => setLimitsForm({ ...limitsForm, haltWindowHours: e.target.value })}
+                                                                            className="form-input"
+                                                                            style={{ padding: '4px' }}
+                                                                        />
+                                                                    </label>
+                                                                </div>
+                                                                <label style={{ display: 'block', marginBottom: '6px' }}>
+                                                                    <input
+                                                                        type="checkbox"
+                                                                        checked={limitsForm.relativeToAverage}
+                                                                        onChange={e => setLimitsForm({ ...limitsForm, relativeToAverage: e.target.checked })}
+                                                                    />
+                                                                    {' '}Band around the average resale price (instead of the current price)
+                                                                </label>
+                                                                <p style={{ color: '#6b7280', margin: '0 0 6px' }}>
+                                                                    100 bps = 1%. 0 turns the band or the circuit breaker off.
+                                                                </p>
+                                                                <div style={{ display: 'flex', gap: '6px' }}>
+                                                                    <button
+                                                                        onClick={() => handleSavePriceLimits(property)}
+                                                                        disabled={tradingBusyId !== null}
+                                                                        className="btn-primary"
+                                                                        style={{ flex: 1, padding: '6px', fontSize: '0.8rem' }}
+                                                                    >
+                                                                        Save Limits
+                                                                    </button>
+                                                                    <button onClick={() => setLimitsForm(null)} className="btn-secondary" style={{ padding: '6px 10px', fontSize: '0.8rem' }}>
+                                                                        Cancel
+                                                                    </button>
+                                                                </div>
+                                                            </div>
+                                                        ) : (
+                                                            <button
+                                                                onClick={() => setLimitsForm({
+                                                                    propertyId: property.id,
+                                                                    bandBps: String(property.priceLimits?.bandBps ?? 0),
+                                                                    relativeToAverage: !!property.priceLimits?.relativeToAverage,
+                                                                    haltMoveBps: String(property.priceLimits?.haltMoveBps ?? 0),
+                                                                    haltWindowHours: String((property.priceLimits?.haltWindowSeconds ?? 0) / 3600)
+                                                                })}
+                                                                disabled={tradingBusyId !== null}
+                                                                className="btn-secondary"
+                                                                style={{ width: '100%', padding: '6px', fontSize: '0.8rem', marginTop: '6px' }}
+                                                            >
+                                                                Price Limits{property.priceLimits && `: ${property.priceLimits.bandBps
+                                                                    ? `±${property.priceLimits.bandBps / 100}% band`
+                                                                    : 'no band'}, ${property.priceLimits.haltMoveBps
+                                                                    ? `halt on ${property.priceLimits.haltMoveBps / 100}% move`
+                                                                    : 'no breaker'}`}
+                                                            </button>
+                                                        )}
+                                                        {tradingBusyId === property.id && (
+                                                            <div style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '6px' }}>
+                                                                Waiting for the transaction to confirm...
+                                                            </div>
+                                                        )}
+                                                    </>
+                                                )}
+                                                {ownerOf(property) && (
+                                                    <div style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '8px' }}>
+                                                        👤 Owner{' '}
+                                                        <a
+                                                            href={getAddressUrl(ownerOf(property))}
+                                                            target="_blank"
+                                                            rel="noopener noreferrer"
+                                                            style={{ fontFamily: 'monospace', color: 'inherit' }}
+                                                        >
+                                                            {ownerOf(property).slice(0, 6)}...{ownerOf(property).slice(-4)}
+                                                        </a>
+                                                    </div>
+                                                )}
+                                                {property.shareToken ? (
+                                                    <div style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '8px' }}>
+                                                        🪙 Share token <strong>{property.shareToken.symbol}</strong>{' '}
+                                                        <span style={{ fontFamily: 'monospace' }}>
+                                                            {property.shareToken.address.slice(0, 6)}...{property.shareToken.address.slice(-4)}
+                                                        </span>
+                                                    </div>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => handleCreateShareToken(property)}
+                                                        disabled={tradingBusyId !== null}
+                                                        className="btn-secondary"
+                                                        style={{ width: '100%', padding: '6px', fontSize: '0.8rem', marginTop: '8px' }}
+                                                    >
+                                                        Create Share Token
+                                                    </button>
+                                                )}
+                                            </div>
+                                        )}
+
+                                        {TOKENIZABLE_STATUSES.includes(property.status) && (
+                                            <button
+                                                onClick={() => handleTokenize(property)}
+                                                disabled={tokenizingId !== null}
+                                                className="btn-primary btn-full"
+                                                style={{ marginTop: '12px', padding: '8px' }}
+                                            >
+                                                {tokenizingId === property.id
+                                                    ? 'Tokenizing...'
+                                                    : property.status === 'PENDING_TOKENIZATION' ? 'Tokenize' : 'Resume Tokenization'}
+                                            </button>
+                                        )}
                                     </div>
                                 </div>
                             ))}
@@ -349,6 +959,193 @@ const AdminConsole = () => {
                     )}
                 </div>
 
+                {/* Rental Income Section */}
+                <div style={{ marginTop: '40px' }}>
+                    <h2 style={{ fontSize: '1.3rem', fontWeight: '600', marginBottom: '20px' }}>
+                        💰 Rental Income
+                    </h2>
+
+                    <form
+                        onSubmit={handleDepositIncome}
+                        className="card"
+                        style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap', marginBottom: '20px' }}
+                    >
+                        <div style={{ flex: '2 1 220px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Property</label>
+                            <select
+                                value={incomeForm.propertyId}
+                                onChange={(e) => setIncomeForm(prev => ({ ...prev, propertyId: e.target.value }))}
+                                className="form-input"
+                                required
+                            >
+                                <option value="">Select a tokenized property</option>
+                                {properties.filter(p => p.status === 'TOKENIZED').map(p => (
+                                    <option key={p.id} value={p.id}>
+                                        {p.title} (#{p.chainPropertyId})
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                        <div style={{ flex: '1 1 120px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Amount (MATIC)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                step="any"
+                                value={incomeForm.amount}
+                                onChange={(e) => setIncomeForm(prev => ({ ...prev, amount: e.target.value }))}
+                                className="form-input"
+                                required
+                            />
+                        </div>
+                        <div style={{ flex: '1 1 150px' }}>
+                            <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>Period (optional)</label>
+                            <input
+                                type="text"
+                                placeholder="e.g. March 2026"
+                                value={incomeForm.period}
+                                onChange={(e) => setIncomeForm(prev => ({ ...prev, period: e.target.value }))}
+                                className="form-input"
+                            />
+                        </div>
+                        <button type="submit" disabled={incomeLoading} className="btn-primary" style={{ padding: '10px 20px' }}>
+                            {incomeLoading ? 'Depositing...' : 'Deposit Income'}
+                        </button>
+                    </form>
+
+                    {distributions.length === 0 ? (
+                        <div style={{
+                            backgroundColor: '#f9fafb',
+                            padding: '40px',
+                            borderRadius: '12px',
+                            textAlign: 'center',
+                            color: '#6b7280'
+                        }}>
+                            No rental income distributed yet.
+                        </div>
+                    ) : (
+                        <div className="table-container">
+                            <table>
+                                <thead>
+                                    <tr>
+                                        <th>Date</th>
+                                        <th>Property</th>
+                                        <th>Period</th>
+                                        <th>Amount</th>
+                                        <th>Per Share</th>
+                                        <th>Shares</th>
+                                        <th>Transaction</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {distributions.map(d => (
+                                        <tr key={d.id}>
+                                            <td>{(d.timestamp?.toDate ? d.timestamp.toDate() : new Date(d.timestamp)).toLocaleDateString()}</td>
+                                            <td>{properties.find(p => p.id === d.propertyId)?.title || d.propertyId}</td>
+                                            <td>{d.period || '-'}</td>
+                                            <td style={{ fontWeight: '600' }}>{d.amount} MATIC</td>
+                                            <td>{d.amountPerShare} MATIC</td>
+                                            <td>{d.sharesOutstanding}</td>
+                                            <td>
+                                                <a href={getTxUrl(d.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb' }}>
+                                                    View
+                                                </a>
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </div>
+
+                {/* Platform Fees Section */}
+                <div style={{ marginTop: '40px' }}>
+                    <h2 style={{ fontSize: '1.3rem', fontWeight: '600', marginBottom: '20px' }}>
+                        💸 Platform Fees
+                    </h2>
+
+                    {!feeSchedule ? (
+                        <div style={{
+                            backgroundColor: '#f9fafb',
+                            padding: '40px',
+                            borderRadius: '12px',
+                            textAlign: 'center',
+                            color: '#6b7280'
+                        }}>
+                            Fee schedule unavailable - check the contract connection.
+                        </div>
+                    ) : (
+                        <div className="card">
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                                <div>
+                                    <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>Fee treasury</div>
+                                    <div style={{ fontSize: '1.4rem', fontWeight: '700', color: '#111827' }}>{feeSchedule.treasury} MATIC</div>
+                                </div>
+                                <button
+                                    onClick={() => handleWithdrawFees('MATIC')}
+                                    disabled={feeLoading || Number(feeSchedule.treasury) === 0}
+                                    className="btn-secondary"
+                                    style={{ padding: '10px 20px', opacity: feeLoading || Number(feeSchedule.treasury) === 0 ? 0.6 : 1 }}
+                                >
+                                    Withdraw to Admin Wallet
+                                </button>
+                            </div>
+
+                            {/* Fees of stablecoin-priced properties are kept apart */}
+                            {feeSchedule.stablecoinTreasury && (
+                                <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '10px', marginBottom: '20px' }}>
+                                    <div>
+                                        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>Stablecoin fee treasury</div>
+                                        <div style={{ fontSize: '1.4rem', fontWeight: '700', color: '#111827' }}>
+                                            {feeSchedule.stablecoinTreasury.amount} {feeSchedule.stablecoinTreasury.currency.symbol}
+                                        </div>
+                                    </div>
+                                    <button
+                                        onClick={() => handleWithdrawFees('STABLECOIN')}
+                                        disabled={feeLoading || Number(feeSchedule.stablecoinTreasury.amount) === 0}
+                                        className="btn-secondary"
+                                        style={{ padding: '10px 20px', opacity: feeLoading || Number(feeSchedule.stablecoinTreasury.amount) === 0 ? 0.6 : 1 }}
+                                    >
+                                        Withdraw to Admin Wallet
+                                    </button>
+                                </div>
+                            )}
+
+                            <form onSubmit={handleUpdateFees} style={{ display: 'flex', gap: '10px', alignItems: 'flex-end', flexWrap: 'wrap' }}>
+                                {[
+                                    ['primaryFeeBps', 'Primary sale fee'],
+                                    ['resaleFeeBps', 'Resale fee'],
+                                    ['royaltyBps', 'Lister royalty (resales)']
+                                ].map(([key, label]) => (
+                                    <div key={key} style={{ flex: '1 1 150px' }}>
+                                        <label style={{ display: 'block', fontSize: '0.85rem', marginBottom: '5px' }}>
+                                            {label} (bps) - {(parseInt(feeForm[key]) || 0) / 100}%
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            max={feeSchedule.maxFeeBps}
+                                            step="1"
+                                            value={feeForm[key]}
+                                            onChange={(e) => setFeeForm(prev => ({ ...prev, [key]: e.target.value }))}
+                                            className="form-input"
+                                            required
+                                        />
+                                    </div>
+                                ))}
+                                <button type="submit" disabled={feeLoading} className="btn-primary" style={{ padding: '10px 20px' }}>
+                                    {feeLoading ? 'Saving...' : 'Update Fees'}
+                                </button>
+                            </form>
+                            <small style={{ display: 'block', marginTop: '10px', color: '#6b7280' }}>
+                                Fees are deducted from the seller's proceeds. 100 bps = 1%; each fee is capped at {feeSchedule.maxFeeBps / 100}%,
+                                and the resale fee plus royalty together too.
+                            </small>
+                        </div>
+                    )}
+                </div>
+
                 {/* Review Modal */}
                 {selectedRequest && (
                     <div style={{
@@ -394,9 +1191,17 @@ const AdminConsole = () => {
                                 <h4 style={{ fontWeight: '600', marginBottom: '10px' }}>{selectedRequest.title}</h4>
                                 <p style={{ color: '#6b7280', marginBottom: '10px' }}>{selectedRequest.description}</p>
                                 <p><strong>Location:</strong> {selectedRequest.location}</p>
-                                <p><strong>Price/Share:</strong> {selectedRequest.pricePerShare} MATIC</p>
+                                <p><strong>Price/Share:</strong> {selectedRequest.pricePerShare} {selectedRequest.currency?.symbol || 'MATIC'}</p>
                                 <p><strong>Total Shares:</strong> {selectedRequest.totalShares}</p>
                                 <p><strong>Seller:</strong> {selectedRequest.sellerEmail}</p>
+                                <p>
+                                    <strong>Proceeds to:</strong>{' '}
+                                    {selectedRequest.sellerWallet ? (
+                                        <span style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{selectedRequest.sellerWallet}</span>
+                                    ) : (
+                                        <span style={{ color: '#b91c1c' }}>No seller wallet - the request cannot be approved</span>
+                                    )}
+                                </p>
                             </div>
 
                             {/* Documents Section */}
@@ -1,12 +1,13 @@
 // frontend/src/pages/Admin/CreateProperty.jsx
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ethers } from 'ethers';
 import axios from 'axios';
 import { useWallet } from '../../context/WalletContext';
 import { useAuth } from '../../context/AuthContext';
 import { db } from '../../services/firebase';
 import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { tokenizeProperty, getApiError } from '../../services/api';
+import { getReadProvider, getTokenCurrency, NATIVE_CURRENCY, STABLECOIN_ADDRESS } from '../../services/contract';
 import Navbar from '../../components/Navbar';
 import LocationPicker from '../../components/LocationPicker';
 import ImageUploader from '../../components/ImageUploader';
@@ -25,7 +26,7 @@ const VALIDATION_RULES = {
 
 const CreateProperty = () => {
   const navigate = useNavigate();
-  const { signer, isConnected, connectWallet, account, isAmoy } = useWallet();
+  const { isConnected, connectWallet, account } = useWallet();
   const { currentUser, userData, isAdmin } = useAuth();
 
   const [loading, setLoading] = useState(false);
@@ -41,6 +42,18 @@ const CreateProperty = () => {
     amenities: '',
     pricePerShare: '',
     totalShares: '',
+    paymentToken: '', // '' for MATIC, or STABLECOIN_ADDRESS
+
+    // Primary pricing: FIXED, DUTCH_AUCTION (falls to endPrice by auctionEnd)
+    // or BONDING_CURVE (rises to endPrice for the last share)
+    pricingMode: 'FIXED',
+    endPrice: '',
+    auctionEnd: '',
+
+    // Funding round: escrow the primary sale until a minimum raise by a deadline
+    fundingRound: false,
+    softCap: '',
+    fundingDeadline: '',
 
     // Legal & Documents
     ownershipDocType: '',
@@ -51,6 +64,26 @@ const CreateProperty = () => {
   const [images, setImages] = useState([]);
   const [documents, setDocuments] = useState([]);
 
+  // The configured stablecoin, offered as the settlement currency when it can be read
+  const [stablecoin, setStablecoin] = useState(null);
+  const currency = form.paymentToken && stablecoin ? stablecoin : NATIVE_CURRENCY;
+
+  // What selling every share raises: at the starting price, or along the whole bonding curve
+  const totalSaleValue = () => {
+    const price = parseFloat(form.pricePerShare) || 0;
+    const shares = parseInt(form.totalShares) || 0;
+    return form.pricingMode === 'BONDING_CURVE'
+      ? shares * (price + (parseFloat(form.endPrice) || 0)) / 2
+      : price * shares;
+  };
+
+  useEffect(() => {
+    if (!STABLECOIN_ADDRESS) return;
+    getTokenCurrency(getReadProvider(), STABLECOIN_ADDRESS)
+      .then(setStablecoin)
+      .catch(error => console.warn('Could not read the stablecoin:', error));
+  }, []);
+
   // Redirect non-admins
   useEffect(() => {
     if (userData && !isAdmin) {
@@ -76,7 +109,7 @@ const CreateProperty = () => {
       // Price validation
       const price = parseFloat(form.pricePerShare);
       if (!price || price < VALIDATION_RULES.pricePerShare.min) {
-        newErrors.pricePerShare = `Minimum price is ${VALIDATION_RULES.pricePerShare.min} MATIC`;
+        newErrors.pricePerShare = `Minimum price is ${VALIDATION_RULES.pricePerShare.min} ${currency.symbol}`;
       }
 
       // Shares validation
@@ -89,6 +122,36 @@ const CreateProperty = () => {
       if (form.area && (parseInt(form.area) < VALIDATION_RULES.area.min)) {
         newErrors.area = `Minimum area is ${VALIDATION_RULES.area.min} sq ft`;
       }
+
+      // Pricing mode validation
+      const endPrice = parseFloat(form.endPrice);
+      if (form.pricingMode === 'DUTCH_AUCTION') {
+        if (!endPrice || endPrice <= 0 || endPrice >= price) {
+          newErrors.endPrice = 'Floor price must be more than 0 and below the starting price';
+        }
+        if (!form.auctionEnd || new Date(form.auctionEnd) <= new Date()) {
+          newErrors.auctionEnd = 'Choose an auction end in the future';
+        }
+      } else if (form.pricingMode === 'BONDING_CURVE' && (!endPrice || endPrice <= price)) {
+        newErrors.endPrice = 'Price of the last share must be above the starting price';
+      }
+
+      // Funding round validation
+      if (form.fundingRound) {
+        const softCap = parseFloat(form.softCap);
+        // An auction may sell out at its floor, so that is all it is sure to raise
+        const totalValue = form.pricingMode === 'DUTCH_AUCTION'
+          ? (parseFloat(form.endPrice) || 0) * (parseInt(form.totalShares) || 0)
+          : totalSaleValue();
+        if (!softCap || softCap <= 0 || softCap > totalValue) {
+          newErrors.softCap = form.pricingMode === 'DUTCH_AUCTION'
+            ? `Minimum raise must be more than 0 and at most the value of all shares at the floor price (${totalValue} ${currency.symbol})`
+            : `Minimum raise must be more than 0 and at most the total value (${totalValue || 0} ${currency.symbol})`;
+        }
+        if (!form.fundingDeadline || new Date(form.fundingDeadline) <= new Date()) {
+          newErrors.fundingDeadline = 'Choose a deadline in the future';
+        }
+      }
     }
 
     if (stepNum === 2) {
@@ -167,25 +230,7 @@ const CreateProperty = () => {
         }
       }
 
-      // Step 2: Create metadata
-      setStatus("Creating property metadata...");
-      const metadata = {
-        name: form.title,
-        description: form.description,
-        image: uploadedImages[0]?.url,
-        images: uploadedImages,
-        attributes: [
-          { trait_type: "Location", value: location.address },
-          { trait_type: "Coordinates", value: `${location.lat}, ${location.lng}` },
-          { trait_type: "Property Type", value: form.propertyType },
-          { trait_type: "Area", value: `${form.area} sq ft` },
-          { trait_type: "Total Shares", value: form.totalShares },
-          { trait_type: "Price Per Share", value: `${form.pricePerShare} MATIC` },
-          { trait_type: "Legal Status", value: form.legalStatus }
-        ]
-      };
-
-      // Step 3: Save to Firestore
+      // Step 2: Save to Firestore
       setStatus("Saving to database...");
       const propertyId = `prop_${Date.now()}`;
 
@@ -212,6 +257,16 @@ const CreateProperty = () => {
         availableShares: parseInt(form.totalShares),
         initialPrice: parseFloat(form.pricePerShare),
         currentPrice: parseFloat(form.pricePerShare),
+        paymentToken: currency.address,
+        currency,
+        funding: form.fundingRound
+          ? { softCap: parseFloat(form.softCap), deadline: new Date(form.fundingDeadline).toISOString() }
+          : null,
+        pricing: form.pricingMode === 'FIXED' ? null : {
+          mode: form.pricingMode,
+          endPrice: parseFloat(form.endPrice),
+          auctionEnd: form.pricingMode === 'DUTCH_AUCTION' ? new Date(form.auctionEnd).toISOString() : null
+        },
 
         // Media
         images: uploadedImages,
@@ -238,7 +293,16 @@ const CreateProperty = () => {
         resaleCount: 0
       });
 
-      setStatus("Property created successfully! 🎉");
+      // Step 3: Pin metadata and list on-chain (backend pipeline, resumable from the Admin Console)
+      setStatus("Pinning metadata and listing on-chain...");
+      try {
+        const result = await tokenizeProperty(propertyId);
+        setStatus(`Property tokenized as on-chain property #${result.chainPropertyId}! 🎉`);
+      } catch (tokenizeError) {
+        console.error("Tokenization error:", tokenizeError);
+        setStatus(`Failed to tokenize: ${getApiError(tokenizeError)}. The property was saved - resume tokenization from the Admin Console.`);
+        return;
+      }
 
       setTimeout(() => {
         navigate('/admin');
@@ -426,9 +490,26 @@ const CreateProperty = () => {
                   </div>
                 </div>
 
+                {stablecoin && (
+                  <div className="form-group">
+                    <label>Settlement Currency</label>
+                    <select
+                      className="form-input"
+                      value={form.paymentToken}
+                      onChange={e => setForm({ ...form, paymentToken: e.target.value })}
+                    >
+                      <option value="">{NATIVE_CURRENCY.symbol}</option>
+                      <option value={stablecoin.address}>{stablecoin.symbol} (stablecoin)</option>
+                    </select>
+                    <small style={{ color: '#9ca3af' }}>
+                      Shares are bought, resold and paid out in this currency. It cannot be changed after listing.
+                    </small>
+                  </div>
+                )}
+
                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
                   <div className="form-group">
-                    <label>Price Per Share (MATIC) *</label>
+                    <label>{form.pricingMode === 'FIXED' ? 'Price Per Share' : 'Starting Price Per Share'} ({currency.symbol}) *</label>
                     <input
                       type="number"
                       step="0.001"
@@ -452,6 +533,56 @@ const CreateProperty = () => {
                   </div>
                 </div>
 
+                {/* Pricing Mode */}
+                <div className="form-group">
+                  <label>Pricing Mode</label>
+                  <select
+                    className="form-input"
+                    value={form.pricingMode}
+                    onChange={e => setForm({ ...form, pricingMode: e.target.value })}
+                  >
+                    <option value="FIXED">Fixed price</option>
+                    <option value="DUTCH_AUCTION">Dutch auction (price falls over time)</option>
+                    <option value="BONDING_CURVE">Bonding curve (price rises with shares sold)</option>
+                  </select>
+                  <small style={{ color: '#9ca3af' }}>
+                    {form.pricingMode === 'DUTCH_AUCTION'
+                      ? 'Shares start at the price per share and get cheaper until the floor price is reached at the auction end.'
+                      : form.pricingMode === 'BONDING_CURVE'
+                        ? 'The first share sells at the price per share; each share sold raises the price, up to the last share\'s price.'
+                        : 'Every share sells at the price per share.'}
+                  </small>
+                </div>
+
+                {form.pricingMode !== 'FIXED' && (
+                  <div style={{ display: 'grid', gridTemplateColumns: form.pricingMode === 'DUTCH_AUCTION' ? '1fr 1fr' : '1fr', gap: '20px' }}>
+                    <div className="form-group">
+                      <label>{form.pricingMode === 'DUTCH_AUCTION' ? 'Floor Price' : 'Price of the Last Share'} ({currency.symbol}) *</label>
+                      <input
+                        type="number"
+                        step="0.001"
+                        className={`form-input ${errors.endPrice ? 'error' : ''}`}
+                        value={form.endPrice}
+                        onChange={e => setForm({ ...form, endPrice: e.target.value })}
+                        placeholder={form.pricingMode === 'DUTCH_AUCTION' ? '0.25' : '1'}
+                      />
+                      {errors.endPrice && <span className="error-text">{errors.endPrice}</span>}
+                    </div>
+                    {form.pricingMode === 'DUTCH_AUCTION' && (
+                      <div className="form-group">
+                        <label>Auction End *</label>
+                        <input
+                          type="datetime-local"
+                          className={`form-input ${errors.auctionEnd ? 'error' : ''}`}
+                          value={form.auctionEnd}
+                          onChange={e => setForm({ ...form, auctionEnd: e.target.value })}
+                        />
+                        {errors.auctionEnd && <span className="error-text">{errors.auctionEnd}</span>}
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Total Value Display */}
                 {form.pricePerShare && form.totalShares && (
                   <div style={{
@@ -464,12 +595,55 @@ const CreateProperty = () => {
                     <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                       <span>Total Property Value:</span>
                       <strong style={{ color: '#10b981', fontSize: '1.1rem' }}>
-                        {(parseFloat(form.pricePerShare) * parseInt(form.totalShares)).toFixed(2)} MATIC
+                        {totalSaleValue().toFixed(2)} {currency.symbol}
                       </strong>
                     </div>
                   </div>
                 )}
 
+                {/* Funding Round */}
+                <div className="form-group">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={form.fundingRound}
+                      onChange={e => setForm({ ...form, fundingRound: e.target.checked })}
+                    />
+                    Sell as a funding round
+                  </label>
+                  <small style={{ color: '#9ca3af' }}>
+                    Buyers' payments are held in escrow until the minimum raise is met and the round is finalized.
+                    If it is missed by the deadline, buyers are refunded and their shares are voided.
+                  </small>
+                </div>
+
+                {form.fundingRound && (
+                  <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '20px' }}>
+                    <div className="form-group">
+                      <label>Minimum Raise ({currency.symbol}) *</label>
+                      <input
+                        type="number"
+                        step="0.001"
+                        className={`form-input ${errors.softCap ? 'error' : ''}`}
+                        value={form.softCap}
+                        onChange={e => setForm({ ...form, softCap: e.target.value })}
+                        placeholder="250"
+                      />
+                      {errors.softCap && <span className="error-text">{errors.softCap}</span>}
+                    </div>
+                    <div className="form-group">
+                      <label>Deadline *</label>
+                      <input
+                        type="datetime-local"
+                        className={`form-input ${errors.fundingDeadline ? 'error' : ''}`}
+                        value={form.fundingDeadline}
+                        onChange={e => setForm({ ...form, fundingDeadline: e.target.value })}
+                      />
+                      {errors.fundingDeadline && <span className="error-text">{errors.fundingDeadline}</span>}
+                    </div>
+                  </div>
+                )}
+
                 <button
                   type="button"
                   onClick={nextStep}
@@ -601,10 +775,23 @@ const CreateProperty = () => {
                     <div><strong>Type:</strong> {form.propertyType}</div>
                     <div><strong>Area:</strong> {form.area} sq ft</div>
                     <div><strong>Legal Status:</strong> {form.legalStatus}</div>
-                    <div><strong>Price/Share:</strong> {form.pricePerShare} MATIC</div>
+                    <div><strong>Price/Share:</strong> {form.pricePerShare} {currency.symbol}</div>
                     <div><strong>Total Shares:</strong> {form.totalShares}</div>
                     <div><strong>Images:</strong> {images.length} uploaded</div>
-                    <div><strong>Total Value:</strong> {(parseFloat(form.pricePerShare) * parseInt(form.totalShares)).toFixed(2)} MATIC</div>
+                    <div><strong>Total Value:</strong> {totalSaleValue().toFixed(2)} {currency.symbol}</div>
+                    {form.pricingMode !== 'FIXED' && (
+                      <div style={{ gridColumn: '1 / -1' }}>
+                        <strong>Pricing:</strong>{' '}
+                        {form.pricingMode === 'DUTCH_AUCTION'
+                          ? `Dutch auction from ${form.pricePerShare} to ${form.endPrice} ${currency.symbol} by ${new Date(form.auctionEnd).toLocaleString()}`
+                          : `Bonding curve from ${form.pricePerShare} to ${form.endPrice} ${currency.symbol} for the last share`}
+                      </div>
+                    )}
+                    {form.fundingRound && (
+                      <div style={{ gridColumn: '1 / -1' }}>
+                        <strong>Funding Round:</strong> at least {form.softCap} {currency.symbol} by {new Date(form.fundingDeadline).toLocaleString()}
+                      </div>
+                    )}
                   </div>
                 </div>
 
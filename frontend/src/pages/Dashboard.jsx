@@ -1,6 +1,9 @@
 // src/pages/Dashboard.jsx
 import React from 'react';
 import Navbar from '../components/Navbar';
+import WithdrawEarnings from '../components/WithdrawEarnings';
+import RentalIncome from '../components/RentalIncome';
+import TransferShares from '../components/TransferShares';
 import { useAuth } from '../context/AuthContext';
 import { useWallet } from '../context/WalletContext';
 import { Navigate, Link } from 'react-router-dom';
@@ -132,6 +135,15 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Escrowed sale proceeds */}
+        <WithdrawEarnings />
+
+        {/* Rental income distributions */}
+        <RentalIncome />
+
+        {/* Send shares to another investor */}
+        <TransferShares />
+
         {/* Assets Table */}
         <h3 style={{ fontSize: '1.2rem', marginBottom: '15px', fontWeight: '600' }}>Your Assets</h3>
 
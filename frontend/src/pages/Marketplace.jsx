@@ -207,7 +207,7 @@ const Marketplace = () => {
                       <div>
                         <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>Price/Share</div>
                         <div style={{ fontWeight: '600', color: '#2563eb' }}>
-                          {property.pricePerShare} MATIC
+                          {property.pricePerShare} {property.currency?.symbol || 'MATIC'}
                         </div>
                       </div>
                       <div style={{ textAlign: 'right' }}>
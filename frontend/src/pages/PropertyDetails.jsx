@@ -1,11 +1,29 @@
 // frontend/src/pages/PropertyDetails.jsx
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../services/firebase';
 import { useAuth } from '../context/AuthContext';
 import { useWallet } from '../context/WalletContext';
+import {
+    buyShares,
+    claimFundingRefund,
+    getPropertyDetails,
+    getTradingStatus,
+    getFundingStatus,
+    getPrimaryQuote,
+    getUserShares,
+    getShareToken,
+    addShareTokenToWallet,
+    getReadProvider,
+    getTxUrl,
+    getAddressUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+import { tryResolveChainProperty } from '../services/propertyIds';
 import Navbar from '../components/Navbar';
+import PropertyGovernance from '../components/PropertyGovernance';
 import { MapContainer, TileLayer, Marker } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
@@ -18,17 +36,48 @@ L.Icon.Default.mergeOptions({
     shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
 });
 
+// How often the primary price is re-quoted while it moves (Dutch auction or bonding curve)
+const QUOTE_REFRESH_MS = 5000;
+
+/**
+ * Time left until a unix deadline, e.g. "2d 03h 14m 05s"
+ */
+const formatCountdown = (deadline, now) => {
+    const left = Math.max(0, deadline - Math.floor(now / 1000));
+    const days = Math.floor(left / 86400);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${days > 0 ? `${days}d ` : ''}${pad(Math.floor(left % 86400 / 3600))}h ${pad(Math.floor(left % 3600 / 60))}m ${pad(left % 60)}s`;
+};
+
 const PropertyDetails = () => {
     const { id } = useParams();
     const navigate = useNavigate();
     const { currentUser } = useAuth();
-    const { account, isConnected, connectWallet, signer } = useWallet();
+    const { account, isConnected, connectWallet, signer, provider, chainId, switchToAmoy } = useWallet();
 
     const [property, setProperty] = useState(null);
     const [loading, setLoading] = useState(true);
     const [selectedImage, setSelectedImage] = useState(0);
     const [sharesToBuy, setSharesToBuy] = useState(1);
-    const [purchasing, setPurchasing] = useState(false);
+    const [activeTab, setActiveTab] = useState('overview'); // overview | governance
+
+    // Live contract state (source of truth for price and availability)
+    const [chainData, setChainData] = useState(null);
+    const [tradingStatus, setTradingStatus] = useState(null);
+    const [myShares, setMyShares] = useState(null);
+    const [shareToken, setShareToken] = useState(null);
+    const [funding, setFunding] = useState(null);
+    const [quote, setQuote] = useState(null); // primary pricing and the cost of sharesToBuy
+    const [now, setNow] = useState(Date.now());
+
+    // Purchase lifecycle: idle -> preflight -> (approving ->) pending -> confirmed | failed
+    // (approving: a stablecoin purchase first approves the marketplace to take the payment)
+    const [txState, setTxState] = useState({ status: 'idle', txHash: null, error: null });
+    const purchasing = ['preflight', 'approving', 'pending'].includes(txState.status);
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+
+    // Refund of a failed funding round: idle -> pending -> confirmed | failed
+    const [refundState, setRefundState] = useState({ status: 'idle', txHash: null, error: null, message: '' });
 
     useEffect(() => {
         const fetchProperty = async () => {
@@ -52,6 +101,90 @@ const PropertyDetails = () => {
         fetchProperty();
     }, [id]);
 
+    // Firestore id -> on-chain id; mappingError explains why the property can't be traded
+    const [chainMapping, setChainMapping] = useState(null);
+    const [mappingError, setMappingError] = useState(null);
+
+    useEffect(() => {
+        if (!property) return;
+        tryResolveChainProperty(property).then(({ mapping, error }) => {
+            setChainMapping(mapping);
+            setMappingError(error);
+        });
+    }, [property]);
+
+    const chainPropertyId = chainMapping?.chainPropertyId;
+
+    // Load on-chain price, availability and the user's share balance
+    const refreshChainData = useCallback(async () => {
+        if (!chainPropertyId) return;
+
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            const [details, status, token, round] = await Promise.all([
+                getPropertyDetails(readProvider, chainPropertyId),
+                getTradingStatus(readProvider, chainPropertyId),
+                getShareToken(readProvider, chainPropertyId, account || null),
+                getFundingStatus(readProvider, chainPropertyId, account || null)
+            ]);
+            setChainData(details);
+            setTradingStatus(status);
+            setShareToken(token);
+            setFunding(round.status === 'NONE' ? null : round);
+
+            if (account) {
+                setMyShares(Number(await getUserShares(readProvider, chainPropertyId, account)));
+            }
+        } catch (error) {
+            console.error('Error loading on-chain data:', error);
+        }
+    }, [chainPropertyId, provider, account, wrongNetwork]);
+
+    useEffect(() => {
+        refreshChainData();
+    }, [refreshChainData]);
+
+    // Quote what buyShares would charge for sharesToBuy right now
+    const refreshQuote = useCallback(async () => {
+        if (!chainPropertyId) return;
+
+        try {
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            setQuote(await getPrimaryQuote(readProvider, chainPropertyId, sharesToBuy));
+        } catch (error) {
+            console.error('Error quoting primary price:', error);
+        }
+    }, [chainPropertyId, sharesToBuy, provider, wrongNetwork]);
+
+    // Re-quote after every chain refresh, and keep a moving price live
+    const dynamicPricing = !!quote && quote.mode !== 'FIXED';
+    useEffect(() => {
+        refreshQuote();
+        if (!dynamicPricing) return undefined;
+        const timer = setInterval(refreshQuote, QUOTE_REFRESH_MS);
+        return () => clearInterval(timer);
+    }, [refreshQuote, chainData, dynamicPricing]);
+
+    // Tick the funding and auction countdowns while they run
+    const fundingOpen = funding?.status === 'OPEN';
+    const auctionRunning = quote?.mode === 'DUTCH_AUCTION' && now / 1000 < quote.endTime;
+    useEffect(() => {
+        if (!fundingOpen && !auctionRunning) return undefined;
+        const timer = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(timer);
+    }, [fundingOpen, auctionRunning]);
+
+    const handleAddToken = async () => {
+        try {
+            const image = property.images?.find(img => img.isMain)?.url || property.mainImageUrl || null;
+            const added = await addShareTokenToWallet(shareToken, image);
+            if (added) alert(`${shareToken.symbol} was added to your wallet.`);
+        } catch (error) {
+            console.error('Error adding token to wallet:', error);
+            alert(error.message);
+        }
+    };
+
     const handleBuyShares = async () => {
         if (!isConnected) {
             alert('Please connect your wallet first');
@@ -63,18 +196,46 @@ const PropertyDetails = () => {
             return;
         }
 
-        setPurchasing(true);
-        try {
-            const totalCost = sharesToBuy * property.currentPrice;
+        if (!chainPropertyId) {
+            setTxState({ status: 'failed', txHash: null, error: mappingError || 'This property has not been tokenized on-chain yet.' });
+            return;
+        }
 
-            // In production, this would call the smart contract
-            alert(`Purchase initiated!\n\nShares: ${sharesToBuy}\nTotal: ${totalCost} MATIC\n\nThis would trigger a blockchain transaction.`);
+        setTxState({ status: 'preflight', txHash: null, error: null });
+        try {
+            const result = await buyShares(signer, chainPropertyId, sharesToBuy, {
+                onApproval: (txHash) => setTxState({ status: 'approving', txHash, error: null }),
+                onSubmitted: (txHash) => setTxState({ status: 'pending', txHash, error: null })
+            });
 
+            setTxState({ status: 'confirmed', txHash: result.txHash, error: null });
+            await refreshChainData();
         } catch (error) {
             console.error('Purchase failed:', error);
-            alert('Purchase failed: ' + error.message);
-        } finally {
-            setPurchasing(false);
+            setTxState(prev => ({ status: 'failed', txHash: prev.txHash, error: parseContractError(error) }));
+        }
+    };
+
+    const handleClaimRefund = async () => {
+        if (wrongNetwork) {
+            setRefundState({ status: 'failed', txHash: null, error: 'Switch your wallet to the marketplace network first.', message: '' });
+            return;
+        }
+
+        setRefundState({ status: 'pending', txHash: null, error: null, message: '' });
+        try {
+            const result = await claimFundingRefund(signer, chainPropertyId, {
+                onSubmitted: (txHash) => setRefundState(prev => ({ ...prev, txHash }))
+            });
+            setRefundState(prev => ({
+                ...prev,
+                status: 'confirmed',
+                message: `Refunded ${result.amount} ${result.currency.symbol}. Your ${result.shares} share(s) from the round were voided.`
+            }));
+            await refreshChainData();
+        } catch (error) {
+            console.error('Refund failed:', error);
+            setRefundState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
         }
     };
 
@@ -101,10 +262,37 @@ const PropertyDetails = () => {
         );
     }
 
-    const soldPercent = Math.round(((property.totalShares - property.availableShares) / property.totalShares) * 100);
-    const totalCost = sharesToBuy * (property.currentPrice || property.pricePerShare);
-    const priceChange = property.currentPrice && property.initialPrice
-        ? ((property.currentPrice - property.initialPrice) / property.initialPrice * 100).toFixed(2)
+    // Funding round: the deadline may pass while the page is open
+    const fundingEnded = fundingOpen && now / 1000 > funding.deadline;
+    const fundingFailed = funding?.status === 'FAILED' || (fundingEnded && Number(funding.raised) < Number(funding.softCap));
+    const fundingPercent = funding ? Math.min(100, Math.round(Number(funding.raised) / Number(funding.softCap) * 100)) : 0;
+    const canClaimRefund = fundingFailed && Number(funding?.contribution) > 0;
+
+    // Why trading is halted, if it is (admin halt, delisting, emergency pause or a closed funding round)
+    const haltReason = !tradingStatus ? null
+        : tradingStatus.paused ? 'Trading is paused across the marketplace.'
+            : tradingStatus.delisted ? 'This property has been delisted. Trading has stopped permanently.'
+                : fundingFailed ? 'The funding round did not succeed. Buyers can claim a refund of what they paid.'
+                    : fundingEnded ? 'The funding round has ended and is waiting to be finalized.'
+                        : !tradingStatus.primarySaleActive ? 'Primary sales of this property have been halted by the platform.'
+                            : null;
+    const resaleHalted = !!tradingStatus && !haltReason && !tradingStatus.resaleActive;
+
+    // Settlement currency: MATIC, or the stablecoin the property was listed in
+    const currencySymbol = chainData?.currency?.symbol || property.currency?.symbol || 'MATIC';
+
+    const totalShares = chainData?.totalShares ?? property.totalShares;
+    const chainOwner = chainData?.owner || property.onChainOwner || null;
+    const availableShares = chainData?.availableShares ?? property.availableShares;
+    const soldPercent = Math.round(((totalShares - availableShares) / totalShares) * 100);
+
+    // buyShares charges the primary price (the initial listing price, unless it
+    // runs a Dutch auction or bonding curve), not the resale market price
+    const primaryPrice = parseFloat(chainData?.initialPrice ?? property.initialPrice ?? property.pricePerShare);
+    const currentPrice = parseFloat(chainData?.currentPrice ?? property.currentPrice ?? property.pricePerShare);
+    const totalCost = dynamicPricing && quote.totalCost !== null ? Number(quote.totalCost) : sharesToBuy * primaryPrice;
+    const priceChange = currentPrice && primaryPrice
+        ? ((currentPrice - primaryPrice) / primaryPrice * 100).toFixed(2)
         : 0;
 
     return (
@@ -199,47 +387,82 @@ const PropertyDetails = () => {
                             </span>
                         </div>
 
-                        <p style={{ color: '#4b5563', lineHeight: 1.7, marginBottom: '30px' }}>
-                            {property.description}
-                        </p>
-
-                        {/* Map */}
-                        {property.location?.lat && (
-                            <div style={{ marginBottom: '30px' }}>
-                                <h3 style={{ marginBottom: '15px', fontWeight: '600' }}>Location</h3>
-                                <div style={{ height: '250px', borderRadius: '12px', overflow: 'hidden' }}>
-                                    <MapContainer
-                                        center={[property.location.lat, property.location.lng]}
-                                        zoom={15}
-                                        style={{ height: '100%', width: '100%' }}
-                                    >
-                                        <TileLayer
-                                            url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-                                        />
-                                        <Marker position={[property.location.lat, property.location.lng]} />
-                                    </MapContainer>
-                                </div>
-                            </div>
+                        {/* Tabs */}
+                        <div style={{ display: 'flex', gap: '5px', borderBottom: '1px solid #e5e7eb', marginBottom: '25px' }}>
+                            {[['overview', 'Overview'], ['governance', 'Governance']].map(([tab, label]) => (
+                                <button
+                                    key={tab}
+                                    onClick={() => setActiveTab(tab)}
+                                    style={{
+                                        background: 'none',
+                                        border: 'none',
+                                        borderBottom: activeTab === tab ? '3px solid #2563eb' : '3px solid transparent',
+                                        padding: '10px 16px',
+                                        cursor: 'pointer',
+                                        fontWeight: activeTab === tab ? '600' : '400',
+                                        color: activeTab === tab ? '#2563eb' : '#6b7280'
+                                    }}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+
+                        {activeTab === 'governance' && (
+                            chainPropertyId ? (
+                                <PropertyGovernance chainPropertyId={chainPropertyId} now={now} />
+                            ) : (
+                                <p style={{ color: '#6b7280', marginBottom: '30px' }}>
+                                    {mappingError || 'Governance opens once this property is listed on-chain.'}
+                                </p>
+                            )
                         )}
 
-                        {/* Amenities */}
-                        {property.amenities?.length > 0 && (
-                            <div>
-                                <h3 style={{ marginBottom: '15px', fontWeight: '600' }}>Amenities</h3>
-                                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
-                                    {property.amenities.map((amenity, idx) => (
-                                        <span key={idx} style={{
-                                            backgroundColor: '#ecfdf5',
-                                            color: '#065f46',
-                                            padding: '8px 14px',
-                                            borderRadius: '8px',
-                                            fontSize: '0.9rem'
-                                        }}>
-                                            ✓ {amenity}
-                                        </span>
-                                    ))}
-                                </div>
-                            </div>
+                        {activeTab === 'overview' && (
+                            <>
+                                <p style={{ color: '#4b5563', lineHeight: 1.7, marginBottom: '30px' }}>
+                                    {property.description}
+                                </p>
+
+                                {/* Map */}
+                                {property.location?.lat && (
+                                    <div style={{ marginBottom: '30px' }}>
+                                        <h3 style={{ marginBottom: '15px', fontWeight: '600' }}>Location</h3>
+                                        <div style={{ height: '250px', borderRadius: '12px', overflow: 'hidden' }}>
+                                            <MapContainer
+                                                center={[property.location.lat, property.location.lng]}
+                                                zoom={15}
+                                                style={{ height: '100%', width: '100%' }}
+                                            >
+                                                <TileLayer
+                                                    url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+                                                />
+                                                <Marker position={[property.location.lat, property.location.lng]} />
+                                            </MapContainer>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {/* Amenities */}
+                                {property.amenities?.length > 0 && (
+                                    <div>
+                                        <h3 style={{ marginBottom: '15px', fontWeight: '600' }}>Amenities</h3>
+                                        <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+                                            {property.amenities.map((amenity, idx) => (
+                                                <span key={idx} style={{
+                                                    backgroundColor: '#ecfdf5',
+                                                    color: '#065f46',
+                                                    padding: '8px 14px',
+                                                    borderRadius: '8px',
+                                                    fontSize: '0.9rem'
+                                                }}>
+                                                    ✓ {amenity}
+                                                </span>
+                                            ))}
+                                        </div>
+                                    </div>
+                                )}
+                            </>
                         )}
                     </div>
 
@@ -260,13 +483,13 @@ const PropertyDetails = () => {
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
                                     <span style={{ color: '#6b7280' }}>Current Price</span>
                                     <span style={{ fontWeight: '600', color: '#2563eb', fontSize: '1.2rem' }}>
-                                        {property.currentPrice || property.pricePerShare} MATIC
+                                        {currentPrice} {currencySymbol}
                                     </span>
                                 </div>
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '10px' }}>
                                     <span style={{ color: '#6b7280' }}>Initial Price</span>
                                     <span style={{ color: '#9ca3af' }}>
-                                        {property.initialPrice || property.pricePerShare} MATIC
+                                        {primaryPrice} {currencySymbol}
                                     </span>
                                 </div>
                                 {priceChange !== 0 && (
@@ -284,7 +507,7 @@ const PropertyDetails = () => {
                             <div style={{ marginBottom: '20px' }}>
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '5px', fontSize: '0.9rem' }}>
                                     <span>{soldPercent}% Funded</span>
-                                    <span>{property.availableShares} / {property.totalShares} shares</span>
+                                    <span>{availableShares} / {totalShares} shares</span>
                                 </div>
                                 <div style={{
                                     backgroundColor: '#e5e7eb',
@@ -301,6 +524,109 @@ const PropertyDetails = () => {
                                 </div>
                             </div>
 
+                            {/* Funding Round */}
+                            {funding && (
+                                <div style={{
+                                    marginBottom: '20px',
+                                    padding: '15px',
+                                    borderRadius: '8px',
+                                    backgroundColor: fundingFailed ? '#fef2f2' : funding.status === 'SUCCEEDED' ? '#ecfdf5' : '#eff6ff'
+                                }}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px', fontSize: '0.9rem' }}>
+                                        <strong>Funding Round</strong>
+                                        <span style={{ color: fundingFailed ? '#b91c1c' : funding.status === 'SUCCEEDED' ? '#065f46' : '#1d4ed8' }}>
+                                            {fundingFailed ? 'Failed'
+                                                : funding.status === 'SUCCEEDED' ? '✓ Succeeded'
+                                                    : fundingEnded ? 'Ended'
+                                                        : `Ends in ${formatCountdown(funding.deadline, now)}`}
+                                        </span>
+                                    </div>
+                                    <div style={{
+                                        backgroundColor: '#e5e7eb',
+                                        borderRadius: '10px',
+                                        height: '10px',
+                                        overflow: 'hidden',
+                                        marginBottom: '6px'
+                                    }}>
+                                        <div style={{
+                                            width: `${fundingPercent}%`,
+                                            height: '100%',
+                                            backgroundColor: fundingFailed ? '#ef4444' : '#2563eb',
+                                            borderRadius: '10px'
+                                        }} />
+                                    </div>
+                                    <div style={{ fontSize: '0.85rem', color: '#4b5563' }}>
+                                        {funding.raised} of {funding.softCap} {currencySymbol} minimum raised ({fundingPercent}%)
+                                    </div>
+                                    {fundingOpen && !fundingEnded && (
+                                        <div style={{ fontSize: '0.8rem', color: '#6b7280', marginTop: '6px' }}>
+                                            Payments are held in escrow until the round succeeds, and refunded if it misses its
+                                            minimum raise by {new Date(funding.deadline * 1000).toLocaleString()}.
+                                        </div>
+                                    )}
+                                    {Number(funding.contribution) > 0 && (
+                                        <div style={{ fontSize: '0.85rem', marginTop: '8px' }}>
+                                            You paid {funding.contribution} {currencySymbol} into this round.
+                                        </div>
+                                    )}
+                                    {canClaimRefund && isConnected && (
+                                        <button
+                                            onClick={handleClaimRefund}
+                                            disabled={refundState.status === 'pending'}
+                                            className="btn-secondary btn-full"
+                                            style={{ marginTop: '10px', padding: '10px' }}
+                                        >
+                                            {refundState.status === 'pending' ? 'Refunding...' : `Claim Refund of ${funding.contribution} ${currencySymbol}`}
+                                        </button>
+                                    )}
+                                    {refundState.status !== 'idle' && (
+                                        <div style={{
+                                            marginTop: '8px',
+                                            fontSize: '0.85rem',
+                                            color: refundState.status === 'failed' ? '#b91c1c' : refundState.status === 'confirmed' ? '#065f46' : '#0369a1'
+                                        }}>
+                                            {refundState.status === 'pending' && (refundState.txHash ? 'Waiting for confirmation...' : 'Confirm in your wallet...')}
+                                            {refundState.status === 'confirmed' && `✓ ${refundState.message}`}
+                                            {refundState.status === 'failed' && refundState.error}
+                                            {refundState.txHash && (
+                                                <a href={getTxUrl(refundState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline', marginLeft: '6px' }}>
+                                                    View transaction
+                                                </a>
+                                            )}
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
+                            {/* Dutch auction / bonding curve */}
+                            {dynamicPricing && (
+                                <div style={{
+                                    marginBottom: '20px',
+                                    padding: '15px',
+                                    borderRadius: '8px',
+                                    backgroundColor: '#f5f3ff'
+                                }}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px', fontSize: '0.9rem' }}>
+                                        <strong>{quote.mode === 'DUTCH_AUCTION' ? 'Dutch Auction' : 'Bonding Curve'}</strong>
+                                        {quote.mode === 'DUTCH_AUCTION' && (
+                                            <span style={{ color: '#6d28d9' }}>
+                                                {auctionRunning ? `Floor in ${formatCountdown(quote.endTime, now)}` : 'At floor price'}
+                                            </span>
+                                        )}
+                                    </div>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '6px' }}>
+                                        <span style={{ color: '#6b7280' }}>Next share</span>
+                                        <span style={{ fontWeight: '600', color: '#6d28d9' }}>{quote.nextSharePrice} {currencySymbol}</span>
+                                    </div>
+                                    <div style={{ fontSize: '0.8rem', color: '#6b7280' }}>
+                                        {quote.mode === 'DUTCH_AUCTION'
+                                            ? `The price falls steadily from ${quote.startPrice} to ${quote.endPrice} ${currencySymbol} by ${new Date(quote.endTime * 1000).toLocaleString()}.`
+                                            : `The price rises with every share sold, from ${quote.startPrice} ${currencySymbol} for the first share to ${quote.endPrice} ${currencySymbol} for the last.`}
+                                        {' '}You pay the price of the block your purchase is mined in.
+                                    </div>
+                                </div>
+                            )}
+
                             {/* Share Calculator */}
                             <div style={{ marginBottom: '20px' }}>
                                 <label style={{ fontWeight: '500', marginBottom: '8px', display: 'block' }}>
@@ -309,7 +635,7 @@ const PropertyDetails = () => {
                                 <input
                                     type="number"
                                     min="1"
-                                    max={property.availableShares}
+                                    max={availableShares}
                                     value={sharesToBuy}
                                     onChange={(e) => setSharesToBuy(Math.max(1, parseInt(e.target.value) || 1))}
                                     className="form-input"
@@ -325,8 +651,8 @@ const PropertyDetails = () => {
                                         <span>{sharesToBuy}</span>
                                     </div>
                                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '8px' }}>
-                                        <span>Price/Share</span>
-                                        <span>{property.currentPrice || property.pricePerShare} MATIC</span>
+                                        <span>{dynamicPricing ? 'Average Price/Share' : 'Primary Price/Share'}</span>
+                                        <span>{dynamicPricing ? Number((totalCost / sharesToBuy).toFixed(6)) : primaryPrice} {currencySymbol}</span>
                                     </div>
                                     <div style={{
                                         display: 'flex',
@@ -337,20 +663,108 @@ const PropertyDetails = () => {
                                         borderTop: '1px solid #e5e7eb'
                                     }}>
                                         <span>Total</span>
-                                        <span style={{ color: '#2563eb' }}>{totalCost.toFixed(4)} MATIC</span>
+                                        <span style={{ color: '#2563eb' }}>{totalCost.toFixed(4)} {currencySymbol}</span>
                                     </div>
                                 </div>
                             </div>
 
+                            {/* On-chain Holdings */}
+                            {isConnected && myShares !== null && (
+                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '15px', fontSize: '0.9rem' }}>
+                                    <span style={{ color: '#6b7280' }}>Your Shares (on-chain)</span>
+                                    <span style={{ fontWeight: '600' }}>{myShares}</span>
+                                </div>
+                            )}
+
+                            {/* ERC-20 share token */}
+                            {shareToken && (
+                                <div style={{
+                                    marginBottom: '15px',
+                                    padding: '12px',
+                                    borderRadius: '8px',
+                                    fontSize: '0.85rem',
+                                    backgroundColor: '#f9fafb',
+                                    border: '1px solid #e5e7eb'
+                                }}>
+                                    <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px' }}>
+                                        <span>
+                                            Share token <strong>{shareToken.symbol}</strong>
+                                            {shareToken.balance !== null && ` · you hold ${shareToken.balance}`}
+                                        </span>
+                                        {isConnected && !wrongNetwork && (
+                                            <button onClick={handleAddToken} className="btn-secondary" style={{ padding: '4px 10px', fontSize: '0.8rem' }}>
+                                                Add to MetaMask
+                                            </button>
+                                        )}
+                                    </div>
+                                    <div style={{ fontFamily: 'monospace', color: '#6b7280', marginTop: '4px', wordBreak: 'break-all' }}>
+                                        {shareToken.address}
+                                    </div>
+                                </div>
+                            )}
+
+                            {/* Not tradable on-chain */}
+                            {mappingError && (
+                                <div style={{
+                                    marginBottom: '15px',
+                                    padding: '12px',
+                                    borderRadius: '8px',
+                                    fontSize: '0.9rem',
+                                    backgroundColor: '#fef3c7',
+                                    color: '#92400e'
+                                }}>
+                                    ⚠️ {mappingError}
+                                </div>
+                            )}
+
+                            {/* Trading Halted */}
+                            {haltReason && (
+                                <div style={{
+                                    marginBottom: '15px',
+                                    padding: '12px',
+                                    borderRadius: '8px',
+                                    fontSize: '0.9rem',
+                                    backgroundColor: '#fef2f2',
+                                    border: '1px solid #ef4444',
+                                    color: '#b91c1c'
+                                }}>
+                                    <strong>⛔ Trading halted</strong>
+                                    <div style={{ marginTop: '4px' }}>{haltReason}</div>
+                                </div>
+                            )}
+                            {resaleHalted && (
+                                <div style={{ marginBottom: '15px', fontSize: '0.85rem', color: '#92400e' }}>
+                                    {fundingOpen
+                                        ? 'ℹ️ Shares bought in the funding round can be resold or transferred once the round succeeds.'
+                                        : '⚠️ Resale trading of this property is halted. Primary sales are still open.'}
+                                </div>
+                            )}
+
                             {/* Buy Button */}
-                            {isConnected ? (
+                            {isConnected && wrongNetwork ? (
+                                <button
+                                    onClick={switchToAmoy}
+                                    className="btn-primary btn-full"
+                                    style={{ padding: '15px', fontSize: '1rem', backgroundColor: '#f59e0b' }}
+                                >
+                                    Switch Network to Invest
+                                </button>
+                            ) : isConnected ? (
                                 <button
                                     onClick={handleBuyShares}
-                                    disabled={purchasing || property.availableShares === 0}
+                                    disabled={purchasing || availableShares === 0 || !chainPropertyId || !!haltReason}
                                     className="btn-primary btn-full"
                                     style={{ padding: '15px', fontSize: '1rem' }}
                                 >
-                                    {purchasing ? 'Processing...' : `Buy ${sharesToBuy} Share${sharesToBuy > 1 ? 's' : ''}`}
+                                    {haltReason
+                                        ? 'Trading Halted'
+                                        : txState.status === 'preflight'
+                                            ? 'Checking...'
+                                            : txState.status === 'approving'
+                                                ? 'Approving...'
+                                                : txState.status === 'pending'
+                                                    ? 'Confirming...'
+                                                    : `Buy ${sharesToBuy} Share${sharesToBuy > 1 ? 's' : ''}`}
                                 </button>
                             ) : (
                                 <button
@@ -362,6 +776,31 @@ const PropertyDetails = () => {
                                 </button>
                             )}
 
+                            {/* Transaction Status */}
+                            {txState.status !== 'idle' && (
+                                <div style={{
+                                    marginTop: '15px',
+                                    padding: '12px',
+                                    borderRadius: '8px',
+                                    fontSize: '0.9rem',
+                                    backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                                    color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1'
+                                }}>
+                                    {txState.status === 'preflight' && 'Checking network, balance and available shares...'}
+                                    {txState.status === 'approving' && `Approving ${currencySymbol} for the marketplace. Confirm the purchase in your wallet once it is approved...`}
+                                    {txState.status === 'pending' && 'Transaction submitted. Waiting for confirmation...'}
+                                    {txState.status === 'confirmed' && `✓ Purchase confirmed! You now hold ${myShares ?? '-'} share(s).`}
+                                    {txState.status === 'failed' && txState.error}
+                                    {txState.txHash && (
+                                        <div style={{ marginTop: '6px' }}>
+                                            <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                                                {txState.txHash.slice(0, 10)}...{txState.txHash.slice(-8)}
+                                            </a>
+                                        </div>
+                                    )}
+                                </div>
+                            )}
+
                             {/* Market Value */}
                             <div style={{
                                 marginTop: '20px',
@@ -374,9 +813,20 @@ const PropertyDetails = () => {
                                     Implied Market Value
                                 </div>
                                 <div style={{ fontSize: '1.3rem', fontWeight: '600', color: '#059669' }}>
-                                    {((property.currentPrice || property.pricePerShare) * property.totalShares).toFixed(2)} MATIC
+                                    {(currentPrice * totalShares).toFixed(2)} {currencySymbol}
                                 </div>
                             </div>
+
+                            {/* Current holder of the property NFT */}
+                            {chainOwner && (
+                                <div style={{ marginTop: '12px', fontSize: '0.85rem', color: '#6b7280', textAlign: 'center' }}>
+                                    On-chain owner:{' '}
+                                    <a href={getAddressUrl(chainOwner)} target="_blank" rel="noopener noreferrer" style={{ fontFamily: 'monospace', color: '#374151' }}>
+                                        {chainOwner.slice(0, 6)}...{chainOwner.slice(-4)}
+                                    </a>
+                                    {account && chainOwner.toLowerCase() === account.toLowerCase() && ' (you)'}
+                                </div>
+                            )}
                         </div>
                     </div>
                 </div>
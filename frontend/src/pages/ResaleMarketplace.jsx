@@ -1,64 +1,314 @@
 // frontend/src/pages/ResaleMarketplace.jsx
-import React, { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
-import { collection, getDocs, query, where, orderBy, doc, updateDoc, addDoc, serverTimestamp } from 'firebase/firestore';
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useNavigate } from 'react-router-dom';
+import { collection, getDocs, query, where } from 'firebase/firestore';
 import { db } from '../services/firebase';
 import { useAuth } from '../context/AuthContext';
 import { useWallet } from '../context/WalletContext';
+import {
+    listSharesForResale,
+    buyFromResale,
+    cancelResaleListing,
+    updateResaleListing,
+    makeOffer,
+    getResaleListing,
+    getUserShares,
+    getLockedShares,
+    getTradingStatus,
+    getPriceBand,
+    isMarketplacePaused,
+    getFeeSchedule,
+    quoteTradeFees,
+    getReadProvider,
+    getTxUrl,
+    parseContractError,
+    EXPECTED_CHAIN_ID
+} from '../services/contract';
+import { tryResolveChainProperty } from '../services/propertyIds';
+import { getResaleListings, getApiError } from '../services/api';
 import Navbar from '../components/Navbar';
+import OrderBook from '../components/OrderBook';
+import BestPriceBuy from '../components/BestPriceBuy';
+import ListingOffers from '../components/ListingOffers';
+import MyOffers from '../components/MyOffers';
+
+// Time left until a unix expiry, e.g. "2d 4h", "3h 12m", "4m 10s"
+const formatCountdown = (expiresAt, now) => {
+    const seconds = Math.max(0, Math.floor(expiresAt - now / 1000));
+    const d = Math.floor(seconds / 86400);
+    const h = Math.floor((seconds % 86400) / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    if (d > 0) return `${d}d ${h}h`;
+    if (h > 0) return `${h}h ${m}m`;
+    return `${m}m ${seconds % 60}s`;
+};
+
+// Unix seconds <-> <input type="datetime-local"> value (local time)
+const toDateTimeInput = (expiresAt) => {
+    if (!expiresAt) return '';
+    const date = new Date(expiresAt * 1000);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+const fromDateTimeInput = (value) => value ? Math.floor(new Date(value).getTime() / 1000) : null;
+
+const isListingExpired = (listing, now) => !!listing.expiresAt && listing.expiresAt * 1000 <= now;
+
+// One trading status read per property per refresh
+const tradingStatusReader = (readProvider) => {
+    const statuses = new Map();
+    return (chainPropertyId) => {
+        if (!statuses.has(chainPropertyId)) {
+            statuses.set(chainPropertyId, getTradingStatus(readProvider, chainPropertyId));
+        }
+        return statuses.get(chainPropertyId);
+    };
+};
+
+// Symbol of the currency a listing, bid, offer or band is priced in
+const symbolOf = (item) => item?.currency?.symbol || 'MATIC';
+
+// Why a price would be rejected by the property's price band, or null
+const priceBandWarning = (band, price) => {
+    const value = parseFloat(price);
+    if (!band?.enabled || !(value > 0)) return null;
+
+    const range = `${band.minPrice} - ${band.maxPrice} ${symbolOf(band)}`;
+    if (value < band.minPrice) return `Below the allowed range (${range}) - the contract will reject this price.`;
+    if (value > band.maxPrice) return `Above the allowed range (${range}) - the contract will reject this price.`;
+    return null;
+};
+
+// One line per deduction, for confirm() dialogs and status messages
+const describeFees = (fees, symbol) => [
+    `Platform fee: ${fees.platformFee} ${symbol}`,
+    Number(fees.royalty) > 0 ? `Royalty to original lister: ${fees.royalty} ${symbol}` : null,
+    `Seller receives: ${fees.sellerProceeds} ${symbol}`
+].filter(Boolean).join('\n');
 
 /**
  * ResaleMarketplace
- * Secondary market for users to buy/sell owned shares at custom prices
+ * Secondary market for users to buy/sell owned shares at custom prices.
+ * The contract is the source of truth; Firestore only caches listings,
+ * and only the backend indexer writes that cache.
  */
 const ResaleMarketplace = () => {
     const navigate = useNavigate();
-    const { currentUser, userData } = useAuth();
-    const { account, isConnected, connectWallet } = useWallet();
+    const { currentUser } = useAuth();
+    const { account, isConnected, signer, provider, chainId } = useWallet();
 
     const [listings, setListings] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [browseLoading, setBrowseLoading] = useState(true);
+    const [browseError, setBrowseError] = useState(null);
+    const [browseProperties, setBrowseProperties] = useState([]);
+    const [filterForm, setFilterForm] = useState({ propertyId: '', seller: '' });
+    const [browseFilters, setBrowseFilters] = useState({ propertyId: '', seller: '' });
     const [myListings, setMyListings] = useState([]);
     const [myShares, setMyShares] = useState([]);
-    const [loading, setLoading] = useState(true);
-    const [tab, setTab] = useState('browse'); // 'browse', 'sell', 'my-listings'
+    const [marketplacePaused, setMarketplacePaused] = useState(false);
+    const [feeSchedule, setFeeSchedule] = useState(null);
+    const [tab, setTab] = useState('browse'); // 'browse', 'order-book', 'sell', 'my-listings'
+
+    // Shares to buy per listing (partial fills)
+    const [buyQuantities, setBuyQuantities] = useState({});
+
+    // Inline edit of one of the user's listings
+    const [editForm, setEditForm] = useState(null);
+
+    // Ticks the listing countdowns
+    const [now, setNow] = useState(Date.now());
+
+    // Price bands by chainPropertyId (null when the read failed), for seller warnings
+    const [priceBands, setPriceBands] = useState({});
+
+    // Offer form of the listing the user is making an offer on
+    const [offerForm, setOfferForm] = useState({ listingId: null, pricePerShare: '', hours: '24' });
+
+    // Transaction lifecycle: idle -> pending -> confirmed | failed
+    // (approving: a stablecoin payment is being approved before the transaction itself)
+    const [txState, setTxState] = useState({ status: 'idle', label: '', txHash: null, error: null, message: '', approving: false });
 
     // Sell form state
     const [sellForm, setSellForm] = useState({
         propertyId: '',
         shares: '',
-        pricePerShare: ''
+        pricePerShare: '',
+        expiresAt: ''
     });
 
-    useEffect(() => {
-        const fetchData = async () => {
-            try {
-                // Fetch active resale listings
+    const wrongNetwork = isConnected && chainId && chainId !== EXPECTED_CHAIN_ID.toString();
+    const busy = txState.status === 'pending';
+
+    // Overlay the contract's state on cached listings
+    const verifyListings = async (readProvider, cached, statusOf) => {
+        const verified = await Promise.all(cached
+            .filter(l => l.listingId !== undefined && l.listingId !== null)
+            .map(async (l) => {
+                try {
+                    const onChain = await getResaleListing(readProvider, l.listingId);
+
+                    // The cached Firestore property must map to the property the contract lists
+                    const { mapping, error } = await tryResolveChainProperty(l.propertyId);
+                    const mappingError = error || (mapping.chainPropertyId !== onChain.chainPropertyId
+                        ? `Listed for on-chain property #${onChain.chainPropertyId}, but its property page maps to #${mapping.chainPropertyId}.`
+                        : null);
+
+                    const trading = await statusOf(onChain.chainPropertyId);
+
+                    return { ...l, ...onChain, sellerWallet: onChain.seller.toLowerCase(), mappingError, trading };
+                } catch (error) {
+                    console.error(`Error verifying listing ${l.listingId}:`, error);
+                    return null;
+                }
+            }));
+
+        return verified.filter(Boolean);
+    };
+
+    // Browse listings come from the contract through the backend, a page at a time
+    const fetchBrowsePage = useCallback(async (cursor = null) => {
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        const statusOf = tradingStatusReader(readProvider);
+
+        setBrowseLoading(true);
+        setBrowseError(null);
+        try {
+            const page = await getResaleListings({
+                propertyId: browseFilters.propertyId || undefined,
+                seller: browseFilters.seller || undefined,
+                cursor: cursor || undefined
+            });
+            const labelled = await Promise.all(page.listings.map(async (l) => ({
+                ...l,
+                id: l.listingId,
+                mappingError: l.propertyId ? null : `On-chain property #${l.chainPropertyId} has no property page in this app.`,
+                trading: await statusOf(l.chainPropertyId).catch(() => null)
+            })));
+
+            setListings(prev => cursor ? [...prev, ...labelled] : labelled);
+            setNextCursor(page.nextCursor);
+        } catch (error) {
+            console.error('Error fetching resale listings:', error);
+            setBrowseError(getApiError(error));
+        } finally {
+            setBrowseLoading(false);
+        }
+    }, [browseFilters, provider, wrongNetwork]);
+
+    const fetchData = useCallback(async () => {
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+
+        const statusOf = tradingStatusReader(readProvider);
+
+        try {
+            setMarketplacePaused(await isMarketplacePaused(readProvider));
+            setFeeSchedule(await getFeeSchedule(readProvider));
+
+            // Tokenized properties, for the Browse tab's property filter
+            const propsSnap = await getDocs(query(collection(db, 'properties'), where('status', '==', 'TOKENIZED')));
+            setBrowseProperties(propsSnap.docs
+                .map(d => ({ id: d.id, ...d.data() }))
+                .filter(p => p.chainPropertyId !== undefined && p.chainPropertyId !== null));
+
+            if (currentUser) {
                 const listingsRef = collection(db, 'resaleListings');
-                const listingsQuery = query(listingsRef, where('isActive', '==', true), orderBy('createdAt', 'desc'));
-                const listingsSnap = await getDocs(listingsQuery);
-                setListings(listingsSnap.docs.map(d => ({ id: d.id, ...d.data() })));
 
                 // Fetch user's own listings
-                if (currentUser) {
-                    const myListingsQuery = query(listingsRef, where('sellerUid', '==', currentUser.uid));
-                    const myListingsSnap = await getDocs(myListingsQuery);
-                    setMyListings(myListingsSnap.docs.map(d => ({ id: d.id, ...d.data() })));
-
-                    // Fetch user's owned shares
-                    const sharesRef = collection(db, 'userShares');
-                    const sharesQuery = query(sharesRef, where('userId', '==', currentUser.uid));
-                    const sharesSnap = await getDocs(sharesQuery);
-                    setMyShares(sharesSnap.docs.map(d => ({ id: d.id, ...d.data() })));
-                }
-            } catch (error) {
-                console.error('Error fetching data:', error);
-            } finally {
-                setLoading(false);
+                const myListingsQuery = account
+                    ? query(listingsRef, where('sellerWallet', '==', account.toLowerCase()))
+                    : query(listingsRef, where('sellerUid', '==', currentUser.uid));
+                const myListingsSnap = await getDocs(myListingsQuery);
+                const myCached = myListingsSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+                setMyListings(await verifyListings(readProvider, myCached, statusOf));
+
+                // Fetch user's holdings, with live unlocked/locked balances
+                const sharesRef = collection(db, 'userShares');
+                const sharesQuery = account
+                    ? query(sharesRef, where('walletAddress', '==', account.toLowerCase()))
+                    : query(sharesRef, where('userId', '==', currentUser.uid));
+                const sharesSnap = await getDocs(sharesQuery);
+                const holdings = sharesSnap.docs.map(d => ({ id: d.id, ...d.data() }));
+
+                setMyShares(await Promise.all(holdings.map(async (h) => {
+                    const { mapping, error } = await tryResolveChainProperty(h.propertyId);
+                    if (!mapping) return { ...h, chainPropertyId: null, mappingError: error, available: 0, locked: 0 };
+                    const trading = await statusOf(mapping.chainPropertyId);
+                    if (!account) return { ...h, chainPropertyId: mapping.chainPropertyId, trading, available: h.shares, locked: 0 };
+
+                    const [available, locked] = await Promise.all([
+                        getUserShares(readProvider, mapping.chainPropertyId, account),
+                        getLockedShares(readProvider, mapping.chainPropertyId, account)
+                    ]);
+                    return { ...h, chainPropertyId: mapping.chainPropertyId, trading, available: Number(available), locked };
+                })));
             }
-        };
+        } catch (error) {
+            console.error('Error fetching data:', error);
+        }
+    }, [currentUser, account, provider, wrongNetwork]);
 
+    useEffect(() => {
         fetchData();
-    }, [currentUser]);
+    }, [fetchData]);
+
+    useEffect(() => {
+        fetchBrowsePage();
+    }, [fetchBrowsePage]);
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Load the price band of the property being listed or edited
+    const sellChainPropertyId = myShares.find(h => h.propertyId === sellForm.propertyId)?.chainPropertyId;
+    const editChainPropertyId = editForm?.chainPropertyId;
+    useEffect(() => {
+        const missing = [sellChainPropertyId, editChainPropertyId]
+            .filter(id => id !== undefined && id !== null && priceBands[id] === undefined);
+        if (missing.length === 0) return;
+
+        const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+        Promise.all(missing.map(async (id) => {
+            try {
+                return [id, await getPriceBand(readProvider, id)];
+            } catch (error) {
+                console.warn('Could not read price band:', error);
+                return [id, null];
+            }
+        })).then(entries => setPriceBands(prev => ({ ...prev, ...Object.fromEntries(entries) })));
+    }, [sellChainPropertyId, editChainPropertyId, priceBands, provider, wrongNetwork]);
+
+    // Run a contract call through the shared pending/confirmed/failed lifecycle.
+    // The action gets onSubmitted and, for calls that pay, onApproval
+    const runTransaction = async (label, action) => {
+        setTxState({ status: 'pending', label, txHash: null, error: null, message: '', approving: false });
+        try {
+            const message = await action(
+                (txHash) => setTxState(prev => ({ ...prev, txHash, approving: false })),
+                (txHash) => setTxState(prev => ({ ...prev, txHash, approving: true }))
+            );
+            setTxState(prev => ({ ...prev, status: 'confirmed', message }));
+            // Trades move the bands; they are read again when needed
+            setPriceBands({});
+            // Re-read what the indexer wrote; cached listings are checked against the contract
+            await Promise.all([fetchData(), fetchBrowsePage()]);
+            return true;
+        } catch (error) {
+            console.error(`${label} failed:`, error);
+            setTxState(prev => ({ ...prev, status: 'failed', error: parseContractError(error) }));
+            return false;
+        }
+    };
+
+    const selectedHolding = myShares.find(h => h.propertyId === sellForm.propertyId);
+    const selectedHalted = !!selectedHolding?.trading && !selectedHolding.trading.resaleActive;
+    const sellBand = sellChainPropertyId !== undefined ? priceBands[sellChainPropertyId] : null;
+    const sellPriceWarning = priceBandWarning(sellBand, sellForm.pricePerShare);
+    const sellSymbol = sellBand?.currency?.symbol
+        || browseProperties.find(p => p.id === sellForm.propertyId)?.currency?.symbol
+        || 'MATIC';
 
     // Create resale listing
     const handleCreateListing = async (e) => {
@@ -68,100 +318,127 @@ const ResaleMarketplace = () => {
             alert('Please login and connect your wallet');
             return;
         }
+        if (!selectedHolding || !selectedHolding.chainPropertyId) {
+            const error = selectedHolding?.mappingError || 'Select a property you hold on-chain.';
+            setTxState({ status: 'failed', label: 'Create listing', txHash: null, error, message: '' });
+            return;
+        }
 
-        try {
-            await addDoc(collection(db, 'resaleListings'), {
-                propertyId: sellForm.propertyId,
-                sellerUid: currentUser.uid,
-                sellerWallet: account,
-                sellerEmail: currentUser.email,
-                sharesForSale: parseInt(sellForm.shares),
-                pricePerShare: parseFloat(sellForm.pricePerShare),
-                sharesSold: 0,
-                isActive: true,
-                createdAt: serverTimestamp()
-            });
+        const created = await runTransaction('Create listing', async (onSubmitted) => {
+            const result = await listSharesForResale(
+                signer,
+                selectedHolding.chainPropertyId,
+                parseInt(sellForm.shares),
+                sellForm.pricePerShare,
+                fromDateTimeInput(sellForm.expiresAt),
+                { onSubmitted }
+            );
 
-            alert('Listing created successfully!');
-            setSellForm({ propertyId: '', shares: '', pricePerShare: '' });
-            setTab('my-listings');
+            return `Listing #${result.listingId} created. ${sellForm.shares} share(s) are locked until sold, cancelled or expired.`;
+        });
 
-            // Refresh listings
-            window.location.reload();
-        } catch (error) {
-            console.error('Error creating listing:', error);
-            alert('Failed to create listing: ' + error.message);
+        if (created) {
+            setSellForm({ propertyId: '', shares: '', pricePerShare: '', expiresAt: '' });
+            setTab('my-listings');
         }
     };
 
     // Buy from resale listing
-    const handleBuy = async (listing, sharesToBuy) => {
+    const handleBuy = async (listing) => {
         if (!currentUser || !isConnected) {
             alert('Please login and connect your wallet');
             return;
         }
 
+        const sharesToBuy = buyQuantities[listing.id] || 1;
+        const totalCostWei = BigInt(sharesToBuy) * BigInt(listing.pricePerShareWei);
+        const symbol = symbolOf(listing);
+
+        // Fees are taken from the seller's side; show the buyer where the money goes
+        let feeLines = '';
         try {
-            const totalCost = sharesToBuy * listing.pricePerShare;
-
-            // In production, this would:
-            // 1. Call smart contract buyFromResale()
-            // 2. Update Firestore listing
-            // 3. Record in resale history
-            // 4. Update property's current price
-
-            alert(`Purchase initiated!\n\nShares: ${sharesToBuy}\nTotal: ${totalCost} MATIC\n\nThis updates the market price.`);
-
-            // Update listing in Firestore (mock)
-            const listingRef = doc(db, 'resaleListings', listing.id);
-            const newSharesSold = listing.sharesSold + sharesToBuy;
-            await updateDoc(listingRef, {
-                sharesSold: newSharesSold,
-                isActive: newSharesSold < listing.sharesForSale
-            });
+            const readProvider = provider && !wrongNetwork ? provider : getReadProvider();
+            feeLines = `\n${describeFees(await quoteTradeFees(readProvider, totalCostWei, false, listing.currency), symbol)}\n`;
+        } catch (error) {
+            console.warn('Could not quote fees:', error);
+        }
 
-            // Record resale for price history
-            await addDoc(collection(db, 'resaleHistory'), {
-                propertyId: listing.propertyId,
-                listingId: listing.id,
-                pricePerShare: listing.pricePerShare,
-                shares: sharesToBuy,
-                buyer: account,
-                seller: listing.sellerWallet,
-                timestamp: serverTimestamp()
-            });
+        if (!confirm(`Buy ${sharesToBuy} share(s) at ${listing.pricePerShare} ${symbol} each?\n\nTotal: ${ethers.formatUnits(totalCostWei, listing.currency?.decimals ?? 18)} ${symbol}\n${feeLines}\nThis updates the market price.`)) {
+            return;
+        }
 
-            // Update property's current price
-            const propRef = doc(db, 'properties', listing.propertyId);
-            await updateDoc(propRef, {
-                currentPrice: listing.pricePerShare,
-                lastResaleAt: serverTimestamp()
-            });
+        await runTransaction('Purchase', async (onSubmitted, onApproval) => {
+            const result = await buyFromResale(signer, listing.listingId, sharesToBuy, { onSubmitted, onApproval });
 
-            window.location.reload();
-        } catch (error) {
-            console.error('Purchase failed:', error);
-            alert('Purchase failed: ' + error.message);
+            const feeNote = result.fees
+                ? ` Platform fee ${result.fees.platformFee} ${symbol}${Number(result.fees.royalty) > 0 ? `, royalty ${result.fees.royalty} ${symbol}` : ''}; the seller receives ${result.fees.sellerProceeds} ${symbol}.`
+                : '';
+            return `Bought ${sharesToBuy} share(s) for ${result.totalCost} ${symbol}.${feeNote}`;
+        });
+    };
+
+    // Offer below the ask, escrowed until the seller answers or it expires
+    const handleMakeOffer = async (listing) => {
+        if (!currentUser || !isConnected) {
+            alert('Please login and connect your wallet');
+            return;
         }
+
+        const shares = buyQuantities[listing.id] || 1;
+        const hours = parseFloat(offerForm.hours);
+        const expiresAt = Math.floor(Date.now() / 1000 + hours * 3600);
+        const escrow = (shares * parseFloat(offerForm.pricePerShare)).toFixed(4);
+        const symbol = symbolOf(listing);
+
+        if (!confirm(
+            `Offer ${offerForm.pricePerShare} ${symbol} per share for ${shares} share(s) (ask: ${listing.pricePerShare} ${symbol})?\n\n` +
+            `${escrow} ${symbol} is held in escrow for up to ${hours} hour(s). It is refunded if the seller rejects the offer or it expires.`
+        )) return;
+
+        const made = await runTransaction('Make offer', async (onSubmitted, onApproval) => {
+            const result = await makeOffer(signer, listing.listingId, shares, offerForm.pricePerShare, expiresAt, { onSubmitted, onApproval });
+
+            return `Offer #${result.offerId} sent to the seller. ${result.escrow} ${symbol} is in escrow.`;
+        });
+
+        if (made) setOfferForm({ listingId: null, pricePerShare: '', hours: '24' });
+    };
+
+    // Edit price, quantity or expiry in place
+    const handleUpdateListing = async (listing) => {
+        const updated = await runTransaction('Update listing', async (onSubmitted) => {
+            await updateResaleListing(
+                signer,
+                listing.listingId,
+                editForm.pricePerShare,
+                parseInt(editForm.shares),
+                fromDateTimeInput(editForm.expiresAt),
+                { onSubmitted }
+            );
+            const onChain = await getResaleListing(provider, listing.listingId);
+
+            return `Listing #${listing.listingId} updated: ${onChain.remainingShares} share(s) at ${onChain.pricePerShare} ${symbolOf(onChain)}${onChain.expiresAt ? `, until ${new Date(onChain.expiresAt * 1000).toLocaleString()}` : ''}.`;
+        });
+
+        if (updated) setEditForm(null);
     };
 
-    // Cancel listing
+    // Cancel listing (or reclaim the shares of an expired one)
     const handleCancelListing = async (listing) => {
-        if (!confirm('Cancel this listing?')) return;
+        if (!isListingExpired(listing, Date.now()) && !confirm('Cancel this listing?')) return;
 
-        try {
-            await updateDoc(doc(db, 'resaleListings', listing.id), {
-                isActive: false,
-                cancelledAt: serverTimestamp()
-            });
+        await runTransaction('Cancel listing', async (onSubmitted) => {
+            await cancelResaleListing(signer, listing.listingId, { onSubmitted });
+            const onChain = await getResaleListing(provider, listing.listingId);
 
-            alert('Listing cancelled');
-            window.location.reload();
-        } catch (error) {
-            console.error('Cancel failed:', error);
-        }
+            return `Listing #${listing.listingId} cancelled. ${onChain.remainingShares} share(s) unlocked.`;
+        });
     };
 
+    const totalLocked = myListings
+        .filter(l => l.isActive)
+        .reduce((sum, l) => sum + l.remainingShares, 0);
+
     return (
         <div>
             <Navbar />
@@ -179,7 +456,7 @@ const ResaleMarketplace = () => {
 
                 {/* Tabs */}
                 <div style={{ display: 'flex', gap: '10px', marginBottom: '30px', borderBottom: '2px solid #e5e7eb', paddingBottom: '10px' }}>
-                    {['browse', 'sell', 'my-listings'].map(t => (
+                    {['browse', 'order-book', 'sell', 'my-listings'].map(t => (
                         <button
                             key={t}
                             onClick={() => setTab(t)}
@@ -193,18 +470,153 @@ const ResaleMarketplace = () => {
                                 fontWeight: tab === t ? '600' : '400'
                             }}
                         >
-                            {t === 'browse' ? '🛒 Browse Listings' : t === 'sell' ? '💰 Sell Shares' : '📋 My Listings'}
+                            {t === 'browse' ? '🛒 Browse Listings' : t === 'order-book' ? '📊 Bids & Order Book' : t === 'sell' ? '💰 Sell Shares' : '📋 My Listings & Offers'}
                         </button>
                     ))}
                 </div>
 
+                {/* Wrong Network Warning */}
+                {wrongNetwork && (
+                    <div style={{
+                        backgroundColor: '#fef3c7',
+                        border: '1px solid #f59e0b',
+                        color: '#92400e',
+                        padding: '12px 20px',
+                        borderRadius: '8px',
+                        marginBottom: '20px'
+                    }}>
+                        ⚠️ Your wallet is on the wrong network. Switch to chain {EXPECTED_CHAIN_ID.toString()} to trade.
+                    </div>
+                )}
+
+                {/* Emergency Pause */}
+                {marketplacePaused && (
+                    <div style={{
+                        backgroundColor: '#fef2f2',
+                        border: '1px solid #ef4444',
+                        color: '#b91c1c',
+                        padding: '12px 20px',
+                        borderRadius: '8px',
+                        marginBottom: '20px'
+                    }}>
+                        ⛔ Trading halted: the marketplace is paused. You can still cancel your listings, bids and offers.
+                    </div>
+                )}
+
+                {/* Transaction Status */}
+                {txState.status !== 'idle' && (
+                    <div style={{
+                        padding: '12px 20px',
+                        borderRadius: '8px',
+                        marginBottom: '20px',
+                        backgroundColor: txState.status === 'failed' ? '#fef2f2' : txState.status === 'confirmed' ? '#ecfdf5' : '#e0f2fe',
+                        color: txState.status === 'failed' ? '#b91c1c' : txState.status === 'confirmed' ? '#065f46' : '#0369a1',
+                        display: 'flex',
+                        justifyContent: 'space-between',
+                        alignItems: 'center',
+                        gap: '10px',
+                        flexWrap: 'wrap'
+                    }}>
+                        <span>
+                            {txState.status === 'pending' && `${txState.label}: ${txState.approving
+                                ? 'approving the stablecoin payment - confirm the transaction in your wallet once it is approved...'
+                                : txState.txHash ? 'waiting for confirmation...' : 'confirm in your wallet...'}`}
+                            {txState.status === 'confirmed' && `✓ ${txState.message}`}
+                            {txState.status === 'failed' && `${txState.label} failed: ${txState.error}`}
+                        </span>
+                        {txState.txHash && (
+                            <a href={getTxUrl(txState.txHash)} target="_blank" rel="noopener noreferrer" style={{ color: 'inherit', textDecoration: 'underline' }}>
+                                View transaction
+                            </a>
+                        )}
+                    </div>
+                )}
+
                 {/* Browse Listings Tab */}
                 {tab === 'browse' && (
                     <div>
-                        {loading ? (
+                        <BestPriceBuy
+                            properties={browseProperties}
+                            runTransaction={runTransaction}
+                            busy={busy}
+                            tradingPaused={marketplacePaused}
+                        />
+
+                        {/* Filters */}
+                        <form
+                            onSubmit={e => {
+                                e.preventDefault();
+                                setBrowseFilters({ propertyId: filterForm.propertyId, seller: filterForm.seller.trim() });
+                            }}
+                            style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '20px' }}
+                        >
+                            <select
+                                className="form-input"
+                                value={filterForm.propertyId}
+                                onChange={e => setFilterForm({ ...filterForm, propertyId: e.target.value })}
+                                style={{ flex: '1 1 220px', width: 'auto' }}
+                            >
+                                <option value="">All properties</option>
+                                {browseProperties.map(p => (
+                                    <option key={p.id} value={p.id}>{p.title || `Property #${p.id.slice(-6)}`}</option>
+                                ))}
+                            </select>
+                            <input
+                                type="text"
+                                className="form-input"
+                                value={filterForm.seller}
+                                onChange={e => setFilterForm({ ...filterForm, seller: e.target.value })}
+                                placeholder="Seller wallet (0x...)"
+                                style={{ flex: '2 1 300px', width: 'auto' }}
+                            />
+                            {account && (
+                                <button
+                                    type="button"
+                                    onClick={() => setFilterForm({ ...filterForm, seller: account })}
+                                    className="btn-secondary"
+                                    style={{ padding: '8px 14px' }}
+                                >
+                                    Mine
+                                </button>
+                            )}
+                            <button type="submit" className="btn-primary" style={{ padding: '8px 18px' }}>
+                                Apply
+                            </button>
+                            {(browseFilters.propertyId || browseFilters.seller) && (
+                                <button
+                                    type="button"
+                                    onClick={() => {
+                                        setFilterForm({ propertyId: '', seller: '' });
+                                        setBrowseFilters({ propertyId: '', seller: '' });
+                                    }}
+                                    className="btn-secondary"
+                                    style={{ padding: '8px 14px' }}
+                                >
+                                    Clear
+                                </button>
+                            )}
+                        </form>
+
+                        {browseError && (
+                            <div style={{
+                                backgroundColor: '#fef2f2',
+                                color: '#b91c1c',
+                                padding: '12px 20px',
+                                borderRadius: '8px',
+                                marginBottom: '20px'
+                            }}>
+                                Could not load listings: {browseError}
+                            </div>
+                        )}
+
+                        {browseLoading && listings.length === 0 ? (
                             <div style={{ textAlign: 'center', padding: '40px', color: '#6b7280' }}>
                                 Loading listings...
                             </div>
+                        ) : listings.length === 0 && (browseFilters.propertyId || browseFilters.seller) ? (
+                            <div style={{ textAlign: 'center', padding: '40px', color: '#6b7280' }}>
+                                No open listings match these filters.
+                            </div>
                         ) : listings.length === 0 ? (
                             <div style={{
                                 textAlign: 'center',
@@ -225,61 +637,183 @@ const ResaleMarketplace = () => {
                                 </button>
                             </div>
                         ) : (
-                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '20px' }}>
-                                {listings.map(listing => {
-                                    const remainingShares = listing.sharesForSale - listing.sharesSold;
-                                    return (
-                                        <div key={listing.id} className="card" style={{ padding: '20px' }}>
-                                            <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '15px' }}>
-                                                <span style={{ fontWeight: '600' }}>Property #{listing.propertyId?.slice(-6)}</span>
-                                                <span style={{
-                                                    backgroundColor: '#10b981',
-                                                    color: 'white',
-                                                    padding: '4px 10px',
-                                                    borderRadius: '12px',
-                                                    fontSize: '0.8rem'
-                                                }}>
-                                                    {remainingShares} shares
-                                                </span>
-                                            </div>
+                            <>
+                                <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '20px' }}>
+                                    {listings.map(listing => {
+                                        const remainingShares = listing.sharesForSale - listing.sharesSold;
+                                        const isOwnListing = !!account && listing.sellerWallet === account.toLowerCase();
+                                        const quantity = buyQuantities[listing.id] || 1;
+                                        const halted = !!listing.trading && !listing.trading.resaleActive;
+                                        const expired = isListingExpired(listing, now);
+                                        return (
+                                            <div key={listing.id} className="card" style={{ padding: '20px' }}>
+                                                <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '15px' }}>
+                                                    <span style={{ fontWeight: '600' }}>{listing.propertyTitle || `Property #${listing.propertyId?.slice(-6) ?? listing.chainPropertyId}`}</span>
+                                                    <span style={{
+                                                        backgroundColor: '#10b981',
+                                                        color: 'white',
+                                                        padding: '4px 10px',
+                                                        borderRadius: '12px',
+                                                        fontSize: '0.8rem'
+                                                    }}>
+                                                        {remainingShares} shares
+                                                    </span>
+                                                </div>
 
-                                            <div style={{ marginBottom: '15px' }}>
-                                                <div style={{ color: '#6b7280', fontSize: '0.85rem' }}>Price per share</div>
-                                                <div style={{ fontSize: '1.3rem', fontWeight: '600', color: '#2563eb' }}>
-                                                    {listing.pricePerShare} MATIC
+                                                <div style={{ marginBottom: '15px' }}>
+                                                    <div style={{ color: '#6b7280', fontSize: '0.85rem' }}>Price per share</div>
+                                                    <div style={{ fontSize: '1.3rem', fontWeight: '600', color: '#2563eb' }}>
+                                                        {listing.pricePerShare} {symbolOf(listing)}
+                                                    </div>
+                                                    {listing.expiresAt && (
+                                                        <div style={{ fontSize: '0.85rem', marginTop: '4px', color: expired ? '#b91c1c' : '#92400e' }}>
+                                                            {expired ? '⌛ Expired' : `⏳ Expires in ${formatCountdown(listing.expiresAt, now)}`}
+                                                        </div>
+                                                    )}
                                                 </div>
-                                            </div>
 
-                                            <div style={{
-                                                backgroundColor: '#f3f4f6',
-                                                padding: '10px',
-                                                borderRadius: '8px',
-                                                marginBottom: '15px',
-                                                fontSize: '0.85rem'
-                                            }}>
-                                                <div style={{ display: 'flex', justifyContent: 'space-between' }}>
-                                                    <span>Total value:</span>
-                                                    <span style={{ fontWeight: '600' }}>
-                                                        {(remainingShares * listing.pricePerShare).toFixed(4)} MATIC
-                                                    </span>
+                                                <div style={{
+                                                    backgroundColor: '#f3f4f6',
+                                                    padding: '10px',
+                                                    borderRadius: '8px',
+                                                    marginBottom: '15px',
+                                                    fontSize: '0.85rem'
+                                                }}>
+                                                    <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                                                        <span>Total value:</span>
+                                                        <span style={{ fontWeight: '600' }}>
+                                                            {(remainingShares * listing.pricePerShare).toFixed(4)} {symbolOf(listing)}
+                                                        </span>
+                                                    </div>
                                                 </div>
+
+                                                {listing.mappingError && (
+                                                    <div style={{ color: '#b91c1c', fontSize: '0.85rem', marginBottom: '10px' }}>
+                                                        ⚠️ {listing.mappingError}
+                                                    </div>
+                                                )}
+
+                                                {halted && (
+                                                    <div style={{ color: '#b91c1c', fontSize: '0.85rem', fontWeight: '600', marginBottom: '10px' }}>
+                                                        ⛔ Trading halted{listing.trading.delisted ? ' - property delisted' : ''}
+                                                    </div>
+                                                )}
+
+                                                {!isOwnListing && !halted && !expired && (
+                                                    <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}>
+                                                        <label style={{ fontSize: '0.85rem', color: '#6b7280' }}>Shares</label>
+                                                        <input
+                                                            type="number"
+                                                            min="1"
+                                                            max={remainingShares}
+                                                            value={quantity}
+                                                            onChange={e => setBuyQuantities({
+                                                                ...buyQuantities,
+                                                                [listing.id]: Math.min(remainingShares, Math.max(1, parseInt(e.target.value) || 1))
+                                                            })}
+                                                            className="form-input"
+                                                            style={{ flex: 1 }}
+                                                        />
+                                                    </div>
+                                                )}
+
+                                                <button
+                                                    onClick={() => handleBuy(listing)}
+                                                    className="btn-primary btn-full"
+                                                    disabled={!isConnected || wrongNetwork || isOwnListing || busy || !!listing.mappingError || halted || expired}
+                                                >
+                                                    {isOwnListing
+                                                        ? 'Your Listing'
+                                                        : halted
+                                                            ? 'Trading Halted'
+                                                            : expired
+                                                                ? 'Listing Expired'
+                                                                : `Buy ${quantity} Share${quantity > 1 ? 's' : ''} · ${(quantity * listing.pricePerShare).toFixed(4)} ${symbolOf(listing)}`}
+                                                </button>
+
+                                                {!isOwnListing && !halted && !expired && (offerForm.listingId === listing.listingId ? (
+                                                    <div style={{ marginTop: '10px', padding: '10px', backgroundColor: '#f9fafb', borderRadius: '8px' }}>
+                                                        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                                                            <div style={{ flex: 2 }}>
+                                                                <label style={{ fontSize: '0.8rem', color: '#6b7280' }}>Offer per share</label>
+                                                                <input
+                                                                    type="number"
+                                                                    step="0.001"
+                                                                    min="0.001"
+                                                                    max={listing.pricePerShare}
+                                                                    value={offerForm.pricePerShare}
+                                                                    onChange={e => setOfferForm({ ...offerForm, pricePerShare: e.target.value })}
+                                                                    className="form-input"
+                                                                    placeholder={`< ${listing.pricePerShare}`}
+                                                                />
+                                                            </div>
+                                                            <div style={{ flex: 1 }}>
+                                                                <label style={{ fontSize: '0.8rem', color: '#6b7280' }}>Valid (hours)</label>
+                                                                <input
+                                                                    type="number"
+                                                                    min="1"
+                                                                    value={offerForm.hours}
+                                                                    onChange={e => setOfferForm({ ...offerForm, hours: e.target.value })}
+                                                                    className="form-input"
+                                                                />
+                                                            </div>
+                                                        </div>
+                                                        <div style={{ display: 'flex', gap: '8px' }}>
+                                                            <button
+                                                                onClick={() => handleMakeOffer(listing)}
+                                                                className="btn-primary"
+                                                                disabled={!isConnected || wrongNetwork || busy || !!listing.mappingError
+                                                                    || !offerForm.pricePerShare || !(parseFloat(offerForm.hours) > 0)}
+                                                                style={{ flex: 1 }}
+                                                            >
+                                                                {offerForm.pricePerShare
+                                                                    ? `Offer · ${(quantity * parseFloat(offerForm.pricePerShare)).toFixed(4)} ${symbolOf(listing)}`
+                                                                    : 'Send Offer'}
+                                                            </button>
+                                                            <button
+                                                                onClick={() => setOfferForm({ listingId: null, pricePerShare: '', hours: '24' })}
+                                                                className="btn-secondary"
+                                                            >
+                                                                Close
+                                                            </button>
+                                                        </div>
+                                                    </div>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => setOfferForm({ listingId: listing.listingId, pricePerShare: '', hours: '24' })}
+                                                        className="btn-secondary btn-full"
+                                                        disabled={!isConnected || wrongNetwork || busy || !!listing.mappingError}
+                                                        style={{ marginTop: '10px' }}
+                                                    >
+                                                        Make Offer
+                                                    </button>
+                                                ))}
                                             </div>
+                                        );
+                                    })}
+                                </div>
 
-                                            <button
-                                                onClick={() => handleBuy(listing, 1)}
-                                                className="btn-primary btn-full"
-                                                disabled={!isConnected || listing.sellerUid === currentUser?.uid}
-                                            >
-                                                {listing.sellerUid === currentUser?.uid ? 'Your Listing' : 'Buy 1 Share'}
-                                            </button>
-                                        </div>
-                                    );
-                                })}
-                            </div>
+                                {nextCursor && (
+                                    <div style={{ textAlign: 'center', marginTop: '25px' }}>
+                                        <button
+                                            onClick={() => fetchBrowsePage(nextCursor)}
+                                            className="btn-secondary"
+                                            disabled={browseLoading}
+                                        >
+                                            {browseLoading ? 'Loading...' : 'Load More Listings'}
+                                        </button>
+                                    </div>
+                                )}
+                            </>
                         )}
                     </div>
                 )}
 
+                {/* Bids & Order Book Tab */}
+                {tab === 'order-book' && (
+                    <OrderBook runTransaction={runTransaction} busy={busy} tradingPaused={marketplacePaused} />
+                )}
+
                 {/* Sell Shares Tab */}
                 {tab === 'sell' && (
                     <div style={{ maxWidth: '500px', margin: '0 auto' }}>
@@ -298,17 +832,41 @@ const ResaleMarketplace = () => {
                             ) : (
                                 <form onSubmit={handleCreateListing}>
                                     <div className="form-group">
-                                        <label>Property ID</label>
-                                        <input
+                                        <label>Property</label>
+                                        <select
                                             className="form-input"
                                             value={sellForm.propertyId}
                                             onChange={e => setSellForm({ ...sellForm, propertyId: e.target.value })}
-                                            placeholder="Enter property ID"
                                             required
-                                        />
-                                        <small style={{ color: '#9ca3af' }}>
-                                            Find this in your dashboard under owned shares
-                                        </small>
+                                        >
+                                            <option value="">Select a property you own</option>
+                                            {myShares.map(h => (
+                                                <option key={h.id} value={h.propertyId}>
+                                                    Property #{h.propertyId?.slice(-6)} ({h.mappingError
+                                                        ? 'not tradable on-chain'
+                                                        : h.trading && !h.trading.resaleActive ? 'trading halted' : `${h.available} available`})
+                                                </option>
+                                            ))}
+                                        </select>
+                                        {selectedHolding?.mappingError ? (
+                                            <small style={{ color: '#b91c1c' }}>
+                                                ⚠️ {selectedHolding.mappingError}
+                                            </small>
+                                        ) : selectedHalted ? (
+                                            <small style={{ color: '#b91c1c' }}>
+                                                ⛔ Resale trading of this property is halted
+                                                {selectedHolding.trading.delisted ? ' (delisted)' : selectedHolding.trading.circuitBreakerTripped ? ' by the circuit breaker after a sharp price move' : ''}.
+                                            </small>
+                                        ) : selectedHolding ? (
+                                            <small style={{ color: '#6b7280' }}>
+                                                Available to list: <strong>{selectedHolding.available}</strong>
+                                                {' · '}Locked in listings: <strong>{selectedHolding.locked}</strong>
+                                            </small>
+                                        ) : myShares.length === 0 && (
+                                            <small style={{ color: '#9ca3af' }}>
+                                                You don't hold any shares yet. Buy some on the marketplace first.
+                                            </small>
+                                        )}
                                     </div>
 
                                     <div className="form-group">
@@ -316,6 +874,7 @@ const ResaleMarketplace = () => {
                                         <input
                                             type="number"
                                             min="1"
+                                            max={selectedHolding?.available}
                                             className="form-input"
                                             value={sellForm.shares}
                                             onChange={e => setSellForm({ ...sellForm, shares: e.target.value })}
@@ -325,7 +884,7 @@ const ResaleMarketplace = () => {
                                     </div>
 
                                     <div className="form-group">
-                                        <label>Price per Share (MATIC)</label>
+                                        <label>Price per Share ({sellSymbol})</label>
                                         <input
                                             type="number"
                                             step="0.001"
@@ -336,8 +895,30 @@ const ResaleMarketplace = () => {
                                             placeholder="0.5"
                                             required
                                         />
+                                        {sellPriceWarning ? (
+                                            <small style={{ color: '#b91c1c' }}>
+                                                ⚠️ {sellPriceWarning}
+                                            </small>
+                                        ) : (
+                                            <small style={{ color: '#9ca3af' }}>
+                                                {sellBand?.enabled
+                                                    ? `Allowed right now: ${sellBand.minPrice} - ${sellBand.maxPrice} ${sellSymbol} (around the ${sellBand.relativeToAverage ? 'average' : 'current'} market price). `
+                                                    : ''}
+                                                This affects the market price when sold
+                                            </small>
+                                        )}
+                                    </div>
+
+                                    <div className="form-group">
+                                        <label>Expires (optional)</label>
+                                        <input
+                                            type="datetime-local"
+                                            className="form-input"
+                                            value={sellForm.expiresAt}
+                                            onChange={e => setSellForm({ ...sellForm, expiresAt: e.target.value })}
+                                        />
                                         <small style={{ color: '#9ca3af' }}>
-                                            Set any price you want - this affects the market price when sold
+                                            Unsold shares are unlocked when the listing expires. You can change the price, quantity and expiry later.
                                         </small>
                                     </div>
 
@@ -352,19 +933,35 @@ const ResaleMarketplace = () => {
                                             <div style={{ display: 'flex', justifyContent: 'space-between' }}>
                                                 <span>Total if all sold:</span>
                                                 <strong style={{ color: '#10b981' }}>
-                                                    {(parseFloat(sellForm.pricePerShare) * parseInt(sellForm.shares)).toFixed(4)} MATIC
+                                                    {(parseFloat(sellForm.pricePerShare) * parseInt(sellForm.shares)).toFixed(4)} {sellSymbol}
                                                 </strong>
                                             </div>
+                                            {feeSchedule && feeSchedule.resaleFeeBps + feeSchedule.royaltyBps > 0 && (
+                                                <>
+                                                    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.85rem', color: '#6b7280', marginTop: '6px' }}>
+                                                        <span>
+                                                            Platform fee {feeSchedule.resaleFeeBps / 100}%
+                                                            {feeSchedule.royaltyBps > 0 && ` + royalty to original lister ${feeSchedule.royaltyBps / 100}%`}
+                                                        </span>
+                                                    </div>
+                                                    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '6px' }}>
+                                                        <span>You receive after fees:</span>
+                                                        <strong style={{ color: '#065f46' }}>
+                                                            {(parseFloat(sellForm.pricePerShare) * parseInt(sellForm.shares) * (10000 - feeSchedule.resaleFeeBps - feeSchedule.royaltyBps) / 10000).toFixed(4)} {sellSymbol}
+                                                        </strong>
+                                                    </div>
+                                                </>
+                                            )}
                                         </div>
                                     )}
 
                                     <button
                                         type="submit"
                                         className="btn-primary btn-full"
-                                        disabled={!isConnected}
+                                        disabled={!isConnected || wrongNetwork || busy || selectedHalted}
                                         style={{ padding: '14px' }}
                                     >
-                                        {isConnected ? 'Create Listing' : 'Connect Wallet First'}
+                                        {!isConnected ? 'Connect Wallet First' : busy ? 'Waiting for confirmation...' : selectedHalted ? 'Trading Halted' : 'Create Listing'}
                                     </button>
                                 </form>
                             )}
@@ -375,6 +972,19 @@ const ResaleMarketplace = () => {
                 {/* My Listings Tab */}
                 {tab === 'my-listings' && (
                     <div>
+                        {totalLocked > 0 && (
+                            <div style={{
+                                backgroundColor: '#eff6ff',
+                                border: '1px solid #bfdbfe',
+                                color: '#1e40af',
+                                padding: '12px 20px',
+                                borderRadius: '8px',
+                                marginBottom: '20px'
+                            }}>
+                                🔒 {totalLocked} share(s) locked in your active listings. Cancel a listing to unlock its unsold shares.
+                            </div>
+                        )}
+
                         {myListings.length === 0 ? (
                             <div style={{
                                 textAlign: 'center',
@@ -398,24 +1008,26 @@ const ResaleMarketplace = () => {
                             <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '20px' }}>
                                 {myListings.map(listing => {
                                     const remainingShares = listing.sharesForSale - listing.sharesSold;
+                                    const expired = listing.isActive && isListingExpired(listing, now);
+                                    const editing = editForm?.listingId === listing.listingId;
                                     return (
                                         <div key={listing.id} className="card" style={{ padding: '20px' }}>
                                             <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '15px' }}>
                                                 <span style={{ fontWeight: '600' }}>Property #{listing.propertyId?.slice(-6)}</span>
                                                 <span style={{
-                                                    backgroundColor: listing.isActive ? '#10b981' : '#6b7280',
+                                                    backgroundColor: expired ? '#f59e0b' : listing.isActive ? '#10b981' : '#6b7280',
                                                     color: 'white',
                                                     padding: '4px 10px',
                                                     borderRadius: '12px',
                                                     fontSize: '0.8rem'
                                                 }}>
-                                                    {listing.isActive ? 'Active' : 'Completed'}
+                                                    {expired ? 'Expired' : listing.isActive ? 'Active' : remainingShares > 0 ? 'Closed' : 'Completed'}
                                                 </span>
                                             </div>
 
                                             <div style={{ marginBottom: '10px' }}>
                                                 <span style={{ color: '#6b7280' }}>Price: </span>
-                                                <strong>{listing.pricePerShare} MATIC</strong>
+                                                <strong>{listing.pricePerShare} {symbolOf(listing)}</strong>
                                             </div>
 
                                             <div style={{ marginBottom: '15px' }}>
@@ -424,18 +1036,123 @@ const ResaleMarketplace = () => {
                                             </div>
 
                                             {listing.isActive && (
-                                                <button
-                                                    onClick={() => handleCancelListing(listing)}
-                                                    className="btn-secondary btn-full"
-                                                >
-                                                    Cancel Listing
-                                                </button>
+                                                <div style={{ marginBottom: '15px', fontSize: '0.9rem' }}>
+                                                    <span style={{ color: '#6b7280' }}>Locked: </span>
+                                                    <strong>{remainingShares} share(s)</strong>
+                                                </div>
+                                            )}
+
+                                            {listing.isActive && listing.expiresAt && (
+                                                <div style={{ marginBottom: '15px', fontSize: '0.9rem', color: expired ? '#b91c1c' : '#92400e' }}>
+                                                    {expired
+                                                        ? '⌛ Expired - no longer for sale. Reclaim the shares or extend the listing.'
+                                                        : `⏳ Expires in ${formatCountdown(listing.expiresAt, now)}`}
+                                                </div>
+                                            )}
+
+                                            {editing && (
+                                                <div style={{ backgroundColor: '#f9fafb', padding: '10px', borderRadius: '8px', marginBottom: '15px' }}>
+                                                    <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                                                        <div style={{ flex: 1 }}>
+                                                            <label style={{ fontSize: '0.8rem', color: '#6b7280' }}>Price ({symbolOf(listing)})</label>
+                                                            <input
+                                                                type="number"
+                                                                step="0.001"
+                                                                min="0.001"
+                                                                value={editForm.pricePerShare}
+                                                                onChange={e => setEditForm({ ...editForm, pricePerShare: e.target.value })}
+                                                                className="form-input"
+                                                            />
+                                                        </div>
+                                                        <div style={{ flex: 1 }}>
+                                                            <label style={{ fontSize: '0.8rem', color: '#6b7280' }}>Shares for sale</label>
+                                                            <input
+                                                                type="number"
+                                                                min="1"
+                                                                value={editForm.shares}
+                                                                onChange={e => setEditForm({ ...editForm, shares: e.target.value })}
+                                                                className="form-input"
+                                                            />
+                                                        </div>
+                                                    </div>
+                                                    {priceBandWarning(priceBands[editForm.chainPropertyId], editForm.pricePerShare) && (
+                                                        <div style={{ color: '#b91c1c', fontSize: '0.8rem', marginBottom: '8px' }}>
+                                                            ⚠️ {priceBandWarning(priceBands[editForm.chainPropertyId], editForm.pricePerShare)}
+                                                        </div>
+                                                    )}
+                                                    <label style={{ fontSize: '0.8rem', color: '#6b7280' }}>Expires (empty = never)</label>
+                                                    <input
+                                                        type="datetime-local"
+                                                        value={editForm.expiresAt}
+                                                        onChange={e => setEditForm({ ...editForm, expiresAt: e.target.value })}
+                                                        className="form-input"
+                                                        style={{ marginBottom: '8px' }}
+                                                    />
+                                                    <div style={{ display: 'flex', gap: '8px' }}>
+                                                        <button
+                                                            onClick={() => handleUpdateListing(listing)}
+                                                            className="btn-primary"
+                                                            disabled={!isConnected || wrongNetwork || busy || marketplacePaused
+                                                                || !editForm.pricePerShare || !(parseInt(editForm.shares) > 0)}
+                                                            style={{ flex: 1 }}
+                                                        >
+                                                            Save Changes
+                                                        </button>
+                                                        <button onClick={() => setEditForm(null)} className="btn-secondary">
+                                                            Discard
+                                                        </button>
+                                                    </div>
+                                                </div>
+                                            )}
+
+                                            {listing.mappingError && (
+                                                <div style={{ color: '#b91c1c', fontSize: '0.85rem', marginBottom: '15px' }}>
+                                                    ⚠️ {listing.mappingError}
+                                                </div>
+                                            )}
+
+                                            {listing.isActive && !editing && (
+                                                <div style={{ display: 'flex', gap: '8px' }}>
+                                                    <button
+                                                        onClick={() => setEditForm({
+                                                            listingId: listing.listingId,
+                                                            chainPropertyId: listing.chainPropertyId,
+                                                            pricePerShare: String(listing.pricePerShare),
+                                                            shares: String(remainingShares),
+                                                            expiresAt: expired ? '' : toDateTimeInput(listing.expiresAt)
+                                                        })}
+                                                        className="btn-secondary"
+                                                        disabled={!isConnected || wrongNetwork || busy || marketplacePaused}
+                                                        style={{ flex: 1 }}
+                                                    >
+                                                        {expired ? 'Extend' : 'Edit'}
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleCancelListing(listing)}
+                                                        className="btn-secondary"
+                                                        disabled={!isConnected || wrongNetwork || busy}
+                                                        style={{ flex: 1 }}
+                                                    >
+                                                        {expired ? 'Reclaim Shares' : 'Cancel Listing'}
+                                                    </button>
+                                                </div>
+                                            )}
+
+                                            {listing.isActive && !expired && (
+                                                <ListingOffers
+                                                    listing={listing}
+                                                    runTransaction={runTransaction}
+                                                    busy={busy}
+                                                    tradingPaused={marketplacePaused}
+                                                />
                                             )}
                                         </div>
                                     );
                                 })}
                             </div>
                         )}
+
+                        <MyOffers runTransaction={runTransaction} busy={busy} tradingPaused={marketplacePaused} />
                     </div>
                 )}
             </main>
@@ -1,11 +1,12 @@
 // frontend/src/pages/SellProperty.jsx
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../services/firebase';
 import { useAuth } from '../context/AuthContext';
 import { useWallet } from '../context/WalletContext';
 import Navbar from '../components/Navbar';
+import { getReadProvider, getTokenCurrency, NATIVE_CURRENCY, STABLECOIN_ADDRESS } from '../services/contract';
 import axios from 'axios';
 
 const SellProperty = () => {
@@ -23,12 +24,27 @@ const SellProperty = () => {
         totalShares: '',
         propertyType: 'residential',
         area: '',
-        amenities: ''
+        amenities: '',
+        paymentToken: '', // '' for MATIC, or STABLECOIN_ADDRESS
+        fundingRound: false,
+        softCap: '',
+        fundingDeadline: ''
     });
     const [image, setImage] = useState(null);
     const [imagePreview, setImagePreview] = useState(null);
     const [documents, setDocuments] = useState([]);
 
+    // The configured stablecoin, offered as the settlement currency when it can be read
+    const [stablecoin, setStablecoin] = useState(null);
+    const currency = form.paymentToken && stablecoin ? stablecoin : NATIVE_CURRENCY;
+
+    useEffect(() => {
+        if (!STABLECOIN_ADDRESS) return;
+        getTokenCurrency(getReadProvider(), STABLECOIN_ADDRESS)
+            .then(setStablecoin)
+            .catch(error => console.warn('Could not read the stablecoin:', error));
+    }, []);
+
     const handleImageChange = (e) => {
         const file = e.target.files[0];
         if (file) {
@@ -97,6 +113,11 @@ const SellProperty = () => {
                 location: form.location,
                 pricePerShare: parseFloat(form.pricePerShare),
                 totalShares: parseInt(form.totalShares),
+                paymentToken: currency.address,
+                currency,
+                funding: form.fundingRound
+                    ? { softCap: parseFloat(form.softCap), deadline: new Date(form.fundingDeadline).toISOString() }
+                    : null,
                 propertyType: form.propertyType,
                 area: form.area,
                 amenities: form.amenities.split(',').map(a => a.trim()),
@@ -268,9 +289,26 @@ const SellProperty = () => {
                                     </div>
                                 </div>
 
+                                {stablecoin && (
+                                    <div className="form-group">
+                                        <label>Settlement Currency</label>
+                                        <select
+                                            className="form-input"
+                                            value={form.paymentToken}
+                                            onChange={e => setForm({ ...form, paymentToken: e.target.value })}
+                                        >
+                                            <option value="">{NATIVE_CURRENCY.symbol}</option>
+                                            <option value={stablecoin.address}>{stablecoin.symbol} (stablecoin)</option>
+                                        </select>
+                                        <small style={{ color: '#9ca3af' }}>
+                                            Investors pay and you are paid in this currency.
+                                        </small>
+                                    </div>
+                                )}
+
                                 <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
                                     <div className="form-group">
-                                        <label>Price Per Share (MATIC) *</label>
+                                        <label>Price Per Share ({currency.symbol}) *</label>
                                         <input
                                             type="number"
                                             step="0.001"
@@ -294,6 +332,50 @@ const SellProperty = () => {
                                     </div>
                                 </div>
 
+                                <div className="form-group">
+                                    <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer' }}>
+                                        <input
+                                            type="checkbox"
+                                            checked={form.fundingRound}
+                                            onChange={e => setForm({ ...form, fundingRound: e.target.checked })}
+                                        />
+                                        Sell as a funding round
+                                    </label>
+                                    <small style={{ color: '#9ca3af' }}>
+                                        Investors' payments are held in escrow until your minimum raise is met. If it
+                                        is missed by the deadline, they are refunded and the sale is called off.
+                                    </small>
+                                </div>
+
+                                {form.fundingRound && (
+                                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '15px' }}>
+                                        <div className="form-group">
+                                            <label>Minimum Raise ({currency.symbol}) *</label>
+                                            <input
+                                                type="number"
+                                                step="0.001"
+                                                min="0.001"
+                                                max={(parseFloat(form.pricePerShare) || 0) * (parseInt(form.totalShares) || 0) || undefined}
+                                                className="form-input"
+                                                value={form.softCap}
+                                                onChange={e => setForm({ ...form, softCap: e.target.value })}
+                                                placeholder="250"
+                                                required
+                                            />
+                                        </div>
+                                        <div className="form-group">
+                                            <label>Deadline *</label>
+                                            <input
+                                                type="datetime-local"
+                                                className="form-input"
+                                                value={form.fundingDeadline}
+                                                onChange={e => setForm({ ...form, fundingDeadline: e.target.value })}
+                                                required
+                                            />
+                                        </div>
+                                    </div>
+                                )}
+
                                 <div className="form-group">
                                     <label>Amenities (comma separated)</label>
                                     <input
@@ -428,20 +510,33 @@ const SellProperty = () => {
                                         <div><strong>Location:</strong> {form.location}</div>
                                         <div><strong>Type:</strong> {form.propertyType}</div>
                                         <div><strong>Area:</strong> {form.area} sq ft</div>
-                                        <div><strong>Price/Share:</strong> {form.pricePerShare} MATIC</div>
+                                        <div><strong>Price/Share:</strong> {form.pricePerShare} {currency.symbol}</div>
                                         <div><strong>Total Shares:</strong> {form.totalShares}</div>
+                                        {form.fundingRound && (
+                                            <div style={{ gridColumn: '1 / -1' }}>
+                                                <strong>Funding Round:</strong> at least {form.softCap} {currency.symbol} by {new Date(form.fundingDeadline).toLocaleString()}
+                                            </div>
+                                        )}
                                     </div>
 
                                     <div style={{ marginTop: '15px' }}>
                                         <strong>Total Value:</strong>{' '}
                                         <span style={{ color: '#10b981', fontWeight: '600' }}>
-                                            {(parseFloat(form.pricePerShare || 0) * parseInt(form.totalShares || 0)).toFixed(2)} MATIC
+                                            {(parseFloat(form.pricePerShare || 0) * parseInt(form.totalShares || 0)).toFixed(2)} {currency.symbol}
                                         </span>
                                     </div>
 
                                     <div style={{ marginTop: '10px' }}>
                                         <strong>Documents:</strong> {documents.length} file(s)
                                     </div>
+
+                                    <div style={{ marginTop: '10px' }}>
+                                        <strong>Proceeds to:</strong>{' '}
+                                        <span style={{ fontFamily: 'monospace', wordBreak: 'break-all' }}>{account || 'connect your wallet'}</span>
+                                        <div style={{ fontSize: '0.85rem', color: '#6b7280' }}>
+                                            Once approved, this wallet owns the property on-chain and receives what investors pay for its shares, less the platform fee.
+                                        </div>
+                                    </div>
                                 </div>
 
                                 <div style={{
@@ -0,0 +1,146 @@
+// frontend/src/services/api.js
+import axios from 'axios';
+import { auth } from './firebase';
+
+// Backend API client - VITE_API_BASE_URL already includes the /api prefix
+const api = axios.create({
+    baseURL: import.meta.env.VITE_API_BASE_URL
+});
+
+// Attach the signed-in user's Firebase ID token to every request
+api.interceptors.request.use(async (config) => {
+    const user = auth.currentUser;
+    if (user) {
+        config.headers.Authorization = `Bearer ${await user.getIdToken()}`;
+    }
+    return config;
+});
+
+/**
+ * Error message from a failed API call
+ */
+export function getApiError(error) {
+    return error.response?.data?.error || error.message || 'Request failed';
+}
+
+/**
+ * Pin metadata and list a property on-chain. Resumes a previously failed run.
+ * @returns {Promise<{propertyId: string, chainPropertyId: string, metadataUri: string, txHash: string}>}
+ */
+export async function tokenizeProperty(propertyId) {
+    const res = await api.post(`/admin/properties/${propertyId}/tokenize`);
+    return res.data;
+}
+
+/**
+ * Approve a seller's property request and tokenize it
+ */
+export async function approvePropertyRequest(requestId) {
+    const res = await api.post(`/admin/requests/${requestId}/approve`);
+    return res.data;
+}
+
+/**
+ * Halt or resume trading of a property on-chain
+ * @param {{primarySale?: boolean, resale?: boolean}} changes
+ * @returns {Promise<{primarySaleActive: boolean, resaleActive: boolean, delisted: boolean, paused: boolean, txHashes: string[]}>}
+ */
+export async function setPropertyTrading(propertyId, changes) {
+    const res = await api.post(`/admin/properties/${propertyId}/trading`, changes);
+    return res.data;
+}
+
+/**
+ * Set a property's resale price band and circuit breaker (0 turns either off)
+ * @param {{bandBps: number, relativeToAverage: boolean, haltMoveBps: number, haltWindowHours: number}} limits
+ * @returns {Promise<{bandBps: number, relativeToAverage: boolean, haltMoveBps: number, haltWindowSeconds: number, circuitBreakerTripped: boolean, txHash: string}>}
+ */
+export async function setPriceLimits(propertyId, limits) {
+    const res = await api.post(`/admin/properties/${propertyId}/price-limits`, limits);
+    return res.data;
+}
+
+/**
+ * Create a property's ERC-20 share token; holders who bought before it
+ * existed are migrated to it. Safe to call again.
+ */
+export async function createShareToken(propertyId) {
+    const res = await api.post(`/admin/properties/${propertyId}/share-token`);
+    return res.data;
+}
+
+/**
+ * Permanently stop all trading of a property
+ */
+export async function delistProperty(propertyId) {
+    const res = await api.post(`/admin/properties/${propertyId}/delist`);
+    return res.data;
+}
+
+/**
+ * Release a funding round that reached its soft cap to the property owner
+ */
+export async function finalizeFunding(propertyId) {
+    const res = await api.post(`/admin/properties/${propertyId}/funding/finalize`);
+    return res.data;
+}
+
+/**
+ * Cancel an open funding round; its buyers can then claim refunds
+ */
+export async function cancelFunding(propertyId) {
+    const res = await api.post(`/admin/properties/${propertyId}/funding/cancel`);
+    return res.data;
+}
+
+/**
+ * Turn the marketplace-wide emergency pause on or off
+ */
+export async function setMarketplacePaused(paused) {
+    const res = await api.post('/admin/marketplace/pause', { paused });
+    return res.data;
+}
+
+/**
+ * Deposit rental income for a property's shareholders (sent from the admin wallet)
+ * @param {{amount: string, period?: string}} deposit - Amount in MATIC and the period it covers
+ */
+export async function depositRentalIncome(propertyId, deposit) {
+    const res = await api.post(`/admin/properties/${propertyId}/income`, deposit);
+    return res.data.distribution;
+}
+
+/**
+ * One page of open resale listings, read from the contract (oldest first)
+ * @param {{propertyId?: string, seller?: string, cursor?: string, limit?: number}} [filters]
+ *   Pass the previous page's nextCursor as `cursor` to continue
+ * @returns {Promise<{listings: Array<Object>, nextCursor: string|null}>}
+ */
+export async function getResaleListings(filters = {}) {
+    const res = await api.get('/resale/listings', { params: filters });
+    return res.data;
+}
+
+/**
+ * Find the wallet a share transfer goes to
+ * @param {string} query - Wallet address or a registered user's email
+ * @returns {Promise<{walletAddress: string}>}
+ */
+export async function resolveRecipient(query) {
+    const res = await api.get('/users/recipient', { params: { query } });
+    return res.data;
+}
+
+// Set trade fees in basis points { primaryFeeBps, resaleFeeBps, royaltyBps }
+export async function updateFees(fees) {
+    const res = await api.post('/admin/fees', fees);
+    return res.data.fees;
+}
+
+// Withdraw collected platform fees { to?, amount? } - defaults to everything, to the admin wallet
+export async function withdrawFeeTreasury(withdrawal = {}) {
+    const res = await api.post('/admin/fees/withdraw', withdrawal);
+    return res.data.withdrawal;
+}
+
+export default api;
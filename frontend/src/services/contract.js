@@ -1,89 +1,119 @@
 // frontend/src/services/contract.js
 import { ethers } from 'ethers';
+import { ABI, SHARE_TOKEN_ABI, PAYMENT_TOKEN_ABI, createRealEstateMarketplaceClient } from '../../../blockchain/client/realEstateMarketplace.js';
 
-// Contract ABI - matches RealEstateNFT.sol
-export const REAL_ESTATE_ABI = [
-    // Functions
-    {
-        "inputs": [
-            { "internalType": "uint256", "name": "_pricePerShare", "type": "uint256" },
-            { "internalType": "uint256", "name": "_totalShares", "type": "uint256" },
-            { "internalType": "string", "name": "_tokenURI", "type": "string" }
-        ],
-        "name": "listProperty",
-        "outputs": [],
-        "stateMutability": "nonpayable",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            { "internalType": "uint256", "name": "_propertyId", "type": "uint256" },
-            { "internalType": "uint256", "name": "_sharesToBuy", "type": "uint256" }
-        ],
-        "name": "buyShares",
-        "outputs": [],
-        "stateMutability": "payable",
-        "type": "function"
-    },
-    {
-        "inputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-        "name": "properties",
-        "outputs": [
-            { "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "internalType": "uint256", "name": "pricePerShare", "type": "uint256" },
-            { "internalType": "uint256", "name": "totalShares", "type": "uint256" },
-            { "internalType": "uint256", "name": "sharesSold", "type": "uint256" },
-            { "internalType": "address", "name": "owner", "type": "address" },
-            { "internalType": "bool", "name": "isActive", "type": "bool" }
-        ],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [
-            { "internalType": "uint256", "name": "", "type": "uint256" },
-            { "internalType": "address", "name": "", "type": "address" }
-        ],
-        "name": "userShares",
-        "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    {
-        "inputs": [],
-        "name": "nextPropertyId",
-        "outputs": [{ "internalType": "uint256", "name": "", "type": "uint256" }],
-        "stateMutability": "view",
-        "type": "function"
-    },
-    // Events
-    {
-        "anonymous": false,
-        "inputs": [
-            { "indexed": true, "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "indexed": true, "internalType": "address", "name": "owner", "type": "address" },
-            { "indexed": false, "internalType": "uint256", "name": "pricePerShare", "type": "uint256" },
-            { "indexed": false, "internalType": "uint256", "name": "totalShares", "type": "uint256" }
-        ],
-        "name": "PropertyListed",
-        "type": "event"
-    },
-    {
-        "anonymous": false,
-        "inputs": [
-            { "indexed": true, "internalType": "uint256", "name": "id", "type": "uint256" },
-            { "indexed": true, "internalType": "address", "name": "buyer", "type": "address" },
-            { "indexed": false, "internalType": "uint256", "name": "shares", "type": "uint256" },
-            { "indexed": false, "internalType": "uint256", "name": "amountSpent", "type": "uint256" }
-        ],
-        "name": "SharesPurchased",
-        "type": "event"
-    }
-];
+// ABI and typed wrappers generated from the Hardhat artifact (shared with the backend)
+export const REAL_ESTATE_ABI = ABI;
 
 // Contract address from environment
 export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS;
 
+// Chain the contract is deployed on (80002 = Polygon Amoy, 31337 = local Hardhat)
+export const EXPECTED_CHAIN_ID = BigInt(import.meta.env.VITE_CHAIN_ID || 80002);
+
+// Confirmations to wait for before treating a transaction as final
+export const TX_CONFIRMATIONS = parseInt(import.meta.env.VITE_TX_CONFIRMATIONS) || 1;
+
+// How far (basis points) a bonding-curve purchase may cost more than its quote,
+// when other buyers move the curve before it is mined
+export const PRIMARY_SLIPPAGE_BPS = BigInt(parseInt(import.meta.env.VITE_PRIMARY_SLIPPAGE_BPS) || 100);
+
+// Properties are priced in MATIC unless listed with an ERC-20 payment token
+export const NATIVE_CURRENCY = Object.freeze({ address: null, symbol: 'MATIC', decimals: 18 });
+
+// Stablecoin new properties can be priced in (blockchain/scripts/deploy-mock-stablecoin.js deploys one locally)
+export const STABLECOIN_ADDRESS = import.meta.env.VITE_STABLECOIN_ADDRESS || null;
+
+// FundingStatus enum of the contract, by value
+export const FUNDING_STATUSES = Object.freeze(['NONE', 'OPEN', 'SUCCEEDED', 'FAILED']);
+
+// PricingMode enum of the contract (primary sale pricing), by value
+export const PRICING_MODES = Object.freeze(['FIXED', 'DUTCH_AUCTION', 'BONDING_CURVE']);
+
+// ProposalState and VoteType enums of the contract (shareholder governance), by value
+export const PROPOSAL_STATES = Object.freeze(['ACTIVE', 'DEFEATED', 'SUCCEEDED', 'CANCELLED']);
+export const VOTE_TYPES = Object.freeze(['AGAINST', 'FOR', 'ABSTAIN']);
+
+// Friendlier wording for the contract's require() messages
+const REVERT_MESSAGES = {
+    'Property not active': 'This property is not open for investment right now.',
+    'Must buy at least 1 share': 'Enter at least 1 share.',
+    'Not enough shares available': 'Not enough shares left - someone may have bought them just now.',
+    'Insufficient payment': 'The amount sent does not cover the share price - it may have changed since your quote.',
+    'Price above limit': 'The share price has risen since your quote. Review the new price and try again.',
+    'Insufficient shares': 'You do not own enough unlocked shares - shares in open listings cannot be listed again or transferred.',
+    'Listing not active': 'This listing is no longer active - it may have sold out or been cancelled.',
+    'Must buy at least 1': 'Enter at least 1 share.',
+    'Cannot buy own listing': 'You cannot buy from your own listing.',
+    'Not enough shares in listing': 'The listing does not have that many shares left.',
+    'Not your listing': 'Only the seller of this listing can do this.',
+    'Resale trading halted': 'Resale trading of this property has been halted by the platform or by its circuit breaker after a sharp price move.',
+    'Property delisted': 'This property has been delisted and can no longer be traded.',
+    'EnforcedPause': 'Trading is paused across the marketplace. Please try again later.',
+    'OwnableUnauthorizedAccount': 'Only the marketplace owner can do this.',
+    'No proceeds to withdraw': 'There are no earnings to withdraw.',
+    'Withdrawal failed': 'Your wallet could not receive the payment.',
+    'No income to claim': 'There is no rental income to claim for this property.',
+    'No shareholders': 'No shares of this property have been sold yet.',
+    'Not property manager': 'Only the marketplace owner or the property manager can deposit income.',
+    'Fee too high': 'Fees cannot exceed 10% of a trade.',
+    'Insufficient treasury': 'The fee treasury does not hold that much.',
+    'Invalid recipient': 'Enter a valid recipient address.',
+    'Amount must be > 0': 'Enter an amount greater than 0.',
+    'Must bid for at least 1 share': 'Enter at least 1 share.',
+    'Must sell at least 1 share': 'Enter at least 1 share.',
+    'Price must be > 0': 'Enter a price greater than 0.',
+    'Expiry must be in the future': 'Choose an expiry date in the future.',
+    'Bid not active': 'This bid is no longer active - it may have been filled or cancelled.',
+    'Bid expired': 'This bid has expired.',
+    'Cannot fill own bid': 'You cannot sell into your own bid.',
+    'Not enough shares in bid': 'The bid does not want that many shares any more.',
+    'Not your bid': 'Only the bidder can cancel this bid before it expires.',
+    'Offer must be below the ask': 'An offer must be below the listing price - buy the listing directly to pay the ask.',
+    'Offer not active': 'This offer is no longer open - it may have been accepted, rejected or cancelled.',
+    'Offer expired': 'This offer has expired.',
+    'Counter must be between offer and ask': 'A counter-offer must be above the offer and no higher than your listing price.',
+    'No counter-offer': 'The seller has not countered this offer.',
+    'Not your offer': 'Only the buyer can cancel this offer while it is open.',
+    'Listing expired': 'This listing has expired.',
+    'Listing not expired': 'This listing has not expired yet.',
+    'Must list at least 1 share': 'Enter at least 1 share.',
+    'Too many listings': 'A best-price purchase can fill at most 20 listings - buy fewer shares.',
+    'No shares available': 'None of the listings in the preview are still for sale. Refresh the preview.',
+    'Average price above limit': 'The listings left would cost more than your maximum average price. Refresh the preview.',
+    'Price outside band': 'That price is outside the allowed range around the market price of this property.',
+    'Halt window must be > 0': 'Set a circuit breaker window.',
+    'Cannot transfer to yourself': 'You cannot transfer shares to your own wallet.',
+    'Must transfer at least 1 share': 'Enter at least 1 share.',
+    'Property is paid in stablecoin': 'This property is paid in its stablecoin, not MATIC.',
+    'Invalid payment token': 'The payment token is not a deployed contract.',
+    'Invalid beneficiary': 'The seller wallet cannot be the marketplace contract.',
+    'Invalid property owner': 'The property NFT cannot be sent to the zero address or the marketplace contract.',
+    'Funding round closed': 'The funding round of this property has ended.',
+    'Funding round not finalized': 'Shares bought in a funding round can only be moved, and earn income, once the round succeeds.',
+    'Funding round failed': 'The funding round of this property failed - its sale cannot be reopened.',
+    'Funding round open': 'Cancel or finalize the funding round of this property first.',
+    'Funding round not open': 'The funding round of this property has already been finalized or cancelled.',
+    'Funding round still open': 'Only the platform can finalize the funding round before its deadline.',
+    'Soft cap not reached': 'The funding round has not reached its minimum raise yet.',
+    'Refunds not available': 'Refunds are only available once the funding round has failed.',
+    'Nothing to refund': 'You have nothing to refund from this funding round.',
+    'Invalid funding deadline': 'Choose a funding deadline in the future.',
+    'Soft cap above total value': 'The minimum raise cannot exceed the value of all shares.',
+    'Invalid price range': 'An auction must fall to a floor price above 0 and below its starting price; a bonding curve must rise above it.',
+    'Invalid auction end': 'Choose an auction end in the future.',
+    'Invalid description': 'Enter a description of at most 1000 characters.',
+    'Invalid voting period': 'The voting period must be between 1 and 30 days.',
+    'Only shareholders can propose': 'Only shareholders of this property can make proposals.',
+    'No shares to vote with': 'Nobody held shares of this property yet, so there is no one to vote.',
+    'Proposal does not exist': 'This proposal does not exist.',
+    'Voting closed': 'Voting on this proposal has closed.',
+    'Already voted': 'You have already voted on this proposal.',
+    'No shares at snapshot': 'You did not hold shares of this property when the proposal was made, so you cannot vote on it.',
+    'Not your proposal': 'Only the proposer or the platform can cancel this proposal.',
+    'SafeERC20FailedOperation': 'The stablecoin payment failed. Check your token balance and approval.'
+};
+
 // Polygon Amoy configuration
 export const AMOY_CONFIG = {
     chainId: '0x13882', // 80002 in hex
@@ -98,25 +128,131 @@ export const AMOY_CONFIG = {
 };
 
 /**
- * Get contract instance with signer
+ * Read-only provider for when no wallet is connected
+ */
+export function getReadProvider() {
+    return new ethers.JsonRpcProvider(import.meta.env.VITE_POLYGON_RPC_URL || AMOY_CONFIG.rpcUrls[0]);
+}
+
+/**
+ * Explorer link for a transaction hash
+ */
+export function getTxUrl(txHash) {
+    return `${AMOY_CONFIG.blockExplorerUrls[0]}tx/${txHash}`;
+}
+
+/**
+ * Explorer link for a wallet or contract address
+ */
+export function getAddressUrl(address) {
+    return `${AMOY_CONFIG.blockExplorerUrls[0]}address/${address}`;
+}
+
+/**
+ * True for values the contract accepts as a property id (uint256)
+ */
+export function isChainPropertyId(value) {
+    if (typeof value === 'bigint') return value >= 0n;
+    if (typeof value === 'number') return Number.isSafeInteger(value) && value >= 0;
+    return typeof value === 'string' && /^\d+$/.test(value);
+}
+
+// Firestore ids (`prop_…`) must go through services/propertyIds.js first
+function requireChainPropertyId(propertyId) {
+    if (!isChainPropertyId(propertyId)) {
+        throw new Error(`"${propertyId}" is not an on-chain property id. Resolve it with resolveChainProperty() first.`);
+    }
+    return BigInt(propertyId);
+}
+
+/**
+ * Get the generated marketplace client for a signer or provider
  */
-export function getContract(signer) {
+export function getMarketplace(runner) {
     if (!CONTRACT_ADDRESS || CONTRACT_ADDRESS === '0xYourDeployedContractAddressHere') {
         console.warn('Contract address not configured');
         return null;
     }
-    return new ethers.Contract(CONTRACT_ADDRESS, REAL_ESTATE_ABI, signer);
+    return createRealEstateMarketplaceClient(ethers, CONTRACT_ADDRESS, runner);
+}
+
+function requireMarketplace(runner) {
+    const marketplace = getMarketplace(runner);
+    if (!marketplace) throw new Error('Contract not configured');
+    return marketplace;
+}
+
+// Token metadata never changes, and a property's payment token is fixed at listing
+const tokenCurrencyCache = new Map();
+const paymentCurrencyCache = new Map();
+
+/**
+ * Symbol and decimals of an ERC-20 payment token (NATIVE_CURRENCY for none)
+ * @returns {Promise<{address: string|null, symbol: string, decimals: number}>}
+ */
+export async function getTokenCurrency(provider, address) {
+    if (!address || address === ethers.ZeroAddress) return NATIVE_CURRENCY;
+
+    const key = address.toLowerCase();
+    if (!tokenCurrencyCache.has(key)) {
+        const token = new ethers.Contract(address, PAYMENT_TOKEN_ABI, provider);
+        const promise = Promise.all([token.symbol(), token.decimals()])
+            .then(([symbol, decimals]) => ({ address: ethers.getAddress(address), symbol, decimals: Number(decimals) }));
+        promise.catch(() => tokenCurrencyCache.delete(key));
+        tokenCurrencyCache.set(key, promise);
+    }
+    return tokenCurrencyCache.get(key);
+}
+
+/**
+ * The currency a property is priced and settled in
+ * @returns {Promise<{address: string|null, symbol: string, decimals: number}>}
+ */
+export async function getPaymentCurrency(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+
+    const key = propertyId.toString();
+    if (!paymentCurrencyCache.has(key)) {
+        const promise = requireMarketplace(provider).paymentTokens(propertyId)
+            .then(address => getTokenCurrency(provider, address));
+        promise.catch(() => paymentCurrencyCache.delete(key));
+        paymentCurrencyCache.set(key, promise);
+    }
+    return paymentCurrencyCache.get(key);
 }
 
+// Amounts in a currency's smallest unit <-> decimal strings
+const formatAmount = (units, currency) => ethers.formatUnits(units, currency.decimals);
+const parseAmount = (amount, currency) => ethers.parseUnits(amount.toString(), currency.decimals);
+
 /**
  * List new property on blockchain
+ * @param {string|null} [paymentToken] - ERC-20 the property is priced in, null for MATIC
+ * @param {string|null} [beneficiary] - Seller wallet that owns the property and receives its
+ *   primary sale proceeds, null for the listing admin
+ * @param {{softCap: string|number, deadline: number}|null} [funding] - Sell the shares in a
+ *   funding round (deadline in unix seconds), null for a plain sale
+ * @param {{mode: string, endPrice: string|number, auctionEnd: number}|null} [pricing] - DUTCH_AUCTION
+ *   falling to endPrice by auctionEnd (unix seconds), or BONDING_CURVE rising to endPrice for the
+ *   last share; null for a fixed price
  */
-export async function listProperty(signer, pricePerShareMatic, totalShares, metadataUri) {
-    const contract = getContract(signer);
-    if (!contract) throw new Error('Contract not configured');
+export async function listProperty(signer, pricePerShare, totalShares, metadataUri, paymentToken = null, beneficiary = null, funding = null, pricing = null) {
+    const marketplace = requireMarketplace(signer);
 
-    const priceInWei = ethers.parseEther(pricePerShareMatic.toString());
-    const tx = await contract.listProperty(priceInWei, totalShares, metadataUri);
+    const currency = await getTokenCurrency(signer.provider, paymentToken);
+    const priceInUnits = parseAmount(pricePerShare, currency);
+    const tx = await marketplace.listProperty(
+        priceInUnits,
+        totalShares,
+        metadataUri,
+        currency.address || ethers.ZeroAddress,
+        beneficiary || ethers.ZeroAddress,
+        funding ? parseAmount(funding.softCap, currency) : 0n,
+        funding ? funding.deadline : 0,
+        pricing ? PRICING_MODES.indexOf(pricing.mode) : 0,
+        pricing ? parseAmount(pricing.endPrice, currency) : 0n,
+        pricing?.auctionEnd || 0
+    );
     const receipt = await tx.wait();
 
     return {
@@ -126,17 +262,485 @@ export async function listProperty(signer, pricePerShareMatic, totalShares, meta
     };
 }
 
+const marketplaceInterface = new ethers.Interface(ABI);
+
+// Custom errors (e.g. EnforcedPause) arrive undecoded when a transaction is sent
+function customErrorName(error) {
+    const data = error.data || error.info?.error?.data?.data || error.info?.error?.data;
+    if (typeof data !== 'string' || data.length < 10) return null;
+    try {
+        return marketplaceInterface.parseError(data)?.name ?? null;
+    } catch {
+        return null;
+    }
+}
+
 /**
- * Buy shares of a property
+ * Turn a wallet/RPC/contract error into a message that can be shown to users
  */
-export async function buyShares(signer, propertyId, sharesToBuy, totalCostMatic) {
-    const contract = getContract(signer);
-    if (!contract) throw new Error('Contract not configured');
+export function parseContractError(error) {
+    if (!error) return 'Transaction failed';
 
-    const costInWei = ethers.parseEther(totalCostMatic.toString());
+    if (error.code === 'ACTION_REJECTED' || error.code === 4001 || error.info?.error?.code === 4001) {
+        return 'Transaction was rejected in your wallet.';
+    }
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+        return 'Your wallet does not have enough MATIC to cover the price and gas.';
+    }
 
-    const tx = await contract.buyShares(propertyId, sharesToBuy, { value: costInWei });
-    const receipt = await tx.wait();
+    // require() reason, or the name of a custom error (e.g. EnforcedPause)
+    const reason = error.reason
+        || (error.revert?.name === 'Error' ? error.revert.args[0] : error.revert?.name)
+        || customErrorName(error);
+    if (reason) {
+        return REVERT_MESSAGES[reason] || reason;
+    }
+
+    if (error.code === 'NETWORK_ERROR' || error.code === 'SERVER_ERROR') {
+        return 'Could not reach the blockchain network. Please try again.';
+    }
+
+    return error.shortMessage || error.message || 'Transaction failed';
+}
+
+/**
+ * Make sure the wallet is on the chain the contract is deployed to
+ */
+async function assertNetwork(signer) {
+    const network = await signer.provider.getNetwork();
+    if (network.chainId !== EXPECTED_CHAIN_ID) {
+        throw new Error(`Wrong network. Please switch your wallet to chain ${EXPECTED_CHAIN_ID}.`);
+    }
+}
+
+/**
+ * Make sure resale trading of a property is open (raw getTradingStatus result)
+ */
+function assertResaleOpen(status) {
+    if (status.marketplacePaused) throw new Error(REVERT_MESSAGES.EnforcedPause);
+    if (status.isDelisted) throw new Error(REVERT_MESSAGES['Property delisted']);
+    if (!status.resaleActive) throw new Error(REVERT_MESSAGES['Resale trading halted']);
+}
+
+/**
+ * Throw a readable error unless `priceWei` is inside the property's price band
+ */
+async function assertPriceInBand(marketplace, propertyId, priceWei, currency, whose = 'The price') {
+    const band = await marketplace.getPriceBand(propertyId);
+    if (priceWei < band.minPrice || priceWei > band.maxPrice) {
+        throw new Error(`${whose} must be between ${formatAmount(band.minPrice, currency)} and ${formatAmount(band.maxPrice, currency)} ${currency.symbol} per share right now.`);
+    }
+}
+
+/**
+ * Make sure the wallet can pay `valueWei` plus the estimated gas
+ */
+async function assertCanAfford(signer, valueWei, gasEstimate) {
+    const address = await signer.getAddress();
+    const [balance, feeData] = await Promise.all([
+        signer.provider.getBalance(address),
+        signer.provider.getFeeData()
+    ]);
+    const gasCost = gasEstimate * (feeData.maxFeePerGas || feeData.gasPrice || 0n);
+
+    if (balance < valueWei + gasCost) {
+        throw new Error(
+            `Insufficient balance: need ${ethers.formatEther(valueWei + gasCost)} MATIC ` +
+            `(including gas), wallet has ${ethers.formatEther(balance)} MATIC.`
+        );
+    }
+}
+
+/**
+ * Make sure the wallet holds `amount` of a stablecoin
+ */
+async function assertTokenBalance(signer, currency, amount) {
+    const token = new ethers.Contract(currency.address, PAYMENT_TOKEN_ABI, signer);
+    const balance = await token.balanceOf(await signer.getAddress());
+    if (balance < amount) {
+        throw new Error(
+            `Insufficient balance: need ${formatAmount(amount, currency)} ${currency.symbol}, ` +
+            `wallet has ${formatAmount(balance, currency)} ${currency.symbol}.`
+        );
+    }
+}
+
+/**
+ * How much of a stablecoin the wallet lets the marketplace take
+ */
+async function paymentAllowance(signer, marketplace, currency) {
+    const token = new ethers.Contract(currency.address, PAYMENT_TOKEN_ABI, signer);
+    return token.allowance(await signer.getAddress(), marketplace.address);
+}
+
+/**
+ * Get a payment of `amount` (in the property's currency) ready to send with a
+ * call. MATIC goes along as the call's value. A stablecoin is pulled by the
+ * contract instead, so the marketplace is approved for it first if the
+ * wallet's allowance is short - an extra transaction the wallet signs before
+ * the call.
+ * @param {Object} [callbacks] - onApproval(txHash) fires once the approval is broadcast
+ * @returns {Promise<{value: bigint, overrides: Object}>} MATIC sent with the call, and the call's overrides
+ */
+async function preparePayment(signer, marketplace, currency, amount, { onApproval } = {}) {
+    if (!currency.address) {
+        return { value: amount, overrides: { value: amount } };
+    }
+
+    await assertTokenBalance(signer, currency, amount);
+
+    if (await paymentAllowance(signer, marketplace, currency) < amount) {
+        const token = new ethers.Contract(currency.address, PAYMENT_TOKEN_ABI, signer);
+        const approval = await token.approve(marketplace.address, amount);
+        onApproval?.(approval.hash);
+        await approval.wait(TX_CONFIRMATIONS);
+    }
+
+    return { value: 0n, overrides: {} };
+}
+
+/**
+ * Check everything a primary purchase needs before asking the wallet to sign:
+ * network, property state, available shares and balance (price + gas).
+ * Gas for a stablecoin purchase can only be estimated once the marketplace
+ * is approved for the payment, so until then only the token balance is checked.
+ * The cost is the contract's quote for the current block, so it follows a
+ * Dutch auction or bonding curve; pricePerShareWei is the average.
+ * maxTotalCostWei is what the buyer pays at most: the quote plus
+ * PRIMARY_SLIPPAGE_BPS on a bonding curve, the quote itself otherwise (a fixed
+ * price can't move and an auction price only falls). MATIC sent above the
+ * final cost is added to the buyer's withdrawable earnings.
+ * @returns {Promise<{pricePerShareWei: bigint, totalCostWei: bigint, maxTotalCostWei: bigint, availableShares: number, currency: Object}>}
+ */
+export async function preflightBuyShares(signer, propertyId, sharesToBuy) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const [details, status, funding, pricing, currency] = await Promise.all([
+        marketplace.getPropertyDetails(propertyId),
+        marketplace.getTradingStatus(propertyId),
+        marketplace.getFundingStatus(propertyId),
+        marketplace.getPrimaryPricing(propertyId),
+        getPaymentCurrency(signer.provider, propertyId)
+    ]);
+    if (status.marketplacePaused) throw new Error(REVERT_MESSAGES.EnforcedPause);
+    if (status.isDelisted) throw new Error(REVERT_MESSAGES['Property delisted']);
+    if (!details.isActive || details.totalShares === 0n) {
+        throw new Error(REVERT_MESSAGES['Property not active']);
+    }
+    if (FUNDING_STATUSES[Number(funding.status)] === 'OPEN' && Date.now() / 1000 > Number(funding.deadline)) {
+        throw new Error(REVERT_MESSAGES['Funding round closed']);
+    }
+
+    const shares = BigInt(sharesToBuy);
+    if (shares < 1n) {
+        throw new Error(REVERT_MESSAGES['Must buy at least 1 share']);
+    }
+    if (shares > details.availableShares) {
+        throw new Error(`Only ${details.availableShares} share(s) are still available.`);
+    }
+
+    const { totalCost: totalCostWei } = await marketplace.quotePrimaryPurchase(propertyId, shares);
+    const pricePerShareWei = totalCostWei / shares;
+    const maxTotalCostWei = PRICING_MODES[Number(pricing.mode)] === 'BONDING_CURVE'
+        ? totalCostWei + totalCostWei * PRIMARY_SLIPPAGE_BPS / 10000n
+        : totalCostWei;
+
+    if (currency.address) {
+        await assertTokenBalance(signer, currency, maxTotalCostWei);
+
+        if (await paymentAllowance(signer, marketplace, currency) >= maxTotalCostWei) {
+            await assertCanAfford(signer, 0n, await marketplace.buyShares.estimateGas(propertyId, shares, maxTotalCostWei));
+        }
+    } else {
+        const gasEstimate = await marketplace.buyShares.estimateGas(propertyId, shares, maxTotalCostWei, { value: maxTotalCostWei });
+        await assertCanAfford(signer, maxTotalCostWei, gasEstimate);
+    }
+
+    return {
+        pricePerShareWei,
+        totalCostWei,
+        maxTotalCostWei,
+        availableShares: Number(details.availableShares),
+        currency
+    };
+}
+
+/**
+ * Fee breakdown of a trade from its TradeFeesCharged event (strings in the property's currency)
+ */
+function tradeFeesFromReceipt(marketplace, receipt, currency) {
+    const event = marketplace.findEvent(receipt, 'TradeFeesCharged');
+    if (!event) return null;
+
+    const { grossAmount, platformFee, royalty } = event.args;
+    return {
+        gross: formatAmount(grossAmount, currency),
+        platformFee: formatAmount(platformFee, currency),
+        royalty: formatAmount(royalty, currency),
+        sellerProceeds: formatAmount(grossAmount - platformFee - royalty, currency)
+    };
+}
+
+/**
+ * Buy shares of a property from the primary listing
+ * @param {Object} [callbacks] - onSubmitted(txHash) fires once the wallet has broadcast the tx,
+ *   onApproval(txHash) once a stablecoin approval it needed first is broadcast
+ */
+export async function buyShares(signer, propertyId, sharesToBuy, { onSubmitted, onApproval } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    const { maxTotalCostWei, currency } = await preflightBuyShares(signer, propertyId, sharesToBuy);
+    const { overrides } = await preparePayment(signer, marketplace, currency, maxTotalCostWei, { onApproval });
+
+    const tx = await marketplace.buyShares(propertyId, sharesToBuy, maxTotalCostWei, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    // What the block charged, which may be below the limit
+    const totalCostWei = marketplace.findEvent(receipt, 'SharesPurchased')?.args.amountSpent ?? maxTotalCostWei;
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency,
+        totalCost: formatAmount(totalCostWei, currency),
+        fees: tradeFeesFromReceipt(marketplace, receipt, currency)
+    };
+}
+
+/**
+ * Whether a listing (raw resaleListings result) has expired, by chain time
+ */
+async function isListingExpired(provider, listing) {
+    if (listing.expiresAt === 0n) return false;
+    const block = await provider.getBlock('latest');
+    return listing.expiresAt < BigInt(block.timestamp);
+}
+
+/**
+ * List owned shares for resale. The shares stay locked in the contract until
+ * they sell, the listing is cancelled or it expires.
+ * @param {string|number} pricePerShare - In the property's currency
+ * @param {number|null} expiresAt - Unix time in seconds, or null for no expiry
+ * @returns {Promise<{success: boolean, txHash: string, listingId: string}>}
+ */
+export async function listSharesForResale(signer, propertyId, shares, pricePerShare, expiresAt = null, { onSubmitted } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const [status, currency] = await Promise.all([
+        marketplace.getTradingStatus(propertyId),
+        getPaymentCurrency(signer.provider, propertyId)
+    ]);
+    assertResaleOpen(status);
+
+    const seller = await signer.getAddress();
+    const owned = await marketplace.getUserShares(propertyId, seller);
+    if (BigInt(shares) < 1n) {
+        throw new Error(REVERT_MESSAGES['Must buy at least 1']);
+    }
+    if (BigInt(shares) > owned) {
+        throw new Error(`You only have ${owned} unlocked share(s) of this property.`);
+    }
+    if (expiresAt && expiresAt <= Math.floor(Date.now() / 1000)) {
+        throw new Error(REVERT_MESSAGES['Expiry must be in the future']);
+    }
+
+    const priceInWei = parseAmount(pricePerShare, currency);
+    await assertPriceInBand(marketplace, propertyId, priceInWei, currency);
+
+    const gasEstimate = await marketplace.listSharesForResale.estimateGas(propertyId, shares, priceInWei, expiresAt || 0);
+    await assertCanAfford(signer, 0n, gasEstimate);
+
+    const tx = await marketplace.listSharesForResale(propertyId, shares, priceInWei, expiresAt || 0);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'ResaleListingCreated');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        listingId: event ? event.args.listingId.toString() : null
+    };
+}
+
+/**
+ * Buy shares from a resale listing. Price and availability are read from the
+ * contract, never from the cached listing.
+ * @param {Object} [callbacks] - onSubmitted(txHash), and onApproval(txHash) for a stablecoin approval sent first
+ */
+export async function buyFromResale(signer, listingId, sharesToBuy, { onSubmitted, onApproval } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const listing = await marketplace.resaleListings(listingId);
+    const buyer = await signer.getAddress();
+    const shares = BigInt(sharesToBuy);
+    const remaining = listing.sharesForSale - listing.sharesSold;
+
+    if (!listing.isActive) throw new Error(REVERT_MESSAGES['Listing not active']);
+    if (await isListingExpired(signer.provider, listing)) throw new Error(REVERT_MESSAGES['Listing expired']);
+    assertResaleOpen(await marketplace.getTradingStatus(listing.propertyId));
+    if (listing.seller.toLowerCase() === buyer.toLowerCase()) throw new Error(REVERT_MESSAGES['Cannot buy own listing']);
+    if (shares < 1n) throw new Error(REVERT_MESSAGES['Must buy at least 1']);
+    if (shares > remaining) throw new Error(`Only ${remaining} share(s) are left in this listing.`);
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+    await assertPriceInBand(marketplace, listing.propertyId, listing.pricePerShare, currency, 'The market has moved: this listing\'s price');
+
+    const totalCostWei = shares * listing.pricePerShare;
+    const { value, overrides } = await preparePayment(signer, marketplace, currency, totalCostWei, { onApproval });
+    const gasEstimate = await marketplace.buyFromResale.estimateGas(listingId, shares, overrides);
+    await assertCanAfford(signer, value, gasEstimate);
+
+    const tx = await marketplace.buyFromResale(listingId, shares, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'ResaleCompleted');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: event?.logIndex ?? null,
+        currency,
+        totalCost: formatAmount(totalCostWei, currency),
+        newMarketPrice: event ? formatAmount(event.args.newMarketPrice, currency) : null,
+        fees: tradeFeesFromReceipt(marketplace, receipt, currency)
+    };
+}
+
+/**
+ * Plan a best-price purchase: the cheapest open listings of a property that
+ * together cover up to `shares` shares, leaving out the buyer's own listings
+ * @param {string|null} buyer - Buyer's address (null to include every listing)
+ * @returns {Promise<{fills: Array<Object>, sharesAvailable: number, totalCostWei: string, totalCost: string, averagePrice: number|null, currency: Object}>}
+ *   fills: {listingId, shares, seller, pricePerShare, pricePerShareWei} per listing, cheapest first
+ */
+export async function quoteBestPrice(provider, propertyId, shares, buyer = null) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+
+    const [quote, currency] = await Promise.all([
+        marketplace.quoteBestPrice(propertyId, shares, buyer || ethers.ZeroAddress),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+    const fills = await Promise.all(quote.listingIds.map(async (listingId, i) => {
+        const l = await marketplace.resaleListings(listingId);
+        return {
+            listingId: listingId.toString(),
+            shares: Number(quote.shares[i]),
+            seller: l.seller,
+            pricePerShare: parseFloat(formatAmount(l.pricePerShare, currency)),
+            pricePerShareWei: l.pricePerShare.toString()
+        };
+    }));
+
+    return {
+        currency,
+        fills,
+        sharesAvailable: Number(quote.sharesAvailable),
+        totalCostWei: quote.totalCost.toString(),
+        totalCost: formatAmount(quote.totalCost, currency),
+        averagePrice: quote.sharesAvailable > 0n
+            ? parseFloat(formatAmount(quote.totalCost / quote.sharesAvailable, currency))
+            : null
+    };
+}
+
+/**
+ * Buy up to `shares` shares across the listings of a quote (see
+ * quoteBestPrice) in one transaction. Pays the quoted total; the contract
+ * reverts if the average price would exceed maxAveragePrice (in the
+ * property's currency), and credits anything unused to the buyer's
+ * withdrawable earnings.
+ * @returns {Promise<{success: boolean, txHash: string, sharesBought: number, totalCost: string, averagePrice: number, fills: Array<Object>}>}
+ *   fills: {listingId, shares, pricePerShare, logIndex} per ResaleCompleted event
+ */
+export async function buyAtBestPrice(signer, propertyId, shares, maxAveragePrice, quote, { onSubmitted, onApproval } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    assertResaleOpen(await marketplace.getTradingStatus(propertyId));
+    if (BigInt(shares) < 1n) throw new Error(REVERT_MESSAGES['Must buy at least 1']);
+    if (quote.fills.length === 0) throw new Error('No listings of this property are for sale right now.');
+
+    const currency = await getPaymentCurrency(signer.provider, propertyId);
+    const maxAverageWei = parseAmount(maxAveragePrice, currency);
+    const totalCostWei = BigInt(quote.totalCostWei);
+    if (totalCostWei > maxAverageWei * BigInt(quote.sharesAvailable)) {
+        throw new Error(`The best available average price is ${quote.averagePrice} ${currency.symbol}, above your maximum of ${maxAveragePrice} ${currency.symbol}.`);
+    }
+
+    const listingIds = quote.fills.map(f => f.listingId);
+    const { value, overrides } = await preparePayment(signer, marketplace, currency, totalCostWei, { onApproval });
+    const gasEstimate = await marketplace.buyAtBestPrice.estimateGas(propertyId, shares, maxAverageWei, listingIds, overrides);
+    await assertCanAfford(signer, value, gasEstimate);
+
+    const tx = await marketplace.buyAtBestPrice(propertyId, shares, maxAverageWei, listingIds, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const sweep = marketplace.findEvent(receipt, 'ResaleSweep');
+    const fills = receipt.logs
+        .map(log => marketplace.decodeEvent(log))
+        .filter(event => event?.name === 'ResaleCompleted')
+        .map(event => ({
+            listingId: event.args.listingId.toString(),
+            shares: Number(event.args.shares),
+            pricePerShare: parseFloat(formatAmount(event.args.pricePerShare, currency)),
+            logIndex: event.logIndex
+        }));
+
+    const sharesBought = sweep ? Number(sweep.args.shares) : fills.reduce((sum, f) => sum + f.shares, 0);
+    const paidWei = sweep ? sweep.args.totalCost : totalCostWei;
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        sharesBought,
+        currency,
+        totalCost: formatAmount(paidWei, currency),
+        averagePrice: sharesBought > 0 ? parseFloat(formatAmount(paidWei / BigInt(sharesBought), currency)) : null,
+        fills
+    };
+}
+
+/**
+ * Cancel a resale listing and unlock its unsold shares
+ */
+export async function cancelResaleListing(signer, listingId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const listing = await marketplace.resaleListings(listingId);
+    const seller = await signer.getAddress();
+    if (!listing.isActive) throw new Error(REVERT_MESSAGES['Listing not active']);
+    if (listing.seller.toLowerCase() !== seller.toLowerCase()) throw new Error(REVERT_MESSAGES['Not your listing']);
+
+    const tx = await marketplace.cancelResaleListing(listingId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
 
     return {
         success: true,
@@ -146,30 +750,1227 @@ export async function buyShares(signer, propertyId, sharesToBuy, totalCostMatic)
 }
 
 /**
- * Get property details from blockchain
+ * Change a listing's price, remaining quantity or expiry in place. The
+ * listing keeps its id and sales; shares are locked or unlocked to match
+ * the new quantity.
+ * @param {number} sharesRemaining - Shares that should remain for sale
+ * @param {number|null} expiresAt - Unix time in seconds, or null for no expiry
  */
-export async function getProperty(provider, propertyId) {
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, REAL_ESTATE_ABI, provider);
-    const property = await contract.properties(propertyId);
+export async function updateResaleListing(signer, listingId, pricePerShare, sharesRemaining, expiresAt = null, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const listing = await marketplace.resaleListings(listingId);
+    const seller = await signer.getAddress();
+    if (!listing.isActive) throw new Error(REVERT_MESSAGES['Listing not active']);
+    if (listing.seller.toLowerCase() !== seller.toLowerCase()) throw new Error(REVERT_MESSAGES['Not your listing']);
+    assertResaleOpen(await marketplace.getTradingStatus(listing.propertyId));
+
+    const remaining = BigInt(sharesRemaining);
+    if (remaining < 1n) throw new Error(REVERT_MESSAGES['Must list at least 1 share']);
+    const unsold = listing.sharesForSale - listing.sharesSold;
+    if (remaining > unsold) {
+        const owned = await marketplace.getUserShares(listing.propertyId, seller);
+        if (remaining - unsold > owned) {
+            throw new Error(`You only have ${owned} more unlocked share(s) to add to this listing.`);
+        }
+    }
+    if (expiresAt && expiresAt <= Math.floor(Date.now() / 1000)) {
+        throw new Error(REVERT_MESSAGES['Expiry must be in the future']);
+    }
+
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+    const priceInWei = parseAmount(pricePerShare, currency);
+    if (priceInWei <= 0n) throw new Error(REVERT_MESSAGES['Price must be > 0']);
+    await assertPriceInBand(marketplace, listing.propertyId, priceInWei, currency);
+
+    const args = [listingId, priceInWei, remaining, expiresAt || 0];
+    await assertCanAfford(signer, 0n, await marketplace.updateResaleListing.estimateGas(...args));
+
+    const tx = await marketplace.updateResaleListing(...args);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
 
     return {
-        id: property.id.toString(),
-        pricePerShare: ethers.formatEther(property.pricePerShare),
-        totalShares: property.totalShares.toString(),
-        sharesSold: property.sharesSold.toString(),
-        availableShares: (property.totalShares - property.sharesSold).toString(),
-        owner: property.owner,
-        isActive: property.isActive
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
     };
 }
 
 /**
- * Get user's shares for a property
+ * Whether a bid (raw buyOrders result) has expired, by chain time
  */
-export async function getUserShares(provider, propertyId, userAddress) {
-    const contract = new ethers.Contract(CONTRACT_ADDRESS, REAL_ESTATE_ABI, provider);
-    const shares = await contract.userShares(propertyId, userAddress);
-    return shares.toString();
+async function isBidExpired(provider, bid) {
+    if (bid.expiresAt === 0n) return false;
+    const block = await provider.getBlock('latest');
+    return bid.expiresAt < BigInt(block.timestamp);
+}
+
+/**
+ * Post an escrowed bid for shares of a property. The full amount
+ * (shares x price, in the property's currency) is paid with the bid and
+ * refunded to the bidder's withdrawable earnings if the bid is cancelled or expires.
+ * @param {number|null} expiresAt - Unix time in seconds, or null for no expiry
+ * @param {Object} [callbacks] - onSubmitted(txHash), and onApproval(txHash) for a stablecoin approval sent first
+ */
+export async function placeBid(signer, propertyId, shares, pricePerShare, expiresAt = null, { onSubmitted, onApproval } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+    assertResaleOpen(await marketplace.getTradingStatus(propertyId));
+
+    const shareCount = BigInt(shares);
+    if (shareCount < 1n) throw new Error(REVERT_MESSAGES['Must bid for at least 1 share']);
+    if (expiresAt && expiresAt <= Math.floor(Date.now() / 1000)) {
+        throw new Error(REVERT_MESSAGES['Expiry must be in the future']);
+    }
+
+    const currency = await getPaymentCurrency(signer.provider, propertyId);
+    const priceInWei = parseAmount(pricePerShare, currency);
+    if (priceInWei <= 0n) throw new Error(REVERT_MESSAGES['Price must be > 0']);
+    const escrowWei = shareCount * priceInWei;
+
+    const { value, overrides } = await preparePayment(signer, marketplace, currency, escrowWei, { onApproval });
+    const gasEstimate = await marketplace.placeBid.estimateGas(propertyId, shareCount, priceInWei, expiresAt || 0, overrides);
+    await assertCanAfford(signer, value, gasEstimate);
+
+    const tx = await marketplace.placeBid(propertyId, shareCount, priceInWei, expiresAt || 0, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'BidPlaced');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        bidId: event ? event.args.bidId.toString() : null,
+        currency,
+        escrow: formatAmount(escrowWei, currency)
+    };
+}
+
+/**
+ * Sell free (unlisted) shares into a bid at the bid's price. Partial fills are allowed.
+ */
+export async function fillBid(signer, bidId, shares, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const bid = await marketplace.buyOrders(bidId);
+    const seller = await signer.getAddress();
+    const shareCount = BigInt(shares);
+    const remaining = bid.sharesWanted - bid.sharesFilled;
+
+    if (!bid.isActive) throw new Error(REVERT_MESSAGES['Bid not active']);
+    if (await isBidExpired(signer.provider, bid)) throw new Error(REVERT_MESSAGES['Bid expired']);
+    assertResaleOpen(await marketplace.getTradingStatus(bid.propertyId));
+    if (bid.buyer.toLowerCase() === seller.toLowerCase()) throw new Error(REVERT_MESSAGES['Cannot fill own bid']);
+    if (shareCount < 1n) throw new Error(REVERT_MESSAGES['Must sell at least 1 share']);
+    if (shareCount > remaining) throw new Error(`The bid only wants ${remaining} more share(s).`);
+
+    const owned = await marketplace.getUserShares(bid.propertyId, seller);
+    if (shareCount > owned) throw new Error(`You only have ${owned} unlisted share(s) of this property.`);
+
+    await assertCanAfford(signer, 0n, await marketplace.fillBid.estimateGas(bidId, shareCount));
+    const currency = await getPaymentCurrency(signer.provider, bid.propertyId);
+
+    const tx = await marketplace.fillBid(bidId, shareCount);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'BidFilled');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: event?.logIndex ?? null,
+        currency,
+        total: formatAmount(shareCount * bid.pricePerShare, currency),
+        newMarketPrice: event ? formatAmount(event.args.newMarketPrice, currency) : null,
+        fees: tradeFeesFromReceipt(marketplace, receipt, currency)
+    };
+}
+
+/**
+ * Cancel a bid. The unfilled escrow is credited to the bidder's withdrawable
+ * earnings. Anyone may clear an expired bid.
+ */
+export async function cancelBid(signer, bidId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const bid = await marketplace.buyOrders(bidId);
+    const caller = await signer.getAddress();
+    const expired = await isBidExpired(signer.provider, bid);
+    if (!bid.isActive) throw new Error(REVERT_MESSAGES['Bid not active']);
+    if (!expired && bid.buyer.toLowerCase() !== caller.toLowerCase()) throw new Error(REVERT_MESSAGES['Not your bid']);
+    const currency = await getPaymentCurrency(signer.provider, bid.propertyId);
+
+    const tx = await marketplace.cancelBid(bidId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'BidCancelled');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency,
+        refund: event ? formatAmount(event.args.refund, currency) : null
+    };
+}
+
+/**
+ * Whether an offer (raw offers result) has expired, by chain time
+ */
+async function isOfferExpired(provider, offer) {
+    const block = await provider.getBlock('latest');
+    return offer.expiresAt < BigInt(block.timestamp);
+}
+
+/**
+ * Load an offer and its listing, checking the offer can still be answered
+ */
+async function requireOpenOffer(marketplace, provider, offerId) {
+    const offer = await marketplace.offers(offerId);
+    if (!offer.isActive) throw new Error(REVERT_MESSAGES['Offer not active']);
+    if (await isOfferExpired(provider, offer)) throw new Error(REVERT_MESSAGES['Offer expired']);
+
+    const listing = await marketplace.resaleListings(offer.listingId);
+    if (!listing.isActive) throw new Error(REVERT_MESSAGES['Listing not active']);
+    if (await isListingExpired(provider, listing)) throw new Error(REVERT_MESSAGES['Listing expired']);
+
+    return { offer, listing };
+}
+
+/**
+ * Offer less than the ask for shares of a resale listing. The full amount
+ * (shares x offered price, in the property's currency) is escrowed and
+ * refunded to the buyer's withdrawable earnings if the offer is rejected,
+ * cancelled or expires.
+ * @param {number} expiresAt - Unix time in seconds
+ * @param {Object} [callbacks] - onSubmitted(txHash), and onApproval(txHash) for a stablecoin approval sent first
+ */
+export async function makeOffer(signer, listingId, shares, pricePerShare, expiresAt, { onSubmitted, onApproval } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const listing = await marketplace.resaleListings(listingId);
+    const buyer = await signer.getAddress();
+    const shareCount = BigInt(shares);
+    const remaining = listing.sharesForSale - listing.sharesSold;
+
+    if (!listing.isActive) throw new Error(REVERT_MESSAGES['Listing not active']);
+    if (await isListingExpired(signer.provider, listing)) throw new Error(REVERT_MESSAGES['Listing expired']);
+    assertResaleOpen(await marketplace.getTradingStatus(listing.propertyId));
+    if (listing.seller.toLowerCase() === buyer.toLowerCase()) throw new Error(REVERT_MESSAGES['Cannot buy own listing']);
+    if (shareCount < 1n) throw new Error(REVERT_MESSAGES['Must buy at least 1']);
+    if (shareCount > remaining) throw new Error(`Only ${remaining} share(s) are left in this listing.`);
+    if (!expiresAt || expiresAt <= Math.floor(Date.now() / 1000)) {
+        throw new Error(REVERT_MESSAGES['Expiry must be in the future']);
+    }
+
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+    const priceInWei = parseAmount(pricePerShare, currency);
+    if (priceInWei <= 0n) throw new Error(REVERT_MESSAGES['Price must be > 0']);
+    if (priceInWei >= listing.pricePerShare) throw new Error(REVERT_MESSAGES['Offer must be below the ask']);
+    const escrowWei = shareCount * priceInWei;
+
+    const { value, overrides } = await preparePayment(signer, marketplace, currency, escrowWei, { onApproval });
+    const gasEstimate = await marketplace.makeOffer.estimateGas(listingId, shareCount, priceInWei, expiresAt, overrides);
+    await assertCanAfford(signer, value, gasEstimate);
+
+    const tx = await marketplace.makeOffer(listingId, shareCount, priceInWei, expiresAt, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'OfferMade');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        offerId: event ? event.args.offerId.toString() : null,
+        currency,
+        escrow: formatAmount(escrowWei, currency)
+    };
+}
+
+/**
+ * Seller accepts an offer on their listing at the offered price
+ */
+export async function acceptOffer(signer, offerId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const { offer, listing } = await requireOpenOffer(marketplace, signer.provider, offerId);
+    const seller = await signer.getAddress();
+    if (listing.seller.toLowerCase() !== seller.toLowerCase()) throw new Error('Only the seller can answer offers on this listing.');
+    assertResaleOpen(await marketplace.getTradingStatus(listing.propertyId));
+    if (offer.shares > listing.sharesForSale - listing.sharesSold) throw new Error(REVERT_MESSAGES['Not enough shares in listing']);
+
+    await assertCanAfford(signer, 0n, await marketplace.acceptOffer.estimateGas(offerId));
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+
+    const tx = await marketplace.acceptOffer(offerId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'ResaleCompleted');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: event?.logIndex ?? null,
+        currency,
+        total: formatAmount(offer.shares * offer.pricePerShare, currency),
+        newMarketPrice: event ? formatAmount(event.args.newMarketPrice, currency) : null,
+        fees: tradeFeesFromReceipt(marketplace, receipt, currency)
+    };
+}
+
+/**
+ * Seller answers an offer with a higher price (in the property's currency),
+ * at most their listing price
+ */
+export async function counterOffer(signer, offerId, counterPrice, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const { offer, listing } = await requireOpenOffer(marketplace, signer.provider, offerId);
+    const seller = await signer.getAddress();
+    if (listing.seller.toLowerCase() !== seller.toLowerCase()) throw new Error('Only the seller can answer offers on this listing.');
+
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+    const counterWei = parseAmount(counterPrice, currency);
+    if (counterWei <= offer.pricePerShare || counterWei > listing.pricePerShare) {
+        throw new Error(REVERT_MESSAGES['Counter must be between offer and ask']);
+    }
+
+    await assertCanAfford(signer, 0n, await marketplace.counterOffer.estimateGas(offerId, counterWei));
+
+    const tx = await marketplace.counterOffer(offerId, counterWei);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency,
+        counterPrice: formatAmount(counterWei, currency)
+    };
+}
+
+/**
+ * Buyer accepts the seller's counter-offer, paying the difference on top of
+ * the escrowed offer
+ * @param {Object} [callbacks] - onSubmitted(txHash), and onApproval(txHash) for a stablecoin approval sent first
+ */
+export async function acceptCounterOffer(signer, offerId, { onSubmitted, onApproval } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const { offer, listing } = await requireOpenOffer(marketplace, signer.provider, offerId);
+    const buyer = await signer.getAddress();
+    if (offer.buyer.toLowerCase() !== buyer.toLowerCase()) throw new Error('Only the buyer can accept this counter-offer.');
+    if (offer.counterPrice === 0n) throw new Error(REVERT_MESSAGES['No counter-offer']);
+    assertResaleOpen(await marketplace.getTradingStatus(listing.propertyId));
+    if (offer.shares > listing.sharesForSale - listing.sharesSold) throw new Error(REVERT_MESSAGES['Not enough shares in listing']);
+
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+    const topUpWei = offer.shares * (offer.counterPrice - offer.pricePerShare);
+    const { value, overrides } = await preparePayment(signer, marketplace, currency, topUpWei, { onApproval });
+    const gasEstimate = await marketplace.acceptCounterOffer.estimateGas(offerId, overrides);
+    await assertCanAfford(signer, value, gasEstimate);
+
+    const tx = await marketplace.acceptCounterOffer(offerId, overrides);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'ResaleCompleted');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        logIndex: event?.logIndex ?? null,
+        currency,
+        topUp: formatAmount(topUpWei, currency),
+        total: formatAmount(offer.shares * offer.counterPrice, currency),
+        newMarketPrice: event ? formatAmount(event.args.newMarketPrice, currency) : null,
+        fees: tradeFeesFromReceipt(marketplace, receipt, currency)
+    };
+}
+
+/**
+ * Seller rejects an offer; the escrow is refunded to the buyer's earnings
+ */
+export async function rejectOffer(signer, offerId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const offer = await marketplace.offers(offerId);
+    if (!offer.isActive) throw new Error(REVERT_MESSAGES['Offer not active']);
+    const listing = await marketplace.resaleListings(offer.listingId);
+    const seller = await signer.getAddress();
+    if (listing.seller.toLowerCase() !== seller.toLowerCase()) throw new Error('Only the seller can answer offers on this listing.');
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+
+    const tx = await marketplace.rejectOffer(offerId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'OfferRejected');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency,
+        refund: event ? formatAmount(event.args.refund, currency) : null
+    };
+}
+
+/**
+ * Cancel an offer and refund its escrow to the buyer's withdrawable earnings.
+ * Anyone may clear an expired offer or one whose listing has closed or expired.
+ */
+export async function cancelOffer(signer, offerId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const offer = await marketplace.offers(offerId);
+    if (!offer.isActive) throw new Error(REVERT_MESSAGES['Offer not active']);
+
+    const caller = await signer.getAddress();
+    const listing = await marketplace.resaleListings(offer.listingId);
+    if (offer.buyer.toLowerCase() !== caller.toLowerCase()) {
+        const expired = await isOfferExpired(signer.provider, offer) || await isListingExpired(signer.provider, listing);
+        if (!expired && listing.isActive) throw new Error(REVERT_MESSAGES['Not your offer']);
+    }
+
+    const currency = await getPaymentCurrency(signer.provider, listing.propertyId);
+
+    const tx = await marketplace.cancelOffer(offerId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'OfferCancelled');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        currency,
+        refund: event ? formatAmount(event.args.refund, currency) : null
+    };
+}
+
+/**
+ * Transfer free (unlisted) shares of a property to another wallet. Nothing
+ * is paid on-chain and the market price is not affected.
+ */
+export async function transferShares(signer, propertyId, recipient, shares, { onSubmitted } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    if (!ethers.isAddress(recipient)) throw new Error(REVERT_MESSAGES['Invalid recipient']);
+    const to = ethers.getAddress(recipient);
+    const account = await signer.getAddress();
+    if (to === ethers.getAddress(account)) throw new Error(REVERT_MESSAGES['Cannot transfer to yourself']);
+
+    const free = await marketplace.userShares(propertyId, account);
+    if (free < BigInt(shares)) throw new Error(REVERT_MESSAGES['Insufficient shares']);
+
+    await assertCanAfford(signer, 0n, await marketplace.transferShares.estimateGas(propertyId, to, shares));
+
+    const tx = await marketplace.transferShares(propertyId, to, shares);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        from: account,
+        to,
+        shares: Number(shares)
+    };
+}
+
+/**
+ * Withdraw the sale proceeds escrowed for one property, or for every property
+ * when `propertyId` is null. Works while trading is paused.
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, amounts: Array<{currency: Object, amountWei: bigint, amount: string}>}>}
+ *   amounts: what was withdrawn, one entry per currency
+ */
+export async function withdrawProceeds(signer, propertyId = null, { onSubmitted } = {}) {
+    const chainPropertyId = propertyId === null ? null : requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    // Stablecoin proceeds aren't in pendingWithdrawals, so go by the per-property balances
+    const pending = await getPendingProceeds(signer.provider, await signer.getAddress());
+    const entries = pending.properties.filter(entry =>
+        chainPropertyId === null || entry.chainPropertyId === chainPropertyId.toString());
+    if (entries.length === 0) throw new Error(REVERT_MESSAGES['No proceeds to withdraw']);
+
+    const [method, args] = chainPropertyId === null
+        ? [marketplace.withdrawAllProceeds, []]
+        : [marketplace.withdrawProceeds, [chainPropertyId]];
+    await assertCanAfford(signer, 0n, await method.estimateGas(...args));
+
+    const tx = await method(...args);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        amounts: totalsByCurrency(entries)
+    };
+}
+
+/**
+ * Claim the rental income a property has paid to the connected wallet.
+ * Works while trading is paused.
+ */
+export async function claimRentalIncome(signer, propertyId, { onSubmitted } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const claimableWei = await marketplace.claimableRentalIncome(propertyId, await signer.getAddress());
+    if (claimableWei === 0n) throw new Error(REVERT_MESSAGES['No income to claim']);
+
+    await assertCanAfford(signer, 0n, await marketplace.claimRentalIncome.estimateGas(propertyId));
+
+    const tx = await marketplace.claimRentalIncome(propertyId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'RentalIncomeClaimed');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        amount: ethers.formatEther(event ? event.args.amount : claimableWei)
+    };
+}
+
+/**
+ * Get back what the connected wallet paid into a failed funding round. The
+ * shares it bought in the round are voided. Works while trading is paused.
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, shares: number, amount: string, currency: Object}>}
+ */
+export async function claimFundingRefund(signer, propertyId, { onSubmitted } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+
+    const funding = await getFundingStatus(signer.provider, propertyId, await signer.getAddress());
+    if (funding.status !== 'FAILED') throw new Error(REVERT_MESSAGES['Refunds not available']);
+    if (Number(funding.contribution) === 0) throw new Error(REVERT_MESSAGES['Nothing to refund']);
+
+    await assertCanAfford(signer, 0n, await marketplace.claimFundingRefund.estimateGas(propertyId));
+
+    const tx = await marketplace.claimFundingRefund(propertyId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'FundingRefunded');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        shares: event ? Number(event.args.shares) : 0,
+        amount: event ? formatAmount(event.args.amount, funding.currency) : funding.contribution,
+        currency: funding.currency
+    };
+}
+
+/**
+ * Put a proposal to the shareholders of a property. Voting opens right away
+ * and weighs the shares each holder had in the block before this one.
+ * @param {number} votingPeriod - Seconds the vote stays open (see getGovernanceRules)
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, proposalId: string|null}>}
+ */
+export async function createProposal(signer, propertyId, description, votingPeriod, { onSubmitted } = {}) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+    await assertCanAfford(signer, 0n, await marketplace.createProposal.estimateGas(propertyId, description, votingPeriod));
+
+    const tx = await marketplace.createProposal(propertyId, description, votingPeriod);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'ProposalCreated');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        proposalId: event ? event.args.proposalId.toString() : null
+    };
+}
+
+/**
+ * Vote on an open proposal with the shares held at its snapshot
+ * @param {string} support - One of VOTE_TYPES
+ * @returns {Promise<{success: boolean, txHash: string, blockNumber: number, weight: number}>}
+ */
+export async function castVote(signer, proposalId, support, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+    const voteType = VOTE_TYPES.indexOf(support);
+    if (voteType < 0) throw new Error(`Unknown vote "${support}"`);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+    await assertCanAfford(signer, 0n, await marketplace.castVote.estimateGas(proposalId, voteType));
+
+    const tx = await marketplace.castVote(proposalId, voteType);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+    const event = marketplace.findEvent(receipt, 'VoteCast');
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        weight: event ? Number(event.args.weight) : 0
+    };
+}
+
+/**
+ * Withdraw a proposal while it is being voted on (proposer or platform only)
+ */
+export async function cancelProposal(signer, proposalId, { onSubmitted } = {}) {
+    const marketplace = requireMarketplace(signer);
+
+    await assertNetwork(signer);
+    await marketplace.verifyDeployment();
+    await assertCanAfford(signer, 0n, await marketplace.cancelProposal.estimateGas(proposalId));
+
+    const tx = await marketplace.cancelProposal(proposalId);
+    onSubmitted?.(tx.hash);
+
+    const receipt = await tx.wait(TX_CONFIRMATIONS);
+
+    return {
+        success: true,
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+    };
+}
+
+/**
+ * Get a resale listing from the contract
+ */
+export async function getResaleListing(provider, listingId) {
+    const marketplace = requireMarketplace(provider);
+    const l = await marketplace.resaleListings(listingId);
+    const currency = await getPaymentCurrency(provider, l.propertyId);
+
+    return {
+        listingId: l.listingId.toString(),
+        chainPropertyId: l.propertyId.toString(),
+        seller: l.seller,
+        sharesForSale: Number(l.sharesForSale),
+        sharesSold: Number(l.sharesSold),
+        remainingShares: Number(l.sharesForSale - l.sharesSold),
+        currency,
+        pricePerShare: parseFloat(formatAmount(l.pricePerShare, currency)),
+        pricePerShareWei: l.pricePerShare.toString(),
+        isActive: l.isActive,
+        createdAt: Number(l.createdAt),
+        expiresAt: Number(l.expiresAt) || null
+    };
+}
+
+/**
+ * Get a bid from the contract
+ */
+export async function getBid(provider, bidId) {
+    const b = await requireMarketplace(provider).buyOrders(bidId);
+    const currency = await getPaymentCurrency(provider, b.propertyId);
+
+    return {
+        bidId: b.bidId.toString(),
+        chainPropertyId: b.propertyId.toString(),
+        buyer: b.buyer,
+        sharesWanted: Number(b.sharesWanted),
+        sharesFilled: Number(b.sharesFilled),
+        remainingShares: Number(b.sharesWanted - b.sharesFilled),
+        currency,
+        pricePerShare: parseFloat(formatAmount(b.pricePerShare, currency)),
+        pricePerShareWei: b.pricePerShare.toString(),
+        expiresAt: Number(b.expiresAt) || null,
+        isActive: b.isActive,
+        createdAt: Number(b.createdAt)
+    };
+}
+
+/**
+ * Get an offer from the contract
+ */
+export async function getOffer(provider, offerId) {
+    const marketplace = requireMarketplace(provider);
+    const o = await marketplace.offers(offerId);
+    const listing = await marketplace.resaleListings(o.listingId);
+    const currency = await getPaymentCurrency(provider, listing.propertyId);
+
+    return {
+        offerId: o.offerId.toString(),
+        listingId: o.listingId.toString(),
+        buyer: o.buyer,
+        shares: Number(o.shares),
+        currency,
+        pricePerShare: parseFloat(formatAmount(o.pricePerShare, currency)),
+        pricePerShareWei: o.pricePerShare.toString(),
+        counterPrice: o.counterPrice > 0n ? parseFloat(formatAmount(o.counterPrice, currency)) : null,
+        counterPriceWei: o.counterPrice > 0n ? o.counterPrice.toString() : null,
+        expiresAt: Number(o.expiresAt),
+        isActive: o.isActive,
+        createdAt: Number(o.createdAt)
+    };
+}
+
+/**
+ * Open offers on a listing, highest price first. Expired offers are included
+ * (flagged `expired`) until someone clears them.
+ */
+export async function getListingOffers(provider, listingId) {
+    const marketplace = requireMarketplace(provider);
+
+    const [offerIds, block] = await Promise.all([
+        marketplace.getListingOffers(listingId),
+        provider.getBlock('latest')
+    ]);
+    const offers = await Promise.all(offerIds.map(id => getOffer(provider, id)));
+
+    return offers
+        .map(offer => ({ ...offer, expired: offer.expiresAt < block.timestamp }))
+        .sort((a, b) => b.pricePerShare - a.pricePerShare || a.createdAt - b.createdAt);
+}
+
+/**
+ * Order book of a property in price-time priority: bids highest price first,
+ * asks (resale listings) lowest price first, older orders first at the same
+ * price. Only fillable bids and active listings are included.
+ * @returns {Promise<{currency: Object, bids: Object[], asks: Object[], bestBid: number|null, bestAsk: number|null, spread: number|null, spreadPercent: number|null}>}
+ */
+export async function getOrderBook(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+
+    const [bidIds, listingIds, currency] = await Promise.all([
+        marketplace.getActiveBids(propertyId),
+        marketplace.getActiveResaleListings(propertyId),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+    const [bids, asks] = await Promise.all([
+        Promise.all(bidIds.map(id => getBid(provider, id))),
+        Promise.all(listingIds.map(id => getResaleListing(provider, id)))
+    ]);
+
+    const byPriceTime = (direction) => (a, b) => {
+        const priceA = BigInt(a.pricePerShareWei);
+        const priceB = BigInt(b.pricePerShareWei);
+        if (priceA !== priceB) return (priceA < priceB ? -1 : 1) * direction;
+        return a.createdAt - b.createdAt;
+    };
+    bids.sort(byPriceTime(-1));
+    asks.sort(byPriceTime(1));
+
+    const bestBid = bids[0]?.pricePerShare ?? null;
+    const bestAsk = asks[0]?.pricePerShare ?? null;
+    const spread = bestBid !== null && bestAsk !== null
+        ? parseFloat(formatAmount(BigInt(asks[0].pricePerShareWei) - BigInt(bids[0].pricePerShareWei), currency))
+        : null;
+
+    return {
+        currency,
+        bids,
+        asks,
+        bestBid,
+        bestAsk,
+        spread,
+        spreadPercent: spread !== null ? (spread / bestAsk) * 100 : null
+    };
+}
+
+/**
+ * Top of a property's order book (prices in the property's currency, null when that side is empty)
+ * @returns {Promise<{currency: Object, bestBid: number|null, bestAsk: number|null, spread: number|null}>}
+ */
+export async function getBestPrices(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const [best, currency] = await Promise.all([
+        requireMarketplace(provider).getBestPrices(propertyId),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+
+    const bestBid = best.bestBid > 0n ? parseFloat(formatAmount(best.bestBid, currency)) : null;
+    const bestAsk = best.bestAsk > 0n ? parseFloat(formatAmount(best.bestAsk, currency)) : null;
+
+    return {
+        currency,
+        bestBid,
+        bestAsk,
+        spread: bestBid !== null && bestAsk !== null ? parseFloat(formatAmount(best.bestAsk - best.bestBid, currency)) : null
+    };
+}
+
+/**
+ * Shares a user has locked in their own active resale listings for a property
+ */
+export async function getLockedShares(provider, propertyId, userAddress) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const locked = await marketplace.lockedShares(propertyId, userAddress);
+    return Number(locked);
+}
+
+/**
+ * Get live primary-sale data for a property from the contract
+ */
+export async function getPropertyDetails(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [details, currency] = await Promise.all([
+        marketplace.getPropertyDetails(propertyId),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+
+    return {
+        id: details.id.toString(),
+        currency,
+        initialPrice: formatAmount(details.initialPrice, currency),
+        currentPrice: formatAmount(details.currentPrice, currency),
+        totalShares: Number(details.totalShares),
+        sharesSold: Number(details.sharesSold),
+        availableShares: Number(details.availableShares),
+        owner: details.owner,
+        isActive: details.isActive,
+        metadataURI: details.metadataURI
+    };
+}
+
+/**
+ * What trading is currently allowed for a property. `halted` is true when
+ * nothing can be traded (delisted, or the whole marketplace is paused);
+ * `circuitBreakerTripped` when a sharp price move halted resale trading.
+ * @returns {Promise<{primarySaleActive: boolean, resaleActive: boolean, delisted: boolean, paused: boolean, halted: boolean, circuitBreakerTripped: boolean}>}
+ */
+export async function getTradingStatus(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [status, circuitBreakerTripped] = await Promise.all([
+        marketplace.getTradingStatus(propertyId),
+        marketplace.circuitBreakerTripped(propertyId)
+    ]);
+
+    return {
+        primarySaleActive: status.primarySaleActive && !status.marketplacePaused,
+        resaleActive: status.resaleActive && !status.marketplacePaused,
+        delisted: status.isDelisted,
+        paused: status.marketplacePaused,
+        halted: status.isDelisted || status.marketplacePaused,
+        circuitBreakerTripped
+    };
+}
+
+/**
+ * A property's funding round, amounts in its currency. status is one of
+ * FUNDING_STATUSES (NONE when it was listed without a round); a round that
+ * missed its soft cap by the deadline reads FAILED. With an account, also
+ * what it paid into the round (refundable if the round fails).
+ * @returns {Promise<{status: string, currency: Object, softCap: string, raised: string, deadline: number, contribution: string|null}>}
+ *   deadline: unix seconds
+ */
+export async function getFundingStatus(provider, propertyId, account = null) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [round, currency, contribution] = await Promise.all([
+        marketplace.getFundingStatus(propertyId),
+        getPaymentCurrency(provider, propertyId),
+        account ? marketplace.fundingContributions(propertyId, account) : null
+    ]);
+
+    return {
+        status: FUNDING_STATUSES[Number(round.status)],
+        currency,
+        softCap: formatAmount(round.softCap, currency),
+        raised: formatAmount(round.raised, currency),
+        deadline: Number(round.deadline),
+        contribution: contribution === null ? null : formatAmount(contribution, currency)
+    };
+}
+
+/**
+ * How a property's primary shares are priced, and what `shares` of them cost
+ * in the current block (what buyShares would charge), in its currency. mode is
+ * one of PRICING_MODES; startTime and endTime bound a Dutch auction (0 otherwise).
+ * @returns {Promise<{mode: string, currency: Object, startPrice: string, endPrice: string, startTime: number, endTime: number, nextSharePrice: string, totalCost: string|null}>}
+ */
+export async function getPrimaryQuote(provider, propertyId, shares = 0) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [pricing, quote, currency] = await Promise.all([
+        marketplace.getPrimaryPricing(propertyId),
+        marketplace.quotePrimaryPurchase(propertyId, shares),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+
+    return {
+        mode: PRICING_MODES[Number(pricing.mode)],
+        currency,
+        startPrice: formatAmount(pricing.startPrice, currency),
+        endPrice: formatAmount(pricing.endPrice, currency),
+        startTime: Number(pricing.startTime),
+        endTime: Number(pricing.endTime),
+        nextSharePrice: formatAmount(quote.nextSharePrice, currency),
+        totalCost: shares > 0 ? formatAmount(quote.totalCost, currency) : null
+    };
+}
+
+/**
+ * Quorum (in basis points of the shares held at the snapshot), voting period
+ * bounds (seconds) and longest description of shareholder proposals
+ * @returns {Promise<{quorumBps: number, minVotingPeriod: number, maxVotingPeriod: number, maxDescriptionLength: number}>}
+ */
+export async function getGovernanceRules(provider) {
+    const marketplace = requireMarketplace(provider);
+    const [quorumBps, minVotingPeriod, maxVotingPeriod, maxDescriptionLength] = await Promise.all([
+        marketplace.PROPOSAL_QUORUM_BPS(),
+        marketplace.MIN_VOTING_PERIOD(),
+        marketplace.MAX_VOTING_PERIOD(),
+        marketplace.MAX_PROPOSAL_LENGTH()
+    ]);
+
+    return {
+        quorumBps: Number(quorumBps),
+        minVotingPeriod: Number(minVotingPeriod),
+        maxVotingPeriod: Number(maxVotingPeriod),
+        maxDescriptionLength: Number(maxDescriptionLength)
+    };
+}
+
+/**
+ * A property's shareholder proposals, newest first, with their tallies (in
+ * shares) and state - one of PROPOSAL_STATES, the result once voting has
+ * closed. With an account, also its vote and its voting power (the shares it
+ * held at each proposal's snapshot).
+ * @returns {Promise<Array<{proposalId: string, proposer: string, description: string, snapshotBlock: number, votingStart: number, votingEnd: number, quorum: number, forVotes: number, againstVotes: number, abstainVotes: number, state: string, myVote: {support: string, weight: number}|null, votingPower: number|null}>>}
+ *   votingStart, votingEnd: unix seconds
+ */
+export async function getProposals(provider, propertyId, account = null) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const ids = await marketplace.getPropertyProposals(propertyId);
+
+    const proposals = await Promise.all(ids.map(async (id) => {
+        const { proposal: p, state } = await marketplace.getProposal(id);
+        const [receipt, votingPower] = account
+            ? await Promise.all([
+                marketplace.getVoteReceipt(id, account),
+                marketplace.getVotingPower(propertyId, account, p.snapshotBlock)
+            ])
+            : [null, null];
+
+        return {
+            proposalId: id.toString(),
+            proposer: p.proposer,
+            description: p.description,
+            snapshotBlock: Number(p.snapshotBlock),
+            votingStart: Number(p.votingStart),
+            votingEnd: Number(p.votingEnd),
+            quorum: Number(p.quorum),
+            forVotes: Number(p.forVotes),
+            againstVotes: Number(p.againstVotes),
+            abstainVotes: Number(p.abstainVotes),
+            state: PROPOSAL_STATES[Number(state)],
+            myVote: receipt?.hasVoted ? { support: VOTE_TYPES[Number(receipt.support)], weight: Number(receipt.weight) } : null,
+            votingPower: votingPower === null ? null : Number(votingPower)
+        };
+    }));
+
+    return proposals.reverse();
+}
+
+/**
+ * Price range resale listings of a property must stay in right now, and the
+ * band it comes from, in the property's currency. maxPrice is null when the
+ * property has no band.
+ * @returns {Promise<{enabled: boolean, currency: Object, minPrice: number, maxPrice: number|null, minPriceWei: string, maxPriceWei: string|null, bandBps: number, relativeToAverage: boolean}>}
+ */
+export async function getPriceBand(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [band, limits, currency] = await Promise.all([
+        marketplace.getPriceBand(propertyId),
+        marketplace.priceLimits(propertyId),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+    const enabled = limits.bandBps > 0n;
+
+    return {
+        enabled,
+        currency,
+        minPrice: parseFloat(formatAmount(band.minPrice, currency)),
+        maxPrice: enabled ? parseFloat(formatAmount(band.maxPrice, currency)) : null,
+        minPriceWei: band.minPrice.toString(),
+        maxPriceWei: enabled ? band.maxPrice.toString() : null,
+        bandBps: Number(limits.bandBps),
+        relativeToAverage: limits.relativeToAverage
+    };
+}
+
+/**
+ * Whether the contract-wide emergency pause is on
+ */
+export async function isMarketplacePaused(provider) {
+    return requireMarketplace(provider).paused();
+}
+
+/**
+ * Add up proceeds entries ({currency, amountWei}) per currency
+ * @returns {Array<{currency: Object, amountWei: bigint, amount: string}>}
+ */
+function totalsByCurrency(entries) {
+    const totals = new Map();
+    for (const { currency, amountWei } of entries) {
+        const key = currency.address || 'native';
+        totals.set(key, { currency, amountWei: (totals.get(key)?.amountWei || 0n) + amountWei });
+    }
+    return [...totals.values()].map(total => ({ ...total, amount: formatAmount(total.amountWei, total.currency) }));
+}
+
+/**
+ * Sale proceeds waiting to be withdrawn by an account, per property, each in
+ * its property's currency. `total` only counts MATIC; `totals` has one entry
+ * per currency.
+ * @returns {Promise<{totalWei: bigint, total: string, totals: Array<Object>, properties: Array<{chainPropertyId: string, currency: Object, amountWei: bigint, amount: string}>}>}
+ */
+export async function getPendingProceeds(provider, account) {
+    const marketplace = requireMarketplace(provider);
+    const [pending, totalWei] = await Promise.all([
+        marketplace.getPendingProceeds(account),
+        marketplace.pendingWithdrawals(account)
+    ]);
+    const currencies = await Promise.all(pending.propertyIds.map(id => getPaymentCurrency(provider, id)));
+
+    const properties = pending.propertyIds.map((id, i) => ({
+        chainPropertyId: id.toString(),
+        currency: currencies[i],
+        amountWei: pending.amounts[i],
+        amount: formatAmount(pending.amounts[i], currencies[i])
+    }));
+
+    return {
+        totalWei,
+        total: ethers.formatEther(totalWei),
+        totals: totalsByCurrency(properties),
+        properties
+    };
+}
+
+/**
+ * Rental income of an account for every property it has held
+ * @returns {Promise<Array<{chainPropertyId: string, claimableWei: bigint, claimable: string, claimedWei: bigint, claimed: string}>>}
+ */
+export async function getRentalIncome(provider, account) {
+    const income = await requireMarketplace(provider).getRentalIncome(account);
+
+    return income.propertyIds.map((id, i) => ({
+        chainPropertyId: id.toString(),
+        claimableWei: income.claimable[i],
+        claimable: ethers.formatEther(income.claimable[i]),
+        claimedWei: income.claimed[i],
+        claimed: ethers.formatEther(income.claimed[i])
+    }));
+}
+
+/**
+ * Trade fees in basis points (100 = 1%) and the fee treasury balance.
+ * `stablecoinTreasury` holds the fees collected in STABLECOIN_ADDRESS, if set.
+ * @returns {Promise<{primaryFeeBps: number, resaleFeeBps: number, royaltyBps: number, maxFeeBps: number, treasury: string, stablecoinTreasury: {currency: Object, amount: string}|null}>}
+ */
+export async function getFeeSchedule(provider) {
+    const marketplace = requireMarketplace(provider);
+    const [primaryFeeBps, resaleFeeBps, royaltyBps, maxFeeBps, treasuryWei, tokenTreasury, currency] = await Promise.all([
+        marketplace.primaryFeeBps(),
+        marketplace.resaleFeeBps(),
+        marketplace.royaltyBps(),
+        marketplace.MAX_FEE_BPS(),
+        marketplace.feeTreasury(),
+        STABLECOIN_ADDRESS ? marketplace.tokenFeeTreasury(STABLECOIN_ADDRESS) : null,
+        STABLECOIN_ADDRESS ? getTokenCurrency(provider, STABLECOIN_ADDRESS) : null
+    ]);
+
+    return {
+        primaryFeeBps: Number(primaryFeeBps),
+        resaleFeeBps: Number(resaleFeeBps),
+        royaltyBps: Number(royaltyBps),
+        maxFeeBps: Number(maxFeeBps),
+        treasury: ethers.formatEther(treasuryWei),
+        stablecoinTreasury: currency ? { currency, amount: formatAmount(tokenTreasury, currency) } : null
+    };
+}
+
+/**
+ * What the contract would deduct from a trade of `amountWei` (in the smallest
+ * unit of `currency`). Fees come out of the seller's side - the buyer always
+ * pays `amountWei`.
+ * @returns {Promise<{gross: string, platformFee: string, royalty: string, sellerProceeds: string}>}
+ */
+export async function quoteTradeFees(provider, amountWei, isPrimary, currency = NATIVE_CURRENCY) {
+    const quote = await requireMarketplace(provider).getFeeBreakdown(amountWei, isPrimary);
+
+    return {
+        gross: formatAmount(amountWei, currency),
+        platformFee: formatAmount(quote.platformFee, currency),
+        royalty: formatAmount(quote.royalty, currency),
+        sellerProceeds: formatAmount(quote.sellerProceeds, currency)
+    };
+}
+
+/**
+ * Get property details from blockchain
+ */
+export async function getProperty(provider, propertyId) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const [property, currency] = await Promise.all([
+        marketplace.properties(propertyId),
+        getPaymentCurrency(provider, propertyId)
+    ]);
+
+    return {
+        id: property.id.toString(),
+        currency,
+        pricePerShare: formatAmount(property.initialPricePerShare, currency),
+        currentPrice: formatAmount(property.currentPrice, currency),
+        totalShares: property.totalShares.toString(),
+        sharesSold: property.sharesSold.toString(),
+        availableShares: (property.totalShares - property.sharesSold).toString(),
+        owner: property.owner,
+        isActive: property.isActive,
+        metadataURI: property.metadataURI
+    };
+}
+
+/**
+ * Get user's shares for a property
+ */
+export async function getUserShares(provider, propertyId, userAddress) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+    const shares = await marketplace.userShares(propertyId, userAddress);
+    return shares.toString();
+}
+
+/**
+ * The ERC-20 share token of a property, or null if none was created yet.
+ * With `account`, also its balance: free plus listed shares, and the free
+ * part a token transfer can move.
+ */
+export async function getShareToken(provider, propertyId, account = null) {
+    propertyId = requireChainPropertyId(propertyId);
+    const marketplace = requireMarketplace(provider);
+
+    const address = await marketplace.shareTokens(propertyId);
+    if (address === ethers.ZeroAddress) return null;
+
+    const token = new ethers.Contract(address, SHARE_TOKEN_ABI, provider);
+    const [name, symbol, decimals, totalSupply] = await Promise.all([
+        token.name(),
+        token.symbol(),
+        token.decimals(),
+        token.totalSupply()
+    ]);
+    const [balance, transferable] = account
+        ? await Promise.all([token.balanceOf(account), token.transferableBalanceOf(account)])
+        : [null, null];
+
+    return {
+        address,
+        name,
+        symbol,
+        decimals: Number(decimals),
+        totalSupply: Number(totalSupply),
+        balance: balance === null ? null : Number(balance),
+        transferable: transferable === null ? null : Number(transferable)
+    };
+}
+
+/**
+ * Ask MetaMask to track a share token (EIP-747). Resolves to false if the
+ * user declined.
+ * @param {{address: string, symbol: string, decimals: number}} shareToken - From getShareToken
+ * @param {string} [image] - Image URL shown next to the token
+ */
+export async function addShareTokenToWallet(shareToken, image = null) {
+    if (!window.ethereum) throw new Error('No wallet detected');
+
+    return window.ethereum.request({
+        method: 'wallet_watchAsset',
+        params: {
+            type: 'ERC20',
+            options: {
+                address: shareToken.address,
+                symbol: shareToken.symbol,
+                decimals: shareToken.decimals,
+                ...(image ? { image } : {})
+            }
+        }
+    });
 }
 
 /**
@@ -180,9 +1981,9 @@ export async function checkNetwork() {
 
     const chainId = await window.ethereum.request({ method: 'eth_chainId' });
     return {
-        correct: chainId === AMOY_CONFIG.chainId,
+        correct: BigInt(chainId) === EXPECTED_CHAIN_ID,
         currentChainId: chainId,
-        requiredChainId: AMOY_CONFIG.chainId
+        requiredChainId: `0x${EXPECTED_CHAIN_ID.toString(16)}`
     };
 }
 
@@ -214,12 +2015,54 @@ export async function switchToAmoy() {
 export default {
     REAL_ESTATE_ABI,
     CONTRACT_ADDRESS,
+    EXPECTED_CHAIN_ID,
+    NATIVE_CURRENCY,
+    STABLECOIN_ADDRESS,
+    FUNDING_STATUSES,
+    PRICING_MODES,
+    PROPOSAL_STATES,
+    VOTE_TYPES,
     AMOY_CONFIG,
-    getContract,
+    getReadProvider,
+    getTxUrl,
+    getAddressUrl,
+    getMarketplace,
+    isChainPropertyId,
+    parseContractError,
+    getTokenCurrency,
+    getPaymentCurrency,
     listProperty,
+    preflightBuyShares,
     buyShares,
+    listSharesForResale,
+    buyFromResale,
+    quoteBestPrice,
+    buyAtBestPrice,
+    cancelResaleListing,
+    updateResaleListing,
+    transferShares,
+    withdrawProceeds,
+    claimRentalIncome,
+    claimFundingRefund,
+    createProposal,
+    castVote,
+    cancelProposal,
+    getResaleListing,
+    getLockedShares,
+    getTradingStatus,
+    getFundingStatus,
+    getPrimaryQuote,
+    getGovernanceRules,
+    getProposals,
+    getPriceBand,
+    isMarketplacePaused,
+    getPendingProceeds,
+    getRentalIncome,
+    getPropertyDetails,
     getProperty,
     getUserShares,
+    getShareToken,
+    addShareTokenToWallet,
     checkNetwork,
     switchToAmoy
 };
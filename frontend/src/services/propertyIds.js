@@ -0,0 +1,125 @@
+// frontend/src/services/propertyIds.js
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import { db } from './firebase';
+import { CONTRACT_ADDRESS, EXPECTED_CHAIN_ID, isChainPropertyId } from './contract';
+
+/**
+ * Firestore property ids (`prop_…`) -> on-chain property ids.
+ * The tokenization pipeline and the chain indexer store chainPropertyId,
+ * contractAddress and chainId on the property document; pages resolve a
+ * property here before calling the contract so a Firestore id never reaches it.
+ */
+
+// Why a property can't be traded on-chain, worded for users
+const MAPPING_MESSAGES = {
+    NOT_FOUND: 'This property could not be found.',
+    NOT_TOKENIZED: 'This property has not been tokenized on-chain yet.',
+    CONTRACT_MISMATCH: 'This property was tokenized on a different marketplace contract than the one this app uses.',
+    NETWORK_MISMATCH: 'This property was tokenized on a different network than the one this app uses.',
+    CHAIN_MISMATCH: 'This property\'s on-chain record does not match its listing. Please contact support.'
+};
+
+export class PropertyMappingError extends Error {
+    constructor(code, propertyId = null, detail = null) {
+        super(MAPPING_MESSAGES[code]);
+        this.name = 'PropertyMappingError';
+        this.code = code;
+        this.propertyId = propertyId;
+        this.detail = detail;
+    }
+}
+
+const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Check a property document against the configured contract and chain.
+ * Older documents without contractAddress/chainId are taken as current.
+ */
+function mappingFromProperty(property) {
+    const propertyId = property.id || property.propertyId;
+    const chainPropertyId = property.chainPropertyId?.toString();
+
+    if (chainPropertyId === undefined) {
+        throw new PropertyMappingError('NOT_TOKENIZED', propertyId);
+    }
+    if (!isChainPropertyId(chainPropertyId)) {
+        throw new PropertyMappingError('CHAIN_MISMATCH', propertyId, `invalid chainPropertyId "${chainPropertyId}"`);
+    }
+    if (property.contractAddress && !sameAddress(property.contractAddress, CONTRACT_ADDRESS)) {
+        throw new PropertyMappingError('CONTRACT_MISMATCH', propertyId, `tokenized on ${property.contractAddress}`);
+    }
+    if (property.chainId && property.chainId.toString() !== EXPECTED_CHAIN_ID.toString()) {
+        throw new PropertyMappingError('NETWORK_MISMATCH', propertyId, `tokenized on chain ${property.chainId}`);
+    }
+
+    return {
+        propertyId,
+        chainPropertyId,
+        contractAddress: CONTRACT_ADDRESS,
+        chainId: EXPECTED_CHAIN_ID.toString()
+    };
+}
+
+const mappingCache = new Map(); // Firestore id => mapping
+
+/**
+ * Resolve a property to its on-chain identity
+ * @param {Object|string} property - Property document data (with `id`) or a Firestore id
+ * @returns {Promise<{propertyId: string, chainPropertyId: string, contractAddress: string, chainId: string}>}
+ * @throws {PropertyMappingError}
+ */
+export async function resolveChainProperty(property) {
+    if (typeof property === 'object' && property !== null) {
+        return mappingFromProperty(property);
+    }
+
+    if (!property) throw new PropertyMappingError('NOT_FOUND');
+    if (mappingCache.has(property)) return mappingCache.get(property);
+
+    const snap = await getDoc(doc(db, 'properties', property));
+    if (!snap.exists()) {
+        throw new PropertyMappingError('NOT_FOUND', property);
+    }
+
+    const mapping = mappingFromProperty({ id: snap.id, ...snap.data() });
+    mappingCache.set(property, mapping);
+    return mapping;
+}
+
+/**
+ * Like resolveChainProperty, but reports failures instead of throwing
+ * @returns {Promise<{mapping: Object|null, error: string|null}>}
+ */
+export async function tryResolveChainProperty(property) {
+    try {
+        return { mapping: await resolveChainProperty(property), error: null };
+    } catch (error) {
+        if (error instanceof PropertyMappingError) {
+            console.warn(`Property ${error.propertyId} is not tradable on-chain: ${error.code}${error.detail ? ` (${error.detail})` : ''}`);
+            return { mapping: null, error: error.message };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Find the Firestore property for an on-chain id on this app's contract
+ * @returns {Promise<Object|null>} Property data with `id`, or null if none is mapped
+ */
+export async function findPropertyByChainId(chainPropertyId) {
+    const snap = await getDocs(query(
+        collection(db, 'properties'),
+        where('chainPropertyId', '==', chainPropertyId.toString())
+    ));
+
+    // The same number can belong to properties of older deployments
+    const match = snap.docs.find(d => !d.data().contractAddress || sameAddress(d.data().contractAddress, CONTRACT_ADDRESS));
+    return match ? { id: match.id, ...match.data() } : null;
+}
+
+export default {
+    PropertyMappingError,
+    resolveChainProperty,
+    tryResolveChainProperty,
+    findPropertyByChainId
+};
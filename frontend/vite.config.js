@@ -8,5 +8,9 @@ export default defineConfig({
     watch: {
       usePolling: true,
     },
+    fs: {
+      // The generated contract client is shared with the backend and lives in blockchain/client
+      allow: ['.', '../blockchain/client'],
+    },
   },
 })
\ No newline at end of file